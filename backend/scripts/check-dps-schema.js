@@ -0,0 +1,43 @@
+/**
+ * Check the DPS layout of dpsXmlService against the official XSD files
+ * Download the XSD package of the DPS (layout v1.00) from the technical documentation
+ * of the national NFS-e portal and extract it into backend/schemas/nfse.
+ *
+ * Usage: node backend/scripts/check-dps-schema.js [xsd-directory]
+ */
+
+import { fileURLToPath } from 'url';
+import { loadXsdDirectory, compareDpsLayout } from '../src/services/dpsXsdService.js';
+
+const directory = process.argv[2] || fileURLToPath(new URL('../schemas/nfse/', import.meta.url));
+
+function checkDpsSchema() {
+  console.log(`🔍 Checking the DPS layout against the XSD files in ${directory}...\n`);
+
+  let result;
+  try {
+    result = compareDpsLayout(loadXsdDirectory(directory));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  if (result.review.length > 0) {
+    console.log(`📝 Patterns to review by hand (${result.review.length}):`);
+    result.review.forEach(({ field, pattern, table }) => {
+      console.log(`   ${field}\n      XSD:    ${pattern}\n      tabela: ${table || '(sem padrão)'}`);
+    });
+    console.log('');
+  }
+
+  if (result.differences.length === 0) {
+    console.log('✅ The DPS layout matches the XSD');
+    return;
+  }
+
+  console.log(`⚠️  Differences found (${result.differences.length}):`);
+  result.differences.forEach(({ field, message }) => console.log(`   ${field}: ${message}`));
+  process.exit(1);
+}
+
+checkDpsSchema();
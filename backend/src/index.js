@@ -22,6 +22,9 @@ import monitoringRoutes from './routes/monitoring.js';
 import accountantReviewRoutes from './routes/accountantReview.js';
 import adminRoutes from './routes/admin.js';
 import clientsRoutes from './routes/clients.js';
+import recurringInvoicesRoutes from './routes/recurringInvoices.js';
+import invoiceBatchesRoutes from './routes/invoiceBatches.js';
+import receivablesRoutes from './routes/receivables.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -72,8 +75,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'Idempotent-Replayed'],
   maxAge: 86400
 }));
 
@@ -123,6 +126,9 @@ app.use('/api/monitoring', monitoringRoutes);
 app.use('/api/accountant-review', accountantReviewRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/clients', clientsRoutes);
+app.use('/api/recurring-invoices', recurringInvoicesRoutes);
+app.use('/api/invoice-batches', invoiceBatchesRoutes);
+app.use('/api/receivables', receivablesRoutes);
 
 // Content-Security-Policy for SPA (Stripe, hCaptcha, Vite/React)
 // Must allow inline scripts for Stripe.js and payment iframes
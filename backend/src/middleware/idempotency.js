@@ -0,0 +1,73 @@
+/**
+ * Idempotency Middleware
+ *
+ * Honors the Idempotency-Key request header on invoice issuance endpoints:
+ * a retry with the same key returns the original response (Idempotent-Replayed: true)
+ * instead of emitting the NFS-e again; a queued emission is replayed with the job's current
+ * state, and emitted again once the job has been rejected (a job whose outcome at the
+ * municipality is uncertain keeps being replayed). Requests without the header run normally.
+ */
+
+import {
+  hashRequest,
+  validateIdempotencyKey,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest
+} from '../services/idempotencyService.js';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Idempotency middleware factory
+ * Must run after authenticate (keys are scoped per user).
+ *
+ * @param {string} scope - Endpoint scope stored with the key
+ * @param {object} [options]
+ * @param {(req: object) => boolean} [options.when] - Only apply when it returns true
+ * @returns {Function} Express middleware
+ */
+export function idempotency(scope, { when } = {}) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || (when && !when(req))) {
+      return next();
+    }
+
+    try {
+      const keyError = validateIdempotencyKey(key);
+      if (keyError) {
+        throw new AppError(keyError, 400, 'INVALID_IDEMPOTENCY_KEY');
+      }
+
+      const { record, replay, responseBody } = await beginIdempotentRequest({
+        userId: req.user.id,
+        key: key.trim(),
+        scope,
+        requestHash: hashRequest(req.body)
+      });
+
+      if (replay) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(record.responseStatus || 200).json(responseBody);
+      }
+
+      // Persist the outcome before the response reaches the client, so an immediate
+      // retry already sees the completed key
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        res.json = originalJson;
+        const settle = res.statusCode >= 200 && res.statusCode < 300
+          ? completeIdempotentRequest(record.id, res.statusCode, body)
+          : releaseIdempotentRequest(record.id);
+        settle
+          .catch(error => console.error('[Idempotency] Failed to store request outcome:', error.message))
+          .finally(() => originalJson(body));
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
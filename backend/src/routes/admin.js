@@ -11,6 +11,15 @@ import { requireAdmin } from '../middleware/admin.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { sendSuccess, sendError } from '../utils/response.js';
 import bcrypt from 'bcryptjs';
+import {
+  listExportLayouts,
+  getExportLayout,
+  loadExportEntries,
+  previewExport,
+  buildExportFile,
+  exportFilename
+} from '../services/accountingExportService.js';
+import { FISCAL_PROVIDERS, isProviderAllowed, listFiscalProviders } from '../services/fiscalProvider.js';
 
 const router = express.Router();
 
@@ -579,6 +588,47 @@ router.get('/companies', [
   });
 }));
 
+/**
+ * GET /api/admin/fiscal-providers
+ * List the NFS-e providers and the environment default
+ */
+router.get('/fiscal-providers', asyncHandler(async (req, res) => {
+  sendSuccess(res, 'Fiscal providers retrieved', listFiscalProviders());
+}));
+
+/**
+ * PUT /api/admin/companies/:id/fiscal-provider
+ * Set the NFS-e provider of a company (null = environment default)
+ */
+router.put('/companies/:id/fiscal-provider', [
+  body('provider').optional({ nullable: true }).isIn(Object.keys(FISCAL_PROVIDERS))
+], validateRequest, asyncHandler(async (req, res) => {
+  const company = await prisma.company.findUnique({
+    where: { id: req.params.id },
+    select: { id: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  if (req.body.provider && !isProviderAllowed(req.body.provider)) {
+    throw new AppError(
+      'O provedor simulado não pode ser usado em produção (defina ALLOW_MOCK_FISCAL_PROVIDER=true para permitir)',
+      400,
+      'FISCAL_PROVIDER_NOT_ALLOWED'
+    );
+  }
+
+  const updated = await prisma.company.update({
+    where: { id: req.params.id },
+    data: { fiscalProvider: req.body.provider || null },
+    select: { id: true, razaoSocial: true, fiscalProvider: true }
+  });
+
+  sendSuccess(res, 'Fiscal provider updated', { company: updated });
+}));
+
 // ==========================================
 // CLIENT MANAGEMENT
 // ==========================================
@@ -727,6 +777,7 @@ router.get('/settings', asyncHandler(async (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     acbrApiConfigured: !!(process.env.ACBR_API_CLIENT_ID && process.env.ACBR_API_CLIENT_SECRET),
     acbrApiEnvironment: process.env.ACBR_API_ENVIRONMENT || 'sandbox',
+    fiscalProvider: listFiscalProviders().default,
     stripeConfigured: !!(process.env.STRIPE_SECRET_KEY),
     emailConfigured: process.env.EMAIL_ENABLED === 'true',
     version: '1.0.0'
@@ -1027,6 +1078,58 @@ router.get('/export/invoices', asyncHandler(async (req, res) => {
   res.send(JSON.stringify(invoices, null, 2));
 }));
 
+/**
+ * Load the invoices of an admin accounting export (all companies, or company_id)
+ */
+async function loadAdminAccountingExport(req) {
+  const { layout, company_id, start_date, end_date, status } = req.query;
+  const exportLayout = getExportLayout(layout);
+
+  let company = null;
+  if (company_id) {
+    company = await prisma.company.findUnique({ where: { id: company_id } });
+    if (!company) {
+      throw new AppError('Company not found', 404, 'NOT_FOUND');
+    }
+  }
+
+  const filters = { startDate: start_date, endDate: end_date, status };
+  const entries = await loadExportEntries({ ...filters, companyIds: company ? [company.id] : undefined });
+
+  return { exportLayout, company, filters, entries };
+}
+
+/**
+ * GET /api/admin/export/invoices/accounting/preview
+ * Preview an accounting software export
+ * Query: layout, company_id, start_date, end_date, status
+ */
+router.get('/export/invoices/accounting/preview', asyncHandler(async (req, res) => {
+  const { exportLayout, entries } = await loadAdminAccountingExport(req);
+
+  sendSuccess(res, 'Export preview', {
+    ...previewExport(exportLayout.id, entries),
+    layouts: listExportLayouts()
+  });
+}));
+
+/**
+ * GET /api/admin/export/invoices/accounting
+ * Export invoices in an accounting software layout (generic CSV, Domínio, Alterdata)
+ * Query: same as the preview, plus skip_invalid=true to leave invalid invoices out
+ */
+router.get('/export/invoices/accounting', asyncHandler(async (req, res) => {
+  const { exportLayout, company, filters, entries } = await loadAdminAccountingExport(req);
+  const { buffer, skipped } = buildExportFile(exportLayout.id, entries, {
+    skipInvalid: req.query.skip_invalid === 'true'
+  });
+
+  res.setHeader('Content-Type', exportLayout.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename=${exportFilename(exportLayout, filters, company)}`);
+  res.setHeader('X-Export-Skipped', String(skipped.length));
+  res.send(buffer);
+}));
+
 // ==========================================
 // SYSTEM HEALTH
 // ==========================================
@@ -7,10 +7,14 @@ import { prisma } from '../lib/prisma.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
-import { emitNfse, checkNfseStatus, isAcbrApiConfigured } from '../services/acbrApi.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { getFiscalProvider, isFiscalProviderConfigured } from '../services/fiscalProvider.js';
 import { sendSuccess } from '../utils/response.js';
 import { checkMEILimit } from '../services/meiLimitTracking.js';
-import { validateInvoiceForRegime, getRegimeRules, getRecommendedIssRate, getRegimeInvoiceDefaults } from '../services/regimeRules.js';
+import { getRegimeRules } from '../services/regimeRules.js';
+import { enqueueEmission } from '../services/invoiceEmissionQueueService.js';
+import { getClientRetentionDefaults } from '../services/federalRetentions.js';
+import { pickDeductions } from '../services/invoiceDeductions.js';
 import { assistantLimiter, assistantReadLimiter, invoiceEmissionLimiter } from '../middleware/rateLimiter.js';
 import { fetchWithTimeout, getTimeout } from '../utils/timeout.js';
 // Import new AI services for human-like understanding
@@ -249,7 +253,7 @@ router.post('/process', assistantLimiter, [
       
       // Check if action requires a company but user has none
       const actionsRequiringCompany = [
-        'emitir_nfse', 'cancelar_nfse', 'listar_notas', 'ultima_nota', 
+        'emitir_nfse', 'cancelar_nfse', 'substituir_nfse', 'reenviar_nfse', 'listar_notas', 'ultima_nota', 
         'notas_rejeitadas', 'consultar_status', 'consultar_faturamento', 
         'ver_impostos', 'verificar_conexao'
       ];
@@ -414,7 +418,35 @@ router.post('/process', assistantLimiter, [
           aliquota_iss: parseFloat(functionArgs.iss_rate || functionArgs.aliquota_iss) || 5,
           codigo_servico: functionArgs.service_code || functionArgs.codigo_servico || '',
           municipio: functionArgs.municipio || '',
+          ...pickDeductions({
+            valor_desconto_incondicionado: functionArgs.unconditional_discount ?? functionArgs.valor_desconto_incondicionado,
+            valor_desconto_condicionado: functionArgs.conditional_discount ?? functionArgs.valor_desconto_condicionado,
+            valor_deducoes: functionArgs.deductions ?? functionArgs.valor_deducoes
+          }),
+          // Export of services (foreign client): currency captured for the record
+          ...((functionArgs.currency || functionArgs.moeda) ? {
+            moeda: functionArgs.currency || functionArgs.moeda,
+            taxa_cambio: parseFloat(functionArgs.exchange_rate ?? functionArgs.taxa_cambio) || undefined,
+            valor_moeda_estrangeira: parseFloat(functionArgs.foreign_value ?? functionArgs.valor_moeda_estrangeira) || undefined
+          } : {})
         };
+
+        // Foreign value converted to reais when the BRL value was not informed
+        if (!mappedArgs.valor && mappedArgs.valor_moeda_estrangeira && mappedArgs.taxa_cambio) {
+          mappedArgs.valor = Math.round(mappedArgs.valor_moeda_estrangeira * mappedArgs.taxa_cambio * 100) / 100;
+        }
+
+        // Pre-fill federal retentions from the client's default profile
+        const profileClient = await prisma.client.findFirst({
+          where: {
+            userId: req.user.id,
+            ativo: true,
+            ...(mappedArgs.cliente_documento
+              ? { documento: mappedArgs.cliente_documento.replace(/\D/g, '') }
+              : { nome: { equals: mappedArgs.cliente_nome, mode: 'insensitive' } })
+          }
+        });
+        Object.assign(mappedArgs, getClientRetentionDefaults(profileClient, mappedArgs.valor));
       }
       
       // Build response data with extracted action
@@ -513,10 +545,25 @@ function generateExplanationForAction(actionType, args) {
       const value = args.value ? `R$ ${args.value.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}` : 'valor não informado';
       const client = args.client_name || 'cliente não informado';
       const service = args.service_description || 'serviço não especificado';
-      return `📝 **Nota fiscal preparada:**\n\n• **Valor:** ${value}\n• **Cliente:** ${client}\n• **Serviço:** ${service}\n\n✅ Deseja confirmar a emissão?`;
+      const adjustments = [];
+      if (args.unconditional_discount) adjustments.push(`• **Desconto incondicionado:** R$ ${args.unconditional_discount.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`);
+      if (args.conditional_discount) adjustments.push(`• **Desconto condicionado:** R$ ${args.conditional_discount.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`);
+      if (args.currency && args.foreign_value) adjustments.push(`• **Exportação:** ${args.currency} ${args.foreign_value.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}${args.exchange_rate ? ` (câmbio ${args.exchange_rate})` : ''}`);
+      if (args.deductions) adjustments.push(`• **Deduções:** R$ ${args.deductions.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`);
+      return `📝 **Nota fiscal preparada:**\n\n• **Valor:** ${value}\n• **Cliente:** ${client}\n• **Serviço:** ${service}\n${adjustments.length ? adjustments.join('\n') + '\n' : ''}\n✅ Deseja confirmar a emissão?`;
     
     case 'cancelar_nfse':
       return `❌ Você quer cancelar a nota ${args.invoice_id || 'informada'}. Para prosseguir, preciso do motivo do cancelamento (mínimo 15 caracteres).`;
+
+    case 'substituir_nfse':
+      const changes = [];
+      if (args.value) changes.push(`• **Novo valor:** R$ ${args.value.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`);
+      if (args.service_description) changes.push(`• **Nova descrição:** ${args.service_description}`);
+      if (args.iss_rate !== undefined) changes.push(`• **Nova alíquota ISS:** ${args.iss_rate}%`);
+      return `🔄 **Substituição da nota ${args.invoice_id || 'informada'}:**\n\n${changes.join('\n') || '• Mesmos dados da nota original'}\n• **Motivo:** ${args.reason || 'não informado'}\n\nA nota original será marcada como substituída quando a nova nota for autorizada. ✅ Deseja confirmar a substituição?`;
+
+    case 'reenviar_nfse':
+      return `📧 Vou enviar a nota ${args.invoice_id || 'informada'} (PDF e XML) para ${args.email || 'o email cadastrado do cliente'}. ✅ Deseja confirmar o envio?`;
     
     case 'listar_notas':
       const filters = [];
@@ -851,7 +898,8 @@ async function processWithPatternMatching(message, userId, companyId, res, inten
               descricao_servico: 'Serviço prestado',
               valor: multiLineValue,
               aliquota_iss: 5,
-              client_id: matchingClient.id
+              client_id: matchingClient.id,
+              ...getClientRetentionDefaults(matchingClient, multiLineValue)
             }
           },
           explanation: `📝 **Nota fiscal preparada:**\n\n` +
@@ -1794,7 +1842,8 @@ async function processWithPatternMatching(message, userId, companyId, res, inten
                 descricao_servico: descricaoServico,
                 valor: valor,
                 aliquota_iss: 5,
-                client_id: clientByDocument.id
+                client_id: clientByDocument.id,
+                ...getClientRetentionDefaults(clientByDocument, valor)
               }
             },
             explanation: `📝 **Nota fiscal preparada:**\n\n` +
@@ -1865,7 +1914,8 @@ async function processWithPatternMatching(message, userId, companyId, res, inten
               descricao_servico: descricaoServico,
               valor: valor,
               aliquota_iss: 5,
-              client_id: client.id
+              client_id: client.id,
+              ...getClientRetentionDefaults(client, valor)
             }
           },
           explanation: `📝 **Nota fiscal preparada:**\n\n` +
@@ -2892,7 +2942,7 @@ router.post('/validate-issuance', [
     });
   }
 
-  if (!isAcbrApiConfigured()) {
+  if (!isFiscalProviderConfigured(company)) {
     validationErrors.push({
       code: 'ACBR_API_NOT_CONFIGURED',
       message: 'Integração fiscal não configurada no servidor.'
@@ -3143,12 +3193,13 @@ router.post('/validate-client', [
  * POST /api/assistant/execute-action
  * Execute an AI action (e.g., emit invoice)
  * This endpoint is called when user confirms an AI action
+ * emitir_nfse honors the Idempotency-Key header: a retry with the same key returns the original emission job
  */
 router.post('/execute-action', [
   body('action_type').notEmpty().withMessage('Action type is required'),
   body('action_data').isObject().withMessage('Action data is required'),
   body('company_id').notEmpty().withMessage('Company ID is required')
-], (req, res, next) => {
+], idempotency('assistant_emit', { when: (req) => req.body.action_type === 'emitir_nfse' }), (req, res, next) => {
   if (req.body.action_type === 'emitir_nfse') {
     return invoiceEmissionLimiter(req, res, next);
   }
@@ -3213,6 +3264,12 @@ async function executeActionHandler(req, res) {
       case 'cancelar_nfse':
         return await executeCancelNfse(action_data, company, req.user.id, res);
 
+      case 'substituir_nfse':
+        return await executeSubstituteNfse(action_data, company, req.user.id, res);
+
+      case 'reenviar_nfse':
+        return await executeResendNfse(action_data, company, res);
+
       case 'listar_notas':
         return await executeListInvoices(action_data, company, res);
 
@@ -3247,585 +3304,19 @@ async function executeActionHandler(req, res) {
     return res.status(error.statusCode || 500).json({
       status: 'error',
       message: translatedMessage,
-      code: error.code || 'INVOICE_EMISSION_ERROR'
+      code: error.code || 'INVOICE_EMISSION_ERROR',
+      data: error.data || null
     });
   }
 }
 
 /**
- * Execute emitir_nfse action - Emit invoice via real ACBr API
+ * Execute emitir_nfse action - Queue the emission (202 with the job; follow it on /api/invoices/jobs/:jobId)
  */
 async function executeEmitNfse(actionData, company, userId, res) {
-  // Comprehensive plan limits validation
-  const { validatePlanLimitsForIssuance } = await import('../services/planService.js');
-  const limitsValidation = await validatePlanLimitsForIssuance(userId, company.id);
-  
-  // Log validation result for debugging
-  console.log('[Invoice] Plan limits validation:', {
-    valid: limitsValidation.valid,
-    planId: limitsValidation.planId,
-    planName: limitsValidation.planName,
-    invoiceLimit: limitsValidation.invoiceLimit,
-    errors: limitsValidation.errors,
-    warnings: limitsValidation.warnings
-  });
-  
-  if (!limitsValidation.valid) {
-    // Build comprehensive error message with suggestions
-    let errorMessage = '';
-    const errorDetails = [];
-    
-    limitsValidation.errors.forEach((error, index) => {
-      if (index > 0) errorMessage += '\n\n';
-      
-      errorMessage += `❌ ${error.message}`;
-      
-      if (error.details) {
-        errorDetails.push({
-          code: error.code,
-          current: error.details.current,
-          max: error.details.max,
-          remaining: error.details.remaining
-        });
-        
-        // Add detailed information about current usage
-        errorMessage += `\n\n📊 Uso atual: ${error.details.current}/${error.details.max} notas emitidas este mês.`;
-        if (error.details.remaining !== undefined) {
-          errorMessage += `\n📈 Restantes: ${error.details.remaining} nota${error.details.remaining !== 1 ? 's' : ''}.`;
-        }
-      }
-      
-      // Add suggestions
-      if (error.suggestions && error.suggestions.length > 0) {
-        errorMessage += '\n\n💡 Opções disponíveis:';
-        error.suggestions.forEach((suggestion, sugIndex) => {
-          errorMessage += `\n${sugIndex + 1}. ${suggestion.message}`;
-        });
-      }
-    });
-    
-    // Add warnings if any
-    if (limitsValidation.warnings && limitsValidation.warnings.length > 0) {
-      errorMessage += '\n\n⚠️ Avisos:';
-      limitsValidation.warnings.forEach(warning => {
-        errorMessage += `\n• ${warning.message}`;
-      });
-    }
-    
-    console.log('[Invoice] Blocking invoice issuance due to plan limits:', {
-      errorCode: limitsValidation.errors[0].code,
-      errorMessage: errorMessage.substring(0, 200) + '...'
-    });
-    
-    throw new AppError(
-      errorMessage,
-      403,
-      limitsValidation.errors[0].code,
-      {
-        validation: limitsValidation,
-        errorDetails
-      }
-    );
-  }
-  
-  // Show warnings if any (non-blocking)
-  if (limitsValidation.warnings && limitsValidation.warnings.length > 0) {
-    console.warn('[Invoice] Plan limit warnings:', limitsValidation.warnings);
-  }
+  const job = await enqueueEmission(actionData, company, userId, { source: 'api' });
 
-  // ========================================
-  // PAY PER USE: Charge user for invoice emission
-  // ========================================
-  let invoiceUsageRecord = null;
-  
-  if (limitsValidation.isPayPerUse) {
-    console.log('[Invoice] Pay Per Use plan detected, processing payment...');
-    
-    // Get user's Stripe customer ID
-    let user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { id: true, email: true, name: true, stripeCustomerId: true }
-    });
-    
-    // Import Stripe SDK
-    const { chargeOneTimePayment, getCustomerPaymentMethods, ensureCustomerExists } = await import('../services/stripeSDK.js');
-    
-    // Verify Stripe customer exists (handle case where customer was deleted/switched accounts)
-    let validCustomerId = user.stripeCustomerId;
-    if (user.stripeCustomerId) {
-      try {
-        const { customerId, wasRecreated } = await ensureCustomerExists({
-          email: user.email,
-          name: user.name,
-          existingStripeId: user.stripeCustomerId
-        });
-        
-        if (wasRecreated) {
-          console.log(`[Invoice] Stripe customer was recreated: ${user.stripeCustomerId} -> ${customerId}`);
-          // Update user's stripeCustomerId in database
-          await prisma.user.update({
-            where: { id: userId },
-            data: { stripeCustomerId: customerId }
-          });
-          validCustomerId = customerId;
-          
-          // Customer was recreated, they need to add a payment method again
-          throw new AppError(
-            'Sua conta de pagamento foi reconfigurada.\n\n' +
-            'Para emitir notas no plano Pay per Use, você precisa cadastrar novamente seu cartão de crédito.\n\n' +
-            '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
-            402,
-            'PAYMENT_METHOD_REQUIRED'
-          );
-        }
-      } catch (error) {
-        if (error.code === 'PAYMENT_METHOD_REQUIRED') {
-          throw error;
-        }
-        console.error('[Invoice] Error verifying Stripe customer:', error.message);
-        throw new AppError(
-          'Erro ao verificar conta de pagamento.\n\n' +
-          'Por favor, tente novamente. Se o problema persistir, acesse **Configurações** > **Assinatura** para reconfigurar seu cartão.',
-          500,
-          'STRIPE_CUSTOMER_ERROR'
-        );
-      }
-    }
-    
-    if (!validCustomerId) {
-      throw new AppError(
-        'Método de pagamento não configurado.\n\n' +
-        'Para emitir notas no plano Pay per Use, você precisa cadastrar um cartão de crédito.\n\n' +
-        '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
-        402,
-        'PAYMENT_METHOD_REQUIRED'
-      );
-    }
-    
-    // Check if customer has a payment method
-    const paymentMethods = await getCustomerPaymentMethods(validCustomerId);
-    if (paymentMethods.length === 0) {
-      throw new AppError(
-        'Nenhum cartão cadastrado.\n\n' +
-        'Para emitir notas no plano Pay per Use (R$ 9,00 por nota), você precisa cadastrar um cartão de crédito.\n\n' +
-        '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
-        402,
-        'PAYMENT_METHOD_REQUIRED'
-      );
-    }
-    
-    // Use first card (same one we validated) so charge never fails for "no default" edge cases
-    const paymentMethodIdToCharge = paymentMethods[0].id;
-    
-    const invoiceValue = parseFloat(actionData.valor);
-    const perInvoicePrice = limitsValidation.perInvoicePrice || 900; // R$9.00 in cents
-    
-    try {
-      // Charge the user
-      const paymentResult = await chargeOneTimePayment({
-        customerId: validCustomerId,
-        paymentMethodId: paymentMethodIdToCharge,
-        amount: perInvoicePrice,
-        currency: 'brl',
-        description: `MAY - Nota Fiscal: ${actionData.cliente_nome} - R$ ${invoiceValue.toFixed(2)}`,
-        metadata: {
-          userId: userId,
-          companyId: company.id,
-          invoiceValue: invoiceValue.toString(),
-          clienteName: actionData.cliente_nome,
-          type: 'pay_per_use_invoice'
-        }
-      });
-      
-      if (!paymentResult.success) {
-        if (paymentResult.requiresAction) {
-          throw new AppError(
-            'Seu cartão requer autenticação adicional (3D Secure).\n\n' +
-            'Por favor, acesse **Configurações** > **Assinatura** para completar a verificação do cartão.',
-            402,
-            'PAYMENT_REQUIRES_ACTION',
-            { clientSecret: paymentResult.clientSecret }
-          );
-        }
-        throw new AppError('Falha no pagamento. Verifique seu cartão.', 402, 'PAYMENT_FAILED');
-      }
-      
-      console.log('[Invoice] ✅ Pay Per Use payment successful:', paymentResult.paymentIntentId);
-      
-      // Create InvoiceUsage record
-      const now = new Date();
-      invoiceUsageRecord = await prisma.invoiceUsage.create({
-        data: {
-          userId: userId,
-          companyId: company.id,
-          planId: 'pay_per_use',
-          periodYear: now.getFullYear(),
-          periodMonth: now.getMonth() + 1,
-          amount: perInvoicePrice,
-          status: 'paid',
-          paymentOrderId: paymentResult.paymentIntentId
-        }
-      });
-      
-      console.log('[Invoice] InvoiceUsage record created:', invoiceUsageRecord.id);
-      
-    } catch (paymentError) {
-      console.error('[Invoice] Pay Per Use payment failed:', paymentError.message);
-      
-      // Translate common Stripe errors
-      let errorMessage = 'Não foi possível processar o pagamento.';
-      
-      if (paymentError.message.includes('CARD_ERROR')) {
-        errorMessage = 'Cartão recusado. Por favor, verifique os dados do cartão ou tente outro cartão.';
-      } else if (paymentError.message.includes('PAYMENT_METHOD_REQUIRED')) {
-        errorMessage = 'Método de pagamento não encontrado. Cadastre um cartão em Configurações > Assinatura.';
-      } else if (paymentError.code === 'PAYMENT_REQUIRES_ACTION') {
-        throw paymentError; // Re-throw to preserve the error details
-      }
-      
-      // Create failed InvoiceUsage record for tracking
-      await prisma.invoiceUsage.create({
-        data: {
-          userId: userId,
-          companyId: company.id,
-          planId: 'pay_per_use',
-          periodYear: new Date().getFullYear(),
-          periodMonth: new Date().getMonth() + 1,
-          amount: perInvoicePrice,
-          status: 'failed',
-          paymentOrderId: null
-        }
-      });
-      
-      throw new AppError(
-        `💳 **Pagamento não autorizado**\n\n${errorMessage}\n\n` +
-        `O plano Pay per Use cobra R$ 9,00 por nota fiscal emitida.\n\n` +
-        `Acesse **Configurações** > **Assinatura** para atualizar seu cartão.`,
-        402,
-        'PAYMENT_FAILED'
-      );
-    }
-  }
-
-  // Check if ACBr API is configured
-  if (!isAcbrApiConfigured()) {
-    throw new AppError(
-      'Integração fiscal não configurada. Para emitir notas fiscais, configure as credenciais da ACBr API (ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET).',
-      503,
-      'SERVICE_NOT_CONFIGURED'
-    );
-  }
-
-  // Validate required fields
-  if (!actionData.cliente_nome) {
-    throw new AppError('Nome do cliente é obrigatório', 400, 'VALIDATION_ERROR');
-  }
-  if (!actionData.valor || parseFloat(actionData.valor) <= 0) {
-    throw new AppError('Valor deve ser maior que zero', 400, 'VALIDATION_ERROR');
-  }
-
-  // Check if company is registered in ACBr API
-  if (!company.acbrApiId) {
-    throw new AppError(
-      'Empresa não registrada na ACBr API. Por favor, registre a empresa primeiro usando o botão "Verificar conexão com prefeitura".',
-      400,
-      'COMPANY_NOT_REGISTERED'
-    );
-  }
-
-  // Validate municipality support before issuance (non-blocking)
-  const { validateMunicipalitySupport } = await import('../services/municipalityService.js');
-  try {
-    await validateMunicipalitySupport(company);
-  } catch (municipalityError) {
-    if (!company.codigoMunicipio || company.codigoMunicipio.replace(/\D/g, '').length !== 7) {
-    throw new AppError(
-        'Código do município (IBGE) não configurado ou inválido. Acesse "Minha Empresa" e preencha o CEP para obter o código automaticamente.',
-      400,
-        'MUNICIPALITY_NOT_CONFIGURED',
-      { codigo_municipio: company.codigoMunicipio }
-    );
-    }
-    console.warn(`[Invoice] Municipality validation warning: ${municipalityError.message}. Proceeding anyway.`);
-  }
-
-  // Validate fiscal connection before issuance (non-blocking for testing)
-  const { validateFiscalConnection } = await import('../services/acbrConnectionService.js');
-  let fiscalConnectionValid = true;
-  try {
-    await validateFiscalConnection(company);
-  } catch (connectionError) {
-    fiscalConnectionValid = false;
-    console.warn(`[Invoice] Fiscal connection warning: ${connectionError.message}. Proceeding to let ACBr API validate.`);
-    
-    // Handle different connection error types
-    if (connectionError.code === 'FISCAL_NOT_CONNECTED') {
-      if (!company.fiscalCredential) {
-    throw new AppError(
-        'Certificado digital não configurado.\n\nPara emitir notas fiscais, você precisa:\n1. Ir em "Minha Empresa"\n2. Na aba "Integração Fiscal", fazer upload do certificado digital (.pfx)\n3. Informar a senha do certificado\n\nSe você não possui um certificado digital, adquira um e-CNPJ A1 ou A3.',
-      400,
-        'CERTIFICATE_REQUIRED',
-        { step: 'upload_certificate' }
-    );
-      } else {
-        // Has credential but not connected - might need to test connection
-        throw new AppError(
-          'Empresa cadastrada, mas conexão não estabelecida.\n\nConfigure certificado digital ou credenciais municipais e teste a conexão na aba "Integração Fiscal".',
-          400,
-          'NOT_CONNECTED',
-          { step: 'test_connection' }
-        );
-      }
-    }
-  }
-
-  // Validate certificate not expired
-  const { validateCertificateNotExpired } = await import('../services/certificateLifecycleService.js');
-  try {
-    await validateCertificateNotExpired(company.id);
-  } catch (certError) {
-    const { translateErrorForUser } = await import('../services/errorTranslationService.js');
-    const translatedError = translateErrorForUser(certError, {
-      municipality: company.cidade
-    });
-    
-    throw new AppError(
-      translatedError,
-      400,
-      'CERTIFICATE_EXPIRED',
-      { companyId: company.id }
-    );
-  }
-
-  // ============================================
-  // Client Validation and Auto-Creation
-  // ============================================
-  let clientData = {
-    nome: actionData.cliente_nome,
-    documento: actionData.cliente_documento ? actionData.cliente_documento.replace(/\D/g, '') : ''
-  };
-  
-  // Try to find existing client by document first (most reliable)
-  if (clientData.documento) {
-    const existingByDoc = await prisma.client.findFirst({
-      where: {
-        userId: userId,
-        documento: clientData.documento
-      }
-    });
-    
-    if (existingByDoc) {
-      console.log(`[Invoice] Found client by document: ${existingByDoc.nome} (${existingByDoc.documento})`);
-      clientData.nome = existingByDoc.nome;
-      clientData.documento = existingByDoc.documento;
-      clientData.id = existingByDoc.id;
-    } else {
-      // Client with this document doesn't exist - auto-create
-      console.log(`[Invoice] Client not found by document, auto-creating...`);
-      const tipoPessoa = clientData.documento.length === 11 ? 'pf' : 'pj';
-      
-      const newClient = await prisma.client.create({
-        data: {
-          userId: userId,
-          nome: clientData.nome,
-          documento: clientData.documento,
-          tipoPessoa
-        }
-      });
-      
-      console.log(`[Invoice] Auto-created client: ${newClient.nome} (${newClient.documento})`);
-      clientData.id = newClient.id;
-    }
-  } else {
-    // No document provided - try to find by name
-    const existingByName = await prisma.client.findFirst({
-      where: {
-        userId: userId,
-        nome: {
-          contains: actionData.cliente_nome,
-          mode: 'insensitive'
-        }
-      }
-    });
-    
-    if (existingByName) {
-      console.log(`[Invoice] Found client by name: ${existingByName.nome} (${existingByName.documento})`);
-      clientData.nome = existingByName.nome;
-      clientData.documento = existingByName.documento;
-      clientData.id = existingByName.id;
-    } else {
-      // Client not found and no document - return error
-      throw new AppError(
-        `Cliente "${actionData.cliente_nome}" não encontrado no cadastro.\n\n` +
-        `Para emitir a nota, você precisa:\n` +
-        `1. Informar o CPF ou CNPJ do cliente, ou\n` +
-        `2. Cadastrar o cliente primeiro dizendo:\n   "Cadastrar cliente ${actionData.cliente_nome} CPF 123.456.789-00"`,
-        400,
-        'CLIENT_NOT_FOUND',
-        { 
-          clienteName: actionData.cliente_nome,
-          requiresDocument: true 
-        }
-      );
-    }
-  }
-  
-  console.log(`[Invoice] Using client data: ${clientData.nome} (${clientData.documento})`);
-
-  // Get regime-specific defaults
-  const regimeDefaults = getRegimeInvoiceDefaults(company.regimeTributario, company);
-  const recommendedIssRate = getRecommendedIssRate(company.regimeTributario, company);
-  
-  // Prepare invoice data with regime-specific defaults and validated client data
-  const invoiceData = {
-    cliente_nome: clientData.nome,
-    cliente_documento: clientData.documento,
-    descricao_servico: actionData.descricao_servico || 'Serviço prestado',
-    valor: parseFloat(actionData.valor),
-    aliquota_iss: parseFloat(actionData.aliquota_iss || recommendedIssRate || regimeDefaults.aliquota_iss),
-    municipio: actionData.municipio || company.cidade,
-    data_prestacao: actionData.data_prestacao || new Date().toISOString().split('T')[0],
-    codigo_servico: actionData.codigo_servico || regimeDefaults.codigo_servico,
-    iss_retido: actionData.iss_retido || regimeDefaults.iss_retido
-  };
-
-  // Validate invoice against regime rules
-  const validation = await validateInvoiceForRegime(invoiceData, company);
-  if (!validation.valid) {
-    throw new AppError(
-      `Validação do regime tributário falhou: ${validation.errors.join(', ')}`,
-      400,
-      'REGIME_VALIDATION_ERROR'
-    );
-  }
-
-  try {
-    // Atomic next RPS numero per company (concurrent-safe for DPS numbering)
-    const { lastRpsNumero: nextRpsNumero } = await prisma.company.update({
-      where: { id: company.id },
-      data: { lastRpsNumero: { increment: 1 } },
-      select: { lastRpsNumero: true }
-    });
-    const companyForEmission = { ...company, nextRpsNumero };
-
-    // Emit NFS-e via real ACBr API
-    const nfseResult = await emitNfse(invoiceData, companyForEmission);
-
-    // Calculate ISS value
-    const valorIss = (invoiceData.valor * invoiceData.aliquota_iss) / 100;
-
-    // Save invoice to database
-    const invoice = await prisma.invoice.create({
-      data: {
-        companyId: company.id,
-        clienteNome: invoiceData.cliente_nome,
-        clienteDocumento: invoiceData.cliente_documento || '',
-        descricaoServico: invoiceData.descricao_servico,
-        valor: invoiceData.valor,
-        aliquotaIss: invoiceData.aliquota_iss,
-        valorIss: valorIss,
-        municipio: invoiceData.municipio,
-        status: nfseResult.nfse.status || 'processando',
-        numero: nfseResult.nfse.numero ? String(nfseResult.nfse.numero) : null,
-        codigoVerificacao: nfseResult.nfse.codigo_verificacao,
-        dataEmissao: new Date(),
-        dataPrestacao: new Date(invoiceData.data_prestacao),
-        codigoServico: invoiceData.codigo_servico,
-        pdfUrl: nfseResult.nfse.pdf_url,
-        xmlUrl: nfseResult.nfse.xml_url,
-        acbrApiId: nfseResult.nfse.acbr_api_id,
-        // Link to InvoiceUsage record for Pay Per Use tracking
-        invoiceUsageId: invoiceUsageRecord?.id || null
-      }
-    });
-    
-    // Update InvoiceUsage with invoice ID (for Pay Per Use tracking)
-    if (invoiceUsageRecord) {
-      await prisma.invoiceUsage.update({
-        where: { id: invoiceUsageRecord.id },
-        data: { invoiceId: invoice.id }
-      });
-      console.log('[Invoice] InvoiceUsage linked to invoice:', invoice.id);
-    }
-
-    // Create initial status history entry
-    await prisma.invoiceStatusHistory.create({
-      data: {
-        invoiceId: invoice.id,
-        status: invoice.status,
-        message: 'Nota fiscal criada e enviada para processamento',
-        source: 'api',
-        metadata: {
-          acbr_api_id: nfseResult.nfse.acbr_api_id,
-          initial_status: invoice.status
-        }
-      }
-    });
-
-    // If status is 'processando', it will be polled automatically by background service
-    if (invoice.status === 'processando' || invoice.status === 'pendente') {
-      console.log(`[Invoice] Invoice ${invoice.id} is processing, will be polled automatically`);
-    }
-
-    // Create success notification
-    await prisma.notification.create({
-      data: {
-        userId: userId,
-        titulo: 'Nota Fiscal Emitida',
-        mensagem: `Nota fiscal ${invoice.numero || 'NFS-e'} emitida com sucesso para ${invoiceData.cliente_nome}`,
-        tipo: 'sucesso',
-        invoiceId: invoice.id
-      }
-    });
-
-    return sendSuccess(res, 'Nota fiscal emitida com sucesso via IA', {
-      invoice: {
-        id: invoice.id,
-        numero: invoice.numero,
-        status: invoice.status,
-        codigo_verificacao: invoice.codigoVerificacao,
-        pdf_url: invoice.pdfUrl,
-        xml_url: invoice.xmlUrl,
-        cliente_nome: invoice.clienteNome,
-        valor: parseFloat(invoice.valor)
-      }
-    }, 201);
-  } catch (error) {
-    console.error('[AI Action] Error emitting invoice:', error);
-    console.error('[AI Action] Error status:', error.status);
-    console.error('[AI Action] Error code:', error.code);
-
-    // Translate error to user-friendly Portuguese
-    const { translateErrorForUser } = await import('../services/errorTranslationService.js');
-    const translatedError = translateErrorForUser(error, {
-      municipality: company.cidade,
-      companyName: company.razaoSocial || company.nomeFantasia,
-      includeTechnicalDetails: false
-    });
-
-    // Create error notification with translated message
-    await prisma.notification.create({
-      data: {
-        userId: userId,
-        titulo: 'Erro ao Emitir Nota Fiscal',
-        mensagem: translatedError,
-        tipo: 'erro'
-      }
-    });
-
-    // Preserve the error code from ACBr API (especially for 403 permission errors)
-    // This ensures we show the correct error type (municipality permission vs plan limit)
-    const errorCode = error.code || (error.status === 403 ? 'MUNICIPALITY_PERMISSION_DENIED' : (error.status === 401 ? 'MUNICIPALITY_AUTH_ERROR' : 'INVOICE_EMISSION_ERROR'));
-    const statusCode = error.status || 500;
-
-    // Throw translated error with correct code
-    throw new AppError(
-      translatedError,
-      statusCode,
-      errorCode,
-      { originalError: error.message } // Keep original for debugging
-    );
-  }
+  return sendSuccess(res, 'Emissão da nota fiscal iniciada', { job }, 202);
 }
 
 /**
@@ -3854,7 +3345,10 @@ async function executeCheckStatus(actionData, company, res) {
 
   try {
     // Check status with ACBr API
-    const statusResult = await checkNfseStatus(company.acbrApiId, invoice.acbrApiId);
+    const statusResult = await getFiscalProvider(company, { nfseId: invoice.acbrApiId })
+      .checkNfseStatus(company.acbrApiId, invoice.acbrApiId);
+    // A provider that no longer knows the note (mock after a restart) keeps the current status
+    statusResult.status = statusResult.status || invoice.status;
 
     // Update invoice status in database
     await prisma.invoice.update({
@@ -3900,8 +3394,7 @@ async function executeCheckConnection(company, res) {
   }
 
   try {
-    const { checkConnection } = await import('../services/acbrApi.js');
-    const connectionResult = await checkConnection(company.acbrApiId);
+    const connectionResult = await getFiscalProvider(company).checkConnection(company.acbrApiId);
 
     await prisma.fiscalIntegrationStatus.upsert({
       where: { companyId: company.id },
@@ -3977,8 +3470,8 @@ async function executeCancelNfse(actionData, company, userId, res) {
   }
 
   try {
-    const { cancelNfse } = await import('../services/acbrApi.js');
-    const cancelResult = await cancelNfse(company.acbrApiId, invoice.acbrApiId, reason);
+    const cancelResult = await getFiscalProvider(company, { nfseId: invoice.acbrApiId })
+      .cancelNfse(company.acbrApiId, invoice.acbrApiId, reason);
 
     await prisma.invoice.update({
       where: { id: invoice.id },
@@ -4017,6 +3510,91 @@ async function executeCancelNfse(actionData, company, userId, res) {
   }
 }
 
+/**
+ * Execute substituir_nfse action - Replace an authorized invoice with a corrected one
+ */
+async function executeSubstituteNfse(actionData, company, userId, res) {
+  const { invoice_id, numero, reason, value, service_description, iss_rate } = actionData;
+
+  if (!invoice_id && !numero) {
+    throw new AppError('ID ou número da nota fiscal é obrigatório', 400, 'VALIDATION_ERROR');
+  }
+
+  // The assistant may send either the invoice ID or its number in invoice_id
+  const original = await prisma.invoice.findFirst({
+    where: {
+      companyId: company.id,
+      ...(invoice_id
+        ? { OR: [{ id: invoice_id }, { numero: String(invoice_id) }] }
+        : { numero: numero })
+    }
+  });
+
+  if (!original) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+
+  const { substituteInvoice } = await import('../services/invoiceSubstitutionService.js');
+  const { invoice } = await substituteInvoice(original.id, userId, {
+    ...(value !== undefined && value !== null && { valor: value }),
+    ...(service_description && { descricao_servico: service_description }),
+    ...(iss_rate !== undefined && iss_rate !== null && { aliquota_iss: iss_rate })
+  }, {
+    codigoMotivo: '99',
+    motivo: reason,
+    source: 'api'
+  });
+
+  return sendSuccess(res, invoice.status === 'autorizada'
+    ? 'Nota fiscal substituída com sucesso'
+    : 'Nota substituta enviada para processamento', {
+    invoice_id: invoice.id,
+    numero: invoice.numero,
+    status: invoice.status,
+    substitutes_invoice_id: original.id,
+    substitutes_numero: original.numero,
+    substitution_reason: invoice.substitutionReason
+  });
+}
+
+/**
+ * Execute reenviar_nfse action - Send an authorized invoice to the client's email
+ */
+async function executeResendNfse(actionData, company, res) {
+  const { invoice_id, numero, email } = actionData;
+
+  if (!invoice_id && !numero) {
+    throw new AppError('ID ou número da nota fiscal é obrigatório', 400, 'VALIDATION_ERROR');
+  }
+
+  // The assistant may send either the invoice ID or its number in invoice_id
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      companyId: company.id,
+      ...(invoice_id
+        ? { OR: [{ id: invoice_id }, { numero: String(invoice_id) }] }
+        : { numero: numero })
+    },
+    select: { id: true, numero: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+
+  const { deliverInvoiceToClient, transformDelivery } = await import('../services/invoiceDeliveryService.js');
+  const delivery = await deliverInvoiceToClient(invoice.id, {
+    trigger: 'manual',
+    email: email || undefined
+  });
+
+  return sendSuccess(res, `Nota fiscal enviada para ${delivery.recipient}`, {
+    invoice_id: invoice.id,
+    numero: invoice.numero,
+    delivery: transformDelivery(delivery)
+  });
+}
+
 /**
  * Execute listar_notas action - List invoices with filters
  */
@@ -4416,6 +3994,8 @@ AÇÕES DE CLIENTES:
 AÇÕES DISPONÍVEIS:
 - emitir_nfse: Emitir nota fiscal (SEMPRE requer confirmação)
 - cancelar_nfse: Cancelar nota fiscal (requer motivo com 15+ caracteres)
+- substituir_nfse: Substituir nota autorizada por uma nota corrigida (requer motivo com 15+ caracteres; o tomador não muda)
+- reenviar_nfse: Reenviar nota autorizada (PDF e XML) para o email do cliente
 - listar_notas: Listar notas com filtros (status, período, cliente, empresa)
 - consultar_status: Verificar status de uma nota específica
 - consultar_faturamento: Verificar faturamento do período
@@ -5,6 +5,12 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
 import { sendSuccess } from '../utils/response.js';
+import {
+  FEDERAL_RETENTION_TYPES,
+  buildClientRetentionFields,
+  transformClientRetentions
+} from '../services/federalRetentions.js';
+import { isForeignClient, normalizeCountry, validateForeignClient } from '../services/foreignTomador.js';
 
 const router = express.Router();
 
@@ -44,8 +50,14 @@ const transformClient = (client) => {
     cidade: client.cidade,
     uf: client.uf,
     codigo_municipio: client.codigoMunicipio,
+    pais: client.pais,
+    nif: client.nif,
+    estado_provincia: client.estadoProvincia,
+    codigo_postal: client.codigoPostal,
     apelido: client.apelido,
     notas: client.notas,
+    enviar_nfse_email: client.enviarNfseEmail !== false,
+    ...transformClientRetentions(client),
     ativo: client.ativo,
     created_at: client.createdAt,
     updated_at: client.updatedAt,
@@ -250,7 +262,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
 router.post('/',
   [
     body('nome').trim().notEmpty().withMessage('Nome é obrigatório'),
-    body('documento').trim().notEmpty().withMessage('Documento (CPF/CNPJ) é obrigatório'),
+    body('documento').if((value, { req }) => !isForeignClient(req.body)).trim().notEmpty().withMessage('Documento (CPF/CNPJ) é obrigatório'),
     body('tipo_pessoa').optional().isIn(['pf', 'pj']).withMessage('Tipo de pessoa deve ser pf ou pj'),
     body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email inválido'),
     body('telefone').optional({ nullable: true, checkFalsy: true }),
@@ -262,8 +274,16 @@ router.post('/',
     body('cidade').optional({ nullable: true, checkFalsy: true }),
     body('uf').optional({ nullable: true, checkFalsy: true }).isLength({ min: 2, max: 2 }).withMessage('UF deve ter 2 caracteres'),
     body('codigo_municipio').optional({ nullable: true, checkFalsy: true }),
+    body('pais').optional({ nullable: true, checkFalsy: true }).isLength({ min: 2, max: 2 }).withMessage('País deve ser o código ISO de 2 letras'),
+    body('nif').optional({ nullable: true, checkFalsy: true }).isLength({ max: 40 }),
+    body('estado_provincia').optional({ nullable: true, checkFalsy: true }),
+    body('codigo_postal').optional({ nullable: true, checkFalsy: true }).isLength({ max: 11 }).withMessage('Código postal deve ter até 11 caracteres'),
     body('apelido').optional({ nullable: true, checkFalsy: true }),
     body('notas').optional({ nullable: true, checkFalsy: true }),
+    body('enviar_nfse_email').optional().isBoolean().withMessage('enviar_nfse_email deve ser true ou false').toBoolean(),
+    ...FEDERAL_RETENTION_TYPES.map(type =>
+      body(`aliquota_${type}`).optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Alíquota de retenção deve estar entre 0 e 100%')
+    ),
   ],
   validateRequest,
   asyncHandler(async (req, res) => {
@@ -281,9 +301,57 @@ router.post('/',
       cidade,
       uf,
       codigo_municipio,
+      pais,
+      nif,
+      estado_provincia,
+      codigo_postal,
       apelido,
-      notas
+      notas,
+      enviar_nfse_email
     } = req.body;
+
+    // Foreign clients (tomador estrangeiro) have no CPF/CNPJ
+    if (isForeignClient(req.body)) {
+      const foreignErrors = validateForeignClient(req.body);
+      if (foreignErrors.length > 0) {
+        throw new AppError(foreignErrors.join(', '), 400, 'VALIDATION_ERROR');
+      }
+
+      if (nif?.trim()) {
+        const existingForeign = await prisma.client.findFirst({
+          where: { userId: req.user.id, pais: normalizeCountry(pais), nif: nif.trim() }
+        });
+        if (existingForeign) {
+          throw new AppError('Já existe um cliente cadastrado com este NIF', 400, 'DUPLICATE_DOCUMENT');
+        }
+      }
+
+      const client = await prisma.client.create({
+        data: {
+          userId: req.user.id,
+          nome: nome.trim(),
+          documento: '',
+          tipoPessoa: tipo_pessoa || 'pj',
+          pais: normalizeCountry(pais),
+          nif: nif?.trim() || null,
+          email: email?.trim() || null,
+          telefone: telefone?.trim() || null,
+          logradouro: logradouro?.trim() || null,
+          numero: numero?.trim() || null,
+          complemento: complemento?.trim() || null,
+          bairro: bairro?.trim() || null,
+          cidade: cidade?.trim() || null,
+          estadoProvincia: estado_provincia?.trim() || null,
+          codigoPostal: codigo_postal?.trim() || null,
+          apelido: apelido?.trim() || null,
+          notas: notas?.trim() || null,
+          enviarNfseEmail: enviar_nfse_email ?? true,
+          ...buildClientRetentionFields(req.body),
+        }
+      });
+
+      return sendSuccess(res, { client: transformClient(client) }, 201);
+    }
     
     // Auto-detect tipo_pessoa from document length if not provided
     const cleanedDoc = documento.replace(/\D/g, '');
@@ -331,6 +399,8 @@ router.post('/',
         codigoMunicipio: codigo_municipio?.trim() || null,
         apelido: apelido?.trim() || null,
         notas: notas?.trim() || null,
+        enviarNfseEmail: enviar_nfse_email ?? true,
+        ...buildClientRetentionFields(req.body),
       }
     });
 
@@ -357,9 +427,17 @@ router.put('/:id',
     body('cidade').optional({ nullable: true, checkFalsy: true }),
     body('uf').optional({ nullable: true, checkFalsy: true }).isLength({ min: 2, max: 2 }).withMessage('UF deve ter 2 caracteres'),
     body('codigo_municipio').optional({ nullable: true, checkFalsy: true }),
+    body('pais').optional({ nullable: true, checkFalsy: true }).isLength({ min: 2, max: 2 }).withMessage('País deve ser o código ISO de 2 letras'),
+    body('nif').optional({ nullable: true, checkFalsy: true }).isLength({ max: 40 }),
+    body('estado_provincia').optional({ nullable: true, checkFalsy: true }),
+    body('codigo_postal').optional({ nullable: true, checkFalsy: true }).isLength({ max: 11 }).withMessage('Código postal deve ter até 11 caracteres'),
     body('apelido').optional({ nullable: true, checkFalsy: true }),
     body('notas').optional({ nullable: true, checkFalsy: true }),
     body('ativo').optional().isBoolean().withMessage('Ativo deve ser true ou false'),
+    body('enviar_nfse_email').optional().isBoolean().withMessage('enviar_nfse_email deve ser true ou false').toBoolean(),
+    ...FEDERAL_RETENTION_TYPES.map(type =>
+      body(`aliquota_${type}`).optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }).withMessage('Alíquota de retenção deve estar entre 0 e 100%')
+    ),
   ],
   validateRequest,
   asyncHandler(async (req, res) => {
@@ -391,9 +469,14 @@ router.put('/:id',
       cidade,
       uf,
       codigo_municipio,
+      pais,
+      nif,
+      estado_provincia,
+      codigo_postal,
       apelido,
       notas,
-      ativo
+      ativo,
+      enviar_nfse_email
     } = req.body;
     
     // Prepare update data
@@ -411,12 +494,33 @@ router.put('/:id',
     if (cidade !== undefined) updateData.cidade = cidade?.trim() || null;
     if (uf !== undefined) updateData.uf = uf?.toUpperCase().trim() || null;
     if (codigo_municipio !== undefined) updateData.codigoMunicipio = codigo_municipio?.trim() || null;
+    if (pais !== undefined) updateData.pais = normalizeCountry(pais);
+    if (nif !== undefined) updateData.nif = nif?.trim() || null;
+    if (estado_provincia !== undefined) updateData.estadoProvincia = estado_provincia?.trim() || null;
+    if (codigo_postal !== undefined) updateData.codigoPostal = codigo_postal?.trim() || null;
     if (apelido !== undefined) updateData.apelido = apelido?.trim() || null;
     if (notas !== undefined) updateData.notas = notas?.trim() || null;
     if (ativo !== undefined) updateData.ativo = ativo;
+    if (enviar_nfse_email !== undefined) updateData.enviarNfseEmail = enviar_nfse_email;
+    Object.assign(updateData, buildClientRetentionFields(req.body));
     
+    const foreign = isForeignClient({ pais: updateData.pais ?? existingClient.pais });
+    if (foreign) {
+      const foreignErrors = validateForeignClient({
+        pais: updateData.pais ?? existingClient.pais,
+        cidade: updateData.cidade !== undefined ? updateData.cidade : existingClient.cidade
+      });
+      if (foreignErrors.length > 0) {
+        throw new AppError(foreignErrors.join(', '), 400, 'VALIDATION_ERROR');
+      }
+      // Foreign clients are identified by NIF, not CPF/CNPJ
+      updateData.documento = '';
+    } else if (!existingClient.documento && documento === undefined) {
+      throw new AppError('Documento (CPF/CNPJ) é obrigatório para clientes no Brasil', 400, 'VALIDATION_ERROR');
+    }
+
     // Handle document update
-    if (documento !== undefined) {
+    if (documento !== undefined && !foreign) {
       const cleanedDoc = documento.replace(/\D/g, '');
       const tipoPessoa = tipo_pessoa || (cleanedDoc.length === 11 ? 'pf' : 'pj');
       
@@ -6,8 +6,31 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
 import { fiscalConnectionLimiter } from '../middleware/rateLimiter.js';
-import { registerCompany, checkConnection, isAcbrApiConfigured } from '../services/acbrApi.js';
-import { getMEILimitStatus } from '../services/meiLimitTracking.js';
+import { getFiscalProvider, isFiscalProviderConfigured } from '../services/fiscalProvider.js';
+import { getMEILimitStatus, validateMEISettings } from '../services/meiLimitTracking.js';
+import { normalizePixKey, validatePixKey } from '../services/pixService.js';
+import { parseCompetencia, packageFilename, writeFiscalPackage } from '../services/fiscalPackageService.js';
+import {
+  validateSimplesSettings,
+  getCompanyFatorR,
+  listPayrolls,
+  savePayroll,
+  deletePayroll,
+  FATOR_R_THRESHOLD
+} from '../services/simplesNacionalService.js';
+import { validateLucroPresumidoSettings } from '../services/lucroPresumidoService.js';
+import { checkRegimeChangeRecommendation } from '../services/regimeRules.js';
+import {
+  MAX_LOGO_SIZE,
+  LOGO_MIME_TYPES,
+  validateBrandingSettings,
+  buildBrandingUpdate,
+  resolveBranding,
+  getCompanyBranding,
+  saveCompanyLogo,
+  removeCompanyLogo,
+  buildSampleInvoice
+} from '../services/companyBrandingService.js';
 import { sendSuccess } from '../utils/response.js';
 
 const router = express.Router();
@@ -24,6 +47,18 @@ const certificateUpload = multer({
   }
 }).single('certificate');
 
+const logoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LOGO_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (LOGO_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Envie o logo em PNG ou JPEG'), false);
+    }
+  }
+}).single('logo');
+
 // All routes require authentication and active subscription
 router.use(authenticate);
 router.use(asyncHandler(requireActiveSubscription));
@@ -66,6 +101,10 @@ const transformCompany = (company) => {
     uf: company.uf,
     cnae_principal: company.cnaePrincipal,
     regime_tributario: company.regimeTributario,
+    data_abertura: company.dataAbertura,
+    anexo_simples: company.anexoSimples,
+    sujeito_fator_r: company.sujeitoFatorR,
+    atividade_presumido: company.atividadePresumido,
     certificado_digital: company.certificadoDigital,
     email: company.email,
     telefone: company.telefone,
@@ -79,11 +118,75 @@ const transformCompany = (company) => {
     codigo_municipio: company.codigoMunicipio,
     fiscal_connection_status: fiscalConnectionStatus,
     fiscal_connection_error: fiscalConnectionError,
+    // NFS-e email template (null = default template)
+    email_nfse_assunto: company.emailNfseAssunto ?? null,
+    email_nfse_mensagem: company.emailNfseMensagem ?? null,
+    // Receivables
+    prazo_pagamento_dias: company.prazoPagamentoDias ?? null,
+    lembrete_cobranca_ativo: company.lembreteCobrancaAtivo === true,
+    lembrete_cobranca_dias: company.lembreteCobrancaDias ?? null,
+    pix_chave: company.pixChave ?? null,
+    pix_tipo_chave: company.pixTipoChave ?? null,
+    // Monthly fiscal package for the accountant
+    contador_email: company.contadorEmail ?? null,
+    pacote_mensal_ativo: company.pacoteMensalAtivo === true,
+    ultimo_pacote_competencia: company.ultimoPacoteCompetencia ?? null,
+    // Branding of PDFs and client emails (null = MAY defaults)
+    marca_cor_primaria: company.marcaCorPrimaria ?? null,
+    marca_cor_secundaria: company.marcaCorSecundaria ?? null,
+    marca_rodape: company.marcaRodape ?? null,
+    marca_contato: company.marcaContato ?? null,
+    marca_logo_atualizado_em: company.marcaLogoAtualizadoEm ?? null,
     created_at: company.createdAt,
     updated_at: company.updatedAt,
   };
 };
 
+// Payment term, overdue reminder schedule (days after the due date) and PIX key
+const validateReceivableSettings = ({ prazo_pagamento_dias, lembrete_cobranca_dias, pix_chave, pix_tipo_chave }) => {
+  const errors = [];
+  if (prazo_pagamento_dias !== undefined && prazo_pagamento_dias !== null && prazo_pagamento_dias !== '') {
+    const prazo = Number(prazo_pagamento_dias);
+    if (!Number.isInteger(prazo) || prazo < 0 || prazo > 365) {
+      errors.push('Prazo de pagamento deve ser um número de dias entre 0 e 365');
+    }
+  }
+  if (lembrete_cobranca_dias !== undefined && lembrete_cobranca_dias !== null) {
+    if (!Array.isArray(lembrete_cobranca_dias) || lembrete_cobranca_dias.length > 10 ||
+        !lembrete_cobranca_dias.every(day => Number.isInteger(Number(day)) && Number(day) > 0 && Number(day) <= 365)) {
+      errors.push('Dias de lembrete devem ser uma lista de até 10 números entre 1 e 365');
+    }
+  }
+  if (pix_chave) {
+    const pixError = validatePixKey(pix_tipo_chave, pix_chave);
+    if (pixError) errors.push(pixError);
+  }
+  return errors;
+};
+
+// Empty means "no default term" (invoices fall back to the emission date)
+const parseDueDays = (value) =>
+  value === undefined || value === null || value === '' ? null : parseInt(value, 10);
+
+// Deduplicated, ascending; an empty list falls back to the default schedule
+const normalizeReminderDays = (days) =>
+  Array.isArray(days) && days.length > 0
+    ? [...new Set(days.map(Number))].sort((a, b) => a - b)
+    : null;
+
+// Accountant address for the monthly fiscal package (required to enable the automatic email)
+const validateAccountantSettings = ({ contador_email, pacote_mensal_ativo }, existing = null) => {
+  const errors = [];
+  const email = contador_email !== undefined ? contador_email?.trim() : existing?.contadorEmail;
+  if (contador_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contador_email.trim())) {
+    errors.push('Email do contador inválido');
+  }
+  if ((pacote_mensal_ativo === true || pacote_mensal_ativo === 'true') && !email) {
+    errors.push('Informe o email do contador para ativar o envio mensal do pacote fiscal');
+  }
+  return errors;
+};
+
 /**
  * GET /api/companies
  * List all companies for the current user
@@ -138,6 +241,10 @@ router.post('/', [
     uf,
     cnae_principal,
     regime_tributario,
+    data_abertura,
+    anexo_simples,
+    sujeito_fator_r,
+    atividade_presumido,
     certificado_digital,
     email,
     telefone,
@@ -147,11 +254,35 @@ router.post('/', [
     logradouro,
     numero,
     bairro,
-    codigo_municipio
+    codigo_municipio,
+    // NFS-e email template
+    email_nfse_assunto,
+    email_nfse_mensagem,
+    // Receivables
+    prazo_pagamento_dias,
+    lembrete_cobranca_ativo,
+    lembrete_cobranca_dias,
+    pix_chave,
+    pix_tipo_chave,
+    // Monthly fiscal package
+    contador_email,
+    pacote_mensal_ativo
   } = req.body;
 
   const userId = req.user.id;
 
+  const settingsErrors = [
+    ...validateReceivableSettings(req.body),
+    ...validateAccountantSettings(req.body),
+    ...validateBrandingSettings(req.body),
+    ...validateSimplesSettings(req.body),
+    ...validateLucroPresumidoSettings(req.body),
+    ...validateMEISettings(req.body)
+  ];
+  if (settingsErrors.length > 0) {
+    throw new AppError(settingsErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
   // Validate CNPJ uniqueness per user (different users CAN register same CNPJ)
   const { validateCNPJUniqueness, checkCompanyLimit, validateTargetAudience, getUpgradeOptions, getUserPlanId, getPlanConfig } = await import('../services/planService.js');
   const cnpjCheck = await validateCNPJUniqueness(cnpj, userId);
@@ -201,6 +332,10 @@ router.post('/', [
       uf,
       cnaePrincipal: cnae_principal,
       regimeTributario: regime_tributario,
+      dataAbertura: data_abertura ? new Date(data_abertura) : null,
+      anexoSimples: anexo_simples || null,
+      sujeitoFatorR: sujeito_fator_r === true || sujeito_fator_r === 'true',
+      atividadePresumido: atividade_presumido || null,
       certificadoDigital: certificado_digital || false,
       email,
       telefone,
@@ -210,7 +345,17 @@ router.post('/', [
       logradouro,
       numero,
       bairro,
-      codigoMunicipio: codigo_municipio
+      codigoMunicipio: codigo_municipio,
+      emailNfseAssunto: email_nfse_assunto?.trim() || null,
+      emailNfseMensagem: email_nfse_mensagem?.trim() || null,
+      prazoPagamentoDias: parseDueDays(prazo_pagamento_dias),
+      lembreteCobrancaAtivo: lembrete_cobranca_ativo === true || lembrete_cobranca_ativo === 'true',
+      lembreteCobrancaDias: normalizeReminderDays(lembrete_cobranca_dias),
+      pixChave: pix_chave ? normalizePixKey(pix_tipo_chave, pix_chave) : null,
+      pixTipoChave: pix_chave ? pix_tipo_chave : null,
+      contadorEmail: contador_email?.trim() || null,
+      pacoteMensalAtivo: pacote_mensal_ativo === true || pacote_mensal_ativo === 'true',
+      ...buildBrandingUpdate(req.body)
     }
   });
 
@@ -256,6 +401,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
     uf,
     cnae_principal,
     regime_tributario,
+    data_abertura,
+    anexo_simples,
+    sujeito_fator_r,
+    atividade_presumido,
     certificado_digital,
     email,
     telefone,
@@ -265,9 +414,33 @@ router.put('/:id', asyncHandler(async (req, res) => {
     logradouro,
     numero,
     bairro,
-    codigo_municipio
+    codigo_municipio,
+    // NFS-e email template
+    email_nfse_assunto,
+    email_nfse_mensagem,
+    // Receivables
+    prazo_pagamento_dias,
+    lembrete_cobranca_ativo,
+    lembrete_cobranca_dias,
+    pix_chave,
+    pix_tipo_chave,
+    // Monthly fiscal package
+    contador_email,
+    pacote_mensal_ativo
   } = req.body;
 
+  const settingsErrors = [
+    ...validateReceivableSettings(req.body),
+    ...validateAccountantSettings(req.body, existing),
+    ...validateBrandingSettings(req.body),
+    ...validateSimplesSettings(req.body),
+    ...validateLucroPresumidoSettings(req.body),
+    ...validateMEISettings(req.body)
+  ];
+  if (settingsErrors.length > 0) {
+    throw new AppError(settingsErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
   const updateData = {};
   // CNPJ changes are not allowed after company creation (tied to fiscal integrations)
   // If frontend sends a different CNPJ, log a warning but don't update it
@@ -286,10 +459,26 @@ router.put('/:id', asyncHandler(async (req, res) => {
   if (codigo_municipio !== undefined) updateData.codigoMunicipio = codigo_municipio;
   if (cnae_principal !== undefined) updateData.cnaePrincipal = cnae_principal;
   if (regime_tributario !== undefined) updateData.regimeTributario = regime_tributario;
+  if (data_abertura !== undefined) updateData.dataAbertura = data_abertura ? new Date(data_abertura) : null;
+  if (anexo_simples !== undefined) updateData.anexoSimples = anexo_simples || null;
+  if (sujeito_fator_r !== undefined) updateData.sujeitoFatorR = sujeito_fator_r === true || sujeito_fator_r === 'true';
+  if (atividade_presumido !== undefined) updateData.atividadePresumido = atividade_presumido || null;
   if (certificado_digital !== undefined) updateData.certificadoDigital = certificado_digital;
   if (email !== undefined) updateData.email = email;
   if (telefone !== undefined) updateData.telefone = telefone;
   if (inscricao_municipal !== undefined) updateData.inscricaoMunicipal = inscricao_municipal;
+  if (email_nfse_assunto !== undefined) updateData.emailNfseAssunto = email_nfse_assunto?.trim() || null;
+  if (email_nfse_mensagem !== undefined) updateData.emailNfseMensagem = email_nfse_mensagem?.trim() || null;
+  if (prazo_pagamento_dias !== undefined) updateData.prazoPagamentoDias = parseDueDays(prazo_pagamento_dias);
+  if (lembrete_cobranca_ativo !== undefined) updateData.lembreteCobrancaAtivo = lembrete_cobranca_ativo === true || lembrete_cobranca_ativo === 'true';
+  if (lembrete_cobranca_dias !== undefined) updateData.lembreteCobrancaDias = normalizeReminderDays(lembrete_cobranca_dias);
+  if (pix_chave !== undefined) {
+    updateData.pixChave = pix_chave ? normalizePixKey(pix_tipo_chave, pix_chave) : null;
+    updateData.pixTipoChave = pix_chave ? pix_tipo_chave : null;
+  }
+  if (contador_email !== undefined) updateData.contadorEmail = contador_email?.trim() || null;
+  if (pacote_mensal_ativo !== undefined) updateData.pacoteMensalAtivo = pacote_mensal_ativo === true || pacote_mensal_ativo === 'true';
+  Object.assign(updateData, buildBrandingUpdate(req.body));
 
   const company = await prisma.company.update({
     where: { id: req.params.id },
@@ -299,6 +488,273 @@ router.put('/:id', asyncHandler(async (req, res) => {
   res.json(transformCompany(company));
 }));
 
+/**
+ * GET /api/companies/:id/fiscal-package?competencia=YYYY-MM
+ * Download the monthly fiscal package (ZIP): XML and PDF of every authorized and cancelled
+ * invoice of the competência, plus resumo.csv and resumo.json
+ */
+router.get('/:id/fiscal-package', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: {
+      id: req.params.id,
+      userId: req.user.id
+    }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const { competencia } = parseCompetencia(req.query.competencia);
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${packageFilename(company, competencia)}"`);
+
+  try {
+    await writeFiscalPackage(res, company, competencia);
+  } catch (error) {
+    // Headers are already sent: abort the download instead of answering with JSON
+    console.error('[Companies] Error building fiscal package:', error);
+    res.destroy(error);
+  }
+}));
+
+/**
+ * POST /api/companies/:id/branding/logo
+ * Upload the company logo (multipart field "logo", PNG or JPEG up to 512 KB)
+ */
+router.post('/:id/branding/logo', (req, res, next) => {
+  logoUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Logo muito grande. O tamanho máximo é ${MAX_LOGO_SIZE / 1024} KB.`
+        : `Erro ao enviar logo: ${err.message}`;
+      return res.status(400).json({ status: 'error', message });
+    } else if (err) {
+      return res.status(400).json({ status: 'error', message: err.message });
+    }
+    next();
+  });
+}, asyncHandler(async (req, res) => {
+  const existing = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!existing) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+  if (!req.file) {
+    throw new AppError('Selecione uma imagem PNG ou JPEG', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = await saveCompanyLogo(existing.id, req.file.buffer);
+
+  sendSuccess(res, 'Logo atualizado com sucesso', transformCompany(company));
+}));
+
+/**
+ * GET /api/companies/:id/branding/logo
+ * Company logo image
+ */
+router.get('/:id/branding/logo', asyncHandler(async (req, res) => {
+  const logo = await prisma.companyLogo.findFirst({
+    where: { companyId: req.params.id, company: { userId: req.user.id } }
+  });
+
+  if (!logo) {
+    throw new AppError('Logo not found', 404, 'NOT_FOUND');
+  }
+
+  res.setHeader('Content-Type', logo.mimeType);
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(Buffer.from(logo.data));
+}));
+
+/**
+ * DELETE /api/companies/:id/branding/logo
+ * Remove the company logo
+ */
+router.delete('/:id/branding/logo', asyncHandler(async (req, res) => {
+  const existing = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!existing) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const company = await removeCompanyLogo(existing.id);
+
+  sendSuccess(res, 'Logo removido', transformCompany(company));
+}));
+
+/**
+ * GET /api/companies/:id/branding/preview
+ * Sample invoice PDF rendered with the company branding
+ * Query parameters (marca_cor_primaria, marca_cor_secundaria, marca_rodape, marca_contato) override
+ * the saved settings, so the form can be previewed before saving.
+ */
+router.get('/:id/branding/preview', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const brandingErrors = validateBrandingSettings(req.query);
+  if (brandingErrors.length > 0) {
+    throw new AppError(brandingErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
+  const saved = await getCompanyBranding(company);
+  const branding = resolveBranding(
+    { ...company, ...buildBrandingUpdate(req.query) },
+    saved.logo ? { data: saved.logo, mimeType: saved.logoMimeType } : null
+  );
+
+  const { generateInvoicePDF } = await import('../services/pdfService.js');
+  const pdf = await generateInvoicePDF(buildSampleInvoice(company), company, { branding });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'inline; filename="preview-identidade-visual.pdf"');
+  res.send(pdf);
+}));
+
+/**
+ * GET /api/companies/:id/payroll?year=YYYY
+ * Monthly payroll records (salaries, pro-labore, charges) used for the Fator R
+ */
+router.get('/:id/payroll', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const year = req.query.year ? parseInt(req.query.year, 10) : null;
+  const payrolls = await listPayrolls(company.id, { year: Number.isInteger(year) ? year : null });
+
+  sendSuccess(res, 'Folhas de pagamento', payrolls);
+}));
+
+/**
+ * PUT /api/companies/:id/payroll/:competencia
+ * Create or replace the payroll of a competência ('YYYY-MM')
+ * Body: { folha_salarios, pro_labore, encargos }
+ */
+router.put('/:id/payroll/:competencia', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const { competencia } = parseCompetencia(req.params.competencia);
+  const payroll = await savePayroll(company.id, competencia, req.body);
+
+  sendSuccess(res, 'Folha de pagamento salva', payroll);
+}));
+
+/**
+ * DELETE /api/companies/:id/payroll/:competencia
+ * Delete the payroll of a competência
+ */
+router.delete('/:id/payroll/:competencia', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const { competencia } = parseCompetencia(req.params.competencia);
+  const deleted = await deletePayroll(company.id, competencia);
+  if (!deleted) {
+    throw new AppError('Folha de pagamento não encontrada', 404, 'NOT_FOUND');
+  }
+
+  sendSuccess(res, 'Folha de pagamento removida');
+}));
+
+/**
+ * GET /api/companies/:id/mei-limit-status
+ * Revenue of the year against the MEI limit (proportional in the opening year), the band of
+ * the excess and the projection of the date the limit is reached
+ */
+router.get('/:id/mei-limit-status', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id },
+    select: { id: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const status = await getMEILimitStatus(company.id);
+
+  sendSuccess(res, status ? 'Limite do MEI calculado' : 'Limite do MEI não se aplica a esta empresa', status || { isMEI: false });
+}));
+
+/**
+ * GET /api/companies/:id/fator-r?referencia=MM/YYYY
+ * Fator R of the period (default: current month), the Anexo it leads to and the
+ * pro-labore that would keep the company in Anexo III
+ */
+router.get('/:id/fator-r', asyncHandler(async (req, res) => {
+  const company = await prisma.company.findFirst({
+    where: { id: req.params.id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const today = new Date();
+  const referencia = req.query.referencia ||
+    `${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`;
+  if (!/^\d{2}\/\d{4}$/.test(referencia)) {
+    throw new AppError('Referência inválida. Use o formato MM/AAAA', 400, 'VALIDATION_ERROR');
+  }
+
+  if (company.regimeTributario !== 'Simples Nacional' || !company.sujeitoFatorR) {
+    return sendSuccess(res, 'Fator R não se aplica a esta empresa', { aplicavel: false, referencia });
+  }
+
+  const [fatorR, recommendation] = await Promise.all([
+    getCompanyFatorR(company.id, referencia),
+    checkRegimeChangeRecommendation(company.id, company.regimeTributario, { referencia })
+  ]);
+
+  sendSuccess(res, 'Fator R calculado', {
+    aplicavel: true,
+    referencia,
+    fator_r: fatorR.fatorR,
+    limite: FATOR_R_THRESHOLD,
+    anexo: fatorR.anexo,
+    folha_12_meses: fatorR.folha,
+    receita_12_meses: fatorR.receita,
+    meses: fatorR.meses,
+    proximo_do_limite: fatorR.proximoDoLimite,
+    pro_labore_mensal_necessario: fatorR.proLaboreMensalNecessario,
+    recomendacao: recommendation.recommended
+      ? { motivo: recommendation.reason, mensagem: recommendation.message, anexo_sugerido: recommendation.suggestedAnexo }
+      : null
+  });
+}));
+
 /**
  * DELETE /api/companies/:id
  * Delete a company
@@ -328,14 +784,6 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * Register company in fiscal cloud (ACBr API)
  */
 router.post('/:id/register-fiscal', asyncHandler(async (req, res) => {
-  // Check if ACBr API is configured
-  if (!isAcbrApiConfigured()) {
-    return sendSuccess(res, 'ACBr API não configurado. Configure as credenciais para habilitar a integração fiscal.', {
-      status: 'not_configured',
-      message: 'Para usar a integração fiscal, configure ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET nas variáveis de ambiente.'
-    }, 200);
-  }
-
   // Check ownership
   const company = await prisma.company.findFirst({
     where: {
@@ -348,6 +796,14 @@ router.post('/:id/register-fiscal', asyncHandler(async (req, res) => {
     throw new AppError('Company not found', 404, 'NOT_FOUND');
   }
 
+  // Check if the company's fiscal provider is configured
+  if (!isFiscalProviderConfigured(company)) {
+    return sendSuccess(res, 'ACBr API não configurado. Configure as credenciais para habilitar a integração fiscal.', {
+      status: 'not_configured',
+      message: 'Para usar a integração fiscal, configure ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET nas variáveis de ambiente.'
+    }, 200);
+  }
+
   // Validate required fields before attempting registration
   const missingFields = [];
   const cleanCnpj = (company.cnpj || '').replace(/\D/g, '');
@@ -414,7 +870,7 @@ router.post('/:id/register-fiscal', asyncHandler(async (req, res) => {
       };
     } else {
       // Register company in ACBr API (handles duplicate detection internally)
-      registrationResult = await registerCompany(company);
+      registrationResult = await getFiscalProvider(company).registerCompany(company);
     }
 
     // Update company with ACBr API ID (legacy field name acbrApiId)
@@ -570,7 +1026,7 @@ router.get('/:id/fiscal-status', asyncHandler(async (req, res) => {
   }
 
   if (!mensagem) {
-    if (!isAcbrApiConfigured()) {
+    if (!isFiscalProviderConfigured(company)) {
       statusValue = 'not_configured';
       mensagem = 'ACBr API não configurado no servidor';
     } else if (!company.acbrApiId) {
@@ -611,16 +1067,6 @@ router.get('/:id/fiscal-status', asyncHandler(async (req, res) => {
  */
 router.post('/:id/check-fiscal-connection', fiscalConnectionLimiter, asyncHandler(async (req, res) => {
   console.log('[FiscalConnection] Checking connection for company:', req.params.id);
-  
-  if (!isAcbrApiConfigured()) {
-    console.log('[FiscalConnection] ACBr API not configured');
-    return sendSuccess(res, 'ACBr API não configurado', {
-      status: 'not_configured',
-      connectionStatus: 'not_configured',
-      message: 'Integração fiscal não configurada. Configure as credenciais da ACBr API para habilitar a emissão de notas fiscais.',
-      details: 'As variáveis de ambiente ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET não foram configuradas.'
-    }, 200);
-  }
 
   // Check ownership
   const company = await prisma.company.findFirst({
@@ -634,6 +1080,16 @@ router.post('/:id/check-fiscal-connection', fiscalConnectionLimiter, asyncHandle
     throw new AppError('Company not found', 404, 'NOT_FOUND');
   }
 
+  if (!isFiscalProviderConfigured(company)) {
+    console.log('[FiscalConnection] ACBr API not configured');
+    return sendSuccess(res, 'ACBr API não configurado', {
+      status: 'not_configured',
+      connectionStatus: 'not_configured',
+      message: 'Integração fiscal não configurada. Configure as credenciais da ACBr API para habilitar a emissão de notas fiscais.',
+      details: 'As variáveis de ambiente ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET não foram configuradas.'
+    }, 200);
+  }
+
   try {
     const { testFiscalConnection } = await import('../services/acbrConnectionService.js');
     console.log('[FiscalConnection] Testing connection...');
@@ -857,8 +1313,8 @@ router.post('/:id/certificate', (req, res, next) => {
   
   if (effectiveAcbrApiId && company.cnpj) {
     try {
-      const { uploadCertificate, configureNfseForCertificate } = await import('../services/acbrApi.js');
-      const acbrResult = await uploadCertificate(company.cnpj, certificateBase64, password);
+      const fiscalProvider = getFiscalProvider(company);
+      const acbrResult = await fiscalProvider.uploadCertificate(company.cnpj, certificateBase64, password);
       acbrApiStatus = {
         status: 'success',
         message: acbrResult.message
@@ -868,7 +1324,7 @@ router.post('/:id/certificate', (req, res, next) => {
       // After uploading certificate, configure NFS-e to use certificate (not prefeitura login)
       // This is critical for certificate-only municipalities
       try {
-        await configureNfseForCertificate(company.cnpj, company);
+        await fiscalProvider.configureNfseForCertificate(company.cnpj, company);
         console.log('[Companies] NFS-e configured to use certificate (removed any prefeitura credentials)');
       } catch (nfseConfigErr) {
         console.warn('[Companies] Could not auto-configure NFS-e for certificate:', nfseConfigErr.message);
@@ -1118,8 +1574,7 @@ router.post('/:id/municipal-credentials', [
 
   if (company.acbrApiId && company.cnpj) {
     try {
-      const { configureMunicipalCredentials } = await import('../services/acbrApi.js');
-      const acbrResult = await configureMunicipalCredentials(
+      const acbrResult = await getFiscalProvider(company).configureMunicipalCredentials(
         company.cnpj,
         company,
         username,
@@ -1294,8 +1749,7 @@ router.post('/:id/test-nfse-emission', asyncHandler(async (req, res) => {
     });
   }
 
-  const { testNfseEmissionCapability } = await import('../services/acbrApi.js');
-  const testResult = await testNfseEmissionCapability(company.cnpj);
+  const testResult = await getFiscalProvider(company).testNfseEmissionCapability(company.cnpj);
 
   // Add municipality context to the response
   testResult.municipality = {
@@ -0,0 +1,204 @@
+import express from 'express';
+import multer from 'multer';
+import { prisma } from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
+import { sendSuccess } from '../utils/response.js';
+import {
+  createBatchPreview,
+  confirmBatch,
+  cancelBatch,
+  buildBatchReport,
+  buildBatchTemplate
+} from '../services/invoiceBatchService.js';
+
+const router = express.Router();
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const name = file.originalname.toLowerCase();
+    if (name.endsWith('.csv') || name.endsWith('.xlsx')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Envie uma planilha .csv ou .xlsx'), false);
+    }
+  }
+}).single('file');
+
+// All routes require authentication and active subscription
+router.use(authenticate);
+router.use(asyncHandler(requireActiveSubscription));
+
+// Transform Prisma batch item from camelCase to snake_case
+const transformItem = (item) => ({
+  id: item.id,
+  row_number: item.rowNumber,
+  data: item.data,
+  status: item.status,
+  errors: item.errors || [],
+  warnings: item.warnings || [],
+  invoice_id: item.invoiceId,
+  numero: item.numero,
+  codigo_verificacao: item.codigoVerificacao,
+  error_message: item.errorMessage,
+  processed_at: item.processedAt
+});
+
+// Transform Prisma batch from camelCase to snake_case
+const transformBatch = (batch) => {
+  if (!batch) return batch;
+  const processed = batch.successCount + batch.queuedCount + batch.errorCount;
+  return {
+    id: batch.id,
+    company_id: batch.companyId,
+    file_name: batch.fileName,
+    status: batch.status,
+    total_rows: batch.totalRows,
+    valid_rows: batch.validRows,
+    success_count: batch.successCount,
+    queued_count: batch.queuedCount,
+    error_count: batch.errorCount,
+    processed_count: processed,
+    progress: batch.validRows > 0 && batch.status !== 'preview'
+      ? Math.min(100, Math.round((processed / batch.validRows) * 100))
+      : 0,
+    started_at: batch.startedAt,
+    completed_at: batch.completedAt,
+    created_at: batch.createdAt,
+    updated_at: batch.updatedAt,
+    ...(batch.items && { items: batch.items.map(transformItem) })
+  };
+};
+
+const findUserBatch = async (id, userId, includeItems = false) => {
+  const batch = await prisma.invoiceBatch.findFirst({
+    where: { id, userId },
+    ...(includeItems && { include: { items: { orderBy: { rowNumber: 'asc' } } } })
+  });
+
+  if (!batch) {
+    throw new AppError('Lote não encontrado', 404, 'NOT_FOUND');
+  }
+  return batch;
+};
+
+/**
+ * GET /api/invoice-batches/template
+ * Download an example spreadsheet with the expected columns
+ */
+router.get('/template', (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename=modelo-emissao-em-lote.csv');
+  res.send(buildBatchTemplate());
+});
+
+/**
+ * GET /api/invoice-batches
+ * List batches of the user (most recent first)
+ * Query params: companyId, status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { companyId, status } = req.query;
+
+  const where = { userId: req.user.id };
+  if (companyId) {
+    where.companyId = companyId;
+  }
+  if (status) {
+    where.status = status;
+  }
+
+  const batches = await prisma.invoiceBatch.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: 20
+  });
+
+  sendSuccess(res, 'Batches retrieved', { batches: batches.map(transformBatch) });
+}));
+
+/**
+ * POST /api/invoice-batches/preview
+ * Upload a CSV/XLSX spreadsheet and validate each row (nothing is emitted)
+ * Multipart fields: file, company_id
+ */
+router.post('/preview', (req, res, next) => {
+  spreadsheetUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Planilha muito grande. O tamanho máximo é 5MB.'
+        : `Erro ao enviar planilha: ${err.message}`;
+      return res.status(400).json({ status: 'error', message });
+    } else if (err) {
+      return res.status(400).json({ status: 'error', message: err.message });
+    }
+    next();
+  });
+}, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Selecione uma planilha .csv ou .xlsx', 400, 'VALIDATION_ERROR');
+  }
+  if (!req.body.company_id) {
+    throw new AppError('Empresa é obrigatória', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: req.body.company_id, userId: req.user.id }
+  });
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const { batch, warnings } = await createBatchPreview({
+    buffer: req.file.buffer,
+    fileName: req.file.originalname,
+    company,
+    userId: req.user.id
+  });
+
+  sendSuccess(res, 'Planilha validada', { batch: transformBatch(batch), warnings }, 201);
+}));
+
+/**
+ * GET /api/invoice-batches/:id
+ * Get a batch with the status of each row
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const batch = await findUserBatch(req.params.id, req.user.id, true);
+  sendSuccess(res, 'Batch retrieved', { batch: transformBatch(batch) });
+}));
+
+/**
+ * POST /api/invoice-batches/:id/confirm
+ * Start emitting the valid rows of a previewed batch
+ */
+router.post('/:id/confirm', asyncHandler(async (req, res) => {
+  const batch = await confirmBatch(req.params.id, req.user.id);
+  sendSuccess(res, `Emissão de ${batch.validRows} nota${batch.validRows !== 1 ? 's' : ''} iniciada`, { batch: transformBatch(batch) });
+}));
+
+/**
+ * GET /api/invoice-batches/:id/report
+ * Download the result report (CSV) with number, verification code or error per row
+ */
+router.get('/:id/report', asyncHandler(async (req, res) => {
+  const batch = await findUserBatch(req.params.id, req.user.id, true);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=lote-${batch.id.slice(0, 8)}-resultado.csv`);
+  res.send(buildBatchReport(batch));
+}));
+
+/**
+ * DELETE /api/invoice-batches/:id
+ * Cancel a batch that was not confirmed yet
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const batch = await cancelBatch(req.params.id, req.user.id);
+  sendSuccess(res, 'Lote cancelado', { batch: transformBatch(batch) });
+}));
+
+export default router;
@@ -4,8 +4,41 @@ import { prisma } from '../lib/prisma.js';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
-import { emitNfse, checkNfseStatus, cancelNfse } from '../services/acbrApi.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { getFiscalProvider } from '../services/fiscalProvider.js';
 import { sendSuccess } from '../utils/response.js';
+import { substituteInvoice, syncSubstitutionStatus } from '../services/invoiceSubstitutionService.js';
+import { FEDERAL_RETENTION_TYPES, validateRetentions, transformInvoiceRetentions } from '../services/federalRetentions.js';
+import {
+  DEDUCTION_FIELDS,
+  pickDeductions,
+  validateDeductions,
+  calculateIssBase,
+  calculateIssAmount,
+  transformInvoiceDeductions
+} from '../services/invoiceDeductions.js';
+import { transformInvoiceExport } from '../services/foreignTomador.js';
+import { assertNoDuplicateInvoice } from '../services/duplicateInvoiceDetection.js';
+import { deliverAuthorizedInvoice, deliverInvoiceToClient, transformDelivery } from '../services/invoiceDeliveryService.js';
+import { transformInvoiceReceivable, getInvoicePix } from '../services/receivablesService.js';
+import { generatePixQrCode } from '../services/pixService.js';
+import { getInvoiceHistory } from '../services/invoiceHistoryService.js';
+import { validateInvoiceReadiness, previewInvoiceDps } from '../services/invoiceReadinessService.js';
+import {
+  enqueueEmission,
+  getEmissionJob,
+  listEmissionJobs,
+  emissionJobEvents,
+  EMISSION_JOB_FINAL_STATUSES
+} from '../services/invoiceEmissionQueueService.js';
+import {
+  listExportLayouts,
+  getExportLayout,
+  loadExportEntries,
+  previewExport,
+  buildExportFile,
+  exportFilename
+} from '../services/accountingExportService.js';
 
 const router = express.Router();
 
@@ -105,12 +138,158 @@ router.get('/', asyncHandler(async (req, res) => {
     company_id: inv.companyId,
     codigo_verificacao: inv.codigoVerificacao,
     pdf_url: inv.pdfUrl,
-    xml_url: inv.xmlUrl
+    xml_url: inv.xmlUrl,
+    iss_retido: inv.issRetido,
+    ...transformInvoiceDeductions(inv),
+    ...transformInvoiceRetentions(inv),
+    ...transformInvoiceExport(inv),
+    ...transformInvoiceReceivable(inv),
+    substitutes_invoice_id: inv.substitutesId,
+    substitution_reason: inv.substitutionReason
   }));
 
   res.json(result);
 }));
 
+/**
+ * Resolve the accounting export filters of a request to the user's companies
+ */
+async function resolveAccountingExport(req) {
+  const { layout, companyId, startDate, endDate, status } = req.query;
+  const exportLayout = getExportLayout(layout);
+
+  const companies = await prisma.company.findMany({ where: { userId: req.user.id } });
+  let company = null;
+  if (companyId && companyId !== 'all') {
+    company = companies.find(c => c.id === companyId);
+    if (!company) {
+      throw new AppError('Empresa não encontrada', 404, 'NOT_FOUND');
+    }
+  }
+
+  const filters = { startDate, endDate, status };
+  const entries = await loadExportEntries({
+    ...filters,
+    companyIds: company ? [company.id] : companies.map(c => c.id)
+  });
+
+  return { exportLayout, company, filters, entries };
+}
+
+/**
+ * GET /api/invoices/export/layouts
+ * Accounting software layouts available for export
+ */
+router.get('/export/layouts', asyncHandler(async (req, res) => {
+  sendSuccess(res, 'Layouts de exportação', listExportLayouts());
+}));
+
+/**
+ * GET /api/invoices/export/accounting/preview
+ * Preview an accounting export: first rows, totals and validation problems
+ * Query: layout, companyId, startDate, endDate (YYYY-MM-DD, emission date), status
+ */
+router.get('/export/accounting/preview', asyncHandler(async (req, res) => {
+  const { exportLayout, entries } = await resolveAccountingExport(req);
+
+  sendSuccess(res, 'Prévia da exportação', previewExport(exportLayout.id, entries));
+}));
+
+/**
+ * GET /api/invoices/export/accounting
+ * Download the invoices in an accounting software layout
+ * Query: same as the preview, plus skipInvalid=true to leave invalid invoices out
+ */
+router.get('/export/accounting', asyncHandler(async (req, res) => {
+  const { exportLayout, company, filters, entries } = await resolveAccountingExport(req);
+  const { buffer, skipped } = buildExportFile(exportLayout.id, entries, {
+    skipInvalid: req.query.skipInvalid === 'true'
+  });
+
+  res.setHeader('Content-Type', exportLayout.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(exportLayout, filters, company)}"`);
+  res.setHeader('X-Export-Skipped', String(skipped.length));
+  res.send(buffer);
+}));
+
+/**
+ * GET /api/invoices/jobs
+ * Recent emission jobs of the user
+ * Query: companyId, status
+ */
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const jobs = await listEmissionJobs(req.user.id, {
+    companyId: req.query.companyId,
+    status: req.query.status
+  });
+
+  sendSuccess(res, 'Emissões recentes', { jobs });
+}));
+
+/**
+ * GET /api/invoices/jobs/:jobId
+ * Emission job status (polling)
+ */
+router.get('/jobs/:jobId', asyncHandler(async (req, res) => {
+  const job = await getEmissionJob(req.params.jobId, req.user.id);
+
+  sendSuccess(res, 'Status da emissão', { job });
+}));
+
+/**
+ * GET /api/invoices/jobs/:jobId/stream
+ * Emission job progress as Server-Sent Events ("job" events), closed when the job finishes
+ * Updates come from this process' worker (emissionJobEvents) and, for jobs run by another
+ * instance, from polling the job every JOB_STREAM_POLL_MS.
+ */
+const JOB_STREAM_POLL_MS = 3000;
+
+router.get('/jobs/:jobId/stream', asyncHandler(async (req, res) => {
+  const job = await getEmissionJob(req.params.jobId, req.user.id);
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  // Same job state from both sources is sent once
+  const stateOf = (current) => `${current.status}:${current.step}:${current.attempts}`;
+  let lastState = stateOf(job);
+  let closed = false;
+
+  const send = (current) => res.write(`event: job\ndata: ${JSON.stringify(current)}\n\n`);
+  send(job);
+  if (EMISSION_JOB_FINAL_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  const onUpdate = (current) => {
+    if (closed || stateOf(current) === lastState) return;
+    lastState = stateOf(current);
+    send(current);
+    if (EMISSION_JOB_FINAL_STATUSES.includes(current.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const poll = setInterval(() => {
+    getEmissionJob(job.id, req.user.id)
+      .then(onUpdate)
+      .catch(error => console.warn(`[Invoices] Could not poll emission job ${job.id}:`, error.message));
+  }, JOB_STREAM_POLL_MS);
+  const cleanup = () => {
+    closed = true;
+    clearInterval(keepAlive);
+    clearInterval(poll);
+    emissionJobEvents.off(job.id, onUpdate);
+  };
+
+  emissionJobEvents.on(job.id, onUpdate);
+  req.on('close', cleanup);
+}));
+
 /**
  * GET /api/invoices/:id
  * Get a single invoice
@@ -134,11 +313,18 @@ router.get('/:id', asyncHandler(async (req, res) => {
     throw new AppError('Invoice not found', 404, 'NOT_FOUND');
   }
 
+  const company = await prisma.company.findUnique({ where: { id: invoice.companyId } });
+
   res.json({
     ...invoice,
     valor: parseFloat(invoice.valor),
     aliquota_iss: parseFloat(invoice.aliquotaIss),
-    valor_iss: invoice.valorIss ? parseFloat(invoice.valorIss) : null
+    valor_iss: invoice.valorIss ? parseFloat(invoice.valorIss) : null,
+    ...transformInvoiceDeductions(invoice),
+    ...transformInvoiceRetentions(invoice),
+    ...transformInvoiceExport(invoice),
+    ...transformInvoiceReceivable(invoice),
+    pix: getInvoicePix(invoice, company)
   });
 }));
 
@@ -202,7 +388,9 @@ router.put('/:id', asyncHandler(async (req, res) => {
   if (valor !== undefined || aliquota_iss !== undefined) {
     const newValor = valor !== undefined ? parseFloat(valor) : parseFloat(existing.valor);
     const newAliquota = aliquota_iss !== undefined ? parseFloat(aliquota_iss) : parseFloat(existing.aliquotaIss);
-    updateData.valorIss = (newValor * newAliquota) / 100;
+    const valueData = { ...transformInvoiceDeductions(existing), valor: newValor, aliquota_iss: newAliquota };
+    updateData.valorIss = calculateIssAmount(valueData);
+    updateData.baseCalculo = calculateIssBase(valueData);
   }
 
   const invoice = await prisma.invoice.update({
@@ -250,9 +438,66 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   sendSuccess(res, 'Invoice deleted successfully');
 }));
 
+/**
+ * POST /api/invoices/validate
+ * Dry run of the emission: every pre-emission check, without emitting
+ * Body: { company_id, invoice_data } (invoice_data as sent to the emission)
+ * Returns a pass/warn/fail readiness report
+ */
+router.post('/validate', [
+  body('company_id').notEmpty().withMessage('Company ID is required'),
+  body('invoice_data').isObject().withMessage('Invoice data is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: req.body.company_id, userId: req.user.id },
+    include: { fiscalCredential: true }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const report = await validateInvoiceReadiness(req.body.invoice_data, company, req.user.id);
+
+  sendSuccess(res, report.ready ? 'Nota pronta para emissão' : 'A nota não pode ser emitida', report);
+}));
+
+/**
+ * POST /api/invoices/dps-preview
+ * DPS XML (national layout, unsigned) the emission would send, with its layout errors
+ * Body: { company_id, invoice_data } (invoice_data as sent to the emission)
+ * Does not emit or consume a DPS number (uses the next one)
+ */
+router.post('/dps-preview', [
+  body('company_id').notEmpty().withMessage('Company ID is required'),
+  body('invoice_data').isObject().withMessage('Invoice data is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: req.body.company_id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const preview = await previewInvoiceDps(req.body.invoice_data, company, req.user.id);
+
+  sendSuccess(res, preview.valid ? 'DPS de acordo com o leiaute nacional' : 'DPS com erros de leiaute', preview);
+}));
+
 /**
  * POST /api/invoices/issue
- * Issue an invoice to fiscal authority
+ * Queue an invoice for emission (202 with the emission job; follow it on /api/invoices/jobs/:jobId)
  * DEPRECATED: This endpoint is kept for backward compatibility
  * New invoices should be issued via /api/assistant/execute-action
  * This endpoint will be removed in a future version
@@ -262,8 +507,17 @@ router.post('/issue', [
   body('cliente_nome').notEmpty().withMessage('Client name is required'),
   body('cliente_documento').notEmpty().withMessage('Client document is required'),
   body('descricao_servico').notEmpty().withMessage('Service description is required'),
-  body('valor').isNumeric().withMessage('Value must be a number')
-], asyncHandler(async (req, res) => {
+  body('valor').isNumeric().withMessage('Value must be a number'),
+  body('iss_retido').optional().isBoolean(),
+  body('ignorar_duplicidade').optional().isBoolean(),
+  body('data_vencimento').optional({ nullable: true }).isISO8601().withMessage('Data de vencimento inválida'),
+  ...FEDERAL_RETENTION_TYPES.map(type =>
+    body(`valor_${type}`).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(`valor_${type} must be a non-negative number`)
+  ),
+  ...Object.keys(DEDUCTION_FIELDS).map(field =>
+    body(field).optional({ nullable: true }).isFloat({ min: 0 }).withMessage(`${field} must be a non-negative number`)
+  )
+], idempotency('invoice_issue'), asyncHandler(async (req, res) => {
   // Log warning about deprecated endpoint
   console.warn('[DEPRECATED] POST /api/invoices/issue called. Use /api/assistant/execute-action instead.');
   const errors = validationResult(req);
@@ -280,7 +534,8 @@ router.post('/issue', [
     aliquota_iss = 5,
     municipio,
     data_prestacao,
-    codigo_servico
+    codigo_servico,
+    iss_retido = false
   } = req.body;
 
   // Verify company ownership
@@ -292,96 +547,43 @@ router.post('/issue', [
     throw new AppError('Company not found', 404, 'NOT_FOUND');
   }
 
-  // Calculate ISS
-  const valorIss = (parseFloat(valor) * parseFloat(aliquota_iss)) / 100;
+  // Federal retentions withheld by the tomador (amounts)
+  const retentions = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    if (req.body[`valor_${type}`] !== undefined && req.body[`valor_${type}`] !== null) {
+      retentions[`valor_${type}`] = parseFloat(req.body[`valor_${type}`]);
+    }
+  }
 
-  try {
-    // Emit NFS-e via ACBr API
-    const invoiceData = {
-      cliente_nome,
-      cliente_documento,
-      descricao_servico,
-      valor: parseFloat(valor),
-      aliquota_iss: parseFloat(aliquota_iss),
-      municipio: municipio || company.cidade,
-      data_prestacao: data_prestacao || new Date().toISOString().split('T')[0],
-      codigo_servico: codigo_servico,
-      iss_retido: false
-    };
-
-    // Atomic next RPS numero per company (concurrent-safe for DPS numbering)
-    const { lastRpsNumero: nextRpsNumero } = await prisma.company.update({
-      where: { id: company.id },
-      data: { lastRpsNumero: { increment: 1 } },
-      select: { lastRpsNumero: true }
-    });
-    const companyForEmission = { ...company, nextRpsNumero };
-
-    const nfseResult = await emitNfse(invoiceData, companyForEmission);
-
-    // Save invoice to database
-    const invoice = await prisma.invoice.create({
-      data: {
-        companyId,
-        clienteNome: cliente_nome,
-        clienteDocumento: cliente_documento || '',
-        descricaoServico: descricao_servico,
-        valor: parseFloat(valor),
-        aliquotaIss: parseFloat(aliquota_iss),
-        valorIss,
-        municipio: municipio || company.cidade,
-        status: nfseResult.nfse.status || 'autorizada',
-        numero: nfseResult.nfse.numero ? String(nfseResult.nfse.numero) : null,
-        codigoVerificacao: nfseResult.nfse.codigo_verificacao,
-        dataEmissao: new Date(),
-        dataPrestacao: data_prestacao ? new Date(data_prestacao) : new Date(),
-        codigoServico: codigo_servico,
-        pdfUrl: nfseResult.nfse.pdf_url,
-        xmlUrl: nfseResult.nfse.xml_url,
-        acbrApiId: nfseResult.nfse.acbr_api_id
-      }
-    });
+  // Discounts and deductions from the ISS base
+  const deductions = pickDeductions(req.body);
 
-    // Create success notification
-    await prisma.notification.create({
-      data: {
-        userId: req.user.id,
-        titulo: 'Nota Fiscal Emitida',
-        mensagem: `Nota fiscal ${invoice.numero} emitida com sucesso para ${cliente_nome}`,
-        tipo: 'sucesso',
-        invoiceId: invoice.id
-      }
-    });
+  const valueData = { valor, aliquota_iss, iss_retido, ...deductions, ...retentions };
+  const valueErrors = [...validateDeductions(valueData), ...validateRetentions(valueData)];
+  if (valueErrors.length > 0) {
+    throw new AppError(valueErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
 
-    sendSuccess(res, 'Nota fiscal emitida com sucesso', {
-      invoice: {
-        id: invoice.id,
-        numero: invoice.numero,
-        status: invoice.status,
-        codigo_verificacao: invoice.codigoVerificacao,
-        pdf_url: invoice.pdfUrl,
-        xml_url: invoice.xmlUrl
-      }
-    }, 201);
-  } catch (error) {
-    console.error('Error emitting invoice:', error);
-    
-    // Create error notification
-    await prisma.notification.create({
-      data: {
-        userId: req.user.id,
-        titulo: 'Erro ao Emitir Nota Fiscal',
-        mensagem: `Falha ao emitir nota fiscal: ${error.message}`,
-        tipo: 'erro'
-      }
-    });
+  // Suspected duplicate of a recent invoice: requires ignorar_duplicidade to proceed
+  await assertNoDuplicateInvoice(req.body, company.id);
 
-    throw new AppError(
-      error.message || 'Falha ao emitir nota fiscal na ACBr API',
-      500,
-      'INVOICE_EMISSION_ERROR'
-    );
-  }
+  const job = await enqueueEmission({
+    cliente_nome,
+    cliente_documento,
+    descricao_servico,
+    valor: parseFloat(valor),
+    aliquota_iss: parseFloat(aliquota_iss),
+    municipio: municipio || company.cidade,
+    data_prestacao: data_prestacao || new Date().toISOString().split('T')[0],
+    codigo_servico,
+    iss_retido: Boolean(iss_retido),
+    data_vencimento: req.body.data_vencimento || null,
+    ignorar_duplicidade: Boolean(req.body.ignorar_duplicidade),
+    ...deductions,
+    ...retentions
+  }, company, req.user.id, { source: 'api' });
+
+  sendSuccess(res, 'Emissão da nota fiscal iniciada', { job }, 202);
 }));
 
 /**
@@ -413,9 +615,12 @@ router.post('/:id/check-status', asyncHandler(async (req, res) => {
   });
 
   try {
-    // Check status with ACBr API if invoice has acbrApiId (legacy field name)
+    // Check status with the fiscal provider if invoice has acbrApiId (legacy field name)
     if (invoice.acbrApiId && company?.acbrApiId) {
-      const statusResult = await checkNfseStatus(company.acbrApiId, invoice.acbrApiId);
+      const statusResult = await getFiscalProvider(company, { nfseId: invoice.acbrApiId })
+        .checkNfseStatus(company.acbrApiId, invoice.acbrApiId);
+      // A provider that no longer knows the note (mock after a restart) keeps the current status
+      statusResult.status = statusResult.status || invoice.status;
       
       // Update invoice status if changed
       if (statusResult.status !== invoice.status) {
@@ -431,6 +636,11 @@ router.post('/:id/check-status', asyncHandler(async (req, res) => {
         invoice.status = statusResult.status;
         invoice.pdfUrl = statusResult.pdf_url || invoice.pdfUrl;
         invoice.xmlUrl = statusResult.xml_url || invoice.xmlUrl;
+
+        await syncSubstitutionStatus(invoice, 'manual');
+        if (invoice.status === 'autorizada') {
+          deliverAuthorizedInvoice(invoice.id);
+        }
       }
 
       sendSuccess(res, 'Status consultado com sucesso', {
@@ -566,12 +776,9 @@ router.post('/:id/cancel', [
   }
 
   try {
-    // Import cancelNfse function
-    const { cancelNfse } = await import('../services/acbrApi.js');
-    
-    // Cancel with ACBr API if invoice has acbrApiId (legacy field name)
+    // Cancel with the fiscal provider if invoice has acbrApiId (legacy field name)
     if (invoice.acbrApiId && company?.acbrApiId) {
-      await cancelNfse(company.acbrApiId, invoice.acbrApiId, reason);
+      await getFiscalProvider(company, { nfseId: invoice.acbrApiId }).cancelNfse(company.acbrApiId, invoice.acbrApiId, reason);
     }
 
     // Update invoice status in database
@@ -634,6 +841,201 @@ router.post('/:id/cancel', [
   }
 }));
 
+/**
+ * POST /api/invoices/:id/substitute
+ * Replace an authorized invoice with a corrected one (substituição)
+ * The original becomes 'substituida' once the replacement is authorized
+ */
+router.post('/:id/substitute', [
+  body('codigo_motivo').optional().isIn(['01', '02', '03', '04', '05', '99']).withMessage('Código de motivo inválido'),
+  body('motivo').optional().isString().trim(),
+  body('valor').optional().isFloat({ gt: 0 }).withMessage('Valor deve ser maior que zero'),
+  body('aliquota_iss').optional().isFloat({ min: 0, max: 5 }).withMessage('Alíquota ISS deve estar entre 0 e 5%'),
+  body('descricao_servico').optional().isString().trim().notEmpty(),
+  body('codigo_servico').optional().isString().trim(),
+  body('iss_retido').optional().isBoolean(),
+  body('data_prestacao').optional().isISO8601().withMessage('Data de prestação inválida'),
+  ...FEDERAL_RETENTION_TYPES.map(type =>
+    body(`valor_${type}`).optional().isFloat({ min: 0 }).withMessage(`valor_${type} must be a non-negative number`)
+  ),
+  ...Object.keys(DEDUCTION_FIELDS).map(field =>
+    body(field).optional().isFloat({ min: 0 }).withMessage(`${field} must be a non-negative number`)
+  )
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const { codigo_motivo, motivo, ...changes } = req.body;
+
+  const { invoice, original } = await substituteInvoice(req.params.id, req.user.id, changes, {
+    codigoMotivo: codigo_motivo,
+    motivo,
+    source: 'api'
+  });
+
+  sendSuccess(res, invoice.status === 'autorizada'
+    ? 'Nota fiscal substituída com sucesso'
+    : 'Nota substituta enviada para processamento', {
+    invoice: {
+      ...invoice,
+      valor: parseFloat(invoice.valor),
+      aliquota_iss: parseFloat(invoice.aliquotaIss),
+      valor_iss: invoice.valorIss ? parseFloat(invoice.valorIss) : null
+    },
+    original: {
+      id: original.id,
+      numero: original.numero,
+      status: original.status
+    }
+  }, 201);
+}));
+
+/**
+ * POST /api/invoices/:id/send-email
+ * Resend an authorized invoice (PDF + XML) to the client's email
+ * Body: email (optional, defaults to the registered client's email)
+ */
+router.post('/:id/send-email', [
+  body('email').optional({ checkFalsy: true }).isEmail().withMessage('Email inválido').normalizeEmail()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  // Get user's company IDs
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    },
+    select: { id: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  const delivery = await deliverInvoiceToClient(invoice.id, {
+    trigger: 'manual',
+    email: req.body.email || undefined
+  });
+
+  sendSuccess(res, `Nota fiscal enviada para ${delivery.recipient}`, {
+    delivery: transformDelivery(delivery)
+  });
+}));
+
+/**
+ * GET /api/invoices/:id/deliveries
+ * Email delivery log of an invoice (most recent first)
+ */
+router.get('/:id/deliveries', asyncHandler(async (req, res) => {
+  // Get user's company IDs
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    },
+    select: { id: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  const deliveries = await prisma.invoiceEmailDelivery.findMany({
+    where: { invoiceId: invoice.id },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  sendSuccess(res, 'Histórico de envios', {
+    deliveries: deliveries.map(transformDelivery)
+  });
+}));
+
+/**
+ * GET /api/invoices/:id/history
+ * Status timeline (emission, webhook, polling and manual transitions) with the polling schedule
+ */
+router.get('/:id/history', asyncHandler(async (req, res) => {
+  // Get user's company IDs
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    },
+    include: { company: { select: { cidade: true } } }
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  sendSuccess(res, 'Histórico de status', await getInvoiceHistory(invoice));
+}));
+
+/**
+ * GET /api/invoices/:id/pix
+ * PIX charge (BR Code) for the open balance, with the QR code as a PNG data URL
+ */
+router.get('/:id/pix', asyncHandler(async (req, res) => {
+  // Get user's company IDs
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const invoice = await prisma.invoice.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    },
+    include: { company: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Invoice not found', 404, 'NOT_FOUND');
+  }
+
+  if (!invoice.company.pixChave) {
+    throw new AppError('Cadastre uma chave PIX da empresa para gerar cobranças', 400, 'PIX_KEY_MISSING');
+  }
+
+  const pix = getInvoicePix(invoice, invoice.company);
+  if (!pix) {
+    throw new AppError('Esta nota não possui saldo a receber por PIX', 400, 'PIX_NOT_AVAILABLE');
+  }
+
+  const qrCode = await generatePixQrCode(pix.copia_e_cola);
+
+  sendSuccess(res, 'Cobrança PIX', {
+    ...pix,
+    qr_code: `data:image/png;base64,${qrCode.toString('base64')}`
+  });
+}));
+
 /**
  * GET /api/invoices/:id/pdf
  * Download invoice PDF
@@ -661,36 +1063,35 @@ router.get('/:id/xml', asyncHandler(async (req, res) => {
     throw new AppError('Invoice not found', 404, 'NOT_FOUND');
   }
 
-  // Download XML from ACBr API
-  if (invoice.xmlUrl) {
-    try {
-      // Fetch XML from ACBr API
-      const response = await fetch(invoice.xmlUrl);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch XML: ${response.status}`);
-      }
+  const company = await prisma.company.findUnique({
+    where: { id: invoice.companyId }
+  });
 
-      const xmlContent = await response.text();
-      
-      res.setHeader('Content-Type', 'application/xml');
-      res.setHeader('Content-Disposition', `attachment; filename="nfse-${invoice.numero || invoice.id}.xml"`);
-      res.send(xmlContent);
-    } catch (error) {
-      console.error('[Invoice] Error downloading XML:', error);
-      throw new AppError(
-        `Erro ao baixar XML: ${error.message}`,
-        500,
-        'XML_DOWNLOAD_ERROR'
-      );
-    }
-  } else {
+  // Download XML from the fiscal provider
+  let xmlContent;
+  try {
+    xmlContent = await getFiscalProvider(company, { nfseId: invoice.acbrApiId }).downloadXml(invoice);
+  } catch (error) {
+    console.error('[Invoice] Error downloading XML:', error);
+    throw new AppError(
+      `Erro ao baixar XML: ${error.message}`,
+      500,
+      'XML_DOWNLOAD_ERROR'
+    );
+  }
+
+  if (!xmlContent) {
     throw new AppError('XML não disponível para esta nota fiscal', 404, 'XML_NOT_AVAILABLE');
   }
+
+  res.setHeader('Content-Type', 'application/xml');
+  res.setHeader('Content-Disposition', `attachment; filename="nfse-${invoice.numero || invoice.id}.xml"`);
+  res.send(xmlContent);
 }));
 
 /**
  * GET /api/invoices/:id/pdf
- * Download invoice PDF (from ACBr API or generate locally)
+ * Download invoice PDF (from the fiscal provider or generated locally)
  */
 router.get('/:id/pdf', asyncHandler(async (req, res) => {
   // Get user's company IDs
@@ -716,19 +1117,16 @@ router.get('/:id/pdf', asyncHandler(async (req, res) => {
     where: { id: invoice.companyId }
   });
 
-  // Try ACBr API URL first (legacy field pdfUrl)
-  if (invoice.pdfUrl) {
-    try {
-      const response = await fetch(invoice.pdfUrl);
-      if (response.ok) {
-        const pdfBuffer = await response.arrayBuffer();
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `attachment; filename="nfse-${invoice.numero || invoice.id}.pdf"`);
-        return res.send(Buffer.from(pdfBuffer));
-      }
-    } catch (error) {
-      console.warn('[Invoice] ACBr API PDF unavailable, generating locally:', error.message);
+  // Try the fiscal provider's PDF first
+  try {
+    const providerPdf = await getFiscalProvider(company, { nfseId: invoice.acbrApiId }).downloadPdf(invoice);
+    if (providerPdf) {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="nfse-${invoice.numero || invoice.id}.pdf"`);
+      return res.send(providerPdf);
     }
+  } catch (error) {
+    console.warn('[Invoice] Provider PDF unavailable, generating locally:', error.message);
   }
 
   // Generate PDF locally
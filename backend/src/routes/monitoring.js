@@ -1,10 +1,11 @@
 /**
  * Monitoring Routes
- * Endpoints for invoice status monitoring and certificate lifecycle management
+ * Endpoints for invoice status monitoring, certificate lifecycle management and DPS numbering audit
  */
 
 import express from 'express';
 import { authenticate } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/admin.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { sendSuccess } from '../utils/response.js';
 import { 
@@ -16,6 +17,11 @@ import {
   checkCertificateExpiration,
   checkAllCertificates
 } from '../services/certificateLifecycleService.js';
+import {
+  auditCompanyNumbering,
+  resyncNumberingCounter,
+  importOrphanedNotes
+} from '../services/numberingAuditService.js';
 import { prisma } from '../lib/prisma.js';
 
 const router = express.Router();
@@ -121,4 +127,44 @@ router.post('/certificates/check-all', asyncHandler(async (req, res) => {
   sendSuccess(res, 'Certificate check completed', result);
 }));
 
+/**
+ * GET /api/monitoring/numbering/:companyId
+ * DPS numbering audit of a company: gaps, duplicates and notes known only locally or only to ACBr
+ * (Admin only)
+ */
+router.get('/numbering/:companyId', requireAdmin, asyncHandler(async (req, res) => {
+  const report = await auditCompanyNumbering(req.params.companyId);
+
+  sendSuccess(res, 'Auditoria de numeração concluída', report);
+}));
+
+/**
+ * POST /api/monitoring/numbering/:companyId/resync
+ * Move the DPS counter up to the highest number in use (never down) and store missing DPS numbers
+ * (Admin only)
+ */
+router.post('/numbering/:companyId/resync', requireAdmin, asyncHandler(async (req, res) => {
+  const result = await resyncNumberingCounter(req.params.companyId);
+
+  sendSuccess(res, `Numeração ressincronizada (último DPS: ${result.counter})`, result);
+}));
+
+/**
+ * POST /api/monitoring/numbering/:companyId/import
+ * Import notes emitted at the prefeitura that have no local invoice
+ * Body: { acbr_ids?: string[] } (default: every orphaned note)
+ * (Admin only)
+ */
+router.post('/numbering/:companyId/import', requireAdmin, asyncHandler(async (req, res) => {
+  const { acbr_ids: acbrIds } = req.body || {};
+
+  if (acbrIds !== undefined && (!Array.isArray(acbrIds) || acbrIds.some(id => typeof id !== 'string'))) {
+    throw new AppError('acbr_ids deve ser uma lista de IDs', 400, 'VALIDATION_ERROR');
+  }
+
+  const result = await importOrphanedNotes(req.params.companyId, { acbrIds, userId: req.user.id });
+
+  sendSuccess(res, `${result.imported.length} nota(s) importada(s)`, result);
+}));
+
 export default router;
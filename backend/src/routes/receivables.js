@@ -0,0 +1,183 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import { prisma } from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
+import { sendSuccess } from '../utils/response.js';
+import {
+  PAYMENT_METHODS,
+  findOpenReceivables,
+  buildAgingReport,
+  buildClientBalances,
+  registerPayment,
+  reconcilePixPayment,
+  getInvoicePix,
+  deletePayment,
+  updateDueDate,
+  transformInvoiceReceivable,
+  transformPayment,
+  agingBucket,
+  daysOverdue,
+  getDueDate
+} from '../services/receivablesService.js';
+
+const router = express.Router();
+
+// All routes require authentication and active subscription
+router.use(authenticate);
+router.use(asyncHandler(requireActiveSubscription));
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Receivable view of an invoice
+const transformReceivable = (invoice) => {
+  const receivable = transformInvoiceReceivable(invoice);
+  return {
+    id: invoice.id,
+    company_id: invoice.companyId,
+    numero: invoice.numero,
+    cliente_nome: invoice.clienteNome,
+    cliente_documento: invoice.clienteDocumento,
+    valor: parseFloat(invoice.valor),
+    data_emissao: invoice.dataEmissao,
+    ...receivable,
+    faixa: receivable.saldo > 0 ? agingBucket(daysOverdue(getDueDate(invoice))) : null
+  };
+};
+
+const companyFilter = query('company_id').optional().isString();
+
+/**
+ * GET /api/receivables
+ * Open receivables (authorized invoices not fully paid), earliest due first
+ * Query: company_id, cliente_documento, faixa (aging bucket)
+ */
+router.get('/', [
+  companyFilter,
+  query('cliente_documento').optional().isString(),
+  query('faixa').optional().isIn(['current', '1_30', '31_60', '61_90', '90_plus'])
+], validateRequest, asyncHandler(async (req, res) => {
+  const invoices = await findOpenReceivables(req.user.id, { companyId: req.query.company_id });
+  const documento = req.query.cliente_documento ? String(req.query.cliente_documento).replace(/\D/g, '') : null;
+
+  const receivables = invoices
+    .map(transformReceivable)
+    .filter(r => r.saldo > 0)
+    .filter(r => !documento || String(r.cliente_documento || '').replace(/\D/g, '') === documento)
+    .filter(r => !req.query.faixa || r.faixa === req.query.faixa);
+
+  sendSuccess(res, 'Contas a receber', { receivables });
+}));
+
+/**
+ * GET /api/receivables/aging
+ * Aging report: open balance per bucket (current, 1-30, 31-60, 61-90, 90+ days overdue)
+ */
+router.get('/aging', [companyFilter], validateRequest, asyncHandler(async (req, res) => {
+  const invoices = await findOpenReceivables(req.user.id, { companyId: req.query.company_id });
+
+  sendSuccess(res, 'Relatório de vencimentos', buildAgingReport(invoices));
+}));
+
+/**
+ * GET /api/receivables/clients
+ * Open balance per client
+ */
+router.get('/clients', [companyFilter], validateRequest, asyncHandler(async (req, res) => {
+  const invoices = await findOpenReceivables(req.user.id, { companyId: req.query.company_id });
+
+  sendSuccess(res, 'Saldo por cliente', { clients: buildClientBalances(invoices) });
+}));
+
+/**
+ * POST /api/receivables/pix/reconcile
+ * Match a received PIX transfer to its invoice by the BR Code txid and register the payment
+ */
+router.post('/pix/reconcile', [
+  body('txid').isString().trim().notEmpty().withMessage('txid é obrigatório'),
+  body('valor').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Valor deve ser maior que zero'),
+  body('data_pagamento').optional({ nullable: true }).isISO8601().withMessage('Data de pagamento inválida'),
+  body('end_to_end_id').optional({ nullable: true }).isString().isLength({ max: 64 })
+], validateRequest, asyncHandler(async (req, res) => {
+  const { invoice, payment } = await reconcilePixPayment(req.body.txid, req.user.id, req.body);
+
+  sendSuccess(res, invoice.paymentStatus === 'paid' ? 'PIX conciliado: nota marcada como paga' : 'PIX conciliado: pagamento parcial registrado', {
+    receivable: transformReceivable(invoice),
+    payment: transformPayment(payment)
+  }, 201);
+}));
+
+/**
+ * GET /api/receivables/:invoiceId/payments
+ * Payments registered for an invoice, plus the PIX charge for the open balance
+ */
+router.get('/:invoiceId/payments', asyncHandler(async (req, res) => {
+  const invoice = await prisma.invoice.findFirst({
+    where: { id: req.params.invoiceId, company: { userId: req.user.id } },
+    include: { payments: { orderBy: { dataPagamento: 'desc' } }, company: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+
+  sendSuccess(res, 'Pagamentos da nota', {
+    receivable: transformReceivable(invoice),
+    payments: invoice.payments.map(transformPayment),
+    pix: getInvoicePix(invoice, invoice.company)
+  });
+}));
+
+/**
+ * POST /api/receivables/:invoiceId/payments
+ * Mark an invoice as paid (no valor) or register a partial payment
+ */
+router.post('/:invoiceId/payments', [
+  body('valor').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Valor deve ser maior que zero'),
+  body('data_pagamento').optional({ nullable: true }).isISO8601().withMessage('Data de pagamento inválida'),
+  body('forma_pagamento').isIn(PAYMENT_METHODS).withMessage(`Forma de pagamento deve ser: ${PAYMENT_METHODS.join(', ')}`),
+  body('observacao').optional({ nullable: true }).isString().isLength({ max: 500 })
+], validateRequest, asyncHandler(async (req, res) => {
+  const { invoice, payment } = await registerPayment(req.params.invoiceId, req.user.id, req.body);
+
+  sendSuccess(res, invoice.paymentStatus === 'paid' ? 'Nota marcada como paga' : 'Pagamento parcial registrado', {
+    receivable: transformReceivable(invoice),
+    payment: transformPayment(payment)
+  }, 201);
+}));
+
+/**
+ * DELETE /api/receivables/:invoiceId/payments/:paymentId
+ * Remove a payment registered by mistake
+ */
+router.delete('/:invoiceId/payments/:paymentId', asyncHandler(async (req, res) => {
+  const invoice = await deletePayment(req.params.invoiceId, req.params.paymentId, req.user.id);
+
+  sendSuccess(res, 'Pagamento removido', { receivable: transformReceivable(invoice) });
+}));
+
+/**
+ * PUT /api/receivables/:invoiceId
+ * Change the due date of an invoice
+ */
+router.put('/:invoiceId', [
+  body('data_vencimento').optional({ nullable: true }).isISO8601().withMessage('Data de vencimento inválida')
+], validateRequest, asyncHandler(async (req, res) => {
+  const invoice = await updateDueDate(req.params.invoiceId, req.user.id, req.body.data_vencimento || null);
+
+  sendSuccess(res, 'Vencimento atualizado', { receivable: transformReceivable(invoice) });
+}));
+
+export default router;
@@ -0,0 +1,365 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { prisma } from '../lib/prisma.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
+import { sendSuccess } from '../utils/response.js';
+import {
+  RECURRING_FREQUENCIES,
+  calculateFirstRunDate,
+  runRecurringSchedule
+} from '../services/recurringInvoiceService.js';
+
+const router = express.Router();
+
+// All routes require authentication and active subscription
+router.use(authenticate);
+router.use(asyncHandler(requireActiveSubscription));
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'error',
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Transform Prisma schedule data from camelCase to snake_case for frontend
+const transformSchedule = (schedule) => ({
+  id: schedule.id,
+  company_id: schedule.companyId,
+  client_id: schedule.clientId,
+  cliente_nome: schedule.clienteNome,
+  cliente_documento: schedule.clienteDocumento,
+  descricao_servico: schedule.descricaoServico,
+  valor: parseFloat(schedule.valor),
+  aliquota_iss: schedule.aliquotaIss !== null ? parseFloat(schedule.aliquotaIss) : null,
+  codigo_servico: schedule.codigoServico,
+  iss_retido: schedule.issRetido,
+  frequency: schedule.frequency,
+  day_of_month: schedule.dayOfMonth,
+  start_date: schedule.startDate,
+  end_date: schedule.endDate,
+  max_occurrences: schedule.maxOccurrences,
+  occurrences: schedule.occurrences,
+  next_run_at: schedule.nextRunAt,
+  status: schedule.status,
+  last_run_at: schedule.lastRunAt,
+  last_run_status: schedule.lastRunStatus,
+  last_error: schedule.lastError,
+  last_invoice_id: schedule.lastInvoiceId,
+  created_at: schedule.createdAt,
+  updated_at: schedule.updatedAt
+});
+
+const scheduleValidators = (isUpdate = false) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+  return [
+    required('descricao_servico').trim().notEmpty().withMessage('Descrição do serviço é obrigatória'),
+    required('valor').isFloat({ gt: 0 }).withMessage('Valor deve ser maior que zero'),
+    required('frequency').custom((value) => RECURRING_FREQUENCIES.includes(value)).withMessage('Frequência inválida'),
+    body('day_of_month').optional({ nullable: true }).isInt({ min: 1, max: 28 }).withMessage('Dia do mês deve estar entre 1 e 28'),
+    body('aliquota_iss').optional({ nullable: true }).isFloat({ min: 0, max: 5 }).withMessage('Alíquota de ISS deve estar entre 0 e 5'),
+    body('iss_retido').optional().isBoolean(),
+    body('start_date').optional().isISO8601().withMessage('Data inicial inválida'),
+    body('end_date').optional({ nullable: true }).isISO8601().withMessage('Data final inválida'),
+    body('max_occurrences').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Número de emissões deve ser maior que zero')
+  ];
+};
+
+/**
+ * Find a schedule owned by the user or throw 404
+ */
+async function findUserSchedule(id, userId) {
+  const schedule = await prisma.recurringInvoiceSchedule.findFirst({
+    where: { id, userId }
+  });
+
+  if (!schedule) {
+    throw new AppError('Agendamento não encontrado', 404, 'NOT_FOUND');
+  }
+  return schedule;
+}
+
+/**
+ * Resolve the tomador from client_id or explicit name/document
+ */
+async function resolveScheduleClient(reqBody, userId) {
+  if (reqBody.client_id) {
+    const client = await prisma.client.findFirst({
+      where: { id: reqBody.client_id, userId }
+    });
+    if (!client) {
+      throw new AppError('Cliente não encontrado', 404, 'CLIENT_NOT_FOUND');
+    }
+    return { clientId: client.id, clienteNome: client.nome, clienteDocumento: client.documento };
+  }
+
+  if (!reqBody.cliente_nome || !reqBody.cliente_documento) {
+    throw new AppError('Informe o cliente (client_id) ou nome e CPF/CNPJ do tomador', 400, 'VALIDATION_ERROR');
+  }
+
+  return {
+    clientId: null,
+    clienteNome: reqBody.cliente_nome.trim(),
+    clienteDocumento: reqBody.cliente_documento.replace(/\D/g, '')
+  };
+}
+
+/**
+ * GET /api/recurring-invoices
+ * List recurring invoice schedules for the user's companies
+ * Query params: companyId, status
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { companyId, status } = req.query;
+
+  const where = { userId: req.user.id };
+  if (companyId) {
+    where.companyId = companyId;
+  }
+  if (status) {
+    where.status = status;
+  }
+
+  const schedules = await prisma.recurringInvoiceSchedule.findMany({
+    where,
+    orderBy: [{ status: 'asc' }, { nextRunAt: 'asc' }]
+  });
+
+  sendSuccess(res, 'Recurring schedules list', { schedules: schedules.map(transformSchedule) });
+}));
+
+/**
+ * GET /api/recurring-invoices/:id
+ * Get a single schedule
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const schedule = await findUserSchedule(req.params.id, req.user.id);
+
+  sendSuccess(res, 'Recurring schedule retrieved', { schedule: transformSchedule(schedule) });
+}));
+
+/**
+ * POST /api/recurring-invoices
+ * Create a recurring invoice schedule
+ */
+router.post('/',
+  [
+    body('company_id').notEmpty().withMessage('Empresa é obrigatória'),
+    ...scheduleValidators()
+  ],
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const {
+      company_id,
+      descricao_servico,
+      valor,
+      aliquota_iss,
+      codigo_servico,
+      iss_retido,
+      frequency,
+      day_of_month,
+      start_date,
+      end_date,
+      max_occurrences
+    } = req.body;
+
+    const company = await prisma.company.findFirst({
+      where: { id: company_id, userId: req.user.id }
+    });
+    if (!company) {
+      throw new AppError('Empresa não encontrada', 404, 'NOT_FOUND');
+    }
+
+    const tomador = await resolveScheduleClient(req.body, req.user.id);
+
+    const startDate = start_date ? new Date(start_date) : new Date();
+    if (end_date && new Date(end_date) < startDate) {
+      throw new AppError('Data final deve ser posterior à data inicial', 400, 'VALIDATION_ERROR');
+    }
+
+    // Month-based schedules keep a fixed day (defaults to the start date's day, capped at 28)
+    const dayOfMonth = frequency === 'weekly'
+      ? null
+      : (day_of_month ? parseInt(day_of_month) : Math.min(startDate.getDate(), 28));
+
+    const schedule = await prisma.recurringInvoiceSchedule.create({
+      data: {
+        companyId: company.id,
+        userId: req.user.id,
+        ...tomador,
+        descricaoServico: descricao_servico.trim(),
+        valor: parseFloat(valor),
+        aliquotaIss: aliquota_iss !== undefined && aliquota_iss !== null ? parseFloat(aliquota_iss) : null,
+        codigoServico: codigo_servico || null,
+        issRetido: iss_retido === true || iss_retido === 'true',
+        frequency,
+        dayOfMonth,
+        startDate,
+        endDate: end_date ? new Date(end_date) : null,
+        maxOccurrences: max_occurrences ? parseInt(max_occurrences) : null,
+        nextRunAt: calculateFirstRunDate(startDate, dayOfMonth)
+      }
+    });
+
+    sendSuccess(res, 'Agendamento criado com sucesso', { schedule: transformSchedule(schedule) }, 201);
+  })
+);
+
+/**
+ * PUT /api/recurring-invoices/:id
+ * Update a schedule (changes apply to the next executions)
+ */
+router.put('/:id',
+  scheduleValidators(true),
+  validateRequest,
+  asyncHandler(async (req, res) => {
+    const existing = await findUserSchedule(req.params.id, req.user.id);
+
+    if (existing.status === 'finished') {
+      throw new AppError('Agendamento finalizado não pode ser alterado', 400, 'SCHEDULE_FINISHED');
+    }
+
+    const {
+      descricao_servico,
+      valor,
+      aliquota_iss,
+      codigo_servico,
+      iss_retido,
+      frequency,
+      day_of_month,
+      end_date,
+      max_occurrences
+    } = req.body;
+
+    const data = {};
+
+    if (req.body.client_id || req.body.cliente_nome || req.body.cliente_documento) {
+      Object.assign(data, await resolveScheduleClient(req.body, req.user.id));
+    }
+    if (descricao_servico !== undefined) data.descricaoServico = descricao_servico.trim();
+    if (valor !== undefined) data.valor = parseFloat(valor);
+    if (aliquota_iss !== undefined) data.aliquotaIss = aliquota_iss !== null ? parseFloat(aliquota_iss) : null;
+    if (codigo_servico !== undefined) data.codigoServico = codigo_servico || null;
+    if (iss_retido !== undefined) data.issRetido = iss_retido === true || iss_retido === 'true';
+    if (end_date !== undefined) data.endDate = end_date ? new Date(end_date) : null;
+    if (max_occurrences !== undefined) data.maxOccurrences = max_occurrences ? parseInt(max_occurrences) : null;
+
+    const newFrequency = frequency || existing.frequency;
+    if (frequency !== undefined || day_of_month !== undefined) {
+      data.frequency = newFrequency;
+      data.dayOfMonth = newFrequency === 'weekly'
+        ? null
+        : (day_of_month !== undefined ? (day_of_month ? parseInt(day_of_month) : null) : existing.dayOfMonth);
+
+      // Re-anchor the next run on the new day of month
+      if (data.dayOfMonth !== existing.dayOfMonth) {
+        const anchor = existing.nextRunAt > new Date() ? existing.nextRunAt : new Date();
+        data.nextRunAt = calculateFirstRunDate(anchor, data.dayOfMonth);
+      }
+    }
+
+    const schedule = await prisma.recurringInvoiceSchedule.update({
+      where: { id: existing.id },
+      data
+    });
+
+    sendSuccess(res, 'Agendamento atualizado com sucesso', { schedule: transformSchedule(schedule) });
+  })
+);
+
+/**
+ * POST /api/recurring-invoices/:id/pause
+ * Pause a schedule
+ */
+router.post('/:id/pause', asyncHandler(async (req, res) => {
+  const existing = await findUserSchedule(req.params.id, req.user.id);
+
+  if (existing.status !== 'active') {
+    throw new AppError('Apenas agendamentos ativos podem ser pausados', 400, 'INVALID_STATUS');
+  }
+
+  const schedule = await prisma.recurringInvoiceSchedule.update({
+    where: { id: existing.id },
+    data: { status: 'paused' }
+  });
+
+  sendSuccess(res, 'Agendamento pausado', { schedule: transformSchedule(schedule) });
+}));
+
+/**
+ * POST /api/recurring-invoices/:id/resume
+ * Resume a paused schedule (missed cycles are skipped, not emitted)
+ */
+router.post('/:id/resume', asyncHandler(async (req, res) => {
+  const existing = await findUserSchedule(req.params.id, req.user.id);
+
+  if (existing.status !== 'paused') {
+    throw new AppError('Apenas agendamentos pausados podem ser retomados', 400, 'INVALID_STATUS');
+  }
+
+  const now = new Date();
+  const nextRunAt = existing.nextRunAt > now
+    ? existing.nextRunAt
+    : calculateFirstRunDate(now, existing.dayOfMonth);
+
+  const schedule = await prisma.recurringInvoiceSchedule.update({
+    where: { id: existing.id },
+    data: { status: 'active', nextRunAt }
+  });
+
+  sendSuccess(res, 'Agendamento retomado', { schedule: transformSchedule(schedule) });
+}));
+
+/**
+ * POST /api/recurring-invoices/:id/run
+ * Emit the invoice of a schedule now (does not change the next scheduled run)
+ */
+router.post('/:id/run', asyncHandler(async (req, res) => {
+  const existing = await findUserSchedule(req.params.id, req.user.id);
+
+  if (existing.status === 'finished') {
+    throw new AppError('Agendamento finalizado', 400, 'SCHEDULE_FINISHED');
+  }
+
+  const result = await runRecurringSchedule(existing.id, { advance: false });
+
+  if (result.status === 'failed') {
+    throw new AppError(result.error, 400, 'RECURRING_RUN_FAILED');
+  }
+  if (result.status === 'review') {
+    throw new AppError(result.error, 409, 'RECURRING_RUN_NEEDS_REVIEW');
+  }
+
+  const schedule = await prisma.recurringInvoiceSchedule.findUnique({ where: { id: existing.id } });
+
+  sendSuccess(res, result.status === 'queued'
+    ? 'Prefeitura indisponível. A nota foi colocada na fila de espera.'
+    : 'Nota fiscal emitida com sucesso', {
+    result,
+    schedule: transformSchedule(schedule)
+  });
+}));
+
+/**
+ * DELETE /api/recurring-invoices/:id
+ * Delete a schedule (already emitted invoices are kept)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const existing = await findUserSchedule(req.params.id, req.user.id);
+
+  await prisma.recurringInvoiceSchedule.delete({
+    where: { id: existing.id }
+  });
+
+  sendSuccess(res, 'Agendamento excluído com sucesso', { deleted: true });
+}));
+
+export default router;
@@ -5,6 +5,20 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { requireActiveSubscription } from '../middleware/subscriptionAccess.js';
 import { sendSuccess } from '../utils/response.js';
+import { calculateCompanySimplesDAS } from '../services/simplesNacionalService.js';
+import {
+  estimateLucroPresumido,
+  generateLucroPresumidoDarfs,
+  formatDarf,
+  PRESUNCAO_ATIVIDADES
+} from '../services/lucroPresumidoService.js';
+import {
+  getDasnSummary,
+  saveDasnDeclaration,
+  markDasnTransmitted,
+  formatDasnSummary,
+  parseAnoCalendario
+} from '../services/dasnSimeiService.js';
 
 const router = express.Router();
 
@@ -33,6 +47,71 @@ const DAS_VALUES_2026 = {
   TOTAL_INDUSTRIA: 81.90    // INSS + ISS + ICMS (industry - rare)
 };
 
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+/**
+ * Map a DAS record to the API format
+ * Simples Nacional DAS also carry the calculation (Anexo, bracket, RBT12, rates) and
+ * the share of each tax
+ */
+function transformDAS(das) {
+  return {
+    id: das.id,
+    company_id: das.companyId,
+    referencia: das.referencia,
+    data_vencimento: das.dataVencimento,
+    valor_total: parseFloat(das.valorTotal),
+    valor_inss: das.valorInss ? parseFloat(das.valorInss) : null,
+    valor_icms: das.valorIcms ? parseFloat(das.valorIcms) : null,
+    valor_iss: das.valorIss ? parseFloat(das.valorIss) : null,
+    valor_irpj: toNumber(das.valorIrpj),
+    valor_csll: toNumber(das.valorCsll),
+    valor_cofins: toNumber(das.valorCofins),
+    valor_pis: toNumber(das.valorPis),
+    valor_cpp: toNumber(das.valorCpp),
+    anexo: das.anexo || null,
+    faixa: das.faixa || null,
+    receita_bruta: toNumber(das.receitaBruta),
+    rbt12: toNumber(das.rbt12),
+    aliquota_nominal: toNumber(das.aliquotaNominal),
+    parcela_deduzir: toNumber(das.parcelaDeduzir),
+    aliquota_efetiva: toNumber(das.aliquotaEfetiva),
+    fator_r: toNumber(das.fatorR),
+    status: das.status,
+    codigo_barras: das.codigoBarras,
+    pdf_url: das.pdfUrl,
+    data_pagamento: das.dataPagamento,
+    created_at: das.createdAt,
+    updated_at: das.updatedAt
+  };
+}
+
+/**
+ * Breakdown of a Simples Nacional calculation in the API format
+ */
+function formatSimplesCalculation(calculation) {
+  return {
+    anexo: calculation.anexo,
+    faixa: calculation.faixa,
+    receita_bruta: calculation.receitaBruta,
+    rbt12: calculation.rbt12,
+    receita_12_meses: calculation.receita12Meses,
+    meses_atividade: calculation.mesesAtividade,
+    rbt12_proporcional: calculation.proporcional,
+    aliquota_nominal: calculation.aliquotaNominal,
+    parcela_deduzir: calculation.parcelaDeduzir,
+    aliquota_efetiva: calculation.aliquotaEfetiva,
+    fator_r: calculation.fatorR,
+    valor_total: calculation.valorTotal,
+    valor_irpj: calculation.tributos.irpj,
+    valor_csll: calculation.tributos.csll,
+    valor_cofins: calculation.tributos.cofins,
+    valor_pis: calculation.tributos.pis,
+    valor_cpp: calculation.tributos.cpp,
+    valor_iss: calculation.tributos.iss
+  };
+}
+
 // All routes require authentication and active subscription
 router.use(authenticate);
 router.use(asyncHandler(requireActiveSubscription));
@@ -81,22 +160,7 @@ router.get('/das', asyncHandler(async (req, res) => {
   });
 
   // Map to frontend format
-  const result = dasPayments.map(das => ({
-    id: das.id,
-    company_id: das.companyId,
-    referencia: das.referencia,
-    data_vencimento: das.dataVencimento,
-    valor_total: parseFloat(das.valorTotal),
-    valor_inss: das.valorInss ? parseFloat(das.valorInss) : null,
-    valor_icms: das.valorIcms ? parseFloat(das.valorIcms) : null,
-    valor_iss: das.valorIss ? parseFloat(das.valorIss) : null,
-    status: das.status,
-    codigo_barras: das.codigoBarras,
-    pdf_url: das.pdfUrl,
-    data_pagamento: das.dataPagamento,
-    created_at: das.createdAt,
-    updated_at: das.updatedAt
-  }));
+  const result = dasPayments.map(transformDAS);
 
   res.json(result);
 }));
@@ -124,22 +188,7 @@ router.get('/das/:id', asyncHandler(async (req, res) => {
     throw new AppError('DAS not found', 404, 'NOT_FOUND');
   }
 
-  res.json({
-    id: das.id,
-    company_id: das.companyId,
-    referencia: das.referencia,
-    data_vencimento: das.dataVencimento,
-    valor_total: parseFloat(das.valorTotal),
-    valor_inss: das.valorInss ? parseFloat(das.valorInss) : null,
-    valor_icms: das.valorIcms ? parseFloat(das.valorIcms) : null,
-    valor_iss: das.valorIss ? parseFloat(das.valorIss) : null,
-    status: das.status,
-    codigo_barras: das.codigoBarras,
-    pdf_url: das.pdfUrl,
-    data_pagamento: das.dataPagamento,
-    created_at: das.createdAt,
-    updated_at: das.updatedAt
-  });
+  res.json(transformDAS(das));
 }));
 
 /**
@@ -315,10 +364,14 @@ function calculateModule11(code) {
  * POST /api/taxes/das/generate
  * Generate DAS for a specific month
  * 
- * Calculates values based on:
+ * MEI - calculates values based on:
  * - Current minimum wage (for INSS - 5%)
  * - Company activity type (for ISS/ICMS)
  * - 2026 tax table values
+ *
+ * Simples Nacional - revenue of the month x effective rate of the company's Anexo
+ * (RBT12 from the invoices; Anexo III or V from the Fator R when the company is subject
+ * to it), split into IRPJ, CSLL, COFINS, PIS, CPP and ISS
  */
 router.post('/das/generate', [
   body('company_id').notEmpty().withMessage('Company ID is required'),
@@ -340,9 +393,9 @@ router.post('/das/generate', [
     throw new AppError('Company not found', 404, 'NOT_FOUND');
   }
 
-  // Validate that company is MEI
-  if (company.regimeTributario !== 'MEI') {
-    throw new AppError('DAS generation is only available for MEI companies', 400, 'INVALID_REGIME');
+  // DAS is only due by MEI and Simples Nacional companies
+  if (!['MEI', 'Simples Nacional'].includes(company.regimeTributario)) {
+    throw new AppError('DAS generation is only available for MEI and Simples Nacional companies', 400, 'INVALID_REGIME');
   }
 
   // Check if DAS already exists for this month
@@ -360,8 +413,42 @@ router.post('/das/generate', [
   const dueYear = month === 12 ? year + 1 : year;
   const dataVencimento = new Date(dueYear, dueMonth - 1, 20);
 
-  // Calculate DAS values based on company activity
-  const dasValues = calculateDASValues(company);
+  let dasValues;
+  let calculation = {};
+  if (company.regimeTributario === 'MEI') {
+    // Calculate DAS values based on company activity
+    dasValues = calculateDASValues(company);
+  } else {
+    const simples = await calculateCompanySimplesDAS(company, referencia);
+    if (simples.receitaBruta <= 0) {
+      throw new AppError(
+        `Nenhuma receita registrada em ${referencia}. Sem faturamento no mês, não há DAS a pagar.`,
+        400,
+        'NO_REVENUE'
+      );
+    }
+    dasValues = {
+      valorTotal: simples.valorTotal,
+      valorInss: null,
+      valorIss: simples.tributos.iss,
+      valorIcms: null
+    };
+    calculation = {
+      valorIrpj: simples.tributos.irpj,
+      valorCsll: simples.tributos.csll,
+      valorCofins: simples.tributos.cofins,
+      valorPis: simples.tributos.pis,
+      valorCpp: simples.tributos.cpp,
+      anexo: simples.anexo,
+      faixa: simples.faixa,
+      receitaBruta: simples.receitaBruta,
+      rbt12: simples.rbt12,
+      aliquotaNominal: simples.aliquotaNominal,
+      parcelaDeduzir: simples.parcelaDeduzir,
+      aliquotaEfetiva: simples.aliquotaEfetiva,
+      fatorR: simples.fatorR
+    };
+  }
 
   // Generate authentic barcode
   const codigoBarras = generateDASBarcode(
@@ -380,6 +467,7 @@ router.post('/das/generate', [
       valorInss: dasValues.valorInss,
       valorIss: dasValues.valorIss,
       valorIcms: dasValues.valorIcms,
+      ...calculation,
       codigoBarras,
       status: 'pendente'
     }
@@ -387,17 +475,38 @@ router.post('/das/generate', [
 
   console.log(`[DAS] Generated DAS for company ${company.cnpj}: ${referencia} - R$ ${dasValues.valorTotal.toFixed(2)}`);
 
-  res.status(201).json({
-    id: das.id,
-    company_id: das.companyId,
-    referencia: das.referencia,
-    data_vencimento: das.dataVencimento,
-    valor_total: parseFloat(das.valorTotal),
-    valor_inss: das.valorInss ? parseFloat(das.valorInss) : null,
-    valor_iss: das.valorIss ? parseFloat(das.valorIss) : null,
-    valor_icms: das.valorIcms ? parseFloat(das.valorIcms) : null,
-    status: das.status,
-    codigo_barras: das.codigoBarras
+  res.status(201).json(transformDAS(das));
+}));
+
+/**
+ * GET /api/taxes/das/simples/estimate?company_id=&referencia=MM/YYYY
+ * Preview the Simples Nacional DAS of a month without creating it
+ */
+router.get('/das/simples/estimate', asyncHandler(async (req, res) => {
+  const { company_id, referencia } = req.query;
+
+  if (!company_id || !/^\d{2}\/\d{4}$/.test(referencia || '')) {
+    throw new AppError('company_id and referencia (MM/YYYY) are required', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: company_id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  if (company.regimeTributario !== 'Simples Nacional') {
+    throw new AppError('Estimate is only available for Simples Nacional companies', 400, 'INVALID_REGIME');
+  }
+
+  const calculation = await calculateCompanySimplesDAS(company, referencia);
+
+  res.json({
+    company_id,
+    referencia,
+    ...formatSimplesCalculation(calculation)
   });
 }));
 
@@ -406,7 +515,7 @@ router.post('/das/generate', [
  * Generate and download DAS PDF
  * 
  * Generates a PDF document that mimics the official DAS layout
- * with all required information for payment
+ * with all required information for payment, with the company branding
  */
 router.get('/das/:id/pdf', asyncHandler(async (req, res) => {
   // Get user's company IDs
@@ -430,8 +539,9 @@ router.get('/das/:id/pdf', asyncHandler(async (req, res) => {
     throw new AppError('DAS not found', 404, 'NOT_FOUND');
   }
 
-  // Generate PDF content
-  const pdfContent = generateDASPdfContent(das);
+  // Generate PDF with the company branding
+  const { generateDASPDF } = await import('../services/pdfService.js');
+  const pdfContent = await generateDASPDF(das, das.company);
   
   // Set response headers for PDF download
   res.setHeader('Content-Type', 'application/pdf');
@@ -442,101 +552,277 @@ router.get('/das/:id/pdf', asyncHandler(async (req, res) => {
 }));
 
 /**
- * Generate DAS PDF content
- * Creates a simple PDF document with DAS information
- * 
- * In production, this would use a proper PDF library like PDFKit
- * For now, we generate a simple text-based PDF
+ * GET /api/taxes/darf
+ * List the DARFs (Lucro Presumido federal taxes and ISS) of the user's companies
  */
-function generateDASPdfContent(das) {
-  const company = das.company;
-  
-  // Format values
-  const valorTotal = parseFloat(das.valorTotal).toFixed(2);
-  const valorInss = das.valorInss ? parseFloat(das.valorInss).toFixed(2) : '0.00';
-  const valorIss = das.valorIss ? parseFloat(das.valorIss).toFixed(2) : '0.00';
-  const valorIcms = das.valorIcms ? parseFloat(das.valorIcms).toFixed(2) : '0.00';
-  
-  // Format CNPJ
-  const cnpjFormatado = company.cnpj.replace(
-    /(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/,
-    '$1.$2.$3/$4-$5'
-  );
-  
-  // Format date
-  const dataVencimento = new Date(das.dataVencimento);
-  const dataFormatada = dataVencimento.toLocaleDateString('pt-BR');
-  
-  // Get month name
-  const meses = [
-    'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
-    'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
-  ];
-  const [mes, ano] = das.referencia.split('/');
-  const mesNome = meses[parseInt(mes) - 1];
-  
-  // Create a simple PDF (basic PDF structure)
-  // Note: In production, use PDFKit or similar library for proper PDF generation
-  const pdfHeader = '%PDF-1.4\n';
-  
-  const content = `
-========================================
-   DOCUMENTO DE ARRECADAÇÃO DO SIMPLES
-           NACIONAL - DAS MEI
-========================================
-
-DADOS DO CONTRIBUINTE
----------------------
-Razão Social: ${company.razaoSocial || company.nomeFantasia}
-CNPJ: ${cnpjFormatado}
-Cidade/UF: ${company.cidade}/${company.uf}
-
-PERÍODO DE APURAÇÃO
--------------------
-Referência: ${mesNome}/${ano}
-Competência: ${das.referencia}
-
-DISCRIMINAÇÃO DOS TRIBUTOS
---------------------------
-INSS (5% SM):     R$ ${valorInss}
-ISS (Serviços):   R$ ${valorIss}
-ICMS (Comércio):  R$ ${valorIcms}
-------------------------------
-TOTAL A PAGAR:    R$ ${valorTotal}
-
-INFORMAÇÕES DE PAGAMENTO
-------------------------
-Vencimento: ${dataFormatada}
-Status: ${das.status === 'pago' ? 'PAGO' : 'PENDENTE'}
-${das.dataPagamento ? `Data Pagamento: ${new Date(das.dataPagamento).toLocaleDateString('pt-BR')}` : ''}
-
-CÓDIGO DE BARRAS
-----------------
-${das.codigoBarras || 'N/A'}
-
-========================================
-   IMPORTANTE
-========================================
-• O pagamento após o vencimento está 
-  sujeito a multa e juros.
-• Guarde este documento como comprovante.
-• Em caso de dúvidas, acesse o Portal do
-  Empreendedor: www.gov.br/empresas-e-negocios
-
-Gerado por MAY - Assistente Fiscal IA
-${new Date().toLocaleString('pt-BR')}
-========================================
-`;
-
-  // For now, return as text/plain since proper PDF generation requires PDFKit
-  // Convert content to simple PDF format
-  const textStream = `${pdfHeader}1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>\nendobj\n4 0 obj\n<< /Length ${content.length} >>\nstream\nBT\n/F1 10 Tf\n50 750 Td\n(${content.replace(/\n/g, ') Tj T* (')})\nTj\nET\nendstream\nendobj\n5 0 obj\n<< /Type /Font /Subtype /Type1 /BaseFont /Courier >>\nendobj\nxref\n0 6\n0000000000 65535 f \n0000000009 00000 n \n0000000058 00000 n \n0000000115 00000 n \n0000000266 00000 n \n0000000${(350 + content.length).toString().padStart(3, '0')} 00000 n \ntrailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${400 + content.length}\n%%EOF`;
-  
-  // Return as buffer - for proper implementation, use PDFKit
-  // For now, we return the content as a simple text representation
-  return Buffer.from(content, 'utf-8');
+router.get('/darf', asyncHandler(async (req, res) => {
+  const { companyId, status, year } = req.query;
+
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const where = { companyId: { in: companyIds } };
+  if (status) where.status = status;
+  if (companyId && companyIds.includes(companyId)) {
+    where.companyId = companyId;
+  }
+  if (year) {
+    where.periodoApuracao = {
+      gte: new Date(parseInt(year), 0, 1),
+      lte: new Date(parseInt(year), 11, 31)
+    };
+  }
+
+  const darfs = await prisma.darf.findMany({
+    where,
+    orderBy: [{ dataVencimento: 'desc' }, { tributo: 'asc' }]
+  });
+
+  res.json(darfs.map(formatDarf));
+}));
+
+/**
+ * GET /api/taxes/lucro-presumido/estimate?company_id=&referencia=MM/YYYY
+ * Taxes of a Lucro Presumido company for a month, before generating them:
+ * PIS, COFINS and ISS of the month, plus IRPJ and CSLL when the month closes a quarter
+ */
+router.get('/lucro-presumido/estimate', asyncHandler(async (req, res) => {
+  const { company_id, referencia } = req.query;
+
+  if (!company_id || !/^\d{2}\/\d{4}$/.test(referencia || '')) {
+    throw new AppError('company_id and referencia (MM/YYYY) are required', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: company_id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  if (company.regimeTributario !== 'Lucro Presumido') {
+    throw new AppError('Estimate is only available for Lucro Presumido companies', 400, 'INVALID_REGIME');
+  }
+
+  const estimate = await estimateLucroPresumido(company, referencia);
+
+  res.json({
+    company_id,
+    referencia,
+    trimestre: estimate.trimestre,
+    fecha_trimestre: estimate.fechaTrimestre,
+    atividade: estimate.atividade,
+    atividade_nome: PRESUNCAO_ATIVIDADES[estimate.atividade].name,
+    receita_mes: estimate.receitaMes,
+    receita_trimestre: estimate.receitaTrimestre,
+    valor_total: Math.round(estimate.obrigacoes.reduce((sum, o) => sum + o.valorTotal, 0) * 100) / 100,
+    obrigacoes: estimate.obrigacoes.map(obrigacao => formatDarf({ ...obrigacao, companyId: company.id }))
+  });
+}));
+
+/**
+ * POST /api/taxes/darf/generate
+ * Generate the DARFs of a month for a Lucro Presumido company (taxes already generated are kept)
+ */
+router.post('/darf/generate', [
+  body('company_id').notEmpty().withMessage('Company ID is required'),
+  body('referencia').matches(/^\d{2}\/\d{4}$/).withMessage('Referencia must be in MM/YYYY format')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const { company_id, referencia } = req.body;
+
+  const company = await prisma.company.findFirst({
+    where: { id: company_id, userId: req.user.id }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+
+  const darfs = await generateLucroPresumidoDarfs(company, referencia);
+
+  console.log(`[DARF] Generated ${darfs.length} DARF(s) for company ${company.cnpj}: ${referencia}`);
+
+  res.status(201).json(darfs.map(formatDarf));
+}));
+
+/**
+ * POST /api/taxes/darf/:id/pay
+ * Mark DARF as paid
+ */
+router.post('/darf/:id/pay', asyncHandler(async (req, res) => {
+  const { data_pagamento } = req.body;
+
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const existing = await prisma.darf.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    }
+  });
+
+  if (!existing) {
+    throw new AppError('DARF not found', 404, 'NOT_FOUND');
+  }
+
+  if (existing.status === 'pago') {
+    throw new AppError('DARF already paid', 400, 'ALREADY_PAID');
+  }
+
+  const darf = await prisma.darf.update({
+    where: { id: req.params.id },
+    data: {
+      status: 'pago',
+      dataPagamento: data_pagamento ? new Date(data_pagamento) : new Date()
+    }
+  });
+
+  res.json(formatDarf(darf));
+}));
+
+/**
+ * GET /api/taxes/darf/:id/pdf
+ * Download the DARF (or the ISS guide) as PDF, with the company branding
+ */
+router.get('/darf/:id/pdf', asyncHandler(async (req, res) => {
+  const companies = await prisma.company.findMany({
+    where: { userId: req.user.id },
+    select: { id: true }
+  });
+  const companyIds = companies.map(c => c.id);
+
+  const darf = await prisma.darf.findFirst({
+    where: {
+      id: req.params.id,
+      companyId: { in: companyIds }
+    },
+    include: {
+      company: true
+    }
+  });
+
+  if (!darf) {
+    throw new AppError('DARF not found', 404, 'NOT_FOUND');
+  }
+
+  const { generateDARFPDF } = await import('../services/pdfService.js');
+  const pdfContent = await generateDARFPDF(darf, darf.company);
+
+  const filename = `${darf.tributo === 'ISS' ? 'iss' : 'darf'}-${darf.tributo.toLowerCase()}-${darf.referencia.replace('/', '-')}.pdf`;
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pdfContent);
+}));
+
+/**
+ * Company of the user for the DASN-SIMEI routes
+ */
+async function findDasnCompany(userId, companyId) {
+  if (!companyId) {
+    throw new AppError('company_id is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = await prisma.company.findFirst({
+    where: { id: companyId, userId }
+  });
+
+  if (!company) {
+    throw new AppError('Company not found', 404, 'NOT_FOUND');
+  }
+  return company;
 }
 
+/**
+ * GET /api/taxes/dasn-simei?company_id=&ano=
+ * DASN-SIMEI of a MEI company (default: previous year): revenue, DAS of the year,
+ * values to type into the portal, checklist and deadline
+ */
+router.get('/dasn-simei', asyncHandler(async (req, res) => {
+  const company = await findDasnCompany(req.user.id, req.query.company_id);
+  const ano = parseAnoCalendario(req.query.ano || new Date().getFullYear() - 1);
+
+  const summary = await getDasnSummary(company, ano);
+
+  res.json({ company_id: company.id, ...formatDasnSummary(summary) });
+}));
+
+/**
+ * PUT /api/taxes/dasn-simei
+ * Save the revenue without invoices and the employee flag of a declaration
+ */
+router.put('/dasn-simei', [
+  body('company_id').notEmpty().withMessage('Company ID is required'),
+  body('ano').isInt().withMessage('Ano must be a year'),
+  body('possui_empregado').optional().isBoolean().withMessage('possui_empregado must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const company = await findDasnCompany(req.user.id, req.body.company_id);
+  const ano = parseAnoCalendario(req.body.ano);
+
+  await saveDasnDeclaration(company, ano, req.body);
+  const summary = await getDasnSummary(company, ano);
+
+  res.json({ company_id: company.id, ...formatDasnSummary(summary) });
+}));
+
+/**
+ * POST /api/taxes/dasn-simei/transmit
+ * Mark the declaration as filed on the government portal
+ */
+router.post('/dasn-simei/transmit', [
+  body('company_id').notEmpty().withMessage('Company ID is required'),
+  body('ano').isInt().withMessage('Ano must be a year'),
+  body('data_transmissao').optional().isISO8601().withMessage('data_transmissao must be a date')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ status: 'error', message: 'Validation failed', errors: errors.array() });
+  }
+
+  const company = await findDasnCompany(req.user.id, req.body.company_id);
+  const ano = parseAnoCalendario(req.body.ano, { closed: true });
+
+  await markDasnTransmitted(company, ano, req.body);
+  const summary = await getDasnSummary(company, ano);
+
+  res.json({ company_id: company.id, ...formatDasnSummary(summary) });
+}));
+
+/**
+ * GET /api/taxes/dasn-simei/pdf?company_id=&ano=
+ * Download the DASN-SIMEI summary as PDF, with the values to type into the portal
+ */
+router.get('/dasn-simei/pdf', asyncHandler(async (req, res) => {
+  const company = await findDasnCompany(req.user.id, req.query.company_id);
+  const ano = parseAnoCalendario(req.query.ano || new Date().getFullYear() - 1);
+
+  const summary = await getDasnSummary(company, ano);
+
+  const { generateDASNPDF } = await import('../services/pdfService.js');
+  const pdfContent = await generateDASNPDF(summary, company);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="dasn-simei-${ano}.pdf"`);
+  res.send(pdfContent);
+}));
+
 /**
  * GET /api/taxes/summary/:companyId
  * Get tax summary for a company
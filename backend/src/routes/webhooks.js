@@ -10,8 +10,9 @@ import crypto from 'crypto';
 import { prisma } from '../lib/prisma.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { sendSuccess } from '../utils/response.js';
-import { checkNfseStatus } from '../services/acbrApi.js';
 import { translateErrorForUser } from '../services/errorTranslationService.js';
+import { syncSubstitutionStatus } from '../services/invoiceSubstitutionService.js';
+import { deliverAuthorizedInvoice } from '../services/invoiceDeliveryService.js';
 
 const router = express.Router();
 
@@ -250,6 +251,9 @@ async function handleInvoiceStatusChanged(event) {
     }
   });
 
+  // Replacement invoice: mark the original as 'substituida' once authorized
+  await syncSubstitutionStatus(updatedInvoice, 'webhook');
+
   // Use AI notification service for better messages
   const { createAINotification } = await import('../services/aiNotificationService.js');
   
@@ -264,6 +268,7 @@ async function handleInvoiceStatusChanged(event) {
       },
       { invoiceId: invoice.id }
     );
+    deliverAuthorizedInvoice(invoice.id);
   } else if (mappedStatus === 'rejeitada') {
     const errorMessage = invoiceData.mensagem || invoiceData.message || 'Nota fiscal rejeitada';
     const translatedError = translateErrorForUser(new Error(errorMessage), {
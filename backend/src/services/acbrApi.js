@@ -15,6 +15,17 @@
  * Main differences are authentication URL and base URL.
  */
 
+import { validateRetentions, calculateNetAmount, buildTribFed } from './federalRetentions.js';
+import {
+  validateDeductions,
+  validateDeductionsForMunicipality,
+  calculateIssBase,
+  calculateIssAmount,
+  buildDpsDeductions
+} from './invoiceDeductions.js';
+import { buildForeignToma, buildComExt } from './foreignTomador.js';
+import { assertValidDps, buildDpsXml } from './dpsXmlService.js';
+
 // ACBr API URLs from official documentation
 const ACBR_API_AUTH_URL = 'https://auth.acbr.api.br/realms/ACBrAPI/protocol/openid-connect/token';
 const ACBR_API_PROD_URL = process.env.ACBR_API_PROD_URL || 'https://prod.acbr.api.br';
@@ -23,6 +34,10 @@ const ACBR_API_CLIENT_ID = process.env.ACBR_API_CLIENT_ID;
 const ACBR_API_CLIENT_SECRET = process.env.ACBR_API_CLIENT_SECRET;
 const ACBR_API_ENVIRONMENT = process.env.ACBR_API_ENVIRONMENT || 'sandbox';
 
+// Sistema Nacional NFS-e: série identifica o tipo de emissor. Para API/webservice use 00001–49999 (E0010).
+// 80000–89999 = portal manual. We use 900 (common in ERP integrations).
+export const DPS_SERIE = '900';
+
 // Cache for access token
 let accessTokenCache = {
   token: null,
@@ -944,6 +959,25 @@ function getOpSimpNacFromRegime(companyData) {
   return 1;
 }
 
+/**
+ * DPS fields ACBr fills from the company configuration (PUT /empresas/{cnpj}/nfse)
+ * rather than from the payload, needed to build the full national-layout DPS locally
+ *
+ * @param {object} companyData - Company data (with nextRpsNumero when already assigned)
+ * @returns {object} { serie, nDPS, cLocEmi, IM, opSimpNac, regApTribSN }
+ */
+function getDpsContext(companyData) {
+  const opSimpNac = getOpSimpNacFromRegime(companyData);
+  return {
+    serie: DPS_SERIE,
+    nDPS: typeof companyData.nextRpsNumero === 'number' ? companyData.nextRpsNumero : 1,
+    cLocEmi: (companyData.codigoMunicipal || companyData.codigoMunicipio || '').replace(/\D/g, ''),
+    IM: companyData.inscricaoMunicipal ? String(companyData.inscricaoMunicipal).replace(/\D/g, '') : null,
+    opSimpNac,
+    regApTribSN: opSimpNac === 3 ? 1 : undefined
+  };
+}
+
 async function ensureRpsConfigured(cnpj, companyData = null) {
   try {
     const cleanCnpj = (cnpj || '').replace(/\D/g, '');
@@ -952,12 +986,10 @@ async function ensureRpsConfigured(cnpj, companyData = null) {
     const opSimpNac = companyData ? getOpSimpNacFromRegime(companyData) : 1;
     // Use atomically assigned nextRpsNumero when provided (concurrent-safe); else default 1
     const numero = (companyData && typeof companyData.nextRpsNumero === 'number') ? companyData.nextRpsNumero : 1;
-    // Sistema Nacional NFS-e: série identifica o tipo de emissor. Para API/webservice use 00001–49999 (E0010).
-    // 80000–89999 = portal manual. We use 900 (common in ERP integrations).
     const nfseConfig = {
       rps: {
         lote: 1,
-        serie: '900',
+        serie: DPS_SERIE,
         numero
       },
       regTrib: {
@@ -981,12 +1013,214 @@ async function ensureRpsConfigured(cnpj, companyData = null) {
   }
 }
 
+/**
+ * Build the DPS payload (infDPS) sent to POST /nfse/dps
+ * No network calls: the same payload backs the local DPS layout validation and XML preview.
+ *
+ * @param {object} invoiceData - Invoice data (cliente_nome, cliente_documento, valor, aliquota_iss, ...)
+ * @param {object} companyData - Company data
+ * @param {object} options - Build options
+ * @param {string} options.dhEmi - Emission datetime (default: now in Brazil time, ACBr clock)
+ * @returns {object} NFS-e payload
+ * @throws {Error} Invalid tomador document, deductions or retentions (status 400)
+ */
+function buildDpsPayload(invoiceData, companyData, { dhEmi = getBrazilDateTime() } = {}) {
+  const cleanCnpj = companyData.cnpj.replace(/\D/g, '');
+
+  // Export of services: foreign tomador without CPF/CNPJ (identified by NIF and foreign address)
+  const isExport = Boolean(invoiceData.tomador_exterior);
+
+  let clienteDocumento = isExport ? '' : (invoiceData.cliente_documento || '').replace(/\D/g, '');
+  // Pad CPF to 11 / CNPJ to 14 digits (leading zeros) - required by prefeituras
+  if (clienteDocumento.length > 0 && clienteDocumento.length <= 11) {
+    clienteDocumento = clienteDocumento.padStart(11, '0');
+  }
+  if (clienteDocumento.length > 11 && clienteDocumento.length <= 14) {
+    clienteDocumento = clienteDocumento.padStart(14, '0');
+  }
+  if (clienteDocumento.length > 0 && clienteDocumento.length !== 11 && clienteDocumento.length !== 14) {
+    const err = new Error('CPF deve ter 11 dígitos ou CNPJ 14 dígitos.');
+    err.status = 400;
+    err.code = 'INVALID_DOCUMENT';
+    throw err;
+  }
+  if (clienteDocumento.length === 11 && !isValidCPF(clienteDocumento)) {
+    const err = new Error(
+      'O CPF informado não é válido. A prefeitura exige um CPF com dígitos verificadores corretos. ' +
+      'Verifique os 11 dígitos do CPF do cliente (evite números de teste como 12345678900).'
+    );
+    err.status = 400;
+    err.code = 'INVALID_CPF';
+    throw err;
+  }
+  if (clienteDocumento.length === 14 && !isValidCNPJ(clienteDocumento)) {
+    const err = new Error(
+      'O CNPJ informado não é válido. A prefeitura exige um CNPJ com dígitos verificadores corretos. ' +
+      'Verifique os 14 dígitos do CNPJ do cliente (evite números de teste).'
+    );
+    err.status = 400;
+    err.code = 'INVALID_CNPJ';
+    throw err;
+  }
+  const ambiente = ACBR_API_ENVIRONMENT === 'production' ? 'producao' : 'homologacao';
+
+  // Normalize values to format expected by prefeitura (2 decimal places; cTribNac 4 chars)
+  const valorNum = parseFloat(invoiceData.valor || 0);
+  const vServ = Number((valorNum).toFixed(2));
+  const aliquotaNum = parseFloat(invoiceData.aliquota_iss ?? 5);
+  const pAliq = Number((aliquotaNum).toFixed(2));
+  // ISS base excludes unconditional discounts and legal deductions
+  const deductionErrors = validateDeductions({ ...invoiceData, valor: vServ });
+  if (deductionErrors.length > 0) {
+    const err = new Error(deductionErrors.join('; '));
+    err.status = 400;
+    err.code = 'INVALID_DEDUCTIONS';
+    throw err;
+  }
+  const vBC = calculateIssBase({ ...invoiceData, valor: vServ });
+  const vISSQN = calculateIssAmount({ ...invoiceData, valor: vServ, aliquota_iss: pAliq });
+  const codigoServico = normalizeCodigoServico(invoiceData.codigo_servico || '0106');
+  
+  // Location of service: IBGE 7 digits (company municipality)
+  const codigoMunicipio = (companyData.codigoMunicipal || companyData.codigoMunicipio || '').replace(/\D/g, '');
+  
+  const dhEmiDate = dhEmi.split('T')[0]; // Extract date part (YYYY-MM-DD)
+  
+  // dCompet: YYYY-MM-DD (date of service/competence)
+  // Rule: dCompet cannot be AFTER dhEmi date (E0015 validation)
+  let dataPrestacao = invoiceData.data_prestacao || dhEmiDate;
+  
+  // Ensure dCompet is not after dhEmi date
+  if (dataPrestacao > dhEmiDate) {
+    console.log(`[ACBrAPI] Adjusting dCompet from ${dataPrestacao} to ${dhEmiDate} (cannot be after dhEmi)`);
+    dataPrestacao = dhEmiDate;
+  }
+
+  // regEspTrib in DPS: 0 = nenhum regime especial
+  // Note: opSimpNac is set at COMPANY level (PUT /empresas/{cnpj}/nfse), NOT in DPS payload
+  const regEspTrib = 0;
+  // cLocPrestacao: IBGE 7 digits or null (codigoMunicipio already defined above)
+  const cLocPrestacao = codigoMunicipio.length === 7 ? codigoMunicipio : null;
+
+  // Check if company is Simples Nacional (opSimpNac = 3)
+  // For Simples Nacional with no ISS retention (tpRetISSQN = 1), we must NOT send pAliq, vBC, vISSQN
+  // because ISS is calculated and paid through DAS, not on individual invoices (E0625)
+  const opSimpNac = getOpSimpNacFromRegime(companyData);
+  const isSimplesToNoRetention = opSimpNac === 3; // ME/EPP Simples Nacional
+  
+  // tpRetISSQN: 1 = não retido, 2 = retido pelo tomador, 3 = retido pelo intermediário
+  // A foreign tomador cannot withhold ISS
+  const tpRetISSQN = invoiceData.iss_retido && !isExport ? 2 : 1;
+  
+  // vLiq = vServ - ISS (only when retained by the tomador) - federal retentions (IRRF, PIS, COFINS, CSLL, INSS)
+  const retentionErrors = validateRetentions({ ...invoiceData, valor: vServ });
+  if (retentionErrors.length > 0) {
+    const err = new Error(retentionErrors.join('; '));
+    err.status = 400;
+    err.code = 'INVALID_RETENTIONS';
+    throw err;
+  }
+  const vLiq = calculateNetAmount({ ...invoiceData, valor: vServ, aliquota_iss: pAliq, iss_retido: tpRetISSQN === 2 });
+  const tribFed = buildTribFed({ ...invoiceData, valor: vServ });
+
+  // Build tribMun object based on company regime
+  // tribISSQN: 1 = tributável, 3 = exportação de serviço (ISS não incide; cPaisResult required)
+  const tribMun = {
+    tribISSQN: isExport ? 3 : 1,
+    ...(isExport ? { cPaisResult: invoiceData.tomador_exterior.pais } : {}),
+    tpRetISSQN,
+    vLiq,
+    ...(cLocPrestacao && !isExport ? { cLocIncid: cLocPrestacao } : {})
+  };
+
+  // Only add ISS rate fields if NOT Simples Nacional without retention, and never for exports
+  if (!isExport && !(isSimplesToNoRetention && tpRetISSQN === 1)) {
+    tribMun.pAliq = pAliq;
+    tribMun.vBC = vBC;
+    tribMun.vISSQN = vISSQN;
+  }
+
+  console.log(`[ACBrAPI] Company regime: opSimpNac=${opSimpNac}, tpRetISSQN=${tpRetISSQN}, includeISSFields=${!(isSimplesToNoRetention && tpRetISSQN === 1)}`);
+
+  // NFS-e payload aligned with ACBr API schema (infDPS structure)
+  const nfsePayload = {
+    provedor: 'padrao',
+    ambiente: ambiente,
+    referencia: `nfse-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
+    infDPS: {
+      tpAmb: ACBR_API_ENVIRONMENT === 'production' ? 1 : 2,
+      dhEmi: dhEmi,
+      verAplic: '1.0',
+      dCompet: dataPrestacao,
+      prest: {
+        CNPJ: cleanCnpj,
+        regTrib: { regEspTrib }
+      },
+      toma: isExport ? buildForeignToma(invoiceData) : {
+        orgaoPublico: false,
+        xNome: String(invoiceData.cliente_nome || '').trim(),
+        ...(clienteDocumento.length === 11 ? { CPF: clienteDocumento } : {}),
+        ...(clienteDocumento.length === 14 ? { CNPJ: clienteDocumento } : {}),
+      },
+      serv: {
+        ...(cLocPrestacao ? {
+          locPrest: {
+            cLocPrestacao,
+            cPaisPrestacao: 'BR'
+          }
+        } : {}),
+        cServ: {
+          cTribNac: codigoServico,
+          xDescServ: String(invoiceData.descricao_servico || 'Serviço prestado').trim()
+        },
+        ...(isExport ? { comExt: buildComExt(invoiceData) } : {})
+      },
+      valores: {
+        vServPrest: {
+          // vReceb should NOT be sent when prestador is the DPS emitter (E0424)
+          vServ
+        },
+        ...buildDpsDeductions(invoiceData),
+        trib: {
+          tribMun,
+          ...(tribFed ? { tribFed } : {})
+        }
+      },
+      // Substituição: DPS replaces an authorized NFS-e (referenced by its chave de acesso)
+      ...(invoiceData.substituicao ? {
+        subst: {
+          chSubstda: invoiceData.substituicao.chave,
+          cMotivo: invoiceData.substituicao.codigo_motivo,
+          ...(invoiceData.substituicao.motivo ? { xMotivo: String(invoiceData.substituicao.motivo).trim() } : {})
+        }
+      } : {})
+    }
+  };
+
+  return nfsePayload;
+}
+
+/**
+ * Build the DPS XML that emitNfse would send, without any network call (developer preview)
+ *
+ * @param {object} invoiceData - Invoice data
+ * @param {object} companyData - Company data (nextRpsNumero = number the DPS would get)
+ * @returns {object} { id, xml, valid, errors }
+ * @throws {Error} Invalid tomador document, deductions or retentions (status 400)
+ */
+function buildDpsPreview(invoiceData, companyData) {
+  return buildDpsXml(buildDpsPayload(invoiceData, companyData), getDpsContext(companyData));
+}
+
 async function emitNfse(invoiceData, companyData) {
   try {
     if (!companyData.acbrApiId) {
       throw new Error('Empresa não registrada na ACBr API. Registre a empresa primeiro.');
     }
 
+    // Field-level check against the national DPS layout before any network call
+    assertValidDps(buildDpsPayload(invoiceData, companyData), getDpsContext(companyData));
+
     // Sync server time with ACBr API to prevent E0008 errors
     await syncTimeWithAcbrApi();
 
@@ -999,53 +1233,13 @@ async function emitNfse(invoiceData, companyData) {
     if (companyData.inscricaoMunicipal) {
       await updateCompanyIM(cleanCnpj, companyData);
     }
-    
-    let clienteDocumento = (invoiceData.cliente_documento || '').replace(/\D/g, '');
-    // Pad CPF to 11 / CNPJ to 14 digits (leading zeros) - required by prefeituras
-    if (clienteDocumento.length > 0 && clienteDocumento.length <= 11) {
-      clienteDocumento = clienteDocumento.padStart(11, '0');
-    }
-    if (clienteDocumento.length > 11 && clienteDocumento.length <= 14) {
-      clienteDocumento = clienteDocumento.padStart(14, '0');
-    }
-    if (clienteDocumento.length > 0 && clienteDocumento.length !== 11 && clienteDocumento.length !== 14) {
-      const err = new Error('CPF deve ter 11 dígitos ou CNPJ 14 dígitos.');
-      err.status = 400;
-      err.code = 'INVALID_DOCUMENT';
-      throw err;
-    }
-    if (clienteDocumento.length === 11 && !isValidCPF(clienteDocumento)) {
-      const err = new Error(
-        'O CPF informado não é válido. A prefeitura exige um CPF com dígitos verificadores corretos. ' +
-        'Verifique os 11 dígitos do CPF do cliente (evite números de teste como 12345678900).'
-      );
-      err.status = 400;
-      err.code = 'INVALID_CPF';
-      throw err;
-    }
-    if (clienteDocumento.length === 14 && !isValidCNPJ(clienteDocumento)) {
-      const err = new Error(
-        'O CNPJ informado não é válido. A prefeitura exige um CNPJ com dígitos verificadores corretos. ' +
-        'Verifique os 14 dígitos do CNPJ do cliente (evite números de teste).'
-      );
-      err.status = 400;
-      err.code = 'INVALID_CNPJ';
-      throw err;
-    }
-    const ambiente = ACBR_API_ENVIRONMENT === 'production' ? 'producao' : 'homologacao';
 
-    // Normalize values to format expected by prefeitura (2 decimal places; cTribNac 4 chars)
-    const valorNum = parseFloat(invoiceData.valor || 0);
-    const vServ = Number((valorNum).toFixed(2));
-    const aliquotaNum = parseFloat(invoiceData.aliquota_iss ?? 5);
-    const pAliq = Number((aliquotaNum).toFixed(2));
-    const vBC = vServ;
-    const vISSQN = Number((vServ * (pAliq / 100)).toFixed(2));
-    const codigoServico = normalizeCodigoServico(invoiceData.codigo_servico || '0106');
-    
-    // Location of service: IBGE 7 digits (company municipality)
+    // Built again so dhEmi comes from the synced clock
+    const nfsePayload = buildDpsPayload(invoiceData, companyData);
+    const { dhEmi } = nfsePayload.infDPS;
+    const codigoServico = nfsePayload.infDPS.serv.cServ.cTribNac;
     const codigoMunicipio = (companyData.codigoMunicipal || companyData.codigoMunicipio || '').replace(/\D/g, '');
-    
+
     // Validate service code against municipal parameters (production best practice)
     const serviceValidation = await validateServiceCode(codigoServico, codigoMunicipio);
     console.log(`[ACBrAPI] Service code validation:`, JSON.stringify(serviceValidation));
@@ -1057,102 +1251,19 @@ async function emitNfse(invoiceData, companyData) {
       throw err;
     }
 
-    // Get emission datetime in Brazil timezone
-    const dhEmi = getBrazilDateTime();
-    const dhEmiDate = dhEmi.split('T')[0]; // Extract date part (YYYY-MM-DD)
-    
-    // dCompet: YYYY-MM-DD (date of service/competence)
-    // Rule: dCompet cannot be AFTER dhEmi date (E0015 validation)
-    let dataPrestacao = invoiceData.data_prestacao || dhEmiDate;
-    
-    // Ensure dCompet is not after dhEmi date
-    if (dataPrestacao > dhEmiDate) {
-      console.log(`[ACBrAPI] Adjusting dCompet from ${dataPrestacao} to ${dhEmiDate} (cannot be after dhEmi)`);
-      dataPrestacao = dhEmiDate;
-    }
-
-    // regEspTrib in DPS: 0 = nenhum regime especial
-    // Note: opSimpNac is set at COMPANY level (PUT /empresas/{cnpj}/nfse), NOT in DPS payload
-    const regEspTrib = 0;
-    // cLocPrestacao: IBGE 7 digits or null (codigoMunicipio already defined above)
-    const cLocPrestacao = codigoMunicipio.length === 7 ? codigoMunicipio : null;
-
-    // Check if company is Simples Nacional (opSimpNac = 3)
-    // For Simples Nacional with no ISS retention (tpRetISSQN = 1), we must NOT send pAliq, vBC, vISSQN
-    // because ISS is calculated and paid through DAS, not on individual invoices (E0625)
-    const opSimpNac = getOpSimpNacFromRegime(companyData);
-    const isSimplesToNoRetention = opSimpNac === 3; // ME/EPP Simples Nacional
-    
-    // tpRetISSQN: 1 = não retido, 2 = retido pelo tomador, 3 = retido pelo intermediário
-    const tpRetISSQN = invoiceData.iss_retido ? 2 : 1;
-    
-    // For Simples Nacional without retention: don't send ISS details (pAliq, vBC, vISSQN)
-    // vLiq = vServ for Simples Nacional (no ISS deduction on invoice)
-    const vLiq = isSimplesToNoRetention && tpRetISSQN === 1 
-      ? vServ 
-      : Number((vServ - vISSQN).toFixed(2));
-
-    // Build tribMun object based on company regime
-    const tribMun = {
-      tribISSQN: 1, // 1 = tributável
-      tpRetISSQN,
-      vLiq,
-      ...(cLocPrestacao ? { cLocIncid: cLocPrestacao } : {})
-    };
-
-    // Only add ISS rate fields if NOT Simples Nacional without retention
-    if (!(isSimplesToNoRetention && tpRetISSQN === 1)) {
-      tribMun.pAliq = pAliq;
-      tribMun.vBC = vBC;
-      tribMun.vISSQN = vISSQN;
+    // Deductions must be allowed (and within limits) for the service in the municipality
+    const municipalDeductionErrors = validateDeductionsForMunicipality(
+      invoiceData,
+      await getMunicipalParameters(codigoMunicipio),
+      serviceValidation.cTribNac || codigoServico
+    );
+    if (municipalDeductionErrors.length > 0) {
+      const err = new Error(municipalDeductionErrors.join('; '));
+      err.status = 400;
+      err.code = 'INVALID_DEDUCTIONS';
+      throw err;
     }
 
-    console.log(`[ACBrAPI] Company regime: opSimpNac=${opSimpNac}, tpRetISSQN=${tpRetISSQN}, includeISSFields=${!(isSimplesToNoRetention && tpRetISSQN === 1)}`);
-
-    // NFS-e payload aligned with ACBr API schema (infDPS structure)
-    const nfsePayload = {
-      provedor: 'padrao',
-      ambiente: ambiente,
-      referencia: `nfse-${Date.now()}-${Math.random().toString(36).slice(2, 9)}`,
-      infDPS: {
-        tpAmb: ACBR_API_ENVIRONMENT === 'production' ? 1 : 2,
-        dhEmi: dhEmi,
-        verAplic: '1.0',
-        dCompet: dataPrestacao,
-        prest: {
-          CNPJ: cleanCnpj,
-          regTrib: { regEspTrib }
-        },
-        toma: {
-          orgaoPublico: false,
-          xNome: String(invoiceData.cliente_nome || '').trim(),
-          ...(clienteDocumento.length === 11 ? { CPF: clienteDocumento } : {}),
-          ...(clienteDocumento.length === 14 ? { CNPJ: clienteDocumento } : {}),
-        },
-        serv: {
-          ...(cLocPrestacao ? {
-            locPrest: {
-              cLocPrestacao,
-              cPaisPrestacao: 'BR'
-            }
-          } : {}),
-          cServ: {
-            cTribNac: codigoServico,
-            xDescServ: String(invoiceData.descricao_servico || 'Serviço prestado').trim()
-          }
-        },
-        valores: {
-          vServPrest: {
-            // vReceb should NOT be sent when prestador is the DPS emitter (E0424)
-            vServ
-          },
-          trib: {
-            tribMun
-          }
-        }
-      }
-    };
-
     console.log(`[ACBrAPI] Emitting NFS-e to: /nfse/dps (dhEmi: ${dhEmi})`);
     console.log('[ACBrAPI] NFS-e payload:', JSON.stringify(nfsePayload, null, 2));
     
@@ -1274,6 +1385,22 @@ async function emitNfse(invoiceData, companyData) {
   }
 }
 
+// ACBr status values mapped to local invoice statuses
+const NFSE_STATUS_MAP = {
+  'autorizado': 'autorizada',
+  'autorizada': 'autorizada',
+  'rejeitado': 'rejeitada',
+  'rejeitada': 'rejeitada',
+  'cancelado': 'cancelada',
+  'cancelada': 'cancelada',
+  'processando': 'processando',
+  'pendente': 'processando',
+  'erro': 'erro',
+  'error': 'erro',
+  'falha': 'erro',
+  'failed': 'erro'
+};
+
 /**
  * Check NFS-e status
  * @param {string} companyAcbrId - Company CNPJ in ACBr API (not used in new endpoint)
@@ -1302,23 +1429,8 @@ async function checkNfseStatus(companyAcbrId, nfseId) {
     
     const response = await apiRequest(`/nfse/${nfseId}`);
 
-    const statusMap = {
-      'autorizado': 'autorizada',
-      'autorizada': 'autorizada',
-      'rejeitado': 'rejeitada',
-      'rejeitada': 'rejeitada',
-      'cancelado': 'cancelada',
-      'cancelada': 'cancelada',
-      'processando': 'processando',
-      'pendente': 'processando',
-      'erro': 'erro',
-      'error': 'erro',
-      'falha': 'erro',
-      'failed': 'erro'
-    };
-
     const rawStatus = (response.status ?? response.data?.status ?? '').toString().trim().toLowerCase();
-    const mappedStatus = statusMap[rawStatus] || 'processando';
+    const mappedStatus = NFSE_STATUS_MAP[rawStatus] || 'processando';
     
     console.log('[ACBrAPI] NFS-e status result:', mappedStatus, rawStatus ? `(raw: ${rawStatus})` : '(from response)');
     
@@ -1387,6 +1499,162 @@ async function checkNfseStatus(companyAcbrId, nfseId) {
   }
 }
 
+/**
+ * Extract the DPS number and série of an NFS-e returned by the API
+ * The list and detail endpoints return the DPS either nested (DPS.infDPS) or flattened.
+ */
+function extractDpsIdentification(data) {
+  const infDps = data.DPS?.infDPS ?? data.dps?.infDPS ?? data.declaracao_prestacao_servico?.infDPS ?? {};
+  const numero = infDps.nDPS ?? data.numero_dps ?? data.nDPS ?? (typeof data.dps === 'number' || typeof data.dps === 'string' ? data.dps : null);
+  const serie = infDps.serie ?? data.serie_dps ?? data.serie ?? null;
+  const parsed = parseInt(String(numero ?? ''), 10);
+
+  return {
+    numero_dps: Number.isFinite(parsed) ? parsed : null,
+    serie: serie != null ? String(serie).replace(/^0+(?=\d)/, '') : null
+  };
+}
+
+/**
+ * List NFS-e issued for a company (one page)
+ * @param {string} cnpj - Company CNPJ
+ * @param {object} [options]
+ * @param {number} [options.top=100] - Page size
+ * @param {number} [options.skip=0] - Items to skip
+ * @returns {Promise<{items: object[], hasMore: boolean}>}
+ */
+async function listNfse(cnpj, { top = 100, skip = 0 } = {}) {
+  const cleanCnpj = (cnpj || '').replace(/\D/g, '');
+  const ambiente = ACBR_API_ENVIRONMENT === 'production' ? 'producao' : 'homologacao';
+  const params = new URLSearchParams({
+    cpf_cnpj: cleanCnpj,
+    ambiente,
+    $top: String(top),
+    $skip: String(skip)
+  });
+
+  const response = await apiRequest(`/nfse?${params.toString()}`);
+  const rawItems = Array.isArray(response) ? response : (response.data ?? response.items ?? []);
+
+  const items = rawItems.map(item => {
+    const rawStatus = (item.status ?? '').toString().trim().toLowerCase();
+    return {
+      id: item.id,
+      status: NFSE_STATUS_MAP[rawStatus] || 'processando',
+      numero: item.numero != null ? String(item.numero) : null,
+      codigo_verificacao: item.codigo_verificacao ?? item.codigoVerificacao ?? null,
+      data_emissao: item.data_emissao ?? item.created_at ?? null,
+      valor: item.valor_servico ?? item.DPS?.infDPS?.valores?.vServPrest?.vServ ?? null,
+      tomador_nome: item.DPS?.infDPS?.toma?.xNome ?? item.tomador?.nome ?? null,
+      tomador_documento: item.DPS?.infDPS?.toma?.CNPJ ?? item.DPS?.infDPS?.toma?.CPF ?? item.tomador?.cpf_cnpj ?? null,
+      descricao_servico: item.DPS?.infDPS?.serv?.cServ?.xDescServ ?? null,
+      codigo_servico: item.DPS?.infDPS?.serv?.cServ?.cTribNac ?? null,
+      ...extractDpsIdentification(item)
+    };
+  });
+
+  return { items, hasMore: rawItems.length === top };
+}
+
+/**
+ * List every NFS-e of a company, following pagination
+ * @param {string} cnpj - Company CNPJ
+ * @param {number} [maxItems=5000] - Safety limit
+ * @returns {Promise<object[]>}
+ */
+async function listAllNfse(cnpj, maxItems = 5000) {
+  const pageSize = 100;
+  const all = [];
+
+  for (let skip = 0; skip < maxItems; skip += pageSize) {
+    const { items, hasMore } = await listNfse(cnpj, { top: pageSize, skip });
+    all.push(...items);
+    if (!hasMore) break;
+  }
+
+  return all;
+}
+
+/**
+ * Substitution reason codes (cMotivo) accepted by the NFS-e Nacional
+ */
+export const SUBSTITUTION_REASONS = {
+  '01': 'Desenquadramento de NFS-e do Simples Nacional',
+  '02': 'Enquadramento de NFS-e no Simples Nacional',
+  '03': 'Inclusão retroativa de imunidade/isenção para NFS-e',
+  '04': 'Exclusão retroativa de imunidade/isenção para NFS-e',
+  '05': 'Rejeição de NFS-e pelo tomador ou pelo intermediário',
+  '99': 'Outros'
+};
+
+/**
+ * Get the chave de acesso (50 digits) of an authorized NFS-e
+ * @param {string} nfseId - NFS-e ID returned from emission
+ * @returns {Promise<string|null>} Access key or null if not available
+ */
+async function getNfseAccessKey(nfseId) {
+  if (nfseId && nfseId.startsWith('SIM-')) {
+    // Simulated invoices have no real key; build a deterministic placeholder for sandbox
+    return nfseId.replace(/\D/g, '').padEnd(50, '0').slice(0, 50);
+  }
+
+  const response = await apiRequest(`/nfse/${nfseId}`);
+  const data = response.data ?? response;
+  const chave = response.chave_acesso ?? response.chave ?? data.chave_acesso ?? data.chave ?? data.nfse?.chave_acesso ?? null;
+
+  return chave ? String(chave).replace(/\D/g, '') : null;
+}
+
+/**
+ * Substitute an authorized NFS-e (substituição)
+ * Emits a new DPS referencing the original NFS-e; once authorized, the original
+ * is marked as substituted by the national environment.
+ *
+ * @param {string} originalNfseId - ACBr API ID of the NFS-e being replaced
+ * @param {object} invoiceData - Data of the replacement invoice (same shape as emitNfse)
+ * @param {object} companyData - Company data (with nextRpsNumero)
+ * @param {object} substitution - { codigoMotivo, motivo }
+ * @returns {Promise<object>} Emission result of the replacement NFS-e
+ */
+async function substituteNfse(originalNfseId, invoiceData, companyData, substitution) {
+  const { codigoMotivo = '99', motivo } = substitution || {};
+
+  if (!SUBSTITUTION_REASONS[codigoMotivo]) {
+    const err = new Error(`Código de motivo de substituição inválido: ${codigoMotivo}`);
+    err.status = 400;
+    err.code = 'INVALID_SUBSTITUTION_REASON';
+    throw err;
+  }
+  if (codigoMotivo === '99' && (!motivo || motivo.trim().length < 15)) {
+    const err = new Error('Informe o motivo da substituição (mínimo 15 caracteres).');
+    err.status = 400;
+    err.code = 'INVALID_SUBSTITUTION_REASON';
+    throw err;
+  }
+
+  const chave = await getNfseAccessKey(originalNfseId);
+  if (!chave || chave.length !== 50) {
+    const err = new Error('Não foi possível obter a chave de acesso da nota original. Verifique se ela está autorizada na prefeitura.');
+    err.status = 400;
+    err.code = 'ACCESS_KEY_NOT_FOUND';
+    throw err;
+  }
+
+  console.log(`[ACBrAPI] Substituting NFS-e ${originalNfseId} (motivo ${codigoMotivo})`);
+
+  return emitNfse(
+    {
+      ...invoiceData,
+      substituicao: {
+        chave,
+        codigo_motivo: codigoMotivo,
+        motivo: motivo || SUBSTITUTION_REASONS[codigoMotivo]
+      }
+    },
+    companyData
+  );
+}
+
 /**
  * Cancel NFS-e
  * @param {string} acbrApiId - Company CNPJ in ACBr API
@@ -1538,7 +1806,7 @@ async function configureMunicipalCredentials(cpfCnpj, companyData, login, senha,
       },
       rps: {
         lote: 1,
-        serie: '900',
+        serie: DPS_SERIE,
         numero: 1
       },
       prefeitura,
@@ -1600,7 +1868,7 @@ async function configureNfseForCertificate(cpfCnpj, companyData) {
       },
       rps: {
         lote: 1,
-        serie: '900',
+        serie: DPS_SERIE,
         numero: 1
       },
       prefeitura: null,
@@ -1717,9 +1985,19 @@ export {
   checkConnection,
   emitNfse,
   checkNfseStatus,
+  listNfse,
+  listAllNfse,
   cancelNfse,
+  substituteNfse,
+  getNfseAccessKey,
   uploadCertificate,
   configureMunicipalCredentials,
   configureNfseForCertificate,
-  testNfseEmissionCapability
+  testNfseEmissionCapability,
+  normalizeCodigoServico,
+  buildDpsPayload,
+  getDpsContext,
+  buildDpsPreview,
+  isValidCPF,
+  isValidCNPJ
 };
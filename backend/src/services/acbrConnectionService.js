@@ -13,7 +13,7 @@
  */
 
 import { prisma } from '../lib/prisma.js';
-import { checkConnection } from './acbrApi.js';
+import { getFiscalProvider } from './fiscalProvider.js';
 import { getMunicipalityAuthRequirements } from './municipalityService.js';
 import { AppError } from '../middleware/errorHandler.js';
 
@@ -334,7 +334,7 @@ export async function testFiscalConnection(companyId) {
   // Step 6: Test connection to ACBr API
   // Verify the company exists on ACBr API
   try {
-    const connectionResult = await checkConnection(company.acbrApiId);
+    const connectionResult = await getFiscalProvider(company).checkConnection(company.acbrApiId);
 
     if (connectionResult.status === 'conectado') {
       // Company exists on ACBr API and authentication is configured
@@ -467,9 +467,11 @@ export async function testFiscalConnection(companyId) {
  * Validate fiscal connection before invoice issuance
  * 
  * @param {object} company - Company object
+ * @param {object} options - Validation options
+ * @param {boolean} options.notify - Notify the user of a failed connection (default: true; off for dry runs)
  * @throws {AppError} If connection is not valid
  */
-export async function validateFiscalConnection(company) {
+export async function validateFiscalConnection(company, { notify = true } = {}) {
   // Get fresh company data with credential
   const companyWithCredential = await prisma.company.findUnique({
     where: { id: company.id },
@@ -508,15 +510,17 @@ export async function validateFiscalConnection(company) {
     const error = companyWithCredential.fiscalConnectionError || 'Falha na conexão fiscal';
     
     // Create AI-generated notification for credential issue
-    const { createAINotification } = await import('./aiNotificationService.js');
-    await createAINotification(
-      companyWithCredential.userId,
-      'credential_issue',
-      {
-        error: error,
-        company: companyWithCredential.razaoSocial || companyWithCredential.nomeFantasia
-      }
-    );
+    if (notify) {
+      const { createAINotification } = await import('./aiNotificationService.js');
+      await createAINotification(
+        companyWithCredential.userId,
+        'credential_issue',
+        {
+          error: error,
+          company: companyWithCredential.razaoSocial || companyWithCredential.nomeFantasia
+        }
+      );
+    }
     
     throw new AppError(
       `Conexão fiscal falhou: ${error}. Verifique as credenciais e tente novamente.`,
@@ -0,0 +1,553 @@
+/**
+ * Accounting Export Service
+ * Invoice (revenue) export for the accounting office's ERP, in pluggable layouts
+ *
+ * - Every invoice is first normalized into an export record (Invoice + Client + Company fields:
+ *   prestador, tomador, service code, ISS, federal retentions, net value and cancellation)
+ * - A layout maps the record to its columns, formats dates/amounts its own way and validates
+ *   what the target software rejects on import
+ * - Built-in layouts: generic CSV, Domínio Sistemas and Alterdata (delimited text). The column
+ *   order of the ERP layouts is the one configured on the office's import profile; new layouts
+ *   are added with registerExportLayout()
+ * - Cancelled and substituted invoices are exported flagged as cancelled, so the ERP can cancel
+ *   the entry instead of missing it
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getInvoiceRetentionAmounts, getTotalRetentions } from './federalRetentions.js';
+
+export const EXPORT_STATUSES = ['autorizada', 'cancelada', 'substituida'];
+const CANCELLED_STATUSES = ['cancelada', 'substituida'];
+
+const PREVIEW_ROWS = 20;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? 0 : round2(parseFloat(value));
+}
+
+function onlyDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+// @db.Date columns are stored at UTC midnight
+function isoDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+function brDate(value) {
+  const iso = isoDate(value);
+  return iso ? iso.split('-').reverse().join('/') : '';
+}
+
+function brAmount(value) {
+  return round2(value).toFixed(2).replace('.', ',');
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ERP text layouts have no quoting: the separator and line breaks are removed from values
+function plainField(separator) {
+  return (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return text.split(separator).join(' ').replace(/\s+/g, ' ').trim();
+  };
+}
+
+/**
+ * Normalize an invoice into an export record
+ *
+ * @param {object} invoice - Invoice record
+ * @param {object|null} client - Client registered with the invoice's tomador document, if any
+ * @param {object} company - Issuing company
+ * @returns {object} Export record (amounts as numbers, dates as Date)
+ */
+export function buildExportRecord(invoice, client, company) {
+  const retentions = getInvoiceRetentionAmounts(invoice);
+  const valor = toNumber(invoice.valor);
+  const descontoIncondicionado = toNumber(invoice.valorDescontoIncondicionado);
+  const deducoes = toNumber(invoice.valorDeducoes);
+  const baseCalculo = invoice.baseCalculo !== null && invoice.baseCalculo !== undefined
+    ? toNumber(invoice.baseCalculo)
+    : round2(valor - descontoIncondicionado - deducoes);
+  const tomadorDocumento = onlyDigits(invoice.clienteDocumento);
+  const tomadorPais = (invoice.clientePais || client?.pais || 'BR').toUpperCase();
+
+  return {
+    invoiceId: invoice.id,
+    numero: invoice.numero || '',
+    serie: invoice.serieDps || '',
+    numeroDps: invoice.numeroDps ?? null,
+    codigoVerificacao: invoice.codigoVerificacao || '',
+    dataEmissao: invoice.dataEmissao,
+    dataCompetencia: invoice.dataPrestacao || invoice.dataEmissao,
+    status: invoice.status,
+    cancelada: CANCELLED_STATUSES.includes(invoice.status),
+
+    prestadorCnpj: onlyDigits(company?.cnpj),
+    prestadorRazaoSocial: company?.razaoSocial || '',
+    prestadorInscricaoMunicipal: company?.inscricaoMunicipal || '',
+    prestadorCodigoMunicipio: company?.codigoMunicipio || '',
+    prestadorMunicipio: company?.cidade || '',
+    prestadorUf: company?.uf || '',
+    regimeTributario: company?.regimeTributario || '',
+    cnae: onlyDigits(company?.cnaePrincipal),
+
+    tomadorNome: invoice.clienteNome || '',
+    tomadorDocumento,
+    tomadorTipo: client?.tipoPessoa || (tomadorDocumento.length === 14 ? 'pj' : 'pf'),
+    tomadorEstrangeiro: tomadorPais !== 'BR',
+    tomadorPais,
+    tomadorNif: invoice.clienteNif || client?.nif || '',
+    tomadorMunicipio: client?.cidade || '',
+    tomadorUf: client?.uf || '',
+    tomadorCodigoMunicipio: client?.codigoMunicipio || '',
+    tomadorEmail: client?.email || '',
+
+    codigoServico: invoice.codigoServico || '',
+    descricao: invoice.descricaoServico || '',
+
+    valor,
+    descontoIncondicionado,
+    descontoCondicionado: toNumber(invoice.valorDescontoCondicionado),
+    deducoes,
+    baseCalculo,
+    aliquotaIss: toNumber(invoice.aliquotaIss),
+    valorIss: toNumber(invoice.valorIss),
+    issRetido: Boolean(invoice.issRetido),
+    valorIssRetido: invoice.issRetido ? toNumber(invoice.valorIss) : 0,
+    valorIrrf: retentions.irrf,
+    valorPis: retentions.pis,
+    valorCofins: retentions.cofins,
+    valorCsll: retentions.csll,
+    valorInss: retentions.inss,
+    totalRetencoesFederais: getTotalRetentions(retentions),
+    valorLiquido: invoice.valorLiquido !== null && invoice.valorLiquido !== undefined
+      ? toNumber(invoice.valorLiquido)
+      : valor
+  };
+}
+
+// Validation shared by the layouts: what every ERP needs to book the revenue
+function validateCommon(record) {
+  const errors = [];
+  if (!record.numero) errors.push({ field: 'numero', message: 'Nota sem número da NFS-e' });
+  if (!record.dataEmissao) errors.push({ field: 'data_emissao', message: 'Nota sem data de emissão' });
+  if (!(record.valor > 0)) errors.push({ field: 'valor', message: 'Valor do serviço deve ser maior que zero' });
+  if (!record.prestadorCnpj) errors.push({ field: 'prestador_cnpj', message: 'Empresa sem CNPJ' });
+  return errors;
+}
+
+function validateTomadorDocument(record) {
+  if (record.tomadorEstrangeiro) return [];
+  if (record.tomadorDocumento.length !== 11 && record.tomadorDocumento.length !== 14) {
+    return [{ field: 'tomador_documento', message: 'CPF/CNPJ do tomador inválido' }];
+  }
+  return [];
+}
+
+/**
+ * Generic CSV: every field of the export record, for spreadsheets and ERPs with a configurable import
+ */
+const genericLayout = {
+  id: 'generico',
+  label: 'CSV genérico',
+  description: 'Planilha com todos os campos da nota (separador ponto e vírgula, UTF-8)',
+  extension: 'csv',
+  mimeType: 'text/csv; charset=utf-8',
+  encoding: 'utf8',
+  separator: ';',
+  header: true,
+  escape: escapeCsv,
+  columns: [
+    { label: 'numero', value: r => r.numero },
+    { label: 'serie_dps', value: r => r.serie },
+    { label: 'numero_dps', value: r => r.numeroDps ?? '' },
+    { label: 'codigo_verificacao', value: r => r.codigoVerificacao },
+    { label: 'data_emissao', value: r => isoDate(r.dataEmissao) },
+    { label: 'data_competencia', value: r => isoDate(r.dataCompetencia) },
+    { label: 'status', value: r => r.status },
+    { label: 'cancelada', value: r => (r.cancelada ? 'sim' : 'nao') },
+    { label: 'prestador_cnpj', value: r => r.prestadorCnpj },
+    { label: 'prestador_razao_social', value: r => r.prestadorRazaoSocial },
+    { label: 'prestador_inscricao_municipal', value: r => r.prestadorInscricaoMunicipal },
+    { label: 'prestador_codigo_municipio', value: r => r.prestadorCodigoMunicipio },
+    { label: 'tomador_nome', value: r => r.tomadorNome },
+    { label: 'tomador_documento', value: r => r.tomadorDocumento },
+    { label: 'tomador_tipo', value: r => r.tomadorTipo },
+    { label: 'tomador_pais', value: r => r.tomadorPais },
+    { label: 'tomador_nif', value: r => r.tomadorNif },
+    { label: 'tomador_municipio', value: r => r.tomadorMunicipio },
+    { label: 'tomador_uf', value: r => r.tomadorUf },
+    { label: 'tomador_codigo_municipio', value: r => r.tomadorCodigoMunicipio },
+    { label: 'codigo_servico', value: r => r.codigoServico },
+    { label: 'cnae', value: r => r.cnae },
+    { label: 'descricao_servico', value: r => r.descricao },
+    { label: 'valor_servico', value: r => brAmount(r.valor) },
+    { label: 'desconto_incondicionado', value: r => brAmount(r.descontoIncondicionado) },
+    { label: 'desconto_condicionado', value: r => brAmount(r.descontoCondicionado) },
+    { label: 'deducoes', value: r => brAmount(r.deducoes) },
+    { label: 'base_calculo', value: r => brAmount(r.baseCalculo) },
+    { label: 'aliquota_iss', value: r => brAmount(r.aliquotaIss) },
+    { label: 'valor_iss', value: r => brAmount(r.valorIss) },
+    { label: 'iss_retido', value: r => (r.issRetido ? 'sim' : 'nao') },
+    { label: 'valor_irrf', value: r => brAmount(r.valorIrrf) },
+    { label: 'valor_pis', value: r => brAmount(r.valorPis) },
+    { label: 'valor_cofins', value: r => brAmount(r.valorCofins) },
+    { label: 'valor_csll', value: r => brAmount(r.valorCsll) },
+    { label: 'valor_inss', value: r => brAmount(r.valorInss) },
+    { label: 'valor_liquido', value: r => brAmount(r.valorLiquido) }
+  ],
+  validate: record => validateCommon(record)
+};
+
+/**
+ * Domínio Sistemas (Escrita Fiscal - notas de serviços prestados), pipe-delimited text without
+ * header, ANSI. Situação: 0 = regular, 2 = cancelada. The CFPS column is the municipal service
+ * code (cTribNac) of the note.
+ */
+const dominioLayout = {
+  id: 'dominio',
+  label: 'Domínio Sistemas',
+  description: 'Importação de serviços prestados da Escrita Fiscal (texto delimitado por "|", ANSI)',
+  extension: 'txt',
+  mimeType: 'text/plain; charset=iso-8859-1',
+  encoding: 'latin1',
+  separator: '|',
+  header: false,
+  escape: plainField('|'),
+  columns: [
+    { label: 'CNPJ da empresa', value: r => r.prestadorCnpj },
+    { label: 'Espécie', value: () => 'NFS' },
+    { label: 'Série', value: r => r.serie },
+    { label: 'Número', value: r => r.numero },
+    { label: 'Data de emissão', value: r => brDate(r.dataEmissao) },
+    { label: 'Data de competência', value: r => brDate(r.dataCompetencia) },
+    { label: 'Situação', value: r => (r.cancelada ? '2' : '0') },
+    { label: 'CPF/CNPJ do tomador', value: r => (r.tomadorEstrangeiro ? '' : r.tomadorDocumento) },
+    { label: 'Nome do tomador', value: r => r.tomadorNome },
+    { label: 'UF do tomador', value: r => (r.tomadorEstrangeiro ? 'EX' : r.tomadorUf) },
+    { label: 'Município do tomador (IBGE)', value: r => r.tomadorCodigoMunicipio },
+    { label: 'CFPS', value: r => r.codigoServico },
+    { label: 'Valor contábil', value: r => brAmount(r.valor) },
+    { label: 'Base de cálculo ISS', value: r => brAmount(r.baseCalculo) },
+    { label: 'Alíquota ISS', value: r => brAmount(r.aliquotaIss) },
+    { label: 'Valor ISS', value: r => brAmount(r.valorIss) },
+    { label: 'ISS retido', value: r => brAmount(r.valorIssRetido) },
+    { label: 'IRRF retido', value: r => brAmount(r.valorIrrf) },
+    { label: 'PIS retido', value: r => brAmount(r.valorPis) },
+    { label: 'COFINS retido', value: r => brAmount(r.valorCofins) },
+    { label: 'CSLL retido', value: r => brAmount(r.valorCsll) },
+    { label: 'INSS retido', value: r => brAmount(r.valorInss) },
+    { label: 'Valor líquido', value: r => brAmount(r.valorLiquido) },
+    { label: 'Observação', value: r => r.descricao.slice(0, 200) }
+  ],
+  validate: (record) => {
+    const errors = [...validateCommon(record), ...validateTomadorDocument(record)];
+    if (!record.codigoServico) errors.push({ field: 'codigo_servico', message: 'Nota sem código de serviço (CFPS)' });
+    if (!record.tomadorEstrangeiro && !record.tomadorUf) {
+      errors.push({ field: 'tomador_uf', message: 'UF do tomador não cadastrada (cadastre o cliente)' });
+    }
+    return errors;
+  }
+};
+
+/**
+ * Alterdata (Fiscal - importação de notas de serviço), semicolon-delimited with header, ANSI.
+ * Situação: N = normal, C = cancelada. Requires the municipality of both prestador and tomador.
+ */
+const alterdataLayout = {
+  id: 'alterdata',
+  label: 'Alterdata',
+  description: 'Importação de notas de serviço do Alterdata Fiscal (ponto e vírgula, ANSI)',
+  extension: 'csv',
+  mimeType: 'text/csv; charset=iso-8859-1',
+  encoding: 'latin1',
+  separator: ';',
+  header: true,
+  escape: plainField(';'),
+  columns: [
+    { label: 'CNPJ_EMPRESA', value: r => r.prestadorCnpj },
+    { label: 'INSCRICAO_MUNICIPAL', value: r => r.prestadorInscricaoMunicipal },
+    { label: 'MUNICIPIO_PRESTACAO', value: r => r.prestadorCodigoMunicipio },
+    { label: 'NUMERO_NOTA', value: r => r.numero },
+    { label: 'SERIE', value: r => r.serie },
+    { label: 'DATA_EMISSAO', value: r => brDate(r.dataEmissao) },
+    { label: 'DATA_COMPETENCIA', value: r => brDate(r.dataCompetencia) },
+    { label: 'SITUACAO', value: r => (r.cancelada ? 'C' : 'N') },
+    { label: 'TIPO_TOMADOR', value: r => (r.tomadorEstrangeiro ? 'E' : (r.tomadorTipo === 'pj' ? 'J' : 'F')) },
+    { label: 'DOCUMENTO_TOMADOR', value: r => (r.tomadorEstrangeiro ? r.tomadorNif : r.tomadorDocumento) },
+    { label: 'NOME_TOMADOR', value: r => r.tomadorNome },
+    { label: 'MUNICIPIO_TOMADOR', value: r => r.tomadorCodigoMunicipio },
+    { label: 'UF_TOMADOR', value: r => r.tomadorUf },
+    { label: 'CODIGO_SERVICO', value: r => r.codigoServico },
+    { label: 'CNAE', value: r => r.cnae },
+    { label: 'VALOR_SERVICO', value: r => brAmount(r.valor) },
+    { label: 'VALOR_DESCONTO', value: r => brAmount(r.descontoIncondicionado + r.descontoCondicionado) },
+    { label: 'VALOR_DEDUCAO', value: r => brAmount(r.deducoes) },
+    { label: 'BASE_ISS', value: r => brAmount(r.baseCalculo) },
+    { label: 'ALIQUOTA_ISS', value: r => brAmount(r.aliquotaIss) },
+    { label: 'VALOR_ISS', value: r => brAmount(r.valorIss) },
+    { label: 'ISS_RETIDO', value: r => (r.issRetido ? 'S' : 'N') },
+    { label: 'VALOR_IRRF', value: r => brAmount(r.valorIrrf) },
+    { label: 'VALOR_PIS', value: r => brAmount(r.valorPis) },
+    { label: 'VALOR_COFINS', value: r => brAmount(r.valorCofins) },
+    { label: 'VALOR_CSLL', value: r => brAmount(r.valorCsll) },
+    { label: 'VALOR_INSS', value: r => brAmount(r.valorInss) },
+    { label: 'VALOR_LIQUIDO', value: r => brAmount(r.valorLiquido) },
+    { label: 'CODIGO_VERIFICACAO', value: r => r.codigoVerificacao }
+  ],
+  validate: (record) => {
+    const errors = [...validateCommon(record), ...validateTomadorDocument(record)];
+    if (!record.codigoServico) errors.push({ field: 'codigo_servico', message: 'Nota sem código de serviço' });
+    if (!record.prestadorCodigoMunicipio) {
+      errors.push({ field: 'prestador_codigo_municipio', message: 'Empresa sem código IBGE do município' });
+    }
+    if (!record.tomadorEstrangeiro && !record.tomadorCodigoMunicipio) {
+      errors.push({ field: 'tomador_codigo_municipio', message: 'Município do tomador não cadastrado (cadastre o cliente)' });
+    }
+    if (record.tomadorEstrangeiro && !record.tomadorNif) {
+      errors.push({ field: 'tomador_nif', message: 'Tomador estrangeiro sem NIF' });
+    }
+    return errors;
+  }
+};
+
+const EXPORT_LAYOUTS = new Map();
+
+/**
+ * Register an export layout
+ *
+ * @param {object} layout - { id, label, description, extension, mimeType, encoding, separator, header, escape, columns: [{ label, value(record) }], validate(record) }
+ */
+export function registerExportLayout(layout) {
+  if (!layout?.id || !Array.isArray(layout.columns) || typeof layout.validate !== 'function') {
+    throw new Error('Export layout needs an id, columns and a validate function');
+  }
+  EXPORT_LAYOUTS.set(layout.id, layout);
+}
+
+[genericLayout, dominioLayout, alterdataLayout].forEach(registerExportLayout);
+
+/**
+ * Get a registered layout
+ *
+ * @param {string} layoutId - Layout id
+ * @returns {object} Layout
+ */
+export function getExportLayout(layoutId) {
+  const layout = EXPORT_LAYOUTS.get(layoutId || 'generico');
+  if (!layout) {
+    throw new AppError(`Layout de exportação desconhecido: ${layoutId}`, 400, 'INVALID_EXPORT_LAYOUT', {
+      layouts: [...EXPORT_LAYOUTS.keys()]
+    });
+  }
+  return layout;
+}
+
+/**
+ * Registered layouts, for the UI
+ *
+ * @returns {Array<{id, label, description, extension}>}
+ */
+export function listExportLayouts() {
+  return [...EXPORT_LAYOUTS.values()].map(({ id, label, description, extension }) => ({ id, label, description, extension }));
+}
+
+/**
+ * Map and validate invoices with a layout
+ *
+ * @param {string} layoutId - Layout id
+ * @param {Array<{invoice, client, company}>} entries - Invoices with their client and company
+ * @returns {{layout, header: string[], rows: Array<{invoice_id, numero, values: string[], errors}>, errors: Array}}
+ */
+export function mapExportRows(layoutId, entries) {
+  const layout = getExportLayout(layoutId);
+  const errors = [];
+
+  const rows = entries.map(({ invoice, client, company }) => {
+    const record = buildExportRecord(invoice, client, company);
+    const rowErrors = layout.validate(record).map(error => ({
+      invoice_id: record.invoiceId,
+      numero: record.numero || null,
+      ...error
+    }));
+    errors.push(...rowErrors);
+
+    return {
+      invoice_id: record.invoiceId,
+      numero: record.numero || null,
+      cancelada: record.cancelada,
+      valor: record.valor,
+      valor_iss: record.valorIss,
+      values: layout.columns.map(column => layout.escape(column.value(record))),
+      errors: rowErrors
+    };
+  });
+
+  return { layout, header: layout.columns.map(column => column.label), rows, errors };
+}
+
+/**
+ * Render the export file
+ *
+ * @param {string} layoutId - Layout id
+ * @param {Array<{invoice, client, company}>} entries - Invoices with their client and company
+ * @param {object} options
+ * @param {boolean} [options.skipInvalid=false] - Leave invalid invoices out instead of failing
+ * @returns {{layout, buffer: Buffer, exported: number, skipped: Array}}
+ */
+export function buildExportFile(layoutId, entries, { skipInvalid = false } = {}) {
+  const { layout, header, rows, errors } = mapExportRows(layoutId, entries);
+
+  if (errors.length > 0 && !skipInvalid) {
+    throw new AppError(
+      `${errors.length} problema(s) impedem a exportação no layout ${layout.label}`,
+      422,
+      'EXPORT_VALIDATION_FAILED',
+      { errors }
+    );
+  }
+
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const lines = validRows.map(row => row.values.join(layout.separator));
+  if (layout.header) {
+    lines.unshift(header.map(label => layout.escape(label)).join(layout.separator));
+  }
+
+  const content = lines.join('\r\n') + (lines.length ? '\r\n' : '');
+  const buffer = layout.encoding === 'utf8'
+    ? Buffer.from('\uFEFF' + content, 'utf8')
+    : Buffer.from(content, layout.encoding);
+
+  return {
+    layout,
+    buffer,
+    exported: validRows.length,
+    skipped: rows.filter(row => row.errors.length > 0).map(row => ({ invoice_id: row.invoice_id, numero: row.numero }))
+  };
+}
+
+/**
+ * Preview of an export: first rows, totals and every validation problem
+ *
+ * @param {string} layoutId - Layout id
+ * @param {Array<{invoice, client, company}>} entries - Invoices with their client and company
+ * @returns {object} Preview
+ */
+export function previewExport(layoutId, entries) {
+  const { layout, header, rows, errors } = mapExportRows(layoutId, entries);
+  const active = rows.filter(row => !row.cancelada);
+
+  return {
+    layout: { id: layout.id, label: layout.label, description: layout.description, extension: layout.extension },
+    header,
+    rows: rows.slice(0, PREVIEW_ROWS).map(({ invoice_id, numero, values, errors: rowErrors }) => ({
+      invoice_id,
+      numero,
+      values,
+      valid: rowErrors.length === 0
+    })),
+    totals: {
+      notas: rows.length,
+      validas: rows.filter(row => row.errors.length === 0).length,
+      canceladas: rows.length - active.length,
+      valor: round2(active.reduce((sum, row) => sum + row.valor, 0)),
+      valor_iss: round2(active.reduce((sum, row) => sum + row.valor_iss, 0))
+    },
+    errors
+  };
+}
+
+function parseDateParam(value, field) {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+  if (!date || isNaN(date.getTime()) || date.getUTCDate() !== +match[3]) {
+    throw new AppError(`Data inválida em ${field}. Use o formato AAAA-MM-DD`, 400, 'INVALID_DATE');
+  }
+  return date;
+}
+
+/**
+ * Load the invoices to export with their client and company
+ *
+ * @param {object} filters
+ * @param {string[]} [filters.companyIds] - Restrict to these companies (omit for all, admin only)
+ * @param {string} [filters.startDate] - First emission date, 'YYYY-MM-DD'
+ * @param {string} [filters.endDate] - Last emission date, 'YYYY-MM-DD'
+ * @param {string} [filters.status] - 'autorizada' or 'cancelada' (cancelled includes substituted)
+ * @returns {Promise<Array<{invoice, client, company}>>}
+ */
+export async function loadExportEntries({ companyIds, startDate, endDate, status } = {}) {
+  const start = parseDateParam(startDate, 'start_date');
+  const end = parseDateParam(endDate, 'end_date');
+
+  if (status && !['autorizada', 'cancelada'].includes(status)) {
+    throw new AppError('Status de exportação inválido', 400, 'INVALID_STATUS');
+  }
+
+  const where = { status: { in: status === 'cancelada' ? CANCELLED_STATUSES : (status ? [status] : EXPORT_STATUSES) } };
+  if (companyIds) {
+    where.companyId = { in: companyIds };
+  }
+  if (start || end) {
+    where.dataEmissao = {};
+    if (start) where.dataEmissao.gte = start;
+    if (end) where.dataEmissao.lte = end;
+  }
+
+  const invoices = await prisma.invoice.findMany({
+    where,
+    include: { company: true },
+    orderBy: [{ companyId: 'asc' }, { dataEmissao: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  // Invoices keep a snapshot of the tomador; the client register adds its address and type
+  const userIds = [...new Set(invoices.map(invoice => invoice.company.userId))];
+  const documents = [...new Set(invoices.map(invoice => onlyDigits(invoice.clienteDocumento)).filter(Boolean))];
+  const clients = userIds.length && documents.length
+    ? await prisma.client.findMany({ where: { userId: { in: userIds }, documento: { in: documents } } })
+    : [];
+  const clientsByKey = new Map(clients.map(client => [`${client.userId}:${onlyDigits(client.documento)}`, client]));
+
+  return invoices.map(({ company, ...invoice }) => ({
+    invoice,
+    company,
+    client: clientsByKey.get(`${company.userId}:${onlyDigits(invoice.clienteDocumento)}`) || null
+  }));
+}
+
+/**
+ * Download filename for an export
+ *
+ * @param {object} layout - Layout
+ * @param {object} filters - { startDate, endDate }
+ * @param {object|null} company - Company, when exporting a single one
+ * @returns {string}
+ */
+export function exportFilename(layout, { startDate, endDate } = {}, company = null) {
+  const scope = company ? onlyDigits(company.cnpj) : 'todas';
+  const period = [startDate, endDate].filter(Boolean).join('_') || new Date().toISOString().slice(0, 10);
+  return `notas-${layout.id}-${scope}-${period}.${layout.extension}`;
+}
+
+export default {
+  EXPORT_STATUSES,
+  buildExportRecord,
+  registerExportLayout,
+  getExportLayout,
+  listExportLayouts,
+  mapExportRows,
+  buildExportFile,
+  previewExport,
+  loadExportEntries,
+  exportFilename
+};
@@ -61,6 +61,31 @@ export const FUNCTION_DEFINITIONS = [
             type: 'number',
             description: 'Alíquota do ISS em percentual. Para MEI sempre use 5. Ex: 2, 3, 5',
           },
+          unconditional_discount: {
+            type: 'number',
+            description: 'Desconto incondicionado em reais, concedido na própria nota (reduz a base do ISS). Ex: "com desconto de R$ 100" → 100',
+          },
+          conditional_discount: {
+            type: 'number',
+            description: 'Desconto condicionado em reais, sujeito a evento futuro como pagamento antecipado (não reduz a base do ISS)',
+          },
+          deductions: {
+            type: 'number',
+            description: 'Deduções legais da base de cálculo do ISS em reais, ex: materiais em serviços de construção civil',
+          },
+          currency: {
+            type: 'string',
+            enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF', 'JPY'],
+            description: 'Moeda da fatura quando o cliente está no exterior (exportação de serviço). Ex: "US$ 2.000" → USD',
+          },
+          exchange_rate: {
+            type: 'number',
+            description: 'Taxa de câmbio (reais por unidade da moeda estrangeira) usada na conversão. Ex: 5.42',
+          },
+          foreign_value: {
+            type: 'number',
+            description: 'Valor do serviço na moeda estrangeira. Ex: "US$ 2.000" → 2000',
+          },
         },
         required: ['value'],
       },
@@ -87,6 +112,60 @@ export const FUNCTION_DEFINITIONS = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'substitute_invoice',
+      description: 'Substitui uma nota fiscal autorizada por uma nota corrigida (substituição), em vez de cancelar e emitir novamente. O tomador não pode ser alterado.',
+      parameters: {
+        type: 'object',
+        properties: {
+          invoice_id: {
+            type: 'string',
+            description: 'ID ou número da nota fiscal a ser substituída',
+          },
+          reason: {
+            type: 'string',
+            description: 'Motivo da substituição (mínimo 15 caracteres). Ex: "Valor do serviço informado incorretamente"',
+          },
+          value: {
+            type: 'number',
+            description: 'Novo valor do serviço em reais, se for corrigido',
+          },
+          service_description: {
+            type: 'string',
+            description: 'Nova descrição do serviço, se for corrigida',
+          },
+          iss_rate: {
+            type: 'number',
+            description: 'Nova alíquota do ISS em percentual, se for corrigida',
+          },
+        },
+        required: ['invoice_id', 'reason'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'resend_invoice_email',
+      description: 'Reenvia uma nota fiscal autorizada (PDF e XML) para o email do cliente. Use quando o usuário pedir para mandar ou reenviar a nota ao cliente.',
+      parameters: {
+        type: 'object',
+        properties: {
+          invoice_id: {
+            type: 'string',
+            description: 'ID ou número da nota fiscal a ser enviada',
+          },
+          email: {
+            type: 'string',
+            description: 'Email de destino, se diferente do email cadastrado do cliente',
+          },
+        },
+        required: ['invoice_id'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -598,6 +677,8 @@ export function mapFunctionToAction(functionName) {
   const mapping = {
     'emit_invoice': 'emitir_nfse',
     'cancel_invoice': 'cancelar_nfse',
+    'substitute_invoice': 'substituir_nfse',
+    'resend_invoice_email': 'reenviar_nfse',
     'list_invoices': 'listar_notas',
     'get_last_invoice': 'ultima_nota',
     'get_rejected_invoices': 'notas_rejeitadas',
@@ -627,6 +708,8 @@ export function requiresConfirmation(actionType) {
   const requiresConfirm = [
     'emitir_nfse',
     'cancelar_nfse',
+    'substituir_nfse',
+    'reenviar_nfse',
     'criar_cliente',
     'criar_empresa',
   ];
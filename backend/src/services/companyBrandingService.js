@@ -0,0 +1,250 @@
+/**
+ * Company Branding Service
+ * Logo, colors, footer note and contact block of a company, applied to the invoice and
+ * DAS PDFs and to the emails sent to its clients
+ *
+ * - Colors are '#RRGGBB'; unset colors fall back to the MAY palette
+ * - The logo is PNG or JPEG (the formats pdfkit can embed), up to 512 KB, stored in CompanyLogo
+ * - Text drawn over a brand color is black or white depending on the color's luminance
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const DEFAULT_PRIMARY_COLOR = '#f97316';
+export const DEFAULT_SECONDARY_COLOR = '#1a1a2e';
+export const MAX_LOGO_SIZE = 512 * 1024;
+export const LOGO_MIME_TYPES = ['image/png', 'image/jpeg'];
+export const MAX_FOOTER_LENGTH = 300;
+export const MAX_CONTACT_LENGTH = 300;
+export const MAX_CONTACT_LINES = 4;
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Normalize a color to lowercase '#rrggbb' ('#abc' is expanded); null when invalid
+ *
+ * @param {string} value - Color
+ * @returns {string|null}
+ */
+export function normalizeHexColor(value) {
+  if (typeof value !== 'string') return null;
+  let color = value.trim().toLowerCase();
+  if (!color.startsWith('#')) color = `#${color}`;
+  if (/^#[0-9a-f]{3}$/.test(color)) {
+    color = `#${color.slice(1).split('').map(c => c + c).join('')}`;
+  }
+  return HEX_COLOR.test(color) ? color : null;
+}
+
+/**
+ * Text color readable over a background color (WCAG relative luminance)
+ *
+ * @param {string} background - '#rrggbb'
+ * @returns {string} '#ffffff' or '#111827'
+ */
+export function getContrastColor(background) {
+  const color = normalizeHexColor(background) || DEFAULT_SECONDARY_COLOR;
+  const [r, g, b] = [1, 3, 5].map(i => {
+    const channel = parseInt(color.slice(i, i + 2), 16) / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  });
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > 0.4 ? '#111827' : '#ffffff';
+}
+
+/**
+ * Image type from the file signature (the upload's declared type is not trusted)
+ *
+ * @param {Buffer} buffer - Image file
+ * @returns {string|null} 'image/png', 'image/jpeg' or null
+ */
+export function detectLogoMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  return null;
+}
+
+/**
+ * Validate the branding fields of a company update (only the fields present are checked)
+ *
+ * @param {object} body - { marca_cor_primaria, marca_cor_secundaria, marca_rodape, marca_contato }
+ * @returns {string[]} Error messages
+ */
+export function validateBrandingSettings({ marca_cor_primaria, marca_cor_secundaria, marca_rodape, marca_contato }) {
+  const errors = [];
+  if (marca_cor_primaria && !normalizeHexColor(marca_cor_primaria)) {
+    errors.push('Cor principal deve estar no formato hexadecimal (#RRGGBB)');
+  }
+  if (marca_cor_secundaria && !normalizeHexColor(marca_cor_secundaria)) {
+    errors.push('Cor secundária deve estar no formato hexadecimal (#RRGGBB)');
+  }
+  if (marca_rodape && String(marca_rodape).trim().length > MAX_FOOTER_LENGTH) {
+    errors.push(`Texto do rodapé deve ter no máximo ${MAX_FOOTER_LENGTH} caracteres`);
+  }
+  if (marca_contato) {
+    const contact = String(marca_contato).trim();
+    if (contact.length > MAX_CONTACT_LENGTH || contact.split('\n').length > MAX_CONTACT_LINES) {
+      errors.push(`Bloco de contato deve ter no máximo ${MAX_CONTACT_LINES} linhas e ${MAX_CONTACT_LENGTH} caracteres`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Company update data for the branding fields present in the body
+ *
+ * @param {object} body - Request body
+ * @returns {object} Prisma data
+ */
+export function buildBrandingUpdate({ marca_cor_primaria, marca_cor_secundaria, marca_rodape, marca_contato }) {
+  const data = {};
+  if (marca_cor_primaria !== undefined) data.marcaCorPrimaria = normalizeHexColor(marca_cor_primaria);
+  if (marca_cor_secundaria !== undefined) data.marcaCorSecundaria = normalizeHexColor(marca_cor_secundaria);
+  if (marca_rodape !== undefined) data.marcaRodape = String(marca_rodape ?? '').trim() || null;
+  if (marca_contato !== undefined) {
+    data.marcaContato = String(marca_contato ?? '').split('\n').map(line => line.trim()).filter(Boolean).join('\n') || null;
+  }
+  return data;
+}
+
+/**
+ * Branding of a company with the defaults applied
+ *
+ * @param {object} company - Company record
+ * @param {object} [logo] - CompanyLogo record ({ data, mimeType })
+ * @returns {object} { customized, name, primaryColor, secondaryColor, headerTextColor,
+ *   primaryTextColor, footerText, contactLines, logo, logoMimeType }
+ */
+export function resolveBranding(company, logo = null) {
+  const primaryColor = normalizeHexColor(company?.marcaCorPrimaria) || DEFAULT_PRIMARY_COLOR;
+  const secondaryColor = normalizeHexColor(company?.marcaCorSecundaria) || DEFAULT_SECONDARY_COLOR;
+  const customized = Boolean(
+    company?.marcaCorPrimaria || company?.marcaCorSecundaria || company?.marcaRodape || company?.marcaContato || logo?.data
+  );
+
+  return {
+    customized,
+    // Without branding, documents keep the MAY header
+    name: customized ? (company?.nomeFantasia || company?.razaoSocial || 'Empresa') : 'MAY',
+    primaryColor,
+    secondaryColor,
+    headerTextColor: getContrastColor(secondaryColor),
+    primaryTextColor: getContrastColor(primaryColor),
+    footerText: company?.marcaRodape || null,
+    contactLines: company?.marcaContato ? company.marcaContato.split('\n').filter(Boolean) : [],
+    logo: logo?.data ? Buffer.from(logo.data) : null,
+    logoMimeType: logo?.mimeType || null
+  };
+}
+
+/**
+ * Load the branding of a company (the logo is only queried when one was uploaded)
+ *
+ * @param {object} company - Company record
+ * @returns {Promise<object>} Resolved branding (see resolveBranding)
+ */
+export async function getCompanyBranding(company) {
+  let logo = null;
+  if (company?.id && company.marcaLogoAtualizadoEm) {
+    try {
+      logo = await prisma.companyLogo.findUnique({ where: { companyId: company.id } });
+    } catch (error) {
+      console.warn('[Branding] Could not load logo of company', company.id, error.message);
+    }
+  }
+  return resolveBranding(company, logo);
+}
+
+/**
+ * Store (or replace) the logo of a company
+ *
+ * @param {string} companyId - Company ID
+ * @param {Buffer} buffer - PNG or JPEG file
+ * @returns {Promise<object>} Updated company
+ */
+export async function saveCompanyLogo(companyId, buffer) {
+  const mimeType = detectLogoMimeType(buffer);
+  if (!mimeType) {
+    throw new AppError('O logo deve ser uma imagem PNG ou JPEG', 400, 'INVALID_LOGO');
+  }
+  if (buffer.length > MAX_LOGO_SIZE) {
+    throw new AppError(`O logo deve ter no máximo ${MAX_LOGO_SIZE / 1024} KB`, 400, 'INVALID_LOGO');
+  }
+
+  const [, company] = await prisma.$transaction([
+    prisma.companyLogo.upsert({
+      where: { companyId },
+      create: { companyId, data: buffer, mimeType },
+      update: { data: buffer, mimeType }
+    }),
+    prisma.company.update({
+      where: { id: companyId },
+      data: { marcaLogoAtualizadoEm: new Date() }
+    })
+  ]);
+  return company;
+}
+
+/**
+ * Remove the logo of a company
+ *
+ * @param {string} companyId - Company ID
+ * @returns {Promise<object>} Updated company
+ */
+export async function removeCompanyLogo(companyId) {
+  const [, company] = await prisma.$transaction([
+    prisma.companyLogo.deleteMany({ where: { companyId } }),
+    prisma.company.update({
+      where: { id: companyId },
+      data: { marcaLogoAtualizadoEm: null }
+    })
+  ]);
+  return company;
+}
+
+/**
+ * Sample invoice used to preview the branding
+ *
+ * @param {object} company - Company record
+ * @returns {object} Invoice-like record
+ */
+export function buildSampleInvoice(company) {
+  const today = new Date();
+  return {
+    id: 'preview',
+    companyId: company.id,
+    numero: '000001',
+    status: 'autorizada',
+    codigoVerificacao: 'EXEMPLO',
+    clienteNome: 'Cliente de Exemplo Ltda',
+    clienteDocumento: '11222333000181',
+    descricaoServico: 'Serviço de exemplo para pré-visualização da identidade visual. Este documento não tem validade fiscal.',
+    codigoServico: '01.01.01',
+    valor: 1500,
+    aliquotaIss: 5,
+    valorIss: 75,
+    issRetido: false,
+    dataEmissao: today,
+    dataPrestacao: today,
+    municipio: company.cidade || null
+  };
+}
+
+export default {
+  DEFAULT_PRIMARY_COLOR,
+  DEFAULT_SECONDARY_COLOR,
+  MAX_LOGO_SIZE,
+  LOGO_MIME_TYPES,
+  normalizeHexColor,
+  getContrastColor,
+  detectLogoMimeType,
+  validateBrandingSettings,
+  buildBrandingUpdate,
+  resolveBranding,
+  getCompanyBranding,
+  saveCompanyLogo,
+  removeCompanyLogo,
+  buildSampleInvoice
+};
@@ -0,0 +1,457 @@
+/**
+ * DASN-SIMEI Service
+ * Annual declaration of MEI companies (Declaração Anual do Simples Nacional - MEI), due on
+ * May 31 of the following year
+ *
+ * - Revenue of the invoices (NFS-e) of the year is service revenue (calculateYearlyRevenue)
+ * - Revenue without invoices (services to individuals, sales of goods) is typed in by the user;
+ *   commerce, industry and transport go in the ICMS field of the portal
+ * - DAS of the year come from the DAS table: paid, pending and months with no guide generated
+ * - Reminders are sent as notifications 30, 15, 7 and 1 day(s) before the deadline while the
+ *   declaration is not marked as filed
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { calculateYearlyRevenue, getMEILimitForYear } from './meiLimitTracking.js';
+
+// Days before the deadline on which a reminder is sent
+export const DASN_REMINDER_DAYS = [30, 15, 7, 1];
+
+const REMINDER_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let isProcessingReminders = false;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Deadline of the declaration of a year: May 31 of the following year
+ *
+ * @param {number} ano - Calendar year declared
+ * @returns {Date}
+ */
+export function getDasnDeadline(ano) {
+  return new Date(ano + 1, 4, 31);
+}
+
+/**
+ * Whole days from today to the deadline (negative when late)
+ */
+export function getDaysUntilDeadline(ano, today = new Date()) {
+  return Math.round((getDasnDeadline(ano) - startOfDay(today)) / DAY_MS);
+}
+
+/**
+ * Reminder step for the days left: the smallest of DASN_REMINDER_DAYS not below them
+ *
+ * @param {number} diasRestantes
+ * @returns {number|null} null when it is too early or the deadline has passed
+ */
+export function getReminderStage(diasRestantes) {
+  if (diasRestantes < 0) return null;
+  const stages = DASN_REMINDER_DAYS.filter(days => diasRestantes <= days);
+  return stages.length > 0 ? Math.min(...stages) : null;
+}
+
+/**
+ * Paid and pending DAS of a year, and the months of activity with no DAS generated
+ *
+ * @param {object[]} dasList - DAS records of the year ({ referencia, status, valorTotal })
+ * @param {number} ano
+ * @param {object} period - Months of activity in the year, 1-12 ({ startMonth, endMonth })
+ * @returns {object} { pagos, valorPago, pendentes: [{ referencia, valor }], valorPendente, mesesSemGuia: ['MM/YYYY'] }
+ */
+export function summarizeDasPayments(dasList, ano, { startMonth = 1, endMonth = 12 } = {}) {
+  const ofYear = dasList.filter(das => das.referencia?.endsWith(`/${ano}`));
+  const paid = ofYear.filter(das => das.status === 'pago');
+  const pending = ofYear.filter(das => das.status !== 'pago');
+
+  const months = new Set(ofYear.map(das => das.referencia));
+  const mesesSemGuia = [];
+  for (let month = startMonth; month <= endMonth; month++) {
+    const referencia = `${String(month).padStart(2, '0')}/${ano}`;
+    if (!months.has(referencia)) mesesSemGuia.push(referencia);
+  }
+
+  return {
+    pagos: paid.length,
+    valorPago: round2(paid.reduce((sum, das) => sum + parseFloat(das.valorTotal || 0), 0)),
+    pendentes: pending
+      .map(das => ({ referencia: das.referencia, valor: round2(das.valorTotal) }))
+      .sort((a, b) => a.referencia.localeCompare(b.referencia)),
+    valorPendente: round2(pending.reduce((sum, das) => sum + parseFloat(das.valorTotal || 0), 0)),
+    mesesSemGuia
+  };
+}
+
+/**
+ * Values to type into the DASN-SIMEI on the government portal, in the order it asks for them
+ *
+ * @returns {object[]} [{ campo, valor }]
+ */
+export function buildPortalValues({ receitaServicos, receitaComercio, possuiEmpregado }) {
+  return [
+    { campo: 'Receita bruta total', valor: round2(receitaServicos + receitaComercio) },
+    { campo: 'Receita bruta de comércio, indústria e transporte (ICMS)', valor: round2(receitaComercio) },
+    { campo: 'Receita bruta de prestação de serviços (ISS)', valor: round2(receitaServicos) },
+    { campo: 'Possuiu empregado durante o período abrangido pela declaração?', valor: possuiEmpregado ? 'Sim' : 'Não' }
+  ];
+}
+
+/**
+ * Checklist before filing
+ *
+ * @returns {object[]} [{ id, label, ok, detalhe }]
+ */
+export function buildDasnChecklist({ revisada, das, receitaTotal, limite, transmitida }) {
+  return [
+    {
+      id: 'receita_revisada',
+      label: 'Receita sem nota fiscal e de comércio conferida',
+      ok: revisada,
+      detalhe: revisada ? null : 'Informe as receitas sem nota fiscal (ou zero) e salve a declaração'
+    },
+    {
+      id: 'empregado',
+      label: 'Informação sobre empregado confirmada',
+      ok: revisada,
+      detalhe: revisada ? null : 'Confirme se a empresa teve empregado no ano'
+    },
+    {
+      id: 'das_pagos',
+      label: 'Guias DAS do ano pagas',
+      ok: das.pendentes.length === 0 && das.mesesSemGuia.length === 0,
+      detalhe: das.pendentes.length > 0 || das.mesesSemGuia.length > 0
+        ? `${das.pendentes.length} guia(s) pendente(s) e ${das.mesesSemGuia.length} mês(es) sem guia gerada. A declaração pode ser entregue, mas os débitos ficam em aberto.`
+        : null
+    },
+    {
+      id: 'limite',
+      label: 'Receita dentro do limite do MEI',
+      ok: receitaTotal <= limite,
+      detalhe: receitaTotal > limite
+        ? `Receita de R$ ${receitaTotal.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} acima do limite de R$ ${limite.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}. Procure seu contador antes de entregar.`
+        : null
+    },
+    {
+      id: 'transmitida',
+      label: 'Declaração transmitida no Portal do Empreendedor',
+      ok: transmitida,
+      detalhe: transmitida ? null : 'Após transmitir, informe o número do recibo'
+    }
+  ];
+}
+
+/**
+ * Validate the calendar year of a declaration
+ *
+ * @param {*} value
+ * @param {object} [options]
+ * @param {boolean} [options.closed] - Only years already ended (filing)
+ * @returns {number} The year
+ */
+export function parseAnoCalendario(value, { closed = false } = {}) {
+  const ano = parseInt(value, 10);
+  const currentYear = new Date().getFullYear();
+  if (!Number.isInteger(ano) || ano < 2009 || ano > currentYear) {
+    throw new AppError('Ano-calendário inválido', 400, 'VALIDATION_ERROR');
+  }
+  if (closed && ano >= currentYear) {
+    throw new AppError(`A DASN-SIMEI de ${ano} só pode ser entregue a partir de janeiro de ${ano + 1}`, 400, 'DASN_YEAR_NOT_CLOSED');
+  }
+  return ano;
+}
+
+function assertMEI(company) {
+  if (company.regimeTributario !== 'MEI') {
+    throw new AppError('A DASN-SIMEI é entregue apenas por empresas MEI', 400, 'INVALID_REGIME');
+  }
+}
+
+/**
+ * Months of the year covered by the declaration: from the month the company was registered
+ * (when in that year) up to December, or up to the last closed month of the current year.
+ * None for a company registered after the year.
+ */
+function getActivityMonths(company, ano, today) {
+  const createdYear = company.createdAt ? new Date(company.createdAt).getFullYear() : ano;
+  const startMonth = createdYear === ano ? new Date(company.createdAt).getMonth() + 1 : createdYear > ano ? 13 : 1;
+  const endMonth = ano === today.getFullYear() ? today.getMonth() : 12;
+  return { startMonth, endMonth };
+}
+
+/**
+ * Declaration of a year: revenue, DAS, values for the portal, checklist and deadline
+ *
+ * @param {object} company - Company record
+ * @param {number} ano - Calendar year
+ * @param {Date} [today]
+ * @returns {Promise<object>}
+ */
+export async function getDasnSummary(company, ano, today = new Date()) {
+  assertMEI(company);
+
+  const [receitaNotas, declaration, dasList] = await Promise.all([
+    calculateYearlyRevenue(company.id, ano),
+    prisma.dasnSimei.findUnique({
+      where: { companyId_anoCalendario: { companyId: company.id, anoCalendario: ano } }
+    }),
+    prisma.dAS.findMany({
+      where: { companyId: company.id, referencia: { endsWith: `/${ano}` } },
+      select: { referencia: true, status: true, valorTotal: true }
+    })
+  ]);
+
+  const receitaServicosSemNota = round2(declaration?.receitaServicosSemNota);
+  const receitaComercio = round2(declaration?.receitaComercio);
+  const receitaServicos = round2(receitaNotas + receitaServicosSemNota);
+  const receitaTotal = round2(receitaServicos + receitaComercio);
+  const possuiEmpregado = declaration?.possuiEmpregado || false;
+  const transmitida = declaration?.status === 'transmitida';
+
+  const period = getActivityMonths(company, ano, today);
+  const das = summarizeDasPayments(dasList, ano, period);
+  // Proportional to the months of activity in the opening year
+  const { limit: limite } = getMEILimitForYear(company.dataAbertura, ano);
+
+  return {
+    ano,
+    // A company registered after the year has nothing to declare for it
+    aplicavel: period.startMonth <= 12,
+    prazo: getDasnDeadline(ano),
+    diasRestantes: getDaysUntilDeadline(ano, today),
+    status: declaration?.status || 'rascunho',
+    revisadaEm: declaration?.revisadaEm || null,
+    numeroRecibo: declaration?.numeroRecibo || null,
+    dataTransmissao: declaration?.dataTransmissao || null,
+    receitaNotas: round2(receitaNotas),
+    receitaServicosSemNota,
+    receitaServicos,
+    receitaComercio,
+    receitaTotal,
+    limite,
+    possuiEmpregado,
+    das,
+    valoresPortal: buildPortalValues({ receitaServicos, receitaComercio, possuiEmpregado }),
+    checklist: buildDasnChecklist({
+      revisada: !!declaration?.revisadaEm,
+      das,
+      receitaTotal,
+      limite,
+      transmitida
+    })
+  };
+}
+
+/**
+ * Save the values the invoices don't show (marks the declaration as reviewed)
+ *
+ * @param {object} company - Company record
+ * @param {number} ano
+ * @param {object} body - { receita_servicos_sem_nota, receita_comercio, possui_empregado }
+ */
+export async function saveDasnDeclaration(company, ano, body) {
+  assertMEI(company);
+
+  const amount = (value, label) => {
+    const parsed = value === undefined || value === null || value === '' ? 0 : Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      throw new AppError(`${label} deve ser um valor maior ou igual a zero`, 400, 'VALIDATION_ERROR');
+    }
+    return round2(parsed);
+  };
+
+  const data = {
+    receitaServicosSemNota: amount(body.receita_servicos_sem_nota, 'Receita de serviços sem nota fiscal'),
+    receitaComercio: amount(body.receita_comercio, 'Receita de comércio e indústria'),
+    possuiEmpregado: body.possui_empregado === true || body.possui_empregado === 'true',
+    revisadaEm: new Date()
+  };
+
+  const existing = await prisma.dasnSimei.findUnique({
+    where: { companyId_anoCalendario: { companyId: company.id, anoCalendario: ano } }
+  });
+  if (existing?.status === 'transmitida') {
+    throw new AppError(`A DASN-SIMEI de ${ano} já foi transmitida. Para corrigir, faça uma declaração retificadora no portal.`, 409, 'DASN_ALREADY_FILED');
+  }
+
+  return prisma.dasnSimei.upsert({
+    where: { companyId_anoCalendario: { companyId: company.id, anoCalendario: ano } },
+    create: { companyId: company.id, anoCalendario: ano, ...data },
+    update: data
+  });
+}
+
+/**
+ * Mark the declaration as filed on the government portal (stops the reminders)
+ *
+ * @param {object} company - Company record
+ * @param {number} ano - A year already ended
+ * @param {object} body - { numero_recibo, data_transmissao }
+ */
+export async function markDasnTransmitted(company, ano, { numero_recibo, data_transmissao } = {}) {
+  assertMEI(company);
+
+  const declaration = await prisma.dasnSimei.findUnique({
+    where: { companyId_anoCalendario: { companyId: company.id, anoCalendario: ano } }
+  });
+  if (!declaration?.revisadaEm) {
+    throw new AppError('Confira e salve os valores da declaração antes de marcá-la como transmitida', 400, 'DASN_NOT_REVIEWED');
+  }
+  if (declaration.status === 'transmitida') {
+    throw new AppError(`A DASN-SIMEI de ${ano} já está marcada como transmitida`, 409, 'DASN_ALREADY_FILED');
+  }
+
+  return prisma.dasnSimei.update({
+    where: { id: declaration.id },
+    data: {
+      status: 'transmitida',
+      numeroRecibo: numero_recibo ? String(numero_recibo).trim() : null,
+      dataTransmissao: data_transmissao ? new Date(data_transmissao) : new Date()
+    }
+  });
+}
+
+/**
+ * Declaration summary in the API format
+ */
+export function formatDasnSummary(summary) {
+  return {
+    ano: summary.ano,
+    aplicavel: summary.aplicavel,
+    prazo: summary.prazo,
+    dias_restantes: summary.diasRestantes,
+    status: summary.status,
+    revisada_em: summary.revisadaEm,
+    numero_recibo: summary.numeroRecibo,
+    data_transmissao: summary.dataTransmissao,
+    receita_notas: summary.receitaNotas,
+    receita_servicos_sem_nota: summary.receitaServicosSemNota,
+    receita_servicos: summary.receitaServicos,
+    receita_comercio: summary.receitaComercio,
+    receita_total: summary.receitaTotal,
+    limite: summary.limite,
+    possui_empregado: summary.possuiEmpregado,
+    das: {
+      pagos: summary.das.pagos,
+      valor_pago: summary.das.valorPago,
+      pendentes: summary.das.pendentes,
+      valor_pendente: summary.das.valorPendente,
+      meses_sem_guia: summary.das.mesesSemGuia
+    },
+    valores_portal: summary.valoresPortal,
+    checklist: summary.checklist
+  };
+}
+
+/**
+ * Remind MEI companies of the declaration of the previous year, once per reminder step,
+ * until it is marked as filed
+ *
+ * @param {Date} [today]
+ * @returns {Promise<object>} { checked, sent }
+ */
+export async function processDasnReminders(today = new Date()) {
+  const ano = today.getFullYear() - 1;
+  const diasRestantes = getDaysUntilDeadline(ano, today);
+  const stage = getReminderStage(diasRestantes);
+
+  if (isProcessingReminders || stage === null) {
+    return { checked: 0, sent: 0 };
+  }
+  isProcessingReminders = true;
+
+  try {
+    const results = { checked: 0, sent: 0 };
+
+    // MEI companies registered before the end of the year, not filed and not reminded at this step
+    const companies = await prisma.company.findMany({
+      where: {
+        regimeTributario: 'MEI',
+        createdAt: { lt: new Date(ano + 1, 0, 1) },
+        dasnSimei: {
+          none: {
+            anoCalendario: ano,
+            OR: [{ status: 'transmitida' }, { ultimoLembreteDias: { lte: stage } }]
+          }
+        }
+      },
+      select: { id: true, userId: true, razaoSocial: true }
+    });
+
+    for (const company of companies) {
+      results.checked++;
+
+      await prisma.dasnSimei.upsert({
+        where: { companyId_anoCalendario: { companyId: company.id, anoCalendario: ano } },
+        create: { companyId: company.id, anoCalendario: ano, ultimoLembreteDias: stage },
+        update: { ultimoLembreteDias: stage }
+      });
+
+      await prisma.notification.create({
+        data: {
+          userId: company.userId,
+          titulo: `DASN-SIMEI ${ano}`,
+          mensagem: `A declaração anual do MEI de ${company.razaoSocial} vence em 31/05/${ano + 1} ` +
+            `(${diasRestantes === 0 ? 'hoje' : `faltam ${diasRestantes} dia(s)`}). ` +
+            'Confira a receita e os valores para o portal na página de Impostos.',
+          tipo: stage <= 7 ? 'alerta' : 'info'
+        }
+      });
+      results.sent++;
+    }
+
+    if (results.sent > 0) {
+      console.log(`[DASN-SIMEI] ${results.sent} reminder(s) for ${ano} (${diasRestantes} days left)`);
+    }
+    return results;
+  } finally {
+    isProcessingReminders = false;
+  }
+}
+
+/**
+ * Start the DASN-SIMEI reminders (checks every 6 hours)
+ */
+export async function startDasnReminders() {
+  const processWithErrorHandling = async () => {
+    try {
+      await processDasnReminders();
+    } catch (error) {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[DASN-SIMEI] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[DASN-SIMEI] Reminder error:', error);
+      }
+    }
+  };
+
+  await processWithErrorHandling();
+
+  setInterval(processWithErrorHandling, REMINDER_INTERVAL_MS);
+}
+
+export default {
+  DASN_REMINDER_DAYS,
+  getDasnDeadline,
+  getDaysUntilDeadline,
+  getReminderStage,
+  summarizeDasPayments,
+  buildPortalValues,
+  buildDasnChecklist,
+  parseAnoCalendario,
+  getDasnSummary,
+  saveDasnDeclaration,
+  markDasnTransmitted,
+  formatDasnSummary,
+  processDasnReminders,
+  startDasnReminders
+};
@@ -0,0 +1,457 @@
+/**
+ * DPS XML Service
+ * Offline DPS (Declaração de Prestação de Serviço) in the Sistema Nacional NFS-e layout
+ *
+ * - Projects the ACBr payload (infDPS) onto the national DPS layout v1.00: adds the fields ACBr
+ *   fills from the company configuration (serie, nDPS, cLocEmi, regTrib.opSimpNac) and leaves out
+ *   the values ACBr computes itself (vBC, vISSQN, vLiq, cLocIncid, orgaoPublico)
+ * - Validates the document against the layout: element order and cardinality, choices, patterns,
+ *   lengths, enumerations and decimals, as declared in the DPS XSD simple and complex types
+ * - Applies the cross-field rules the prefeitura rejects with E-codes (E0010, E0015, E0625)
+ * - Serializes the XML (unsigned; the signature is applied by ACBr)
+ *
+ * Errors are field-level ({ field, code, message }) with the XPath-like path of the element.
+ */
+
+export const DPS_NAMESPACE = 'http://www.sped.fazenda.gov.br/nfse';
+export const DPS_LAYOUT_VERSION = '1.00';
+
+// Simple types (TS* in the XSD)
+const T = {
+  tpAmb: { enum: ['1', '2'] },
+  dateTimeUtc: { pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/, hint: 'AAAA-MM-DDThh:mm:ss±hh:mm' },
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, hint: 'AAAA-MM-DD' },
+  verAplic: { minLength: 1, maxLength: 20 },
+  serie: { pattern: /^\d{1,5}$/, hint: 'até 5 dígitos' },
+  nDPS: { pattern: /^[1-9]\d{0,14}$/, hint: 'até 15 dígitos, sem zeros à esquerda' },
+  tpEmit: { enum: ['1', '2', '3'] },
+  codMunIbge: { pattern: /^[1-5]\d{6}$/, hint: 'código IBGE de 7 dígitos' },
+  cnpj: { pattern: /^\d{14}$/, hint: '14 dígitos' },
+  cpf: { pattern: /^\d{11}$/, hint: '11 dígitos' },
+  nif: { minLength: 1, maxLength: 40 },
+  cNaoNIF: { enum: ['0', '1', '2'] },
+  inscMun: { minLength: 1, maxLength: 15 },
+  chaveNfse: { pattern: /^\d{50}$/, hint: '50 dígitos' },
+  cMotivo: { enum: ['01', '02', '03', '04', '05', '99'] },
+  xMotivo: { minLength: 15, maxLength: 255 },
+  opSimpNac: { enum: ['1', '2', '3'] },
+  regApTribSN: { enum: ['1', '2', '3'] },
+  regEspTrib: { enum: ['0', '1', '2', '3', '4', '5', '6'] },
+  xNome: { minLength: 1, maxLength: 300 },
+  cPais: { pattern: /^[A-Z]{2}$/, hint: 'código ISO de 2 letras' },
+  cEndPost: { minLength: 1, maxLength: 11 },
+  xCidade: { minLength: 1, maxLength: 60 },
+  xLgr: { minLength: 1, maxLength: 255 },
+  nro: { minLength: 1, maxLength: 60 },
+  xCpl: { minLength: 1, maxLength: 156 },
+  xBairro: { minLength: 1, maxLength: 60 },
+  cTribNac: { pattern: /^\d{6}$/, hint: '6 dígitos (item, subitem e desdobro da LC 116)' },
+  xDescServ: { minLength: 1, maxLength: 2000 },
+  mdPrestacao: { enum: ['0', '1', '2', '3', '4'] },
+  vincPrest: { enum: ['0', '1', '2', '3', '4', '5', '6'] },
+  tpMoeda: { pattern: /^\d{3}$/, hint: 'código BACEN de 3 dígitos' },
+  mecAFComex: { pattern: /^\d{2}$/, hint: '2 dígitos' },
+  movTempBens: { enum: ['0', '1', '2', '3'] },
+  mdic: { enum: ['0', '1'] },
+  tribISSQN: { enum: ['1', '2', '3', '4'] },
+  tpRetISSQN: { enum: ['1', '2', '3'] },
+  cst: { pattern: /^\d{2}$/, hint: '2 dígitos' },
+  tpRetPisCofins: { enum: ['1', '2'] },
+  indTotTrib: { enum: ['0'] },
+  dec15v2: { decimal: { max: 999999999999999.99, fractionDigits: 2 } },
+  dec3v2: { decimal: { max: 999.99, fractionDigits: 2 } }
+};
+
+const el = (name, type, options = {}) => ({ name, type, ...options });
+const group = (name, children, options = {}) => ({ name, children, ...options });
+const choice = (options, settings = {}) => ({ choice: options, ...settings });
+
+// Complex types (TC* in the XSD), in document order
+const ENDERECO_EXTERIOR = group('end', [
+  group('endExt', [
+    el('cPais', T.cPais),
+    el('cEndPost', T.cEndPost),
+    el('xCidade', T.xCidade),
+    el('xEstProvReg', T.xCidade)
+  ]),
+  el('xLgr', T.xLgr),
+  el('nro', T.nro),
+  el('xCpl', T.xCpl, { optional: true }),
+  el('xBairro', T.xBairro)
+], { optional: true });
+
+// Layout of infDPS (also compared with the official XSD by dpsXsdService)
+export const INF_DPS = [
+  el('tpAmb', T.tpAmb),
+  el('dhEmi', T.dateTimeUtc),
+  el('verAplic', T.verAplic),
+  el('serie', T.serie),
+  el('nDPS', T.nDPS),
+  el('dCompet', T.date),
+  el('tpEmit', T.tpEmit),
+  el('cLocEmi', T.codMunIbge),
+  group('subst', [
+    el('chSubstda', T.chaveNfse),
+    el('cMotivo', T.cMotivo),
+    el('xMotivo', T.xMotivo, { optional: true })
+  ], { optional: true }),
+  group('prest', [
+    choice([el('CNPJ', T.cnpj), el('CPF', T.cpf)]),
+    el('IM', T.inscMun, { optional: true }),
+    group('regTrib', [
+      el('opSimpNac', T.opSimpNac),
+      el('regApTribSN', T.regApTribSN, { optional: true }),
+      el('regEspTrib', T.regEspTrib)
+    ])
+  ]),
+  group('toma', [
+    choice([el('CNPJ', T.cnpj), el('CPF', T.cpf), el('NIF', T.nif), el('cNaoNIF', T.cNaoNIF)]),
+    el('xNome', T.xNome),
+    ENDERECO_EXTERIOR
+  ], { optional: true }),
+  group('serv', [
+    group('locPrest', [
+      choice([el('cLocPrestacao', T.codMunIbge), el('cPaisPrestacao', T.cPais)])
+    ]),
+    group('cServ', [
+      el('cTribNac', T.cTribNac),
+      el('xDescServ', T.xDescServ)
+    ]),
+    group('comExt', [
+      el('mdPrestacao', T.mdPrestacao),
+      el('vincPrest', T.vincPrest),
+      el('tpMoeda', T.tpMoeda),
+      el('vServMoeda', T.dec15v2),
+      el('mecAFComexP', T.mecAFComex),
+      el('mecAFComexT', T.mecAFComex),
+      el('movTempBens', T.movTempBens),
+      el('mdic', T.mdic)
+    ], { optional: true })
+  ]),
+  group('valores', [
+    group('vServPrest', [
+      el('vReceb', T.dec15v2, { optional: true }),
+      el('vServ', T.dec15v2)
+    ]),
+    group('vDescCondIncond', [
+      el('vDescIncond', T.dec15v2, { optional: true }),
+      el('vDescCond', T.dec15v2, { optional: true })
+    ], { optional: true }),
+    group('vDedRed', [
+      choice([el('pDR', T.dec3v2), el('vDR', T.dec15v2)])
+    ], { optional: true }),
+    group('trib', [
+      group('tribMun', [
+        el('tribISSQN', T.tribISSQN),
+        el('cPaisResult', T.cPais, { optional: true }),
+        el('tpRetISSQN', T.tpRetISSQN),
+        el('pAliq', T.dec3v2, { optional: true })
+      ]),
+      group('tribFed', [
+        group('piscofins', [
+          el('CST', T.cst),
+          el('vBCPisCofins', T.dec15v2, { optional: true }),
+          el('pAliqPis', T.dec3v2, { optional: true }),
+          el('pAliqCofins', T.dec3v2, { optional: true }),
+          el('vPis', T.dec15v2, { optional: true }),
+          el('vCofins', T.dec15v2, { optional: true }),
+          el('tpRetPisCofins', T.tpRetPisCofins, { optional: true })
+        ], { optional: true }),
+        el('vRetCP', T.dec15v2, { optional: true }),
+        el('vRetIRRF', T.dec15v2, { optional: true }),
+        el('vRetCSLL', T.dec15v2, { optional: true })
+      ], { optional: true }),
+      group('totTrib', [
+        el('indTotTrib', T.indTotTrib)
+      ])
+    ])
+  ])
+];
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Project the ACBr payload onto the national DPS layout
+ *
+ * @param {object} payload - Result of buildDpsPayload ({ infDPS, ... })
+ * @param {object} context - { serie, nDPS, cLocEmi, IM, opSimpNac, regApTribSN }
+ * @returns {object} infDPS in the national layout
+ */
+export function toDpsDocument(payload, context) {
+  const inf = payload.infDPS;
+  const { orgaoPublico, ...toma } = inf.toma || {};
+  const { vBC, vISSQN, vLiq, cLocIncid, ...tribMun } = inf.valores.trib.tribMun;
+  const locPrest = inf.serv.locPrest || {};
+
+  return {
+    tpAmb: inf.tpAmb,
+    dhEmi: inf.dhEmi,
+    verAplic: inf.verAplic,
+    serie: context.serie,
+    nDPS: context.nDPS,
+    dCompet: inf.dCompet,
+    tpEmit: 1, // Prestador
+    cLocEmi: context.cLocEmi,
+    ...(inf.subst ? { subst: inf.subst } : {}),
+    prest: {
+      CNPJ: inf.prest.CNPJ,
+      ...(isPresent(context.IM) ? { IM: context.IM } : {}),
+      regTrib: {
+        opSimpNac: context.opSimpNac,
+        ...(isPresent(context.regApTribSN) ? { regApTribSN: context.regApTribSN } : {}),
+        regEspTrib: inf.prest.regTrib.regEspTrib
+      }
+    },
+    ...(inf.toma ? { toma } : {}),
+    serv: {
+      // locPrest is a choice: the municipality, or the country when rendered abroad
+      locPrest: locPrest.cLocPrestacao
+        ? { cLocPrestacao: locPrest.cLocPrestacao }
+        : { cPaisPrestacao: locPrest.cPaisPrestacao || 'BR' },
+      cServ: inf.serv.cServ,
+      ...(inf.serv.comExt ? { comExt: inf.serv.comExt } : {})
+    },
+    valores: {
+      ...inf.valores,
+      trib: {
+        tribMun,
+        ...(inf.valores.trib.tribFed ? { tribFed: inf.valores.trib.tribFed } : {}),
+        totTrib: { indTotTrib: 0 } // Não informar o total aproximado dos tributos
+      }
+    }
+  };
+}
+
+function validateValue(value, type, field) {
+  const text = String(value);
+
+  if (type.decimal) {
+    const number = typeof value === 'number' ? value : Number(text);
+    if (!Number.isFinite(number) || number < 0 || number > type.decimal.max) {
+      return { field, code: 'DECIMAL', message: `Valor numérico inválido: ${text}` };
+    }
+    const scaled = number * 10 ** type.decimal.fractionDigits;
+    if (Math.abs(scaled - Math.round(scaled)) > 1e-6) {
+      return { field, code: 'DECIMAL', message: `Use no máximo ${type.decimal.fractionDigits} casas decimais (${text})` };
+    }
+    return null;
+  }
+  if (type.enum && !type.enum.includes(text)) {
+    return { field, code: 'ENUM', message: `Valor "${text}" não permitido (aceitos: ${type.enum.join(', ')})` };
+  }
+  if (type.pattern && !type.pattern.test(text)) {
+    return { field, code: 'PATTERN', message: `Formato inválido: "${text}" (esperado ${type.hint})` };
+  }
+  const length = text.trim().length;
+  if (type.minLength !== undefined && length < type.minLength) {
+    return { field, code: 'LENGTH', message: `Deve ter ao menos ${type.minLength} caractere(s)` };
+  }
+  if (type.maxLength !== undefined && length > type.maxLength) {
+    return { field, code: 'LENGTH', message: `Deve ter no máximo ${type.maxLength} caracteres (${length} informados)` };
+  }
+  return null;
+}
+
+function validateNodes(nodes, data, path, errors) {
+  const allowed = new Set();
+
+  for (const node of nodes) {
+    if (node.choice) {
+      node.choice.forEach(option => allowed.add(option.name));
+      const present = node.choice.filter(option => isPresent(data[option.name]));
+      const names = node.choice.map(option => option.name).join(', ');
+      if (present.length === 0 && !node.optional) {
+        errors.push({ field: `${path}.(${names})`, code: 'REQUIRED', message: `Informe um dos campos: ${names}` });
+      } else if (present.length > 1) {
+        errors.push({ field: `${path}.(${names})`, code: 'CHOICE', message: `Informe apenas um dos campos: ${names}` });
+      }
+      present.forEach(option => validateNode(option, data[option.name], `${path}.${option.name}`, errors));
+      continue;
+    }
+
+    allowed.add(node.name);
+    const value = data[node.name];
+    if (!isPresent(value)) {
+      if (!node.optional) {
+        errors.push({ field: `${path}.${node.name}`, code: 'REQUIRED', message: 'Campo obrigatório não informado' });
+      }
+      continue;
+    }
+    validateNode(node, value, `${path}.${node.name}`, errors);
+  }
+
+  for (const key of Object.keys(data)) {
+    if (!allowed.has(key) && isPresent(data[key])) {
+      errors.push({ field: `${path}.${key}`, code: 'UNEXPECTED', message: 'Campo não previsto no leiaute da DPS' });
+    }
+  }
+}
+
+function validateNode(node, value, path, errors) {
+  if (node.children) {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      errors.push({ field: path, code: 'TYPE', message: 'Grupo informado como valor simples' });
+      return;
+    }
+    validateNodes(node.children, value, path, errors);
+    return;
+  }
+  const error = validateValue(value, node.type, path);
+  if (error) errors.push(error);
+}
+
+/**
+ * Cross-field rules the national environment rejects with its own E-codes
+ */
+function validateRules(dps) {
+  const errors = [];
+  const tribMun = dps.valores?.trib?.tribMun || {};
+
+  const serie = parseInt(dps.serie, 10);
+  if (!(serie >= 1 && serie <= 49999)) {
+    errors.push({ field: 'infDPS.serie', code: 'E0010', message: 'Emissão via API usa série entre 00001 e 49999' });
+  }
+  if (isPresent(dps.dCompet) && isPresent(dps.dhEmi) && String(dps.dCompet) > String(dps.dhEmi).slice(0, 10)) {
+    errors.push({ field: 'infDPS.dCompet', code: 'E0015', message: 'A data de competência não pode ser posterior à data de emissão' });
+  }
+  if (String(dps.prest?.regTrib?.opSimpNac) === '3' && String(tribMun.tpRetISSQN) === '1' && isPresent(tribMun.pAliq)) {
+    errors.push({
+      field: 'infDPS.valores.trib.tribMun.pAliq',
+      code: 'E0625',
+      message: 'Optante do Simples Nacional sem retenção de ISS não informa alíquota (o ISS é recolhido no DAS)'
+    });
+  }
+  if (isPresent(dps.prest?.regTrib?.regApTribSN) && String(dps.prest.regTrib.opSimpNac) !== '3') {
+    errors.push({ field: 'infDPS.prest.regTrib.regApTribSN', code: 'RULE', message: 'Regime de apuração do Simples Nacional só se aplica a optantes ME/EPP' });
+  }
+  if (String(tribMun.tribISSQN) === '3' && !isPresent(tribMun.cPaisResult)) {
+    errors.push({ field: 'infDPS.valores.trib.tribMun.cPaisResult', code: 'RULE', message: 'Exportação de serviço exige o país do resultado' });
+  }
+  if (!(Number(dps.valores?.vServPrest?.vServ) > 0)) {
+    errors.push({ field: 'infDPS.valores.vServPrest.vServ', code: 'RULE', message: 'O valor do serviço deve ser maior que zero' });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a DPS document (national layout)
+ *
+ * @param {object} dps - Result of toDpsDocument
+ * @returns {Array<object>} Errors ({ field, code, message }), empty when valid
+ */
+export function validateDpsDocument(dps) {
+  const errors = [];
+  validateNodes(INF_DPS, dps, 'infDPS', errors);
+  return [...errors, ...validateRules(dps)];
+}
+
+/**
+ * DPS identifier: "DPS" + cLocEmi (7) + tpInsc (1 = CPF, 2 = CNPJ) + inscrição federal (14) + série (5) + nDPS (15)
+ *
+ * @param {object} dps - DPS document
+ * @returns {string} Id attribute of infDPS
+ */
+export function buildDpsId(dps) {
+  const inscricao = String(dps.prest.CNPJ || dps.prest.CPF || '');
+  return [
+    'DPS',
+    String(dps.cLocEmi || '').padStart(7, '0'),
+    dps.prest.CNPJ ? '2' : '1',
+    inscricao.padStart(14, '0'),
+    String(dps.serie).padStart(5, '0'),
+    String(dps.nDPS).padStart(15, '0')
+  ].join('');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatValue(value, type) {
+  if (type.decimal) return Number(value).toFixed(type.decimal.fractionDigits);
+  return String(value).trim();
+}
+
+function serializeNodes(nodes, data, depth) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  for (const node of nodes) {
+    const options = node.choice || [node];
+    for (const option of options) {
+      const value = data[option.name];
+      if (!isPresent(value)) continue;
+      if (option.children) {
+        lines.push(`${indent}<${option.name}>`, ...serializeNodes(option.children, value, depth + 1), `${indent}</${option.name}>`);
+      } else {
+        lines.push(`${indent}<${option.name}>${escapeXml(formatValue(value, option.type))}</${option.name}>`);
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Serialize a DPS document (unsigned)
+ *
+ * @param {object} dps - DPS document
+ * @returns {string} XML
+ */
+export function serializeDps(dps) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<DPS xmlns="${DPS_NAMESPACE}" versao="${DPS_LAYOUT_VERSION}">`,
+    `  <infDPS Id="${buildDpsId(dps)}">`,
+    ...serializeNodes(INF_DPS, dps, 2),
+    '  </infDPS>',
+    '</DPS>'
+  ].join('\n');
+}
+
+/**
+ * Build and validate the DPS XML of an ACBr payload
+ *
+ * @param {object} payload - Result of buildDpsPayload
+ * @param {object} context - Company DPS context (see toDpsDocument)
+ * @returns {object} { id, xml, valid, errors }
+ */
+export function buildDpsXml(payload, context) {
+  const dps = toDpsDocument(payload, context);
+  const errors = validateDpsDocument(dps);
+  return { id: buildDpsId(dps), xml: serializeDps(dps), valid: errors.length === 0, errors };
+}
+
+/**
+ * Refuse a payload that breaks the DPS layout
+ *
+ * @param {object} payload - Result of buildDpsPayload
+ * @param {object} context - Company DPS context
+ * @throws {Error} DPS_SCHEMA_INVALID (status 400, data.errors with the field-level errors)
+ */
+export function assertValidDps(payload, context) {
+  const errors = validateDpsDocument(toDpsDocument(payload, context));
+  if (errors.length === 0) return;
+
+  const err = new Error(`DPS fora do leiaute nacional: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+  err.status = 400;
+  err.code = 'DPS_SCHEMA_INVALID';
+  err.data = { errors };
+  throw err;
+}
+
+export default {
+  DPS_NAMESPACE,
+  DPS_LAYOUT_VERSION,
+  toDpsDocument,
+  validateDpsDocument,
+  buildDpsId,
+  serializeDps,
+  buildDpsXml,
+  assertValidDps
+};
@@ -0,0 +1,320 @@
+/**
+ * DPS XSD Service
+ * Checks the DPS layout of dpsXmlService against the official XSD files of the Sistema Nacional NFS-e
+ *
+ * The XSD package (DPS_v1.00.xsd, tiposComplexos_v1.00.xsd, tiposSimples_v1.00.xsd, ...) is published
+ * in the technical documentation of the national NFS-e portal and goes in backend/schemas/nfse.
+ * scripts/check-dps-schema.js runs this check on the files of that directory.
+ *
+ * Compared for each element of infDPS: existence, order, optionality, choices, enumerations,
+ * lengths and decimal places. Patterns cannot be compared as text: the ones that differ are listed
+ * for review instead of being reported as differences.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { INF_DPS } from './dpsXmlService.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeEntities = (value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => ENTITIES[name]);
+const localName = (name) => String(name || '').split(':').pop();
+
+function parseAttributes(raw) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted] of raw.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attrs[localName(name)] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attrs;
+}
+
+/**
+ * Parse the tags of an XSD document into a tree (text content is not needed)
+ *
+ * @param {string} text - XSD document
+ * @returns {object} Root node { tag, attrs, children }
+ */
+function parseXsdTree(text) {
+  const root = { tag: 'root', attrs: {}, children: [] };
+  const stack = [root];
+  const source = text.replace(/<!--[\s\S]*?-->/g, '').replace(/<\?[\s\S]*?\?>/g, '');
+
+  for (const [, closing, name, rawAttrs, selfClosing] of source.matchAll(/<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g)) {
+    if (closing) {
+      if (stack.length > 1) stack.pop();
+      continue;
+    }
+    const node = { tag: localName(name), attrs: parseAttributes(rawAttrs), children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  return root;
+}
+
+/**
+ * Read the global types and elements of a set of XSD documents
+ *
+ * @param {string[]} sources - XSD documents
+ * @returns {object} { simpleTypes, complexTypes, elements } (Maps by name)
+ */
+export function readXsdSchema(sources) {
+  const schema = { simpleTypes: new Map(), complexTypes: new Map(), elements: new Map() };
+
+  for (const source of sources) {
+    const root = parseXsdTree(source);
+    const schemaNode = root.children.find(node => node.tag === 'schema') || root;
+    for (const node of schemaNode.children) {
+      if (!node.attrs.name) continue;
+      if (node.tag === 'simpleType') schema.simpleTypes.set(node.attrs.name, node);
+      if (node.tag === 'complexType') schema.complexTypes.set(node.attrs.name, node);
+      if (node.tag === 'element') schema.elements.set(node.attrs.name, node);
+    }
+  }
+  return schema;
+}
+
+/**
+ * Read all XSD files of a directory
+ *
+ * @param {string} directory - Directory with the XSD package
+ * @returns {object} Schema (see readXsdSchema)
+ */
+export function loadXsdDirectory(directory) {
+  if (!fs.existsSync(directory)) {
+    throw new Error(`Diretório ${directory} não encontrado. Extraia nele o pacote de esquemas XSD da DPS.`);
+  }
+  const files = fs.readdirSync(directory).filter(file => file.toLowerCase().endsWith('.xsd'));
+  if (files.length === 0) {
+    throw new Error(`Nenhum arquivo .xsd encontrado em ${directory}`);
+  }
+  return readXsdSchema(files.map(file => fs.readFileSync(path.join(directory, file), 'utf8')));
+}
+
+/**
+ * Facets of a simple type, following restrictions of other simple types
+ */
+function getFacets(schema, simpleType, seen = new Set()) {
+  const restriction = simpleType.children.find(node => node.tag === 'restriction');
+  if (!restriction) return {};
+
+  const baseName = localName(restriction.attrs.base);
+  const base = schema.simpleTypes.get(baseName);
+  const facets = base && !seen.has(baseName)
+    ? { ...getFacets(schema, base, new Set([...seen, baseName])) }
+    : { base: baseName };
+
+  const enumeration = [];
+  for (const facet of restriction.children) {
+    const { value } = facet.attrs;
+    if (facet.tag === 'enumeration') enumeration.push(value);
+    else if (facet.tag === 'pattern') facets.pattern = value;
+    else if (facet.tag === 'length') facets.minLength = facets.maxLength = Number(value);
+    else if (['minLength', 'maxLength', 'totalDigits', 'fractionDigits'].includes(facet.tag)) facets[facet.tag] = Number(value);
+  }
+  if (enumeration.length > 0) facets.enumeration = enumeration;
+  return facets;
+}
+
+const isOptional = (node) => node.attrs.minOccurs === '0';
+
+/**
+ * Content model of a complex type as a list of element/choice entries
+ */
+function getContent(schema, complexType) {
+  const entries = [];
+  const visit = (node) => {
+    for (const child of node.children) {
+      if (child.tag === 'sequence' || child.tag === 'complexContent' || child.tag === 'extension') {
+        if (child.tag === 'extension' && schema.complexTypes.has(localName(child.attrs.base))) {
+          visit(schema.complexTypes.get(localName(child.attrs.base)));
+        }
+        visit(child);
+      } else if (child.tag === 'choice') {
+        const options = [];
+        const collect = (choiceNode) => choiceNode.children.forEach(option => {
+          if (option.tag === 'element') options.push(resolveElement(schema, option));
+          else if (option.tag === 'sequence' || option.tag === 'choice') collect(option);
+        });
+        collect(child);
+        entries.push({ choice: options, optional: isOptional(child) });
+      } else if (child.tag === 'element') {
+        entries.push(resolveElement(schema, child));
+      }
+    }
+  };
+  visit(complexType);
+  return entries;
+}
+
+function resolveElement(schema, node) {
+  const element = node.attrs.ref ? schema.elements.get(localName(node.attrs.ref)) || node : node;
+  const name = element.attrs.name || localName(node.attrs.ref);
+  const optional = isOptional(node);
+
+  const inlineComplex = element.children.find(child => child.tag === 'complexType');
+  const inlineSimple = element.children.find(child => child.tag === 'simpleType');
+  const typeName = localName(element.attrs.type);
+
+  if (inlineComplex || schema.complexTypes.has(typeName)) {
+    return { name, optional, children: getContent(schema, inlineComplex || schema.complexTypes.get(typeName)) };
+  }
+  if (inlineSimple || schema.simpleTypes.has(typeName)) {
+    return { name, optional, facets: getFacets(schema, inlineSimple || schema.simpleTypes.get(typeName)) };
+  }
+  return { name, optional, facets: { base: typeName } };
+}
+
+function toRegExp(pattern) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u');
+  } catch {
+    return null;
+  }
+}
+
+// XSD patterns are implicitly anchored; \d and [0-9] are the same class for the DPS fields
+const normalizePattern = (pattern) => pattern.replace(/^\^|\$$/g, '').replace(/\\d/g, '[0-9]');
+
+function compareType(type, facets, field, result) {
+  const difference = (message) => result.differences.push({ field, message });
+
+  if (type.enum) {
+    const expected = [...(facets.enumeration || [])].sort().join(', ');
+    const actual = [...type.enum].sort().join(', ');
+    if (expected !== actual) difference(`valores aceitos: XSD [${expected}], tabela [${actual}]`);
+    return;
+  }
+  if (facets.enumeration) {
+    difference(`o XSD restringe os valores a [${facets.enumeration.join(', ')}]`);
+    return;
+  }
+
+  if (type.decimal) {
+    const { fractionDigits } = type.decimal;
+    if (facets.fractionDigits !== undefined && facets.fractionDigits !== fractionDigits) {
+      difference(`casas decimais: XSD ${facets.fractionDigits}, tabela ${fractionDigits}`);
+    }
+    if (facets.pattern) {
+      const regex = toRegExp(facets.pattern);
+      const accepted = `1.${'1'.repeat(fractionDigits)}`;
+      const rejected = `1.${'1'.repeat(fractionDigits + 1)}`;
+      if (!regex) {
+        result.review.push({ field, pattern: facets.pattern });
+      } else if (!regex.test(accepted) || regex.test(rejected)) {
+        difference(`casas decimais: o padrão do XSD (${facets.pattern}) não aceita ${fractionDigits} casas`);
+      }
+    }
+    return;
+  }
+
+  for (const facet of ['minLength', 'maxLength']) {
+    if (type[facet] !== undefined && facets[facet] !== undefined && type[facet] !== facets[facet]) {
+      difference(`${facet}: XSD ${facets[facet]}, tabela ${type[facet]}`);
+    }
+  }
+  if (!type.pattern && type.maxLength === undefined && facets.maxLength !== undefined) {
+    difference(`o XSD limita o tamanho a ${facets.maxLength} caracteres`);
+  }
+
+  if (facets.pattern && (!type.pattern || normalizePattern(type.pattern.source) !== normalizePattern(facets.pattern))) {
+    if (!type.pattern && type.maxLength === undefined) {
+      difference(`o XSD exige o padrão ${facets.pattern}`);
+    } else {
+      result.review.push({ field, pattern: facets.pattern, table: type.pattern?.source || null });
+    }
+  }
+}
+
+function compareNodes(nodes, entries, field, result) {
+  const difference = (path, message) => result.differences.push({ field: path, message });
+  const covered = new Set();
+  let lastIndex = -1;
+
+  const findEntry = (name) => entries.findIndex(entry =>
+    entry.choice ? entry.choice.some(option => option.name === name) : entry.name === name
+  );
+
+  for (const node of nodes) {
+    const names = node.choice ? node.choice.map(option => option.name) : [node.name];
+    const path = node.choice ? `${field}.(${names.join(', ')})` : `${field}.${node.name}`;
+    const index = findEntry(names[0]);
+
+    if (index === -1) {
+      difference(path, 'elemento não existe no XSD');
+      continue;
+    }
+    const entry = entries[index];
+    covered.add(index);
+
+    if (index < lastIndex) {
+      difference(path, 'fora da ordem do XSD');
+    }
+    lastIndex = Math.max(lastIndex, index);
+
+    // A single option of an XSD choice is a valid subset (e.g. only the foreign address)
+    if (node.choice && !entry.choice) {
+      difference(path, 'no XSD não é uma escolha (choice)');
+      continue;
+    }
+    if (Boolean(node.optional) !== entry.optional) {
+      difference(path, entry.optional ? 'opcional no XSD' : 'obrigatório no XSD');
+    }
+
+    const pairs = (node.choice || [node])
+      .map(option => [option, entry.choice ? entry.choice.find(candidate => candidate.name === option.name) : entry]);
+    for (const [ours, theirs] of pairs) {
+      const optionPath = `${field}.${ours.name}`;
+      if (!theirs) {
+        difference(optionPath, 'opção não existe na escolha do XSD');
+      } else if (ours.children && theirs.children) {
+        compareNodes(ours.children, theirs.children, optionPath, result);
+      } else if (ours.children || theirs.children) {
+        difference(optionPath, theirs.children ? 'no XSD é um grupo' : 'no XSD é um valor simples');
+      } else {
+        compareType(ours.type, theirs.facets, optionPath, result);
+      }
+    }
+  }
+
+  entries.forEach((entry, index) => {
+    if (!covered.has(index) && !entry.optional) {
+      const name = entry.choice ? `(${entry.choice.map(option => option.name).join(', ')})` : entry.name;
+      difference(`${field}.${name}`, 'obrigatório no XSD e ausente da tabela');
+    }
+  });
+}
+
+/**
+ * Compare the DPS layout with the XSD
+ *
+ * @param {object} schema - Result of readXsdSchema / loadXsdDirectory
+ * @param {object} [options]
+ * @param {object[]} [options.layout] - Layout nodes (default: infDPS of dpsXmlService)
+ * @param {string[]} [options.path] - Element path of the layout in the XSD (default: DPS > infDPS)
+ * @returns {object} { differences: [{ field, message }], review: [{ field, pattern, table }] }
+ */
+export function compareDpsLayout(schema, { layout = INF_DPS, path: elementPath = ['DPS', 'infDPS'] } = {}) {
+  const [rootName, ...rest] = elementPath;
+  const rootNode = schema.elements.get(rootName);
+  if (!rootNode) {
+    throw new Error(`Elemento ${rootName} não encontrado nos arquivos XSD`);
+  }
+
+  let element = resolveElement(schema, rootNode);
+  for (const name of rest) {
+    element = (element.children || []).find(entry => entry.name === name);
+    if (!element) {
+      throw new Error(`Elemento ${elementPath.join(' > ')} não encontrado nos arquivos XSD`);
+    }
+  }
+
+  const result = { differences: [], review: [] };
+  compareNodes(layout, element.children || [], elementPath[elementPath.length - 1], result);
+  return result;
+}
+
+export default {
+  readXsdSchema,
+  loadXsdDirectory,
+  compareDpsLayout
+};
@@ -0,0 +1,169 @@
+/**
+ * Duplicate Invoice Detection
+ * Pre-emission check for invoices that look like a mistaken repetition of a recent one
+ *
+ * An invoice is a suspected duplicate of an existing one of the same company when:
+ * - it was issued in the last DUPLICATE_WINDOW_DAYS days (cancelled, rejected, draft and
+ *   substituted invoices are ignored)
+ * - the client is the same (CPF/CNPJ digits, NIF for foreign clients, or name when neither is known)
+ * - the value is the same
+ * - the service descriptions are similar (token overlap >= DESCRIPTION_SIMILARITY_THRESHOLD)
+ *
+ * Emission is blocked (409 POSSIBLE_DUPLICATE_INVOICE, suspects in error.data.duplicates)
+ * unless the request carries the explicit override flag `ignorar_duplicidade: true`.
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const DUPLICATE_WINDOW_DAYS = 7;
+export const DESCRIPTION_SIMILARITY_THRESHOLD = 0.6;
+
+const IGNORED_STATUSES = ['cancelada', 'rejeitada', 'rascunho', 'substituida'];
+const MAX_SUSPECTS = 5;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function onlyDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Normalize free text into comparable tokens (lower case, no accents, words with 3+ characters)
+ *
+ * @param {string} text - Free text
+ * @returns {Set<string>} Tokens
+ */
+function tokenize(text) {
+  const normalized = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+  return new Set(normalized.split(/[^a-z0-9]+/).filter(token => token.length >= 3));
+}
+
+/**
+ * Similarity of two service descriptions (Dice coefficient over word tokens)
+ *
+ * @param {string} a - Description
+ * @param {string} b - Description
+ * @returns {number} 0 (unrelated) to 1 (same words)
+ */
+export function descriptionSimilarity(a, b) {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 && tokensB.size === 0) return 1;
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  for (const token of tokensA) {
+    if (tokensB.has(token)) shared++;
+  }
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Whether an invoice record belongs to the same client as the invoice data
+ *
+ * @param {object} invoiceData - Invoice data (cliente_documento, cliente_nome, tomador_exterior)
+ * @param {object} invoice - Invoice record
+ * @returns {boolean}
+ */
+export function isSameClient(invoiceData, invoice) {
+  // Foreign clients are identified by NIF, which may arrive as cliente_documento
+  const nif = String(invoiceData.tomador_exterior?.nif || invoiceData.cliente_documento || '').trim();
+  if (nif && invoice.clienteNif && String(invoice.clienteNif).trim() === nif) {
+    return true;
+  }
+
+  const documento = onlyDigits(invoiceData.cliente_documento);
+  if (documento) {
+    return onlyDigits(invoice.clienteDocumento) === documento;
+  }
+
+  const nome = String(invoiceData.cliente_nome || '').trim().toLowerCase();
+  return Boolean(nome) && String(invoice.clienteNome || '').trim().toLowerCase() === nome;
+}
+
+/**
+ * Whether the invoice data asks to skip the duplicate check
+ *
+ * @param {object} invoiceData - Invoice data / request body
+ * @returns {boolean}
+ */
+export function isDuplicateOverride(invoiceData = {}) {
+  return invoiceData.ignorar_duplicidade === true || invoiceData.ignorar_duplicidade === 'true';
+}
+
+/**
+ * Find recent invoices that look like the invoice about to be issued
+ *
+ * @param {object} invoiceData - Invoice data (cliente_documento, cliente_nome, descricao_servico, valor)
+ * @param {string} companyId - Company ID
+ * @param {object} [options]
+ * @param {number} [options.windowDays] - Look-back window (default: DUPLICATE_WINDOW_DAYS)
+ * @returns {Promise<object[]>} Suspected duplicates (snake_case, most recent first)
+ */
+export async function findDuplicateCandidates(invoiceData, companyId, { windowDays = DUPLICATE_WINDOW_DAYS } = {}) {
+  const valor = round2(invoiceData.valor);
+  if (!(valor > 0)) return [];
+
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const recent = await prisma.invoice.findMany({
+    where: {
+      companyId,
+      valor,
+      status: { notIn: IGNORED_STATUSES },
+      createdAt: { gte: since }
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+
+  return recent
+    .filter(invoice => isSameClient(invoiceData, invoice))
+    .map(invoice => ({
+      invoice,
+      similarity: descriptionSimilarity(invoiceData.descricao_servico, invoice.descricaoServico)
+    }))
+    .filter(({ similarity }) => similarity >= DESCRIPTION_SIMILARITY_THRESHOLD)
+    .slice(0, MAX_SUSPECTS)
+    .map(({ invoice, similarity }) => ({
+      id: invoice.id,
+      numero: invoice.numero,
+      status: invoice.status,
+      cliente_nome: invoice.clienteNome,
+      cliente_documento: invoice.clienteDocumento,
+      descricao_servico: invoice.descricaoServico,
+      valor: parseFloat(invoice.valor),
+      data_emissao: invoice.dataEmissao || invoice.createdAt,
+      similaridade: Math.round(similarity * 100)
+    }));
+}
+
+/**
+ * Block the emission of a suspected duplicate unless explicitly overridden
+ *
+ * @param {object} invoiceData - Invoice data (may carry ignorar_duplicidade)
+ * @param {string} companyId - Company ID
+ * @throws {AppError} 409 POSSIBLE_DUPLICATE_INVOICE with data.duplicates
+ */
+export async function assertNoDuplicateInvoice(invoiceData, companyId) {
+  if (isDuplicateOverride(invoiceData)) return;
+
+  const duplicates = await findDuplicateCandidates(invoiceData, companyId);
+  if (duplicates.length === 0) return;
+
+  const list = duplicates
+    .map(d => `• NFS-e ${d.numero || '(sem número)'} de ${new Date(d.data_emissao).toLocaleDateString('pt-BR')} - R$ ${d.valor.toFixed(2)} - ${d.descricao_servico}`)
+    .join('\n');
+
+  throw new AppError(
+    `Possível nota duplicada: já existe nota recente para ${invoiceData.cliente_nome || 'este cliente'} com o mesmo valor e descrição semelhante.\n\n${list}\n\nSe a emissão for intencional, confirme novamente para emitir mesmo assim.`,
+    409,
+    'POSSIBLE_DUPLICATE_INVOICE',
+    { duplicates, windowDays: DUPLICATE_WINDOW_DAYS }
+  );
+}
@@ -5,14 +5,18 @@
  * - User registration
  * - Payment confirmation
  * - Invoice issued/rejected
+ * - Authorized NFS-e (PDF + XML) delivered to the client
  * - Subscription status changes
  * - Password reset
  * 
+ * Emails sent to a company's clients carry the company branding (logo, colors, footer and contact).
+ *
  * Supports both Resend API (preferred) and SMTP via Nodemailer
  */
 
 import nodemailer from 'nodemailer';
 import { Resend } from 'resend';
+import { getCompanyBranding } from './companyBrandingService.js';
 
 // Email configuration from environment variables
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
@@ -73,8 +77,11 @@ function getTransporter() {
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML body
  * @param {string} [options.text] - Plain text body
+ * @param {Array<{filename: string, content: Buffer, contentId?: string}>} [options.attachments] - File attachments
+ *   (contentId makes the attachment an inline image referenced as cid:<contentId>)
+ * @param {string} [options.replyTo] - Reply-To address
  */
-export async function sendEmail({ to, subject, html, text }) {
+export async function sendEmail({ to, subject, html, text, attachments, replyTo }) {
   if (!isEmailConfigured()) {
     console.log('[Email] Email service not configured, skipping:', subject);
     return { success: false, reason: 'Email service not configured' };
@@ -90,7 +97,9 @@ export async function sendEmail({ to, subject, html, text }) {
         to: Array.isArray(to) ? to : [to],
         subject,
         html,
-        text: plainText
+        text: plainText,
+        ...(attachments?.length ? { attachments } : {}),
+        ...(replyTo ? { replyTo } : {})
       });
 
       if (error) {
@@ -114,7 +123,11 @@ export async function sendEmail({ to, subject, html, text }) {
       to,
       subject,
       html,
-      text: plainText
+      text: plainText,
+      ...(attachments?.length ? {
+        attachments: attachments.map(({ contentId, ...attachment }) => (contentId ? { ...attachment, cid: contentId } : attachment))
+      } : {}),
+      ...(replyTo ? { replyTo } : {})
     });
 
     console.log('[Email] Sent successfully via SMTP:', { to, subject, messageId: result.messageId });
@@ -125,10 +138,61 @@ export async function sendEmail({ to, subject, html, text }) {
   }
 }
 
+const BRAND_LOGO_CID = 'company-logo';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Inline logo attachment of a branded client email
+ */
+function brandLogoAttachments(branding) {
+  if (!branding?.logo) return [];
+  return [{
+    filename: branding.logoMimeType === 'image/png' ? 'logo.png' : 'logo.jpg',
+    content: branding.logo,
+    contentId: BRAND_LOGO_CID
+  }];
+}
+
+/**
+ * Header and footer of an email sent on behalf of a company (companyBrandingService branding)
+ */
+function brandedEmailParts(branding) {
+  const name = escapeHtml(branding.name);
+  const header = branding.logo
+    ? `<img src="cid:${BRAND_LOGO_CID}" alt="${name}" style="max-height: 60px; max-width: 220px;">`
+    : `<div class="logo">${name}</div>`;
+  const contact = branding.contactLines.map(escapeHtml).join('<br>');
+
+  return {
+    styles: `
+    .header { background: ${branding.secondaryColor}; border-radius: 8px; border-bottom: none; }
+    .logo { background: none; color: ${branding.headerTextColor}; -webkit-text-fill-color: ${branding.headerTextColor}; }
+    .button { background: ${branding.primaryColor}; color: ${branding.primaryTextColor}; }
+    .highlight { border-left-color: ${branding.primaryColor}; }`,
+    header,
+    footer: `
+      ${contact ? `<p style="color: #ccc;">${contact}</p>` : ''}
+      ${branding.footerText ? `<p>${escapeHtml(branding.footerText)}</p>` : ''}
+      <p>Enviado por ${name} através da MAY - Assistente Fiscal IA.</p>`
+  };
+}
+
 /**
  * Email template wrapper
+ *
+ * @param {string} content - Body HTML
+ * @param {string} [title] - Document title
+ * @param {object} [branding] - Company branding for emails sent to clients (default MAY layout when not customized)
  */
-function emailTemplate(content, title = 'MAY') {
+function emailTemplate(content, title = 'MAY', branding = null) {
+  const brand = branding?.customized ? brandedEmailParts(branding) : null;
   return `
 <!DOCTYPE html>
 <html>
@@ -150,21 +214,21 @@ function emailTemplate(content, title = 'MAY') {
     .details { background: rgba(255,255,255,0.05); padding: 15px; border-radius: 8px; margin: 15px 0; }
     .details-row { display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.05); }
     .details-label { color: #888; }
-    .details-value { font-weight: 600; }
+    .details-value { font-weight: 600; }${brand ? brand.styles : ''}
   </style>
 </head>
 <body>
   <div class="container">
     <div class="header">
-      <div class="logo">🚀 MAY</div>
-      <p style="color: #888; margin: 5px 0;">Assistente Fiscal IA</p>
+      ${brand ? brand.header : `<div class="logo">🚀 MAY</div>
+      <p style="color: #888; margin: 5px 0;">Assistente Fiscal IA</p>`}
     </div>
     <div class="content">
       ${content}
     </div>
     <div class="footer">
-      <p>Este é um email automático da MAY.</p>
-      <p>© ${new Date().getFullYear()} MAY - Todos os direitos reservados.</p>
+      ${brand ? brand.footer : `<p>Este é um email automático da MAY.</p>
+      <p>© ${new Date().getFullYear()} MAY - Todos os direitos reservados.</p>`}
     </div>
   </div>
 </body>
@@ -298,6 +362,186 @@ export async function sendInvoiceIssuedEmail(user, invoice, company) {
   });
 }
 
+/**
+ * Send the authorized NFS-e to the client (tomador), with PDF and XML attached
+ * @param {Object} options
+ * @param {string} options.to - Client email
+ * @param {string} options.subject - Rendered subject
+ * @param {string} options.message - Rendered message (plain text, line breaks preserved)
+ * @param {Object} options.invoice - Invoice record
+ * @param {Object} options.company - Issuing company
+ * @param {Array<{filename: string, content: Buffer}>} options.attachments - PDF and XML
+ * @param {Object} [options.pix] - PIX charge ({ copia_e_cola, valor }) when the company has a PIX key
+ */
+export async function sendInvoiceToClientEmail({ to, subject, message, invoice, company, attachments, pix }) {
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  const companyName = company?.nomeFantasia || company?.razaoSocial || 'Prestador';
+
+  const content = `
+    <h2>Nota Fiscal de Serviço 📄</h2>
+    <p>${escapeHtml(message).replace(/\n/g, '<br>')}</p>
+    
+    <div class="details">
+      <div class="details-row">
+        <span class="details-label">Número:</span>
+        <span class="details-value">${invoice.numero || '---'}</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">Prestador:</span>
+        <span class="details-value">${escapeHtml(companyName)}</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">Valor:</span>
+        <span class="details-value">R$ ${parseFloat(invoice.valor).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</span>
+      </div>
+      <div class="details-row" style="border-bottom: none;">
+        <span class="details-label">Código de Verificação:</span>
+        <span class="details-value">${invoice.codigoVerificacao || '---'}</span>
+      </div>
+    </div>
+    ${pixPaymentBlock(pix)}
+    <p style="color: #888;">O PDF e o XML da nota fiscal estão anexados a este email.</p>
+  `;
+
+  const branding = await getCompanyBranding(company);
+
+  return sendEmail({
+    to,
+    subject,
+    html: emailTemplate(content, 'Nota Fiscal de Serviço', branding),
+    attachments: [...(attachments || []), ...brandLogoAttachments(branding)],
+    replyTo: company?.email || undefined
+  });
+}
+
+/**
+ * PIX "copia e cola" block for client emails (the QR code is in the PDF)
+ */
+function pixPaymentBlock(pix) {
+  if (!pix?.copia_e_cola) return '';
+  return `
+    <div class="details">
+      <p style="margin-top: 0;"><strong>Pague com PIX</strong> (R$ ${Number(pix.valor).toLocaleString('pt-BR', { minimumFractionDigits: 2 })})</p>
+      <p style="color: #888;">Copie o código abaixo e cole na opção "PIX copia e cola" do app do seu banco:</p>
+      <p style="font-family: monospace; font-size: 12px; word-break: break-all;">${pix.copia_e_cola}</p>
+    </div>
+  `;
+}
+
+/**
+ * Send an overdue payment reminder to the client (tomador) of an invoice
+ *
+ * @param {Object} options
+ * @param {string} options.to - Client email
+ * @param {Object} options.invoice - Invoice record
+ * @param {Object} options.company - Issuing company
+ * @param {number} options.saldo - Open balance
+ * @param {Date} options.dueDate - Due date
+ * @param {Object} [options.pix] - PIX charge for the open balance
+ */
+export async function sendOverdueReminderEmail({ to, invoice, company, saldo, dueDate, pix }) {
+  const companyName = company?.nomeFantasia || company?.razaoSocial || 'Prestador';
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  const content = `
+    <h2>Lembrete de Pagamento 🔔</h2>
+    <p>Olá <strong>${escapeHtml(invoice.clienteNome)}</strong>,</p>
+    <p>Consta em aberto o pagamento referente à nota fiscal abaixo:</p>
+    
+    <div class="details">
+      <div class="details-row">
+        <span class="details-label">Número:</span>
+        <span class="details-value">${invoice.numero || '---'}</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">Prestador:</span>
+        <span class="details-value">${escapeHtml(companyName)}</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">Vencimento:</span>
+        <span class="details-value">${new Date(dueDate).toLocaleDateString('pt-BR')}</span>
+      </div>
+      <div class="details-row" style="border-bottom: none;">
+        <span class="details-label">Saldo em aberto:</span>
+        <span class="details-value">R$ ${Number(saldo).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</span>
+      </div>
+    </div>
+    ${pixPaymentBlock(pix)}
+    <p style="color: #888;">Caso o pagamento já tenha sido feito, desconsidere esta mensagem.</p>
+  `;
+
+  const branding = await getCompanyBranding(company);
+
+  return sendEmail({
+    to,
+    subject: `Lembrete de pagamento - Nota Fiscal nº ${invoice.numero || '---'} - ${companyName}`,
+    html: emailTemplate(content, 'Lembrete de Pagamento', branding),
+    attachments: brandLogoAttachments(branding),
+    replyTo: company?.email || undefined
+  });
+}
+
+/**
+ * Send the monthly fiscal package (ZIP with XMLs, PDFs and summary) to the company's accountant
+ *
+ * @param {Object} options
+ * @param {string} options.to - Accountant email
+ * @param {Object} options.company - Company
+ * @param {string} options.competencia - 'YYYY-MM'
+ * @param {Object} options.summary - Package summary (fiscalPackageService.buildPackageSummary)
+ * @param {Object} options.attachment - ZIP file ({ filename, content })
+ */
+export async function sendFiscalPackageEmail({ to, company, competencia, summary, attachment }) {
+  const companyName = company?.razaoSocial || company?.nomeFantasia || 'Empresa';
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+  const [year, month] = competencia.split('-');
+  const authorized = summary.totais_por_status.autorizada || { quantidade: 0, valor: 0, valor_iss: 0 };
+  const cancelled = (summary.totais_por_status.cancelada?.quantidade || 0) + (summary.totais_por_status.substituida?.quantidade || 0);
+  const formatAmount = (value) => `R$ ${Number(value).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+
+  const content = `
+    <h2>Pacote Fiscal ${month}/${year} 📦</h2>
+    <p>Segue em anexo o pacote fiscal de <strong>${escapeHtml(companyName)}</strong> (CNPJ ${company?.cnpj || '---'}) referente à competência ${month}/${year}, com o XML e o PDF de cada nota e o resumo do mês (CSV e JSON).</p>
+    
+    <div class="details">
+      <div class="details-row">
+        <span class="details-label">Notas autorizadas:</span>
+        <span class="details-value">${authorized.quantidade} (${formatAmount(authorized.valor)})</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">ISS das notas autorizadas:</span>
+        <span class="details-value">${formatAmount(authorized.valor_iss)}</span>
+      </div>
+      <div class="details-row">
+        <span class="details-label">ISS retido pelo tomador:</span>
+        <span class="details-value">${formatAmount(summary.iss_retido.valor_iss)}</span>
+      </div>
+      <div class="details-row" style="border-bottom: none;">
+        <span class="details-label">Notas canceladas:</span>
+        <span class="details-value">${cancelled}</span>
+      </div>
+    </div>
+    ${summary.arquivos_ausentes.length > 0 ? `<p style="color: #888;">${summary.arquivos_ausentes.length} arquivo(s) não puderam ser incluídos e estão listados no resumo.</p>` : ''}
+  `;
+
+  return sendEmail({
+    to,
+    subject: `Pacote fiscal ${month}/${year} - ${companyName}`,
+    html: emailTemplate(content, 'Pacote Fiscal Mensal'),
+    attachments: [attachment],
+    replyTo: company?.email || undefined
+  });
+}
+
 /**
  * Send invoice rejected email
  */
@@ -499,6 +743,9 @@ export default {
   sendWelcomeEmail,
   sendPaymentConfirmationEmail,
   sendInvoiceIssuedEmail,
+  sendInvoiceToClientEmail,
+  sendOverdueReminderEmail,
+  sendFiscalPackageEmail,
   sendInvoiceRejectedEmail,
   sendSubscriptionStatusEmail,
   sendPasswordResetEmail,
@@ -161,6 +161,12 @@ const ERROR_KNOWLEDGE_BASE = {
     explanation: 'Alguns dados não passaram na validação da API.',
     action: 'Verifique se todos os campos obrigatórios estão preenchidos corretamente.'
   },
+  'DPS_SCHEMA_INVALID': {
+    category: 'validation',
+    message: 'Dados da nota fora do leiaute nacional',
+    explanation: 'A DPS montada com os dados da nota não segue o leiaute do Sistema Nacional NFS-e (campo obrigatório ausente, formato ou tamanho inválido). A nota não foi enviada à prefeitura.',
+    action: 'Corrija os campos indicados na nota ou no cadastro da empresa e tente emitir novamente.'
+  },
   'INVALID_NDPS': {
     category: 'validation',
     message: 'Número da DPS (nDPS) inválido',
@@ -289,6 +295,14 @@ const ERROR_KNOWLEDGE_BASE = {
     explanation: 'Você tem pagamentos pendentes de notas fiscais anteriores.',
     action: 'Complete os pagamentos pendentes antes de emitir novas notas fiscais.'
   },
+
+  // Duplicate invoice errors
+  'POSSIBLE_DUPLICATE_INVOICE': {
+    category: 'validation',
+    message: 'Possível nota fiscal duplicada',
+    explanation: 'Já existe uma nota recente para este cliente com o mesmo valor e descrição semelhante.',
+    action: 'Confira as notas listadas. Se a nova emissão for intencional, confirme para emitir mesmo assim.'
+  },
   
   // System errors
   'municipality_offline': {
@@ -0,0 +1,240 @@
+/**
+ * Federal Retentions Service
+ * IRRF, PIS, COFINS, CSLL and INSS withheld by the tomador on issued invoices
+ *
+ * Amounts travel in invoice data as flat snake_case fields (valor_irrf, valor_pis, ...),
+ * like aliquota_iss / iss_retido. Client retention profiles store rates (aliquota_irrf, ...)
+ * that are converted to amounts when an invoice is prepared.
+ */
+
+import { getDeductionAmounts, calculateIssAmount } from './invoiceDeductions.js';
+
+export const FEDERAL_RETENTION_TYPES = ['irrf', 'pis', 'cofins', 'csll', 'inss'];
+
+export const FEDERAL_RETENTION_LABELS = {
+  irrf: 'IRRF',
+  pis: 'PIS',
+  cofins: 'COFINS',
+  csll: 'CSLL',
+  inss: 'INSS'
+};
+
+// Prisma field names on Invoice (amounts) and Client (rates)
+const INVOICE_FIELDS = {
+  irrf: 'valorIrrf',
+  pis: 'valorPis',
+  cofins: 'valorCofins',
+  csll: 'valorCsll',
+  inss: 'valorInss'
+};
+
+const CLIENT_FIELDS = {
+  irrf: 'aliquotaIrrf',
+  pis: 'aliquotaPis',
+  cofins: 'aliquotaCofins',
+  csll: 'aliquotaCsll',
+  inss: 'aliquotaInss'
+};
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Extract retention amounts from invoice data (snake_case)
+ *
+ * @param {object} invoiceData - Invoice data with valor_irrf, valor_pis, ...
+ * @returns {object} { irrf, pis, cofins, csll, inss } rounded to cents
+ */
+export function getRetentionAmounts(invoiceData = {}) {
+  const amounts = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    amounts[type] = round2(invoiceData[`valor_${type}`]);
+  }
+  return amounts;
+}
+
+/**
+ * Extract retention amounts from a Prisma Invoice record
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {object} { irrf, pis, cofins, csll, inss }
+ */
+export function getInvoiceRetentionAmounts(invoice = {}) {
+  const amounts = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    amounts[type] = round2(invoice[INVOICE_FIELDS[type]] ? parseFloat(invoice[INVOICE_FIELDS[type]]) : 0);
+  }
+  return amounts;
+}
+
+/**
+ * Sum of federal retentions
+ *
+ * @param {object} amounts - { irrf, pis, cofins, csll, inss }
+ * @returns {number} Total withheld
+ */
+export function getTotalRetentions(amounts) {
+  return round2(FEDERAL_RETENTION_TYPES.reduce((sum, type) => sum + (amounts[type] || 0), 0));
+}
+
+/**
+ * Net amount received by the prestador (vLiq)
+ * vLiq = vServ - discounts - ISS (only when retained by the tomador) - federal retentions
+ * The retained ISS is computed over the deducted base (see invoiceDeductions).
+ *
+ * @param {object} invoiceData - Invoice data (valor, aliquota_iss, iss_retido, valor_irrf, valor_desconto_*, ...)
+ * @returns {number} Net amount
+ */
+export function calculateNetAmount(invoiceData) {
+  const valor = round2(invoiceData.valor);
+  const { descontoIncondicionado, descontoCondicionado } = getDeductionAmounts(invoiceData);
+  const valorIss = invoiceData.iss_retido
+    ? calculateIssAmount({ ...invoiceData, aliquota_iss: invoiceData.aliquota_iss ?? 0 })
+    : 0;
+  return round2(
+    valor - descontoIncondicionado - descontoCondicionado - valorIss - getTotalRetentions(getRetentionAmounts(invoiceData))
+  );
+}
+
+/**
+ * Validate retention amounts against the service value
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateRetentions(invoiceData) {
+  const errors = [];
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    const raw = invoiceData[`valor_${type}`];
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (isNaN(Number(raw)) || Number(raw) < 0) {
+      errors.push(`Valor de ${FEDERAL_RETENTION_LABELS[type]} retido inválido`);
+    }
+  }
+  if (errors.length === 0 && calculateNetAmount(invoiceData) < 0) {
+    errors.push('O total de retenções não pode ser maior que o valor do serviço');
+  }
+  return errors;
+}
+
+/**
+ * Prisma data for the retention columns of an Invoice
+ *
+ * @param {object} invoiceData - Invoice data (snake_case)
+ * @returns {object} { valorIrrf, valorPis, valorCofins, valorCsll, valorInss, valorLiquido }
+ */
+export function buildRetentionInvoiceFields(invoiceData) {
+  const amounts = getRetentionAmounts(invoiceData);
+  const fields = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    fields[INVOICE_FIELDS[type]] = amounts[type];
+  }
+  fields.valorLiquido = calculateNetAmount(invoiceData);
+  return fields;
+}
+
+/**
+ * Build the DPS tribFed group (NFS-e Nacional)
+ * Returns null when nothing is withheld, so the group is omitted from the payload.
+ *
+ * @param {object} invoiceData - Invoice data (valor, valor_irrf, ...)
+ * @returns {object|null} tribFed object
+ */
+export function buildTribFed(invoiceData) {
+  const amounts = getRetentionAmounts(invoiceData);
+  if (getTotalRetentions(amounts) === 0) {
+    return null;
+  }
+
+  // Unconditional discounts are excluded from the PIS/COFINS base
+  const baseCalculo = round2(round2(invoiceData.valor) - getDeductionAmounts(invoiceData).descontoIncondicionado);
+  const tribFed = {};
+
+  if (amounts.pis > 0 || amounts.cofins > 0) {
+    tribFed.piscofins = {
+      CST: '01', // Operação tributável com alíquota básica
+      vBCPisCofins: baseCalculo,
+      pAliqPis: round2((amounts.pis / baseCalculo) * 100),
+      pAliqCofins: round2((amounts.cofins / baseCalculo) * 100),
+      vPis: amounts.pis,
+      vCofins: amounts.cofins,
+      tpRetPisCofins: 1 // 1 = retido
+    };
+  }
+  if (amounts.inss > 0) tribFed.vRetCP = amounts.inss;
+  if (amounts.irrf > 0) tribFed.vRetIRRF = amounts.irrf;
+  if (amounts.csll > 0) tribFed.vRetCSLL = amounts.csll;
+
+  return tribFed;
+}
+
+/**
+ * Retention amounts pre-filled from a client's default profile
+ *
+ * @param {object} client - Client record (aliquotaIrrf, aliquotaPis, ...)
+ * @param {number} valor - Service value
+ * @returns {object} { valor_irrf, valor_pis, ... } only for rates set on the client
+ */
+export function getClientRetentionDefaults(client, valor) {
+  const defaults = {};
+  if (!client || !valor) return defaults;
+
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    const rate = client[CLIENT_FIELDS[type]];
+    if (rate !== null && rate !== undefined && parseFloat(rate) > 0) {
+      defaults[`valor_${type}`] = round2(parseFloat(valor) * (parseFloat(rate) / 100));
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Prisma data for a client's retention profile from snake_case input
+ * Only fields present in the input are returned (partial updates).
+ *
+ * @param {object} input - { aliquota_irrf, aliquota_pis, ... }
+ * @returns {object} { aliquotaIrrf, aliquotaPis, ... }
+ */
+export function buildClientRetentionFields(input = {}) {
+  const fields = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    const key = `aliquota_${type}`;
+    if (input[key] === undefined) continue;
+    fields[CLIENT_FIELDS[type]] = input[key] === null || input[key] === '' ? null : round2(input[key]);
+  }
+  return fields;
+}
+
+/**
+ * Snake_case retention profile of a client (for API responses)
+ *
+ * @param {object} client - Client record
+ * @returns {object} { aliquota_irrf, aliquota_pis, ... }
+ */
+export function transformClientRetentions(client) {
+  const profile = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    const rate = client[CLIENT_FIELDS[type]];
+    profile[`aliquota_${type}`] = rate !== null && rate !== undefined ? parseFloat(rate) : null;
+  }
+  return profile;
+}
+
+/**
+ * Snake_case retention amounts of an invoice (for API responses)
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {object} { valor_irrf, valor_pis, valor_cofins, valor_csll, valor_inss, valor_liquido }
+ */
+export function transformInvoiceRetentions(invoice) {
+  const amounts = getInvoiceRetentionAmounts(invoice);
+  const result = {};
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    result[`valor_${type}`] = amounts[type];
+  }
+  result.valor_liquido = invoice.valorLiquido !== null && invoice.valorLiquido !== undefined
+    ? parseFloat(invoice.valorLiquido)
+    : parseFloat(invoice.valor);
+  return result;
+}
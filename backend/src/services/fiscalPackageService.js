@@ -0,0 +1,402 @@
+/**
+ * Fiscal Package Service
+ * Monthly package for the accountant: a ZIP with the XML and PDF of every authorized and
+ * cancelled invoice of a competência, plus a summary (CSV and JSON)
+ *
+ * - Competência is the month of the service (data_prestacao = dCompet of the DPS), falling back
+ *   to the emission date for invoices without it
+ * - Substituted invoices are included with the cancelled ones (they were cancelled by the replacement)
+ * - Summary: totals by status, ISS withheld by the tomador and totals by service code
+ * - Optional: email the previous month's package to the company's accountant on the 1st
+ */
+
+import archiver from 'archiver';
+import { PassThrough } from 'stream';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { isEmailConfigured, sendFiscalPackageEmail } from './email.js';
+import { buildInvoiceAttachments } from './invoiceDeliveryService.js';
+
+export const PACKAGE_STATUSES = ['autorizada', 'cancelada', 'substituida'];
+
+const PACKAGE_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let isProcessingPackages = false;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvAmount(value) {
+  return round2(value).toFixed(2).replace('.', ',');
+}
+
+// @db.Date columns are stored at UTC midnight
+function formatDateColumn(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Parse a competência ('YYYY-MM')
+ *
+ * @param {string} value - Competência
+ * @returns {{competencia: string, start: Date, end: Date}} start inclusive, end exclusive (UTC, as @db.Date)
+ */
+export function parseCompetencia(value) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(value || '').trim());
+  const month = match ? parseInt(match[2], 10) : 0;
+  if (!match || month < 1 || month > 12) {
+    throw new AppError('Competência inválida. Use o formato AAAA-MM', 400, 'INVALID_COMPETENCIA');
+  }
+  const year = parseInt(match[1], 10);
+
+  return {
+    competencia: `${match[1]}-${match[2]}`,
+    start: new Date(Date.UTC(year, month - 1, 1)),
+    end: new Date(Date.UTC(year, month, 1))
+  };
+}
+
+/**
+ * Competência of the month before a date ('YYYY-MM')
+ *
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function previousCompetencia(date = new Date()) {
+  const previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build the package summary
+ *
+ * @param {object} company - Company (razaoSocial, cnpj)
+ * @param {string} competencia - 'YYYY-MM'
+ * @param {object[]} invoices - Invoices of the competência
+ * @param {string[]} [missingFiles] - Files that could not be added to the package
+ * @returns {object} Summary
+ */
+export function buildPackageSummary(company, competencia, invoices, missingFiles = []) {
+  const byStatus = {};
+  const byServiceCode = new Map();
+  const issRetido = { quantidade: 0, valor_iss: 0 };
+
+  for (const invoice of invoices) {
+    const valor = Number(invoice.valor) || 0;
+    const valorIss = Number(invoice.valorIss) || 0;
+
+    byStatus[invoice.status] = byStatus[invoice.status] || { quantidade: 0, valor: 0, valor_iss: 0 };
+    byStatus[invoice.status].quantidade++;
+    byStatus[invoice.status].valor += valor;
+    byStatus[invoice.status].valor_iss += valorIss;
+
+    // Cancelled notes have no tax effect: ISS and service code totals cover authorized ones only
+    if (invoice.status !== 'autorizada') continue;
+
+    if (invoice.issRetido) {
+      issRetido.quantidade++;
+      issRetido.valor_iss += valorIss;
+    }
+
+    const code = invoice.codigoServico || 'sem_codigo';
+    const entry = byServiceCode.get(code) || { codigo_servico: code, quantidade: 0, valor: 0, valor_iss: 0 };
+    entry.quantidade++;
+    entry.valor += valor;
+    entry.valor_iss += valorIss;
+    byServiceCode.set(code, entry);
+  }
+
+  for (const totals of Object.values(byStatus)) {
+    totals.valor = round2(totals.valor);
+    totals.valor_iss = round2(totals.valor_iss);
+  }
+
+  return {
+    empresa: { razao_social: company.razaoSocial, cnpj: company.cnpj },
+    competencia,
+    gerado_em: new Date().toISOString(),
+    quantidade_notas: invoices.length,
+    totais_por_status: byStatus,
+    iss_retido: { quantidade: issRetido.quantidade, valor_iss: round2(issRetido.valor_iss) },
+    totais_por_codigo_servico: [...byServiceCode.values()]
+      .map(entry => ({ ...entry, valor: round2(entry.valor), valor_iss: round2(entry.valor_iss) }))
+      .sort((a, b) => a.codigo_servico.localeCompare(b.codigo_servico)),
+    notas: invoices.map(invoice => ({
+      numero: invoice.numero,
+      status: invoice.status,
+      data_emissao: formatDateColumn(invoice.dataEmissao),
+      data_competencia: formatDateColumn(invoice.dataPrestacao || invoice.dataEmissao),
+      cliente_nome: invoice.clienteNome,
+      cliente_documento: invoice.clienteDocumento,
+      codigo_servico: invoice.codigoServico,
+      valor: round2(invoice.valor),
+      valor_iss: round2(invoice.valorIss),
+      iss_retido: Boolean(invoice.issRetido),
+      codigo_verificacao: invoice.codigoVerificacao
+    })),
+    arquivos_ausentes: missingFiles
+  };
+}
+
+/**
+ * Summary as CSV (';' separated for Excel pt-BR): one line per invoice, then the totals
+ *
+ * @param {object} summary - From buildPackageSummary
+ * @returns {string} CSV content
+ */
+export function buildSummaryCsv(summary) {
+  const lines = [
+    ['numero', 'status', 'data_emissao', 'data_competencia', 'cliente', 'documento', 'codigo_servico', 'valor', 'valor_iss', 'iss_retido'].join(';'),
+    ...summary.notas.map(nota => [
+      nota.numero,
+      nota.status,
+      nota.data_emissao,
+      nota.data_competencia,
+      nota.cliente_nome,
+      nota.cliente_documento,
+      nota.codigo_servico,
+      formatCsvAmount(nota.valor),
+      formatCsvAmount(nota.valor_iss),
+      nota.iss_retido ? 'sim' : 'não'
+    ].map(escapeCsv).join(';')),
+    '',
+    ['status', 'quantidade', 'valor', 'valor_iss'].join(';'),
+    ...Object.entries(summary.totais_por_status).map(([status, totals]) =>
+      [status, totals.quantidade, formatCsvAmount(totals.valor), formatCsvAmount(totals.valor_iss)].map(escapeCsv).join(';')),
+    '',
+    ['codigo_servico', 'quantidade', 'valor', 'valor_iss'].join(';'),
+    ...summary.totais_por_codigo_servico.map(entry =>
+      [entry.codigo_servico, entry.quantidade, formatCsvAmount(entry.valor), formatCsvAmount(entry.valor_iss)].map(escapeCsv).join(';')),
+    '',
+    ['iss_retido', 'quantidade', 'valor_iss'].join(';'),
+    ['total', summary.iss_retido.quantidade, formatCsvAmount(summary.iss_retido.valor_iss)].join(';')
+  ];
+
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+/**
+ * Invoices of a company in a competência that go into the package
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} competencia - 'YYYY-MM'
+ * @returns {Promise<object[]>}
+ */
+export async function findPackageInvoices(companyId, competencia) {
+  const { start, end } = parseCompetencia(competencia);
+
+  return prisma.invoice.findMany({
+    where: {
+      companyId,
+      status: { in: PACKAGE_STATUSES },
+      OR: [
+        { dataPrestacao: { gte: start, lt: end } },
+        { dataPrestacao: null, dataEmissao: { gte: start, lt: end } }
+      ]
+    },
+    orderBy: [{ dataEmissao: 'asc' }, { createdAt: 'asc' }]
+  });
+}
+
+export function packageFilename(company, competencia) {
+  return `pacote-fiscal-${company.cnpj}-${competencia}.zip`;
+}
+
+/**
+ * Write the package of a competência as a ZIP into a stream
+ * XML and PDF come from the same source as the invoice downloads (fiscal provider, PDF generated
+ * locally when unavailable); files that cannot be fetched are listed in the summary.
+ *
+ * @param {import('stream').Writable} output - Destination (e.g. the HTTP response)
+ * @param {object} company - Company record
+ * @param {string} competencia - 'YYYY-MM'
+ * @returns {Promise<object>} Summary
+ */
+export async function writeFiscalPackage(output, company, competencia) {
+  const invoices = await findPackageInvoices(company.id, competencia);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const missingFiles = [];
+  for (const invoice of invoices) {
+    const baseName = `nfse-${invoice.numero || invoice.id}`;
+    try {
+      const attachments = await buildInvoiceAttachments(invoice, company);
+      for (const { filename, content } of attachments) {
+        archive.append(content, { name: `${filename.endsWith('.xml') ? 'xml' : 'pdf'}/${filename}` });
+      }
+      if (!attachments.some(({ filename }) => filename.endsWith('.xml'))) {
+        missingFiles.push(`xml/${baseName}.xml`);
+      }
+    } catch (error) {
+      console.error(`[FiscalPackage] Failed to add files of invoice ${invoice.id}:`, error.message);
+      missingFiles.push(`pdf/${baseName}.pdf`, `xml/${baseName}.xml`);
+    }
+  }
+
+  const summary = buildPackageSummary(company, competencia, invoices, missingFiles);
+  archive.append(JSON.stringify(summary, null, 2), { name: 'resumo.json' });
+  archive.append(buildSummaryCsv(summary), { name: 'resumo.csv' });
+
+  await archive.finalize();
+  await finished;
+
+  return summary;
+}
+
+/**
+ * Build the package of a competência in memory (for email)
+ *
+ * @param {object} company - Company record
+ * @param {string} competencia - 'YYYY-MM'
+ * @returns {Promise<{buffer: Buffer, summary: object}>}
+ */
+export async function buildFiscalPackageBuffer(company, competencia) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const summary = await writeFiscalPackage(output, company, competencia);
+  return { buffer: Buffer.concat(chunks), summary };
+}
+
+/**
+ * Email the package of a competência to the company's accountant
+ *
+ * @param {object} company - Company record (with contadorEmail)
+ * @param {string} competencia - 'YYYY-MM'
+ * @returns {Promise<object>} Summary of the package sent
+ */
+export async function sendFiscalPackageToAccountant(company, competencia) {
+  if (!company.contadorEmail) {
+    throw new AppError('Cadastre o email do contador para enviar o pacote', 400, 'ACCOUNTANT_EMAIL_MISSING');
+  }
+  if (!isEmailConfigured()) {
+    throw new AppError('Envio de email não configurado no servidor', 503, 'EMAIL_NOT_CONFIGURED');
+  }
+
+  const { buffer, summary } = await buildFiscalPackageBuffer(company, competencia);
+  const result = await sendFiscalPackageEmail({
+    to: company.contadorEmail,
+    company,
+    competencia,
+    summary,
+    attachment: { filename: packageFilename(company, competencia), content: buffer }
+  });
+
+  if (!result?.success) {
+    throw new AppError(`Falha ao enviar o pacote: ${result?.error || 'erro desconhecido'}`, 502, 'EMAIL_SEND_FAILED');
+  }
+  return summary;
+}
+
+/**
+ * On the 1st of each month, email the previous month's package to the accountant of every
+ * company with the option enabled. Each competência is sent once (ultimoPacoteCompetencia).
+ *
+ * @param {Date} [today]
+ * @returns {Promise<object>} { checked, sent, failed }
+ */
+export async function processMonthlyPackages(today = new Date()) {
+  if (isProcessingPackages || today.getDate() !== 1 || !isEmailConfigured()) {
+    return { checked: 0, sent: 0, failed: 0 };
+  }
+  isProcessingPackages = true;
+
+  try {
+    const competencia = previousCompetencia(today);
+    const results = { checked: 0, sent: 0, failed: 0 };
+
+    const companies = await prisma.company.findMany({
+      where: {
+        pacoteMensalAtivo: true,
+        contadorEmail: { not: null },
+        OR: [
+          { ultimoPacoteCompetencia: null },
+          { ultimoPacoteCompetencia: { not: competencia } }
+        ]
+      }
+    });
+
+    for (const company of companies) {
+      results.checked++;
+
+      // Claim the competência first so a concurrent run does not send it twice
+      const claimed = await prisma.company.updateMany({
+        where: { id: company.id, ultimoPacoteCompetencia: company.ultimoPacoteCompetencia },
+        data: { ultimoPacoteCompetencia: competencia }
+      });
+      if (claimed.count === 0) continue;
+
+      try {
+        await sendFiscalPackageToAccountant(company, competencia);
+        results.sent++;
+      } catch (error) {
+        console.error(`[FiscalPackage] Failed to send ${competencia} package of company ${company.id}:`, error.message);
+        results.failed++;
+        // Release the claim so the next cycle retries
+        await prisma.company.update({
+          where: { id: company.id },
+          data: { ultimoPacoteCompetencia: company.ultimoPacoteCompetencia }
+        });
+      }
+    }
+
+    if (results.checked > 0) {
+      console.log(`[FiscalPackage] Monthly packages ${competencia}: ${results.sent} sent, ${results.failed} failed`);
+    }
+    return results;
+  } finally {
+    isProcessingPackages = false;
+  }
+}
+
+/**
+ * Start the monthly package scheduler (checks hourly; sends on the 1st)
+ */
+export async function startMonthlyPackageScheduler() {
+  const processWithErrorHandling = async () => {
+    try {
+      await processMonthlyPackages();
+    } catch (error) {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[FiscalPackage] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[FiscalPackage] Scheduler error:', error);
+      }
+    }
+  };
+
+  await processWithErrorHandling();
+
+  setInterval(processWithErrorHandling, PACKAGE_CHECK_INTERVAL_MS);
+}
+
+export default {
+  PACKAGE_STATUSES,
+  parseCompetencia,
+  previousCompetencia,
+  buildPackageSummary,
+  buildSummaryCsv,
+  findPackageInvoices,
+  packageFilename,
+  writeFiscalPackage,
+  buildFiscalPackageBuffer,
+  sendFiscalPackageToAccountant,
+  processMonthlyPackages,
+  startMonthlyPackageScheduler
+};
@@ -0,0 +1,168 @@
+/**
+ * Fiscal Provider Service
+ * Selects the NFS-e provider used by a company
+ *
+ * Providers implement the same interface as the ACBr API module:
+ * - registerCompany, uploadCertificate, configureNfseForCertificate, configureMunicipalCredentials
+ * - checkConnection, testNfseEmissionCapability
+ * - emitNfse, substituteNfse, checkNfseStatus, cancelNfse, listAllNfse
+ * - downloadXml, downloadPdf (null when the provider has no document; the PDF is then generated locally)
+ *
+ * Selection: Company.fiscalProvider when set, else FISCAL_PROVIDER (default 'acbr').
+ * 'mock' runs fully local (see mockNfseProvider.js), for development, e2e tests and demos.
+ * In production it is refused unless ALLOW_MOCK_FISCAL_PROVIDER=true; its notes are saved with
+ * Invoice.simulada so they never count as revenue nor are emailed to clients.
+ */
+
+import {
+  isAcbrApiConfigured,
+  registerCompany,
+  uploadCertificate,
+  configureNfseForCertificate,
+  configureMunicipalCredentials,
+  checkConnection,
+  testNfseEmissionCapability,
+  emitNfse,
+  substituteNfse,
+  checkNfseStatus,
+  cancelNfse,
+  listAllNfse
+} from './acbrApi.js';
+import mockNfseProvider, { MOCK_ID_PREFIX } from './mockNfseProvider.js';
+
+/**
+ * Download a document from a provider URL
+ */
+async function fetchDocument(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch document: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+const acbrProvider = {
+  name: 'acbr',
+  label: 'ACBr API',
+  isConfigured: isAcbrApiConfigured,
+  registerCompany,
+  uploadCertificate,
+  configureNfseForCertificate,
+  configureMunicipalCredentials,
+  checkConnection,
+  testNfseEmissionCapability,
+  emitNfse,
+  substituteNfse,
+  checkNfseStatus,
+  cancelNfse,
+  listAllNfse,
+  async downloadXml(invoice) {
+    return invoice.xmlUrl ? fetchDocument(invoice.xmlUrl) : null;
+  },
+  async downloadPdf(invoice) {
+    return invoice.pdfUrl ? fetchDocument(invoice.pdfUrl) : null;
+  }
+};
+
+export const FISCAL_PROVIDERS = {
+  acbr: acbrProvider,
+  mock: mockNfseProvider
+};
+
+/**
+ * Whether a provider note is simulated (mock provider, or the ACBr sandbox fallback)
+ *
+ * @param {string} [nfseId] - Provider ID of the note (Invoice.acbrApiId)
+ * @returns {boolean}
+ */
+export function isSimulatedNfseId(nfseId) {
+  const id = String(nfseId || '');
+  return id.startsWith(MOCK_ID_PREFIX) || id.startsWith('SIM-');
+}
+
+/**
+ * Whether a provider can be selected in this environment (the mock needs an explicit opt-in in production)
+ *
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+export function isProviderAllowed(name) {
+  if (!FISCAL_PROVIDERS[name]) return false;
+  if (name !== 'mock') return true;
+  return process.env.NODE_ENV !== 'production' || process.env.ALLOW_MOCK_FISCAL_PROVIDER === 'true';
+}
+
+/**
+ * Provider used when the company has none set (FISCAL_PROVIDER, default 'acbr')
+ *
+ * @returns {string} Provider name
+ */
+export function getDefaultProviderName() {
+  const name = (process.env.FISCAL_PROVIDER || 'acbr').trim().toLowerCase();
+  if (!FISCAL_PROVIDERS[name]) {
+    console.warn(`[FiscalProvider] Unknown FISCAL_PROVIDER "${name}", using acbr`);
+    return 'acbr';
+  }
+  if (!isProviderAllowed(name)) {
+    console.warn(`[FiscalProvider] FISCAL_PROVIDER "${name}" is not allowed in production, using acbr`);
+    return 'acbr';
+  }
+  return name;
+}
+
+/**
+ * Fiscal provider of a company
+ * An existing note stays with the provider that emitted it, even if the company later switches.
+ *
+ * @param {object} [company] - Company record (fiscalProvider); omitted = default provider
+ * @param {object} [options]
+ * @param {string} [options.nfseId] - Provider ID of the note being handled (Invoice.acbrApiId)
+ * @returns {object} Provider
+ */
+export function getFiscalProvider(company = null, { nfseId } = {}) {
+  if (nfseId) {
+    return String(nfseId).startsWith(MOCK_ID_PREFIX) ? FISCAL_PROVIDERS.mock : FISCAL_PROVIDERS.acbr;
+  }
+  const name = company?.fiscalProvider;
+  if (name && isProviderAllowed(name)) {
+    return FISCAL_PROVIDERS[name];
+  }
+  return FISCAL_PROVIDERS[getDefaultProviderName()];
+}
+
+/**
+ * Whether the company's provider can be used (credentials set for ACBr; always for the mock)
+ *
+ * @param {object} [company] - Company record
+ * @returns {boolean}
+ */
+export function isFiscalProviderConfigured(company = null) {
+  return getFiscalProvider(company).isConfigured();
+}
+
+/**
+ * Providers available for selection, with the environment default
+ *
+ * @returns {object} { default, providers: [{ name, label, configured }] }
+ */
+export function listFiscalProviders() {
+  return {
+    default: getDefaultProviderName(),
+    providers: Object.values(FISCAL_PROVIDERS).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      allowed: isProviderAllowed(provider.name)
+    }))
+  };
+}
+
+export default {
+  FISCAL_PROVIDERS,
+  isProviderAllowed,
+  isSimulatedNfseId,
+  getDefaultProviderName,
+  getFiscalProvider,
+  isFiscalProviderConfigured,
+  listFiscalProviders
+};
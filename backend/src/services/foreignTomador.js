@@ -0,0 +1,215 @@
+/**
+ * Foreign Tomador Service
+ * Export of services to clients abroad (tomador estrangeiro) on the NFS-e Nacional
+ *
+ * - Foreign clients are identified by country (pais, ISO 3166-1 alpha-2) other than 'BR'
+ * - They have no CPF/CNPJ: the DPS carries the foreign tax ID (NIF) or a cNaoNIF reason
+ * - The service is exported: ISS is not levied (tribISSQN = 3) and the comExt group
+ *   records the currency (BACEN code) and the amount in foreign currency
+ *
+ * Foreign data travels in invoice data as `tomador_exterior` (address snapshot) plus
+ * flat fields moeda, taxa_cambio and valor_moeda_estrangeira.
+ */
+
+// ISO 4217 → BACEN currency codes (tpMoeda in the DPS)
+export const CURRENCY_CODES = {
+  USD: '220',
+  EUR: '978',
+  GBP: '540',
+  CAD: '165',
+  AUD: '150',
+  CHF: '425',
+  JPY: '470'
+};
+
+// comExt.mdPrestacao: 1 = Transfronteiriço (service provided from Brazil to a client abroad)
+const DEFAULT_MODO_PRESTACAO = 1;
+
+// cNaoNIF: 0 = Não informado na nota de origem
+const NIF_NOT_INFORMED = 0;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Normalize a country code (ISO alpha-2, upper case)
+ *
+ * @param {string} pais - Country code
+ * @returns {string} Normalized code ('BR' when empty)
+ */
+export function normalizeCountry(pais) {
+  return (pais || 'BR').trim().toUpperCase();
+}
+
+/**
+ * Whether a client (Prisma record or snake_case data) is a foreign tomador
+ *
+ * @param {object} client - Client with `pais`
+ * @returns {boolean}
+ */
+export function isForeignClient(client) {
+  return Boolean(client) && normalizeCountry(client.pais) !== 'BR';
+}
+
+/**
+ * Snapshot of a foreign client's identification and address for invoice data
+ *
+ * @param {object} client - Client record (pais, nif, logradouro, numero, complemento, bairro, cidade, estadoProvincia, codigoPostal)
+ * @returns {object} tomador_exterior
+ */
+export function buildTomadorExterior(client) {
+  return {
+    pais: normalizeCountry(client.pais),
+    nif: client.nif || null,
+    logradouro: client.logradouro || null,
+    numero: client.numero || null,
+    complemento: client.complemento || null,
+    bairro: client.bairro || null,
+    cidade: client.cidade || null,
+    estado_provincia: client.estadoProvincia || null,
+    codigo_postal: client.codigoPostal || null
+  };
+}
+
+/**
+ * Validate client data for a foreign client (create/update)
+ *
+ * @param {object} data - { pais, cidade }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateForeignClient(data) {
+  const errors = [];
+  const pais = normalizeCountry(data.pais);
+  if (!/^[A-Z]{2}$/.test(pais)) {
+    errors.push('País deve ser informado com o código ISO de 2 letras (ex: US, PT)');
+  }
+  if (!data.cidade || !String(data.cidade).trim()) {
+    errors.push('Cidade é obrigatória para clientes no exterior');
+  }
+  return errors;
+}
+
+/**
+ * Apply the foreign currency fields of an export invoice
+ * The BRL value (valor) is derived from the foreign amount when not informed.
+ *
+ * @param {object} invoiceData - Invoice data, mutated
+ * @param {object} input - Action data / request body (moeda, taxa_cambio, valor_moeda_estrangeira)
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function applyExportCurrency(invoiceData, input = {}) {
+  const errors = [];
+  if (!input.moeda) return errors;
+
+  const moeda = String(input.moeda).trim().toUpperCase();
+  if (!CURRENCY_CODES[moeda]) {
+    errors.push(`Moeda não suportada: ${moeda}. Use ${Object.keys(CURRENCY_CODES).join(', ')}`);
+    return errors;
+  }
+
+  const taxaCambio = parseFloat(input.taxa_cambio);
+  if (!(taxaCambio > 0)) {
+    errors.push('Taxa de câmbio é obrigatória para notas em moeda estrangeira');
+    return errors;
+  }
+
+  let valorMoeda = parseFloat(input.valor_moeda_estrangeira);
+  if (!(valorMoeda > 0)) {
+    valorMoeda = invoiceData.valor > 0 ? round2(invoiceData.valor / taxaCambio) : NaN;
+  }
+  if (!(valorMoeda > 0)) {
+    errors.push('Informe o valor em moeda estrangeira ou o valor em reais');
+    return errors;
+  }
+
+  invoiceData.moeda = moeda;
+  invoiceData.taxa_cambio = taxaCambio;
+  invoiceData.valor_moeda_estrangeira = round2(valorMoeda);
+  if (!(invoiceData.valor > 0)) {
+    invoiceData.valor = round2(valorMoeda * taxaCambio);
+  }
+  return errors;
+}
+
+/**
+ * Build the DPS toma group for a foreign tomador
+ *
+ * @param {object} invoiceData - Invoice data with cliente_nome and tomador_exterior
+ * @returns {object} toma
+ */
+export function buildForeignToma(invoiceData) {
+  const tomador = invoiceData.tomador_exterior;
+  const nif = tomador.nif ? String(tomador.nif).trim() : '';
+
+  return {
+    orgaoPublico: false,
+    ...(nif ? { NIF: nif } : { cNaoNIF: NIF_NOT_INFORMED }),
+    xNome: String(invoiceData.cliente_nome || '').trim(),
+    end: {
+      endExt: {
+        cPais: tomador.pais,
+        cEndPost: tomador.codigo_postal || '0',
+        xCidade: tomador.cidade || 'Não informado',
+        xEstProvReg: tomador.estado_provincia || tomador.cidade || 'Não informado'
+      },
+      xLgr: tomador.logradouro || 'Não informado',
+      nro: tomador.numero || 'S/N',
+      ...(tomador.complemento ? { xCpl: tomador.complemento } : {}),
+      xBairro: tomador.bairro || 'Não informado'
+    }
+  };
+}
+
+/**
+ * Build the DPS serv.comExt group (foreign trade information)
+ *
+ * @param {object} invoiceData - Invoice data (moeda, valor_moeda_estrangeira, valor)
+ * @returns {object} comExt
+ */
+export function buildComExt(invoiceData) {
+  const moeda = invoiceData.moeda || 'BRL';
+  return {
+    mdPrestacao: DEFAULT_MODO_PRESTACAO,
+    vincPrest: 0, // Sem vínculo com o tomador
+    tpMoeda: CURRENCY_CODES[moeda] || '790', // 790 = Real (BACEN)
+    vServMoeda: round2(invoiceData.valor_moeda_estrangeira || invoiceData.valor),
+    mecAFComexP: '01', // Nenhum mecanismo de apoio/fomento (prestador)
+    mecAFComexT: '01', // Nenhum mecanismo de apoio/fomento (tomador)
+    movTempBens: 1, // Não há movimentação temporária de bens
+    mdic: 0 // Não enviar ao MDIC
+  };
+}
+
+/**
+ * Prisma data for the export columns of an Invoice
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {object} { clientePais, clienteNif, moeda, taxaCambio, valorMoedaEstrangeira } (empty for domestic invoices)
+ */
+export function buildExportInvoiceFields(invoiceData) {
+  if (!invoiceData.tomador_exterior) return {};
+  return {
+    clientePais: invoiceData.tomador_exterior.pais,
+    clienteNif: invoiceData.tomador_exterior.nif,
+    moeda: invoiceData.moeda || null,
+    taxaCambio: invoiceData.taxa_cambio || null,
+    valorMoedaEstrangeira: invoiceData.valor_moeda_estrangeira || null
+  };
+}
+
+/**
+ * Snake_case export fields of an invoice (for API responses)
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {object} { cliente_pais, cliente_nif, moeda, taxa_cambio, valor_moeda_estrangeira }
+ */
+export function transformInvoiceExport(invoice) {
+  return {
+    cliente_pais: invoice.clientePais || null,
+    cliente_nif: invoice.clienteNif || null,
+    moeda: invoice.moeda || null,
+    taxa_cambio: invoice.taxaCambio ? parseFloat(invoice.taxaCambio) : null,
+    valor_moeda_estrangeira: invoice.valorMoedaEstrangeira ? parseFloat(invoice.valorMoedaEstrangeira) : null
+  };
+}
@@ -0,0 +1,239 @@
+/**
+ * Idempotency Service
+ * Client-supplied Idempotency-Key for invoice issuance
+ *
+ * - The first request with a key claims it ('processing') and runs normally
+ * - A successful (2xx) response is stored: retries with the same key replay it instead of
+ *   emitting a second NFS-e
+ * - A queued emission (202 with a job) replays the job's current state; once the job has
+ *   been rejected the key is released, so the retry emits again. A job that failed after its
+ *   DPS may have reached the municipality (interrupted, unknown outcome) keeps being replayed
+ * - Failed responses release the key, so the client can retry with it
+ * - A key reused with a different request body is rejected
+ * - Keys expire after 24 hours and are purged by a background task
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { formatEmissionJob, UNCERTAIN_EMISSION_ERROR_CODES } from './invoiceEmissionQueueService.js';
+
+export const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// A request left 'processing' longer than this (e.g. server restart mid-emission) may be taken over
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * JSON serialization with sorted object keys, so equivalent bodies hash the same
+ *
+ * @param {*} value - Any JSON value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of a request body
+ *
+ * @param {object} body - Request body
+ * @returns {string} Hex digest
+ */
+export function hashRequest(body) {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+/**
+ * Validate an Idempotency-Key header value
+ *
+ * @param {string} key - Header value
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateIdempotencyKey(key) {
+  if (typeof key !== 'string' || !key.trim()) {
+    return 'Idempotency-Key não pode ser vazia';
+  }
+  if (key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return `Idempotency-Key deve ter no máximo ${MAX_IDEMPOTENCY_KEY_LENGTH} caracteres`;
+  }
+  return null;
+}
+
+/**
+ * Claim an idempotency key for a request
+ *
+ * @param {object} params
+ * @param {string} params.userId - Authenticated user
+ * @param {string} params.key - Idempotency-Key header
+ * @param {string} params.scope - Endpoint scope ('invoice_issue', 'assistant_emit')
+ * @param {string} params.requestHash - hashRequest(body)
+ * @returns {Promise<{record: object, replay: boolean, responseBody?: object}>} replay = true when the
+ *   stored response (responseBody, with the current state of a queued job) must be returned
+ * @throws {AppError} 422 when the key was used for a different request, 409 while the original is in progress
+ */
+export async function beginIdempotentRequest({ userId, key, scope, requestHash }, attempt = 0) {
+  try {
+    const record = await prisma.idempotencyKey.create({
+      data: {
+        userId,
+        key,
+        scope,
+        requestHash,
+        status: 'processing',
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS)
+      }
+    });
+    return { record, replay: false };
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const existing = await prisma.idempotencyKey.findUnique({
+    where: { userId_key: { userId, key } }
+  });
+
+  // Released or expired between the create and the lookup: claim it again once
+  if (!existing || existing.expiresAt < new Date()) {
+    if (existing) {
+      await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, updatedAt: existing.updatedAt } });
+    }
+    if (attempt === 0) {
+      return beginIdempotentRequest({ userId, key, scope, requestHash }, attempt + 1);
+    }
+    throw new AppError('Requisição com esta Idempotency-Key em andamento. Tente novamente em instantes.', 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  }
+
+  if (existing.scope !== scope || existing.requestHash !== requestHash) {
+    throw new AppError(
+      'Esta Idempotency-Key já foi usada em uma requisição diferente. Gere uma nova chave para emitir outra nota.',
+      422,
+      'IDEMPOTENCY_KEY_REUSED'
+    );
+  }
+
+  if (existing.status === 'completed') {
+    if (!existing.emissionJobId) {
+      return { record: existing, replay: true, responseBody: existing.responseBody };
+    }
+
+    const job = await prisma.invoiceEmissionJob.findUnique({ where: { id: existing.emissionJobId } });
+    if (job && (job.status !== 'failed' || UNCERTAIN_EMISSION_ERROR_CODES.includes(job.errorCode))) {
+      const invoice = job.invoiceId ? await prisma.invoice.findUnique({ where: { id: job.invoiceId } }) : null;
+      return { record: existing, replay: true, responseBody: getReplayBody(existing.responseBody, job, invoice) };
+    }
+
+    // The queued emission was rejected: release the key so this request emits again
+    await prisma.idempotencyKey.deleteMany({ where: { id: existing.id, updatedAt: existing.updatedAt } });
+    if (attempt === 0) {
+      return beginIdempotentRequest({ userId, key, scope, requestHash }, attempt + 1);
+    }
+    throw new AppError('Requisição com esta Idempotency-Key em andamento. Tente novamente em instantes.', 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  }
+
+  // Still processing: take over only if the original request was abandoned
+  if (Date.now() - existing.updatedAt.getTime() > PROCESSING_TIMEOUT_MS) {
+    const { count } = await prisma.idempotencyKey.updateMany({
+      where: { id: existing.id, status: 'processing', updatedAt: existing.updatedAt },
+      data: { updatedAt: new Date() }
+    });
+    if (count === 1) {
+      return { record: existing, replay: false };
+    }
+  }
+
+  throw new AppError('Esta nota já está sendo emitida. Aguarde a conclusão da requisição original.', 409, 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+}
+
+/**
+ * Stored response with the current state of its emission job
+ *
+ * @param {object} responseBody - Stored 202 body ({ data: { job } })
+ * @param {object} job - InvoiceEmissionJob record
+ * @param {object} [invoice] - Emitted invoice, when completed
+ * @returns {object}
+ */
+export function getReplayBody(responseBody, job, invoice = null) {
+  return {
+    ...responseBody,
+    data: { ...responseBody?.data, job: formatEmissionJob(job, invoice) }
+  };
+}
+
+/**
+ * Store the response of a successful request
+ *
+ * @param {string} id - IdempotencyKey id
+ * @param {number} responseStatus - HTTP status
+ * @param {object} responseBody - JSON body
+ */
+export async function completeIdempotentRequest(id, responseStatus, responseBody) {
+  const invoiceId = responseBody?.data?.invoice?.id || responseBody?.data?.id || null;
+  const emissionJobId = responseBody?.data?.job?.id || null;
+  await prisma.idempotencyKey.update({
+    where: { id },
+    data: {
+      status: 'completed',
+      responseStatus,
+      responseBody: responseBody ?? null,
+      invoiceId: typeof invoiceId === 'string' ? invoiceId : null,
+      emissionJobId: typeof emissionJobId === 'string' ? emissionJobId : null
+    }
+  });
+}
+
+/**
+ * Release a key after a failed request, so it can be retried
+ *
+ * @param {string} id - IdempotencyKey id
+ */
+export async function releaseIdempotentRequest(id) {
+  await prisma.idempotencyKey.deleteMany({ where: { id, status: 'processing' } });
+}
+
+/**
+ * Delete expired idempotency keys
+ *
+ * @returns {Promise<number>} Number of deleted keys
+ */
+export async function purgeExpiredIdempotencyKeys() {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } }
+  });
+  if (count > 0) {
+    console.log(`[Idempotency] Purged ${count} expired keys`);
+  }
+  return count;
+}
+
+/**
+ * Start the periodic cleanup of expired keys
+ */
+export async function startIdempotencyKeyCleanup() {
+  const processWithErrorHandling = async () => {
+    try {
+      await purgeExpiredIdempotencyKeys();
+    } catch (error) {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[Idempotency] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[Idempotency] Cleanup error:', error);
+      }
+    }
+  };
+
+  await processWithErrorHandling();
+
+  setInterval(processWithErrorHandling, CLEANUP_INTERVAL_MS);
+}
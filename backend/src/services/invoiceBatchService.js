@@ -0,0 +1,755 @@
+/**
+ * Invoice Batch Service
+ * Bulk NFS-e issuance from CSV/XLSX spreadsheets
+ *
+ * Features:
+ * - CSV (comma or semicolon) and XLSX parsing with flexible column names
+ * - Per-row validation (CPF/CNPJ, service code, regime rules, MEI limit, plan limits,
+ *   suspected duplicates of recent invoices and of earlier rows)
+ * - Preview before emission; nothing is emitted until the batch is confirmed
+ * - Sequential background emission through the emission queue (one job per row)
+ * - Per-row status and downloadable result report
+ */
+
+import ExcelJS from 'exceljs';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { enqueueEmission, waitForEmissionJob } from './invoiceEmissionQueueService.js';
+import { isValidCPF, isValidCNPJ, validateServiceCode } from './acbrApi.js';
+import { validateInvoiceForRegime, getRecommendedIssRate, getRegimeInvoiceDefaults } from './regimeRules.js';
+import { calculateYearlyRevenue, getMEILimitForYear } from './meiLimitTracking.js';
+import {
+  findDuplicateCandidates,
+  isSameClient,
+  descriptionSimilarity,
+  DESCRIPTION_SIMILARITY_THRESHOLD
+} from './duplicateInvoiceDetection.js';
+import { validatePlanLimitsForIssuance } from './planService.js';
+
+export const MAX_BATCH_ROWS = 500;
+
+// Accepted header names (normalized: lowercase, no accents, no punctuation) per field
+const COLUMN_ALIASES = {
+  cliente_nome: ['cliente', 'clientenome', 'nome', 'nomecliente', 'tomador', 'razaosocial'],
+  cliente_documento: ['documento', 'clientedocumento', 'cpf', 'cnpj', 'cpfcnpj', 'doc'],
+  descricao_servico: ['descricao', 'descricaoservico', 'servico', 'discriminacao'],
+  valor: ['valor', 'valorservico', 'valortotal', 'total'],
+  aliquota_iss: ['aliquota', 'aliquotaiss', 'iss'],
+  codigo_servico: ['codigoservico', 'codigo', 'codservico', 'ctribnac', 'itemlistaservico'],
+  iss_retido: ['issretido', 'retido', 'retencaoiss'],
+  data_prestacao: ['dataprestacao', 'data', 'competencia', 'datacompetencia']
+};
+
+export const BATCH_TEMPLATE_HEADERS = [
+  'cliente_nome',
+  'cliente_documento',
+  'descricao_servico',
+  'valor',
+  'aliquota_iss',
+  'codigo_servico',
+  'iss_retido',
+  'data_prestacao'
+];
+
+function normalizeHeader(header) {
+  return String(header || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function resolveField(header) {
+  const normalized = normalizeHeader(header);
+  return Object.keys(COLUMN_ALIASES).find(
+    field => normalizeHeader(field) === normalized || COLUMN_ALIASES[field].includes(normalized)
+  ) || null;
+}
+
+/**
+ * Parse CSV records respecting quoted values
+ *
+ * Quotes are parsed over the whole file, so a quoted value may contain the delimiter,
+ * escaped quotes ("") and line breaks. Rows are numbered by record, as spreadsheet
+ * editors show them.
+ */
+function parseCsv(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const headerLine = text.split('\n', 1)[0];
+  // Brazilian Excel exports use ';' because ',' is the decimal separator
+  const delimiter = (headerLine.match(/;/g) || []).length >= (headerLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let values = [];
+  let current = '';
+  let inQuotes = false;
+  let blank = true;
+
+  const endRecord = () => {
+    values.push(current.trim());
+    records.push({ rowNumber: records.length + 1, values: blank ? null : values });
+    values = [];
+    current = '';
+    blank = true;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      blank = false;
+    } else if (char === delimiter) {
+      values.push(current.trim());
+      current = '';
+      blank = false;
+    } else if (char === '\n') {
+      endRecord();
+    } else {
+      current += char;
+      if (char.trim()) blank = false;
+    }
+  }
+  if (!blank) {
+    endRecord();
+  }
+
+  return records;
+}
+
+function cellToValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellToValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    return '';
+  }
+  return value;
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-indexed
+    const values = row.values.slice(1).map(cellToValue);
+    rows.push({ rowNumber, values });
+  });
+  return rows;
+}
+
+/**
+ * Parse a spreadsheet into normalized rows
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name (used to detect the format)
+ * @returns {Promise<Array<{rowNumber: number, raw: object}>>} Data rows keyed by field
+ */
+export async function parseSpreadsheet(buffer, fileName) {
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  let lines;
+
+  if (extension === 'xlsx') {
+    try {
+      lines = await parseXlsx(buffer);
+    } catch (error) {
+      throw new AppError('Não foi possível ler a planilha XLSX. Verifique se o arquivo não está corrompido.', 400, 'INVALID_SPREADSHEET');
+    }
+  } else if (extension === 'csv') {
+    lines = parseCsv(buffer);
+  } else {
+    throw new AppError('Formato de arquivo não suportado. Envie uma planilha .csv ou .xlsx.', 400, 'INVALID_SPREADSHEET');
+  }
+
+  const [header, ...dataLines] = lines.filter(line => line.values && line.values.some(value => String(value).trim() !== ''));
+  if (!header) {
+    throw new AppError('A planilha está vazia.', 400, 'INVALID_SPREADSHEET');
+  }
+
+  const fields = header.values.map(resolveField);
+  const missing = ['cliente_nome', 'cliente_documento', 'valor'].filter(field => !fields.includes(field));
+  if (missing.length > 0) {
+    throw new AppError(
+      `Colunas obrigatórias não encontradas: ${missing.join(', ')}. Use o modelo de planilha disponível para download.`,
+      400,
+      'INVALID_SPREADSHEET',
+      { missing }
+    );
+  }
+
+  if (dataLines.length === 0) {
+    throw new AppError('A planilha não possui linhas de notas fiscais.', 400, 'INVALID_SPREADSHEET');
+  }
+  if (dataLines.length > MAX_BATCH_ROWS) {
+    throw new AppError(`A planilha possui ${dataLines.length} linhas. O máximo por lote é ${MAX_BATCH_ROWS}.`, 400, 'BATCH_TOO_LARGE');
+  }
+
+  return dataLines.map(line => {
+    const raw = {};
+    fields.forEach((field, index) => {
+      if (field && raw[field] === undefined) {
+        raw[field] = line.values[index] ?? '';
+      }
+    });
+    return { rowNumber: line.rowNumber, raw };
+  });
+}
+
+/**
+ * Parse numbers in Brazilian (1.234,56 or 1.500) or international (1234.56) format
+ */
+function parseDecimal(value) {
+  if (typeof value === 'number') return value;
+  let text = String(value || '').replace(/[R$\s%]/g, '');
+  if (!text) return null;
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+    // Only dots, each followed by three digits: thousands separators (R$ 1.500 is 1500)
+    text = text.replace(/\./g, '');
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function parseBoolean(value) {
+  const normalized = normalizeHeader(value);
+  return ['sim', 's', 'true', '1', 'yes', 'x'].includes(normalized);
+}
+
+/**
+ * Parse dates as dd/mm/yyyy, yyyy-mm-dd or native Date (XLSX)
+ * @returns {string|null|undefined} ISO date, null when invalid, undefined when empty
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().split('T')[0];
+  }
+  const text = String(value || '').trim();
+  if (!text) return undefined;
+
+  let match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match;
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) return null;
+    return date.toISOString().split('T')[0];
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    const date = new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+  }
+
+  return null;
+}
+
+/**
+ * Suspected duplicates of a row, with the same criteria the emission enforces
+ *
+ * @param {object} data - Validated row data
+ * @param {string} companyId - Company ID
+ * @param {object[]} previousItems - Items of the earlier rows of the batch
+ * @returns {Promise<string[]>} Error messages
+ */
+async function findBatchDuplicates(data, companyId, previousItems) {
+  const errors = [];
+
+  const duplicates = await findDuplicateCandidates(data, companyId);
+  if (duplicates.length > 0) {
+    const [first] = duplicates;
+    errors.push(`Possível nota duplicada: NFS-e ${first.numero || '(sem número)'} de ${new Date(first.data_emissao).toLocaleDateString('pt-BR')} tem o mesmo cliente, o mesmo valor e descrição semelhante.`);
+  }
+
+  const previous = previousItems.find(item =>
+    item.status === 'valid' &&
+    item.data.valor === data.valor &&
+    isSameClient(data, { clienteDocumento: item.data.cliente_documento, clienteNome: item.data.cliente_nome }) &&
+    descriptionSimilarity(data.descricao_servico, item.data.descricao_servico) >= DESCRIPTION_SIMILARITY_THRESHOLD
+  );
+  if (previous) {
+    errors.push(`Linha duplicada: mesmo cliente, valor e descrição semelhante à linha ${previous.rowNumber} da planilha.`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate one spreadsheet row
+ *
+ * @param {object} raw - Row values keyed by field
+ * @param {object} company - Company record
+ * @param {Map} serviceCodeCache - Service code validations already done in this batch
+ * @returns {Promise<object>} { data, errors, warnings }
+ */
+async function validateRow(raw, company, serviceCodeCache) {
+  const errors = [];
+  const warnings = [];
+
+  const regimeDefaults = getRegimeInvoiceDefaults(company.regimeTributario, company);
+  const recommendedIssRate = getRecommendedIssRate(company.regimeTributario, company);
+
+  const clienteNome = String(raw.cliente_nome || '').trim();
+  let documento = String(raw.cliente_documento || '').replace(/\D/g, '');
+  // XLSX cells formatted as numbers drop the leading zeros of CPF/CNPJ
+  if (typeof raw.cliente_documento === 'number' && documento) {
+    documento = documento.padStart(documento.length <= 11 ? 11 : 14, '0');
+  }
+  const valor = parseDecimal(raw.valor);
+  const aliquota = parseDecimal(raw.aliquota_iss);
+  const dataPrestacao = parseDate(raw.data_prestacao);
+
+  if (!clienteNome) {
+    errors.push('Nome do cliente é obrigatório');
+  }
+
+  if (!documento) {
+    errors.push('CPF/CNPJ do cliente é obrigatório');
+  } else if (documento.length === 11) {
+    if (!isValidCPF(documento)) errors.push(`CPF inválido: ${raw.cliente_documento}`);
+  } else if (documento.length === 14) {
+    if (!isValidCNPJ(documento)) errors.push(`CNPJ inválido: ${raw.cliente_documento}`);
+  } else {
+    errors.push(`Documento deve ser um CPF (11 dígitos) ou CNPJ (14 dígitos): ${raw.cliente_documento}`);
+  }
+
+  if (valor === null || Number.isNaN(valor)) {
+    errors.push(`Valor inválido: ${raw.valor}`);
+  }
+
+  if (Number.isNaN(aliquota)) {
+    errors.push(`Alíquota de ISS inválida: ${raw.aliquota_iss}`);
+  }
+
+  if (dataPrestacao === null) {
+    errors.push(`Data de prestação inválida: ${raw.data_prestacao}. Use o formato DD/MM/AAAA.`);
+  } else if (dataPrestacao && dataPrestacao > new Date().toISOString().split('T')[0]) {
+    errors.push('Data de prestação não pode ser futura');
+  }
+
+  let codigoServico = String(raw.codigo_servico || '').trim() || regimeDefaults.codigo_servico;
+  if (raw.codigo_servico && String(raw.codigo_servico).trim()) {
+    const code = String(raw.codigo_servico).trim();
+    if (!serviceCodeCache.has(code)) {
+      serviceCodeCache.set(code, await validateServiceCode(code, company.codigoMunicipio));
+    }
+    const serviceValidation = serviceCodeCache.get(code);
+    if (!serviceValidation.valid) {
+      errors.push(serviceValidation.error);
+    } else {
+      codigoServico = serviceValidation.cTribNac;
+    }
+  }
+
+  if (!String(raw.descricao_servico || '').trim()) {
+    warnings.push('Descrição do serviço não informada; será usado "Serviço prestado"');
+  }
+
+  const data = {
+    cliente_nome: clienteNome,
+    cliente_documento: documento,
+    descricao_servico: String(raw.descricao_servico || '').trim() || 'Serviço prestado',
+    valor: Number.isFinite(valor) ? Math.round(valor * 100) / 100 : null,
+    aliquota_iss: Number.isFinite(aliquota) ? aliquota : parseFloat(recommendedIssRate || regimeDefaults.aliquota_iss || 0),
+    codigo_servico: codigoServico,
+    iss_retido: raw.iss_retido !== undefined && String(raw.iss_retido).trim() !== ''
+      ? parseBoolean(raw.iss_retido)
+      : Boolean(regimeDefaults.iss_retido),
+    data_prestacao: dataPrestacao || new Date().toISOString().split('T')[0]
+  };
+
+  // Regime rules (ISS rate, required fields, single-invoice MEI limit)
+  if (errors.length === 0) {
+    const regimeValidation = await validateInvoiceForRegime(data, company);
+    errors.push(...regimeValidation.errors);
+  }
+
+  return { data, errors, warnings };
+}
+
+/**
+ * Validate a parsed spreadsheet and store it as a batch preview
+ *
+ * @param {object} params
+ * @param {Buffer} params.buffer - File content
+ * @param {string} params.fileName - Original file name
+ * @param {object} params.company - Company record
+ * @param {string} params.userId - User ID
+ * @returns {Promise<object>} { batch, warnings } with items included
+ */
+export async function createBatchPreview({ buffer, fileName, company, userId }) {
+  const rows = await parseSpreadsheet(buffer, fileName);
+  const batchWarnings = [];
+
+  // Plan limits are checked once for the whole batch
+  const limitsValidation = await validatePlanLimitsForIssuance(userId, company.id);
+  const planError = limitsValidation.valid ? null : limitsValidation.errors[0]?.message;
+  const invoiceLimit = limitsValidation.invoiceLimit;
+  let remainingInvoices = invoiceLimit && !invoiceLimit.unlimited ? invoiceLimit.remaining : Infinity;
+
+  if (limitsValidation.isPayPerUse) {
+    batchWarnings.push('Plano Pay per Use: cada nota emitida será cobrada individualmente no seu cartão.');
+  }
+  (limitsValidation.warnings || []).forEach(warning => batchWarnings.push(warning.message));
+
+  // MEI annual limit must consider the sum of all rows in the batch
+  const isMEI = company.regimeTributario === 'MEI';
+  let meiRevenue = isMEI ? await calculateYearlyRevenue(company.id) : 0;
+  const meiLimit = getMEILimitForYear(company.dataAbertura);
+
+  const serviceCodeCache = new Map();
+  const items = [];
+
+  for (const { rowNumber, raw } of rows) {
+    const { data, errors, warnings } = await validateRow(raw, company, serviceCodeCache);
+
+    // Emission blocks suspected duplicates (issueInvoice), so they are reported here already
+    if (errors.length === 0) {
+      errors.push(...await findBatchDuplicates(data, company.id, items));
+    }
+
+    if (errors.length === 0 && planError) {
+      errors.push(planError);
+    }
+
+    if (errors.length === 0 && isMEI && meiRevenue + data.valor > meiLimit.limit) {
+      errors.push(`Esta nota ultrapassaria o limite anual do MEI (R$ ${meiLimit.limit.toLocaleString('pt-BR')}${meiLimit.proportional ? `, proporcional a ${meiLimit.months} meses` : ''}) considerando as linhas anteriores do lote.`);
+    }
+
+    if (errors.length === 0 && remainingInvoices <= 0) {
+      errors.push(`Limite de notas do plano atingido (${invoiceLimit.max} por mês). Faça upgrade para emitir esta nota.`);
+    }
+
+    if (errors.length === 0) {
+      meiRevenue += isMEI ? data.valor : 0;
+      remainingInvoices--;
+    }
+
+    items.push({
+      rowNumber,
+      data,
+      status: errors.length === 0 ? 'valid' : 'invalid',
+      errors,
+      warnings
+    });
+  }
+
+  const validRows = items.filter(item => item.status === 'valid').length;
+
+  const batch = await prisma.invoiceBatch.create({
+    data: {
+      companyId: company.id,
+      userId,
+      fileName: fileName || 'planilha',
+      status: 'preview',
+      totalRows: items.length,
+      validRows,
+      items: {
+        create: items
+      }
+    },
+    include: {
+      items: { orderBy: { rowNumber: 'asc' } }
+    }
+  });
+
+  console.log(`[InvoiceBatch] Preview ${batch.id} created: ${validRows}/${items.length} valid rows`);
+
+  return { batch, warnings: batchWarnings };
+}
+
+/**
+ * Confirm a previewed batch and start emitting its valid rows in background
+ *
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID (ownership check)
+ * @returns {Promise<object>} Updated batch
+ */
+export async function confirmBatch(batchId, userId) {
+  const batch = await prisma.invoiceBatch.findFirst({
+    where: { id: batchId, userId }
+  });
+
+  if (!batch) {
+    throw new AppError('Lote não encontrado', 404, 'NOT_FOUND');
+  }
+  if (batch.status !== 'preview') {
+    throw new AppError('Este lote já foi confirmado ou cancelado', 400, 'BATCH_NOT_PENDING');
+  }
+  if (batch.validRows === 0) {
+    throw new AppError('O lote não possui linhas válidas para emissão', 400, 'BATCH_EMPTY');
+  }
+
+  // Claim the batch: of two concurrent confirmations (double click, client retry) only one starts it
+  const { count } = await prisma.invoiceBatch.updateMany({
+    where: { id: batchId, status: 'preview' },
+    data: { status: 'processing', startedAt: new Date() }
+  });
+  if (count !== 1) {
+    throw new AppError('Este lote já foi confirmado ou cancelado', 409, 'BATCH_NOT_PENDING');
+  }
+
+  await prisma.invoiceBatchItem.updateMany({
+    where: { batchId, status: 'valid' },
+    data: { status: 'pending' }
+  });
+
+  const updated = await prisma.invoiceBatch.findUnique({ where: { id: batchId } });
+
+  setImmediate(() => {
+    processBatch(batchId).catch(error => {
+      console.error(`[InvoiceBatch] Error processing batch ${batchId}:`, error);
+    });
+  });
+
+  return updated;
+}
+
+/**
+ * Cancel a batch that is still in preview
+ *
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - User ID (ownership check)
+ * @returns {Promise<object>} Updated batch
+ */
+export async function cancelBatch(batchId, userId) {
+  const batch = await prisma.invoiceBatch.findFirst({
+    where: { id: batchId, userId }
+  });
+
+  if (!batch) {
+    throw new AppError('Lote não encontrado', 404, 'NOT_FOUND');
+  }
+  if (batch.status !== 'preview') {
+    throw new AppError('Somente lotes em pré-visualização podem ser cancelados', 400, 'BATCH_NOT_PENDING');
+  }
+
+  // Conditional, so a confirmation that claimed the batch meanwhile is not overwritten
+  const { count } = await prisma.invoiceBatch.updateMany({
+    where: { id: batchId, status: 'preview' },
+    data: { status: 'cancelled', completedAt: new Date() }
+  });
+  if (count !== 1) {
+    throw new AppError('Somente lotes em pré-visualização podem ser cancelados', 409, 'BATCH_NOT_PENDING');
+  }
+
+  return prisma.invoiceBatch.findUnique({ where: { id: batchId } });
+}
+
+/**
+ * Emit all pending rows of a batch, one at a time
+ *
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<object>} Final batch
+ */
+export async function processBatch(batchId) {
+  const batch = await prisma.invoiceBatch.findUnique({
+    where: { id: batchId },
+    include: {
+      company: {
+        include: {
+          fiscalCredential: true
+        }
+      }
+    }
+  });
+
+  if (!batch || batch.status !== 'processing') {
+    return batch;
+  }
+
+  const pendingItems = await prisma.invoiceBatchItem.findMany({
+    where: { batchId, status: 'pending' },
+    orderBy: { rowNumber: 'asc' }
+  });
+
+  console.log(`[InvoiceBatch] Processing batch ${batchId}: ${pendingItems.length} rows`);
+
+  for (const item of pendingItems) {
+    await prisma.invoiceBatchItem.update({
+      where: { id: item.id },
+      data: { status: 'processing' }
+    });
+
+    let itemUpdate;
+    let counter;
+    try {
+      const job = await enqueueEmission(item.data, batch.company, batch.userId, { source: 'batch', notify: false });
+      const emission = await waitForEmissionJob(job.id);
+
+      if (emission.status === 'queued') {
+        itemUpdate = { status: 'queued', errorMessage: 'Prefeitura indisponível; nota na fila de reenvio automático' };
+        counter = 'queuedCount';
+      } else if (emission.status === 'completed') {
+        itemUpdate = {
+          status: 'success',
+          invoiceId: emission.invoice_id,
+          numero: emission.invoice?.numero,
+          codigoVerificacao: emission.invoice?.codigo_verificacao
+        };
+        counter = 'successCount';
+      } else {
+        console.error(`[InvoiceBatch] Row ${item.rowNumber} of batch ${batchId} failed:`, emission.error?.message);
+        itemUpdate = { status: 'error', errorMessage: emission.error?.message };
+        counter = 'errorCount';
+      }
+    } catch (error) {
+      console.error(`[InvoiceBatch] Row ${item.rowNumber} of batch ${batchId} failed:`, error.message);
+      itemUpdate = { status: 'error', errorMessage: error.message };
+      counter = 'errorCount';
+    }
+
+    await prisma.invoiceBatchItem.update({
+      where: { id: item.id },
+      data: { ...itemUpdate, processedAt: new Date() }
+    });
+    await prisma.invoiceBatch.update({
+      where: { id: batchId },
+      data: { [counter]: { increment: 1 } }
+    });
+  }
+
+  return finishBatch(batchId);
+}
+
+async function finishBatch(batchId) {
+  const current = await prisma.invoiceBatch.findUnique({ where: { id: batchId } });
+  const status = current.errorCount > 0 ? 'completed_with_errors' : 'completed';
+
+  const finished = await prisma.invoiceBatch.update({
+    where: { id: batchId },
+    data: { status, completedAt: new Date() }
+  });
+
+  const parts = [`${finished.successCount} emitida${finished.successCount !== 1 ? 's' : ''}`];
+  if (finished.queuedCount > 0) parts.push(`${finished.queuedCount} na fila de reenvio`);
+  if (finished.errorCount > 0) parts.push(`${finished.errorCount} com erro`);
+
+  await prisma.notification.create({
+    data: {
+      userId: finished.userId,
+      titulo: finished.errorCount > 0 ? 'Lote Concluído com Erros' : 'Lote de Notas Concluído',
+      mensagem: `Emissão em lote da planilha "${finished.fileName}" finalizada: ${parts.join(', ')}. Baixe o relatório em Notas Fiscais.`,
+      tipo: finished.errorCount > 0 ? 'alerta' : 'sucesso'
+    }
+  });
+
+  console.log(`[InvoiceBatch] Batch ${batchId} ${status}: ${parts.join(', ')}`);
+  return finished;
+}
+
+/**
+ * Resume batches interrupted by a server restart
+ * Rows left in 'processing' may already have reached the municipality, so they are
+ * marked as errors for manual review instead of being emitted twice.
+ *
+ * @returns {Promise<number>} Number of resumed batches
+ */
+export async function resumeInterruptedBatches() {
+  const batches = await prisma.invoiceBatch.findMany({
+    where: { status: 'processing' },
+    select: { id: true }
+  });
+
+  for (const { id } of batches) {
+    const interrupted = await prisma.invoiceBatchItem.updateMany({
+      where: { batchId: id, status: 'processing' },
+      data: {
+        status: 'error',
+        errorMessage: 'Processamento interrompido. Verifique em Notas Fiscais se a nota foi emitida antes de reenviar.',
+        processedAt: new Date()
+      }
+    });
+    if (interrupted.count > 0) {
+      await prisma.invoiceBatch.update({
+        where: { id },
+        data: { errorCount: { increment: interrupted.count } }
+      });
+    }
+
+  }
+
+  // Resume one batch at a time, like the emission of rows inside a batch
+  (async () => {
+    for (const { id } of batches) {
+      try {
+        await processBatch(id);
+      } catch (error) {
+        console.error(`[InvoiceBatch] Error resuming batch ${id}:`, error);
+      }
+    }
+  })();
+
+  if (batches.length > 0) {
+    console.log(`[InvoiceBatch] Resumed ${batches.length} interrupted batch(es)`);
+  }
+  return batches.length;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const ITEM_STATUS_LABELS = {
+  valid: 'Válida',
+  invalid: 'Inválida',
+  pending: 'Aguardando',
+  processing: 'Processando',
+  success: 'Emitida',
+  queued: 'Na fila',
+  error: 'Erro'
+};
+
+/**
+ * Build the result report of a batch (CSV, ';' separated for Excel pt-BR)
+ *
+ * @param {object} batch - Batch with items
+ * @returns {string} CSV content
+ */
+export function buildBatchReport(batch) {
+  const header = ['linha', 'cliente', 'documento', 'valor', 'status', 'numero', 'codigo_verificacao', 'erro'];
+  const lines = batch.items.map(item => {
+    const data = item.data || {};
+    const error = item.errorMessage || (Array.isArray(item.errors) ? item.errors.join(' | ') : '');
+    return [
+      item.rowNumber,
+      data.cliente_nome,
+      data.cliente_documento,
+      data.valor !== null && data.valor !== undefined ? Number(data.valor).toFixed(2).replace('.', ',') : '',
+      ITEM_STATUS_LABELS[item.status] || item.status,
+      item.numero,
+      item.codigoVerificacao,
+      error
+    ].map(escapeCsv).join(';');
+  });
+
+  return '\uFEFF' + [header.join(';'), ...lines].join('\r\n');
+}
+
+/**
+ * Build an example spreadsheet (CSV) with the expected columns
+ *
+ * @returns {string} CSV content
+ */
+export function buildBatchTemplate() {
+  const example = ['Cliente Exemplo Ltda', '11.222.333/0001-81', 'Consultoria mensal', '1500,00', '', '', 'não', ''];
+  return '\uFEFF' + [BATCH_TEMPLATE_HEADERS.join(';'), example.map(escapeCsv).join(';')].join('\r\n');
+}
@@ -0,0 +1,199 @@
+/**
+ * Invoice Discounts and Deductions Service
+ * Unconditional/conditional discounts and legal deductions from the ISS base (NFS-e Nacional)
+ *
+ * - Desconto incondicionado: granted on the invoice itself; reduces the ISS base and the net value
+ * - Desconto condicionado: depends on a future event (e.g. early payment); reduces only the net value
+ * - Deduções: legal deductions from the ISS base (e.g. materials in construction services, LC 116 item 7.02/7.05)
+ *
+ * Amounts travel in invoice data as flat snake_case fields, like the federal retentions:
+ * valor_desconto_incondicionado, valor_desconto_condicionado, valor_deducoes
+ */
+
+export const DEDUCTION_FIELDS = {
+  valor_desconto_incondicionado: 'valorDescontoIncondicionado',
+  valor_desconto_condicionado: 'valorDescontoCondicionado',
+  valor_deducoes: 'valorDeducoes'
+};
+
+const DEDUCTION_LABELS = {
+  valor_desconto_incondicionado: 'desconto incondicionado',
+  valor_desconto_condicionado: 'desconto condicionado',
+  valor_deducoes: 'deduções'
+};
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Extract discount/deduction amounts from invoice data (snake_case)
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {object} { descontoIncondicionado, descontoCondicionado, deducoes } rounded to cents
+ */
+export function getDeductionAmounts(invoiceData = {}) {
+  return {
+    descontoIncondicionado: round2(invoiceData.valor_desconto_incondicionado),
+    descontoCondicionado: round2(invoiceData.valor_desconto_condicionado),
+    deducoes: round2(invoiceData.valor_deducoes)
+  };
+}
+
+/**
+ * Copy discount/deduction fields present in an input object, parsed as numbers
+ *
+ * @param {object} input - Request body or action data
+ * @returns {object} { valor_desconto_incondicionado?, valor_desconto_condicionado?, valor_deducoes? }
+ */
+export function pickDeductions(input = {}) {
+  const picked = {};
+  for (const field of Object.keys(DEDUCTION_FIELDS)) {
+    if (input[field] !== undefined && input[field] !== null && input[field] !== '') {
+      picked[field] = parseFloat(input[field]);
+    }
+  }
+  return picked;
+}
+
+/**
+ * ISS base (vBC) = vServ - desconto incondicionado - deduções
+ *
+ * @param {object} invoiceData - Invoice data (valor, valor_desconto_incondicionado, valor_deducoes)
+ * @returns {number} ISS base
+ */
+export function calculateIssBase(invoiceData) {
+  const { descontoIncondicionado, deducoes } = getDeductionAmounts(invoiceData);
+  return round2(round2(invoiceData.valor) - descontoIncondicionado - deducoes);
+}
+
+/**
+ * ISS amount over the deducted base
+ *
+ * @param {object} invoiceData - Invoice data (valor, aliquota_iss, discounts/deductions)
+ * @returns {number} ISS amount
+ */
+export function calculateIssAmount(invoiceData) {
+  return round2(calculateIssBase(invoiceData) * ((parseFloat(invoiceData.aliquota_iss) || 0) / 100));
+}
+
+/**
+ * Validate discount/deduction amounts against the service value
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDeductions(invoiceData) {
+  const errors = [];
+  for (const field of Object.keys(DEDUCTION_FIELDS)) {
+    const raw = invoiceData[field];
+    if (raw === undefined || raw === null || raw === '') continue;
+    if (isNaN(Number(raw)) || Number(raw) < 0) {
+      errors.push(`Valor de ${DEDUCTION_LABELS[field]} inválido`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  const { descontoIncondicionado, descontoCondicionado } = getDeductionAmounts(invoiceData);
+  const valor = round2(invoiceData.valor);
+  if (descontoIncondicionado + descontoCondicionado > valor) {
+    errors.push('O total de descontos não pode ser maior que o valor do serviço');
+  }
+  if (calculateIssBase(invoiceData) < 0) {
+    errors.push('Descontos incondicionados e deduções não podem ser maiores que o valor do serviço');
+  }
+  return errors;
+}
+
+/**
+ * Validate deductions against the municipality's parameters (GET /parametros_municipais/{ibge}/aliquotas)
+ * Municipalities may forbid deductions for a service or cap them at a percentage of the service value.
+ * Missing parameters are not an error: most municipalities don't publish them.
+ *
+ * @param {object} invoiceData - Invoice data
+ * @param {object|null} params - Result of getMunicipalParameters
+ * @param {string} cTribNac - National service code
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateDeductionsForMunicipality(invoiceData, params, cTribNac) {
+  const errors = [];
+  const { deducoes } = getDeductionAmounts(invoiceData);
+  if (!params || deducoes === 0) return errors;
+
+  const serviceInfo = Array.isArray(params.servicos)
+    ? params.servicos.find(s => s.codigo === cTribNac || s.cTribNac === cTribNac)
+    : null;
+
+  const permiteDeducao = serviceInfo?.permiteDeducao ?? params.permiteDeducao;
+  if (permiteDeducao === false) {
+    errors.push(`O município não permite deduções da base de cálculo para o serviço ${cTribNac}`);
+    return errors;
+  }
+
+  const percentualMaximo = serviceInfo?.percentualMaximoDeducao ?? params.percentualMaximoDeducao;
+  if (percentualMaximo !== undefined && percentualMaximo !== null) {
+    const limite = round2(round2(invoiceData.valor) * (parseFloat(percentualMaximo) / 100));
+    if (deducoes > limite) {
+      errors.push(`Deduções excedem o limite do município (${percentualMaximo}% do valor do serviço, R$ ${limite.toFixed(2)})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the DPS discount and deduction groups (valores.vDescCondIncond / valores.vDedRed)
+ * Groups are omitted when zero.
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {object} { vDescCondIncond?, vDedRed? }
+ */
+export function buildDpsDeductions(invoiceData) {
+  const { descontoIncondicionado, descontoCondicionado, deducoes } = getDeductionAmounts(invoiceData);
+  const groups = {};
+
+  if (descontoIncondicionado > 0 || descontoCondicionado > 0) {
+    groups.vDescCondIncond = {
+      ...(descontoIncondicionado > 0 ? { vDescIncond: descontoIncondicionado } : {}),
+      ...(descontoCondicionado > 0 ? { vDescCond: descontoCondicionado } : {})
+    };
+  }
+  if (deducoes > 0) {
+    groups.vDedRed = { vDR: deducoes };
+  }
+
+  return groups;
+}
+
+/**
+ * Prisma data for the discount/deduction columns of an Invoice
+ *
+ * @param {object} invoiceData - Invoice data (snake_case)
+ * @returns {object} { valorDescontoIncondicionado, valorDescontoCondicionado, valorDeducoes, baseCalculo }
+ */
+export function buildDeductionInvoiceFields(invoiceData) {
+  const { descontoIncondicionado, descontoCondicionado, deducoes } = getDeductionAmounts(invoiceData);
+  return {
+    valorDescontoIncondicionado: descontoIncondicionado,
+    valorDescontoCondicionado: descontoCondicionado,
+    valorDeducoes: deducoes,
+    baseCalculo: calculateIssBase(invoiceData)
+  };
+}
+
+/**
+ * Snake_case discount/deduction amounts from a Prisma Invoice record
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {object} { valor_desconto_incondicionado, valor_desconto_condicionado, valor_deducoes, base_calculo }
+ */
+export function transformInvoiceDeductions(invoice) {
+  const result = {};
+  for (const [field, prismaField] of Object.entries(DEDUCTION_FIELDS)) {
+    result[field] = invoice[prismaField] ? parseFloat(invoice[prismaField]) : 0;
+  }
+  result.base_calculo = invoice.baseCalculo !== null && invoice.baseCalculo !== undefined
+    ? parseFloat(invoice.baseCalculo)
+    : parseFloat(invoice.valor);
+  return result;
+}
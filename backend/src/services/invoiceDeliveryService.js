@@ -0,0 +1,304 @@
+/**
+ * Invoice Delivery Service
+ * Sends the authorized NFS-e (PDF + XML) to the client's email
+ *
+ * - Automatic delivery when an invoice becomes 'autorizada' (issuance, polling or ACBr webhook)
+ * - Manual "resend to client" from Documents and the assistant
+ * - Message template per company (Company.emailNfseAssunto / emailNfseMensagem) with placeholders
+ * - Per-client opt-out (Client.enviarNfseEmail) for automatic delivery
+ * - Notes of a simulated provider (Invoice.simulada) are never sent
+ * - Every attempt is logged in InvoiceEmailDelivery; an automatic delivery reserves its log entry
+ *   (unique automaticKey) before sending, so concurrent triggers send the invoice only once
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isEmailConfigured, sendInvoiceToClientEmail } from './email.js';
+import { getFiscalProvider } from './fiscalProvider.js';
+
+export const DEFAULT_EMAIL_SUBJECT = 'Nota Fiscal de Serviço nº {numero} - {empresa}';
+export const DEFAULT_EMAIL_MESSAGE =
+  'Olá, {cliente}!\n\n' +
+  'Segue a nota fiscal de serviço nº {numero}, no valor de {valor}, emitida em {data_emissao}.\n\n' +
+  'Atenciosamente,\n{empresa}';
+
+// Placeholders available in the company template
+export const TEMPLATE_PLACEHOLDERS = [
+  'cliente',
+  'numero',
+  'valor',
+  'empresa',
+  'data_emissao',
+  'codigo_verificacao',
+  'descricao'
+];
+
+/**
+ * Replace {placeholder} tokens in a template; unknown placeholders are kept as-is
+ *
+ * @param {string} template - Template text
+ * @param {object} context - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) => (
+    context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+  ));
+}
+
+/**
+ * Placeholder values of an invoice
+ *
+ * @param {object} invoice - Invoice record
+ * @param {object} company - Issuing company
+ * @returns {object}
+ */
+export function buildTemplateContext(invoice, company) {
+  return {
+    cliente: invoice.clienteNome,
+    numero: invoice.numero || '---',
+    valor: `R$ ${parseFloat(invoice.valor).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`,
+    empresa: company?.nomeFantasia || company?.razaoSocial || '',
+    data_emissao: new Date(invoice.dataEmissao || invoice.createdAt || Date.now()).toLocaleDateString('pt-BR'),
+    codigo_verificacao: invoice.codigoVerificacao || '---',
+    descricao: invoice.descricaoServico
+  };
+}
+
+/**
+ * Find the registered client (tomador) of an invoice
+ *
+ * @param {object} invoice - Invoice record
+ * @param {string} userId - Owner of the company
+ * @returns {Promise<object|null>} Client record
+ */
+export async function findInvoiceClient(invoice, userId) {
+  const documento = String(invoice.clienteDocumento || '').replace(/\D/g, '');
+  if (documento) {
+    return prisma.client.findFirst({ where: { userId, documento } });
+  }
+  if (invoice.clienteNif) {
+    return prisma.client.findFirst({ where: { userId, nif: invoice.clienteNif } });
+  }
+  return null;
+}
+
+async function fetchFile(download, label) {
+  try {
+    return await download();
+  } catch (error) {
+    console.warn(`[InvoiceDelivery] Failed to download ${label}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * PDF (fiscal provider, or generated locally) and XML (fiscal provider) of an invoice
+ *
+ * @param {object} invoice - Invoice record
+ * @param {object} company - Issuing company
+ * @returns {Promise<Array<{filename: string, content: Buffer}>>}
+ */
+export async function buildInvoiceAttachments(invoice, company) {
+  const baseName = `nfse-${invoice.numero || invoice.id}`;
+  const attachments = [];
+
+  const provider = getFiscalProvider(company, { nfseId: invoice.acbrApiId });
+
+  let pdf = await fetchFile(() => provider.downloadPdf(invoice), `PDF of ${invoice.id}`);
+  if (!pdf) {
+    const { generateInvoicePDF } = await import('./pdfService.js');
+    pdf = await generateInvoicePDF(invoice, company);
+  }
+  attachments.push({ filename: `${baseName}.pdf`, content: pdf });
+
+  const xml = await fetchFile(() => provider.downloadXml(invoice), `XML of ${invoice.id}`);
+  if (xml) {
+    attachments.push({ filename: `${baseName}.xml`, content: xml });
+  }
+
+  return attachments;
+}
+
+/**
+ * Log a delivery attempt, completing the reservation of an automatic delivery
+ * A failed automatic delivery releases the reservation, so a later trigger can send it again.
+ */
+async function logDelivery(invoiceId, data, reservation = null) {
+  if (reservation) {
+    return prisma.invoiceEmailDelivery.update({
+      where: { id: reservation.id },
+      data: { ...data, automaticKey: data.status === 'failed' ? null : invoiceId }
+    });
+  }
+  return prisma.invoiceEmailDelivery.create({
+    data: { invoiceId, ...data }
+  });
+}
+
+/**
+ * Reserve the automatic delivery of an invoice
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<object|null>} Reserved log entry ('sending'), or null when another trigger
+ *   already sent, skipped or is sending it
+ */
+async function reserveAutomaticDelivery(invoiceId) {
+  try {
+    return await prisma.invoiceEmailDelivery.create({
+      data: { invoiceId, status: 'sending', trigger: 'authorized', automaticKey: invoiceId }
+    });
+  } catch (error) {
+    if (error.code === 'P2002') return null;
+    throw error;
+  }
+}
+
+/**
+ * Send an authorized invoice to the client's email
+ *
+ * Automatic deliveries ('authorized') are skipped when the client opted out, has no email,
+ * or the invoice was already delivered. Manual deliveries ('manual') always send, to the
+ * given email or the client's, and fail with an AppError when that's not possible.
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @param {object} [options]
+ * @param {string} [options.trigger] - 'authorized' (default) or 'manual'
+ * @param {string} [options.email] - Recipient override (manual resend)
+ * @returns {Promise<object|null>} Delivery log entry (null when skipped without logging)
+ */
+export async function deliverInvoiceToClient(invoiceId, { trigger = 'authorized', email } = {}) {
+  const manual = trigger === 'manual';
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: { company: true }
+  });
+
+  if (!invoice) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+  if (invoice.status !== 'autorizada') {
+    if (manual) {
+      throw new AppError('Apenas notas autorizadas podem ser enviadas ao cliente', 400, 'INVOICE_NOT_AUTHORIZED');
+    }
+    return null;
+  }
+  if (invoice.simulada) {
+    if (manual) {
+      throw new AppError('Notas do provedor simulado não podem ser enviadas ao cliente', 400, 'INVOICE_SIMULATED');
+    }
+    return null;
+  }
+
+  let reservation = null;
+  if (!manual) {
+    reservation = await reserveAutomaticDelivery(invoiceId);
+    if (!reservation) return null;
+  }
+
+  const client = await findInvoiceClient(invoice, invoice.company.userId);
+
+  if (!manual && client && client.enviarNfseEmail === false) {
+    return logDelivery(invoiceId, {
+      recipient: client.email,
+      status: 'skipped',
+      trigger,
+      error: 'Cliente optou por não receber a nota por email'
+    }, reservation);
+  }
+
+  const recipient = (email || client?.email || '').trim();
+  if (!recipient) {
+    if (manual) {
+      throw new AppError('Cliente sem email cadastrado. Informe o email de destino.', 400, 'CLIENT_EMAIL_MISSING');
+    }
+    return logDelivery(invoiceId, {
+      recipient: null,
+      status: 'skipped',
+      trigger,
+      error: 'Cliente sem email cadastrado'
+    }, reservation);
+  }
+
+  if (!isEmailConfigured()) {
+    if (manual) {
+      throw new AppError('Envio de emails não configurado no servidor', 503, 'EMAIL_NOT_CONFIGURED');
+    }
+    return logDelivery(invoiceId, {
+      recipient,
+      status: 'skipped',
+      trigger,
+      error: 'Envio de emails não configurado'
+    }, reservation);
+  }
+
+  const company = invoice.company;
+  const context = buildTemplateContext(invoice, company);
+
+  let result;
+  let attachments = [];
+  try {
+    const { getInvoicePix } = await import('./receivablesService.js');
+    attachments = await buildInvoiceAttachments(invoice, company);
+    result = await sendInvoiceToClientEmail({
+      to: recipient,
+      subject: renderTemplate(company.emailNfseAssunto || DEFAULT_EMAIL_SUBJECT, context),
+      message: renderTemplate(company.emailNfseMensagem || DEFAULT_EMAIL_MESSAGE, context),
+      invoice,
+      company,
+      attachments,
+      pix: getInvoicePix(invoice, company)
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const delivery = await logDelivery(invoiceId, {
+    recipient,
+    status: result.success ? 'sent' : 'failed',
+    trigger,
+    attachments: attachments.map(a => a.filename),
+    messageId: result.messageId || null,
+    error: result.success ? null : (result.error || result.reason || 'Falha no envio')
+  }, reservation);
+
+  console.log(`[InvoiceDelivery] Invoice ${invoice.numero || invoiceId} ${delivery.status} to ${recipient} (${trigger})`);
+
+  if (manual && !result.success) {
+    throw new AppError(`Não foi possível enviar a nota: ${delivery.error}`, 502, 'EMAIL_DELIVERY_FAILED', {
+      delivery: transformDelivery(delivery)
+    });
+  }
+
+  return delivery;
+}
+
+/**
+ * Deliver a newly authorized invoice in the background (never throws)
+ *
+ * @param {string} invoiceId - Invoice ID
+ */
+export function deliverAuthorizedInvoice(invoiceId) {
+  deliverInvoiceToClient(invoiceId, { trigger: 'authorized' }).catch(error => {
+    console.error(`[InvoiceDelivery] Automatic delivery failed for invoice ${invoiceId}:`, error.message);
+  });
+}
+
+/**
+ * Snake_case delivery log entry (for API responses)
+ *
+ * @param {object} delivery - InvoiceEmailDelivery record
+ * @returns {object}
+ */
+export function transformDelivery(delivery) {
+  return {
+    id: delivery.id,
+    invoice_id: delivery.invoiceId,
+    recipient: delivery.recipient,
+    status: delivery.status,
+    trigger: delivery.trigger,
+    attachments: delivery.attachments || [],
+    error: delivery.error,
+    created_at: delivery.createdAt
+  };
+}
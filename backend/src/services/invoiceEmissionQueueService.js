@@ -0,0 +1,605 @@
+/**
+ * Invoice Emission Queue Service
+ * Asynchronous NFS-e emission: the API stores a job and answers right away, a worker emits
+ *
+ * - One job at a time per company, so DPS numbers (lastRpsNumero) reach the provider in order
+ * - At most EMISSION_QUEUE_CONCURRENCY jobs at a time overall (default 3)
+ * - Errors raised before the DPS reaches the provider (429, connection refused) are retried with
+ *   backoff. After a gateway error or timeout (502/503/504, municipality offline) the DPS may have
+ *   been accepted, so the job is only retried once the provider's list shows no note with its DPS
+ *   number (on every attempt, so even the last one never fails as a plain rejection); after the last
+ *   attempt an offline municipality hands the invoice over to the retry queue
+ * - A processing job holds a lease renewed by its worker; jobs whose lease expired (worker died)
+ *   are marked as interrupted, so several worker processes can share the queue
+ * - Progress is persisted (status, step) and published on emissionJobEvents for streaming within
+ *   this process (the stream route also polls the job for updates made by other instances)
+ * - Batches and recurring schedules emit through the queue too, waiting for each job with
+ *   waitForEmissionJob
+ */
+
+import os from 'os';
+import { EventEmitter } from 'events';
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { issueInvoice } from './invoiceIssuanceService.js';
+import { getFiscalProvider } from './fiscalProvider.js';
+import { isMunicipalityOfflineError } from './municipalityRetryService.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+
+export const MAX_EMISSION_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 30 * 1000; // 30s, then 60s
+const WORKER_INTERVAL_MS = 30 * 1000;
+const JOB_WAIT_POLL_MS = 3000;
+const LEASE_MS = 2 * 60 * 1000;
+const LEASE_RENEW_MS = 30 * 1000;
+// Refused before the request was processed: the DPS did not reach the provider
+const RETRY_STATUSES = [429];
+// The request may have been processed before the error (gateway error or timeout)
+const UNCERTAIN_STATUSES = [502, 503, 504];
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+export const EMISSION_JOB_FINAL_STATUSES = ['completed', 'queued', 'failed'];
+// Failures after the DPS may have reached the municipality: emitting again could duplicate the note
+export const UNCERTAIN_EMISSION_ERROR_CODES = ['EMISSION_INTERRUPTED', 'EMISSION_OUTCOME_UNKNOWN', 'NFSE_EMITTED_WITHOUT_RECORD'];
+
+// Job updates by job ID (listeners receive the formatted job)
+export const emissionJobEvents = new EventEmitter();
+emissionJobEvents.setMaxListeners(0);
+
+const activeCompanies = new Set();
+let running = 0;
+let draining = false;
+let drainAgain = false;
+
+const getConcurrency = () => {
+  const concurrency = parseInt(process.env.EMISSION_QUEUE_CONCURRENCY || '3', 10);
+  return Number.isFinite(concurrency) && concurrency > 0 ? concurrency : 3;
+};
+
+/**
+ * Whether an emission error happened before the DPS reached the provider, so it can be retried as is
+ *
+ * @param {Error} error - Error thrown by issueInvoice
+ * @returns {boolean}
+ */
+export function isTransientEmissionError(error) {
+  if (RETRY_STATUSES.includes(error.statusCode ?? error.status)) {
+    return true;
+  }
+  const message = String(error.data?.originalError || error.message || '').toLowerCase();
+  return message.includes('econnrefused') || message.includes('connection refused');
+}
+
+/**
+ * Whether an emission error may have come after the provider accepted the DPS
+ * (gateway error, timeout or municipality offline); retried only after checking the provider
+ *
+ * @param {Error} error - Error thrown by issueInvoice
+ * @returns {boolean}
+ */
+export function isUncertainEmissionError(error) {
+  if (UNCERTAIN_STATUSES.includes(error.statusCode ?? error.status)) {
+    return true;
+  }
+  return isMunicipalityOfflineError({ message: error.data?.originalError || error.message });
+}
+
+/**
+ * Look for the DPS of a failed attempt in the provider's list
+ *
+ * @param {object} company - Company record
+ * @param {number} [numeroDps] - DPS number consumed by the attempt (error.data.numeroDps)
+ * @returns {Promise<{emitted: boolean|null, note?: object}>} emitted null when the list could not be read
+ */
+export async function findEmittedDps(company, numeroDps) {
+  // Failed before numbering: nothing was sent
+  if (!numeroDps) {
+    return { emitted: false };
+  }
+
+  try {
+    const notes = await getFiscalProvider(company).listAllNfse(company.cnpj);
+    const note = notes.find(item => parseInt(String(item.numero_dps ?? ''), 10) === Number(numeroDps));
+    return note ? { emitted: true, note } : { emitted: false };
+  } catch (error) {
+    console.warn(`[EmissionQueue] Could not list the provider notes of company ${company.id}:`, error.message);
+    return { emitted: null };
+  }
+}
+
+/**
+ * Job in API format
+ *
+ * @param {object} job - InvoiceEmissionJob record
+ * @param {object} [invoice] - Emitted invoice, when completed
+ * @returns {object}
+ */
+export function formatEmissionJob(job, invoice = null) {
+  return {
+    id: job.id,
+    company_id: job.companyId,
+    status: job.status,
+    step: job.step,
+    attempts: job.attempts,
+    max_attempts: MAX_EMISSION_ATTEMPTS,
+    next_attempt_at: job.status === 'pending' ? job.nextAttemptAt : null,
+    invoice_id: job.invoiceId,
+    retry_queue_id: job.retryQueueId,
+    cliente_nome: job.data?.cliente_nome || null,
+    valor: job.data?.valor !== undefined ? parseFloat(job.data.valor) : null,
+    error: job.status === 'failed' || job.errorMessage
+      ? { code: job.errorCode, message: job.errorMessage, status: job.errorStatus, data: job.errorData }
+      : null,
+    invoice: invoice
+      ? {
+          id: invoice.id,
+          numero: invoice.numero,
+          status: invoice.status,
+          codigo_verificacao: invoice.codigoVerificacao,
+          pdf_url: invoice.pdfUrl,
+          xml_url: invoice.xmlUrl,
+          cliente_nome: invoice.clienteNome,
+          valor: parseFloat(invoice.valor)
+        }
+      : null,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    completed_at: job.completedAt
+  };
+}
+
+async function loadFormattedJob(job) {
+  const invoice = job.invoiceId
+    ? await prisma.invoice.findUnique({ where: { id: job.invoiceId } })
+    : null;
+  return formatEmissionJob(job, invoice);
+}
+
+async function updateJob(jobId, data) {
+  const job = await prisma.invoiceEmissionJob.update({ where: { id: jobId }, data });
+  if (emissionJobEvents.listenerCount(jobId) > 0) {
+    emissionJobEvents.emit(jobId, await loadFormattedJob(job));
+  }
+  return job;
+}
+
+/**
+ * Queue an NFS-e emission
+ *
+ * @param {object} actionData - Invoice data (same as issueInvoice)
+ * @param {object} company - Company record
+ * @param {string} userId - User ID
+ * @param {object} options
+ * @param {string} options.source - Status history source (default: 'api')
+ * @param {boolean} options.notify - Notify the user of the outcome (default: true)
+ * @returns {Promise<object>} Formatted job
+ */
+export async function enqueueEmission(actionData, company, userId, { source = 'api', notify = true } = {}) {
+  const job = await prisma.invoiceEmissionJob.create({
+    data: {
+      companyId: company.id,
+      userId,
+      source,
+      notify,
+      data: actionData
+    }
+  });
+
+  console.log(`[EmissionQueue] Job ${job.id} queued for company ${company.id}`);
+  scheduleDrain();
+
+  return formatEmissionJob(job);
+}
+
+/**
+ * Wait for an emission job to finish
+ * Updates come from this process' worker (emissionJobEvents) and, for jobs run by another
+ * instance, from polling the job every JOB_WAIT_POLL_MS.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object>} Formatted job ('completed', 'queued' or 'failed')
+ */
+export function waitForEmissionJob(jobId) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (callback, value) => {
+      settled = true;
+      clearInterval(poll);
+      emissionJobEvents.off(jobId, onUpdate);
+      callback(value);
+    };
+    const onUpdate = (job) => {
+      if (!settled && EMISSION_JOB_FINAL_STATUSES.includes(job.status)) {
+        settle(resolve, job);
+      }
+    };
+    const check = () => {
+      prisma.invoiceEmissionJob.findUnique({ where: { id: jobId } })
+        .then(async (job) => {
+          if (settled) return;
+          if (!job) {
+            settle(reject, new AppError('Emissão não encontrada', 404, 'NOT_FOUND'));
+            return;
+          }
+          onUpdate(await loadFormattedJob(job));
+        })
+        .catch(error => console.warn(`[EmissionQueue] Could not poll emission job ${jobId}:`, error.message));
+    };
+
+    const poll = setInterval(check, JOB_WAIT_POLL_MS);
+    emissionJobEvents.on(jobId, onUpdate);
+    check();
+  });
+}
+
+/**
+ * Get an emission job of the user
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} userId - User ID (ownership check)
+ * @returns {Promise<object>} Formatted job
+ */
+export async function getEmissionJob(jobId, userId) {
+  const job = await prisma.invoiceEmissionJob.findFirst({
+    where: { id: jobId, userId }
+  });
+
+  if (!job) {
+    throw new AppError('Emissão não encontrada', 404, 'NOT_FOUND');
+  }
+
+  return loadFormattedJob(job);
+}
+
+/**
+ * Recent emission jobs of the user
+ *
+ * @param {string} userId - User ID
+ * @param {object} filters
+ * @param {string} [filters.companyId] - Company ID
+ * @param {string} [filters.status] - Job status
+ * @returns {Promise<object[]>} Formatted jobs (newest first, at most 50)
+ */
+export async function listEmissionJobs(userId, { companyId, status } = {}) {
+  const jobs = await prisma.invoiceEmissionJob.findMany({
+    where: {
+      userId,
+      ...(companyId ? { companyId } : {}),
+      ...(status ? { status } : {})
+    },
+    orderBy: { createdAt: 'desc' },
+    take: 50
+  });
+
+  return jobs.map(job => formatEmissionJob(job));
+}
+
+/**
+ * Claim the oldest due job of a company that has no emission in progress
+ */
+async function claimNextJob() {
+  const candidates = await prisma.invoiceEmissionJob.findMany({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { lte: new Date() },
+      companyId: { notIn: [...activeCompanies] }
+    },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true, companyId: true },
+    take: 20
+  });
+
+  for (const candidate of candidates) {
+    if (activeCompanies.has(candidate.companyId)) continue;
+
+    if (await claimJob(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Claim a pending job unless its company has an emission in progress
+ * The company row is locked while checking, so workers in other processes claiming a job of
+ * the same company run one after the other and the second one sees the first claim.
+ *
+ * @param {{id: string, companyId: string}} candidate - Pending job
+ * @returns {Promise<boolean>} Whether this worker claimed the job
+ */
+async function claimJob(candidate) {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM companies WHERE id = ${candidate.companyId} FOR UPDATE`;
+
+    const inProgress = await tx.invoiceEmissionJob.count({
+      where: { companyId: candidate.companyId, status: 'processing' }
+    });
+    if (inProgress > 0) return false;
+
+    const claimed = await tx.invoiceEmissionJob.updateMany({
+      where: { id: candidate.id, status: 'pending' },
+      data: {
+        status: 'processing',
+        step: 'validating',
+        attempts: { increment: 1 },
+        startedAt: new Date(),
+        workerId: WORKER_ID,
+        leaseExpiresAt: new Date(Date.now() + LEASE_MS)
+      }
+    });
+    return claimed.count === 1;
+  });
+}
+
+/**
+ * Start due jobs up to the concurrency limit
+ */
+export async function drainEmissionQueue() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+
+  try {
+    do {
+      drainAgain = false;
+      while (running < getConcurrency()) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        running++;
+        activeCompanies.add(job.companyId);
+        processEmissionJob(job.id)
+          .catch(error => console.error(`[EmissionQueue] Error processing job ${job.id}:`, error))
+          .finally(() => {
+            running--;
+            activeCompanies.delete(job.companyId);
+            scheduleDrain();
+          });
+      }
+    } while (drainAgain);
+  } finally {
+    draining = false;
+  }
+}
+
+function scheduleDrain(delayMs = 0) {
+  const timer = setTimeout(() => {
+    drainEmissionQueue().catch(error => {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[EmissionQueue] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[EmissionQueue] Error draining queue:', error);
+      }
+    });
+  }, delayMs);
+  timer.unref?.();
+}
+
+/**
+ * Emit the invoice of a claimed job
+ *
+ * @param {string} jobId - Job ID (status 'processing')
+ * @returns {Promise<object>} Final job record
+ */
+export async function processEmissionJob(jobId) {
+  const job = await prisma.invoiceEmissionJob.findUnique({
+    where: { id: jobId },
+    include: {
+      company: {
+        include: {
+          fiscalCredential: true
+        }
+      }
+    }
+  });
+
+  if (!job || job.status !== 'processing') {
+    return job;
+  }
+
+  const lastAttempt = job.attempts >= MAX_EMISSION_ATTEMPTS;
+  let currentStep = job.step;
+  // Step updates are chained so none lands after the final status
+  let stepUpdates = Promise.resolve();
+
+  // Keep the lease while the emission runs
+  const heartbeat = setInterval(() => {
+    prisma.invoiceEmissionJob.updateMany({
+      where: { id: job.id, status: 'processing' },
+      data: { leaseExpiresAt: new Date(Date.now() + LEASE_MS) }
+    }).catch(error => console.warn(`[EmissionQueue] Could not renew the lease of job ${job.id}:`, error.message));
+  }, LEASE_RENEW_MS);
+  heartbeat.unref?.();
+
+  try {
+    const issuance = await issueInvoice(job.data, job.company, job.userId, {
+      source: job.source,
+      notify: false,
+      queueIfOffline: lastAttempt,
+      invoiceUsageId: job.invoiceUsageId,
+      onProgress: (step) => {
+        if (step === currentStep) return;
+        currentStep = step;
+        stepUpdates = stepUpdates
+          .then(() => updateJob(job.id, { step }))
+          .catch(error => console.warn(`[EmissionQueue] Could not record step ${step} of job ${job.id}:`, error.message));
+      }
+    });
+    await stepUpdates;
+
+    if (issuance.queued) {
+      console.log(`[EmissionQueue] Job ${job.id} handed over to the municipality retry queue`);
+      return updateJob(job.id, {
+        status: 'queued',
+        step: null,
+        retryQueueId: issuance.queueEntry.id,
+        leaseExpiresAt: null,
+        completedAt: new Date()
+      });
+    }
+
+    const { invoice } = issuance;
+    if (job.notify) {
+      await prisma.notification.create({
+        data: {
+          userId: job.userId,
+          titulo: 'Nota Fiscal Emitida',
+          mensagem: `Nota fiscal ${invoice.numero || 'NFS-e'} emitida com sucesso para ${invoice.clienteNome}`,
+          tipo: 'sucesso',
+          invoiceId: invoice.id
+        }
+      });
+    }
+
+    console.log(`[EmissionQueue] Job ${job.id} completed: invoice ${invoice.id}`);
+    return updateJob(job.id, {
+      status: 'completed',
+      step: null,
+      invoiceId: invoice.id,
+      errorCode: null,
+      errorMessage: null,
+      errorStatus: null,
+      errorData: null,
+      leaseExpiresAt: null,
+      completedAt: new Date()
+    });
+  } catch (error) {
+    await stepUpdates;
+    let errorFields = {
+      errorCode: error.code || 'INVOICE_EMISSION_ERROR',
+      errorMessage: error.message,
+      errorStatus: error.statusCode || error.status || 500,
+      errorData: error.data || null,
+      invoiceUsageId: error.data?.invoiceUsageId || job.invoiceUsageId
+    };
+
+    let retry = !lastAttempt && isTransientEmissionError(error);
+    if (!retry && isUncertainEmissionError(error)) {
+      const numeroDps = error.data?.numeroDps;
+      const { emitted, note } = await findEmittedDps(job.company, numeroDps);
+      if (emitted === false) {
+        retry = !lastAttempt;
+      } else if (emitted) {
+        errorFields = {
+          ...errorFields,
+          errorCode: 'NFSE_EMITTED_WITHOUT_RECORD',
+          errorMessage: `A prefeitura recebeu a DPS nº ${numeroDps} apesar do erro (${error.message}). ` +
+            'Importe a nota pela auditoria de numeração em vez de emitir novamente.',
+          errorData: { ...(error.data || {}), acbrApiId: note.id }
+        };
+      } else {
+        errorFields = {
+          ...errorFields,
+          errorCode: 'EMISSION_OUTCOME_UNKNOWN',
+          errorMessage: `Não foi possível confirmar se a DPS nº ${numeroDps} chegou à prefeitura (${error.message}). ` +
+            'Verifique em Notas Fiscais antes de emitir novamente.'
+        };
+      }
+    }
+
+    if (retry) {
+      const delayMs = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+      console.warn(`[EmissionQueue] Job ${job.id} attempt ${job.attempts} failed (${error.message}), retrying in ${delayMs / 1000}s`);
+      scheduleDrain(delayMs);
+      return updateJob(job.id, {
+        ...errorFields,
+        status: 'pending',
+        step: null,
+        leaseExpiresAt: null,
+        nextAttemptAt: new Date(Date.now() + delayMs)
+      });
+    }
+
+    console.error(`[EmissionQueue] Job ${job.id} failed:`, errorFields.errorMessage);
+    if (job.notify) {
+      await prisma.notification.create({
+        data: {
+          userId: job.userId,
+          titulo: 'Erro ao Emitir Nota Fiscal',
+          mensagem: errorFields.errorMessage,
+          tipo: 'erro'
+        }
+      });
+    }
+
+    return updateJob(job.id, {
+      ...errorFields,
+      status: 'failed',
+      step: null,
+      leaseExpiresAt: null,
+      completedAt: new Date()
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Fail jobs whose worker stopped while processing
+ * Such jobs may already have reached the municipality, so they are not emitted again (same
+ * rule as interrupted bulk issuance rows). Jobs of other live workers keep a valid lease; at
+ * startup, jobs claimed by a previous run of this same process (host:pid) are failed too.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.startup] - Also fail the jobs claimed under this process' worker ID
+ * @returns {Promise<number>} Jobs marked as failed
+ */
+export async function failInterruptedJobs({ startup = false } = {}) {
+  const interrupted = await prisma.invoiceEmissionJob.updateMany({
+    where: {
+      status: 'processing',
+      OR: [
+        { leaseExpiresAt: null },
+        { leaseExpiresAt: { lt: new Date() } },
+        ...(startup ? [{ workerId: WORKER_ID }] : [])
+      ]
+    },
+    data: {
+      status: 'failed',
+      step: null,
+      leaseExpiresAt: null,
+      errorCode: 'EMISSION_INTERRUPTED',
+      errorMessage: 'Processamento interrompido. Verifique em Notas Fiscais se a nota foi emitida antes de emitir novamente.',
+      completedAt: new Date()
+    }
+  });
+  if (interrupted.count > 0) {
+    console.warn(`[EmissionQueue] ${interrupted.count} interrupted emission job(s) marked as failed`);
+  }
+  return interrupted.count;
+}
+
+/**
+ * Fail interrupted jobs and start the worker (interrupted jobs are checked again on every cycle)
+ */
+export async function startEmissionQueueWorker() {
+  await failInterruptedJobs({ startup: true });
+
+  scheduleDrain();
+  setInterval(() => {
+    failInterruptedJobs().catch(error => {
+      if (!isDatabaseConnectionError(error)) {
+        console.error('[EmissionQueue] Error checking interrupted jobs:', error);
+      }
+    });
+    scheduleDrain();
+  }, WORKER_INTERVAL_MS);
+}
+
+export default {
+  enqueueEmission,
+  waitForEmissionJob,
+  getEmissionJob,
+  listEmissionJobs,
+  drainEmissionQueue,
+  processEmissionJob,
+  startEmissionQueueWorker,
+  failInterruptedJobs,
+  isTransientEmissionError,
+  isUncertainEmissionError,
+  findEmittedDps,
+  formatEmissionJob
+};
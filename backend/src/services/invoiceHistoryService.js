@@ -0,0 +1,124 @@
+/**
+ * Invoice History Service
+ * Status timeline of an invoice, built from InvoiceStatusHistory
+ *
+ * - Entries come from the emission (api), ACBr webhooks, background polling, manual actions
+ *   and the numbering audit, in chronological order
+ * - Consecutive polling checks that found the same status are collapsed into one entry
+ *   (with the number of checks and the last one), so a note stuck in "processando" does not
+ *   bury the transitions
+ * - Rejections and errors carry the user-facing explanation from the error translation service
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { translateErrorForUser } from './errorTranslationService.js';
+import { getPollingStatus } from './invoiceStatusMonitoring.js';
+
+export const HISTORY_SOURCE_LABELS = {
+  api: 'Sistema',
+  webhook: 'Prefeitura (notificação)',
+  polling: 'Consulta automática',
+  manual: 'Manual',
+  numbering_audit: 'Auditoria de numeração'
+};
+
+const ERROR_STATUSES = ['rejeitada', 'erro'];
+
+function getEntryError(entry) {
+  const metadata = entry.metadata || {};
+  if (metadata.error) return metadata.error;
+  if (ERROR_STATUSES.includes(entry.status)) return entry.message || null;
+  return null;
+}
+
+function isRoutinePoll(entry) {
+  return entry.source === 'polling' && !getEntryError(entry) && !entry.metadata?.maxAttemptsReached;
+}
+
+/**
+ * Build the timeline of an invoice
+ *
+ * @param {Array} history - InvoiceStatusHistory records
+ * @param {object} context - { municipality } used in the translated errors
+ * @returns {Array<object>} Timeline entries, oldest first
+ */
+export function buildInvoiceTimeline(history, context = {}) {
+  const sorted = [...history].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  const timeline = [];
+  let previousStatus = null;
+
+  for (const entry of sorted) {
+    const last = timeline[timeline.length - 1];
+    if (last && last.routine_poll && isRoutinePoll(entry) && entry.status === last.status) {
+      last.check_count += 1;
+      last.last_checked_at = entry.createdAt;
+      continue;
+    }
+
+    const rawError = getEntryError(entry);
+    let translatedError = null;
+    if (rawError) {
+      const error = new Error(rawError);
+      error.code = entry.metadata?.errorCode || entry.metadata?.error_code || null;
+      translatedError = translateErrorForUser(error, { municipality: context.municipality });
+    }
+
+    timeline.push({
+      id: entry.id,
+      status: entry.status,
+      previous_status: previousStatus,
+      status_changed: previousStatus !== null && previousStatus !== entry.status,
+      source: entry.source,
+      source_label: HISTORY_SOURCE_LABELS[entry.source] || entry.source,
+      message: entry.message || null,
+      error: rawError,
+      translated_error: translatedError,
+      created_at: entry.createdAt,
+      routine_poll: isRoutinePoll(entry),
+      check_count: 1,
+      last_checked_at: entry.createdAt
+    });
+    previousStatus = entry.status;
+  }
+
+  return timeline;
+}
+
+/**
+ * Timeline and polling schedule of an invoice
+ *
+ * @param {object} invoice - Invoice with its company (for the municipality)
+ * @returns {Promise<object>} { invoice_id, status, timeline, polling }
+ */
+export async function getInvoiceHistory(invoice) {
+  const [history, polling] = await Promise.all([
+    prisma.invoiceStatusHistory.findMany({
+      where: { invoiceId: invoice.id },
+      orderBy: { createdAt: 'asc' }
+    }),
+    getPollingStatus(invoice.id)
+  ]);
+
+  return {
+    invoice_id: invoice.id,
+    numero: invoice.numero,
+    status: invoice.status,
+    timeline: buildInvoiceTimeline(history, { municipality: invoice.company?.cidade }),
+    polling: {
+      is_polling: polling.isPolling,
+      attempts: polling.pollingAttempts,
+      max_attempts: polling.maxAttempts,
+      last_polled_at: polling.lastPolledAt,
+      next_poll_at: polling.nextPollAt,
+      interval_minutes: polling.intervalMinutes,
+      cycle_minutes: polling.cycleMinutes,
+      polling_ends_at: polling.pollingEndsAt
+    }
+  };
+}
+
+export default {
+  HISTORY_SOURCE_LABELS,
+  buildInvoiceTimeline,
+  getInvoiceHistory
+};
@@ -0,0 +1,709 @@
+/**
+ * Invoice Issuance Service
+ * Single emission path for NFS-e, shared by the assistant, scheduled and bulk flows
+ *
+ * Steps:
+ * - Plan limits validation (and Pay per Use charge)
+ * - Duplicate-risk check (recent invoice with same client, value and similar description)
+ * - Company, municipality, fiscal connection and certificate checks
+ * - Client lookup / auto-creation
+ * - Regime validation (including MEI annual limit)
+ * - Atomic RPS numbering and emission via ACBr API
+ * - Invoice persistence, status history and notifications
+ * - Delivery to the client's email when authorized right away
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { DPS_SERIE } from './acbrApi.js';
+import { getFiscalProvider, isSimulatedNfseId } from './fiscalProvider.js';
+import { validateInvoiceForRegime, getRecommendedIssRate, getRegimeInvoiceDefaults } from './regimeRules.js';
+import { FEDERAL_RETENTION_TYPES, validateRetentions, buildRetentionInvoiceFields } from './federalRetentions.js';
+import { pickDeductions, validateDeductions, calculateIssAmount, buildDeductionInvoiceFields } from './invoiceDeductions.js';
+import { isForeignClient, buildTomadorExterior, applyExportCurrency, buildExportInvoiceFields } from './foreignTomador.js';
+import { assertNoDuplicateInvoice } from './duplicateInvoiceDetection.js';
+import { deliverAuthorizedInvoice } from './invoiceDeliveryService.js';
+import { buildReceivableInvoiceFields } from './receivablesService.js';
+
+/**
+ * Issue an NFS-e for a company
+ *
+ * @param {object} actionData - Invoice data (cliente_nome, cliente_documento, descricao_servico, valor, ...)
+ * @param {object} company - Company record (with fiscalCredential)
+ * @param {string} userId - User ID
+ * @param {object} options - Issuance options
+ * @param {string} options.source - Status history source (default: 'api')
+ * @param {boolean} options.notify - Create success/error notifications (default: true)
+ * @param {boolean} options.queueIfOffline - Queue for retry when the municipality is offline (default: false)
+ * @param {boolean} options.checkDuplicates - Block suspected duplicates unless actionData.ignorar_duplicidade (default: true)
+ * @param {string} options.invoiceUsageId - Pay per Use charge of a previous failed attempt, reused instead of charging again
+ * @param {Function} options.onProgress - Called with the current step: 'validating', 'numbering', 'emitting', 'saving'
+ * @returns {Promise<object>} { invoice, invoiceData } or { queued: true, queueEntry, invoiceData }
+ */
+export async function issueInvoice(actionData, company, userId, options = {}) {
+  const { source = 'api', notify = true, queueIfOffline = false, checkDuplicates = true, invoiceUsageId = null } = options;
+  const onProgress = options.onProgress || (() => {});
+
+  onProgress('validating');
+
+  // Comprehensive plan limits validation
+  const { validatePlanLimitsForIssuance } = await import('./planService.js');
+  const limitsValidation = await validatePlanLimitsForIssuance(userId, company.id);
+  
+  // Log validation result for debugging
+  console.log('[Invoice] Plan limits validation:', {
+    valid: limitsValidation.valid,
+    planId: limitsValidation.planId,
+    planName: limitsValidation.planName,
+    invoiceLimit: limitsValidation.invoiceLimit,
+    errors: limitsValidation.errors,
+    warnings: limitsValidation.warnings
+  });
+  
+  if (!limitsValidation.valid) {
+    // Build comprehensive error message with suggestions
+    let errorMessage = '';
+    const errorDetails = [];
+    
+    limitsValidation.errors.forEach((error, index) => {
+      if (index > 0) errorMessage += '\n\n';
+      
+      errorMessage += `❌ ${error.message}`;
+      
+      if (error.details) {
+        errorDetails.push({
+          code: error.code,
+          current: error.details.current,
+          max: error.details.max,
+          remaining: error.details.remaining
+        });
+        
+        // Add detailed information about current usage
+        errorMessage += `\n\n📊 Uso atual: ${error.details.current}/${error.details.max} notas emitidas este mês.`;
+        if (error.details.remaining !== undefined) {
+          errorMessage += `\n📈 Restantes: ${error.details.remaining} nota${error.details.remaining !== 1 ? 's' : ''}.`;
+        }
+      }
+      
+      // Add suggestions
+      if (error.suggestions && error.suggestions.length > 0) {
+        errorMessage += '\n\n💡 Opções disponíveis:';
+        error.suggestions.forEach((suggestion, sugIndex) => {
+          errorMessage += `\n${sugIndex + 1}. ${suggestion.message}`;
+        });
+      }
+    });
+    
+    // Add warnings if any
+    if (limitsValidation.warnings && limitsValidation.warnings.length > 0) {
+      errorMessage += '\n\n⚠️ Avisos:';
+      limitsValidation.warnings.forEach(warning => {
+        errorMessage += `\n• ${warning.message}`;
+      });
+    }
+    
+    console.log('[Invoice] Blocking invoice issuance due to plan limits:', {
+      errorCode: limitsValidation.errors[0].code,
+      errorMessage: errorMessage.substring(0, 200) + '...'
+    });
+    
+    throw new AppError(
+      errorMessage,
+      403,
+      limitsValidation.errors[0].code,
+      {
+        validation: limitsValidation,
+        errorDetails
+      }
+    );
+  }
+  
+  // Show warnings if any (non-blocking)
+  if (limitsValidation.warnings && limitsValidation.warnings.length > 0) {
+    console.warn('[Invoice] Plan limit warnings:', limitsValidation.warnings);
+  }
+
+  // Duplicate-risk check before any charge or emission
+  if (checkDuplicates) {
+    await assertNoDuplicateInvoice(actionData, company.id);
+  }
+
+  // ========================================
+  // PAY PER USE: Charge user for invoice emission
+  // ========================================
+  let invoiceUsageRecord = null;
+
+  // Retry of an emission already paid for
+  if (limitsValidation.isPayPerUse && invoiceUsageId) {
+    invoiceUsageRecord = await prisma.invoiceUsage.findFirst({
+      where: { id: invoiceUsageId, userId, status: 'paid', invoiceId: null }
+    });
+  }
+  
+  if (limitsValidation.isPayPerUse && !invoiceUsageRecord) {
+    console.log('[Invoice] Pay Per Use plan detected, processing payment...');
+    
+    // Get user's Stripe customer ID
+    let user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, name: true, stripeCustomerId: true }
+    });
+    
+    // Import Stripe SDK
+    const { chargeOneTimePayment, getCustomerPaymentMethods, ensureCustomerExists } = await import('./stripeSDK.js');
+    
+    // Verify Stripe customer exists (handle case where customer was deleted/switched accounts)
+    let validCustomerId = user.stripeCustomerId;
+    if (user.stripeCustomerId) {
+      try {
+        const { customerId, wasRecreated } = await ensureCustomerExists({
+          email: user.email,
+          name: user.name,
+          existingStripeId: user.stripeCustomerId
+        });
+        
+        if (wasRecreated) {
+          console.log(`[Invoice] Stripe customer was recreated: ${user.stripeCustomerId} -> ${customerId}`);
+          // Update user's stripeCustomerId in database
+          await prisma.user.update({
+            where: { id: userId },
+            data: { stripeCustomerId: customerId }
+          });
+          validCustomerId = customerId;
+          
+          // Customer was recreated, they need to add a payment method again
+          throw new AppError(
+            'Sua conta de pagamento foi reconfigurada.\n\n' +
+            'Para emitir notas no plano Pay per Use, você precisa cadastrar novamente seu cartão de crédito.\n\n' +
+            '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
+            402,
+            'PAYMENT_METHOD_REQUIRED'
+          );
+        }
+      } catch (error) {
+        if (error.code === 'PAYMENT_METHOD_REQUIRED') {
+          throw error;
+        }
+        console.error('[Invoice] Error verifying Stripe customer:', error.message);
+        throw new AppError(
+          'Erro ao verificar conta de pagamento.\n\n' +
+          'Por favor, tente novamente. Se o problema persistir, acesse **Configurações** > **Assinatura** para reconfigurar seu cartão.',
+          500,
+          'STRIPE_CUSTOMER_ERROR'
+        );
+      }
+    }
+    
+    if (!validCustomerId) {
+      throw new AppError(
+        'Método de pagamento não configurado.\n\n' +
+        'Para emitir notas no plano Pay per Use, você precisa cadastrar um cartão de crédito.\n\n' +
+        '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
+        402,
+        'PAYMENT_METHOD_REQUIRED'
+      );
+    }
+    
+    // Check if customer has a payment method
+    const paymentMethods = await getCustomerPaymentMethods(validCustomerId);
+    if (paymentMethods.length === 0) {
+      throw new AppError(
+        'Nenhum cartão cadastrado.\n\n' +
+        'Para emitir notas no plano Pay per Use (R$ 9,00 por nota), você precisa cadastrar um cartão de crédito.\n\n' +
+        '💳 Acesse **Configurações** > **Assinatura** para adicionar seu cartão.',
+        402,
+        'PAYMENT_METHOD_REQUIRED'
+      );
+    }
+    
+    // Use first card (same one we validated) so charge never fails for "no default" edge cases
+    const paymentMethodIdToCharge = paymentMethods[0].id;
+    
+    const invoiceValue = parseFloat(actionData.valor);
+    const perInvoicePrice = limitsValidation.perInvoicePrice || 900; // R$9.00 in cents
+    
+    try {
+      // Charge the user
+      const paymentResult = await chargeOneTimePayment({
+        customerId: validCustomerId,
+        paymentMethodId: paymentMethodIdToCharge,
+        amount: perInvoicePrice,
+        currency: 'brl',
+        description: `MAY - Nota Fiscal: ${actionData.cliente_nome} - R$ ${invoiceValue.toFixed(2)}`,
+        metadata: {
+          userId: userId,
+          companyId: company.id,
+          invoiceValue: invoiceValue.toString(),
+          clienteName: actionData.cliente_nome,
+          type: 'pay_per_use_invoice'
+        }
+      });
+      
+      if (!paymentResult.success) {
+        if (paymentResult.requiresAction) {
+          throw new AppError(
+            'Seu cartão requer autenticação adicional (3D Secure).\n\n' +
+            'Por favor, acesse **Configurações** > **Assinatura** para completar a verificação do cartão.',
+            402,
+            'PAYMENT_REQUIRES_ACTION',
+            { clientSecret: paymentResult.clientSecret }
+          );
+        }
+        throw new AppError('Falha no pagamento. Verifique seu cartão.', 402, 'PAYMENT_FAILED');
+      }
+      
+      console.log('[Invoice] ✅ Pay Per Use payment successful:', paymentResult.paymentIntentId);
+      
+      // Create InvoiceUsage record
+      const now = new Date();
+      invoiceUsageRecord = await prisma.invoiceUsage.create({
+        data: {
+          userId: userId,
+          companyId: company.id,
+          planId: 'pay_per_use',
+          periodYear: now.getFullYear(),
+          periodMonth: now.getMonth() + 1,
+          amount: perInvoicePrice,
+          status: 'paid',
+          paymentOrderId: paymentResult.paymentIntentId
+        }
+      });
+      
+      console.log('[Invoice] InvoiceUsage record created:', invoiceUsageRecord.id);
+      
+    } catch (paymentError) {
+      console.error('[Invoice] Pay Per Use payment failed:', paymentError.message);
+      
+      // Translate common Stripe errors
+      let errorMessage = 'Não foi possível processar o pagamento.';
+      
+      if (paymentError.message.includes('CARD_ERROR')) {
+        errorMessage = 'Cartão recusado. Por favor, verifique os dados do cartão ou tente outro cartão.';
+      } else if (paymentError.message.includes('PAYMENT_METHOD_REQUIRED')) {
+        errorMessage = 'Método de pagamento não encontrado. Cadastre um cartão em Configurações > Assinatura.';
+      } else if (paymentError.code === 'PAYMENT_REQUIRES_ACTION') {
+        throw paymentError; // Re-throw to preserve the error details
+      }
+      
+      // Create failed InvoiceUsage record for tracking
+      await prisma.invoiceUsage.create({
+        data: {
+          userId: userId,
+          companyId: company.id,
+          planId: 'pay_per_use',
+          periodYear: new Date().getFullYear(),
+          periodMonth: new Date().getMonth() + 1,
+          amount: perInvoicePrice,
+          status: 'failed',
+          paymentOrderId: null
+        }
+      });
+      
+      throw new AppError(
+        `💳 **Pagamento não autorizado**\n\n${errorMessage}\n\n` +
+        `O plano Pay per Use cobra R$ 9,00 por nota fiscal emitida.\n\n` +
+        `Acesse **Configurações** > **Assinatura** para atualizar seu cartão.`,
+        402,
+        'PAYMENT_FAILED'
+      );
+    }
+  }
+
+  // Check if the company's fiscal provider is configured
+  const fiscalProvider = getFiscalProvider(company);
+  if (!fiscalProvider.isConfigured()) {
+    throw new AppError(
+      'Integração fiscal não configurada. Para emitir notas fiscais, configure as credenciais da ACBr API (ACBR_API_CLIENT_ID e ACBR_API_CLIENT_SECRET).',
+      503,
+      'SERVICE_NOT_CONFIGURED'
+    );
+  }
+
+  // Validate required fields
+  if (!actionData.cliente_nome) {
+    throw new AppError('Nome do cliente é obrigatório', 400, 'VALIDATION_ERROR');
+  }
+  if (!actionData.valor || parseFloat(actionData.valor) <= 0) {
+    throw new AppError('Valor deve ser maior que zero', 400, 'VALIDATION_ERROR');
+  }
+
+  // Check if company is registered in ACBr API
+  if (!company.acbrApiId) {
+    throw new AppError(
+      'Empresa não registrada na ACBr API. Por favor, registre a empresa primeiro usando o botão "Verificar conexão com prefeitura".',
+      400,
+      'COMPANY_NOT_REGISTERED'
+    );
+  }
+
+  // Validate municipality support before issuance (non-blocking)
+  const { validateMunicipalitySupport } = await import('./municipalityService.js');
+  try {
+    await validateMunicipalitySupport(company);
+  } catch (municipalityError) {
+    if (!company.codigoMunicipio || company.codigoMunicipio.replace(/\D/g, '').length !== 7) {
+    throw new AppError(
+        'Código do município (IBGE) não configurado ou inválido. Acesse "Minha Empresa" e preencha o CEP para obter o código automaticamente.',
+      400,
+        'MUNICIPALITY_NOT_CONFIGURED',
+      { codigo_municipio: company.codigoMunicipio }
+    );
+    }
+    console.warn(`[Invoice] Municipality validation warning: ${municipalityError.message}. Proceeding anyway.`);
+  }
+
+  // Validate fiscal connection before issuance (non-blocking for testing)
+  const { validateFiscalConnection } = await import('./acbrConnectionService.js');
+  let fiscalConnectionValid = true;
+  try {
+    await validateFiscalConnection(company);
+  } catch (connectionError) {
+    fiscalConnectionValid = false;
+    console.warn(`[Invoice] Fiscal connection warning: ${connectionError.message}. Proceeding to let ACBr API validate.`);
+    
+    // Handle different connection error types
+    if (connectionError.code === 'FISCAL_NOT_CONNECTED') {
+      if (!company.fiscalCredential) {
+    throw new AppError(
+        'Certificado digital não configurado.\n\nPara emitir notas fiscais, você precisa:\n1. Ir em "Minha Empresa"\n2. Na aba "Integração Fiscal", fazer upload do certificado digital (.pfx)\n3. Informar a senha do certificado\n\nSe você não possui um certificado digital, adquira um e-CNPJ A1 ou A3.',
+      400,
+        'CERTIFICATE_REQUIRED',
+        { step: 'upload_certificate' }
+    );
+      } else {
+        // Has credential but not connected - might need to test connection
+        throw new AppError(
+          'Empresa cadastrada, mas conexão não estabelecida.\n\nConfigure certificado digital ou credenciais municipais e teste a conexão na aba "Integração Fiscal".',
+          400,
+          'NOT_CONNECTED',
+          { step: 'test_connection' }
+        );
+      }
+    }
+  }
+
+  // Validate certificate not expired
+  const { validateCertificateNotExpired } = await import('./certificateLifecycleService.js');
+  try {
+    await validateCertificateNotExpired(company.id);
+  } catch (certError) {
+    const { translateErrorForUser } = await import('./errorTranslationService.js');
+    const translatedError = translateErrorForUser(certError, {
+      municipality: company.cidade
+    });
+    
+    throw new AppError(
+      translatedError,
+      400,
+      'CERTIFICATE_EXPIRED',
+      { companyId: company.id }
+    );
+  }
+
+  // ============================================
+  // Client Validation and Auto-Creation
+  // ============================================
+  let clientData = {
+    nome: actionData.cliente_nome,
+    documento: actionData.cliente_documento ? actionData.cliente_documento.replace(/\D/g, '') : ''
+  };
+
+  // Foreign clients have no CPF/CNPJ: match by id or by their foreign tax ID (NIF)
+  const foreignClient = (actionData.cliente_id || actionData.cliente_documento)
+    ? await prisma.client.findFirst({
+        where: {
+          userId: userId,
+          pais: { not: 'BR' },
+          ...(actionData.cliente_id
+            ? { id: actionData.cliente_id }
+            : { nif: actionData.cliente_documento.trim() })
+        }
+      })
+    : null;
+  let clientRecord = foreignClient;
+
+  if (foreignClient) {
+    console.log(`[Invoice] Found foreign client: ${foreignClient.nome} (${foreignClient.pais})`);
+    clientData = { nome: foreignClient.nome, documento: '', id: foreignClient.id };
+  } else if (clientData.documento) {
+    // Try to find existing client by document first (most reliable)
+    const existingByDoc = await prisma.client.findFirst({
+      where: {
+        userId: userId,
+        documento: clientData.documento
+      }
+    });
+    
+    if (existingByDoc) {
+      console.log(`[Invoice] Found client by document: ${existingByDoc.nome} (${existingByDoc.documento})`);
+      clientData.nome = existingByDoc.nome;
+      clientData.documento = existingByDoc.documento;
+      clientData.id = existingByDoc.id;
+      clientRecord = existingByDoc;
+    } else {
+      // Client with this document doesn't exist - auto-create
+      console.log(`[Invoice] Client not found by document, auto-creating...`);
+      const tipoPessoa = clientData.documento.length === 11 ? 'pf' : 'pj';
+      
+      const newClient = await prisma.client.create({
+        data: {
+          userId: userId,
+          nome: clientData.nome,
+          documento: clientData.documento,
+          tipoPessoa
+        }
+      });
+      
+      console.log(`[Invoice] Auto-created client: ${newClient.nome} (${newClient.documento})`);
+      clientData.id = newClient.id;
+    }
+  } else {
+    // No document provided - try to find by name
+    const existingByName = await prisma.client.findFirst({
+      where: {
+        userId: userId,
+        nome: {
+          contains: actionData.cliente_nome,
+          mode: 'insensitive'
+        }
+      }
+    });
+    
+    if (existingByName) {
+      console.log(`[Invoice] Found client by name: ${existingByName.nome} (${existingByName.documento})`);
+      clientData.nome = existingByName.nome;
+      clientData.documento = existingByName.documento;
+      clientData.id = existingByName.id;
+      clientRecord = existingByName;
+    } else {
+      // Client not found and no document - return error
+      throw new AppError(
+        `Cliente "${actionData.cliente_nome}" não encontrado no cadastro.\n\n` +
+        `Para emitir a nota, você precisa:\n` +
+        `1. Informar o CPF ou CNPJ do cliente, ou\n` +
+        `2. Cadastrar o cliente primeiro dizendo:\n   "Cadastrar cliente ${actionData.cliente_nome} CPF 123.456.789-00"`,
+        400,
+        'CLIENT_NOT_FOUND',
+        { 
+          clienteName: actionData.cliente_nome,
+          requiresDocument: true 
+        }
+      );
+    }
+  }
+  
+  console.log(`[Invoice] Using client data: ${clientData.nome} (${clientData.documento})`);
+
+  // Get regime-specific defaults
+  const regimeDefaults = getRegimeInvoiceDefaults(company.regimeTributario, company);
+  const recommendedIssRate = getRecommendedIssRate(company.regimeTributario, company);
+  
+  // Prepare invoice data with regime-specific defaults and validated client data
+  const invoiceData = {
+    cliente_nome: clientData.nome,
+    cliente_documento: clientData.documento,
+    descricao_servico: actionData.descricao_servico || 'Serviço prestado',
+    valor: parseFloat(actionData.valor),
+    aliquota_iss: parseFloat(actionData.aliquota_iss || recommendedIssRate || regimeDefaults.aliquota_iss),
+    municipio: actionData.municipio || company.cidade,
+    data_prestacao: actionData.data_prestacao || new Date().toISOString().split('T')[0],
+    codigo_servico: actionData.codigo_servico || regimeDefaults.codigo_servico,
+    iss_retido: actionData.iss_retido || regimeDefaults.iss_retido,
+    // Receivable due date (defaults to the company payment term)
+    ...(actionData.data_vencimento && { data_vencimento: actionData.data_vencimento })
+  };
+
+  // Federal retentions (amounts) withheld by the tomador
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    if (actionData[`valor_${type}`] !== undefined && actionData[`valor_${type}`] !== null && actionData[`valor_${type}`] !== '') {
+      invoiceData[`valor_${type}`] = parseFloat(actionData[`valor_${type}`]);
+    }
+  }
+
+  // Discounts and deductions from the ISS base
+  Object.assign(invoiceData, pickDeductions(actionData));
+
+  // Export of services: ISS does not apply and the foreign currency is recorded
+  const exportErrors = [];
+  if (isForeignClient(clientRecord)) {
+    invoiceData.tomador_exterior = buildTomadorExterior(clientRecord);
+    invoiceData.aliquota_iss = 0;
+    invoiceData.iss_retido = false;
+    exportErrors.push(...applyExportCurrency(invoiceData, actionData));
+  }
+
+  const valueErrors = [...exportErrors, ...validateDeductions(invoiceData), ...validateRetentions(invoiceData)];
+  if (valueErrors.length > 0) {
+    throw new AppError(valueErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
+  // Validate invoice against regime rules
+  const validation = await validateInvoiceForRegime(invoiceData, company);
+  if (!validation.valid) {
+    throw new AppError(
+      `Validação do regime tributário falhou: ${validation.errors.join(', ')}`,
+      400,
+      'REGIME_VALIDATION_ERROR'
+    );
+  }
+
+  // DPS number consumed by this emission, reported with the error so callers can look for the note
+  let consumedRpsNumero = null;
+
+  try {
+    onProgress('numbering');
+
+    // Atomic next RPS numero per company (concurrent-safe for DPS numbering)
+    const { lastRpsNumero: nextRpsNumero } = await prisma.company.update({
+      where: { id: company.id },
+      data: { lastRpsNumero: { increment: 1 } },
+      select: { lastRpsNumero: true }
+    });
+    consumedRpsNumero = nextRpsNumero;
+    const companyForEmission = { ...company, nextRpsNumero };
+
+    // Emit NFS-e via the company's fiscal provider
+    onProgress('emitting');
+    const nfseResult = await fiscalProvider.emitNfse(invoiceData, companyForEmission);
+    onProgress('saving');
+
+    // Calculate ISS value over the deducted base
+    const valorIss = calculateIssAmount(invoiceData);
+
+    // Save invoice to database
+    const invoice = await prisma.invoice.create({
+      data: {
+        companyId: company.id,
+        clienteNome: invoiceData.cliente_nome,
+        clienteDocumento: invoiceData.cliente_documento || '',
+        descricaoServico: invoiceData.descricao_servico,
+        valor: invoiceData.valor,
+        aliquotaIss: invoiceData.aliquota_iss,
+        valorIss: valorIss,
+        issRetido: Boolean(invoiceData.iss_retido),
+        ...buildDeductionInvoiceFields(invoiceData),
+        ...buildRetentionInvoiceFields(invoiceData),
+        ...buildExportInvoiceFields(invoiceData),
+        ...buildReceivableInvoiceFields(invoiceData, company),
+        municipio: invoiceData.municipio,
+        status: nfseResult.nfse.status || 'processando',
+        numero: nfseResult.nfse.numero ? String(nfseResult.nfse.numero) : null,
+        codigoVerificacao: nfseResult.nfse.codigo_verificacao,
+        dataEmissao: new Date(),
+        dataPrestacao: new Date(invoiceData.data_prestacao),
+        codigoServico: invoiceData.codigo_servico,
+        pdfUrl: nfseResult.nfse.pdf_url,
+        xmlUrl: nfseResult.nfse.xml_url,
+        acbrApiId: nfseResult.nfse.acbr_api_id,
+        simulada: isSimulatedNfseId(nfseResult.nfse.acbr_api_id),
+        numeroDps: nextRpsNumero,
+        serieDps: DPS_SERIE,
+        // Link to InvoiceUsage record for Pay Per Use tracking
+        invoiceUsageId: invoiceUsageRecord?.id || null
+      }
+    });
+    
+    // Update InvoiceUsage with invoice ID (for Pay Per Use tracking)
+    if (invoiceUsageRecord) {
+      await prisma.invoiceUsage.update({
+        where: { id: invoiceUsageRecord.id },
+        data: { invoiceId: invoice.id }
+      });
+      console.log('[Invoice] InvoiceUsage linked to invoice:', invoice.id);
+    }
+
+    // Create initial status history entry
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: invoice.id,
+        status: invoice.status,
+        message: 'Nota fiscal criada e enviada para processamento',
+        source,
+        metadata: {
+          acbr_api_id: nfseResult.nfse.acbr_api_id,
+          numero_dps: nextRpsNumero,
+          initial_status: invoice.status
+        }
+      }
+    });
+
+    // If status is 'processando', it will be polled automatically by background service
+    if (invoice.status === 'processando' || invoice.status === 'pendente') {
+      console.log(`[Invoice] Invoice ${invoice.id} is processing, will be polled automatically`);
+    } else if (invoice.status === 'autorizada') {
+      deliverAuthorizedInvoice(invoice.id);
+    }
+
+    // MEI: refresh annual limit alerts with the new revenue
+    if (company.regimeTributario === 'MEI') {
+      const { checkMEILimit } = await import('./meiLimitTracking.js');
+      await checkMEILimit(company.id, userId);
+    }
+
+    // Create success notification
+    if (notify) {
+      await prisma.notification.create({
+        data: {
+          userId: userId,
+          titulo: 'Nota Fiscal Emitida',
+          mensagem: `Nota fiscal ${invoice.numero || 'NFS-e'} emitida com sucesso para ${invoiceData.cliente_nome}`,
+          tipo: 'sucesso',
+          invoiceId: invoice.id
+        }
+      });
+    }
+
+    return { invoice, invoiceData };
+  } catch (error) {
+    console.error('[InvoiceIssuance] Error emitting invoice:', error);
+    console.error('[InvoiceIssuance] Error status:', error.status);
+    console.error('[InvoiceIssuance] Error code:', error.code);
+
+    // Municipality offline: hand the invoice over to the retry queue instead of failing
+    if (queueIfOffline) {
+      const { isMunicipalityOfflineError, queueInvoiceForRetry } = await import('./municipalityRetryService.js');
+      if (isMunicipalityOfflineError(error)) {
+        const queueEntry = await queueInvoiceForRetry(invoiceData, company, userId, error.message);
+        return { queued: true, queueEntry, invoiceData };
+      }
+    }
+
+    // Translate error to user-friendly Portuguese
+    const { translateErrorForUser } = await import('./errorTranslationService.js');
+    const translatedError = translateErrorForUser(error, {
+      municipality: company.cidade,
+      companyName: company.razaoSocial || company.nomeFantasia,
+      includeTechnicalDetails: false
+    });
+
+    // Create error notification with translated message
+    if (notify) {
+      await prisma.notification.create({
+        data: {
+          userId: userId,
+          titulo: 'Erro ao Emitir Nota Fiscal',
+          mensagem: translatedError,
+          tipo: 'erro'
+        }
+      });
+    }
+
+    // Preserve the error code from ACBr API (especially for 403 permission errors)
+    // This ensures we show the correct error type (municipality permission vs plan limit)
+    const errorCode = error.code || (error.status === 403 ? 'MUNICIPALITY_PERMISSION_DENIED' : (error.status === 401 ? 'MUNICIPALITY_AUTH_ERROR' : 'INVOICE_EMISSION_ERROR'));
+    const statusCode = error.status || 500;
+
+    // Throw translated error with correct code
+    throw new AppError(
+      translatedError,
+      statusCode,
+      errorCode,
+      {
+        originalError: error.message, // Keep original for debugging
+        ...(invoiceUsageRecord ? { invoiceUsageId: invoiceUsageRecord.id } : {}),
+        ...(consumedRpsNumero ? { numeroDps: consumedRpsNumero } : {}),
+        ...(errorCode === 'DPS_SCHEMA_INVALID' ? { errors: error.data?.errors } : {})
+      }
+    );
+  }
+}
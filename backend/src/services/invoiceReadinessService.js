@@ -0,0 +1,486 @@
+/**
+ * Invoice Readiness Service
+ * Dry run of the emission path: every pre-emission check, without emitting, charging the
+ * Pay per Use card or consuming a DPS number
+ *
+ * - Fiscal connection, certificate, municipality support and service code
+ * - Regime rules, MEI annual limit and plan limits
+ * - Tomador document (CPF/CNPJ check digits, registered client) and invoice values
+ * - DPS built from the invoice against the national layout (field-level errors)
+ * - Cancellation window that applies once the invoice is authorized
+ *
+ * Each check reports pass, warn or fail; any fail means the emission would be refused.
+ */
+
+import { prisma } from '../lib/prisma.js';
+import {
+  validateServiceCode,
+  getMunicipalParameters,
+  normalizeCodigoServico,
+  buildDpsPreview,
+  isValidCPF,
+  isValidCNPJ
+} from './acbrApi.js';
+import { checkMunicipalitySupportCached } from './municipalityCacheService.js';
+import { isFiscalProviderConfigured } from './fiscalProvider.js';
+import { validateInvoiceForRegime, getRecommendedIssRate, getRegimeInvoiceDefaults } from './regimeRules.js';
+import { calculateYearlyRevenue, getMEILimitForYear } from './meiLimitTracking.js';
+import { validatePlanLimitsForIssuance } from './planService.js';
+import { getCancellationRules } from './cancellationService.js';
+import { FEDERAL_RETENTION_TYPES, validateRetentions } from './federalRetentions.js';
+import { pickDeductions, validateDeductions, validateDeductionsForMunicipality } from './invoiceDeductions.js';
+import { isForeignClient, buildTomadorExterior, applyExportCurrency } from './foreignTomador.js';
+import { translateError } from './errorTranslationService.js';
+
+export const READINESS_CHECKS = {
+  fiscal_connection: 'Conexão com a prefeitura',
+  certificate: 'Certificado digital',
+  municipality: 'Município',
+  service_code: 'Código de serviço',
+  regime: 'Regras do regime tributário',
+  mei_limit: 'Limite anual do MEI',
+  plan_limits: 'Limites do plano',
+  document: 'Documento do tomador',
+  values: 'Valores da nota',
+  dps_layout: 'Leiaute da DPS',
+  cancellation_window: 'Prazo de cancelamento'
+};
+
+const CERTIFICATE_WARNING_DAYS = 30;
+const MEI_WARNING_PERCENTAGE = 70;
+
+const formatCurrency = (value) => `R$ ${value.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function check(id, status, message, extra = {}) {
+  return { id, label: READINESS_CHECKS[id], status, message, ...extra };
+}
+
+/**
+ * Fail result from an error thrown by one of the emission validations
+ */
+function failFromError(id, error, company) {
+  const translation = translateError(error, { municipality: company.cidade });
+  return check(id, 'fail', error.message, { code: error.code || null, action: translation.action });
+}
+
+/**
+ * Certificate expiry warning (the expired case is refused by validateCertificateNotExpired)
+ *
+ * @param {object|null} credential - Company fiscal credential
+ * @param {Date} now - Reference date
+ * @returns {object} Check result
+ */
+export function evaluateCertificate(credential, now = new Date()) {
+  if (!credential) {
+    return check('certificate', 'fail', 'Certificado digital não configurado.', {
+      action: 'Envie o certificado digital (.pfx) em "Minha Empresa" > "Integração Fiscal".'
+    });
+  }
+  if (credential.type !== 'certificate' || !credential.expiresAt) {
+    return check('certificate', 'pass', 'Emissão com credenciais municipais.');
+  }
+
+  const expiresAt = new Date(credential.expiresAt);
+  const daysLeft = Math.ceil((expiresAt - now) / (24 * 60 * 60 * 1000));
+  const expiresLabel = expiresAt.toLocaleDateString('pt-BR');
+
+  if (daysLeft <= 0) {
+    return check('certificate', 'fail', `Certificado digital expirado em ${expiresLabel}.`, {
+      action: 'Renove o certificado e envie o novo arquivo em "Minha Empresa".'
+    });
+  }
+  if (daysLeft <= CERTIFICATE_WARNING_DAYS) {
+    return check('certificate', 'warn', `Certificado digital vence em ${daysLeft} dia(s) (${expiresLabel}).`, {
+      action: 'Providencie a renovação para não interromper as emissões.'
+    });
+  }
+  return check('certificate', 'pass', `Certificado válido até ${expiresLabel}.`);
+}
+
+/**
+ * CPF/CNPJ of the tomador, as it will be sent to the prefeitura
+ *
+ * @param {string} documento - Informed document (any format)
+ * @param {object|null} client - Registered client matched for the invoice
+ * @returns {object} Check result
+ */
+export function evaluateTomadorDocument(documento, client = null) {
+  if (isForeignClient(client)) {
+    return check('document', 'pass', `Tomador no exterior (${client.pais}), identificado pelo NIF.`);
+  }
+
+  let digits = (documento || client?.documento || '').replace(/\D/g, '');
+  if (!digits) {
+    return check('document', 'fail', 'CPF ou CNPJ do cliente não informado.', {
+      code: 'CLIENT_NOT_FOUND',
+      action: 'Informe o CPF ou CNPJ do cliente ou cadastre o cliente antes de emitir.'
+    });
+  }
+
+  // Same zero padding as the DPS
+  if (digits.length <= 11) digits = digits.padStart(11, '0');
+  else if (digits.length <= 14) digits = digits.padStart(14, '0');
+
+  const kind = digits.length === 11 ? 'CPF' : 'CNPJ';
+  const valid = digits.length === 11 ? isValidCPF(digits) : digits.length === 14 && isValidCNPJ(digits);
+  if (!valid) {
+    return check('document', 'fail', digits.length > 14
+      ? 'CPF deve ter 11 dígitos ou CNPJ 14 dígitos.'
+      : `O ${kind} informado não é válido (dígitos verificadores incorretos).`, {
+      code: digits.length > 14 ? 'INVALID_DOCUMENT' : `INVALID_${kind}`,
+      action: `Confira o ${kind} do cliente.`
+    });
+  }
+
+  if (!client) {
+    return check('document', 'pass', `${kind} válido. O cliente será cadastrado automaticamente.`);
+  }
+  return check('document', 'pass', `${kind} válido (${client.nome}).`);
+}
+
+/**
+ * MEI annual revenue after this invoice
+ *
+ * @param {number} yearlyRevenue - Revenue already invoiced in the year
+ * @param {number} valor - Value of the new invoice
+ * @param {Date|string|null} [openingDate] - Company.dataAbertura (proportional limit in the opening year)
+ * @returns {object} Check result
+ */
+export function evaluateMeiLimit(yearlyRevenue, valor, openingDate = null) {
+  const { limit, months, proportional } = getMEILimitForYear(openingDate);
+  const newTotal = yearlyRevenue + valor;
+  const percentage = (newTotal / limit) * 100;
+  const details = { faturamento_atual: yearlyRevenue, faturamento_apos: newTotal, limite: limit, proporcional: proportional };
+  const limitText = `${formatCurrency(limit)}${proportional ? `, proporcional a ${months} meses` : ''}`;
+
+  if (newTotal > limit) {
+    return check('mei_limit', 'fail',
+      `Esta nota ultrapassaria o limite anual do MEI (${limitText}): ${formatCurrency(newTotal)} após a emissão.`, {
+      code: 'MEI_LIMIT_EXCEEDED',
+      action: 'Avalie o desenquadramento para o Simples Nacional com seu contador.',
+      details
+    });
+  }
+  if (percentage >= MEI_WARNING_PERCENTAGE) {
+    return check('mei_limit', 'warn',
+      `Após esta nota, ${percentage.toFixed(1)}% do limite anual do MEI estará utilizado (restam ${formatCurrency(limit - newTotal)}).`,
+      { details });
+  }
+  return check('mei_limit', 'pass', `${percentage.toFixed(1)}% do limite anual do MEI utilizado após esta nota.`, { details });
+}
+
+/**
+ * Plan limits from validatePlanLimitsForIssuance
+ *
+ * @param {object} validation - Plan limits validation
+ * @returns {object} Check result
+ */
+export function evaluatePlanLimits(validation) {
+  if (!validation.valid) {
+    const [error] = validation.errors;
+    return check('plan_limits', 'fail', error.message, {
+      code: error.code,
+      action: error.suggestions?.[0]?.message || null
+    });
+  }
+  if (validation.warnings?.length > 0) {
+    return check('plan_limits', 'warn', validation.warnings.map(warning => warning.message).join(' '));
+  }
+
+  const { invoiceLimit = {} } = validation;
+  return check('plan_limits', 'pass', invoiceLimit.unlimited
+    ? `Plano ${validation.planName}: notas ilimitadas.`
+    : `Plano ${validation.planName}: ${invoiceLimit.remaining} de ${invoiceLimit.max} notas restantes este mês.`);
+}
+
+/**
+ * What the municipality allows once the invoice is authorized
+ *
+ * @param {object} company - Company (codigoMunicipio)
+ * @param {Date} now - Expected emission date
+ * @returns {object} Check result
+ */
+export function evaluateCancellationWindow(company, now = new Date()) {
+  const rules = getCancellationRules(company.codigoMunicipio);
+  const deadline = new Date(now.getTime() + rules.maxHoursAfterEmission * 60 * 60 * 1000);
+  const details = { max_hours: rules.maxHoursAfterEmission, deadline };
+  const deadlineLabel = deadline.toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short', timeZone: 'America/Sao_Paulo' });
+
+  if (!rules.notes) {
+    return check('cancellation_window', 'warn',
+      `Prazo de cancelamento do município não confirmado: considere até ${rules.maxHoursAfterEmission} horas após a emissão (${deadlineLabel}). Depois disso, correções só por substituição.`,
+      { details });
+  }
+  return check('cancellation_window', 'pass',
+    `${rules.notes}. Se emitida agora, pode ser cancelada até ${deadlineLabel}; depois disso, só por substituição.`,
+    { details });
+}
+
+/**
+ * Overall result of a readiness report
+ *
+ * @param {Array<object>} checks - Check results
+ * @returns {object} { ready, status, summary, checks }
+ */
+export function summarizeReadiness(checks) {
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  for (const item of checks) summary[item.status] += 1;
+
+  return {
+    ready: summary.fail === 0,
+    status: summary.fail > 0 ? 'fail' : summary.warn > 0 ? 'warn' : 'pass',
+    summary,
+    checks
+  };
+}
+
+async function checkFiscalConnection(company) {
+  if (!isFiscalProviderConfigured(company)) {
+    return check('fiscal_connection', 'fail', 'Integração fiscal não configurada no servidor.', { code: 'SERVICE_NOT_CONFIGURED' });
+  }
+  if (!company.acbrApiId) {
+    return check('fiscal_connection', 'fail', 'Empresa não registrada na ACBr API.', {
+      code: 'COMPANY_NOT_REGISTERED',
+      action: 'Use o botão "Verificar conexão com prefeitura" em "Minha Empresa".'
+    });
+  }
+  const { validateFiscalConnection } = await import('./acbrConnectionService.js');
+  try {
+    await validateFiscalConnection(company, { notify: false });
+    return check('fiscal_connection', 'pass', 'Empresa conectada à prefeitura.');
+  } catch (error) {
+    return failFromError('fiscal_connection', error, company);
+  }
+}
+
+async function checkCertificate(company) {
+  // Loaded on demand, like in the emission (its database helpers load the server entry point)
+  const { validateCertificateNotExpired } = await import('./certificateLifecycleService.js');
+  try {
+    await validateCertificateNotExpired(company.id);
+  } catch (error) {
+    return failFromError('certificate', error, company);
+  }
+  return evaluateCertificate(company.fiscalCredential);
+}
+
+async function checkMunicipality(company) {
+  const codigo = (company.codigoMunicipio || '').replace(/\D/g, '');
+  if (codigo.length !== 7) {
+    return check('municipality', 'fail', 'Código do município (IBGE) não configurado ou inválido.', {
+      code: 'MUNICIPALITY_NOT_CONFIGURED',
+      action: 'Acesse "Minha Empresa" e preencha o CEP para obter o código automaticamente.'
+    });
+  }
+
+  const support = await checkMunicipalitySupportCached(codigo);
+  if (support.supported === true) {
+    return check('municipality', 'pass', `${company.cidade || codigo} emite NFS-e pelo emissor nacional.`);
+  }
+  return check('municipality', 'warn', support.supported === false
+    ? `${company.cidade || codigo} não consta na lista de municípios atendidos; a prefeitura pode recusar a nota.`
+    : 'Não foi possível confirmar o suporte do município agora; a emissão seguirá normalmente.');
+}
+
+async function checkServiceCode(invoiceData, company) {
+  const codigo = normalizeCodigoServico(invoiceData.codigo_servico);
+  const codigoMunicipio = (company.codigoMunicipio || '').replace(/\D/g, '');
+  const validation = await validateServiceCode(codigo, codigoMunicipio);
+
+  if (!validation.valid) {
+    return check('service_code', 'fail', validation.error, { code: 'INVALID_SERVICE_CODE' });
+  }
+
+  const deductionErrors = validateDeductionsForMunicipality(
+    invoiceData,
+    await getMunicipalParameters(codigoMunicipio),
+    validation.cTribNac
+  );
+  if (deductionErrors.length > 0) {
+    return check('service_code', 'fail', deductionErrors.join('; '), { code: 'INVALID_DEDUCTIONS' });
+  }
+
+  if (validation.municipalCode) {
+    return check('service_code', 'pass', `Código ${validation.cTribNac} aceito pelo município${validation.description ? ` (${validation.description})` : ''}.`);
+  }
+  return check('service_code', 'warn', `Código ${validation.cTribNac} no formato nacional, sem confirmação nos parâmetros do município.`);
+}
+
+async function checkRegime(invoiceData, company) {
+  const validation = await validateInvoiceForRegime(invoiceData, company, { skipAnnualLimit: true });
+  return validation.valid
+    ? check('regime', 'pass', `Nota de acordo com as regras do ${company.regimeTributario || 'regime tributário'}.`)
+    : check('regime', 'fail', validation.errors.join(' '), { code: 'REGIME_VALIDATION_ERROR' });
+}
+
+async function checkMeiLimit(invoiceData, company) {
+  if (company.regimeTributario !== 'MEI') return null;
+  return evaluateMeiLimit(await calculateYearlyRevenue(company.id), invoiceData.valor, company.dataAbertura);
+}
+
+async function checkPlanLimits(company, userId) {
+  return evaluatePlanLimits(await validatePlanLimitsForIssuance(userId, company.id));
+}
+
+function checkValues(invoiceData) {
+  const errors = [
+    ...(!invoiceData.cliente_nome ? ['Nome do cliente é obrigatório'] : []),
+    ...(!(invoiceData.valor > 0) ? ['Valor deve ser maior que zero'] : []),
+    ...validateDeductions(invoiceData),
+    ...validateRetentions(invoiceData)
+  ];
+  return errors.length > 0
+    ? check('values', 'fail', errors.join(', '), { code: 'VALIDATION_ERROR' })
+    : check('values', 'pass', `Valor de ${formatCurrency(invoiceData.valor)} com alíquota de ISS de ${invoiceData.aliquota_iss}%.`);
+}
+
+function checkDpsLayout(invoiceData, company) {
+  let preview;
+  try {
+    preview = buildDpsPreview(invoiceData, { ...company, nextRpsNumero: company.lastRpsNumero + 1 });
+  } catch (error) {
+    // Document, deduction and retention errors are already reported by their own checks
+    if (error.status === 400) return null;
+    throw error;
+  }
+
+  if (preview.errors.length > 0) {
+    return check('dps_layout', 'fail', preview.errors.map(error => `${error.field}: ${error.message}`).join('; '), {
+      code: 'DPS_SCHEMA_INVALID',
+      action: translateError({ code: 'DPS_SCHEMA_INVALID' }).action,
+      details: { errors: preview.errors }
+    });
+  }
+  return check('dps_layout', 'pass', 'DPS de acordo com o leiaute do Sistema Nacional NFS-e.');
+}
+
+/**
+ * Registered client the emission would use (foreign client by id/NIF, then document, then name)
+ */
+async function findInvoiceClient(actionData, userId) {
+  const documento = (actionData.cliente_documento || '').replace(/\D/g, '');
+
+  if (actionData.cliente_id || actionData.cliente_documento) {
+    const foreignClient = await prisma.client.findFirst({
+      where: {
+        userId,
+        pais: { not: 'BR' },
+        ...(actionData.cliente_id ? { id: actionData.cliente_id } : { nif: actionData.cliente_documento.trim() })
+      }
+    });
+    if (foreignClient) return foreignClient;
+  }
+  if (documento) {
+    return prisma.client.findFirst({ where: { userId, documento } });
+  }
+  if (!actionData.cliente_nome) return null;
+  return prisma.client.findFirst({
+    where: { userId, nome: { contains: actionData.cliente_nome, mode: 'insensitive' } }
+  });
+}
+
+/**
+ * Invoice data the emission would build from the request (regime defaults, registered client)
+ *
+ * @param {object} actionData - Invoice data, as sent to the emission
+ * @param {object} company - Company record
+ * @param {object|null} client - Registered client (see findInvoiceClient)
+ * @returns {object} Invoice data for the emission validations and the DPS
+ */
+function buildDryRunInvoiceData(actionData, company, client) {
+  const regimeDefaults = getRegimeInvoiceDefaults(company.regimeTributario, company);
+  const recommendedIssRate = getRecommendedIssRate(company.regimeTributario, company);
+  const foreign = isForeignClient(client);
+
+  const invoiceData = {
+    cliente_nome: client?.nome || actionData.cliente_nome,
+    cliente_documento: actionData.cliente_documento || client?.documento || '',
+    descricao_servico: actionData.descricao_servico || 'Serviço prestado',
+    valor: parseFloat(actionData.valor) || 0,
+    aliquota_iss: foreign ? 0 : parseFloat(actionData.aliquota_iss || recommendedIssRate || regimeDefaults.aliquota_iss),
+    data_prestacao: actionData.data_prestacao || new Date().toISOString().split('T')[0],
+    codigo_servico: actionData.codigo_servico || regimeDefaults.codigo_servico,
+    iss_retido: foreign ? false : Boolean(actionData.iss_retido ?? regimeDefaults.iss_retido),
+    ...pickDeductions(actionData)
+  };
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    if (actionData[`valor_${type}`] !== undefined && actionData[`valor_${type}`] !== null && actionData[`valor_${type}`] !== '') {
+      invoiceData[`valor_${type}`] = parseFloat(actionData[`valor_${type}`]);
+    }
+  }
+  if (foreign) {
+    invoiceData.tomador_exterior = buildTomadorExterior(client);
+    applyExportCurrency(invoiceData, actionData);
+  }
+  return invoiceData;
+}
+
+/**
+ * DPS XML the emission would send for an invoice, without emitting or consuming a DPS number
+ *
+ * @param {object} actionData - Invoice data, as sent to the emission
+ * @param {object} company - Company record
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { id, xml, valid, errors }
+ * @throws {Error} Invalid tomador document, deductions or retentions (status 400)
+ */
+export async function previewInvoiceDps(actionData, company, userId) {
+  const client = await findInvoiceClient(actionData, userId);
+  const invoiceData = buildDryRunInvoiceData(actionData, company, client);
+  return buildDpsPreview(invoiceData, { ...company, nextRpsNumero: company.lastRpsNumero + 1 });
+}
+
+/**
+ * Run every pre-emission check for an invoice
+ *
+ * @param {object} actionData - Invoice data, as sent to the emission
+ * @param {object} company - Company record (with fiscalCredential)
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { ready, status, summary, checks }
+ */
+export async function validateInvoiceReadiness(actionData, company, userId) {
+  const client = await findInvoiceClient(actionData, userId);
+  const invoiceData = buildDryRunInvoiceData(actionData, company, client);
+
+  // A check that cannot run (API down, database hiccup) is reported, not fatal
+  const run = async (id, fn) => {
+    try {
+      return await fn();
+    } catch (error) {
+      console.warn(`[InvoiceReadiness] Check ${id} could not run:`, error.message);
+      return check(id, 'warn', `Não foi possível verificar agora: ${error.message}`);
+    }
+  };
+
+  const checks = [];
+  for (const [id, fn] of [
+    ['fiscal_connection', () => checkFiscalConnection(company)],
+    ['certificate', () => checkCertificate(company)],
+    ['municipality', () => checkMunicipality(company)],
+    ['service_code', () => checkServiceCode(invoiceData, company)],
+    ['regime', () => checkRegime(invoiceData, company)],
+    ['mei_limit', () => checkMeiLimit(invoiceData, company)],
+    ['plan_limits', () => checkPlanLimits(company, userId)],
+    ['document', () => evaluateTomadorDocument(actionData.cliente_documento, client)],
+    ['values', () => checkValues(invoiceData)],
+    ['dps_layout', () => checkDpsLayout(invoiceData, company)],
+    ['cancellation_window', () => evaluateCancellationWindow(company)]
+  ]) {
+    const result = await run(id, fn);
+    if (result) checks.push(result);
+  }
+
+  return summarizeReadiness(checks);
+}
+
+export default {
+  READINESS_CHECKS,
+  evaluateCertificate,
+  evaluateTomadorDocument,
+  evaluateMeiLimit,
+  evaluatePlanLimits,
+  evaluateCancellationWindow,
+  summarizeReadiness,
+  previewInvoiceDps,
+  validateInvoiceReadiness
+};
@@ -12,17 +12,22 @@
  * - Progressive backoff (poll less frequently for older invoices)
  * - Status history tracking
  * - Automatic notifications
+ * - Delivery of authorized invoices to the client's email
  * - AI-friendly status updates
  */
 
 import { prisma } from '../lib/prisma.js';
-import { checkNfseStatus } from './acbrApi.js';
+import { getFiscalProvider } from './fiscalProvider.js';
 import { translateErrorForUser } from './errorTranslationService.js';
 import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { syncSubstitutionStatus } from './invoiceSubstitutionService.js';
+import { deliverAuthorizedInvoice } from './invoiceDeliveryService.js';
 
 const POLLING_INTERVAL_MS = 2 * 60 * 1000;
 const MAX_POLLING_ATTEMPTS = 24;
 const BATCH_SIZE = 20;
+const POLLING_WINDOW_MS = 48 * 60 * 60 * 1000; // Invoices older than this are no longer polled
+const POLLED_STATUSES = ['processando', 'rascunho'];
 
 function getPollingInterval(invoice) {
   const ageMinutes = (Date.now() - new Date(invoice.createdAt).getTime()) / (60 * 1000);
@@ -69,7 +74,7 @@ export async function pollInvoiceStatus(invoiceId) {
     throw new Error(`Invoice ${invoiceId} not found`);
   }
 
-  const finalStates = ['autorizada', 'rejeitada', 'cancelada', 'erro'];
+  const finalStates = ['autorizada', 'rejeitada', 'cancelada', 'erro', 'substituida'];
   if (finalStates.includes(invoice.status)) {
     return {
       status: 'skipped',
@@ -129,7 +134,7 @@ export async function pollInvoiceStatus(invoiceId) {
   try {
     console.log(`[InvoiceStatusMonitoring] Polling invoice ${invoice.numero || invoiceId}`);
     
-    const statusResult = await checkNfseStatus(
+    const statusResult = await getFiscalProvider(invoice.company, { nfseId: invoice.acbrApiId }).checkNfseStatus(
       invoice.company.acbrApiId,
       invoice.acbrApiId
     );
@@ -167,6 +172,9 @@ export async function pollInvoiceStatus(invoiceId) {
         }
       });
 
+      // Replacement invoice: mark the original as 'substituida' once authorized
+      await syncSubstitutionStatus({ ...invoice, status: newStatus }, 'polling');
+
       // Use AI notification service for better messages
       const { createAINotification } = await import('./aiNotificationService.js');
       
@@ -181,6 +189,7 @@ export async function pollInvoiceStatus(invoiceId) {
           },
           { invoiceId: invoice.id }
         );
+        deliverAuthorizedInvoice(invoice.id);
       } else if (newStatus === 'rejeitada' || newStatus === 'erro') {
         const errorMessage = statusResult.mensagem || 
           (newStatus === 'erro' ? 'Erro ao processar nota fiscal' : 'Nota fiscal rejeitada pela prefeitura');
@@ -262,13 +271,13 @@ export async function pollAllPendingInvoices() {
     pendingInvoices = await prisma.invoice.findMany({
     where: {
       status: {
-        in: ['processando', 'rascunho']
+        in: POLLED_STATUSES
       },
       acbrApiId: {
         not: null
       },
       createdAt: {
-        gte: new Date(Date.now() - 48 * 60 * 60 * 1000)
+        gte: new Date(Date.now() - POLLING_WINDOW_MS)
       }
     },
     include: {
@@ -358,6 +367,8 @@ export async function startBackgroundPolling() {
 
 /**
  * Get polling status for an invoice
+ * The schedule follows the progressive backoff: the next check is due one interval after
+ * the last one, and runs on the first polling cycle after that.
  * 
  * @param {string} invoiceId - Invoice ID
  * @returns {Promise<object>} Polling status
@@ -381,6 +392,17 @@ export async function getPollingStatus(invoiceId) {
 
   const pollingAttempts = invoice.statusHistory.length;
   const lastPoll = invoice.statusHistory[0];
+  const pollingEndsAt = new Date(new Date(invoice.createdAt).getTime() + POLLING_WINDOW_MS);
+  const isPolling = Boolean(invoice.acbrApiId) &&
+    POLLED_STATUSES.includes(invoice.status) &&
+    pollingAttempts < MAX_POLLING_ATTEMPTS &&
+    pollingEndsAt.getTime() > Date.now();
+
+  const intervalMs = getPollingInterval(invoice);
+  const lastCheckAt = invoice.lastStatusCheckAt || lastPoll?.createdAt || null;
+  const nextPollAt = isPolling
+    ? new Date(Math.max(Date.now(), lastCheckAt ? new Date(lastCheckAt).getTime() + intervalMs : 0))
+    : null;
 
   return {
     invoiceId: invoice.id,
@@ -388,10 +410,11 @@ export async function getPollingStatus(invoiceId) {
     pollingAttempts: pollingAttempts,
     maxAttempts: MAX_POLLING_ATTEMPTS,
     lastPolledAt: lastPoll?.createdAt || null,
-    isPolling: pollingAttempts < MAX_POLLING_ATTEMPTS && 
-               !['autorizada', 'rejeitada', 'cancelada'].includes(invoice.status),
-    nextPollIn: lastPoll 
-      ? Math.max(0, POLLING_INTERVAL_MS - (Date.now() - lastPoll.createdAt.getTime()))
-      : 0
+    isPolling,
+    intervalMinutes: intervalMs / 60000,
+    cycleMinutes: POLLING_INTERVAL_MS / 60000,
+    nextPollAt,
+    nextPollIn: nextPollAt ? Math.max(0, nextPollAt.getTime() - Date.now()) : 0,
+    pollingEndsAt: isPolling ? pollingEndsAt : null
   };
 }
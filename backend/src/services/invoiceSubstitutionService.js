@@ -0,0 +1,419 @@
+/**
+ * Invoice Substitution Service
+ * Replaces an authorized NFS-e with a corrected one (substituição) instead of cancel-and-reissue
+ *
+ * Flow:
+ * - The substitution is claimed under the original's row lock: the replacement Invoice, linked
+ *   to the original (substitutesId), is stored before the provider is called, so concurrent
+ *   requests cannot substitute the same invoice twice
+ * - A replacement DPS referencing the original NFS-e is emitted via ACBr API
+ * - The original becomes 'substituida' only when the replacement is authorized;
+ *   if the replacement is rejected, the original stays valid
+ * - Both transitions are recorded in InvoiceStatusHistory
+ *
+ * Substitutions are corrections, so they do not consume plan quota.
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { SUBSTITUTION_REASONS, DPS_SERIE } from './acbrApi.js';
+import { getFiscalProvider, isSimulatedNfseId } from './fiscalProvider.js';
+import { validateInvoiceForRegime } from './regimeRules.js';
+import {
+  FEDERAL_RETENTION_TYPES,
+  getInvoiceRetentionAmounts,
+  validateRetentions,
+  buildRetentionInvoiceFields
+} from './federalRetentions.js';
+import {
+  DEDUCTION_FIELDS,
+  transformInvoiceDeductions,
+  validateDeductions,
+  calculateIssAmount,
+  buildDeductionInvoiceFields
+} from './invoiceDeductions.js';
+import { buildTomadorExterior, applyExportCurrency, buildExportInvoiceFields } from './foreignTomador.js';
+import { deliverAuthorizedInvoice } from './invoiceDeliveryService.js';
+
+// Replacement states in which the original invoice must not be substituted again
+const FAILED_STATUSES = ['rejeitada', 'erro', 'cancelada'];
+
+function substitutionInProgressError(pending) {
+  return new AppError(
+    `Esta nota já possui uma substituição em andamento (nota ${pending.numero || pending.id}).`,
+    409,
+    'SUBSTITUTION_IN_PROGRESS',
+    { substitute_id: pending.id }
+  );
+}
+
+/**
+ * Substitute an authorized invoice
+ *
+ * @param {string} invoiceId - Original invoice ID
+ * @param {string} userId - User ID (ownership check)
+ * @param {object} changes - Corrected data (valor, descricao_servico, aliquota_iss, codigo_servico, iss_retido, data_prestacao, valor_irrf, valor_deducoes, ...)
+ * @param {object} options - Substitution options
+ * @param {string} options.codigoMotivo - cMotivo code (default: '99')
+ * @param {string} options.motivo - Reason description (required for '99', min 15 chars)
+ * @param {string} options.source - Status history source (default: 'api')
+ * @returns {Promise<object>} { invoice, original }
+ */
+export async function substituteInvoice(invoiceId, userId, changes = {}, options = {}) {
+  const { codigoMotivo = '99', motivo, source = 'api' } = options;
+
+  const original = await prisma.invoice.findFirst({
+    where: {
+      id: invoiceId,
+      company: { userId }
+    },
+    include: {
+      company: {
+        include: {
+          fiscalCredential: true
+        }
+      },
+      substitutedBy: {
+        select: { id: true, status: true, numero: true }
+      }
+    }
+  });
+
+  if (!original) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+
+  if (original.status !== 'autorizada') {
+    throw new AppError(
+      `Somente notas autorizadas podem ser substituídas. Status atual: ${original.status}.`,
+      400,
+      'INVOICE_NOT_SUBSTITUTABLE'
+    );
+  }
+
+  const pending = original.substitutedBy.find(inv => !FAILED_STATUSES.includes(inv.status));
+  if (pending) {
+    throw substitutionInProgressError(pending);
+  }
+
+  if (!SUBSTITUTION_REASONS[codigoMotivo]) {
+    throw new AppError(`Código de motivo inválido: ${codigoMotivo}`, 400, 'VALIDATION_ERROR');
+  }
+  if (codigoMotivo === '99' && (!motivo || motivo.trim().length < 15)) {
+    throw new AppError('Motivo da substituição é obrigatório (mínimo 15 caracteres)', 400, 'VALIDATION_ERROR');
+  }
+
+  const company = original.company;
+
+  const fiscalProvider = getFiscalProvider(company, { nfseId: original.acbrApiId });
+  if (!fiscalProvider.isConfigured()) {
+    throw new AppError(
+      'Integração fiscal não configurada. Para substituir notas fiscais, configure as credenciais da ACBr API.',
+      503,
+      'SERVICE_NOT_CONFIGURED'
+    );
+  }
+  if (!company.acbrApiId || !original.acbrApiId) {
+    throw new AppError('Nota ou empresa não registrada na ACBr API; não é possível substituir.', 400, 'COMPANY_NOT_REGISTERED');
+  }
+
+  // The tomador cannot change in a substitution; only the service data is corrected
+  const invoiceData = {
+    cliente_nome: original.clienteNome,
+    cliente_documento: original.clienteDocumento,
+    descricao_servico: changes.descricao_servico || original.descricaoServico,
+    valor: changes.valor !== undefined ? parseFloat(changes.valor) : parseFloat(original.valor),
+    aliquota_iss: changes.aliquota_iss !== undefined ? parseFloat(changes.aliquota_iss) : parseFloat(original.aliquotaIss),
+    municipio: original.municipio || company.cidade,
+    data_prestacao: changes.data_prestacao
+      || (original.dataPrestacao ? original.dataPrestacao.toISOString().split('T')[0] : new Date().toISOString().split('T')[0]),
+    codigo_servico: changes.codigo_servico || original.codigoServico,
+    iss_retido: changes.iss_retido !== undefined ? Boolean(changes.iss_retido) : original.issRetido
+  };
+
+  // Federal retentions are kept from the original unless corrected
+  const originalRetentions = getInvoiceRetentionAmounts(original);
+  for (const type of FEDERAL_RETENTION_TYPES) {
+    invoiceData[`valor_${type}`] = changes[`valor_${type}`] !== undefined
+      ? parseFloat(changes[`valor_${type}`])
+      : originalRetentions[type];
+  }
+
+  // Discounts and deductions are also kept unless corrected
+  const originalDeductions = transformInvoiceDeductions(original);
+  for (const field of Object.keys(DEDUCTION_FIELDS)) {
+    invoiceData[field] = changes[field] !== undefined ? parseFloat(changes[field]) : originalDeductions[field];
+  }
+
+  // Export of services: same foreign tomador; the foreign amount follows the corrected value
+  const exportErrors = [];
+  if (original.clientePais) {
+    const foreignClient = await prisma.client.findFirst({
+      where: {
+        userId,
+        pais: original.clientePais,
+        ...(original.clienteNif ? { nif: original.clienteNif } : { nome: original.clienteNome })
+      }
+    });
+    invoiceData.tomador_exterior = foreignClient
+      ? buildTomadorExterior(foreignClient)
+      : buildTomadorExterior({ pais: original.clientePais, nif: original.clienteNif });
+    invoiceData.aliquota_iss = 0;
+    invoiceData.iss_retido = false;
+    if (original.moeda) {
+      exportErrors.push(...applyExportCurrency(invoiceData, {
+        moeda: original.moeda,
+        taxa_cambio: changes.taxa_cambio ?? original.taxaCambio,
+        valor_moeda_estrangeira: changes.valor === undefined && changes.taxa_cambio === undefined
+          ? original.valorMoedaEstrangeira
+          : undefined
+      }));
+    }
+  }
+
+  const valueErrors = [...exportErrors, ...validateDeductions(invoiceData), ...validateRetentions(invoiceData)];
+  if (valueErrors.length > 0) {
+    throw new AppError(valueErrors.join(', '), 400, 'VALIDATION_ERROR');
+  }
+
+  const validation = await validateInvoiceForRegime(invoiceData, company, {
+    replacedValue: parseFloat(original.valor)
+  });
+  if (!validation.valid) {
+    throw new AppError(
+      `Validação do regime tributário falhou: ${validation.errors.join(', ')}`,
+      400,
+      'REGIME_VALIDATION_ERROR'
+    );
+  }
+
+  const reason = motivo?.trim() || SUBSTITUTION_REASONS[codigoMotivo];
+
+  // Claim the substitution: a concurrent request waits for the lock and then sees this replacement
+  const { placeholder, nextRpsNumero } = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM invoices WHERE id = ${original.id} FOR UPDATE`;
+
+    const current = await tx.invoice.findUnique({
+      where: { id: original.id },
+      select: {
+        status: true,
+        substitutedBy: {
+          where: { status: { notIn: FAILED_STATUSES } },
+          select: { id: true, status: true, numero: true }
+        }
+      }
+    });
+    if (current.status !== 'autorizada') {
+      throw new AppError(
+        `Somente notas autorizadas podem ser substituídas. Status atual: ${current.status}.`,
+        400,
+        'INVOICE_NOT_SUBSTITUTABLE'
+      );
+    }
+    if (current.substitutedBy.length > 0) {
+      throw substitutionInProgressError(current.substitutedBy[0]);
+    }
+
+    // Atomic next RPS numero per company (concurrent-safe for DPS numbering)
+    const { lastRpsNumero } = await tx.company.update({
+      where: { id: company.id },
+      data: { lastRpsNumero: { increment: 1 } },
+      select: { lastRpsNumero: true }
+    });
+
+    // Completed with the provider's response below
+    const created = await tx.invoice.create({
+      data: {
+        companyId: company.id,
+        clienteNome: invoiceData.cliente_nome,
+        clienteDocumento: invoiceData.cliente_documento || '',
+        descricaoServico: invoiceData.descricao_servico,
+        valor: invoiceData.valor,
+        aliquotaIss: invoiceData.aliquota_iss,
+        valorIss: calculateIssAmount(invoiceData),
+        issRetido: invoiceData.iss_retido,
+        ...buildDeductionInvoiceFields(invoiceData),
+        ...buildRetentionInvoiceFields(invoiceData),
+        ...buildExportInvoiceFields(invoiceData),
+        municipio: invoiceData.municipio,
+        status: 'processando',
+        dataEmissao: new Date(),
+        dataPrestacao: new Date(invoiceData.data_prestacao),
+        codigoServico: invoiceData.codigo_servico,
+        numeroDps: lastRpsNumero,
+        serieDps: DPS_SERIE,
+        dataVencimento: original.dataVencimento,
+        substitutesId: original.id,
+        substitutionCode: codigoMotivo,
+        substitutionReason: reason
+      }
+    });
+
+    return { placeholder: created, nextRpsNumero: lastRpsNumero };
+  });
+
+  try {
+    const nfseResult = await fiscalProvider.substituteNfse(
+      original.acbrApiId,
+      invoiceData,
+      { ...company, nextRpsNumero },
+      { codigoMotivo, motivo }
+    );
+
+    const invoice = await prisma.invoice.update({
+      where: { id: placeholder.id },
+      data: {
+        status: nfseResult.nfse.status || 'processando',
+        numero: nfseResult.nfse.numero ? String(nfseResult.nfse.numero) : null,
+        codigoVerificacao: nfseResult.nfse.codigo_verificacao,
+        pdfUrl: nfseResult.nfse.pdf_url,
+        xmlUrl: nfseResult.nfse.xml_url,
+        acbrApiId: nfseResult.nfse.acbr_api_id,
+        simulada: isSimulatedNfseId(nfseResult.nfse.acbr_api_id)
+      }
+    });
+
+    if (invoice.status === 'autorizada') {
+      deliverAuthorizedInvoice(invoice.id);
+    }
+
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: invoice.id,
+        status: invoice.status,
+        message: `Nota fiscal emitida em substituição à nota ${original.numero || original.id}`,
+        source,
+        metadata: {
+          acbr_api_id: nfseResult.nfse.acbr_api_id,
+          numero_dps: nextRpsNumero,
+          substitutes_invoice_id: original.id,
+          codigo_motivo: codigoMotivo,
+          motivo: reason
+        }
+      }
+    });
+
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: original.id,
+        status: original.status,
+        message: `Substituição solicitada pela nota ${invoice.numero || invoice.id}: ${reason}`,
+        source,
+        metadata: {
+          substituted_by_invoice_id: invoice.id,
+          codigo_motivo: codigoMotivo
+        }
+      }
+    });
+
+    // Synchronous authorization: finish the substitution right away
+    const updatedOriginal = await syncSubstitutionStatus(invoice, source);
+
+    await prisma.notification.create({
+      data: {
+        userId,
+        titulo: 'Substituição de Nota Fiscal',
+        mensagem: invoice.status === 'autorizada'
+          ? `Nota fiscal ${original.numero || ''} substituída pela nota ${invoice.numero || 'NFS-e'}.`
+          : `Nota substituta para a nota ${original.numero || ''} enviada para processamento. A nota original continua válida até a autorização.`,
+        tipo: 'sucesso',
+        invoiceId: invoice.id
+      }
+    });
+
+    return { invoice, original: updatedOriginal || original };
+  } catch (error) {
+    console.error('[InvoiceSubstitution] Error substituting invoice:', error.message);
+
+    // Releases the claim, so the substitution can be requested again
+    await prisma.invoice.update({
+      where: { id: placeholder.id },
+      data: { status: 'erro' }
+    });
+
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: original.id,
+        status: original.status,
+        message: `Tentativa de substituição falhou: ${error.message}`,
+        source,
+        metadata: { codigo_motivo: codigoMotivo, error: error.message }
+      }
+    });
+
+    const { translateErrorForUser } = await import('./errorTranslationService.js');
+    const translatedError = translateErrorForUser(error, {
+      municipality: company.cidade,
+      companyName: company.razaoSocial || company.nomeFantasia,
+      includeTechnicalDetails: false
+    });
+
+    throw new AppError(
+      translatedError,
+      error.status || 500,
+      error.code || 'INVOICE_SUBSTITUTION_ERROR',
+      { originalError: error.message }
+    );
+  }
+}
+
+/**
+ * Propagate the status of a replacement invoice to the original one
+ * Call after the status of any invoice changes (polling, webhook, manual check).
+ *
+ * @param {object} invoice - Invoice with its current status (id, status, numero, substitutesId)
+ * @param {string} source - Status history source
+ * @returns {Promise<object|null>} Updated original invoice, or null when nothing changed
+ */
+export async function syncSubstitutionStatus(invoice, source = 'polling') {
+  if (!invoice?.substitutesId) {
+    return null;
+  }
+
+  const original = await prisma.invoice.findUnique({
+    where: { id: invoice.substitutesId }
+  });
+  if (!original || original.status === 'substituida') {
+    return null;
+  }
+
+  if (invoice.status === 'autorizada') {
+    const updated = await prisma.invoice.update({
+      where: { id: original.id },
+      data: { status: 'substituida' }
+    });
+
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: original.id,
+        status: 'substituida',
+        message: `Nota substituída pela nota ${invoice.numero || invoice.id}`,
+        source,
+        metadata: {
+          substituted_by_invoice_id: invoice.id,
+          previous_status: original.status
+        }
+      }
+    });
+
+    console.log(`[InvoiceSubstitution] Invoice ${original.id} substituted by ${invoice.id}`);
+    return updated;
+  }
+
+  if (FAILED_STATUSES.includes(invoice.status)) {
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: original.id,
+        status: original.status,
+        message: `Substituição pela nota ${invoice.numero || invoice.id} não foi autorizada; a nota original continua válida`,
+        source,
+        metadata: {
+          substituted_by_invoice_id: invoice.id,
+          substitute_status: invoice.status
+        }
+      }
+    });
+  }
+
+  return null;
+}
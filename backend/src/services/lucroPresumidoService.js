@@ -0,0 +1,399 @@
+/**
+ * Lucro Presumido Service
+ * Tax obligations of Lucro Presumido companies, from their authorized invoices
+ *
+ * - PIS (0,65%) and COFINS (3%), cumulative, on the revenue of each month; due on the 25th
+ *   of the following month
+ * - IRPJ (15%) and CSLL (9%) on the presumed profit of each quarter: revenue x presumption
+ *   percent of the activity. IRPJ has an additional 10% over R$ 60.000 of presumed profit per
+ *   quarter. Single quota, due on the last business day of the month after the quarter
+ * - ISS of the month at the rates of the invoices (municipality), leaving out the ISS
+ *   withheld by clients; due on the 10th of the following month
+ * - PIS, COFINS, CSLL and IRRF withheld by clients on the invoices of the period are
+ *   deducted from the amount due
+ * - Due dates on weekends move to the previous business day
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const LUCRO_PRESUMIDO_RATES = {
+  PIS: 0.65,
+  COFINS: 3,
+  IRPJ: 15,
+  IRPJ_ADICIONAL: 10,
+  CSLL: 9
+};
+
+// Presumed profit per quarter above which the additional IRPJ applies (R$ 20.000/month)
+export const IRPJ_ADICIONAL_LIMITE_TRIMESTRE = 60000;
+
+// DARF revenue codes
+export const DARF_CODES = {
+  PIS: '8109',
+  COFINS: '2172',
+  IRPJ: '2089',
+  CSLL: '2372'
+};
+
+export const ISS_DUE_DAY = 10;
+export const DEFAULT_ATIVIDADE = 'servicos';
+
+// Presumption percents of the revenue (Lei 9.249/1995, arts. 15 and 20)
+export const PRESUNCAO_ATIVIDADES = {
+  servicos: { name: 'Prestação de serviços em geral', irpj: 32, csll: 32 },
+  comercio: { name: 'Comércio', irpj: 8, csll: 12 },
+  industria: { name: 'Indústria', irpj: 8, csll: 12 },
+  transporte_carga: { name: 'Transporte de cargas', irpj: 8, csll: 12 },
+  transporte_passageiros: { name: 'Transporte de passageiros', irpj: 16, csll: 12 },
+  servicos_hospitalares: { name: 'Serviços hospitalares', irpj: 8, csll: 12 },
+  revenda_combustiveis: { name: 'Revenda de combustíveis', irpj: 1.6, csll: 12 }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Activity used for the presumption percents (Company.atividadePresumido, default 'servicos')
+ *
+ * @param {object} company - Company record
+ * @returns {string} Key of PRESUNCAO_ATIVIDADES
+ */
+export function getCompanyAtividade(company) {
+  return PRESUNCAO_ATIVIDADES[company?.atividadePresumido] ? company.atividadePresumido : DEFAULT_ATIVIDADE;
+}
+
+/**
+ * Validate the Lucro Presumido fields of a company update
+ *
+ * @param {object} body - { atividade_presumido }
+ * @returns {string[]} Error messages
+ */
+export function validateLucroPresumidoSettings({ atividade_presumido }) {
+  if (atividade_presumido && !PRESUNCAO_ATIVIDADES[atividade_presumido]) {
+    return [`Atividade do Lucro Presumido deve ser uma de: ${Object.keys(PRESUNCAO_ATIVIDADES).join(', ')}`];
+  }
+  return [];
+}
+
+/**
+ * Quarter of a month
+ *
+ * @param {number} month - 1-12
+ * @returns {number} 1-4
+ */
+export function getQuarter(month) {
+  return Math.ceil(month / 3);
+}
+
+/**
+ * Same date, or the closest business day before it when it falls on a weekend
+ *
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function previousBusinessDay(date) {
+  const result = new Date(date);
+  while (result.getDay() === 0 || result.getDay() === 6) {
+    result.setDate(result.getDate() - 1);
+  }
+  return result;
+}
+
+/**
+ * Due date of a tax
+ *
+ * @param {string} tributo - 'PIS', 'COFINS', 'IRPJ', 'CSLL' or 'ISS'
+ * @param {number} year - Year of the period
+ * @param {number} month - Last month of the period (1-12)
+ * @returns {Date}
+ */
+export function getDueDate(tributo, year, month) {
+  if (tributo === 'IRPJ' || tributo === 'CSLL') {
+    // Last day of the month after the quarter
+    return previousBusinessDay(new Date(year, month + 1, 0));
+  }
+  const day = tributo === 'ISS' ? ISS_DUE_DAY : 25;
+  return previousBusinessDay(new Date(year, month, day));
+}
+
+// Amount due after the withheld amount (never negative)
+const netOf = (valor, retido) => round2(Math.max(0, valor - retido));
+
+/**
+ * PIS and COFINS of a month
+ *
+ * @param {number} receita - Revenue of the month
+ * @param {object} [retencoes] - Withheld by clients ({ pis, cofins })
+ * @returns {object[]} [{ tributo, baseCalculo, aliquota, valorPrincipal, valorAdicional, valorRetido, valorTotal }]
+ */
+export function calculateMonthlyContributions(receita, retencoes = {}) {
+  return ['PIS', 'COFINS'].map(tributo => {
+    const valor = round2((receita * LUCRO_PRESUMIDO_RATES[tributo]) / 100);
+    const retido = round2(retencoes[tributo.toLowerCase()] || 0);
+    return {
+      tributo,
+      baseCalculo: round2(receita),
+      aliquota: LUCRO_PRESUMIDO_RATES[tributo],
+      valorPrincipal: valor,
+      valorAdicional: 0,
+      valorRetido: retido,
+      valorTotal: netOf(valor, retido)
+    };
+  });
+}
+
+/**
+ * IRPJ and CSLL of a quarter on the presumed profit
+ *
+ * @param {number} receitaTrimestre - Revenue of the quarter
+ * @param {string} atividade - Key of PRESUNCAO_ATIVIDADES
+ * @param {object} [retencoes] - Withheld by clients ({ irrf, csll })
+ * @returns {object[]} [{ tributo, presuncao, baseCalculo, aliquota, valorPrincipal, valorAdicional, valorRetido, valorTotal }]
+ */
+export function calculateQuarterlyIncomeTaxes(receitaTrimestre, atividade, retencoes = {}) {
+  const presuncao = PRESUNCAO_ATIVIDADES[atividade] || PRESUNCAO_ATIVIDADES[DEFAULT_ATIVIDADE];
+
+  const baseIrpj = round2((receitaTrimestre * presuncao.irpj) / 100);
+  const irpj = round2((baseIrpj * LUCRO_PRESUMIDO_RATES.IRPJ) / 100);
+  const adicional = round2(
+    (Math.max(0, baseIrpj - IRPJ_ADICIONAL_LIMITE_TRIMESTRE) * LUCRO_PRESUMIDO_RATES.IRPJ_ADICIONAL) / 100
+  );
+
+  const baseCsll = round2((receitaTrimestre * presuncao.csll) / 100);
+  const csll = round2((baseCsll * LUCRO_PRESUMIDO_RATES.CSLL) / 100);
+
+  const irrfRetido = round2(retencoes.irrf || 0);
+  const csllRetido = round2(retencoes.csll || 0);
+
+  return [
+    {
+      tributo: 'IRPJ',
+      presuncao: presuncao.irpj,
+      baseCalculo: baseIrpj,
+      aliquota: LUCRO_PRESUMIDO_RATES.IRPJ,
+      valorPrincipal: irpj,
+      valorAdicional: adicional,
+      valorRetido: irrfRetido,
+      valorTotal: netOf(irpj + adicional, irrfRetido)
+    },
+    {
+      tributo: 'CSLL',
+      presuncao: presuncao.csll,
+      baseCalculo: baseCsll,
+      aliquota: LUCRO_PRESUMIDO_RATES.CSLL,
+      valorPrincipal: csll,
+      valorAdicional: 0,
+      valorRetido: csllRetido,
+      valorTotal: netOf(csll, csllRetido)
+    }
+  ];
+}
+
+/**
+ * Revenue, ISS and federal withholdings of the authorized invoices issued between two dates
+ * (inclusive). ISS withheld by the client is paid by the client, so it stays out of the
+ * company's ISS.
+ */
+async function getPeriodRevenue(companyId, startDate, endDate) {
+  const invoices = await prisma.invoice.findMany({
+    where: {
+      companyId,
+      status: { in: ['autorizada', 'enviada'] },
+      simulada: false,
+      dataEmissao: { gte: startDate, lte: endDate }
+    },
+    select: {
+      valor: true,
+      baseCalculo: true,
+      valorIss: true,
+      aliquotaIss: true,
+      issRetido: true,
+      valorIrrf: true,
+      valorPis: true,
+      valorCofins: true,
+      valorCsll: true
+    }
+  });
+
+  const amount = (value) => (value !== null && value !== undefined ? parseFloat(value) : 0);
+
+  return invoices.reduce((totals, invoice) => {
+    const valor = amount(invoice.valor);
+    totals.receita += valor;
+    totals.retencoes.irrf += amount(invoice.valorIrrf);
+    totals.retencoes.pis += amount(invoice.valorPis);
+    totals.retencoes.cofins += amount(invoice.valorCofins);
+    totals.retencoes.csll += amount(invoice.valorCsll);
+    if (!invoice.issRetido) {
+      const base = invoice.baseCalculo !== null && invoice.baseCalculo !== undefined ? amount(invoice.baseCalculo) : valor;
+      totals.baseIss += base;
+      totals.valorIss += invoice.valorIss !== null && invoice.valorIss !== undefined
+        ? amount(invoice.valorIss)
+        : (base * amount(invoice.aliquotaIss)) / 100;
+    }
+    return totals;
+  }, { receita: 0, baseIss: 0, valorIss: 0, retencoes: { irrf: 0, pis: 0, cofins: 0, csll: 0 } });
+}
+
+/**
+ * Tax obligations of a Lucro Presumido company for a month: PIS, COFINS and ISS of the month,
+ * plus IRPJ and CSLL of the quarter when the month closes one
+ *
+ * @param {object} company - Company record
+ * @param {string} referencia - Month, 'MM/YYYY'
+ * @returns {Promise<object>} { referencia, trimestre, fechaTrimestre, atividade, receitaMes,
+ *   receitaTrimestre, obrigacoes: [{ tributo, codigoReceita, periodicidade, referencia,
+ *   periodoApuracao, dataVencimento, receitaBruta, presuncao, baseCalculo, aliquota,
+ *   valorPrincipal, valorAdicional, valorRetido, valorTotal }] }
+ */
+export async function estimateLucroPresumido(company, referencia) {
+  const [month, year] = referencia.split('/').map(Number);
+  const trimestre = getQuarter(month);
+  const fechaTrimestre = month % 3 === 0;
+  const atividade = getCompanyAtividade(company);
+
+  const monthStart = new Date(year, month - 1, 1);
+  const monthEnd = new Date(year, month, 0, 23, 59, 59);
+  const quarterStart = new Date(year, (trimestre - 1) * 3, 1);
+
+  const [mes, trimestreTotals] = await Promise.all([
+    getPeriodRevenue(company.id, monthStart, monthEnd),
+    fechaTrimestre ? getPeriodRevenue(company.id, quarterStart, monthEnd) : null
+  ]);
+
+  const monthly = {
+    codigoReceita: null,
+    periodicidade: 'mensal',
+    referencia,
+    periodoApuracao: new Date(year, month, 0),
+    receitaBruta: round2(mes.receita),
+    presuncao: null
+  };
+
+  const obrigacoes = calculateMonthlyContributions(mes.receita, mes.retencoes).map(tax => ({
+    ...monthly,
+    ...tax,
+    codigoReceita: DARF_CODES[tax.tributo],
+    dataVencimento: getDueDate(tax.tributo, year, month)
+  }));
+
+  obrigacoes.push({
+    ...monthly,
+    tributo: 'ISS',
+    dataVencimento: getDueDate('ISS', year, month),
+    baseCalculo: round2(mes.baseIss),
+    // Average rate of the invoices of the month
+    aliquota: mes.baseIss > 0 ? Math.round((mes.valorIss / mes.baseIss) * 100 * 10000) / 10000 : 0,
+    valorPrincipal: round2(mes.valorIss),
+    valorAdicional: 0,
+    valorRetido: 0,
+    valorTotal: round2(mes.valorIss)
+  });
+
+  if (fechaTrimestre) {
+    calculateQuarterlyIncomeTaxes(trimestreTotals.receita, atividade, trimestreTotals.retencoes).forEach(tax => {
+      obrigacoes.push({
+        ...tax,
+        codigoReceita: DARF_CODES[tax.tributo],
+        periodicidade: 'trimestral',
+        referencia: `T${trimestre}/${year}`,
+        periodoApuracao: new Date(year, month, 0),
+        dataVencimento: getDueDate(tax.tributo, year, month),
+        receitaBruta: round2(trimestreTotals.receita)
+      });
+    });
+  }
+
+  return {
+    referencia,
+    trimestre,
+    fechaTrimestre,
+    atividade,
+    receitaMes: round2(mes.receita),
+    receitaTrimestre: fechaTrimestre ? round2(trimestreTotals.receita) : null,
+    obrigacoes
+  };
+}
+
+/**
+ * Create the DARF records of a month (taxes with value only; taxes already generated are kept)
+ *
+ * @param {object} company - Company record
+ * @param {string} referencia - Month, 'MM/YYYY'
+ * @returns {Promise<object[]>} Created records
+ */
+export async function generateLucroPresumidoDarfs(company, referencia) {
+  if (company.regimeTributario !== 'Lucro Presumido') {
+    throw new AppError('Apuração disponível apenas para empresas do Lucro Presumido', 400, 'INVALID_REGIME');
+  }
+
+  const estimate = await estimateLucroPresumido(company, referencia);
+  const due = estimate.obrigacoes.filter(obrigacao => obrigacao.valorTotal > 0);
+  if (due.length === 0) {
+    throw new AppError(`Nenhuma receita registrada em ${referencia}. Não há tributos a recolher.`, 400, 'NO_REVENUE');
+  }
+
+  const existing = await prisma.darf.findMany({
+    where: {
+      companyId: company.id,
+      OR: due.map(({ tributo, referencia: ref }) => ({ tributo, referencia: ref }))
+    },
+    select: { tributo: true, referencia: true }
+  });
+  const existingKeys = new Set(existing.map(darf => `${darf.tributo}|${darf.referencia}`));
+  const pending = due.filter(obrigacao => !existingKeys.has(`${obrigacao.tributo}|${obrigacao.referencia}`));
+
+  if (pending.length === 0) {
+    throw new AppError(`Os tributos de ${referencia} já foram gerados`, 409, 'ALREADY_EXISTS');
+  }
+
+  return prisma.$transaction(pending.map(obrigacao => prisma.darf.create({
+    data: { companyId: company.id, ...obrigacao, status: 'pendente' }
+  })));
+}
+
+/**
+ * DARF record in the API format
+ */
+export function formatDarf(darf) {
+  const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+  return {
+    id: darf.id,
+    company_id: darf.companyId,
+    tributo: darf.tributo,
+    codigo_receita: darf.codigoReceita || null,
+    periodicidade: darf.periodicidade,
+    referencia: darf.referencia,
+    periodo_apuracao: darf.periodoApuracao,
+    data_vencimento: darf.dataVencimento,
+    receita_bruta: toNumber(darf.receitaBruta),
+    presuncao: toNumber(darf.presuncao),
+    base_calculo: toNumber(darf.baseCalculo),
+    aliquota: toNumber(darf.aliquota),
+    valor_principal: toNumber(darf.valorPrincipal),
+    valor_adicional: toNumber(darf.valorAdicional) || 0,
+    valor_retido: toNumber(darf.valorRetido) || 0,
+    valor_total: toNumber(darf.valorTotal),
+    status: darf.status || 'pendente',
+    data_pagamento: darf.dataPagamento || null,
+    created_at: darf.createdAt || null,
+    updated_at: darf.updatedAt || null
+  };
+}
+
+export default {
+  LUCRO_PRESUMIDO_RATES,
+  IRPJ_ADICIONAL_LIMITE_TRIMESTRE,
+  DARF_CODES,
+  PRESUNCAO_ATIVIDADES,
+  getCompanyAtividade,
+  validateLucroPresumidoSettings,
+  getQuarter,
+  previousBusinessDay,
+  getDueDate,
+  calculateMonthlyContributions,
+  calculateQuarterlyIncomeTaxes,
+  estimateLucroPresumido,
+  generateLucroPresumidoDarfs,
+  formatDarf
+};
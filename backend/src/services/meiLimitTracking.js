@@ -3,32 +3,173 @@
  * 
  * Monitors revenue against MEI annual limit (R$ 81.000)
  * Creates alerts and notifications when approaching/exceeding limits
+ *
+ * - In the year the MEI was opened the limit is proportional: R$ 6.750 per month of activity,
+ *   counting the opening month (Company.dataAbertura; without it, the full limit)
+ * - Excess up to 20% of the limit: the company stays MEI until December, becomes ME from
+ *   January and pays the tax on the excess in a complementary DAS
+ * - Excess above 20%: the exclusion is retroactive to January (or to the opening date)
+ * - Projection of the dates the limit and the tolerance are reached, from the average revenue
+ *   of the last closed months
  */
 
 import { prisma } from '../lib/prisma.js';
 
-const MEI_ANNUAL_LIMIT = 81000; // R$ 81.000 per year
+export const MEI_ANNUAL_LIMIT = 81000; // R$ 81.000 per year
+export const MEI_MONTHLY_LIMIT = 6750; // Proportional limit per month of activity in the opening year
+export const MEI_EXCESS_TOLERANCE = 0.2; // 20% over the limit
+
+// Closed months used for the average of the projection
+const PROJECTION_MONTHS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Revenue is counted on the calendar of São Paulo (UTC-03:00, no daylight saving time since 2019),
+// both for the range of the year and for the month of each invoice
+const SAO_PAULO_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+const saoPauloDate = (date) => new Date(new Date(date).getTime() - SAO_PAULO_OFFSET_MS);
+const currentSaoPauloYear = () => saoPauloDate(Date.now()).getUTCFullYear();
+
+// [start, end) of a year in São Paulo
+const yearRange = (year) => ({
+  gte: new Date(Date.UTC(year, 0, 1) + SAO_PAULO_OFFSET_MS),
+  lt: new Date(Date.UTC(year + 1, 0, 1) + SAO_PAULO_OFFSET_MS)
+});
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Limit of a year: proportional in the year the MEI was opened
+ *
+ * @param {Date|string|null} openingDate - Company.dataAbertura (@db.Date, UTC midnight)
+ * @param {number} [year] - Default: current year in São Paulo
+ * @returns {object} { limit, months, proportional }
+ */
+export function getMEILimitForYear(openingDate, year = currentSaoPauloYear()) {
+  const opening = openingDate ? new Date(openingDate) : null;
+  if (!opening || opening.getUTCFullYear() !== year) {
+    return { limit: MEI_ANNUAL_LIMIT, months: 12, proportional: false };
+  }
+
+  // The opening month counts as a whole month
+  const months = 12 - opening.getUTCMonth();
+  return { limit: MEI_MONTHLY_LIMIT * months, months, proportional: months < 12 };
+}
+
+/**
+ * Validate the opening date of a company update
+ *
+ * @param {object} body - { data_abertura } ('YYYY-MM-DD')
+ * @returns {string[]} Error messages
+ */
+export function validateMEISettings({ data_abertura }) {
+  if (!data_abertura) return [];
+  const date = new Date(data_abertura);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(data_abertura)) || Number.isNaN(date.getTime())) {
+    return ['Data de abertura inválida. Use o formato AAAA-MM-DD'];
+  }
+  if (date > new Date()) {
+    return ['Data de abertura não pode estar no futuro'];
+  }
+  return [];
+}
+
+/**
+ * Band of the revenue against the limit and its 20% tolerance
+ *
+ * @returns {'within_limit'|'within_tolerance'|'over_tolerance'}
+ */
+export function getExcessBand(revenue, limit) {
+  if (revenue <= limit) return 'within_limit';
+  if (revenue <= limit * (1 + MEI_EXCESS_TOLERANCE)) return 'within_tolerance';
+  return 'over_tolerance';
+}
+
+/**
+ * Project when the limit and the tolerance will be reached at the current pace
+ *
+ * The pace is the average of the last closed months of activity (up to 3); in the first month,
+ * the revenue of the month so far.
+ *
+ * @param {object} params
+ * @param {number[]} params.monthlyRevenue - Revenue of each month of the year (12 items)
+ * @param {number} params.limit - Limit of the year
+ * @param {number} [params.startMonth] - First month of activity (0-11)
+ * @param {Date} [params.today]
+ * @returns {object} { mediaMensal, mesesBase, dataLimite, dataTolerancia, receitaProjetadaAno, faixaProjetada }
+ */
+export function projectMEILimit({ monthlyRevenue, limit, startMonth = 0, today = new Date() }) {
+  const year = today.getFullYear();
+  const currentMonth = today.getMonth();
+  const yearlyRevenue = monthlyRevenue.reduce((sum, value) => sum + value, 0);
+
+  const closed = monthlyRevenue.slice(startMonth, currentMonth).slice(-PROJECTION_MONTHS);
+  const dailyRate = closed.length > 0
+    ? closed.reduce((sum, value) => sum + value, 0) / closed.length / (365.25 / 12)
+    : monthlyRevenue[currentMonth] / today.getDate();
+
+  const startOfToday = new Date(year, currentMonth, today.getDate());
+  const yearEnd = new Date(year, 11, 31);
+  const daysLeft = Math.round((yearEnd - startOfToday) / DAY_MS);
+
+  // Date the revenue reaches a value at the current pace (null when it doesn't within the year)
+  const dateReaching = (target) => {
+    if (yearlyRevenue >= target || dailyRate <= 0) return null;
+    const date = new Date(startOfToday.getTime() + Math.ceil((target - yearlyRevenue) / dailyRate) * DAY_MS);
+    return date <= yearEnd ? date : null;
+  };
+
+  const receitaProjetadaAno = round2(yearlyRevenue + dailyRate * daysLeft);
+
+  return {
+    mediaMensal: round2(dailyRate * (365.25 / 12)),
+    mesesBase: closed.length,
+    dataLimite: dateReaching(limit),
+    dataTolerancia: dateReaching(limit * (1 + MEI_EXCESS_TOLERANCE)),
+    receitaProjetadaAno,
+    faixaProjetada: getExcessBand(receitaProjetadaAno, limit)
+  };
+}
+
+/**
+ * Revenue of each month of a year (authorized/sent invoices)
+ * @param {string} companyId - Company ID
+ * @param {number} year - Year to calculate (default: current year in São Paulo)
+ * @returns {Promise<number[]>} 12 totals, January first
+ */
+export async function calculateMonthlyRevenue(companyId, year = currentSaoPauloYear()) {
+  const invoices = await prisma.invoice.findMany({
+    where: {
+      companyId,
+      status: { in: ['autorizada', 'enviada'] },
+      simulada: false,
+      dataEmissao: yearRange(year)
+    },
+    select: { valor: true, dataEmissao: true }
+  });
+
+  const months = new Array(12).fill(0);
+  invoices.forEach(invoice => {
+    months[saoPauloDate(invoice.dataEmissao).getUTCMonth()] += parseFloat(invoice.valor || 0);
+  });
+  return months;
+}
 
 /**
  * Calculate yearly revenue for a company
  * @param {string} companyId - Company ID
- * @param {number} year - Year to calculate (default: current year)
+ * @param {number} year - Year to calculate (default: current year in São Paulo)
  * @returns {Promise<number>} Total revenue for the year
  */
-export async function calculateYearlyRevenue(companyId, year = new Date().getFullYear()) {
-  const startDate = new Date(year, 0, 1); // January 1st
-  const endDate = new Date(year, 11, 31, 23, 59, 59); // December 31st
-
+export async function calculateYearlyRevenue(companyId, year = currentSaoPauloYear()) {
   const invoices = await prisma.invoice.findMany({
     where: {
       companyId,
       status: {
         in: ['autorizada', 'enviada'] // Only count authorized/sent invoices
       },
-      dataEmissao: {
-        gte: startDate,
-        lte: endDate
-      }
+      simulada: false, // Notes of a simulated provider are not revenue
+      dataEmissao: yearRange(year)
     },
     select: {
       valor: true
@@ -52,7 +193,7 @@ export async function checkMEILimit(companyId, userId) {
   // Get company to verify regime
   const company = await prisma.company.findUnique({
     where: { id: companyId },
-    select: { regimeTributario: true }
+    select: { regimeTributario: true, dataAbertura: true }
   });
 
   if (!company || company.regimeTributario !== 'MEI') {
@@ -62,20 +203,30 @@ export async function checkMEILimit(companyId, userId) {
     };
   }
 
-  const currentYear = new Date().getFullYear();
-  const yearlyRevenue = await calculateYearlyRevenue(companyId, currentYear);
-  const percentage = (yearlyRevenue / MEI_ANNUAL_LIMIT) * 100;
-  const remaining = MEI_ANNUAL_LIMIT - yearlyRevenue;
+  // Today in São Paulo as a local date, the calendar of the monthly buckets of the projection
+  const now = saoPauloDate(Date.now());
+  const today = new Date(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const currentYear = today.getFullYear();
+  const { limit, months, proportional } = getMEILimitForYear(company.dataAbertura, currentYear);
+  const monthlyRevenue = await calculateMonthlyRevenue(companyId, currentYear);
+  const yearlyRevenue = monthlyRevenue.reduce((sum, value) => sum + value, 0);
+  const percentage = (yearlyRevenue / limit) * 100;
+  const remaining = limit - yearlyRevenue;
+  const band = getExcessBand(yearlyRevenue, limit);
+  const limitText = `R$ ${limit.toLocaleString('pt-BR')}${proportional ? `, proporcional a ${months} meses` : ''}`;
 
   // Determine alert level
   let alertLevel = null;
   let shouldNotify = false;
   let notificationMessage = '';
 
-  if (yearlyRevenue >= MEI_ANNUAL_LIMIT) {
+  if (yearlyRevenue >= limit) {
     alertLevel = 'exceeded';
     shouldNotify = true;
-    notificationMessage = `⚠️ ATENÇÃO: Você ultrapassou o limite anual do MEI (R$ ${MEI_ANNUAL_LIMIT.toLocaleString('pt-BR')}). Faturamento atual: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}. Considere migrar para o Simples Nacional.`;
+    notificationMessage = `⚠️ ATENÇÃO: Você ultrapassou o limite anual do MEI (${limitText}). Faturamento atual: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}. ` +
+      (band === 'over_tolerance'
+        ? `O excesso passa de 20%: o desenquadramento do MEI retroage ${proportional ? 'à data de abertura' : `a janeiro de ${currentYear}`} e os tributos do ano são recalculados como ME. Procure seu contador.`
+        : `Com excesso de até 20%, a empresa continua MEI até dezembro e passa ao Simples Nacional em janeiro; o excesso é tributado em DAS complementar.`);
   } else if (percentage >= 90) {
     alertLevel = 'critical';
     shouldNotify = true;
@@ -83,7 +234,7 @@ export async function checkMEILimit(companyId, userId) {
   } else if (percentage >= 70) {
     alertLevel = 'warning';
     shouldNotify = true;
-    notificationMessage = `💡 Aviso: Você já utilizou ${percentage.toFixed(1)}% do limite anual do MEI. Faturado: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} de R$ ${MEI_ANNUAL_LIMIT.toLocaleString('pt-BR')}.`;
+    notificationMessage = `💡 Aviso: Você já utilizou ${percentage.toFixed(1)}% do limite anual do MEI. Faturado: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} de ${limitText}.`;
   } else if (percentage >= 50) {
     alertLevel = 'info';
     // Don't notify for info level, just track
@@ -125,14 +276,24 @@ export async function checkMEILimit(companyId, userId) {
     }
   }
 
+  // dataAbertura is a calendar date (UTC midnight), its UTC month is the month in São Paulo
+  const startMonth = proportional ? new Date(company.dataAbertura).getUTCMonth() : 0;
+
   return {
     isMEI: true,
     yearlyRevenue,
-    limit: MEI_ANNUAL_LIMIT,
+    limit,
+    annualLimit: MEI_ANNUAL_LIMIT,
+    proportional,
+    monthsActive: months,
+    openingDate: company.dataAbertura,
+    toleranceLimit: limit * (1 + MEI_EXCESS_TOLERANCE),
     percentage: Math.min(percentage, 100), // Cap at 100%
     remaining: Math.max(remaining, 0), // Don't go negative
     alertLevel,
-    status: yearlyRevenue >= MEI_ANNUAL_LIMIT ? 'exceeded' : percentage >= 90 ? 'critical' : percentage >= 70 ? 'warning' : 'ok'
+    status: yearlyRevenue >= limit ? 'exceeded' : percentage >= 90 ? 'critical' : percentage >= 70 ? 'warning' : 'ok',
+    band,
+    projection: projectMEILimit({ monthlyRevenue, limit, startMonth, today })
   };
 }
 
@@ -0,0 +1,432 @@
+/**
+ * Mock NFS-e Provider
+ * Fully local fiscal provider with the same interface as the ACBr API module (see fiscalProvider.js)
+ *
+ * - Emission runs the same DPS build and layout validation as ACBr, then simulates the prefeitura
+ * - Notes stay 'processando' for MOCK_NFSE_DELAY_MS (default 3000; 0 = authorized on emission)
+ * - When the delay ends the status webhook is posted to this server, as ACBr does
+ * - Scenarios are chosen by a tag in the service description, e.g. "Consultoria [mock:E0310]",
+ *   or for every emission by MOCK_NFSE_SCENARIO:
+ *   - autorizada (default)
+ *   - E0008, E0010, E0015, E0116, E0310, E0424, E0625: rejected with that code
+ *   - erro: processing error at the provider
+ *   - offline: municipality offline on the first attempt (queued for retry), authorized on the next
+ *
+ * State is in memory: after a restart, an unknown mock note has no status (status null, unknown: true)
+ * and callers keep the invoice's current status.
+ */
+
+import crypto from 'crypto';
+import { buildDpsPayload, getDpsContext, SUBSTITUTION_REASONS, DPS_SERIE } from './acbrApi.js';
+import { assertValidDps, buildDpsXml, DPS_NAMESPACE } from './dpsXmlService.js';
+
+export const MOCK_ID_PREFIX = 'MOCK-';
+
+// Rejections of the Sistema Nacional NFS-e the mock can simulate
+export const MOCK_REJECTIONS = {
+  E0008: 'A data e hora de emissão da DPS não pode ser posterior à data e hora de recepção pelo sistema.',
+  E0010: 'Série da DPS fora da faixa permitida para o tipo de emissor.',
+  E0015: 'A data de competência não pode ser posterior à data de emissão da DPS.',
+  E0116: 'Inscrição municipal do prestador não informada ou não cadastrada no município.',
+  E0310: 'Código de tributação nacional não administrado pelo município de incidência do ISSQN.',
+  E0424: 'O valor recebido pelo intermediário não deve ser informado quando o emitente da DPS é o prestador.',
+  E0625: 'A alíquota do ISSQN não deve ser informada para optante do Simples Nacional sem retenção do ISSQN.'
+};
+
+const SCENARIO_TAG = /\[mock:([\w-]+)\]/i;
+
+const companies = new Map(); // cnpj -> { registeredAt, authMode }
+const notes = new Map(); // nfse id -> note
+const offlineAttempts = new Set(); // emissions already refused once by the 'offline' scenario
+
+const getDelayMs = () => {
+  const delay = parseInt(process.env.MOCK_NFSE_DELAY_MS ?? '3000', 10);
+  return Number.isFinite(delay) && delay >= 0 ? delay : 3000;
+};
+
+const cleanDigits = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Scenario of an emission (description tag, else MOCK_NFSE_SCENARIO)
+ *
+ * @param {object} invoiceData - Invoice data
+ * @returns {string} 'autorizada', 'erro', 'offline' or a rejection code
+ */
+export function getMockScenario(invoiceData) {
+  const tag = String(invoiceData.descricao_servico || '').match(SCENARIO_TAG);
+  const scenario = (tag?.[1] || process.env.MOCK_NFSE_SCENARIO || 'autorizada').trim();
+  const code = scenario.toUpperCase();
+
+  if (MOCK_REJECTIONS[code]) return code;
+  if (['erro', 'offline'].includes(scenario.toLowerCase())) return scenario.toLowerCase();
+  return 'autorizada';
+}
+
+function getFinalState(scenario) {
+  if (MOCK_REJECTIONS[scenario]) {
+    return { status: 'rejeitada', mensagem: `${scenario}: ${MOCK_REJECTIONS[scenario]}`, errorCode: scenario };
+  }
+  if (scenario === 'erro') {
+    return { status: 'erro', mensagem: 'Falha no processamento da DPS pelo provedor (simulado)', errorCode: null };
+  }
+  return { status: 'autorizada', mensagem: 'NFS-e autorizada (provedor simulado)', errorCode: null };
+}
+
+/**
+ * Chave de acesso (50 digits): município, ambiente, inscrição, número, AAMM, código and DV
+ */
+function buildAccessKey(note) {
+  const now = new Date(note.createdAt);
+  const aamm = `${String(now.getFullYear()).slice(2)}${String(now.getMonth() + 1).padStart(2, '0')}`;
+  const codigo = String(crypto.randomInt(0, 1e9)).padStart(9, '0');
+  const base = `${note.cLocEmi.padStart(7, '0')}22${note.cnpj.padStart(14, '0')}${String(note.numero).padStart(13, '0')}${aamm}${codigo}`;
+
+  // Módulo 11, weights 2..9 from the right
+  let sum = 0;
+  [...base].reverse().forEach((digit, index) => {
+    sum += Number(digit) * ((index % 8) + 2);
+  });
+  const dv = 11 - (sum % 11);
+  return `${base}${dv >= 10 ? 0 : dv}`;
+}
+
+/**
+ * Apply the final status once the simulated processing time has passed
+ */
+function settle(note, now = Date.now()) {
+  if (note.status === 'processando' && now >= note.decideAt) {
+    Object.assign(note, getFinalState(note.scenario));
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Post the status change to this server's ACBr webhook endpoint (signed when ACBR_API_WEBHOOK_SECRET is set)
+ */
+async function sendStatusWebhook(note) {
+  if (process.env.MOCK_NFSE_WEBHOOKS === 'false') return;
+
+  const url = process.env.MOCK_NFSE_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/webhooks/nuvem-fiscal`;
+  const payload = JSON.stringify({
+    id: `evt_${crypto.randomUUID()}`,
+    type: 'nfse.status_changed',
+    timestamp: new Date().toISOString(),
+    data: {
+      nfse_id: note.id,
+      status: note.status,
+      status_anterior: 'processando',
+      mensagem: note.mensagem
+    }
+  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.ACBR_API_WEBHOOK_SECRET) {
+    headers['x-acbr-api-signature'] = crypto.createHmac('sha256', process.env.ACBR_API_WEBHOOK_SECRET).update(payload).digest('hex');
+  }
+
+  try {
+    await fetch(url, { method: 'POST', headers, body: payload });
+  } catch (error) {
+    console.warn('[MockNFSe] Webhook not delivered (status will be picked up by polling):', error.message);
+  }
+}
+
+function toStatusResult(note) {
+  return {
+    status: note.status,
+    numero: String(note.numero),
+    codigo_verificacao: note.codigo_verificacao,
+    pdf_url: null,
+    xml_url: null,
+    mensagem: note.mensagem,
+    errorCode: note.errorCode
+  };
+}
+
+function isConfigured() {
+  return true;
+}
+
+async function registerCompany(companyData) {
+  const cnpj = cleanDigits(companyData.cnpj);
+  if (cnpj.length !== 14) {
+    const error = new Error(`CNPJ inválido: ${companyData.cnpj || 'não fornecido'}. Deve conter 14 dígitos.`);
+    error.status = 400;
+    error.code = 'INVALID_CNPJ';
+    throw error;
+  }
+
+  const alreadyExists = companies.has(cnpj);
+  companies.set(cnpj, { registeredAt: new Date(), authMode: companies.get(cnpj)?.authMode || null });
+  return {
+    acbrApiId: cnpj,
+    status: 'not_connected',
+    message: 'Empresa registrada no provedor simulado. Configure certificado digital ou credenciais municipais para conectar.',
+    ...(alreadyExists ? { alreadyExists: true } : {})
+  };
+}
+
+async function uploadCertificate(cpfCnpj) {
+  companies.set(cleanDigits(cpfCnpj), { registeredAt: new Date(), authMode: 'certificate' });
+  return { status: 'success', message: 'Certificado digital recebido pelo provedor simulado', data: { simulated: true } };
+}
+
+async function configureNfseForCertificate() {
+  return { status: 'success', message: 'Configuração NFS-e atualizada para usar certificado digital', data: { simulated: true } };
+}
+
+async function configureMunicipalCredentials(cpfCnpj, companyData, login, senha) {
+  if (!login || !senha) {
+    throw new Error('Login e senha da prefeitura são obrigatórios');
+  }
+  companies.set(cleanDigits(cpfCnpj), { registeredAt: new Date(), authMode: 'municipal_credentials' });
+  return { status: 'success', message: 'Credenciais da prefeitura configuradas no provedor simulado', data: { simulated: true } };
+}
+
+async function checkConnection(acbrApiId) {
+  if (!acbrApiId) {
+    return {
+      status: 'falha',
+      message: 'Empresa não registrada no provedor fiscal. Registre a empresa primeiro.',
+      details: 'A empresa precisa ser registrada antes de verificar a conexão.'
+    };
+  }
+  return {
+    status: 'conectado',
+    message: 'Conexão com a prefeitura estabelecida com sucesso',
+    details: 'Provedor simulado: nenhuma nota é enviada à prefeitura.',
+    data: { id: acbrApiId, cnpj: acbrApiId, status: 'ativo' }
+  };
+}
+
+async function testNfseEmissionCapability() {
+  return { canEmit: true, status: 'ready', message: 'Empresa pronta para emitir NFS-e (provedor simulado)' };
+}
+
+async function emitNfse(invoiceData, companyData) {
+  if (!companyData.acbrApiId) {
+    throw new Error('Empresa não registrada no provedor fiscal. Registre a empresa primeiro.');
+  }
+
+  // Same DPS as the ACBr emission, refused by the same layout validation
+  const payload = buildDpsPayload(invoiceData, companyData);
+  const context = getDpsContext(companyData);
+  assertValidDps(payload, context);
+
+  const scenario = getMockScenario(invoiceData);
+  const cnpj = cleanDigits(companyData.cnpj);
+  if (scenario === 'offline') {
+    const attemptKey = `${cnpj}:${invoiceData.cliente_documento || invoiceData.cliente_nome}:${invoiceData.valor}:${invoiceData.descricao_servico}`;
+    if (!offlineAttempts.has(attemptKey)) {
+      offlineAttempts.add(attemptKey);
+      const error = new Error('Sistema da prefeitura indisponível no momento (simulado)');
+      error.status = 503;
+      error.code = 'MUNICIPALITY_OFFLINE';
+      throw error;
+    }
+    offlineAttempts.delete(attemptKey);
+  }
+
+  const delay = getDelayMs();
+  const now = Date.now();
+  const note = {
+    id: `${MOCK_ID_PREFIX}${now.toString(36)}${crypto.randomBytes(4).toString('hex')}`.toUpperCase(),
+    cnpj,
+    cLocEmi: context.cLocEmi,
+    numero: context.nDPS,
+    nDPS: context.nDPS,
+    serie: context.serie,
+    codigo_verificacao: crypto.randomBytes(4).toString('hex').toUpperCase(),
+    scenario: scenario === 'offline' ? 'autorizada' : scenario,
+    status: 'processando',
+    mensagem: 'Nota fiscal em processamento na prefeitura (simulado)',
+    errorCode: null,
+    createdAt: now,
+    decideAt: now + delay,
+    dps: buildDpsXml(payload, context),
+    valor: payload.infDPS.valores.vServPrest.vServ,
+    tomador_nome: payload.infDPS.toma?.xNome || null,
+    tomador_documento: payload.infDPS.toma?.CNPJ || payload.infDPS.toma?.CPF || null,
+    descricao_servico: payload.infDPS.serv.cServ.xDescServ,
+    codigo_servico: payload.infDPS.serv.cServ.cTribNac
+  };
+  note.chave = buildAccessKey(note);
+  notes.set(note.id, note);
+
+  // Authorized on emission when there is no simulated processing time
+  if (delay === 0 && note.scenario === 'autorizada') {
+    settle(note, now);
+  } else {
+    const timer = setTimeout(() => {
+      if (settle(note)) sendStatusWebhook(note);
+    }, delay);
+    timer.unref?.();
+  }
+
+  console.log(`[MockNFSe] DPS ${note.nDPS} emitted as ${note.id} (scenario: ${note.scenario})`);
+
+  return {
+    status: 'success',
+    simulated: true,
+    nfse: {
+      id: note.id,
+      numero: String(note.numero),
+      codigo_verificacao: note.codigo_verificacao,
+      status: note.status,
+      pdf_url: null,
+      xml_url: null,
+      acbr_api_id: note.id
+    }
+  };
+}
+
+async function checkNfseStatus(companyAcbrId, nfseId) {
+  if (!nfseId) {
+    throw new Error('NFS-e ID is required');
+  }
+
+  const note = notes.get(nfseId);
+  if (!note) {
+    return {
+      status: null,
+      unknown: true,
+      numero: null,
+      codigo_verificacao: null,
+      pdf_url: null,
+      xml_url: null,
+      mensagem: 'Nota simulada não encontrada na memória do provedor (reiniciado); status mantido',
+      errorCode: null
+    };
+  }
+
+  settle(note);
+  return toStatusResult(note);
+}
+
+async function cancelNfse(acbrApiId, nfseId, motivo) {
+  const note = notes.get(nfseId);
+  if (note) {
+    settle(note);
+    if (note.status !== 'autorizada') {
+      const error = new Error(`Somente notas autorizadas podem ser canceladas (status atual: ${note.status})`);
+      error.status = 400;
+      error.code = 'NFSE_NOT_AUTHORIZED';
+      throw error;
+    }
+    note.status = 'cancelada';
+    note.mensagem = `Cancelada: ${motivo}`;
+  }
+
+  return {
+    status: 'success',
+    message: 'NFS-e cancelada com sucesso (provedor simulado)',
+    data: { simulated: true, nfseId, motivo }
+  };
+}
+
+async function substituteNfse(originalNfseId, invoiceData, companyData, substitution) {
+  const { codigoMotivo = '99', motivo } = substitution || {};
+
+  if (!SUBSTITUTION_REASONS[codigoMotivo]) {
+    const err = new Error(`Código de motivo de substituição inválido: ${codigoMotivo}`);
+    err.status = 400;
+    err.code = 'INVALID_SUBSTITUTION_REASON';
+    throw err;
+  }
+
+  const original = notes.get(originalNfseId);
+  const chave = original?.chave || cleanDigits(originalNfseId).padEnd(50, '0').slice(0, 50);
+
+  return emitNfse(
+    {
+      ...invoiceData,
+      substituicao: {
+        chave,
+        codigo_motivo: codigoMotivo,
+        motivo: motivo || SUBSTITUTION_REASONS[codigoMotivo]
+      }
+    },
+    companyData
+  );
+}
+
+async function listAllNfse(cnpj) {
+  const cleanCnpj = cleanDigits(cnpj);
+  return [...notes.values()]
+    .filter(note => note.cnpj === cleanCnpj)
+    .map(note => {
+      settle(note);
+      return {
+        id: note.id,
+        status: note.status,
+        numero: String(note.numero),
+        codigo_verificacao: note.codigo_verificacao,
+        data_emissao: new Date(note.createdAt).toISOString(),
+        valor: note.valor,
+        tomador_nome: note.tomador_nome,
+        tomador_documento: note.tomador_documento,
+        descricao_servico: note.descricao_servico,
+        codigo_servico: note.codigo_servico,
+        numero_dps: note.nDPS,
+        serie: String(note.serie || DPS_SERIE)
+      };
+    });
+}
+
+/**
+ * NFS-e XML of an authorized mock note (the DPS wrapped in a simulated infNFSe)
+ */
+async function downloadXml(invoice) {
+  const note = notes.get(invoice.acbrApiId);
+  if (!note) return null;
+  settle(note);
+  if (!['autorizada', 'cancelada'].includes(note.status)) return null;
+
+  const dps = note.dps.xml.replace(/^<\?xml[^>]*>\n/, '').split('\n').map(line => `    ${line}`).join('\n');
+  return Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<NFSe xmlns="${DPS_NAMESPACE}" versao="1.00">`,
+    `  <infNFSe Id="NFS${note.chave}">`,
+    '    <xLocEmi>Ambiente simulado</xLocEmi>',
+    `    <nNFSe>${note.numero}</nNFSe>`,
+    `    <cVerif>${note.codigo_verificacao}</cVerif>`,
+    '    <cStat>100</cStat>',
+    `    <dhProc>${new Date(note.decideAt).toISOString()}</dhProc>`,
+    dps,
+    '  </infNFSe>',
+    '</NFSe>'
+  ].join('\n'));
+}
+
+// No provider PDF: the invoice PDF is generated locally
+async function downloadPdf() {
+  return null;
+}
+
+/**
+ * Forget every mock company and note (tests)
+ */
+export function resetMockNfseProvider() {
+  companies.clear();
+  notes.clear();
+  offlineAttempts.clear();
+}
+
+export default {
+  name: 'mock',
+  label: 'Provedor simulado (sem rede)',
+  isConfigured,
+  registerCompany,
+  uploadCertificate,
+  configureNfseForCertificate,
+  configureMunicipalCredentials,
+  checkConnection,
+  testNfseEmissionCapability,
+  emitNfse,
+  substituteNfse,
+  checkNfseStatus,
+  cancelNfse,
+  listAllNfse,
+  downloadXml,
+  downloadPdf
+};
@@ -9,9 +9,15 @@
  */
 
 import { prisma } from '../lib/prisma.js';
-import { emitNfse, checkConnection } from './acbrApi.js';
+import { DPS_SERIE } from './acbrApi.js';
+import { getFiscalProvider, isSimulatedNfseId } from './fiscalProvider.js';
 import { translateErrorForUser } from './errorTranslationService.js';
 import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { buildRetentionInvoiceFields } from './federalRetentions.js';
+import { calculateIssAmount, buildDeductionInvoiceFields } from './invoiceDeductions.js';
+import { buildExportInvoiceFields } from './foreignTomador.js';
+import { deliverAuthorizedInvoice } from './invoiceDeliveryService.js';
+import { buildReceivableInvoiceFields } from './receivablesService.js';
 
 // Retry configuration
 const RETRY_INTERVAL_MS = 10 * 60 * 1000; // 10 minutes
@@ -138,7 +144,7 @@ export async function processRetryQueue() {
 
     try {
       if (company.acbrApiId) {
-        const connectionResult = await checkConnection(company.acbrApiId);
+        const connectionResult = await getFiscalProvider(company).checkConnection(company.acbrApiId);
         isOnline = connectionResult.status === 'conectado';
       }
     } catch (error) {
@@ -176,10 +182,10 @@ export async function processRetryQueue() {
         const companyForEmission = { ...item.company, nextRpsNumero };
 
         // Emit the invoice
-        const nfseResult = await emitNfse(item.invoiceData, companyForEmission);
+        const nfseResult = await getFiscalProvider(item.company).emitNfse(item.invoiceData, companyForEmission);
 
-        // Calculate ISS
-        const valorIss = (parseFloat(item.invoiceData.valor) * parseFloat(item.invoiceData.aliquota_iss || 5)) / 100;
+        // Calculate ISS over the deducted base
+        const valorIss = calculateIssAmount({ ...item.invoiceData, aliquota_iss: item.invoiceData.aliquota_iss || 5 });
 
         // Create invoice in database
         const invoice = await prisma.invoice.create({
@@ -191,6 +197,11 @@ export async function processRetryQueue() {
             valor: parseFloat(item.invoiceData.valor),
             aliquotaIss: parseFloat(item.invoiceData.aliquota_iss || 5),
             valorIss: valorIss,
+            issRetido: Boolean(item.invoiceData.iss_retido),
+            ...buildDeductionInvoiceFields(item.invoiceData),
+            ...buildRetentionInvoiceFields(item.invoiceData),
+            ...buildExportInvoiceFields(item.invoiceData),
+            ...buildReceivableInvoiceFields(item.invoiceData, item.company),
             municipio: item.invoiceData.municipio || item.company.cidade,
             status: nfseResult.nfse.status || 'autorizada',
             numero: nfseResult.nfse.numero,
@@ -200,10 +211,17 @@ export async function processRetryQueue() {
             codigoServico: item.invoiceData.codigo_servico,
             pdfUrl: nfseResult.nfse.pdf_url,
             xmlUrl: nfseResult.nfse.xml_url,
-            acbrApiId: nfseResult.nfse.acbr_api_id
+            acbrApiId: nfseResult.nfse.acbr_api_id,
+            simulada: isSimulatedNfseId(nfseResult.nfse.acbr_api_id),
+            numeroDps: nextRpsNumero,
+            serieDps: DPS_SERIE
           }
         });
 
+        if (invoice.status === 'autorizada') {
+          deliverAuthorizedInvoice(invoice.id);
+        }
+
         // Mark queue item as completed
         await prisma.invoiceRetryQueue.update({
           where: { id: item.id },
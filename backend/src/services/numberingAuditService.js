@@ -0,0 +1,387 @@
+/**
+ * Numbering Audit Service
+ * Reconciles the DPS numbering of a company (Company.lastRpsNumero) with what ACBr reports
+ *
+ * Every emission consumes a DPS number before calling the API, so an emission that fails
+ * midway may or may not have used the number at the prefeitura. The audit compares:
+ * - local invoices (Invoice.numeroDps, or numero_dps in the status history for older records)
+ * - the NFS-e listed by ACBr for the company's DPS série
+ *
+ * and reports:
+ * - gaps: numbers up to the counter that nobody used
+ * - duplicates: the same DPS number on more than one valid note
+ * - orphaned: notes ACBr knows about with no local invoice (emitted, but the local record was lost)
+ * - local_only: local invoices ACBr does not know about
+ * - counter_behind: a DPS number above Company.lastRpsNumero is already in use
+ *
+ * Repair actions (admin only): resync the counter to the highest number used, and import
+ * orphaned notes as local invoices.
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { DPS_SERIE } from './acbrApi.js';
+import { getFiscalProvider, isSimulatedNfseId } from './fiscalProvider.js';
+
+// Rejected/failed DPS did not produce a note, so their number may legitimately be reused
+const NON_CONSUMING_STATUSES = ['rejeitada', 'erro'];
+const MAX_LISTED_GAPS = 100;
+
+function toDpsNumber(value) {
+  const parsed = parseInt(String(value ?? ''), 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+}
+
+/**
+ * DPS number recorded for a local invoice (column, or status history of older emissions)
+ */
+function recordedDpsNumber(invoice) {
+  const fromColumn = toDpsNumber(invoice.numeroDps);
+  if (fromColumn) return fromColumn;
+
+  for (const entry of invoice.statusHistory || []) {
+    const fromHistory = toDpsNumber(entry.metadata?.numero_dps);
+    if (fromHistory) return fromHistory;
+  }
+  return null;
+}
+
+/**
+ * Collapse a sorted list of numbers into ranges ({from, to})
+ */
+function toRanges(numbers) {
+  const ranges = [];
+  for (const number of numbers) {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last.to + 1) {
+      last.to = number;
+    } else {
+      ranges.push({ from: number, to: number });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Build the numbering report of a company
+ *
+ * @param {object} params
+ * @param {number} params.counter - Company.lastRpsNumero
+ * @param {object[]} params.localInvoices - Invoices (id, numero, status, acbrApiId, numeroDps, statusHistory)
+ * @param {object[]|null} params.remoteNotes - Notes from listAllNfse for the DPS série, or null when ACBr was not consulted
+ * @returns {object} Report
+ */
+export function buildNumberingReport({ counter, localInvoices, remoteNotes }) {
+  const remoteById = new Map((remoteNotes || []).map(note => [note.id, note]));
+  const matchedRemoteIds = new Set();
+  const entries = [];
+  const backfill = [];
+  const localOnly = [];
+  let unnumbered = 0;
+
+  for (const invoice of localInvoices) {
+    const remote = invoice.acbrApiId ? remoteById.get(invoice.acbrApiId) : null;
+    if (remote) matchedRemoteIds.add(remote.id);
+
+    const recorded = recordedDpsNumber(invoice);
+    const numeroDps = recorded ?? toDpsNumber(remote?.numero_dps);
+
+    if (numeroDps && !toDpsNumber(invoice.numeroDps)) {
+      backfill.push({ invoice_id: invoice.id, numero_dps: numeroDps });
+    }
+    if (!numeroDps) unnumbered++;
+
+    // Simulated notes never reach ACBr; without an ACBr ID there is nothing to look up
+    if (remoteNotes && !remote && invoice.acbrApiId && !invoice.acbrApiId.startsWith('SIM-')) {
+      localOnly.push({
+        invoice_id: invoice.id,
+        numero: invoice.numero,
+        numero_dps: numeroDps,
+        status: invoice.status,
+        acbr_api_id: invoice.acbrApiId
+      });
+    }
+
+    entries.push({
+      origem: 'local',
+      invoice_id: invoice.id,
+      acbr_api_id: invoice.acbrApiId || null,
+      numero: invoice.numero || remote?.numero || null,
+      numero_dps: numeroDps,
+      status: remote?.status || invoice.status
+    });
+  }
+
+  const orphaned = (remoteNotes || [])
+    .filter(note => !matchedRemoteIds.has(note.id))
+    .map(note => ({
+      acbr_api_id: note.id,
+      numero: note.numero,
+      numero_dps: toDpsNumber(note.numero_dps),
+      status: note.status,
+      data_emissao: note.data_emissao || null,
+      valor: note.valor != null ? Number(note.valor) : null,
+      tomador_nome: note.tomador_nome || null
+    }));
+
+  for (const note of orphaned) {
+    entries.push({
+      origem: 'acbr',
+      invoice_id: null,
+      acbr_api_id: note.acbr_api_id,
+      numero: note.numero,
+      numero_dps: note.numero_dps,
+      status: note.status
+    });
+  }
+
+  // Numbers in use: every note that reached the prefeitura (or still may)
+  const byNumber = new Map();
+  for (const entry of entries) {
+    if (!entry.numero_dps || NON_CONSUMING_STATUSES.includes(entry.status)) continue;
+    if (!byNumber.has(entry.numero_dps)) byNumber.set(entry.numero_dps, []);
+    byNumber.get(entry.numero_dps).push(entry);
+  }
+
+  const duplicates = [...byNumber.entries()]
+    .filter(([, notes]) => notes.length > 1)
+    .map(([numeroDps, notes]) => ({ numero_dps: numeroDps, notes }))
+    .sort((a, b) => a.numero_dps - b.numero_dps);
+
+  const used = [...byNumber.keys()].sort((a, b) => a - b);
+  const highestUsed = used.length > 0 ? used[used.length - 1] : 0;
+  const counterValue = Number(counter) || 0;
+
+  const missing = [];
+  const usedSet = new Set(used);
+  for (let number = 1; number <= counterValue; number++) {
+    if (!usedSet.has(number)) missing.push(number);
+  }
+  const gapRanges = toRanges(missing);
+
+  return {
+    serie: DPS_SERIE,
+    counter: counterValue,
+    highest_used: highestUsed,
+    suggested_counter: Math.max(counterValue, highestUsed),
+    counter_behind: highestUsed > counterValue,
+    acbr_checked: Boolean(remoteNotes),
+    totals: {
+      local: localInvoices.length,
+      remote: remoteNotes ? remoteNotes.length : null,
+      numbered: used.length,
+      unnumbered
+    },
+    gap_count: missing.length,
+    gaps: gapRanges.slice(0, MAX_LISTED_GAPS),
+    duplicates,
+    orphaned,
+    local_only: localOnly,
+    backfill
+  };
+}
+
+async function loadCompany(companyId) {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { id: true, cnpj: true, razaoSocial: true, nomeFantasia: true, lastRpsNumero: true, acbrApiId: true, fiscalProvider: true }
+  });
+  if (!company) {
+    throw new AppError('Empresa não encontrada', 404, 'NOT_FOUND');
+  }
+  return company;
+}
+
+/**
+ * Notes of the company's DPS série in ACBr (notes without a série are kept: the list may omit it)
+ */
+async function fetchRemoteNotes(company) {
+  const notes = await getFiscalProvider(company).listAllNfse(company.cnpj);
+  return notes.filter(note => !note.serie || note.serie === DPS_SERIE);
+}
+
+async function loadLocalInvoices(companyId) {
+  return prisma.invoice.findMany({
+    where: { companyId, status: { not: 'rascunho' } },
+    select: {
+      id: true,
+      numero: true,
+      status: true,
+      acbrApiId: true,
+      numeroDps: true,
+      statusHistory: {
+        where: { source: { in: ['api', 'manual', 'numbering_audit'] } },
+        select: { metadata: true },
+        orderBy: { createdAt: 'asc' },
+        take: 3
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * Audit the DPS numbering of a company
+ * Falls back to a local-only audit when ACBr is not configured or unreachable.
+ *
+ * @param {string} companyId - Company ID
+ * @returns {Promise<object>} Report (see buildNumberingReport) plus company and warning
+ */
+export async function auditCompanyNumbering(companyId) {
+  const company = await loadCompany(companyId);
+  const localInvoices = await loadLocalInvoices(companyId);
+
+  let remoteNotes = null;
+  let warning = null;
+
+  if (!getFiscalProvider(company).isConfigured() || !company.acbrApiId) {
+    warning = 'Empresa não registrada na ACBr API: auditoria feita apenas com os registros locais';
+  } else {
+    try {
+      remoteNotes = await fetchRemoteNotes(company);
+    } catch (error) {
+      console.error('[NumberingAudit] Failed to list NFS-e from ACBr:', error.message);
+      warning = `Não foi possível consultar a ACBr API (${error.message}): auditoria feita apenas com os registros locais`;
+    }
+  }
+
+  const report = buildNumberingReport({ counter: company.lastRpsNumero, localInvoices, remoteNotes });
+
+  return {
+    company: {
+      id: company.id,
+      razao_social: company.razaoSocial,
+      nome_fantasia: company.nomeFantasia,
+      cnpj: company.cnpj
+    },
+    warning,
+    ...report
+  };
+}
+
+/**
+ * Resync Company.lastRpsNumero with the highest DPS number in use
+ * The counter is never decreased, so a number consumed by a failed emission is not reissued.
+ * Also stores the DPS numbers found for invoices that did not have one.
+ *
+ * @param {string} companyId - Company ID
+ * @returns {Promise<{previous_counter: number, counter: number, backfilled: number}>}
+ */
+export async function resyncNumberingCounter(companyId) {
+  const audit = await auditCompanyNumbering(companyId);
+
+  for (const { invoice_id: invoiceId, numero_dps: numeroDps } of audit.backfill) {
+    await prisma.invoice.update({
+      where: { id: invoiceId },
+      data: { numeroDps, serieDps: DPS_SERIE }
+    });
+  }
+
+  // Conditional update: an emission running concurrently may already have moved the counter past it
+  await prisma.company.updateMany({
+    where: { id: companyId, lastRpsNumero: { lt: audit.suggested_counter } },
+    data: { lastRpsNumero: audit.suggested_counter }
+  });
+
+  const { lastRpsNumero } = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { lastRpsNumero: true }
+  });
+
+  console.log(`[NumberingAudit] Company ${companyId}: counter ${audit.counter} -> ${lastRpsNumero}, ${audit.backfill.length} invoice(s) backfilled`);
+
+  return {
+    previous_counter: audit.counter,
+    counter: lastRpsNumero,
+    backfilled: audit.backfill.length
+  };
+}
+
+/**
+ * Import notes that exist in ACBr but not locally
+ *
+ * @param {string} companyId - Company ID
+ * @param {object} [options]
+ * @param {string[]} [options.acbrIds] - Notes to import (default: every orphaned note)
+ * @param {string} [options.userId] - Admin running the import (recorded in the history)
+ * @returns {Promise<{imported: object[], skipped: string[]}>}
+ */
+export async function importOrphanedNotes(companyId, { acbrIds, userId } = {}) {
+  const company = await loadCompany(companyId);
+
+  if (!getFiscalProvider(company).isConfigured() || !company.acbrApiId) {
+    throw new AppError('Empresa não registrada na ACBr API', 400, 'ACBR_NOT_CONFIGURED');
+  }
+
+  let remoteNotes;
+  try {
+    remoteNotes = await fetchRemoteNotes(company);
+  } catch (error) {
+    throw new AppError(`Não foi possível consultar a ACBr API: ${error.message}`, 502, 'ACBR_UNAVAILABLE');
+  }
+
+  const localInvoices = await loadLocalInvoices(companyId);
+  const { orphaned } = buildNumberingReport({ counter: company.lastRpsNumero, localInvoices, remoteNotes });
+  const orphanedIds = new Set(orphaned.map(note => note.acbr_api_id));
+  const requested = Array.isArray(acbrIds) && acbrIds.length > 0 ? acbrIds : [...orphanedIds];
+
+  const imported = [];
+  const skipped = [];
+
+  for (const acbrId of requested) {
+    const note = remoteNotes.find(item => item.id === acbrId);
+    if (!note || !orphanedIds.has(acbrId)) {
+      skipped.push(acbrId);
+      continue;
+    }
+
+    const numeroDps = toDpsNumber(note.numero_dps);
+    const dataEmissao = note.data_emissao ? new Date(note.data_emissao) : null;
+
+    const invoice = await prisma.invoice.create({
+      data: {
+        companyId,
+        clienteNome: note.tomador_nome || 'Tomador não informado',
+        clienteDocumento: note.tomador_documento || '',
+        descricaoServico: note.descricao_servico || 'Nota importada da ACBr API',
+        valor: Number(note.valor) || 0,
+        status: note.status,
+        numero: note.numero,
+        codigoVerificacao: note.codigo_verificacao,
+        dataEmissao: dataEmissao && !Number.isNaN(dataEmissao.getTime()) ? dataEmissao : null,
+        codigoServico: note.codigo_servico,
+        acbrApiId: note.id,
+        simulada: isSimulatedNfseId(note.id),
+        numeroDps,
+        serieDps: DPS_SERIE
+      }
+    });
+
+    await prisma.invoiceStatusHistory.create({
+      data: {
+        invoiceId: invoice.id,
+        status: invoice.status,
+        message: 'Nota importada pela auditoria de numeração (emitida na prefeitura sem registro local)',
+        source: 'numbering_audit',
+        metadata: {
+          acbr_api_id: note.id,
+          numero_dps: numeroDps,
+          imported_by: userId || null
+        }
+      }
+    });
+
+    imported.push({ invoice_id: invoice.id, acbr_api_id: note.id, numero: note.numero, numero_dps: numeroDps });
+  }
+
+  console.log(`[NumberingAudit] Company ${companyId}: ${imported.length} note(s) imported, ${skipped.length} skipped`);
+
+  return { imported, skipped };
+}
+
+export default {
+  buildNumberingReport,
+  auditCompanyNumbering,
+  resyncNumberingCounter,
+  importOrphanedNotes
+};
@@ -1,10 +1,26 @@
 /**
  * PDF Generation Service
- * Generates PDF invoices locally when ACBr API URL is unavailable
+ * Generates PDF invoices locally when ACBr API URL is unavailable, the DAS guide, the
+ * DARF / ISS guides of Lucro Presumido companies and the DASN-SIMEI summary of MEI companies
+ *
+ * All documents carry the company branding (logo, colors, footer note and contact block)
  */
 
 import PDFDocument from 'pdfkit';
 import { Readable } from 'stream';
+import {
+  FEDERAL_RETENTION_TYPES,
+  FEDERAL_RETENTION_LABELS,
+  getInvoiceRetentionAmounts,
+  getTotalRetentions
+} from './federalRetentions.js';
+import { transformInvoiceDeductions } from './invoiceDeductions.js';
+import { getInvoicePix } from './receivablesService.js';
+import { generatePixQrCode } from './pixService.js';
+import { getCompanyBranding } from './companyBrandingService.js';
+
+const DARK_COLOR = '#1a1a2e';
+const GRAY_COLOR = '#6b7280';
 
 /**
  * Format currency in Brazilian Real
@@ -59,14 +75,88 @@ function formatDocument(doc) {
   return doc;
 }
 
+/**
+ * Header band: company logo (or name) over the secondary color
+ * Without branding it shows the MAY title.
+ */
+function drawBrandHeader(doc, brand) {
+  doc.rect(0, 0, 612, 120)
+     .fill(brand.secondaryColor);
+
+  if (brand.logo) {
+    try {
+      doc.image(brand.logo, 50, 25, { fit: [220, 70], valign: 'center' });
+      return;
+    } catch (error) {
+      // Corrupt image: fall back to the name
+      console.warn('[PDF] Could not draw company logo:', error.message);
+    }
+  }
+
+  doc.fillColor(brand.headerTextColor)
+     .fontSize(brand.customized ? 20 : 28)
+     .font('Helvetica-Bold')
+     .text(brand.name, 50, 40, { width: 380, height: 30, ellipsis: true });
+
+  if (!brand.customized) {
+    doc.fillColor(brand.primaryColor)
+       .fontSize(10)
+       .font('Helvetica')
+       .text('Assistente Fiscal IA', 50, 70);
+  }
+}
+
+/**
+ * Footer: contact block and footer note of the company, then the generation notice
+ *
+ * @returns {number} Y position after the footer
+ */
+function drawBrandFooter(doc, brand, y) {
+  doc.moveTo(50, y)
+     .lineTo(562, y)
+     .stroke('#e5e7eb');
+
+  y += 15;
+
+  if (brand.contactLines.length > 0) {
+    doc.fillColor(DARK_COLOR)
+       .fontSize(8)
+       .font('Helvetica-Bold')
+       .text(brand.contactLines.join('  |  '), 50, y, { align: 'center', width: 512 });
+    y = doc.y + 4;
+  }
+
+  if (brand.footerText) {
+    doc.fillColor(GRAY_COLOR)
+       .fontSize(8)
+       .font('Helvetica')
+       .text(brand.footerText, 50, y, { align: 'center', width: 512 });
+    y = doc.y + 4;
+  }
+
+  doc.fillColor(GRAY_COLOR)
+     .fontSize(brand.customized ? 7 : 8)
+     .font('Helvetica')
+     .text('Este documento foi gerado pelo sistema MAY - Assistente Fiscal IA', 50, y, { align: 'center', width: 512 });
+
+  return y + 12;
+}
+
 /**
  * Generate PDF for an invoice
  * 
  * @param {object} invoice - Invoice data
  * @param {object} company - Company data
+ * @param {object} [options]
+ * @param {object} [options.branding] - Resolved branding (companyBrandingService); loaded from the company when omitted
  * @returns {Promise<Buffer>} PDF buffer
  */
-export async function generateInvoicePDF(invoice, company) {
+export async function generateInvoicePDF(invoice, company, { branding } = {}) {
+  // PIX charge for the open balance (authorized invoices of companies with a PIX key)
+  const pix = getInvoicePix(invoice, company);
+  const pixQrCode = pix ? await generatePixQrCode(pix.copia_e_cola) : null;
+  const brand = branding || await getCompanyBranding(company);
+
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({
@@ -86,30 +176,18 @@ export async function generateInvoicePDF(invoice, company) {
       doc.on('error', reject);
 
       // Colors
-      const primaryColor = '#f97316';
-      const darkColor = '#1a1a2e';
-      const grayColor = '#6b7280';
-
-      // Header with gradient-like effect
-      doc.rect(0, 0, 612, 120)
-         .fill(darkColor);
+      const primaryColor = brand.primaryColor;
+      const darkColor = DARK_COLOR;
+      const grayColor = GRAY_COLOR;
 
-      // Logo/Title
-      doc.fillColor('#ffffff')
-         .fontSize(28)
-         .font('Helvetica-Bold')
-         .text('MAY', 50, 40);
-
-      doc.fillColor(primaryColor)
-         .fontSize(10)
-         .font('Helvetica')
-         .text('Assistente Fiscal IA', 50, 70);
+      // Header with the company logo or name
+      drawBrandHeader(doc, brand);
 
       // NFS-e Badge
       doc.roundedRect(450, 35, 110, 50, 5)
          .fill(primaryColor);
 
-      doc.fillColor('#ffffff')
+      doc.fillColor(brand.primaryTextColor)
          .fontSize(12)
          .font('Helvetica-Bold')
          .text('NFS-e', 455, 45, { width: 100, align: 'center' });
@@ -240,8 +318,14 @@ export async function generateInvoicePDF(invoice, company) {
 
       y += 20;
 
+      // Discounts and deductions add two rows to the values table
+      const deductions = transformInvoiceDeductions(invoice);
+      const hasDeductions = deductions.valor_desconto_incondicionado > 0
+        || deductions.valor_desconto_condicionado > 0
+        || deductions.valor_deducoes > 0;
+
       // Values table
-      doc.roundedRect(50, y, 512, 100, 5)
+      doc.roundedRect(50, y, 512, hasDeductions ? 174 : 100, 5)
          .fill('#f9fafb');
 
       y += 15;
@@ -287,23 +371,146 @@ export async function generateInvoicePDF(invoice, company) {
          .text(formatCurrency(invoice.valorIss), col2, y)
          .text(invoice.issRetido ? 'SIM' : 'NÃO', col3, y);
 
+      const retentions = getInvoiceRetentionAmounts(invoice);
+
+      if (hasDeductions) {
+        y += 25;
+
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica')
+           .text('DESCONTO INCONDICIONADO', col1, y)
+           .text('DESCONTO CONDICIONADO', col2, y)
+           .text('DEDUÇÕES', col3, y);
+
+        y += 12;
+
+        doc.fillColor(darkColor)
+           .fontSize(11)
+           .font('Helvetica-Bold')
+           .text(formatCurrency(deductions.valor_desconto_incondicionado), col1, y)
+           .text(formatCurrency(deductions.valor_desconto_condicionado), col2, y)
+           .text(formatCurrency(deductions.valor_deducoes), col3, y);
+
+        y += 25;
+
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica')
+           .text('BASE DE CÁLCULO ISS', col1, y);
+        // Net amount is shown with the federal retentions when there are any
+        if (getTotalRetentions(retentions) === 0) {
+          doc.text('VALOR LÍQUIDO', col2, y);
+        }
+
+        y += 12;
+
+        doc.fillColor(darkColor)
+           .fontSize(11)
+           .font('Helvetica-Bold')
+           .text(formatCurrency(deductions.base_calculo), col1, y);
+        if (getTotalRetentions(retentions) === 0) {
+          doc.fillColor(primaryColor)
+             .text(formatCurrency(invoice.valorLiquido ?? invoice.valor), col2, y);
+        }
+      }
+
       y += 45;
 
-      // Footer
-      doc.moveTo(50, y)
-         .lineTo(562, y)
-         .stroke('#e5e7eb');
+      // Federal retentions and net amount (vLiq)
+      if (getTotalRetentions(retentions) > 0) {
+        doc.fillColor(darkColor)
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text('RETENÇÕES FEDERAIS', 50, y);
 
-      y += 15;
+        y += 20;
 
-      doc.fillColor(grayColor)
-         .fontSize(8)
-         .font('Helvetica')
-         .text('Este documento foi gerado pelo sistema MAY - Assistente Fiscal IA', 50, y, { align: 'center', width: 512 });
+        doc.roundedRect(50, y, 512, 70, 5)
+           .fill('#f9fafb');
 
-      y += 12;
+        y += 15;
+
+        const retentionCols = [60, 160, 260, 360, 460];
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica');
+        FEDERAL_RETENTION_TYPES.forEach((type, index) => {
+          doc.text(FEDERAL_RETENTION_LABELS[type], retentionCols[index], y);
+        });
+
+        y += 12;
+
+        doc.fillColor(darkColor)
+           .fontSize(11)
+           .font('Helvetica-Bold');
+        FEDERAL_RETENTION_TYPES.forEach((type, index) => {
+          doc.text(formatCurrency(retentions[type]), retentionCols[index], y);
+        });
+
+        y += 20;
+
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica')
+           .text('VALOR LÍQUIDO', col1, y + 3);
+
+        doc.fillColor(primaryColor)
+           .fontSize(13)
+           .font('Helvetica-Bold')
+           .text(formatCurrency(invoice.valorLiquido ?? invoice.valor), col2, y);
+
+        y += 45;
+      }
+
+      // PIX payment (BR Code QR + copia e cola)
+      if (pix) {
+        if (y + 190 > doc.page.height - 50) {
+          doc.addPage();
+          y = 50;
+        }
+
+        doc.fillColor(darkColor)
+           .fontSize(12)
+           .font('Helvetica-Bold')
+           .text('PAGAMENTO VIA PIX', 50, y);
+
+        y += 20;
+
+        doc.roundedRect(50, y, 512, 120, 5)
+           .stroke(grayColor);
+
+        doc.image(pixQrCode, 60, y + 10, { width: 100, height: 100 });
+
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica')
+           .text('VALOR', 175, y + 12);
+
+        doc.fillColor(primaryColor)
+           .fontSize(13)
+           .font('Helvetica-Bold')
+           .text(formatCurrency(pix.valor), 175, y + 24);
+
+        doc.fillColor(grayColor)
+           .fontSize(8)
+           .font('Helvetica')
+           .text('Escaneie o QR Code ou use o PIX copia e cola:', 175, y + 46)
+           .fillColor(darkColor)
+           .fontSize(7)
+           .text(pix.copia_e_cola, 175, y + 58, { width: 377 })
+           .fillColor(grayColor)
+           .text(`Identificador (txid): ${pix.txid}`, 175, y + 100);
+
+        y += 140;
+      }
+
+      // Footer
+      y = drawBrandFooter(doc, brand, y);
 
-      doc.text(`Emitido em: ${formatDate(new Date())} às ${new Date().toLocaleTimeString('pt-BR')}`, 50, y, { align: 'center', width: 512 });
+      doc.fillColor(grayColor)
+         .fontSize(8)
+         .text(`Emitido em: ${formatDate(new Date())} às ${new Date().toLocaleTimeString('pt-BR')}`, 50, y, { align: 'center', width: 512 });
 
       if (invoice.municipio) {
         y += 12;
@@ -330,7 +537,654 @@ export async function generateInvoicePDFStream(invoice, company) {
   return Readable.from(buffer);
 }
 
+const MONTH_NAMES = [
+  'Janeiro', 'Fevereiro', 'Março', 'Abril', 'Maio', 'Junho',
+  'Julho', 'Agosto', 'Setembro', 'Outubro', 'Novembro', 'Dezembro'
+];
+
+/**
+ * Generate the DAS (Documento de Arrecadação do Simples Nacional) guide
+ *
+ * @param {object} das - DAS record
+ * @param {object} company - Company data
+ * @param {object} [options]
+ * @param {object} [options.branding] - Resolved branding; loaded from the company when omitted
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateDASPDF(das, company, { branding } = {}) {
+  const brand = branding || await getCompanyBranding(company);
+  const isMEI = company?.regimeTributario === 'MEI';
+  const [mes, ano] = String(das.referencia || '').split('/');
+  const periodo = MONTH_NAMES[parseInt(mes, 10) - 1] ? `${MONTH_NAMES[parseInt(mes, 10) - 1]}/${ano}` : das.referencia;
+  const paid = das.status === 'pago';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `DAS ${das.referencia}`,
+          Author: 'MAY - Assistente Fiscal IA',
+          Subject: `Documento de Arrecadação do Simples Nacional - ${company?.razaoSocial || ''}`,
+          Creator: 'MAY Fiscal Platform'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      drawBrandHeader(doc, brand);
+
+      // DAS badge
+      doc.roundedRect(430, 35, 130, 50, 5)
+         .fill(brand.primaryColor);
+
+      doc.fillColor(brand.primaryTextColor)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text(isMEI ? 'DAS MEI' : 'DAS', 435, 45, { width: 120, align: 'center' });
+
+      doc.fontSize(16)
+         .text(das.referencia, 435, 62, { width: 120, align: 'center' });
+
+      // Status bar
+      doc.rect(0, 120, 612, 25)
+         .fill(paid ? '#22c55e' : '#f59e0b');
+
+      doc.fillColor('#ffffff')
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text(`STATUS: ${paid ? 'PAGO' : 'PENDENTE'}`, 50, 127);
+
+      doc.text(`VENCIMENTO: ${formatDate(das.dataVencimento)}`, 300, 127, { align: 'right', width: 262 });
+
+      let y = 170;
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(14)
+         .font('Helvetica-Bold')
+         .text('DOCUMENTO DE ARRECADAÇÃO DO SIMPLES NACIONAL', 50, y, { align: 'center', width: 512 });
+
+      y += 35;
+
+      // Contribuinte
+      doc.fontSize(12)
+         .text('CONTRIBUINTE', 50, y);
+
+      y += 20;
+
+      doc.roundedRect(50, y, 512, 55, 5)
+         .stroke(GRAY_COLOR);
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text(company?.razaoSocial || company?.nomeFantasia || 'Empresa', 60, y + 10);
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(9)
+         .font('Helvetica')
+         .text(`CNPJ: ${formatCNPJ(company?.cnpj)}`, 60, y + 27)
+         .text(`${company?.cidade || ''} - ${company?.uf || ''}`, 300, y + 27);
+
+      y += 75;
+
+      // Período de apuração
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('PERÍODO DE APURAÇÃO', 50, y);
+
+      y += 20;
+
+      doc.roundedRect(50, y, 512, 45, 5)
+         .fill('#f9fafb');
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .font('Helvetica')
+         .text('REFERÊNCIA', 60, y + 8)
+         .text('COMPETÊNCIA', 280, y + 8);
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text(periodo, 60, y + 20)
+         .text(das.referencia, 280, y + 20);
+
+      y += 65;
+
+      // Tributos
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('DISCRIMINAÇÃO DOS TRIBUTOS', 50, y);
+
+      y += 20;
+
+      // Simples Nacional DAS carry the share of each tax; MEI DAS the fixed amounts
+      const rows = das.anexo
+        ? [
+          ['IRPJ', das.valorIrpj],
+          ['CSLL', das.valorCsll],
+          ['COFINS', das.valorCofins],
+          ['PIS/PASEP', das.valorPis],
+          ['CPP (INSS patronal)', das.valorCpp],
+          ['ISS', das.valorIss]
+        ]
+        : [
+          ['INSS', das.valorInss],
+          ['ISS', das.valorIss],
+          ['ICMS', das.valorIcms]
+        ];
+
+      // Up to three rows per column, so the Simples Nacional DAS still fits in one page
+      const rowsPerColumn = 3;
+
+      doc.roundedRect(50, y, 512, 20 * rowsPerColumn + 45, 5)
+         .fill('#f9fafb');
+
+      y += 10;
+
+      rows.forEach(([label, value], index) => {
+        const rowY = y + 20 * (index % rowsPerColumn);
+        const [labelX, valueX, valueWidth] = rows.length > rowsPerColumn
+          ? (index < rowsPerColumn ? [60, 170, 120] : [316, 430, 120])
+          : [60, 380, 170];
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(10)
+           .font('Helvetica')
+           .text(label, labelX, rowY)
+           .fillColor(DARK_COLOR)
+           .text(formatCurrency(Number(value || 0)), valueX, rowY, { width: valueWidth, align: 'right' });
+      });
+
+      y += 20 * rowsPerColumn;
+
+      doc.moveTo(60, y)
+         .lineTo(552, y)
+         .stroke('#e5e7eb');
+
+      y += 8;
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text('TOTAL A PAGAR', 60, y + 2);
+
+      doc.fillColor(brand.primaryColor)
+         .fontSize(14)
+         .text(formatCurrency(Number(das.valorTotal)), 380, y, { width: 170, align: 'right' });
+
+      y += 45;
+
+      if (das.anexo) {
+        const rate = (value) => `${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}%`;
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(8)
+           .font('Helvetica')
+           .text(
+             `Cálculo: Anexo ${das.anexo}, faixa ${das.faixa}` +
+             (das.fatorR !== null && das.fatorR !== undefined ? ` (Fator R ${rate(Number(das.fatorR) * 100)})` : '') +
+             ` - RBT12 ${formatCurrency(Number(das.rbt12 || 0))} - ` +
+             `alíquota nominal ${rate(das.aliquotaNominal)}, parcela a deduzir ${formatCurrency(Number(das.parcelaDeduzir || 0))} - ` +
+             `alíquota efetiva ${rate(das.aliquotaEfetiva)} sobre a receita do mês de ${formatCurrency(Number(das.receitaBruta || 0))}`,
+             50, y - 15, { width: 512 }
+           );
+        y = doc.y + 15;
+      }
+
+      // Pagamento
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('PAGAMENTO', 50, y);
+
+      y += 20;
+
+      doc.roundedRect(50, y, 512, 75, 5)
+         .stroke(GRAY_COLOR);
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .font('Helvetica')
+         .text('VENCIMENTO', 60, y + 10)
+         .text(paid ? 'DATA DO PAGAMENTO' : 'SITUAÇÃO', 280, y + 10)
+         .text('CÓDIGO DE BARRAS', 60, y + 42);
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text(formatDate(das.dataVencimento), 60, y + 22)
+         .text(paid ? formatDate(das.dataPagamento) : 'Pendente', 280, y + 22);
+
+      doc.font('Courier')
+         .fontSize(9)
+         .text(das.codigoBarras || 'Não disponível', 60, y + 54, { width: 492 });
+
+      y += 95;
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .font('Helvetica')
+         .text('O pagamento após o vencimento está sujeito a multa e juros. Guarde este documento como comprovante.', 50, y, { width: 512 })
+         .text('Em caso de dúvidas, acesse o Portal do Simples Nacional ou o Portal do Empreendedor (www.gov.br/empresas-e-negocios).', 50, doc.y + 2, { width: 512 });
+
+      y = doc.y + 20;
+
+      y = drawBrandFooter(doc, brand, y);
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .text(`Gerado em: ${formatDate(new Date())} às ${new Date().toLocaleTimeString('pt-BR')}`, 50, y, { align: 'center', width: 512 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate the DARF (Documento de Arrecadação de Receitas Federais) of a Lucro Presumido tax,
+ * in the layout of the numbered DARF fields. ISS records produce the municipal ISS guide.
+ *
+ * @param {object} darf - Darf record
+ * @param {object} company - Company data
+ * @param {object} [options]
+ * @param {object} [options.branding] - Resolved branding; loaded from the company when omitted
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateDARFPDF(darf, company, { branding } = {}) {
+  const brand = branding || await getCompanyBranding(company);
+  const isISS = darf.tributo === 'ISS';
+  const paid = darf.status === 'pago';
+  const rate = (value) => `${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}%`;
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `${isISS ? 'ISS' : 'DARF'} ${darf.tributo} ${darf.referencia}`,
+          Author: 'MAY - Assistente Fiscal IA',
+          Subject: `${isISS ? 'Guia de ISS' : 'Documento de Arrecadação de Receitas Federais'} - ${company?.razaoSocial || ''}`,
+          Creator: 'MAY Fiscal Platform'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      drawBrandHeader(doc, brand);
+
+      // Tax badge
+      doc.roundedRect(430, 35, 130, 50, 5)
+         .fill(brand.primaryColor);
+
+      doc.fillColor(brand.primaryTextColor)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text(isISS ? 'ISS' : `DARF ${darf.tributo}`, 435, 45, { width: 120, align: 'center' });
+
+      doc.fontSize(16)
+         .text(darf.referencia, 435, 62, { width: 120, align: 'center' });
+
+      // Status bar
+      doc.rect(0, 120, 612, 25)
+         .fill(paid ? '#22c55e' : '#f59e0b');
+
+      doc.fillColor('#ffffff')
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text(`STATUS: ${paid ? 'PAGO' : 'PENDENTE'}`, 50, 127);
+
+      doc.text(`VENCIMENTO: ${formatDate(darf.dataVencimento)}`, 300, 127, { align: 'right', width: 262 });
+
+      let y = 170;
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(14)
+         .font('Helvetica-Bold')
+         .text(isISS ? 'GUIA DE ISS' : 'DOCUMENTO DE ARRECADAÇÃO DE RECEITAS FEDERAIS', 50, y, { align: 'center', width: 512 });
+
+      y += 35;
+
+      // Numbered fields: the ISS guide has no revenue code
+      const valorPrincipal = Number(darf.valorPrincipal || 0) + Number(darf.valorAdicional || 0) - Number(darf.valorRetido || 0);
+      const fields = [
+        ['01', 'NOME / TELEFONE', `${company?.razaoSocial || company?.nomeFantasia || 'Empresa'}${company?.telefone ? ` / ${company.telefone}` : ''}`],
+        ['02', 'PERÍODO DE APURAÇÃO', formatDate(darf.periodoApuracao)],
+        ['03', 'NÚMERO DO CPF OU CNPJ', formatCNPJ(company?.cnpj)],
+        ['04', 'CÓDIGO DA RECEITA', darf.codigoReceita || (isISS ? 'Municipal' : '---')],
+        ['05', 'NÚMERO DE REFERÊNCIA', darf.referencia],
+        ['06', 'DATA DE VENCIMENTO', formatDate(darf.dataVencimento)],
+        ['07', 'VALOR DO PRINCIPAL', formatCurrency(Math.max(0, valorPrincipal))],
+        ['08', 'VALOR DA MULTA', formatCurrency(0)],
+        ['09', 'VALOR DOS JUROS E/OU ENCARGOS', formatCurrency(0)]
+      ];
+
+      fields.forEach(([number, label, value]) => {
+        doc.rect(50, y, 512, 30)
+           .stroke('#d1d5db');
+
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(7)
+           .font('Helvetica')
+           .text(`${number}  ${label}`, 58, y + 5);
+
+        doc.fillColor(DARK_COLOR)
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text(value, 58, y + 15, { width: 496, height: 12, ellipsis: true });
+
+        y += 30;
+      });
+
+      doc.rect(50, y, 512, 36)
+         .fill('#f9fafb');
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text('10  VALOR TOTAL', 58, y + 13);
+
+      doc.fillColor(brand.primaryColor)
+         .fontSize(14)
+         .text(formatCurrency(Number(darf.valorTotal)), 380, y + 11, { width: 174, align: 'right' });
+
+      y += 56;
+
+      // Calculation
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('DEMONSTRATIVO DO CÁLCULO', 50, y);
+
+      y += 20;
+
+      const receita = formatCurrency(Number(darf.receitaBruta || 0));
+      const lines = darf.presuncao !== null && darf.presuncao !== undefined
+        ? [
+          `Receita bruta do trimestre: ${receita}`,
+          `Base de cálculo: ${receita} x presunção de ${rate(darf.presuncao)} = ${formatCurrency(Number(darf.baseCalculo || 0))}`,
+          `${darf.tributo}: ${rate(darf.aliquota)} sobre a base = ${formatCurrency(Number(darf.valorPrincipal || 0))}`
+        ]
+        : [
+          `Receita bruta do mês: ${receita}`,
+          `${darf.tributo}: ${rate(darf.aliquota)} sobre ${formatCurrency(Number(darf.baseCalculo || 0))} = ${formatCurrency(Number(darf.valorPrincipal || 0))}`
+        ];
+
+      if (Number(darf.valorAdicional || 0) > 0) {
+        lines.push(`Adicional de IRPJ: 10% sobre a base acima de R$ 60.000,00 no trimestre = ${formatCurrency(Number(darf.valorAdicional))}`);
+      }
+      if (Number(darf.valorRetido || 0) > 0) {
+        lines.push(`(-) Retido pelos tomadores nas notas fiscais do período: ${formatCurrency(Number(darf.valorRetido))}`);
+      }
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(9)
+         .font('Helvetica');
+
+      lines.forEach(line => {
+        doc.text(line, 60, y, { width: 492 });
+        y = doc.y + 4;
+      });
+
+      y += 16;
+
+      if (paid) {
+        doc.fillColor(DARK_COLOR)
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text(`Pago em ${formatDate(darf.dataPagamento)}`, 50, y);
+        y = doc.y + 12;
+      }
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .font('Helvetica')
+         .text('O pagamento após o vencimento está sujeito a multa e juros. Guarde este documento como comprovante.', 50, y, { width: 512 })
+         .text(
+           isISS
+             ? 'A guia oficial de ISS é emitida no portal da prefeitura do município da empresa.'
+             : 'O DARF com código de barras pode ser emitido no Sicalc Web (www.gov.br/receitafederal) com os dados acima.',
+           50, doc.y + 2, { width: 512 }
+         );
+
+      y = doc.y + 20;
+
+      y = drawBrandFooter(doc, brand, y);
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .text(`Gerado em: ${formatDate(new Date())} às ${new Date().toLocaleTimeString('pt-BR')}`, 50, y, { align: 'center', width: 512 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Generate the DASN-SIMEI summary: the values to type into the government portal, the
+ * composition of the revenue, the DAS of the year and the checklist
+ *
+ * @param {object} summary - Declaration summary (dasnSimeiService.getDasnSummary)
+ * @param {object} company - Company data
+ * @param {object} [options]
+ * @param {object} [options.branding] - Resolved branding; loaded from the company when omitted
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+export async function generateDASNPDF(summary, company, { branding } = {}) {
+  const brand = branding || await getCompanyBranding(company);
+  const filed = summary.status === 'transmitida';
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+          Title: `DASN-SIMEI ${summary.ano}`,
+          Author: 'MAY - Assistente Fiscal IA',
+          Subject: `Declaração Anual do MEI - ${company?.razaoSocial || ''}`,
+          Creator: 'MAY Fiscal Platform'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      drawBrandHeader(doc, brand);
+
+      // Declaration badge
+      doc.roundedRect(430, 35, 130, 50, 5)
+         .fill(brand.primaryColor);
+
+      doc.fillColor(brand.primaryTextColor)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('DASN-SIMEI', 435, 45, { width: 120, align: 'center' });
+
+      doc.fontSize(16)
+         .text(String(summary.ano), 435, 62, { width: 120, align: 'center' });
+
+      // Status bar
+      doc.rect(0, 120, 612, 25)
+         .fill(filed ? '#22c55e' : '#f59e0b');
+
+      doc.fillColor('#ffffff')
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text(`STATUS: ${filed ? 'TRANSMITIDA' : 'PENDENTE DE ENTREGA'}`, 50, 127);
+
+      doc.text(`PRAZO: ${formatDate(summary.prazo)}`, 300, 127, { align: 'right', width: 262 });
+
+      let y = 165;
+
+      doc.fillColor(DARK_COLOR)
+         .fontSize(14)
+         .font('Helvetica-Bold')
+         .text('DECLARAÇÃO ANUAL DO MEI (DASN-SIMEI)', 50, y, { align: 'center', width: 512 });
+
+      y += 25;
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(9)
+         .font('Helvetica')
+         .text(`${company?.razaoSocial || company?.nomeFantasia || 'Empresa'} - CNPJ ${formatCNPJ(company?.cnpj)} - Ano-calendário ${summary.ano}`, 50, y, { align: 'center', width: 512 });
+
+      y += 25;
+
+      // Values for the portal
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('VALORES PARA DIGITAR NO PORTAL', 50, y);
+
+      y += 20;
+
+      doc.roundedRect(50, y, 512, 20 * summary.valoresPortal.length + 16, 5)
+         .fill('#f9fafb');
+
+      y += 10;
+
+      summary.valoresPortal.forEach(({ campo, valor }) => {
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(10)
+           .font('Helvetica')
+           .text(campo, 60, y, { width: 360 })
+           .fillColor(DARK_COLOR)
+           .font('Helvetica-Bold')
+           .text(typeof valor === 'number' ? formatCurrency(valor) : valor, 420, y, { width: 130, align: 'right' });
+        y += 20;
+      });
+
+      y += 20;
+
+      // Revenue and DAS, side by side
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('COMPOSIÇÃO DA RECEITA', 50, y)
+         .text('GUIAS DAS DO ANO', 316, y);
+
+      y += 20;
+
+      const revenueRows = [
+        ['Notas fiscais emitidas', summary.receitaNotas],
+        ['Serviços sem nota fiscal', summary.receitaServicosSemNota],
+        ['Comércio e indústria', summary.receitaComercio],
+        ['Limite do MEI', summary.limite]
+      ];
+      const dasRows = [
+        [`Pagas (${summary.das.pagos})`, formatCurrency(summary.das.valorPago)],
+        [`Pendentes (${summary.das.pendentes.length})`, formatCurrency(summary.das.valorPendente)],
+        ['Meses sem guia', String(summary.das.mesesSemGuia.length)]
+      ];
+
+      revenueRows.forEach(([label, value], index) => {
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(9)
+           .font('Helvetica')
+           .text(label, 60, y + 16 * index)
+           .fillColor(DARK_COLOR)
+           .text(formatCurrency(value), 170, y + 16 * index, { width: 120, align: 'right' });
+      });
+
+      dasRows.forEach(([label, value], index) => {
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(9)
+           .font('Helvetica')
+           .text(label, 326, y + 16 * index)
+           .fillColor(DARK_COLOR)
+           .text(value, 430, y + 16 * index, { width: 120, align: 'right' });
+      });
+
+      y += 16 * revenueRows.length + 4;
+
+      const openMonths = [...summary.das.pendentes.map(das => das.referencia), ...summary.das.mesesSemGuia].sort();
+      if (openMonths.length > 0) {
+        doc.fillColor(GRAY_COLOR)
+           .fontSize(8)
+           .text(`Meses em aberto: ${openMonths.join(', ')}`, 326, y, { width: 226 });
+        y = Math.max(y, doc.y);
+      }
+
+      y += 20;
+
+      // Checklist
+      doc.fillColor(DARK_COLOR)
+         .fontSize(12)
+         .font('Helvetica-Bold')
+         .text('CHECKLIST', 50, y);
+
+      y += 20;
+
+      summary.checklist.forEach(item => {
+        doc.roundedRect(60, y, 10, 10, 2)
+           .fillAndStroke(item.ok ? '#22c55e' : '#ffffff', item.ok ? '#22c55e' : GRAY_COLOR);
+
+        doc.fillColor(DARK_COLOR)
+           .fontSize(10)
+           .font(item.ok ? 'Helvetica' : 'Helvetica-Bold')
+           .text(item.label, 78, y, { width: 474 });
+
+        y = doc.y + 2;
+
+        if (!item.ok && item.detalhe) {
+          doc.fillColor(GRAY_COLOR)
+             .fontSize(8)
+             .font('Helvetica')
+             .text(item.detalhe, 78, y, { width: 474 });
+          y = doc.y + 2;
+        }
+
+        y += 6;
+      });
+
+      y += 10;
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .font('Helvetica')
+         .text(
+           filed
+             ? `Declaração transmitida em ${formatDate(summary.dataTransmissao)}${summary.numeroRecibo ? ` - recibo ${summary.numeroRecibo}` : ''}.`
+             : `Transmita a declaração até ${formatDate(summary.prazo)} no Portal do Empreendedor (www.gov.br/empresas-e-negocios). A entrega após o prazo gera multa.`,
+           50, y, { width: 512 }
+         )
+         .text('A receita das notas fiscais considera as NFS-e autorizadas do ano. Confira os valores antes de transmitir.', 50, doc.y + 2, { width: 512 });
+
+      y = doc.y + 20;
+
+      y = drawBrandFooter(doc, brand, y);
+
+      doc.fillColor(GRAY_COLOR)
+         .fontSize(8)
+         .text(`Gerado em: ${formatDate(new Date())} às ${new Date().toLocaleTimeString('pt-BR')}`, 50, y, { align: 'center', width: 512 });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
 export default {
   generateInvoicePDF,
-  generateInvoicePDFStream
+  generateInvoicePDFStream,
+  generateDASPDF,
+  generateDARFPDF,
+  generateDASNPDF
 };
@@ -0,0 +1,214 @@
+/**
+ * PIX Service
+ * Static PIX charges (BR Code) for invoices
+ *
+ * - Each company may register a PIX key (CPF, CNPJ, email, phone or random key)
+ * - The BR Code is the EMV QR Code payload defined by the Banco Central (Manual de Padrões
+ *   para Iniciação do Pix): merchant account (GUI br.gov.bcb.pix + key), amount, receiver
+ *   name and city, txid and CRC16
+ * - The txid is derived from the invoice ID, so any payload generated for an invoice
+ *   (PDF, email, API) carries the same txid and a bank statement can be matched back to it
+ */
+
+import QRCode from 'qrcode';
+
+export const PIX_KEY_TYPES = ['cpf', 'cnpj', 'email', 'telefone', 'aleatoria'];
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const CURRENCY_BRL = '986';
+const TXID_LENGTH = 25;
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+
+/**
+ * EMV field: ID + two-digit length + value
+ */
+function emvField(id, value) {
+  const content = String(value);
+  return `${id}${String(content.length).padStart(2, '0')}${content}`;
+}
+
+/**
+ * Receiver name and city must be plain ASCII in the BR Code
+ */
+function toBrCodeText(value, maxLength) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .-]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toUpperCase()
+    .slice(0, maxLength);
+}
+
+/**
+ * CRC16-CCITT (polynomial 0x1021, initial value 0xFFFF) of a BR Code payload
+ *
+ * @param {string} payload - Payload including the CRC field ID and length ("6304")
+ * @returns {string} Four upper-case hex digits
+ */
+export function crc16(payload) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+      crc &= 0xFFFF;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Normalize a PIX key to the format banks expect in the BR Code
+ *
+ * @param {string} type - One of PIX_KEY_TYPES
+ * @param {string} key - Key as typed by the user
+ * @returns {string}
+ */
+export function normalizePixKey(type, key) {
+  const value = String(key || '').trim();
+  switch (type) {
+    case 'cpf':
+    case 'cnpj':
+      return value.replace(/\D/g, '');
+    case 'telefone': {
+      const digits = value.replace(/\D/g, '');
+      return `+${digits.startsWith('55') && digits.length > 11 ? digits : `55${digits}`}`;
+    }
+    case 'email':
+    case 'aleatoria':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate a PIX key
+ *
+ * @param {string} type - One of PIX_KEY_TYPES
+ * @param {string} key - Key (raw or normalized)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePixKey(type, key) {
+  if (!PIX_KEY_TYPES.includes(type)) {
+    return `Tipo de chave PIX deve ser: ${PIX_KEY_TYPES.join(', ')}`;
+  }
+  const normalized = normalizePixKey(type, key);
+  const valid = {
+    cpf: /^\d{11}$/,
+    cnpj: /^\d{14}$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    telefone: /^\+55\d{10,11}$/,
+    aleatoria: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/
+  }[type].test(normalized);
+
+  if (!valid || normalized.length > 77) {
+    return 'Chave PIX inválida para o tipo informado';
+  }
+  return null;
+}
+
+/**
+ * txid of an invoice's PIX charge (first 25 hex digits of the invoice UUID)
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @returns {string}
+ */
+export function buildPixTxid(invoiceId) {
+  return String(invoiceId).replace(/[^0-9a-fA-F]/g, '').slice(0, TXID_LENGTH).toUpperCase();
+}
+
+/**
+ * Invoice ID prefix encoded in a txid (for matching received PIX payments)
+ *
+ * @param {string} txid - txid from buildPixTxid
+ * @returns {string|null} UUID prefix (with dashes), or null when not an invoice txid
+ */
+export function invoiceIdPrefixFromTxid(txid) {
+  const hex = String(txid || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{25}$/.test(hex)) return null;
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Build a static PIX BR Code ("PIX copia e cola")
+ *
+ * @param {object} options
+ * @param {string} options.key - Normalized PIX key
+ * @param {number} [options.amount] - Amount in BRL (omitted = payer types the amount)
+ * @param {string} options.merchantName - Receiver name
+ * @param {string} options.merchantCity - Receiver city
+ * @param {string} [options.txid] - Transaction ID (up to 25 alphanumeric characters)
+ * @returns {string}
+ */
+export function buildPixPayload({ key, amount, merchantName, merchantCity, txid }) {
+  const merchantAccount = emvField('00', PIX_GUI) + emvField('01', key);
+  const reference = String(txid || '').replace(/[^A-Za-z0-9]/g, '').slice(0, TXID_LENGTH) || '***';
+
+  const payload = [
+    emvField('00', '01'),
+    emvField('26', merchantAccount),
+    emvField('52', '0000'),
+    emvField('53', CURRENCY_BRL),
+    amount > 0 ? emvField('54', Number(amount).toFixed(2)) : '',
+    emvField('58', 'BR'),
+    emvField('59', toBrCodeText(merchantName, MAX_NAME_LENGTH) || 'RECEBEDOR'),
+    emvField('60', toBrCodeText(merchantCity, MAX_CITY_LENGTH) || 'BRASIL'),
+    emvField('62', emvField('05', reference)),
+    '6304'
+  ].join('');
+
+  return payload + crc16(payload);
+}
+
+/**
+ * PIX charge of an invoice for a given amount
+ *
+ * @param {object} invoice - Invoice record
+ * @param {object} company - Issuing company (pixChave, pixTipoChave, nomeFantasia/razaoSocial, cidade)
+ * @param {number} amount - Amount to charge
+ * @returns {{txid: string, copia_e_cola: string, valor: number}|null} null when the company has no PIX key
+ */
+export function buildInvoicePix(invoice, company, amount) {
+  if (!company?.pixChave || !company?.pixTipoChave || !(amount > 0)) {
+    return null;
+  }
+
+  const txid = buildPixTxid(invoice.id);
+  return {
+    txid,
+    copia_e_cola: buildPixPayload({
+      key: normalizePixKey(company.pixTipoChave, company.pixChave),
+      amount,
+      merchantName: company.razaoSocial || company.nomeFantasia,
+      merchantCity: company.cidade,
+      txid
+    }),
+    valor: amount
+  };
+}
+
+/**
+ * QR code image of a BR Code
+ *
+ * @param {string} payload - BR Code
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function generatePixQrCode(payload) {
+  return QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', margin: 1, width: 300 });
+}
+
+export default {
+  PIX_KEY_TYPES,
+  crc16,
+  normalizePixKey,
+  validatePixKey,
+  buildPixTxid,
+  invoiceIdPrefixFromTxid,
+  buildPixPayload,
+  buildInvoicePix,
+  generatePixQrCode
+};
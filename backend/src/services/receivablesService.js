@@ -0,0 +1,637 @@
+/**
+ * Receivables Service
+ * Tracks what clients owe on authorized invoices (Invoice.paymentStatus)
+ *
+ * - Due date per invoice (data_vencimento, or the company's default payment term)
+ * - Full and partial payments (InvoicePayment), summed into Invoice.valorPago
+ * - Aging report: current (not yet due), 1-30, 31-60, 61-90 and 90+ days overdue
+ * - Open balance per client
+ * - Optional overdue reminder emails to the client on a per-company schedule
+ * - PIX charge (BR Code) for the open balance, reconciled back by its txid
+ *
+ * The amount receivable is the net value of the invoice (valorLiquido), since retentions
+ * are withheld by the client and paid directly to the government.
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+import { isEmailConfigured, sendOverdueReminderEmail } from './email.js';
+import { findInvoiceClient } from './invoiceDeliveryService.js';
+import { buildInvoicePix, invoiceIdPrefixFromTxid } from './pixService.js';
+
+export const PAYMENT_METHODS = ['pix', 'boleto', 'transferencia', 'cartao', 'dinheiro', 'outro'];
+export const AGING_BUCKETS = ['current', '1_30', '31_60', '61_90', '90_plus'];
+export const DEFAULT_REMINDER_DAYS = [3, 10, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+const REMINDER_BATCH_SIZE = 100;
+
+// Only authorized invoices are receivable
+const RECEIVABLE_STATUSES = ['autorizada'];
+
+let isProcessingReminders = false;
+
+function round2(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+// @db.Date columns are read and written as UTC midnight; convert to/from the local calendar day
+function fromDateColumn(value) {
+  const date = new Date(value);
+  return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function toDateColumn(date) {
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+/**
+ * Amount the client has to pay for an invoice (net of retentions)
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {number}
+ */
+export function receivableAmount(invoice) {
+  return round2(invoice.valorLiquido ?? invoice.valor);
+}
+
+/**
+ * Amount still open on an invoice
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {number}
+ */
+export function outstandingAmount(invoice) {
+  return Math.max(0, round2(receivableAmount(invoice) - round2(invoice.valorPago)));
+}
+
+/**
+ * Payment status from the amount due and the amount paid
+ *
+ * @param {number} total - Amount receivable
+ * @param {number} paid - Amount paid
+ * @returns {'pending'|'partial'|'paid'}
+ */
+export function derivePaymentStatus(total, paid) {
+  if (round2(paid) >= round2(total)) return 'paid';
+  if (round2(paid) > 0) return 'partial';
+  return 'pending';
+}
+
+/**
+ * Due date of an invoice (invoices without one are due on emission)
+ *
+ * @param {object} invoice - Invoice record
+ * @returns {Date}
+ */
+export function getDueDate(invoice) {
+  if (invoice.dataVencimento) {
+    return fromDateColumn(invoice.dataVencimento);
+  }
+  return startOfDay(invoice.dataEmissao || invoice.createdAt);
+}
+
+/**
+ * Days past the due date (0 or negative when not yet overdue)
+ *
+ * @param {Date} dueDate - Due date
+ * @param {Date} [today]
+ * @returns {number}
+ */
+export function daysOverdue(dueDate, today = new Date()) {
+  return Math.round((startOfDay(today) - startOfDay(dueDate)) / DAY_MS);
+}
+
+/**
+ * Aging bucket of an open invoice
+ *
+ * @param {number} days - Days overdue
+ * @returns {string} One of AGING_BUCKETS
+ */
+export function agingBucket(days) {
+  if (days <= 0) return 'current';
+  if (days <= 30) return '1_30';
+  if (days <= 60) return '31_60';
+  if (days <= 90) return '61_90';
+  return '90_plus';
+}
+
+/**
+ * Due date of a new invoice: explicit data_vencimento, or emission date + company payment term
+ *
+ * @param {object} invoiceData - Invoice data (may carry data_vencimento)
+ * @param {object} company - Issuing company
+ * @param {Date} [emissionDate]
+ * @returns {Date|null}
+ */
+export function calculateDueDate(invoiceData, company, emissionDate = new Date()) {
+  if (invoiceData?.data_vencimento) {
+    return new Date(invoiceData.data_vencimento);
+  }
+  if (company?.prazoPagamentoDias > 0) {
+    const due = startOfDay(emissionDate);
+    due.setDate(due.getDate() + company.prazoPagamentoDias);
+    return toDateColumn(due);
+  }
+  return null;
+}
+
+/**
+ * Receivable fields of a new invoice record
+ *
+ * @param {object} invoiceData - Invoice data
+ * @param {object} company - Issuing company
+ * @returns {object} Prisma Invoice fields
+ */
+export function buildReceivableInvoiceFields(invoiceData, company) {
+  return { dataVencimento: calculateDueDate(invoiceData, company) };
+}
+
+/**
+ * Snake_case receivable fields of an invoice (for API responses)
+ *
+ * @param {object} invoice - Invoice record
+ * @param {Date} [today]
+ * @returns {object}
+ */
+export function transformInvoiceReceivable(invoice, today = new Date()) {
+  const saldo = outstandingAmount(invoice);
+  const days = daysOverdue(getDueDate(invoice), today);
+  return {
+    payment_status: invoice.paymentStatus || 'pending',
+    data_vencimento: invoice.dataVencimento || null,
+    valor_a_receber: receivableAmount(invoice),
+    valor_pago: round2(invoice.valorPago),
+    saldo,
+    data_pagamento: invoice.dataPagamento || null,
+    dias_em_atraso: saldo > 0 && days > 0 ? days : 0
+  };
+}
+
+/**
+ * Snake_case payment record (for API responses)
+ *
+ * @param {object} payment - InvoicePayment record
+ * @returns {object}
+ */
+export function transformPayment(payment) {
+  return {
+    id: payment.id,
+    invoice_id: payment.invoiceId,
+    valor: parseFloat(payment.valor),
+    data_pagamento: payment.dataPagamento,
+    forma_pagamento: payment.formaPagamento,
+    observacao: payment.observacao,
+    pix_txid: payment.pixTxid || null,
+    end_to_end_id: payment.endToEndId || null,
+    created_at: payment.createdAt
+  };
+}
+
+/**
+ * Aging report of open invoices
+ *
+ * @param {object[]} invoices - Receivable invoice records
+ * @param {Date} [today]
+ * @returns {object} Totals per bucket, overall open balance and overdue amount
+ */
+export function buildAgingReport(invoices, today = new Date()) {
+  const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, { count: 0, valor: 0 }]));
+  let total = 0;
+  let overdue = 0;
+
+  for (const invoice of invoices) {
+    const saldo = outstandingAmount(invoice);
+    if (saldo <= 0) continue;
+    const bucket = agingBucket(daysOverdue(getDueDate(invoice), today));
+    buckets[bucket].count++;
+    buckets[bucket].valor = round2(buckets[bucket].valor + saldo);
+    total = round2(total + saldo);
+    if (bucket !== 'current') overdue = round2(overdue + saldo);
+  }
+
+  return { buckets, total, overdue };
+}
+
+/**
+ * Open balance per client
+ *
+ * @param {object[]} invoices - Receivable invoice records
+ * @param {Date} [today]
+ * @returns {object[]} { cliente_nome, cliente_documento, saldo, vencido, invoices } sorted by balance
+ */
+export function buildClientBalances(invoices, today = new Date()) {
+  const balances = new Map();
+
+  for (const invoice of invoices) {
+    const saldo = outstandingAmount(invoice);
+    if (saldo <= 0) continue;
+    const documento = String(invoice.clienteDocumento || '').replace(/\D/g, '');
+    const key = documento || invoice.clienteNif || invoice.clienteNome;
+    const entry = balances.get(key) || {
+      cliente_nome: invoice.clienteNome,
+      cliente_documento: documento || invoice.clienteNif || null,
+      saldo: 0,
+      vencido: 0,
+      invoices: 0
+    };
+    entry.saldo = round2(entry.saldo + saldo);
+    if (daysOverdue(getDueDate(invoice), today) > 0) {
+      entry.vencido = round2(entry.vencido + saldo);
+    }
+    entry.invoices++;
+    balances.set(key, entry);
+  }
+
+  return [...balances.values()].sort((a, b) => b.saldo - a.saldo);
+}
+
+/**
+ * Open receivable invoices of a user's companies
+ *
+ * @param {string} userId - Owner
+ * @param {object} [filters]
+ * @param {string} [filters.companyId] - Restrict to one company
+ * @returns {Promise<object[]>} Invoice records
+ */
+export async function findOpenReceivables(userId, { companyId } = {}) {
+  return prisma.invoice.findMany({
+    where: {
+      company: { userId },
+      ...(companyId && { companyId }),
+      status: { in: RECEIVABLE_STATUSES },
+      paymentStatus: { not: 'paid' }
+    },
+    orderBy: [{ dataVencimento: 'asc' }, { dataEmissao: 'asc' }]
+  });
+}
+
+async function findUserInvoice(invoiceId, userId) {
+  const invoice = await prisma.invoice.findFirst({
+    where: { id: invoiceId, company: { userId } }
+  });
+  if (!invoice) {
+    throw new AppError('Nota fiscal não encontrada', 404, 'NOT_FOUND');
+  }
+  return invoice;
+}
+
+// Serializes the payment changes of an invoice until the end of the transaction
+async function lockInvoice(tx, invoiceId) {
+  await tx.$queryRaw`SELECT id FROM invoices WHERE id = ${invoiceId} FOR UPDATE`;
+}
+
+/**
+ * Payment date of a request as a @db.Date value (the calendar day as written)
+ *
+ * @param {string} [value] - 'YYYY-MM-DD' or ISO 8601 date-time (default: today)
+ * @returns {Date}
+ * @throws {AppError} 400 VALIDATION_ERROR when the date does not exist
+ */
+function parsePaymentDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return toDateColumn(new Date());
+  }
+
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(T.+)?$/);
+  const day = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  if (!match || Number.isNaN(new Date(value).getTime()) ||
+    day.getUTCMonth() !== Number(match[2]) - 1 || day.getUTCDate() !== Number(match[3])) {
+    throw new AppError(`Data de pagamento inválida: ${value}. Use o formato AAAA-MM-DD.`, 400, 'VALIDATION_ERROR');
+  }
+  return day;
+}
+
+async function refreshPaymentTotals(invoiceId, client = prisma) {
+  const invoice = await client.invoice.findUnique({ where: { id: invoiceId } });
+  const payments = await client.invoicePayment.findMany({
+    where: { invoiceId },
+    orderBy: { dataPagamento: 'desc' }
+  });
+  const valorPago = round2(payments.reduce((sum, p) => sum + parseFloat(p.valor), 0));
+
+  return client.invoice.update({
+    where: { id: invoiceId },
+    data: {
+      valorPago,
+      paymentStatus: derivePaymentStatus(receivableAmount(invoice), valorPago),
+      dataPagamento: payments[0]?.dataPagamento || null
+    }
+  });
+}
+
+/**
+ * Register a (full or partial) payment of an invoice
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} userId - Owner
+ * @param {object} payment
+ * @param {number} [payment.valor] - Amount received (default: the open balance)
+ * @param {string} [payment.data_pagamento] - Payment date (default: today)
+ * @param {string} payment.forma_pagamento - One of PAYMENT_METHODS
+ * @param {string} [payment.observacao]
+ * @param {string} [payment.pix_txid] - txid of the invoice BR Code (PIX reconciliation)
+ * @param {string} [payment.end_to_end_id] - PIX end-to-end ID (PIX reconciliation)
+ * @returns {Promise<{invoice: object, payment: object}>}
+ */
+export async function registerPayment(invoiceId, userId, { valor, data_pagamento, forma_pagamento, observacao, pix_txid, end_to_end_id } = {}) {
+  const invoice = await findUserInvoice(invoiceId, userId);
+
+  if (!RECEIVABLE_STATUSES.includes(invoice.status)) {
+    throw new AppError('Apenas notas autorizadas podem receber pagamentos', 400, 'INVOICE_NOT_RECEIVABLE');
+  }
+  if (!PAYMENT_METHODS.includes(forma_pagamento)) {
+    throw new AppError(`Forma de pagamento inválida. Use: ${PAYMENT_METHODS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const dataPagamento = parsePaymentDate(data_pagamento);
+
+  // The balance is read again under the lock, so concurrent payments cannot exceed it
+  return prisma.$transaction(async (tx) => {
+    await lockInvoice(tx, invoiceId);
+    const saldo = outstandingAmount(await tx.invoice.findUnique({ where: { id: invoiceId } }));
+    if (saldo <= 0) {
+      throw new AppError('Esta nota já está quitada', 400, 'INVOICE_ALREADY_PAID');
+    }
+
+    const amount = valor !== undefined && valor !== null ? round2(valor) : saldo;
+    if (!(amount > 0)) {
+      throw new AppError('Valor do pagamento deve ser maior que zero', 400, 'VALIDATION_ERROR');
+    }
+    if (amount > saldo) {
+      throw new AppError(
+        `Valor do pagamento (R$ ${amount.toFixed(2)}) maior que o saldo em aberto (R$ ${saldo.toFixed(2)})`,
+        400,
+        'PAYMENT_EXCEEDS_BALANCE'
+      );
+    }
+
+    const payment = await tx.invoicePayment.create({
+      data: {
+        invoiceId,
+        valor: amount,
+        dataPagamento,
+        formaPagamento: forma_pagamento,
+        observacao: observacao?.trim() || null,
+        pixTxid: pix_txid || null,
+        endToEndId: end_to_end_id || null
+      }
+    });
+
+    return { invoice: await refreshPaymentTotals(invoiceId, tx), payment };
+  });
+}
+
+/**
+ * PIX charge (BR Code) for the open balance of an invoice
+ *
+ * @param {object} invoice - Invoice record
+ * @param {object} company - Issuing company
+ * @returns {{txid: string, copia_e_cola: string, valor: number}|null} null when not payable by PIX
+ */
+export function getInvoicePix(invoice, company) {
+  if (!RECEIVABLE_STATUSES.includes(invoice.status)) {
+    return null;
+  }
+  return buildInvoicePix(invoice, company, outstandingAmount(invoice));
+}
+
+/**
+ * Reconcile a received PIX transfer with the invoice its txid belongs to
+ *
+ * @param {string} txid - txid of the invoice BR Code
+ * @param {string} userId - Owner
+ * @param {object} transfer
+ * @param {number} [transfer.valor] - Amount received (default: the open balance)
+ * @param {string} [transfer.data_pagamento] - Payment date (default: today)
+ * @param {string} [transfer.end_to_end_id] - PIX end-to-end ID
+ * @returns {Promise<{invoice: object, payment: object}>}
+ */
+export async function reconcilePixPayment(txid, userId, { valor, data_pagamento, end_to_end_id } = {}) {
+  const idPrefix = invoiceIdPrefixFromTxid(txid);
+  const invoice = idPrefix && await prisma.invoice.findFirst({
+    where: { id: { startsWith: idPrefix }, company: { userId } }
+  });
+  if (!invoice) {
+    throw new AppError('Nenhuma nota fiscal corresponde a este txid', 404, 'PIX_TXID_NOT_FOUND');
+  }
+
+  if (end_to_end_id) {
+    const existing = await prisma.invoicePayment.findUnique({ where: { endToEndId: end_to_end_id } });
+    if (existing) {
+      throw new AppError('Este PIX já foi conciliado', 409, 'PIX_ALREADY_RECONCILED');
+    }
+  }
+
+  return registerPayment(invoice.id, userId, {
+    valor,
+    data_pagamento,
+    forma_pagamento: 'pix',
+    pix_txid: String(txid).toUpperCase(),
+    end_to_end_id
+  });
+}
+
+/**
+ * Remove a payment registered by mistake
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} paymentId - InvoicePayment ID
+ * @param {string} userId - Owner
+ * @returns {Promise<object>} Updated invoice
+ */
+export async function deletePayment(invoiceId, paymentId, userId) {
+  await findUserInvoice(invoiceId, userId);
+
+  return prisma.$transaction(async (tx) => {
+    await lockInvoice(tx, invoiceId);
+    const { count } = await tx.invoicePayment.deleteMany({ where: { id: paymentId, invoiceId } });
+    if (count === 0) {
+      throw new AppError('Pagamento não encontrado', 404, 'NOT_FOUND');
+    }
+
+    return refreshPaymentTotals(invoiceId, tx);
+  });
+}
+
+/**
+ * Change the due date of an invoice
+ *
+ * @param {string} invoiceId - Invoice ID
+ * @param {string} userId - Owner
+ * @param {string|null} dataVencimento - New due date (null = due on emission)
+ * @returns {Promise<object>} Updated invoice
+ */
+export async function updateDueDate(invoiceId, userId, dataVencimento) {
+  await findUserInvoice(invoiceId, userId);
+
+  return prisma.invoice.update({
+    where: { id: invoiceId },
+    data: {
+      dataVencimento: dataVencimento ? new Date(dataVencimento) : null,
+      // A new due date restarts the reminder schedule
+      lembretesEnviados: 0,
+      ultimoLembreteAt: null
+    }
+  });
+}
+
+/**
+ * Reminder schedule of a company (days overdue, ascending)
+ *
+ * @param {object} company - Company record
+ * @returns {number[]}
+ */
+export function getReminderDays(company) {
+  const days = Array.isArray(company?.lembreteCobrancaDias) ? company.lembreteCobrancaDias : DEFAULT_REMINDER_DAYS;
+  return [...new Set(days.map(Number).filter(day => Number.isInteger(day) && day > 0))].sort((a, b) => a - b);
+}
+
+/**
+ * Whether an overdue invoice is due for its next reminder
+ *
+ * @param {object} invoice - Invoice record (lembretesEnviados, due date)
+ * @param {number[]} reminderDays - Company schedule
+ * @param {Date} [today]
+ * @returns {boolean}
+ */
+export function isReminderDue(invoice, reminderDays, today = new Date()) {
+  const next = reminderDays[invoice.lembretesEnviados || 0];
+  if (next === undefined) return false;
+  if (invoice.ultimoLembreteAt && startOfDay(invoice.ultimoLembreteAt).getTime() === startOfDay(today).getTime()) {
+    return false;
+  }
+  return daysOverdue(getDueDate(invoice), today) >= next;
+}
+
+async function sendOverdueReminder(invoice, company) {
+  const client = await findInvoiceClient(invoice, company.userId);
+  const recipient = client?.email;
+
+  const result = recipient
+    ? await sendOverdueReminderEmail({
+      to: recipient,
+      invoice,
+      company,
+      saldo: outstandingAmount(invoice),
+      dueDate: getDueDate(invoice),
+      pix: getInvoicePix(invoice, company)
+    })
+    : { success: false, error: 'Cliente sem email cadastrado' };
+
+  await prisma.invoiceEmailDelivery.create({
+    data: {
+      invoiceId: invoice.id,
+      recipient: recipient || null,
+      status: result.success ? 'sent' : recipient ? 'failed' : 'skipped',
+      trigger: 'overdue_reminder',
+      messageId: result.messageId || null,
+      error: result.success ? null : (result.error || result.reason || 'Falha no envio')
+    }
+  });
+
+  // The step advances even when the client can't be reached, so the schedule never stalls
+  await prisma.invoice.update({
+    where: { id: invoice.id },
+    data: {
+      lembretesEnviados: { increment: 1 },
+      ultimoLembreteAt: new Date()
+    }
+  });
+
+  return result.success;
+}
+
+/**
+ * Send the overdue reminders that are due
+ *
+ * @returns {Promise<object>} { checked, sent, failed }
+ */
+export async function processOverdueReminders() {
+  if (isProcessingReminders) {
+    return { checked: 0, sent: 0, failed: 0, skipped: true };
+  }
+  if (!isEmailConfigured()) {
+    return { checked: 0, sent: 0, failed: 0 };
+  }
+  isProcessingReminders = true;
+
+  try {
+    const today = startOfDay(new Date());
+    const results = { checked: 0, sent: 0, failed: 0 };
+    let cursor;
+
+    // Walk all overdue invoices in batches; most of them are between reminder steps
+    for (;;) {
+      const invoices = await prisma.invoice.findMany({
+        where: {
+          status: { in: RECEIVABLE_STATUSES },
+          simulada: false,
+          paymentStatus: { not: 'paid' },
+          company: { lembreteCobrancaAtivo: true },
+          OR: [
+            { dataVencimento: { lt: toDateColumn(today) } },
+            { dataVencimento: null, dataEmissao: { lt: today } }
+          ]
+        },
+        include: { company: true },
+        orderBy: { id: 'asc' },
+        take: REMINDER_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+      if (invoices.length === 0) break;
+
+      for (const invoice of invoices) {
+        results.checked++;
+        if (outstandingAmount(invoice) <= 0) continue;
+        if (!isReminderDue(invoice, getReminderDays(invoice.company), today)) continue;
+
+        try {
+          const sent = await sendOverdueReminder(invoice, invoice.company);
+          results[sent ? 'sent' : 'failed']++;
+        } catch (error) {
+          console.error(`[Receivables] Reminder failed for invoice ${invoice.id}:`, error.message);
+          results.failed++;
+        }
+      }
+
+      if (invoices.length < REMINDER_BATCH_SIZE) break;
+      cursor = invoices[invoices.length - 1].id;
+    }
+
+    if (results.sent > 0 || results.failed > 0) {
+      console.log('[Receivables] Overdue reminders:', results);
+    }
+    return results;
+  } finally {
+    isProcessingReminders = false;
+  }
+}
+
+/**
+ * Start the periodic overdue reminder task
+ */
+export async function startOverdueReminders() {
+  const processWithErrorHandling = async () => {
+    try {
+      await processOverdueReminders();
+    } catch (error) {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[Receivables] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[Receivables] Reminder error:', error);
+      }
+    }
+  };
+
+  await processWithErrorHandling();
+
+  setInterval(processWithErrorHandling, REMINDER_INTERVAL_MS);
+}
@@ -0,0 +1,393 @@
+/**
+ * Recurring Invoice Service
+ * Emits NFS-e automatically for recurring invoice schedules
+ *
+ * Features:
+ * - Weekly, monthly, quarterly and yearly schedules
+ * - Emission through the emission queue (plan limits, MEI/regime checks, retry queue)
+ * - Description placeholders: {mes}, {ano}, {competencia}
+ * - One notification per execution (success, queued or failure)
+ * - A cycle is claimed (nextRunAt moved forward conditionally) before emitting, so two workers
+ *   or a crash after the emission never emit it twice; a failed cycle stays due and is retried
+ *   after FAILED_RETRY_DELAY_MS
+ * - A failure that may have come after the municipality accepted the DPS (the queue could not
+ *   confirm in the provider's list that it is not there) leaves the cycle for the user to review
+ *   ('review'); it is never emitted again automatically
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { enqueueEmission, waitForEmissionJob, UNCERTAIN_EMISSION_ERROR_CODES } from './invoiceEmissionQueueService.js';
+import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
+
+const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const FAILED_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const BATCH_SIZE = 20;
+
+let isProcessing = false;
+
+export const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+const MONTH_NAMES = [
+  'janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+/**
+ * Calculate the next run date for a schedule
+ *
+ * @param {Date} fromDate - Date of the previous run (or start date)
+ * @param {string} frequency - 'weekly', 'monthly', 'quarterly' or 'yearly'
+ * @param {number|null} dayOfMonth - Day of month for month-based frequencies (clamped to the last day)
+ * @returns {Date} Next run date
+ */
+export function calculateNextRunDate(fromDate, frequency, dayOfMonth = null) {
+  const next = new Date(fromDate);
+
+  if (frequency === 'weekly') {
+    next.setDate(next.getDate() + 7);
+    return next;
+  }
+
+  const monthsToAdd = frequency === 'yearly' ? 12 : frequency === 'quarterly' ? 3 : 1;
+  const day = dayOfMonth || next.getDate();
+
+  // Move to day 1 first so month overflow (e.g. Jan 31 + 1 month) never skips a month
+  next.setDate(1);
+  next.setMonth(next.getMonth() + monthsToAdd);
+
+  const lastDayOfMonth = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(day, lastDayOfMonth));
+
+  return next;
+}
+
+/**
+ * Calculate the first run date for a new schedule
+ *
+ * @param {Date} startDate - Schedule start date
+ * @param {number|null} dayOfMonth - Preferred day of month
+ * @returns {Date} First run date (never before start date)
+ */
+export function calculateFirstRunDate(startDate, dayOfMonth = null) {
+  const first = new Date(startDate);
+  first.setHours(9, 0, 0, 0);
+
+  if (!dayOfMonth) {
+    return first;
+  }
+
+  const candidate = new Date(first);
+  candidate.setDate(Math.min(dayOfMonth, new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate()));
+
+  if (candidate < first) {
+    return calculateNextRunDate(candidate, 'monthly', dayOfMonth);
+  }
+  return candidate;
+}
+
+/**
+ * Replace description placeholders with the competence of the run
+ *
+ * @param {string} description - Service description
+ * @param {Date} runDate - Run date
+ * @returns {string} Description with placeholders replaced
+ */
+function applyDescriptionPlaceholders(description, runDate) {
+  const month = MONTH_NAMES[runDate.getMonth()];
+  const year = String(runDate.getFullYear());
+  const competencia = `${String(runDate.getMonth() + 1).padStart(2, '0')}/${year}`;
+
+  return description
+    .replace(/\{mes\}/gi, month)
+    .replace(/\{ano\}/gi, year)
+    .replace(/\{competencia\}/gi, competencia);
+}
+
+/**
+ * Next cycle after the one due, skipping cycles missed while the server was down
+ *
+ * @param {object} schedule - Schedule record (nextRunAt, frequency, dayOfMonth)
+ * @param {Date} runDate - Date of the run
+ * @returns {Date}
+ */
+export function getNextCycleDate(schedule, runDate) {
+  let nextRunAt = schedule.nextRunAt;
+  do {
+    nextRunAt = calculateNextRunDate(nextRunAt, schedule.frequency, schedule.dayOfMonth);
+  } while (nextRunAt <= runDate);
+  return nextRunAt;
+}
+
+/**
+ * Check whether a schedule has reached its end (end date or max occurrences)
+ *
+ * @param {object} schedule - Schedule record (maxOccurrences, endDate)
+ * @param {Date} nextRunAt - Next run date
+ * @param {number} occurrences - Invoices emitted so far
+ * @returns {boolean}
+ */
+export function isScheduleFinished(schedule, nextRunAt, occurrences) {
+  if (schedule.maxOccurrences && occurrences >= schedule.maxOccurrences) {
+    return true;
+  }
+  if (schedule.endDate) {
+    const end = new Date(schedule.endDate);
+    end.setHours(23, 59, 59, 999);
+    if (nextRunAt > end) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Run a single recurring schedule (emit one invoice)
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @param {object} options - Run options
+ * @param {boolean} options.advance - Move nextRunAt to the next cycle (default: true)
+ * @returns {Promise<object>} Run result ('skipped' when another worker claimed the cycle)
+ */
+export async function runRecurringSchedule(scheduleId, options = {}) {
+  const { advance = true } = options;
+
+  const schedule = await prisma.recurringInvoiceSchedule.findUnique({
+    where: { id: scheduleId },
+    include: {
+      company: {
+        include: {
+          fiscalCredential: true
+        }
+      }
+    }
+  });
+
+  if (!schedule) {
+    throw new Error(`Recurring schedule ${scheduleId} not found`);
+  }
+
+  const runDate = new Date();
+  let nextRunAt = schedule.nextRunAt;
+  if (advance) {
+    // Claim the cycle before emitting: only one worker moves nextRunAt from the due date
+    nextRunAt = getNextCycleDate(schedule, runDate);
+    const claimed = await prisma.recurringInvoiceSchedule.updateMany({
+      where: { id: schedule.id, status: 'active', nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt, lastRunAt: runDate }
+    });
+    if (claimed.count === 0) {
+      console.log(`[RecurringInvoices] Schedule ${schedule.id} already claimed, skipping`);
+      return { scheduleId: schedule.id, status: 'skipped', nextRunAt: schedule.nextRunAt, finished: false };
+    }
+  }
+
+  const actionData = {
+    cliente_nome: schedule.clienteNome,
+    cliente_documento: schedule.clienteDocumento,
+    descricao_servico: applyDescriptionPlaceholders(schedule.descricaoServico, runDate),
+    valor: parseFloat(schedule.valor),
+    aliquota_iss: schedule.aliquotaIss !== null ? parseFloat(schedule.aliquotaIss) : undefined,
+    codigo_servico: schedule.codigoServico || undefined,
+    iss_retido: schedule.issRetido,
+    data_prestacao: runDate.toISOString().split('T')[0],
+    ignorar_duplicidade: true // Repeating the same invoice is the point of a schedule
+  };
+
+  const valorFormatado = parseFloat(schedule.valor).toLocaleString('pt-BR', { minimumFractionDigits: 2 });
+  let result;
+
+  let emission;
+  try {
+    const job = await enqueueEmission(actionData, schedule.company, schedule.userId, { source: 'recurring', notify: false });
+    emission = await waitForEmissionJob(job.id);
+  } catch (error) {
+    emission = { status: 'failed', error: { message: error.message } };
+  }
+
+  if (emission.status === 'queued') {
+    result = { status: 'queued', queueEntryId: emission.retry_queue_id };
+
+    await prisma.notification.create({
+      data: {
+        userId: schedule.userId,
+        titulo: 'Nota Recorrente em Fila',
+        mensagem: `A nota recorrente para ${schedule.clienteNome} (R$ ${valorFormatado}) foi colocada na fila de espera porque a prefeitura está indisponível. Ela será emitida automaticamente.`,
+        tipo: 'alerta'
+      }
+    });
+  } else if (emission.status === 'completed') {
+    result = { status: 'success', invoiceId: emission.invoice_id };
+
+    await prisma.notification.create({
+      data: {
+        userId: schedule.userId,
+        titulo: 'Nota Recorrente Emitida',
+        mensagem: `Nota fiscal recorrente ${emission.invoice?.numero || 'NFS-e'} emitida para ${schedule.clienteNome} no valor de R$ ${valorFormatado}.`,
+        tipo: 'sucesso',
+        invoiceId: emission.invoice_id
+      }
+    });
+  } else {
+    console.error(`[RecurringInvoices] Error running schedule ${schedule.id}:`, emission.error?.message);
+    // The DPS may have reached the municipality: emitting the cycle again could duplicate the note
+    const review = UNCERTAIN_EMISSION_ERROR_CODES.includes(emission.error?.code);
+    result = { status: review ? 'review' : 'failed', error: emission.error?.message };
+
+    await prisma.notification.create({
+      data: {
+        userId: schedule.userId,
+        titulo: review ? 'Nota Recorrente Requer Verificação' : 'Falha na Nota Recorrente',
+        mensagem: review
+          ? `A nota recorrente para ${schedule.clienteNome} (R$ ${valorFormatado}) não será emitida novamente automaticamente. ${result.error}`
+          : `Não foi possível emitir a nota recorrente para ${schedule.clienteNome} (R$ ${valorFormatado}). ${result.error}`,
+        tipo: review ? 'alerta' : 'erro'
+      }
+    });
+  }
+
+  const failed = result.status === 'failed';
+  // A cycle under review keeps its claim (it is not emitted again) but is not counted
+  const counted = !failed && result.status !== 'review';
+
+  const updated = await prisma.recurringInvoiceSchedule.update({
+    where: { id: schedule.id },
+    data: {
+      occurrences: counted ? { increment: 1 } : undefined,
+      lastRunAt: runDate,
+      lastRunStatus: result.status,
+      lastError: result.error || null,
+      lastInvoiceId: result.invoiceId || undefined
+    }
+  });
+
+  // nextRunAt and status are written only while they still hold the values this run saw (or
+  // claimed), so a pause, an edit or a scheduler claim made meanwhile is kept; a manual run
+  // never moves nextRunAt
+  const scheduleChanges = {};
+  // A failed cycle stays due, to be retried (see processDueSchedules)
+  if (advance && failed) {
+    scheduleChanges.nextRunAt = schedule.nextRunAt;
+  }
+  const effectiveNextRunAt = scheduleChanges.nextRunAt || nextRunAt;
+  if (isScheduleFinished(schedule, effectiveNextRunAt, updated.occurrences)) {
+    scheduleChanges.status = 'finished';
+  }
+
+  let finished = false;
+  if (Object.keys(scheduleChanges).length > 0) {
+    const { count } = await prisma.recurringInvoiceSchedule.updateMany({
+      where: {
+        id: schedule.id,
+        nextRunAt,
+        ...(scheduleChanges.status ? { status: advance ? 'active' : schedule.status } : {})
+      },
+      data: scheduleChanges
+    });
+    if (count === 1) {
+      nextRunAt = effectiveNextRunAt;
+      finished = scheduleChanges.status === 'finished';
+    }
+  }
+
+  console.log(`[RecurringInvoices] Schedule ${schedule.id} ran: ${result.status}${finished ? ' (finished)' : ''}`);
+
+  return { scheduleId: schedule.id, ...result, nextRunAt, finished };
+}
+
+/**
+ * Process all schedules that are due
+ *
+ * @returns {Promise<object>} Processing summary
+ */
+export async function processDueRecurringInvoices() {
+  // Emissions can be slow; never let two cycles pick up the same schedules
+  if (isProcessing) {
+    console.log('[RecurringInvoices] Previous cycle still running, skipping');
+    return { total: 0, success: 0, queued: 0, failed: 0, review: 0, skipped: true };
+  }
+  isProcessing = true;
+
+  try {
+    return await processDueSchedules();
+  } finally {
+    isProcessing = false;
+  }
+}
+
+async function processDueSchedules() {
+  console.log('[RecurringInvoices] Checking due schedules...');
+
+  let dueSchedules;
+  try {
+    dueSchedules = await prisma.recurringInvoiceSchedule.findMany({
+      where: {
+        status: 'active',
+        nextRunAt: {
+          lte: new Date()
+        },
+        // A failed cycle is retried only after FAILED_RETRY_DELAY_MS
+        OR: [
+          { lastRunStatus: null },
+          { lastRunStatus: { not: 'failed' } },
+          { lastRunAt: { lte: new Date(Date.now() - FAILED_RETRY_DELAY_MS) } }
+        ]
+      },
+      select: { id: true },
+      orderBy: { nextRunAt: 'asc' },
+      take: BATCH_SIZE
+    });
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[RecurringInvoices] Database unavailable, skipping cycle');
+      return { total: 0, success: 0, queued: 0, failed: 0, review: 0, skipped: 0 };
+    }
+    throw error;
+  }
+
+  const results = {
+    total: dueSchedules.length,
+    success: 0,
+    queued: 0,
+    failed: 0,
+    review: 0,
+    skipped: 0
+  };
+
+  for (const { id } of dueSchedules) {
+    try {
+      const result = await runRecurringSchedule(id);
+      results[result.status]++;
+    } catch (error) {
+      console.error(`[RecurringInvoices] Error processing schedule ${id}:`, error.message);
+      results.failed++;
+    }
+  }
+
+  if (results.total > 0) {
+    console.log('[RecurringInvoices] Cycle complete:', results);
+  }
+  return results;
+}
+
+/**
+ * Start the recurring invoice scheduler
+ */
+export async function startRecurringInvoiceScheduler() {
+  console.log('[RecurringInvoices] Scheduler started');
+
+  const processWithErrorHandling = async () => {
+    try {
+      await processDueRecurringInvoices();
+    } catch (error) {
+      if (isDatabaseConnectionError(error)) {
+        console.warn('[RecurringInvoices] Database unavailable, will retry on next cycle');
+      } else {
+        console.error('[RecurringInvoices] Scheduler error:', error);
+      }
+    }
+  };
+
+  await processWithErrorHandling();
+
+  setInterval(processWithErrorHandling, SCHEDULER_INTERVAL_MS);
+}
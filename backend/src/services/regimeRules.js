@@ -9,7 +9,8 @@
  */
 
 import { prisma } from '../lib/prisma.js';
-import { calculateYearlyRevenue } from './meiLimitTracking.js';
+import { calculateYearlyRevenue, getMEILimitForYear } from './meiLimitTracking.js';
+import { getCompanyFatorR, FATOR_R_THRESHOLD } from './simplesNacionalService.js';
 
 const MEI_ANNUAL_LIMIT = 81000; // R$ 81.000 per year
 
@@ -94,9 +95,12 @@ export function getRegimeRules(regime) {
  * Validate invoice against regime rules
  * @param {object} invoiceData - Invoice data
  * @param {object} company - Company data
+ * @param {object} options - Validation options
+ * @param {number} options.replacedValue - Value of an invoice being substituted (not counted in the MEI limit)
+ * @param {boolean} options.skipAnnualLimit - Leave the MEI annual limit out (checked separately)
  * @returns {object} Validation result
  */
-export async function validateInvoiceForRegime(invoiceData, company) {
+export async function validateInvoiceForRegime(invoiceData, company, options = {}) {
   const rules = getRegimeRules(company.regimeTributario);
   
   if (!rules) {
@@ -108,11 +112,14 @@ export async function validateInvoiceForRegime(invoiceData, company) {
   // MEI-specific validations
   if (company.regimeTributario === 'MEI') {
     // Check annual limit
-    const yearlyRevenue = await calculateYearlyRevenue(company.id);
-    const newTotal = yearlyRevenue + parseFloat(invoiceData.valor || 0);
+    if (!options.skipAnnualLimit) {
+      const yearlyRevenue = await calculateYearlyRevenue(company.id) - (options.replacedValue || 0);
+      const newTotal = yearlyRevenue + parseFloat(invoiceData.valor || 0);
+      const { limit, months, proportional } = getMEILimitForYear(company.dataAbertura);
     
-    if (newTotal > MEI_ANNUAL_LIMIT) {
-      errors.push(`Esta nota fiscal ultrapassaria o limite anual do MEI (R$ ${MEI_ANNUAL_LIMIT.toLocaleString('pt-BR')}). Faturamento atual: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}, após esta nota: R$ ${newTotal.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}.`);
+      if (newTotal > limit) {
+        errors.push(`Esta nota fiscal ultrapassaria o limite anual do MEI (R$ ${limit.toLocaleString('pt-BR')}${proportional ? `, proporcional a ${months} meses` : ''}). Faturamento atual: R$ ${yearlyRevenue.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}, após esta nota: R$ ${newTotal.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}.`);
+      }
     }
 
     // Validate ISS rate (MEI has fixed 5% rate)
@@ -170,11 +177,18 @@ export function getRecommendedIssRate(regime, company = null) {
 
 /**
  * Check if regime change is recommended
+ * Simples Nacional companies subject to Fator R get the Anexo (III or V) recommendation instead.
  * @param {string} companyId - Company ID
  * @param {string} currentRegime - Current tax regime
+ * @param {object} options - Options
+ * @param {string} options.referencia - Period of the Fator R, 'MM/YYYY' (default: current month)
  * @returns {Promise<object>} Recommendation result
  */
-export async function checkRegimeChangeRecommendation(companyId, currentRegime) {
+export async function checkRegimeChangeRecommendation(companyId, currentRegime, options = {}) {
+  if (currentRegime === 'Simples Nacional') {
+    return checkFatorRRecommendation(companyId, options.referencia);
+  }
+
   if (currentRegime !== 'MEI') {
     return {
       recommended: false,
@@ -182,10 +196,12 @@ export async function checkRegimeChangeRecommendation(companyId, currentRegime)
     };
   }
 
+  const company = await prisma.company.findUnique({ where: { id: companyId }, select: { dataAbertura: true } });
+  const { limit } = getMEILimitForYear(company?.dataAbertura);
   const yearlyRevenue = await calculateYearlyRevenue(companyId);
-  const percentage = (yearlyRevenue / MEI_ANNUAL_LIMIT) * 100;
+  const percentage = (yearlyRevenue / limit) * 100;
 
-  if (yearlyRevenue >= MEI_ANNUAL_LIMIT) {
+  if (yearlyRevenue >= limit) {
     return {
       recommended: true,
       reason: 'exceeded',
@@ -218,6 +234,62 @@ export async function checkRegimeChangeRecommendation(companyId, currentRegime)
   };
 }
 
+/**
+ * Anexo recommendation of a Simples Nacional company subject to Fator R
+ * @param {string} companyId - Company ID
+ * @param {string} [referencia] - Period, 'MM/YYYY' (default: current month)
+ * @returns {Promise<object>} Recommendation result
+ */
+async function checkFatorRRecommendation(companyId, referencia) {
+  const company = await prisma.company.findUnique({
+    where: { id: companyId },
+    select: { sujeitoFatorR: true }
+  });
+
+  if (!company?.sujeitoFatorR) {
+    return {
+      recommended: false,
+      reason: null
+    };
+  }
+
+  const today = new Date();
+  const fatorR = await getCompanyFatorR(
+    companyId,
+    referencia || `${String(today.getMonth() + 1).padStart(2, '0')}/${today.getFullYear()}`
+  );
+  const percentual = (fatorR.fatorR * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+  const threshold = FATOR_R_THRESHOLD * 100;
+
+  if (fatorR.anexo === 'V' && fatorR.receita > 0) {
+    return {
+      recommended: true,
+      reason: fatorR.proximoDoLimite ? 'fator_r_near' : 'fator_r_below',
+      message: `Fator R de ${percentual}%: abaixo de ${threshold}%, a empresa é tributada pelo Anexo V. ` +
+        `Um pró-labore R$ ${fatorR.proLaboreMensalNecessario.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} maior por mês levaria a empresa ao Anexo III.`,
+      suggestedAnexo: 'III',
+      fatorR
+    };
+  }
+
+  if (fatorR.proximoDoLimite) {
+    return {
+      recommended: true,
+      reason: 'fator_r_near',
+      message: `Fator R de ${percentual}%, próximo do mínimo de ${threshold}% do Anexo III. ` +
+        'Reduzir a folha ou o pró-labore, ou faturar mais, pode levar a empresa ao Anexo V.',
+      suggestedAnexo: 'III',
+      fatorR
+    };
+  }
+
+  return {
+    recommended: false,
+    reason: null,
+    fatorR
+  };
+}
+
 /**
  * Get regime-specific invoice defaults
  * @param {string} regime - Tax regime
@@ -0,0 +1,469 @@
+/**
+ * Simples Nacional Service
+ * Monthly DAS of ME/EPP companies (LC 123/2006, tables of LC 155/2016)
+ *
+ * - RBT12: revenue of the 12 months before the period (PA), from authorized invoices.
+ *   Companies with less than 12 months of activity use the monthly average x 12, and the
+ *   revenue of the period x 12 in their first month (art. 18, §§ 1º-A and 2º)
+ * - Effective rate: (RBT12 x nominal rate - deduction) / RBT12, with the bracket of the Anexo
+ * - The DAS (revenue of the period x effective rate) is split into IRPJ, CSLL, COFINS, PIS,
+ *   CPP and ISS by the bracket's distribution. The effective ISS is capped at 5%, the excess
+ *   going to the federal taxes proportionally
+ * - Service Anexos only: III, IV (CPP paid outside the DAS) and V
+ * - Fator R: companies whose activity depends on it are taxed by Anexo III when the payroll
+ *   of the 12 months before the period is at least 28% of the revenue, else by Anexo V
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const SIMPLES_REVENUE_LIMIT = 4800000;
+export const ISS_MAX_EFFECTIVE_RATE = 5;
+export const DEFAULT_ANEXO = 'III';
+export const FATOR_R_THRESHOLD = 0.28;
+// Fator R within 3 percentage points of the threshold is reported as close to it
+export const FATOR_R_WARNING_MARGIN = 0.03;
+
+// Shares of the DAS per tax, in percent of the effective rate
+const share = (irpj, csll, cofins, pis, cpp, iss) => ({ irpj, csll, cofins, pis, cpp, iss });
+
+export const SIMPLES_ANEXOS = {
+  III: {
+    name: 'Anexo III',
+    description: 'Serviços em geral (ex.: manutenção, agências, contabilidade)',
+    faixas: [
+      { ate: 180000, aliquota: 6, deducao: 0, reparticao: share(4, 3.5, 12.82, 2.78, 43.4, 33.5) },
+      { ate: 360000, aliquota: 11.2, deducao: 9360, reparticao: share(4, 3.5, 14.05, 3.05, 43.4, 32) },
+      { ate: 720000, aliquota: 13.5, deducao: 17640, reparticao: share(4, 3.5, 13.64, 2.96, 43.4, 32.5) },
+      { ate: 1800000, aliquota: 16, deducao: 35640, reparticao: share(4, 3.5, 13.64, 2.96, 43.4, 32.5) },
+      { ate: 3600000, aliquota: 21, deducao: 125640, reparticao: share(4, 3.5, 12.82, 2.78, 43.4, 33.5) },
+      { ate: 4800000, aliquota: 33, deducao: 648000, reparticao: share(35, 15, 16.03, 3.47, 30.5, 0) }
+    ]
+  },
+  IV: {
+    name: 'Anexo IV',
+    description: 'Construção, vigilância, limpeza e advocacia (CPP recolhida fora do DAS)',
+    faixas: [
+      { ate: 180000, aliquota: 4.5, deducao: 0, reparticao: share(18.8, 15.2, 17.67, 3.83, 0, 44.5) },
+      { ate: 360000, aliquota: 9, deducao: 8100, reparticao: share(19.8, 15.2, 20.55, 4.45, 0, 40) },
+      { ate: 720000, aliquota: 10.2, deducao: 12420, reparticao: share(20.8, 15.2, 19.73, 4.27, 0, 40) },
+      { ate: 1800000, aliquota: 14, deducao: 39780, reparticao: share(17.8, 19.2, 18.9, 4.1, 0, 40) },
+      { ate: 3600000, aliquota: 22, deducao: 183780, reparticao: share(18.8, 19.2, 18.08, 3.92, 0, 40) },
+      { ate: 4800000, aliquota: 33, deducao: 828000, reparticao: share(53.5, 21.5, 20.55, 4.45, 0, 0) }
+    ]
+  },
+  V: {
+    name: 'Anexo V',
+    description: 'Serviços intelectuais e técnicos (ex.: consultoria, engenharia, tecnologia)',
+    faixas: [
+      { ate: 180000, aliquota: 15.5, deducao: 0, reparticao: share(25, 15, 14.1, 3.05, 28.85, 14) },
+      { ate: 360000, aliquota: 18, deducao: 4500, reparticao: share(23, 15, 14.1, 3.05, 27.85, 17) },
+      { ate: 720000, aliquota: 19.5, deducao: 9900, reparticao: share(24, 15, 14.92, 3.23, 23.85, 19) },
+      { ate: 1800000, aliquota: 20.5, deducao: 17100, reparticao: share(21, 15, 15.74, 3.41, 23.85, 21) },
+      { ate: 3600000, aliquota: 23, deducao: 62100, reparticao: share(23, 12.5, 14.1, 3.05, 23.85, 23.5) },
+      { ate: 4800000, aliquota: 30.5, deducao: 540000, reparticao: share(35, 15.5, 16.44, 3.56, 29.5, 0) }
+    ]
+  }
+};
+
+const TAXES = ['irpj', 'csll', 'cofins', 'pis', 'cpp', 'iss'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Anexo used for a company (Company.anexoSimples, default III)
+ *
+ * @param {object} company - Company record
+ * @returns {string} 'III', 'IV' or 'V'
+ */
+export function getCompanyAnexo(company) {
+  return SIMPLES_ANEXOS[company?.anexoSimples] ? company.anexoSimples : DEFAULT_ANEXO;
+}
+
+/**
+ * Fator R and the Anexo it leads to
+ * The payroll includes salaries, pro-labore and the CPP/FGTS paid on them. Companies in their
+ * first month use the payroll and revenue of the period itself.
+ *
+ * @param {object} params
+ * @param {number} params.folha12 - Payroll of the 12 months before the period
+ * @param {number} params.receita12 - Revenue of the same months
+ * @param {number} [params.folhaMes] - Payroll of the period
+ * @param {number} [params.receitaMes] - Revenue of the period
+ * @param {number} [params.mesesAtividade] - Months of activity before the period (0-12)
+ * @returns {object} { fatorR, anexo, folha, receita, meses, proximoDoLimite, proLaboreMensalNecessario }
+ */
+export function calculateFatorR({ folha12, receita12, folhaMes = 0, receitaMes = 0, mesesAtividade = 12 }) {
+  const [folha, receita, meses] = mesesAtividade === 0
+    ? [folhaMes, receitaMes, 1]
+    : [folha12, receita12, Math.min(mesesAtividade, 12)];
+  const fatorR = receita > 0 ? folha / receita : 0;
+
+  return {
+    fatorR: Math.round(fatorR * 1e6) / 1e6,
+    anexo: fatorR >= FATOR_R_THRESHOLD ? 'III' : 'V',
+    folha: round2(folha),
+    receita: round2(receita),
+    meses,
+    proximoDoLimite: receita > 0 && Math.abs(fatorR - FATOR_R_THRESHOLD) < FATOR_R_WARNING_MARGIN,
+    // Extra pro-labore per month that would have taken the payroll to 28% of the revenue
+    proLaboreMensalNecessario: round2(Math.max(0, FATOR_R_THRESHOLD * receita - folha) / meses)
+  };
+}
+
+/**
+ * Validate the Simples Nacional fields of a company update
+ *
+ * @param {object} body - { anexo_simples }
+ * @returns {string[]} Error messages
+ */
+export function validateSimplesSettings({ anexo_simples }) {
+  if (anexo_simples && !SIMPLES_ANEXOS[anexo_simples]) {
+    return ['Anexo do Simples Nacional deve ser III, IV ou V'];
+  }
+  return [];
+}
+
+/**
+ * Bracket of the Anexo for the RBT12
+ *
+ * @param {string} anexo - 'III', 'IV' or 'V'
+ * @param {number} rbt12 - Revenue of the last 12 months
+ * @returns {object} { faixa (1-6), ate, aliquota, deducao, reparticao }
+ */
+export function findFaixa(anexo, rbt12) {
+  const table = SIMPLES_ANEXOS[anexo];
+  if (!table) {
+    throw new AppError(`Anexo do Simples Nacional inválido: ${anexo}`, 400, 'INVALID_ANEXO');
+  }
+  if (rbt12 > SIMPLES_REVENUE_LIMIT) {
+    throw new AppError(
+      `Receita bruta dos últimos 12 meses (R$ ${rbt12.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}) acima do limite do Simples Nacional (R$ 4.800.000,00)`,
+      400,
+      'SIMPLES_LIMIT_EXCEEDED'
+    );
+  }
+  const index = table.faixas.findIndex(faixa => rbt12 <= faixa.ate);
+  return { faixa: index + 1, ...table.faixas[index] };
+}
+
+/**
+ * Effective rate of the Anexo for the RBT12: (RBT12 x nominal - deduction) / RBT12
+ *
+ * @param {string} anexo - 'III', 'IV' or 'V'
+ * @param {number} rbt12 - Revenue of the last 12 months
+ * @returns {object} { faixa, aliquotaNominal, parcelaDeduzir, aliquotaEfetiva (percent), reparticao }
+ */
+export function calculateEffectiveRate(anexo, rbt12) {
+  const faixa = findFaixa(anexo, rbt12);
+  const aliquotaEfetiva = rbt12 > 0
+    ? ((rbt12 * faixa.aliquota) / 100 - faixa.deducao) / rbt12 * 100
+    : faixa.aliquota;
+
+  return {
+    faixa: faixa.faixa,
+    aliquotaNominal: faixa.aliquota,
+    parcelaDeduzir: faixa.deducao,
+    aliquotaEfetiva: Math.round(aliquotaEfetiva * 1e6) / 1e6,
+    reparticao: faixa.reparticao
+  };
+}
+
+/**
+ * Shares of the DAS with the effective ISS capped at 5%
+ * The excess ISS share goes to the other taxes in proportion to their own shares.
+ *
+ * @param {object} reparticao - Shares in percent ({ irpj, csll, cofins, pis, cpp, iss })
+ * @param {number} aliquotaEfetiva - Effective rate in percent
+ * @returns {object} Adjusted shares in percent
+ */
+export function applyIssCap(reparticao, aliquotaEfetiva) {
+  const issEffective = (aliquotaEfetiva * reparticao.iss) / 100;
+  if (issEffective <= ISS_MAX_EFFECTIVE_RATE) {
+    return { ...reparticao };
+  }
+
+  const issShare = (ISS_MAX_EFFECTIVE_RATE / aliquotaEfetiva) * 100;
+  const excess = reparticao.iss - issShare;
+  const others = TAXES.filter(tax => tax !== 'iss');
+  const othersTotal = others.reduce((sum, tax) => sum + reparticao[tax], 0);
+
+  const adjusted = { iss: issShare };
+  others.forEach(tax => {
+    adjusted[tax] = reparticao[tax] + (excess * reparticao[tax]) / othersTotal;
+  });
+  return adjusted;
+}
+
+/**
+ * DAS of a period
+ *
+ * @param {object} params
+ * @param {string} params.anexo - 'III', 'IV' or 'V'
+ * @param {number} params.rbt12 - Revenue of the 12 months before the period
+ * @param {number} params.receitaBruta - Revenue of the period
+ * @returns {object} { anexo, faixa, rbt12, receitaBruta, aliquotaNominal, parcelaDeduzir,
+ *   aliquotaEfetiva, valorTotal, tributos: { irpj, csll, cofins, pis, cpp, iss } }
+ */
+export function calculateSimplesDAS({ anexo, rbt12, receitaBruta }) {
+  const rate = calculateEffectiveRate(anexo, rbt12);
+  const shares = applyIssCap(rate.reparticao, rate.aliquotaEfetiva);
+  const valorTotal = round2((receitaBruta * rate.aliquotaEfetiva) / 100);
+
+  const tributos = {};
+  TAXES.forEach(tax => {
+    tributos[tax] = round2((valorTotal * shares[tax]) / 100);
+  });
+
+  // Rounding difference goes to the largest share, so the parts add up to the total
+  const difference = round2(valorTotal - TAXES.reduce((sum, tax) => sum + tributos[tax], 0));
+  if (difference !== 0) {
+    const largest = TAXES.reduce((max, tax) => (tributos[tax] > tributos[max] ? tax : max), TAXES[0]);
+    tributos[largest] = round2(tributos[largest] + difference);
+  }
+
+  return {
+    anexo,
+    faixa: rate.faixa,
+    rbt12: round2(rbt12),
+    receitaBruta: round2(receitaBruta),
+    aliquotaNominal: rate.aliquotaNominal,
+    parcelaDeduzir: rate.parcelaDeduzir,
+    aliquotaEfetiva: rate.aliquotaEfetiva,
+    valorTotal,
+    tributos
+  };
+}
+
+/**
+ * Revenue of authorized invoices issued between two dates (inclusive)
+ */
+async function sumRevenue(companyId, startDate, endDate) {
+  const result = await prisma.invoice.aggregate({
+    where: {
+      companyId,
+      status: { in: ['autorizada', 'enviada'] },
+      simulada: false,
+      dataEmissao: { gte: startDate, lte: endDate }
+    },
+    _sum: { valor: true }
+  });
+  return parseFloat(result._sum.valor || 0);
+}
+
+/**
+ * Payroll (salaries + pro-labore + charges) of the competências between two months (inclusive)
+ */
+async function sumPayroll(companyId, fromCompetencia, toCompetencia) {
+  const result = await prisma.companyPayroll.aggregate({
+    where: { companyId, competencia: { gte: fromCompetencia, lte: toCompetencia } },
+    _sum: { folhaSalarios: true, proLabore: true, encargos: true }
+  });
+  return parseFloat(result._sum.folhaSalarios || 0) +
+    parseFloat(result._sum.proLabore || 0) +
+    parseFloat(result._sum.encargos || 0);
+}
+
+// 'YYYY-MM' of a month (month may be out of 1-12, it is normalized)
+const toCompetencia = (year, month) => {
+  const date = new Date(year, month - 1, 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Revenue of the period and RBT12 of a company
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} referencia - Period, 'MM/YYYY'
+ * @returns {Promise<object>} { receitaBruta, rbt12, receita12Meses, mesesAtividade, proporcional }
+ */
+export async function getSimplesRevenue(companyId, referencia) {
+  const [month, year] = referencia.split('/').map(Number);
+  const periodStart = new Date(year, month - 1, 1);
+  const periodEnd = new Date(year, month, 0, 23, 59, 59);
+  const rbt12Start = new Date(year, month - 13, 1);
+  const rbt12End = new Date(year, month - 1, 0, 23, 59, 59);
+
+  const [receitaBruta, receita12Meses, firstInvoice] = await Promise.all([
+    sumRevenue(companyId, periodStart, periodEnd),
+    sumRevenue(companyId, rbt12Start, rbt12End),
+    prisma.invoice.findFirst({
+      where: { companyId, status: { in: ['autorizada', 'enviada'] }, simulada: false, dataEmissao: { not: null } },
+      orderBy: { dataEmissao: 'asc' },
+      select: { dataEmissao: true }
+    })
+  ]);
+
+  // Months of activity before the period, counted from the first invoice
+  const firstDate = firstInvoice?.dataEmissao ? new Date(firstInvoice.dataEmissao) : periodStart;
+  const mesesAtividade = Math.max(0, Math.min(12,
+    (year - firstDate.getUTCFullYear()) * 12 + (month - 1 - firstDate.getUTCMonth())
+  ));
+
+  let rbt12 = receita12Meses;
+  if (mesesAtividade === 0) {
+    rbt12 = receitaBruta * 12;
+  } else if (mesesAtividade < 12) {
+    rbt12 = (receita12Meses / mesesAtividade) * 12;
+  }
+
+  return {
+    receitaBruta: round2(receitaBruta),
+    rbt12: round2(rbt12),
+    receita12Meses: round2(receita12Meses),
+    mesesAtividade,
+    proporcional: mesesAtividade < 12
+  };
+}
+
+/**
+ * Fator R of a company for a period, from its payroll records and invoices
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} referencia - Period, 'MM/YYYY'
+ * @param {object} [revenue] - getSimplesRevenue result, when already loaded
+ * @returns {Promise<object>} calculateFatorR result
+ */
+export async function getCompanyFatorR(companyId, referencia, revenue = null) {
+  const [month, year] = referencia.split('/').map(Number);
+  const [revenueData, folha12, folhaMes] = await Promise.all([
+    revenue || getSimplesRevenue(companyId, referencia),
+    sumPayroll(companyId, toCompetencia(year, month - 12), toCompetencia(year, month - 1)),
+    sumPayroll(companyId, toCompetencia(year, month), toCompetencia(year, month))
+  ]);
+
+  return calculateFatorR({
+    folha12,
+    receita12: revenueData.receita12Meses,
+    folhaMes,
+    receitaMes: revenueData.receitaBruta,
+    mesesAtividade: revenueData.mesesAtividade
+  });
+}
+
+/**
+ * DAS of a Simples Nacional company for a period, from its invoices
+ * Companies subject to Fator R get Anexo III or V from it.
+ *
+ * @param {object} company - Company record
+ * @param {string} referencia - Period, 'MM/YYYY'
+ * @returns {Promise<object>} calculateSimplesDAS result plus { receita12Meses, mesesAtividade, proporcional, fatorR }
+ */
+export async function calculateCompanySimplesDAS(company, referencia) {
+  const revenue = await getSimplesRevenue(company.id, referencia);
+  const fatorR = company.sujeitoFatorR ? await getCompanyFatorR(company.id, referencia, revenue) : null;
+
+  return {
+    ...calculateSimplesDAS({
+      anexo: fatorR ? fatorR.anexo : getCompanyAnexo(company),
+      rbt12: revenue.rbt12,
+      receitaBruta: revenue.receitaBruta
+    }),
+    receita12Meses: revenue.receita12Meses,
+    mesesAtividade: revenue.mesesAtividade,
+    proporcional: revenue.proporcional,
+    fatorR: fatorR ? fatorR.fatorR : null
+  };
+}
+
+/**
+ * Payroll record in the API format
+ */
+export function formatPayroll(payroll) {
+  const folhaSalarios = parseFloat(payroll.folhaSalarios || 0);
+  const proLabore = parseFloat(payroll.proLabore || 0);
+  const encargos = parseFloat(payroll.encargos || 0);
+  return {
+    id: payroll.id,
+    company_id: payroll.companyId,
+    competencia: payroll.competencia,
+    folha_salarios: folhaSalarios,
+    pro_labore: proLabore,
+    encargos,
+    total: round2(folhaSalarios + proLabore + encargos),
+    created_at: payroll.createdAt,
+    updated_at: payroll.updatedAt
+  };
+}
+
+/**
+ * Payroll records of a company, most recent first
+ *
+ * @param {string} companyId - Company ID
+ * @param {object} [options]
+ * @param {number} [options.year] - Only the competências of a year
+ * @returns {Promise<object[]>} Formatted records
+ */
+export async function listPayrolls(companyId, { year } = {}) {
+  const where = { companyId };
+  if (year) {
+    where.competencia = { gte: `${year}-01`, lte: `${year}-12` };
+  }
+  const payrolls = await prisma.companyPayroll.findMany({
+    where,
+    orderBy: { competencia: 'desc' }
+  });
+  return payrolls.map(formatPayroll);
+}
+
+/**
+ * Create or replace the payroll of a competência
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} competencia - 'YYYY-MM'
+ * @param {object} body - { folha_salarios, pro_labore, encargos }
+ * @returns {Promise<object>} Formatted record
+ */
+export async function savePayroll(companyId, competencia, { folha_salarios, pro_labore, encargos }) {
+  const values = { folhaSalarios: folha_salarios, proLabore: pro_labore, encargos };
+  const labels = { folhaSalarios: 'Folha de salários', proLabore: 'Pró-labore', encargos: 'Encargos' };
+
+  const data = {};
+  for (const [field, value] of Object.entries(values)) {
+    const amount = value === undefined || value === null || value === '' ? 0 : Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new AppError(`${labels[field]} deve ser um valor maior ou igual a zero`, 400, 'VALIDATION_ERROR');
+    }
+    data[field] = round2(amount);
+  }
+
+  const payroll = await prisma.companyPayroll.upsert({
+    where: { companyId_competencia: { companyId, competencia } },
+    create: { companyId, competencia, ...data },
+    update: data
+  });
+  return formatPayroll(payroll);
+}
+
+/**
+ * Delete the payroll of a competência
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} competencia - 'YYYY-MM'
+ * @returns {Promise<boolean>} false when there was no record
+ */
+export async function deletePayroll(companyId, competencia) {
+  const result = await prisma.companyPayroll.deleteMany({ where: { companyId, competencia } });
+  return result.count > 0;
+}
+
+export default {
+  SIMPLES_ANEXOS,
+  SIMPLES_REVENUE_LIMIT,
+  ISS_MAX_EFFECTIVE_RATE,
+  FATOR_R_THRESHOLD,
+  getCompanyAnexo,
+  validateSimplesSettings,
+  findFaixa,
+  calculateEffectiveRate,
+  applyIssCap,
+  calculateSimplesDAS,
+  calculateFatorR,
+  getSimplesRevenue,
+  getCompanyFatorR,
+  calculateCompanySimplesDAS,
+  formatPayroll,
+  listPayrolls,
+  savePayroll,
+  deletePayroll
+};
@@ -1,4 +1,4 @@
-import { prisma } from '../index.js';
+import { prisma } from '../lib/prisma.js';
 
 const CONNECTION_CHECK_TIMEOUT = 5000;
 
@@ -4,6 +4,13 @@
  * - Invoice status polling
  * - Certificate expiration checks
  * - Municipality offline retry queue
+ * - Asynchronous invoice emission queue
+ * - Recurring invoice schedules
+ * - Resume of interrupted bulk issuance batches
+ * - Cleanup of expired idempotency keys
+ * - Overdue receivable reminders
+ * - Monthly fiscal package emailed to the accountant
+ * - DASN-SIMEI reminders before the May 31 deadline
  * 
  * Usage:
  * - Run as a separate process: node backend/src/workers/backgroundTasks.js
@@ -13,7 +20,14 @@
 import { pollAllPendingInvoices, startBackgroundPolling } from '../services/invoiceStatusMonitoring.js';
 import { checkAllCertificates, startCertificateMonitoring } from '../services/certificateLifecycleService.js';
 import { processRetryQueue, startRetryQueueProcessor } from '../services/municipalityRetryService.js';
+import { startEmissionQueueWorker } from '../services/invoiceEmissionQueueService.js';
 import { startRecurringBillingMonitoring } from '../services/recurringBillingService.js';
+import { processDueRecurringInvoices, startRecurringInvoiceScheduler } from '../services/recurringInvoiceService.js';
+import { resumeInterruptedBatches } from '../services/invoiceBatchService.js';
+import { startIdempotencyKeyCleanup } from '../services/idempotencyService.js';
+import { startOverdueReminders } from '../services/receivablesService.js';
+import { startMonthlyPackageScheduler } from '../services/fiscalPackageService.js';
+import { startDasnReminders } from '../services/dasnSimeiService.js';
 import { isDatabaseConnectionError } from '../utils/databaseConnection.js';
 
 /**
@@ -60,6 +74,18 @@ export async function startAllBackgroundTasks() {
     }
   }
 
+  try {
+    await startEmissionQueueWorker();
+    console.log('[BackgroundTasks] Invoice emission queue started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, emission queue will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting emission queue:', error.message);
+      errors.push(error);
+    }
+  }
+
   try {
     await startRecurringBillingMonitoring();
     console.log('[BackgroundTasks] Recurring billing monitoring started');
@@ -72,6 +98,77 @@ export async function startAllBackgroundTasks() {
     }
   }
 
+  try {
+    await startRecurringInvoiceScheduler();
+    console.log('[BackgroundTasks] Recurring invoice scheduler started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, recurring invoices will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting recurring invoice scheduler:', error.message);
+      errors.push(error);
+    }
+  }
+
+  try {
+    await startIdempotencyKeyCleanup();
+    console.log('[BackgroundTasks] Idempotency key cleanup started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, idempotency key cleanup will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting idempotency key cleanup:', error.message);
+      errors.push(error);
+    }
+  }
+
+  try {
+    await startOverdueReminders();
+    console.log('[BackgroundTasks] Overdue receivable reminders started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, overdue reminders will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting overdue reminders:', error.message);
+      errors.push(error);
+    }
+  }
+
+  try {
+    await startMonthlyPackageScheduler();
+    console.log('[BackgroundTasks] Monthly fiscal package scheduler started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, monthly fiscal packages will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting monthly fiscal package scheduler:', error.message);
+      errors.push(error);
+    }
+  }
+
+  try {
+    await startDasnReminders();
+    console.log('[BackgroundTasks] DASN-SIMEI reminders started');
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, DASN-SIMEI reminders will retry when database is available');
+    } else {
+      console.error('[BackgroundTasks] Error starting DASN-SIMEI reminders:', error.message);
+      errors.push(error);
+    }
+  }
+
+  try {
+    await resumeInterruptedBatches();
+  } catch (error) {
+    if (isDatabaseConnectionError(error)) {
+      console.warn('[BackgroundTasks] Database unavailable, interrupted invoice batches were not resumed');
+    } else {
+      console.error('[BackgroundTasks] Error resuming invoice batches:', error.message);
+      errors.push(error);
+    }
+  }
+
   if (errors.length > 0) {
     console.warn('[BackgroundTasks] Some background tasks failed to start, but server will continue running');
   } else {
@@ -89,6 +186,7 @@ export async function runScheduledTasks() {
     invoicePolling: null,
     certificateCheck: null,
     retryQueue: null,
+    recurringInvoices: null,
     errors: []
   };
 
@@ -116,6 +214,14 @@ export async function runScheduledTasks() {
     results.errors.push({ task: 'retryQueue', error: error.message });
   }
 
+  try {
+    // Emit due recurring invoices
+    results.recurringInvoices = await processDueRecurringInvoices();
+  } catch (error) {
+    console.error('[BackgroundTasks] Recurring invoices error:', error);
+    results.errors.push({ task: 'recurringInvoices', error: error.message });
+  }
+
   console.log('[BackgroundTasks] Scheduled tasks completed:', results);
   return results;
 }
@@ -0,0 +1,137 @@
+/**
+ * Accounting Export Service Tests
+ *
+ * Tests for the export record and the generic, Domínio and Alterdata layouts (mapping,
+ * validation, preview and file rendering).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildExportRecord,
+  getExportLayout,
+  listExportLayouts,
+  mapExportRows,
+  buildExportFile,
+  previewExport
+} from '../../src/services/accountingExportService.js';
+
+const company = {
+  cnpj: '11.222.333/0001-81',
+  razaoSocial: 'Empresa Exemplo LTDA',
+  inscricaoMunicipal: '12345',
+  codigoMunicipio: '3550308',
+  cidade: 'São Paulo',
+  uf: 'SP',
+  cnaePrincipal: '6201-5/01'
+};
+
+const client = { tipoPessoa: 'pj', cidade: 'Campinas', uf: 'SP', codigoMunicipio: '3509502', pais: 'BR' };
+
+const invoice = (overrides = {}) => ({
+  id: 'inv-1',
+  numero: '101',
+  serieDps: '900',
+  numeroDps: 7,
+  status: 'autorizada',
+  clienteNome: 'Cliente; Exemplo | SA',
+  clienteDocumento: '11.444.777/0001-61',
+  descricaoServico: 'Desenvolvimento de software',
+  codigoServico: '010101',
+  valor: '1000',
+  aliquotaIss: '5',
+  valorIss: '50',
+  issRetido: true,
+  valorIrrf: '15',
+  valorPis: '6.5',
+  valorCofins: '30',
+  valorCsll: '10',
+  valorLiquido: '888.5',
+  codigoVerificacao: 'ABC123',
+  dataEmissao: new Date(Date.UTC(2025, 5, 10)),
+  dataPrestacao: new Date(Date.UTC(2025, 4, 31)),
+  ...overrides
+});
+
+describe('AccountingExportService', () => {
+  test('should register the built-in layouts and reject unknown ones', () => {
+    expect(listExportLayouts().map(layout => layout.id)).toEqual(['generico', 'dominio', 'alterdata']);
+    expect(getExportLayout().id).toBe('generico');
+    expect(() => getExportLayout('sped')).toThrow('Layout de exportação desconhecido');
+  });
+
+  test('should normalize ISS, retentions and cancellation into the export record', () => {
+    const record = buildExportRecord(invoice({ status: 'substituida' }), client, company);
+
+    expect(record).toMatchObject({
+      prestadorCnpj: '11222333000181',
+      tomadorDocumento: '11444777000161',
+      tomadorTipo: 'pj',
+      baseCalculo: 1000,
+      valorIssRetido: 50,
+      valorIrrf: 15,
+      valorPis: 6.5,
+      valorInss: 0,
+      totalRetencoesFederais: 61.5,
+      valorLiquido: 888.5,
+      cancelada: true
+    });
+  });
+
+  test('should map the Domínio layout without quoting', () => {
+    const { rows } = mapExportRows('dominio', [{ invoice: invoice(), client, company }]);
+
+    expect(rows[0].values.join('|')).toBe(
+      '11222333000181|NFS|900|101|10/06/2025|31/05/2025|0|11444777000161|Cliente; Exemplo SA|SP|3509502|010101|' +
+      '1000,00|1000,00|5,00|50,00|50,00|15,00|6,50|30,00|10,00|0,00|888,50|Desenvolvimento de software'
+    );
+  });
+
+  test('should validate what each layout requires', () => {
+    const entries = [{ invoice: invoice({ codigoServico: null }), client: null, company: { ...company, codigoMunicipio: null } }];
+
+    expect(mapExportRows('generico', entries).errors).toEqual([]);
+    expect(mapExportRows('dominio', entries).errors.map(error => error.field)).toEqual(['codigo_servico', 'tomador_uf']);
+    expect(mapExportRows('alterdata', entries).errors.map(error => error.field))
+      .toEqual(['codigo_servico', 'prestador_codigo_municipio', 'tomador_codigo_municipio']);
+  });
+
+  test('should refuse to render invalid invoices unless they are skipped', () => {
+    const entries = [
+      { invoice: invoice(), client, company },
+      { invoice: invoice({ id: 'inv-2', numero: null }), client, company }
+    ];
+
+    expect(() => buildExportFile('alterdata', entries)).toThrow('1 problema(s) impedem a exportação');
+
+    const { buffer, exported, skipped } = buildExportFile('alterdata', entries, { skipInvalid: true });
+    const lines = buffer.toString('latin1').split('\r\n');
+    expect(exported).toBe(1);
+    expect(skipped).toEqual([{ invoice_id: 'inv-2', numero: null }]);
+    expect(lines[0].startsWith('CNPJ_EMPRESA;INSCRICAO_MUNICIPAL;')).toBe(true);
+    expect(lines[1]).toContain(';101;900;10/06/2025;31/05/2025;N;J;11444777000161;Cliente Exemplo | SA;');
+  });
+
+  test('should render the generic CSV in UTF-8 with BOM and quoted values', () => {
+    const { buffer } = buildExportFile('generico', [{ invoice: invoice({ status: 'cancelada' }), client, company }]);
+    const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(lines[0].split(';')).toHaveLength(37);
+    expect(lines[1]).toContain(';cancelada;sim;');
+    expect(lines[1]).toContain(';"Cliente; Exemplo | SA";');
+  });
+
+  test('should preview rows, totals without cancelled invoices and errors', () => {
+    const preview = previewExport('dominio', [
+      { invoice: invoice(), client, company },
+      { invoice: invoice({ id: 'inv-2', numero: '102', status: 'cancelada' }), client, company },
+      { invoice: invoice({ id: 'inv-3', numero: '103', clienteDocumento: '123', valor: '200', valorIss: '10' }), client, company }
+    ]);
+
+    expect(preview.header[0]).toBe('CNPJ da empresa');
+    expect(preview.rows.map(row => row.valid)).toEqual([true, true, false]);
+    expect(preview.totals).toEqual({ notas: 3, validas: 2, canceladas: 1, valor: 1200, valor_iss: 60 });
+    expect(preview.errors).toEqual([
+      { invoice_id: 'inv-3', numero: '103', field: 'tomador_documento', message: 'CPF/CNPJ do tomador inválido' }
+    ]);
+  });
+});
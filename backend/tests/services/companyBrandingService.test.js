@@ -0,0 +1,121 @@
+/**
+ * Company Branding Service Tests
+ *
+ * Tests for color and logo validation, the defaults of companies without branding and
+ * the branded invoice and DAS PDFs.
+ */
+
+import { describe, test, expect, jest } from '@jest/globals';
+import QRCode from 'qrcode';
+
+// Mock Prisma (the PDFs are rendered from the records passed in)
+const mockPrisma = {
+  companyLogo: { findUnique: jest.fn() }
+};
+
+jest.unstable_mockModule('../../src/lib/prisma.js', () => ({ prisma: mockPrisma, default: mockPrisma }));
+
+const {
+  normalizeHexColor,
+  getContrastColor,
+  detectLogoMimeType,
+  validateBrandingSettings,
+  buildBrandingUpdate,
+  resolveBranding,
+  buildSampleInvoice,
+  DEFAULT_PRIMARY_COLOR,
+  DEFAULT_SECONDARY_COLOR
+} = await import('../../src/services/companyBrandingService.js');
+const { generateInvoicePDF, generateDASPDF } = await import('../../src/services/pdfService.js');
+
+const company = {
+  id: 'company-1',
+  cnpj: '11444777000161',
+  razaoSocial: 'Estúdio Exemplo Ltda',
+  nomeFantasia: 'Estúdio Exemplo',
+  cidade: 'Belo Horizonte',
+  uf: 'MG',
+  regimeTributario: 'MEI',
+  marcaCorPrimaria: '#0EA5E9',
+  marcaCorSecundaria: '#f8fafc',
+  marcaRodape: 'Obrigado pela preferência!',
+  marcaContato: '(31) 99999-0000\ncontato@exemplo.com.br'
+};
+
+describe('CompanyBrandingService', () => {
+  test('should normalize hex colors and reject anything else', () => {
+    expect(normalizeHexColor('#0EA5E9')).toBe('#0ea5e9');
+    expect(normalizeHexColor('abc')).toBe('#aabbcc');
+    expect(normalizeHexColor('#12345')).toBeNull();
+    expect(normalizeHexColor('red')).toBeNull();
+    expect(normalizeHexColor(null)).toBeNull();
+  });
+
+  test('should pick a readable text color for the background', () => {
+    expect(getContrastColor(DEFAULT_SECONDARY_COLOR)).toBe('#ffffff');
+    expect(getContrastColor('#f8fafc')).toBe('#111827');
+    expect(getContrastColor('#facc15')).toBe('#111827');
+  });
+
+  test('should detect PNG and JPEG logos by their signature', async () => {
+    const png = await QRCode.toBuffer('logo');
+    expect(detectLogoMimeType(png)).toBe('image/png');
+    expect(detectLogoMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]))).toBe('image/jpeg');
+    expect(detectLogoMimeType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+
+  test('should validate and normalize the branding fields of an update', () => {
+    expect(validateBrandingSettings({ marca_cor_primaria: '#0ea5e9', marca_contato: 'a\nb' })).toEqual([]);
+    expect(validateBrandingSettings({
+      marca_cor_primaria: 'azul',
+      marca_rodape: 'x'.repeat(301),
+      marca_contato: 'a\nb\nc\nd\ne'
+    })).toHaveLength(3);
+
+    expect(buildBrandingUpdate({ marca_cor_secundaria: '', marca_contato: ' (31) 9999 \r\n\n site.com ' })).toEqual({
+      marcaCorSecundaria: null,
+      marcaContato: '(31) 9999\nsite.com'
+    });
+  });
+
+  test('should keep the MAY layout for companies without branding', () => {
+    const branding = resolveBranding({ razaoSocial: 'Empresa' });
+    expect(branding).toMatchObject({
+      customized: false,
+      name: 'MAY',
+      primaryColor: DEFAULT_PRIMARY_COLOR,
+      secondaryColor: DEFAULT_SECONDARY_COLOR,
+      footerText: null,
+      contactLines: [],
+      logo: null
+    });
+
+    expect(resolveBranding(company)).toMatchObject({
+      customized: true,
+      name: 'Estúdio Exemplo',
+      primaryColor: '#0ea5e9',
+      headerTextColor: '#111827',
+      contactLines: ['(31) 99999-0000', 'contato@exemplo.com.br']
+    });
+  });
+
+  test('should render the sample invoice and the DAS with logo and colors', async () => {
+    const logo = { data: await QRCode.toBuffer('logo'), mimeType: 'image/png' };
+    const branding = resolveBranding(company, logo);
+
+    const invoicePdf = await generateInvoicePDF(buildSampleInvoice(company), company, { branding });
+    expect(invoicePdf.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const dasPdf = await generateDASPDF({
+      referencia: '03/2026',
+      dataVencimento: new Date('2026-04-20'),
+      valorTotal: '86.90',
+      valorInss: '75.90',
+      valorIss: '5.00',
+      valorIcms: '1.00',
+      status: 'pendente',
+      codigoBarras: '85800000000 8 69000000000 1 00000000000 0 00000000000 0'
+    }, company, { branding });
+    expect(dasPdf.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * DASN-SIMEI Service Tests
+ *
+ * Tests for the deadline and reminder steps, the summary of the DAS of the year,
+ * the values for the portal and the checklist.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  getDasnDeadline,
+  getDaysUntilDeadline,
+  getReminderStage,
+  summarizeDasPayments,
+  buildPortalValues,
+  buildDasnChecklist,
+  parseAnoCalendario
+} from '../../src/services/dasnSimeiService.js';
+
+describe('DasnSimeiService', () => {
+  test('should be due on May 31 of the following year', () => {
+    expect(getDasnDeadline(2025)).toEqual(new Date(2026, 4, 31));
+    expect(getDaysUntilDeadline(2025, new Date(2026, 4, 1, 15, 30))).toBe(30);
+    expect(getDaysUntilDeadline(2025, new Date(2026, 5, 1))).toBe(-1);
+  });
+
+  test('should pick the reminder step of the days left', () => {
+    expect(getReminderStage(45)).toBeNull();
+    expect(getReminderStage(30)).toBe(30);
+    expect(getReminderStage(20)).toBe(30);
+    expect(getReminderStage(15)).toBe(15);
+    expect(getReminderStage(3)).toBe(7);
+    expect(getReminderStage(0)).toBe(1);
+    expect(getReminderStage(-1)).toBeNull();
+  });
+
+  test('should summarize paid and pending DAS and the months without a guide', () => {
+    const das = summarizeDasPayments([
+      { referencia: '03/2025', status: 'pago', valorTotal: '80.90' },
+      { referencia: '04/2025', status: 'pago', valorTotal: '80.90' },
+      { referencia: '05/2025', status: 'pendente', valorTotal: '80.90' },
+      { referencia: '12/2024', status: 'pago', valorTotal: '75.60' }
+    ], 2025, { startMonth: 3, endMonth: 6 });
+
+    expect(das).toEqual({
+      pagos: 2,
+      valorPago: 161.8,
+      pendentes: [{ referencia: '05/2025', valor: 80.9 }],
+      valorPendente: 80.9,
+      mesesSemGuia: ['06/2025']
+    });
+  });
+
+  test('should list the values for the portal with services and commerce apart', () => {
+    expect(buildPortalValues({ receitaServicos: 60000, receitaComercio: 5000.5, possuiEmpregado: false })).toEqual([
+      { campo: 'Receita bruta total', valor: 65000.5 },
+      { campo: 'Receita bruta de comércio, indústria e transporte (ICMS)', valor: 5000.5 },
+      { campo: 'Receita bruta de prestação de serviços (ISS)', valor: 60000 },
+      { campo: 'Possuiu empregado durante o período abrangido pela declaração?', valor: 'Não' }
+    ]);
+  });
+
+  test('should flag what is missing before filing', () => {
+    const das = { pendentes: [], mesesSemGuia: ['12/2025'] };
+    const checklist = buildDasnChecklist({ revisada: true, das, receitaTotal: 90000, limite: 81000, transmitida: false });
+    const status = Object.fromEntries(checklist.map(item => [item.id, item.ok]));
+
+    expect(status).toEqual({
+      receita_revisada: true,
+      empregado: true,
+      das_pagos: false,
+      limite: false,
+      transmitida: false
+    });
+  });
+
+  test('should only file years already ended', () => {
+    const currentYear = new Date().getFullYear();
+    expect(parseAnoCalendario(String(currentYear - 1), { closed: true })).toBe(currentYear - 1);
+    expect(parseAnoCalendario(currentYear)).toBe(currentYear);
+    expect(() => parseAnoCalendario(currentYear, { closed: true })).toThrow(expect.objectContaining({ code: 'DASN_YEAR_NOT_CLOSED' }));
+    expect(() => parseAnoCalendario('abc')).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * DPS XML Service Tests
+ *
+ * Tests for the DPS built locally in the national layout: XML element order, Id,
+ * field-level layout errors and the cross-field rules, from invoice fixtures.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildDpsPayload, getDpsContext } from '../../src/services/acbrApi.js';
+import { buildDpsXml, assertValidDps, DPS_NAMESPACE } from '../../src/services/dpsXmlService.js';
+
+const dhEmi = '2025-06-10T12:00:00-03:00';
+
+const company = {
+  cnpj: '11.444.777/0001-61',
+  codigoMunicipio: '3106200',
+  inscricaoMunicipal: '1234567',
+  regimeTributario: 'Lucro Presumido',
+  nextRpsNumero: 42
+};
+
+const invoice = {
+  cliente_nome: 'Maria & Filhos',
+  cliente_documento: '529.982.247-25',
+  descricao_servico: 'Consultoria <TI>',
+  valor: 1500,
+  aliquota_iss: 5,
+  codigo_servico: '01.01.01',
+  data_prestacao: '2025-06-01'
+};
+
+const build = (invoiceData, companyData = company) =>
+  buildDpsXml(buildDpsPayload(invoiceData, companyData, { dhEmi }), getDpsContext(companyData));
+
+const tagOrder = (xml, tags) => tags.map(tag => xml.indexOf(`<${tag}>`));
+
+describe('DpsXmlService', () => {
+  test('should build a valid DPS for a domestic CPF invoice', () => {
+    const { id, xml, valid, errors } = build(invoice);
+
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+    expect(id).toBe('DPS310620021144477700016100900000000000000042');
+    expect(xml).toContain(`<DPS xmlns="${DPS_NAMESPACE}" versao="1.00">`);
+    expect(xml).toContain('<CPF>52998224725</CPF>');
+    expect(xml).toContain('<xNome>Maria &amp; Filhos</xNome>');
+    expect(xml).toContain('<xDescServ>Consultoria &lt;TI&gt;</xDescServ>');
+    expect(xml).toContain('<vServ>1500.00</vServ>');
+    expect(xml).toContain('<pAliq>5.00</pAliq>');
+    // ACBr computes these; they are not part of the DPS layout
+    expect(xml).not.toContain('<vLiq>');
+    expect(xml).not.toContain('<orgaoPublico>');
+
+    const order = tagOrder(xml, ['tpAmb', 'dhEmi', 'serie', 'nDPS', 'dCompet', 'cLocEmi', 'prest', 'toma', 'serv', 'valores', 'totTrib']);
+    expect(order.every(position => position > 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+  });
+
+  test('should leave out the ISS rate for Simples Nacional without retention (E0625)', () => {
+    const { xml, valid } = build(invoice, { ...company, regimeTributario: 'Simples Nacional' });
+
+    expect(valid).toBe(true);
+    expect(xml).toContain('<opSimpNac>3</opSimpNac>');
+    expect(xml).toContain('<regApTribSN>1</regApTribSN>');
+    expect(xml).not.toContain('<pAliq>');
+  });
+
+  test('should include federal retentions in tribFed', () => {
+    const { xml, valid } = build({ ...invoice, cliente_documento: '11.222.333/0001-81', valor_irrf: 22.5, valor_pis: 9.75, valor_cofins: 45 });
+
+    expect(valid).toBe(true);
+    expect(xml).toContain('<CNPJ>11222333000181</CNPJ>');
+    const [piscofins, irrf, totTrib] = tagOrder(xml, ['piscofins', 'vRetIRRF', 'totTrib']);
+    expect(piscofins).toBeGreaterThan(0);
+    expect(irrf).toBeGreaterThan(piscofins);
+    expect(totTrib).toBeGreaterThan(irrf);
+    expect(xml).toContain('<vRetIRRF>22.50</vRetIRRF>');
+  });
+
+  test('should build the export groups for a foreign tomador', () => {
+    const { xml, valid, errors } = build({
+      ...invoice,
+      cliente_nome: 'Acme Inc',
+      cliente_documento: '',
+      aliquota_iss: 0,
+      moeda: 'USD',
+      valor_moeda_estrangeira: 300,
+      tomador_exterior: { pais: 'US', nif: '12-3456789', cidade: 'New York', codigo_postal: '10001' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(valid).toBe(true);
+    expect(xml).toContain('<NIF>12-3456789</NIF>');
+    expect(xml).toContain('<cPais>US</cPais>');
+    expect(xml).toContain('<comExt>');
+    expect(xml).toContain('<tribISSQN>3</tribISSQN>');
+  });
+
+  test('should report field-level layout errors', () => {
+    const companyData = { ...company, codigoMunicipio: '31062', nextRpsNumero: 0 };
+    const payload = buildDpsPayload({ ...invoice, descricao_servico: 'x'.repeat(2001) }, companyData, { dhEmi });
+    payload.infDPS.dCompet = '2025-07-01';
+    const { valid, errors } = buildDpsXml(payload, getDpsContext(companyData));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'infDPS.cLocEmi', code: 'PATTERN' }),
+      expect.objectContaining({ field: 'infDPS.nDPS', code: 'PATTERN' }),
+      expect.objectContaining({ field: 'infDPS.serv.cServ.xDescServ', code: 'LENGTH' }),
+      expect.objectContaining({ field: 'infDPS.dCompet', code: 'E0015' })
+    ]));
+  });
+
+  test('should refuse an invalid DPS with DPS_SCHEMA_INVALID', () => {
+    const payload = buildDpsPayload({ ...invoice, cliente_nome: '' }, company, { dhEmi });
+
+    expect(() => assertValidDps(payload, getDpsContext(company))).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'DPS_SCHEMA_INVALID',
+      data: { errors: [expect.objectContaining({ field: 'infDPS.toma.xNome', code: 'REQUIRED' })] }
+    }));
+    expect(() => assertValidDps(buildDpsPayload(invoice, company, { dhEmi }), getDpsContext(company))).not.toThrow();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * DPS XSD Service Tests
+ *
+ * Tests for reading XSD types and for the comparison of a layout with them, on a
+ * small schema in the style of the national DPS package, and the check of the DPS layout
+ * against the official package in backend/schemas/nfse (skipped while it is not there).
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { describe, test, expect } from '@jest/globals';
+import { readXsdSchema, loadXsdDirectory, compareDpsLayout } from '../../src/services/dpsXsdService.js';
+
+// Official XSD package (see backend/schemas/nfse/README.md)
+const officialXsdDirectory = fileURLToPath(new URL('../../schemas/nfse/', import.meta.url));
+const hasOfficialXsd = fs.existsSync(officialXsdDirectory) &&
+  fs.readdirSync(officialXsdDirectory).some(file => file.toLowerCase().endsWith('.xsd'));
+
+const tiposSimples = `<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns="http://www.sped.fazenda.gov.br/nfse" targetNamespace="http://www.sped.fazenda.gov.br/nfse">
+  <xs:simpleType name="TSTipoAmbiente">
+    <xs:restriction base="xs:string">
+      <xs:enumeration value="1"/>
+      <xs:enumeration value="2"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="TSCNPJ">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="[0-9]{14}"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="TSDesc">
+    <xs:restriction base="xs:string">
+      <xs:minLength value="1"/>
+      <xs:maxLength value="2000"/>
+    </xs:restriction>
+  </xs:simpleType>
+  <xs:simpleType name="TSDec15V2">
+    <xs:restriction base="xs:string">
+      <xs:pattern value="0|0\\.[0-9]{2}|[1-9]{1}[0-9]{0,14}(\\.[0-9]{2})?"/>
+    </xs:restriction>
+  </xs:simpleType>
+</xs:schema>`;
+
+const dps = `<?xml version="1.0" encoding="UTF-8"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" targetNamespace="http://www.sped.fazenda.gov.br/nfse">
+  <!-- <xs:element name="comentado"/> -->
+  <xs:element name="DPS" type="TCDPS"/>
+  <xs:complexType name="TCDPS">
+    <xs:sequence>
+      <xs:element name="infDPS" type="TCInfDPS"/>
+    </xs:sequence>
+  </xs:complexType>
+  <xs:complexType name="TCInfDPS">
+    <xs:sequence>
+      <xs:element name="tpAmb" type="TSTipoAmbiente"/>
+      <xs:element name="prest">
+        <xs:complexType>
+          <xs:sequence>
+            <xs:choice>
+              <xs:element name="CNPJ" type="TSCNPJ"/>
+              <xs:element name="CPF" type="TSCNPJ"/>
+            </xs:choice>
+            <xs:element name="xNome" type="TSDesc" minOccurs="0"/>
+          </xs:sequence>
+        </xs:complexType>
+      </xs:element>
+      <xs:element name="xDescServ" type="TSDesc"/>
+      <xs:element name="vServ" type="TSDec15V2"/>
+    </xs:sequence>
+  </xs:complexType>
+</xs:schema>`;
+
+const schema = readXsdSchema([tiposSimples, dps]);
+
+const el = (name, type, options = {}) => ({ name, type, ...options });
+
+describe('DpsXsdService', () => {
+  test('should read simple and complex types across files', () => {
+    expect([...schema.simpleTypes.keys()]).toEqual(['TSTipoAmbiente', 'TSCNPJ', 'TSDesc', 'TSDec15V2']);
+    expect([...schema.elements.keys()]).toEqual(['DPS']);
+    expect(schema.complexTypes.has('TCInfDPS')).toBe(true);
+  });
+
+  test('should accept a layout that matches the XSD', () => {
+    const layout = [
+      el('tpAmb', { enum: ['2', '1'] }),
+      { name: 'prest', children: [{ choice: [el('CNPJ', { pattern: /^[0-9]{14}$/ }), el('CPF', { pattern: /^\d{11}$/ })] }] },
+      el('xDescServ', { minLength: 1, maxLength: 2000 }),
+      el('vServ', { decimal: { max: 999999999999999.99, fractionDigits: 2 } })
+    ];
+
+    expect(compareDpsLayout(schema, { layout })).toEqual({
+      differences: [],
+      review: [{ field: 'infDPS.prest.CPF', pattern: '[0-9]{14}', table: '^\\d{11}$' }]
+    });
+  });
+
+  test('should report enumerations, lengths, decimals, order, occurrence and unknown elements', () => {
+    const layout = [
+      el('tpAmb', { enum: ['1'] }),
+      el('xDescServ', { minLength: 1, maxLength: 1000 }),
+      { name: 'prest', children: [el('CNPJ', { pattern: /^[0-9]{14}$/ }), el('xNome', { maxLength: 2000 })] },
+      el('vServ', { decimal: { max: 999.999, fractionDigits: 3 } }),
+      el('vLiq', { decimal: { max: 1, fractionDigits: 2 } }, { optional: true })
+    ];
+
+    expect(compareDpsLayout(schema, { layout }).differences).toEqual([
+      { field: 'infDPS.tpAmb', message: 'valores aceitos: XSD [1, 2], tabela [1]' },
+      { field: 'infDPS.xDescServ', message: 'maxLength: XSD 2000, tabela 1000' },
+      { field: 'infDPS.prest', message: 'fora da ordem do XSD' },
+      { field: 'infDPS.prest.xNome', message: 'opcional no XSD' },
+      { field: 'infDPS.vServ', message: 'casas decimais: o padrão do XSD (0|0\\.[0-9]{2}|[1-9]{1}[0-9]{0,14}(\\.[0-9]{2})?) não aceita 3 casas' },
+      { field: 'infDPS.vLiq', message: 'elemento não existe no XSD' }
+    ]);
+  });
+
+  test('should report required XSD elements missing from the layout', () => {
+    const layout = [el('tpAmb', { enum: ['1', '2'] })];
+
+    expect(compareDpsLayout(schema, { layout }).differences.map(difference => difference.field)).toEqual([
+      'infDPS.prest',
+      'infDPS.xDescServ',
+      'infDPS.vServ'
+    ]);
+    expect(() => compareDpsLayout(schema, { layout, path: ['NFSe'] })).toThrow('Elemento NFSe não encontrado');
+  });
+
+  (hasOfficialXsd ? describe : describe.skip)('official XSD package', () => {
+    test('should match the DPS layout of dpsXmlService', () => {
+      const { differences } = compareDpsLayout(loadXsdDirectory(officialXsdDirectory));
+      expect(differences).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Duplicate Invoice Detection Tests
+ *
+ * Tests for client matching, description similarity and the override flag.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  descriptionSimilarity,
+  isSameClient,
+  isDuplicateOverride,
+  DESCRIPTION_SIMILARITY_THRESHOLD,
+} from '../../src/services/duplicateInvoiceDetection.js';
+
+describe('DuplicateInvoiceDetection', () => {
+  describe('descriptionSimilarity', () => {
+    test('should ignore case, accents and punctuation', () => {
+      expect(descriptionSimilarity('Consultoria em Gestão', 'consultoria em gestao.')).toBe(1);
+    });
+
+    test('should flag reworded descriptions of the same service', () => {
+      expect(descriptionSimilarity(
+        'Consultoria em marketing digital',
+        'Consultoria de marketing digital - outubro'
+      )).toBeGreaterThanOrEqual(DESCRIPTION_SIMILARITY_THRESHOLD);
+    });
+
+    test('should not flag different services', () => {
+      expect(descriptionSimilarity(
+        'Desenvolvimento de website institucional',
+        'Manutenção de servidores'
+      )).toBeLessThan(DESCRIPTION_SIMILARITY_THRESHOLD);
+    });
+  });
+
+  describe('isSameClient', () => {
+    test('should compare CPF/CNPJ digits regardless of formatting', () => {
+      const invoice = { clienteDocumento: '12.345.678/0001-90', clienteNome: 'Empresa ABC' };
+      expect(isSameClient({ cliente_documento: '12345678000190' }, invoice)).toBe(true);
+      expect(isSameClient({ cliente_documento: '98765432000110' }, invoice)).toBe(false);
+    });
+
+    test('should match foreign clients by NIF', () => {
+      const invoice = { clienteDocumento: '', clienteNif: '12-3456789', clienteNome: 'Acme Inc' };
+      expect(isSameClient({ cliente_documento: '12-3456789' }, invoice)).toBe(true);
+      expect(isSameClient({ tomador_exterior: { nif: '12-3456789' } }, invoice)).toBe(true);
+    });
+
+    test('should fall back to the client name without a document', () => {
+      const invoice = { clienteDocumento: '', clienteNome: 'Maria Silva' };
+      expect(isSameClient({ cliente_nome: ' maria silva ' }, invoice)).toBe(true);
+      expect(isSameClient({ cliente_nome: 'João Silva' }, invoice)).toBe(false);
+    });
+  });
+
+  test('isDuplicateOverride should require an explicit flag', () => {
+    expect(isDuplicateOverride({ ignorar_duplicidade: true })).toBe(true);
+    expect(isDuplicateOverride({ ignorar_duplicidade: 'true' })).toBe(true);
+    expect(isDuplicateOverride({})).toBe(false);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Federal Retentions Tests
+ *
+ * Tests for IRRF/PIS/COFINS/CSLL/INSS amounts, net amount (vLiq)
+ * and the DPS tribFed group.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateNetAmount,
+  validateRetentions,
+  buildTribFed,
+  buildRetentionInvoiceFields,
+  getClientRetentionDefaults,
+  buildClientRetentionFields,
+} from '../../src/services/federalRetentions.js';
+
+describe('FederalRetentions', () => {
+  describe('calculateNetAmount', () => {
+    test('should equal the service value without retentions', () => {
+      expect(calculateNetAmount({ valor: 1000, aliquota_iss: 5 })).toBe(1000);
+    });
+
+    test('should subtract ISS only when retained', () => {
+      expect(calculateNetAmount({ valor: 1000, aliquota_iss: 5, iss_retido: true })).toBe(950);
+      expect(calculateNetAmount({ valor: 1000, aliquota_iss: 5, iss_retido: false })).toBe(1000);
+    });
+
+    test('should subtract federal retentions', () => {
+      const net = calculateNetAmount({
+        valor: 10000,
+        aliquota_iss: 5,
+        iss_retido: true,
+        valor_irrf: 150,
+        valor_pis: 65,
+        valor_cofins: 300,
+        valor_csll: 100,
+      });
+      expect(net).toBe(8885);
+    });
+  });
+
+  describe('validateRetentions', () => {
+    test('should reject negative amounts', () => {
+      expect(validateRetentions({ valor: 100, valor_inss: -1 })).toHaveLength(1);
+    });
+
+    test('should reject retentions above the service value', () => {
+      expect(validateRetentions({ valor: 100, valor_inss: 200 })).toHaveLength(1);
+    });
+
+    test('should accept empty retentions', () => {
+      expect(validateRetentions({ valor: 100 })).toEqual([]);
+    });
+  });
+
+  describe('buildTribFed', () => {
+    test('should return null when nothing is withheld', () => {
+      expect(buildTribFed({ valor: 1000 })).toBeNull();
+    });
+
+    test('should build PIS/COFINS group and federal retentions', () => {
+      const tribFed = buildTribFed({ valor: 10000, valor_pis: 65, valor_cofins: 300, valor_irrf: 150, valor_inss: 1100 });
+
+      expect(tribFed.piscofins.vPis).toBe(65);
+      expect(tribFed.piscofins.vCofins).toBe(300);
+      expect(tribFed.piscofins.pAliqPis).toBe(0.65);
+      expect(tribFed.piscofins.pAliqCofins).toBe(3);
+      expect(tribFed.vRetIRRF).toBe(150);
+      expect(tribFed.vRetCP).toBe(1100);
+      expect(tribFed).not.toHaveProperty('vRetCSLL');
+    });
+  });
+
+  test('buildRetentionInvoiceFields should include valorLiquido', () => {
+    const fields = buildRetentionInvoiceFields({ valor: 1000, valor_irrf: 15 });
+    expect(fields.valorIrrf).toBe(15);
+    expect(fields.valorPis).toBe(0);
+    expect(fields.valorLiquido).toBe(985);
+  });
+
+  describe('client retention profile', () => {
+    test('should convert client rates into amounts', () => {
+      const defaults = getClientRetentionDefaults({ aliquotaIrrf: '1.50', aliquotaCsll: '1', aliquotaPis: null }, 2000);
+      expect(defaults).toEqual({ valor_irrf: 30, valor_csll: 20 });
+    });
+
+    test('should only map fields present in the input', () => {
+      expect(buildClientRetentionFields({ aliquota_irrf: '1.5', aliquota_pis: '' }))
+        .toEqual({ aliquotaIrrf: 1.5, aliquotaPis: null });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Fiscal Package Service Tests
+ *
+ * Tests for the competência range and the monthly package summary (JSON and CSV).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  parseCompetencia,
+  previousCompetencia,
+  buildPackageSummary,
+  buildSummaryCsv,
+} from '../../src/services/fiscalPackageService.js';
+
+const company = { razaoSocial: 'Empresa Exemplo LTDA', cnpj: '11222333000181' };
+
+const invoice = (overrides = {}) => ({
+  id: 'inv-1',
+  numero: '101',
+  status: 'autorizada',
+  clienteNome: 'Maria Silva',
+  clienteDocumento: '12345678909',
+  codigoServico: '010101',
+  valor: '1000',
+  valorIss: '50',
+  issRetido: false,
+  codigoVerificacao: 'ABC123',
+  dataEmissao: new Date(Date.UTC(2025, 5, 10)),
+  dataPrestacao: new Date(Date.UTC(2025, 5, 5)),
+  ...overrides
+});
+
+describe('FiscalPackageService', () => {
+  describe('competência', () => {
+    test('should parse the month range as stored in date columns', () => {
+      expect(parseCompetencia('2025-06')).toEqual({
+        competencia: '2025-06',
+        start: new Date(Date.UTC(2025, 5, 1)),
+        end: new Date(Date.UTC(2025, 6, 1))
+      });
+    });
+
+    test('should reject invalid values', () => {
+      expect(() => parseCompetencia('2025-13')).toThrow('Competência inválida');
+      expect(() => parseCompetencia('06/2025')).toThrow('Competência inválida');
+      expect(() => parseCompetencia(undefined)).toThrow('Competência inválida');
+    });
+
+    test('should return the previous month, across years', () => {
+      expect(previousCompetencia(new Date(2025, 6, 1, 8))).toBe('2025-06');
+      expect(previousCompetencia(new Date(2026, 0, 1, 8))).toBe('2025-12');
+    });
+  });
+
+  describe('buildPackageSummary', () => {
+    const summary = buildPackageSummary(company, '2025-06', [
+      invoice(),
+      invoice({ id: 'inv-2', numero: '102', valor: '500.50', valorIss: '25.03', issRetido: true }),
+      invoice({ id: 'inv-3', numero: '103', codigoServico: '170101', valor: '200', valorIss: '10' }),
+      invoice({ id: 'inv-4', numero: '104', status: 'cancelada', valor: '300', valorIss: '15', issRetido: true })
+    ], ['xml/nfse-103.xml']);
+
+    test('should total by status', () => {
+      expect(summary.quantidade_notas).toBe(4);
+      expect(summary.totais_por_status.autorizada).toEqual({ quantidade: 3, valor: 1700.5, valor_iss: 85.03 });
+      expect(summary.totais_por_status.cancelada).toEqual({ quantidade: 1, valor: 300, valor_iss: 15 });
+    });
+
+    test('should total ISS withheld and service codes over authorized invoices only', () => {
+      expect(summary.iss_retido).toEqual({ quantidade: 1, valor_iss: 25.03 });
+      expect(summary.totais_por_codigo_servico).toEqual([
+        { codigo_servico: '010101', quantidade: 2, valor: 1500.5, valor_iss: 75.03 },
+        { codigo_servico: '170101', quantidade: 1, valor: 200, valor_iss: 10 }
+      ]);
+    });
+
+    test('should list the invoices and missing files', () => {
+      expect(summary.notas[0]).toMatchObject({ numero: '101', data_emissao: '2025-06-10', data_competencia: '2025-06-05', valor: 1000 });
+      expect(summary.arquivos_ausentes).toEqual(['xml/nfse-103.xml']);
+    });
+
+    test('should render the CSV with invoice lines and totals', () => {
+      const lines = buildSummaryCsv(summary).replace(/^\uFEFF/, '').split('\r\n');
+      expect(lines[0]).toBe('numero;status;data_emissao;data_competencia;cliente;documento;codigo_servico;valor;valor_iss;iss_retido');
+      expect(lines[2]).toBe('102;autorizada;2025-06-10;2025-06-05;Maria Silva;12345678909;010101;500,50;25,03;sim');
+      expect(lines).toContain('autorizada;3;1700,50;85,03');
+      expect(lines).toContain('170101;1;200,00;10,00');
+      expect(lines[lines.length - 1]).toBe('total;1;25,03');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Foreign Tomador Tests
+ *
+ * Tests for foreign clients (export of services): toma/comExt DPS groups
+ * and foreign currency handling.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  isForeignClient,
+  buildTomadorExterior,
+  buildForeignToma,
+  buildComExt,
+  applyExportCurrency,
+  validateForeignClient,
+} from '../../src/services/foreignTomador.js';
+
+describe('ForeignTomador', () => {
+  const client = {
+    pais: 'us',
+    nif: '12-3456789',
+    logradouro: '5th Avenue',
+    numero: '100',
+    cidade: 'New York',
+    estadoProvincia: 'NY',
+    codigoPostal: '10001',
+  };
+
+  test('should detect foreign clients by country', () => {
+    expect(isForeignClient(client)).toBe(true);
+    expect(isForeignClient({ pais: 'BR' })).toBe(false);
+    expect(isForeignClient({})).toBe(false);
+  });
+
+  test('should require a city for foreign clients', () => {
+    expect(validateForeignClient({ pais: 'PT' })).toHaveLength(1);
+    expect(validateForeignClient({ pais: 'PT', cidade: 'Lisboa' })).toEqual([]);
+  });
+
+  describe('buildForeignToma', () => {
+    test('should identify the tomador by NIF and foreign address', () => {
+      const toma = buildForeignToma({ cliente_nome: 'Acme Inc', tomador_exterior: buildTomadorExterior(client) });
+
+      expect(toma.NIF).toBe('12-3456789');
+      expect(toma).not.toHaveProperty('CPF');
+      expect(toma).not.toHaveProperty('CNPJ');
+      expect(toma.end.endExt).toEqual({
+        cPais: 'US',
+        cEndPost: '10001',
+        xCidade: 'New York',
+        xEstProvReg: 'NY',
+      });
+    });
+
+    test('should use cNaoNIF when the NIF is missing', () => {
+      const toma = buildForeignToma({
+        cliente_nome: 'Cliente PT',
+        tomador_exterior: buildTomadorExterior({ pais: 'PT', cidade: 'Lisboa' }),
+      });
+
+      expect(toma).not.toHaveProperty('NIF');
+      expect(toma.cNaoNIF).toBe(0);
+    });
+  });
+
+  describe('applyExportCurrency', () => {
+    test('should derive the foreign amount from the BRL value', () => {
+      const invoiceData = { valor: 5420 };
+      expect(applyExportCurrency(invoiceData, { moeda: 'usd', taxa_cambio: 5.42 })).toEqual([]);
+      expect(invoiceData.moeda).toBe('USD');
+      expect(invoiceData.valor_moeda_estrangeira).toBe(1000);
+    });
+
+    test('should reject unsupported currencies and missing exchange rates', () => {
+      expect(applyExportCurrency({ valor: 100 }, { moeda: 'XYZ', taxa_cambio: 1 })).toHaveLength(1);
+      expect(applyExportCurrency({ valor: 100 }, { moeda: 'EUR' })).toHaveLength(1);
+    });
+  });
+
+  test('buildComExt should record the BACEN currency code and foreign amount', () => {
+    const comExt = buildComExt({ valor: 5420, moeda: 'USD', valor_moeda_estrangeira: 1000 });
+    expect(comExt.tpMoeda).toBe('220');
+    expect(comExt.vServMoeda).toBe(1000);
+    expect(comExt.mdPrestacao).toBe(1);
+  });
+});
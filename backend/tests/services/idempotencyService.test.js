@@ -0,0 +1,141 @@
+/**
+ * Idempotency Service Tests
+ *
+ * Tests for request hashing, Idempotency-Key validation and the replay of queued emissions.
+ */
+
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+const mockPrisma = {
+  idempotencyKey: {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    deleteMany: jest.fn(),
+    updateMany: jest.fn()
+  },
+  invoiceEmissionJob: { findUnique: jest.fn() },
+  invoice: { findUnique: jest.fn() }
+};
+
+jest.unstable_mockModule('../../src/lib/prisma.js', () => ({ prisma: mockPrisma, default: mockPrisma }));
+
+const {
+  hashRequest,
+  validateIdempotencyKey,
+  getReplayBody,
+  beginIdempotentRequest,
+  MAX_IDEMPOTENCY_KEY_LENGTH,
+} = await import('../../src/services/idempotencyService.js');
+
+describe('IdempotencyService', () => {
+  describe('hashRequest', () => {
+    test('should not depend on the order of object keys', () => {
+      const a = { company_id: 'c1', action_data: { valor: 100, cliente_nome: 'Maria' } };
+      const b = { action_data: { cliente_nome: 'Maria', valor: 100 }, company_id: 'c1' };
+      expect(hashRequest(a)).toBe(hashRequest(b));
+    });
+
+    test('should change when the request changes', () => {
+      expect(hashRequest({ valor: 100 })).not.toBe(hashRequest({ valor: 101 }));
+      expect(hashRequest({ itens: [1, 2] })).not.toBe(hashRequest({ itens: [2, 1] }));
+    });
+
+    test('should ignore undefined fields', () => {
+      expect(hashRequest({ valor: 100, municipio: undefined })).toBe(hashRequest({ valor: 100 }));
+    });
+  });
+
+  describe('validateIdempotencyKey', () => {
+    test('should accept UUIDs', () => {
+      expect(validateIdempotencyKey('0f8fad5b-d9cb-469f-a165-70867728950e')).toBeNull();
+    });
+
+    test('should reject empty and oversized keys', () => {
+      expect(validateIdempotencyKey('  ')).not.toBeNull();
+      expect(validateIdempotencyKey('x'.repeat(MAX_IDEMPOTENCY_KEY_LENGTH + 1))).not.toBeNull();
+    });
+  });
+
+  describe('getReplayBody', () => {
+    test('should replay a queued emission with the current state of its job', () => {
+      const stored = {
+        status: 'success',
+        message: 'Emissão da nota fiscal iniciada',
+        data: { job: { id: 'job-1', status: 'pending', invoice: null } }
+      };
+      const job = {
+        id: 'job-1',
+        companyId: 'company-1',
+        status: 'completed',
+        step: null,
+        attempts: 1,
+        invoiceId: 'inv-1',
+        data: { cliente_nome: 'Maria Silva', valor: 100 }
+      };
+      const invoice = { id: 'inv-1', numero: '42', status: 'autorizada', clienteNome: 'Maria Silva', valor: '100.00' };
+
+      const body = getReplayBody(stored, job, invoice);
+      expect(body.message).toBe(stored.message);
+      expect(body.data.job).toMatchObject({ id: 'job-1', status: 'completed', invoice: { id: 'inv-1', numero: '42' } });
+    });
+  });
+
+  describe('beginIdempotentRequest', () => {
+    const params = { userId: 'user-1', key: 'key-1', scope: 'invoice_issue', requestHash: 'hash-1' };
+    const stored = {
+      id: 'idem-1',
+      userId: 'user-1',
+      key: 'key-1',
+      scope: 'invoice_issue',
+      requestHash: 'hash-1',
+      status: 'completed',
+      emissionJobId: 'job-1',
+      responseBody: { status: 'success', data: { job: { id: 'job-1', status: 'pending' } } },
+      updatedAt: new Date(),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    };
+    const failedJob = (errorCode) => ({
+      id: 'job-1',
+      companyId: 'company-1',
+      status: 'failed',
+      attempts: 1,
+      invoiceId: null,
+      errorCode,
+      errorMessage: 'Falha',
+      data: { cliente_nome: 'Maria Silva', valor: 100 }
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockPrisma.idempotencyKey.create.mockRejectedValueOnce(Object.assign(new Error('Unique'), { code: 'P2002' }));
+      mockPrisma.idempotencyKey.findUnique.mockResolvedValue(stored);
+    });
+
+    test.each(['EMISSION_INTERRUPTED', 'EMISSION_OUTCOME_UNKNOWN', 'NFSE_EMITTED_WITHOUT_RECORD'])(
+      'should keep the key and replay a job that failed with %s',
+      async (errorCode) => {
+        mockPrisma.invoiceEmissionJob.findUnique.mockResolvedValue(failedJob(errorCode));
+
+        const result = await beginIdempotentRequest(params);
+
+        expect(result.replay).toBe(true);
+        expect(result.responseBody.data.job).toMatchObject({ id: 'job-1', status: 'failed' });
+        expect(mockPrisma.idempotencyKey.deleteMany).not.toHaveBeenCalled();
+      }
+    );
+
+    test('should release the key when the job was rejected', async () => {
+      mockPrisma.invoiceEmissionJob.findUnique.mockResolvedValue(failedJob('VALIDATION_ERROR'));
+      mockPrisma.idempotencyKey.deleteMany.mockResolvedValue({ count: 1 });
+      const claimed = { ...stored, status: 'processing', emissionJobId: null };
+      mockPrisma.idempotencyKey.create.mockResolvedValueOnce(claimed);
+
+      const result = await beginIdempotentRequest(params);
+
+      expect(mockPrisma.idempotencyKey.deleteMany).toHaveBeenCalledWith({
+        where: { id: 'idem-1', updatedAt: stored.updatedAt }
+      });
+      expect(result).toEqual({ record: claimed, replay: false });
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Invoice Batch Service Tests
+ *
+ * Tests for CSV/XLSX parsing, column mapping, the validation of the batch preview,
+ * the confirmation of a batch and the emission of its rows through the emission queue.
+ */
+
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+import ExcelJS from 'exceljs';
+
+// Mock Prisma
+const mockPrisma = {
+  subscription: { findUnique: jest.fn() },
+  company: { findFirst: jest.fn(), count: jest.fn() },
+  invoice: { count: jest.fn(), findMany: jest.fn() },
+  invoiceBatch: { create: jest.fn(), findFirst: jest.fn(), findUnique: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  invoiceBatchItem: { findMany: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+  notification: { create: jest.fn() }
+};
+const mockEnqueueEmission = jest.fn();
+const mockWaitForEmissionJob = jest.fn();
+
+jest.unstable_mockModule('../../src/lib/prisma.js', () => ({ prisma: mockPrisma, default: mockPrisma }));
+jest.unstable_mockModule('../../src/services/invoiceEmissionQueueService.js', () => ({
+  enqueueEmission: mockEnqueueEmission,
+  waitForEmissionJob: mockWaitForEmissionJob
+}));
+
+const { parseSpreadsheet, createBatchPreview, confirmBatch, processBatch } = await import('../../src/services/invoiceBatchService.js');
+
+const csv = (text) => Buffer.from(text, 'utf8');
+
+describe('InvoiceBatchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseSpreadsheet', () => {
+    test('should map accepted header names to fields', async () => {
+      const rows = await parseSpreadsheet(csv(
+        '﻿Tomador;CPF/CNPJ;Discriminação;Valor Total;Alíquota ISS\r\n' +
+        'Maria Silva;529.982.247-25;Consultoria;1.500,00;5\r\n'
+      ), 'notas.csv');
+
+      expect(rows).toEqual([{
+        rowNumber: 2,
+        raw: {
+          cliente_nome: 'Maria Silva',
+          cliente_documento: '529.982.247-25',
+          descricao_servico: 'Consultoria',
+          valor: '1.500,00',
+          aliquota_iss: '5'
+        }
+      }]);
+    });
+
+    test('should keep delimiters, quotes and line breaks inside quoted values', async () => {
+      const rows = await parseSpreadsheet(csv(
+        'cliente_nome,cliente_documento,descricao_servico,valor\n' +
+        '"Silva, Maria",52998224725,"Consultoria\nem gestão ""premium""",1500.00\n' +
+        '\n' +
+        'João Souza,11144477735,Manutenção,200\n'
+      ), 'notas.csv');
+
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toEqual({
+        rowNumber: 2,
+        raw: {
+          cliente_nome: 'Silva, Maria',
+          cliente_documento: '52998224725',
+          descricao_servico: 'Consultoria\nem gestão "premium"',
+          valor: '1500.00'
+        }
+      });
+      expect(rows[1]).toMatchObject({ rowNumber: 4, raw: { cliente_nome: 'João Souza', valor: '200' } });
+    });
+
+    test('should read the first sheet of an XLSX file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Notas');
+      sheet.addRow(['Cliente', 'Documento', 'Serviço', 'Valor']);
+      sheet.addRow(['Maria Silva', '52998224725', 'Consultoria', 1500]);
+      const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+      const rows = await parseSpreadsheet(buffer, 'notas.xlsx');
+
+      expect(rows).toEqual([{
+        rowNumber: 2,
+        raw: { cliente_nome: 'Maria Silva', cliente_documento: '52998224725', descricao_servico: 'Consultoria', valor: 1500 }
+      }]);
+    });
+
+    test('should reject missing columns and unsupported files', async () => {
+      await expect(parseSpreadsheet(csv('cliente;valor\nMaria;10\n'), 'notas.csv')).rejects.toMatchObject({
+        code: 'INVALID_SPREADSHEET',
+        data: { missing: ['cliente_documento'] }
+      });
+      await expect(parseSpreadsheet(csv('x'), 'notas.txt')).rejects.toMatchObject({ code: 'INVALID_SPREADSHEET' });
+      await expect(parseSpreadsheet(csv('\n\n'), 'notas.csv')).rejects.toMatchObject({ code: 'INVALID_SPREADSHEET' });
+    });
+  });
+
+  describe('createBatchPreview', () => {
+    const company = {
+      id: 'company-1',
+      regimeTributario: 'Simples Nacional',
+      codigoMunicipio: '3550308'
+    };
+    const recentInvoice = {
+      id: 'invoice-1',
+      numero: '120',
+      status: 'autorizada',
+      clienteNome: 'Maria Silva',
+      clienteDocumento: '52998224725',
+      descricaoServico: 'Consultoria em gestão',
+      valor: '1500.00',
+      dataEmissao: new Date(),
+      createdAt: new Date()
+    };
+
+    async function preview(text) {
+      mockPrisma.subscription.findUnique.mockResolvedValue({ planId: 'essential', status: 'ACTIVE' });
+      mockPrisma.invoice.count.mockResolvedValue(0);
+      mockPrisma.company.findFirst.mockResolvedValue(company);
+      mockPrisma.company.count.mockResolvedValue(1);
+      mockPrisma.invoice.findMany.mockImplementation(async ({ where }) =>
+        where.valor === 1500 ? [recentInvoice] : []
+      );
+      mockPrisma.invoiceBatch.create.mockImplementation(async ({ data }) => ({ ...data, items: data.items.create }));
+
+      const { batch } = await createBatchPreview({ buffer: csv(text), fileName: 'notas.csv', company, userId: 'user-1' });
+      return batch;
+    }
+
+    test('should flag invalid rows and duplicates of recent invoices and earlier rows', async () => {
+      const batch = await preview(
+        'cliente_nome;cliente_documento;descricao_servico;valor;aliquota_iss\n' +
+        'Maria Silva;529.982.247-25;Consultoria em gestão;1.500,00;5\n' +
+        'João Souza;111.444.777-35;Manutenção de servidores;200,00;5\n' +
+        'João Souza;111.444.777-35;Manutenção servidores;200,00;5\n' +
+        'Ana Lima;123.456.789-00;Aulas;100,00;5\n' +
+        'Ana Lima;;Aulas;abc;5\n'
+      );
+
+      expect(batch.totalRows).toBe(5);
+      expect(batch.validRows).toBe(1);
+      const [duplicate, valid, repeated, invalidCpf, invalid] = batch.items;
+      expect(duplicate.errors[0]).toContain('Possível nota duplicada: NFS-e 120');
+      expect(valid).toMatchObject({ status: 'valid', data: { cliente_documento: '11144477735', valor: 200 } });
+      expect(repeated.errors).toEqual(['Linha duplicada: mesmo cliente, valor e descrição semelhante à linha 3 da planilha.']);
+      expect(invalidCpf.errors).toEqual(['CPF inválido: 123.456.789-00']);
+      expect(invalid.errors).toEqual(['CPF/CNPJ do cliente é obrigatório', 'Valor inválido: abc']);
+    });
+
+    test('should read Brazilian thousands separators without decimal part', async () => {
+      const batch = await preview(
+        'cliente_nome;cliente_documento;descricao_servico;valor\n' +
+        'João Souza;111.444.777-35;Manutenção de servidores;1.500\n' +
+        'João Souza;111.444.777-35;Projeto de rede;R$ 12.000\n' +
+        'João Souza;111.444.777-35;Suporte remoto;99.5\n'
+      );
+
+      expect(batch.items.map(item => item.data.valor)).toEqual([1500, 12000, 99.5]);
+    });
+  });
+
+  describe('confirmBatch', () => {
+    const batch = { id: 'batch-1', userId: 'user-1', status: 'preview', validRows: 2 };
+
+    test('should start the batch only for the confirmation that claims it', async () => {
+      mockPrisma.invoiceBatch.findFirst.mockResolvedValue(batch);
+      mockPrisma.invoiceBatch.updateMany.mockResolvedValueOnce({ count: 1 }).mockResolvedValueOnce({ count: 0 });
+      // processBatch leaves batches that are not processing alone
+      mockPrisma.invoiceBatch.findUnique.mockResolvedValue({ ...batch, status: 'completed' });
+
+      await confirmBatch(batch.id, 'user-1');
+      await expect(confirmBatch(batch.id, 'user-1')).rejects.toMatchObject({ statusCode: 409, code: 'BATCH_NOT_PENDING' });
+
+      expect(mockPrisma.invoiceBatch.updateMany).toHaveBeenCalledWith({
+        where: { id: batch.id, status: 'preview' },
+        data: { status: 'processing', startedAt: expect.any(Date) }
+      });
+      expect(mockPrisma.invoiceBatchItem.updateMany).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('processBatch', () => {
+    test('should emit each row through the emission queue', async () => {
+      const company = { id: 'company-1' };
+      const batch = { id: 'batch-1', userId: 'user-1', status: 'processing', fileName: 'notas.csv', company };
+      const items = [
+        { id: 'item-1', rowNumber: 2, data: { cliente_nome: 'Maria Silva', valor: 1500 } },
+        { id: 'item-2', rowNumber: 3, data: { cliente_nome: 'João Souza', valor: 200 } }
+      ];
+      mockPrisma.invoiceBatch.findUnique
+        .mockResolvedValueOnce(batch)
+        .mockResolvedValueOnce({ ...batch, successCount: 1, queuedCount: 0, errorCount: 1 });
+      mockPrisma.invoiceBatch.update.mockImplementation(async ({ data }) => ({ ...batch, successCount: 1, queuedCount: 0, errorCount: 1, ...data }));
+      mockPrisma.invoiceBatchItem.findMany.mockResolvedValue(items);
+      mockEnqueueEmission.mockResolvedValueOnce({ id: 'job-1' }).mockResolvedValueOnce({ id: 'job-2' });
+      mockWaitForEmissionJob
+        .mockResolvedValueOnce({ id: 'job-1', status: 'completed', invoice_id: 'inv-1', invoice: { numero: '42', codigo_verificacao: 'ABC' } })
+        .mockResolvedValueOnce({ id: 'job-2', status: 'failed', error: { code: 'E0310', message: 'E0310: código não administrado' } });
+
+      const finished = await processBatch(batch.id);
+
+      expect(mockEnqueueEmission).toHaveBeenCalledWith(items[0].data, company, 'user-1', { source: 'batch', notify: false });
+      expect(mockWaitForEmissionJob).toHaveBeenCalledWith('job-2');
+      expect(mockPrisma.invoiceBatchItem.update).toHaveBeenCalledWith({
+        where: { id: 'item-1' },
+        data: expect.objectContaining({ status: 'success', invoiceId: 'inv-1', numero: '42', codigoVerificacao: 'ABC' })
+      });
+      expect(mockPrisma.invoiceBatchItem.update).toHaveBeenCalledWith({
+        where: { id: 'item-2' },
+        data: expect.objectContaining({ status: 'error', errorMessage: 'E0310: código não administrado' })
+      });
+      expect(finished.status).toBe('completed_with_errors');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Invoice Deductions Tests
+ *
+ * Tests for unconditional/conditional discounts, deductions from the ISS base
+ * and their effect on the net amount (vLiq).
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateIssBase,
+  calculateIssAmount,
+  validateDeductions,
+  validateDeductionsForMunicipality,
+  buildDpsDeductions,
+} from '../../src/services/invoiceDeductions.js';
+import { calculateNetAmount } from '../../src/services/federalRetentions.js';
+
+describe('InvoiceDeductions', () => {
+  describe('ISS base', () => {
+    test('should exclude unconditional discounts and deductions but not conditional discounts', () => {
+      const invoiceData = {
+        valor: 10000,
+        aliquota_iss: 5,
+        valor_desconto_incondicionado: 500,
+        valor_desconto_condicionado: 200,
+        valor_deducoes: 3000,
+      };
+
+      expect(calculateIssBase(invoiceData)).toBe(6500);
+      expect(calculateIssAmount(invoiceData)).toBe(325);
+    });
+
+    test('should equal the service value without discounts', () => {
+      expect(calculateIssBase({ valor: 1000 })).toBe(1000);
+    });
+  });
+
+  test('net amount should subtract both discounts and ISS retained over the deducted base', () => {
+    const net = calculateNetAmount({
+      valor: 10000,
+      aliquota_iss: 5,
+      iss_retido: true,
+      valor_desconto_incondicionado: 500,
+      valor_desconto_condicionado: 200,
+      valor_deducoes: 3000,
+    });
+    expect(net).toBe(8975);
+  });
+
+  describe('validateDeductions', () => {
+    test('should reject negative values', () => {
+      expect(validateDeductions({ valor: 100, valor_deducoes: -1 })).toHaveLength(1);
+    });
+
+    test('should reject deductions above the service value', () => {
+      expect(validateDeductions({ valor: 100, valor_desconto_incondicionado: 60, valor_deducoes: 50 })).toHaveLength(1);
+    });
+
+    test('should accept empty values', () => {
+      expect(validateDeductions({ valor: 100 })).toEqual([]);
+    });
+  });
+
+  describe('validateDeductionsForMunicipality', () => {
+    const invoiceData = { valor: 1000, valor_deducoes: 600 };
+
+    test('should accept when parameters are unavailable', () => {
+      expect(validateDeductionsForMunicipality(invoiceData, null, '070201')).toEqual([]);
+    });
+
+    test('should reject when the service does not allow deductions', () => {
+      const params = { servicos: [{ codigo: '070201', permiteDeducao: false }] };
+      expect(validateDeductionsForMunicipality(invoiceData, params, '070201')).toHaveLength(1);
+    });
+
+    test('should enforce the maximum deduction percentage', () => {
+      const params = { servicos: [{ codigo: '070201', percentualMaximoDeducao: 50 }] };
+      expect(validateDeductionsForMunicipality(invoiceData, params, '070201')).toHaveLength(1);
+      expect(validateDeductionsForMunicipality({ valor: 1000, valor_deducoes: 500 }, params, '070201')).toEqual([]);
+    });
+  });
+
+  test('buildDpsDeductions should omit empty groups', () => {
+    expect(buildDpsDeductions({ valor: 1000 })).toEqual({});
+    expect(buildDpsDeductions({ valor: 1000, valor_desconto_condicionado: 50, valor_deducoes: 100 })).toEqual({
+      vDescCondIncond: { vDescCond: 50 },
+      vDedRed: { vDR: 100 },
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Invoice Delivery Service Tests
+ *
+ * Tests for the client email template rendering and the reservation of automatic deliveries.
+ */
+
+import { describe, test, expect, jest, beforeEach } from '@jest/globals';
+
+process.env.EMAIL_ENABLED = 'false';
+
+const mockPrisma = {
+  invoice: { findUnique: jest.fn() },
+  client: { findFirst: jest.fn() },
+  invoiceEmailDelivery: { create: jest.fn(), update: jest.fn() }
+};
+
+jest.unstable_mockModule('../../src/lib/prisma.js', () => ({ prisma: mockPrisma, default: mockPrisma }));
+
+const {
+  renderTemplate,
+  buildTemplateContext,
+  deliverInvoiceToClient,
+  DEFAULT_EMAIL_SUBJECT,
+  TEMPLATE_PLACEHOLDERS,
+} = await import('../../src/services/invoiceDeliveryService.js');
+
+const invoice = {
+  id: 'inv-1',
+  numero: '123',
+  clienteNome: 'Maria Silva',
+  valor: '1500.5',
+  dataEmissao: new Date(2025, 2, 10, 12),
+  codigoVerificacao: 'ABC123',
+  descricaoServico: 'Consultoria em marketing'
+};
+
+const company = { razaoSocial: 'Empresa Exemplo LTDA', nomeFantasia: 'Exemplo' };
+
+describe('InvoiceDeliveryService', () => {
+  describe('renderTemplate', () => {
+    test('should replace known placeholders', () => {
+      expect(renderTemplate('Olá, {cliente}! Nota {numero}.', { cliente: 'Maria', numero: '10' }))
+        .toBe('Olá, Maria! Nota 10.');
+    });
+
+    test('should keep unknown or empty placeholders as-is', () => {
+      expect(renderTemplate('{cliente} {desconhecido}', { cliente: null })).toBe('{cliente} {desconhecido}');
+    });
+
+    test('should handle an empty template', () => {
+      expect(renderTemplate(null, {})).toBe('');
+    });
+  });
+
+  describe('buildTemplateContext', () => {
+    test('should provide every documented placeholder', () => {
+      const context = buildTemplateContext(invoice, company);
+      TEMPLATE_PLACEHOLDERS.forEach(key => {
+        expect(context[key]).toBeDefined();
+      });
+    });
+
+    test('should format value and date in pt-BR and prefer the trade name', () => {
+      const context = buildTemplateContext(invoice, company);
+      expect(context.valor).toBe('R$ 1.500,50');
+      expect(context.data_emissao).toBe('10/03/2025');
+      expect(context.empresa).toBe('Exemplo');
+    });
+
+    test('should fall back to the legal name and placeholders for missing data', () => {
+      const context = buildTemplateContext(
+        { ...invoice, numero: null, codigoVerificacao: null },
+        { razaoSocial: 'Empresa Exemplo LTDA' }
+      );
+      expect(context.empresa).toBe('Empresa Exemplo LTDA');
+      expect(context.numero).toBe('---');
+      expect(context.codigo_verificacao).toBe('---');
+    });
+
+    test('should render the default subject', () => {
+      expect(renderTemplate(DEFAULT_EMAIL_SUBJECT, buildTemplateContext(invoice, company)))
+        .toBe('Nota Fiscal de Serviço nº 123 - Exemplo');
+    });
+  });
+
+  describe('deliverInvoiceToClient', () => {
+    const authorized = {
+      ...invoice,
+      status: 'autorizada',
+      simulada: false,
+      clienteDocumento: '529.982.247-25',
+      company: { ...company, userId: 'user-1' }
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockPrisma.invoice.findUnique.mockResolvedValue(authorized);
+    });
+
+    test('should skip an automatic delivery another trigger already reserved', async () => {
+      mockPrisma.invoiceEmailDelivery.create.mockRejectedValue(Object.assign(new Error('Unique'), { code: 'P2002' }));
+
+      expect(await deliverInvoiceToClient('inv-1')).toBeNull();
+      expect(mockPrisma.invoiceEmailDelivery.create).toHaveBeenCalledWith({
+        data: { invoiceId: 'inv-1', status: 'sending', trigger: 'authorized', automaticKey: 'inv-1' }
+      });
+      expect(mockPrisma.client.findFirst).not.toHaveBeenCalled();
+    });
+
+    test('should record the outcome on the reserved entry', async () => {
+      mockPrisma.invoiceEmailDelivery.create.mockResolvedValue({ id: 'delivery-1' });
+      mockPrisma.invoiceEmailDelivery.update.mockImplementation(async ({ data }) => ({ id: 'delivery-1', ...data }));
+      mockPrisma.client.findFirst.mockResolvedValue({ email: 'maria@example.com', enviarNfseEmail: true });
+
+      const delivery = await deliverInvoiceToClient('inv-1');
+
+      expect(delivery.status).toBe('skipped');
+      expect(mockPrisma.invoiceEmailDelivery.create).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.invoiceEmailDelivery.update).toHaveBeenCalledWith({
+        where: { id: 'delivery-1' },
+        data: expect.objectContaining({ recipient: 'maria@example.com', status: 'skipped', automaticKey: 'inv-1' })
+      });
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Invoice Emission Queue Service Tests
+ *
+ * Tests for the retry classification of emission errors, the lookup of a DPS that may have
+ * been accepted despite the error, the per-company claim of a job, waiting for a job to finish,
+ * and the job API format.
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+
+process.env.MOCK_NFSE_WEBHOOKS = 'false';
+process.env.MOCK_NFSE_DELAY_MS = '0';
+
+const { prisma } = await import('../../src/lib/prisma.js');
+const { AppError } = await import('../../src/middleware/errorHandler.js');
+const { default: mockNfseProvider } = await import('../../src/services/mockNfseProvider.js');
+const {
+  isTransientEmissionError,
+  isUncertainEmissionError,
+  findEmittedDps,
+  drainEmissionQueue,
+  waitForEmissionJob,
+  emissionJobEvents,
+  formatEmissionJob,
+  MAX_EMISSION_ATTEMPTS
+} = await import('../../src/services/invoiceEmissionQueueService.js');
+
+const job = {
+  id: 'job-1',
+  companyId: 'company-1',
+  status: 'pending',
+  step: null,
+  attempts: 1,
+  nextAttemptAt: new Date('2025-06-10T12:00:30Z'),
+  invoiceId: null,
+  retryQueueId: null,
+  data: { cliente_nome: 'Maria Silva', valor: '1500.5' },
+  errorCode: 'MUNICIPALITY_OFFLINE',
+  errorMessage: 'Prefeitura indisponível',
+  errorStatus: 503,
+  errorData: null,
+  createdAt: new Date('2025-06-10T12:00:00Z'),
+  startedAt: new Date('2025-06-10T12:00:01Z'),
+  completedAt: null
+};
+
+describe('InvoiceEmissionQueueService', () => {
+  describe('isTransientEmissionError', () => {
+    test('should retry errors raised before the DPS reached the provider', () => {
+      expect(isTransientEmissionError(new AppError('Muitas requisições', 429, 'RATE_LIMITED'))).toBe(true);
+      expect(isTransientEmissionError(new AppError('Erro ao emitir', 500, 'INVOICE_EMISSION_ERROR', {
+        originalError: 'connect ECONNREFUSED 10.0.0.1:443'
+      }))).toBe(true);
+    });
+
+    test('should not retry gateway errors blindly, the DPS may have been accepted', () => {
+      const offline = new AppError('Sistema fora do ar', 503, 'MUNICIPALITY_OFFLINE');
+      const timeout = new AppError('Erro ao emitir', 500, 'INVOICE_EMISSION_ERROR', { originalError: 'Request timeout' });
+
+      expect(isTransientEmissionError(offline)).toBe(false);
+      expect(isUncertainEmissionError(offline)).toBe(true);
+      expect(isUncertainEmissionError(new AppError('Gateway Timeout', 504, 'INVOICE_EMISSION_ERROR'))).toBe(true);
+      expect(isUncertainEmissionError(timeout)).toBe(true);
+      expect(isUncertainEmissionError(new AppError('E0310: código não administrado', 400, 'E0310'))).toBe(false);
+    });
+
+    test('should not retry rejections and validation errors', () => {
+      expect(isTransientEmissionError(new AppError('E0310: código não administrado', 400, 'E0310'))).toBe(false);
+      expect(isTransientEmissionError(new AppError('Pagamento não autorizado', 402, 'PAYMENT_FAILED'))).toBe(false);
+      expect(isTransientEmissionError(new AppError('Erro ao emitir', 500, 'INVOICE_EMISSION_ERROR'))).toBe(false);
+    });
+  });
+
+  describe('findEmittedDps', () => {
+    const company = {
+      id: 'company-1',
+      acbrApiId: '11444777000161',
+      cnpj: '11.444.777/0001-61',
+      codigoMunicipio: '3106200',
+      inscricaoMunicipal: '1234567',
+      regimeTributario: 'Lucro Presumido',
+      fiscalProvider: 'mock'
+    };
+
+    test('should find the DPS of a failed attempt in the provider list', async () => {
+      await mockNfseProvider.emitNfse({
+        cliente_nome: 'Maria Silva',
+        cliente_documento: '529.982.247-25',
+        descricao_servico: 'Consultoria',
+        valor: 1000,
+        aliquota_iss: 5,
+        codigo_servico: '01.01.01'
+      }, { ...company, nextRpsNumero: 41 });
+
+      const found = await findEmittedDps(company, 41);
+      expect(found.emitted).toBe(true);
+      expect(found.note.id).toMatch(/^MOCK-/);
+      expect(await findEmittedDps(company, 42)).toEqual({ emitted: false });
+      // Failed before numbering: nothing was sent
+      expect(await findEmittedDps(company, undefined)).toEqual({ emitted: false });
+    });
+
+    test('should report an unknown outcome when the list cannot be read', async () => {
+      const list = jest.spyOn(mockNfseProvider, 'listAllNfse').mockRejectedValueOnce(new Error('Request timeout'));
+      expect(await findEmittedDps(company, 41)).toEqual({ emitted: null });
+      list.mockRestore();
+    });
+  });
+
+  describe('drainEmissionQueue', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should check the jobs in progress of a company under its row lock before claiming', async () => {
+      jest.spyOn(prisma.invoiceEmissionJob, 'findMany').mockResolvedValue([{ id: 'job-2', companyId: 'company-1' }]);
+      const tx = {
+        $queryRaw: jest.fn().mockResolvedValue([{ id: 'company-1' }]),
+        invoiceEmissionJob: {
+          // Another process is emitting for the same company
+          count: jest.fn().mockResolvedValue(1),
+          updateMany: jest.fn()
+        }
+      };
+      jest.spyOn(prisma, '$transaction').mockImplementation(async (fn) => fn(tx));
+
+      await drainEmissionQueue();
+
+      const [sql, companyId] = tx.$queryRaw.mock.calls[0];
+      expect(sql.join('?')).toBe('SELECT id FROM companies WHERE id = ? FOR UPDATE');
+      expect(companyId).toBe('company-1');
+      expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(tx.invoiceEmissionJob.count.mock.invocationCallOrder[0]);
+      expect(tx.invoiceEmissionJob.count).toHaveBeenCalledWith({ where: { companyId: 'company-1', status: 'processing' } });
+      expect(tx.invoiceEmissionJob.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitForEmissionJob', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should resolve with the job once it reaches a final status', async () => {
+      jest.spyOn(prisma.invoiceEmissionJob, 'findUnique').mockResolvedValue({ ...job, status: 'processing' });
+
+      const waiting = waitForEmissionJob(job.id);
+      await new Promise(resolve => setImmediate(resolve));
+      emissionJobEvents.emit(job.id, formatEmissionJob({ ...job, status: 'processing', step: 'emitting' }));
+      emissionJobEvents.emit(job.id, formatEmissionJob({ ...job, status: 'failed', errorCode: 'E0310' }));
+
+      await expect(waiting).resolves.toMatchObject({ id: job.id, status: 'failed', error: { code: 'E0310' } });
+      expect(emissionJobEvents.listenerCount(job.id)).toBe(0);
+    });
+
+    test('should reject when the job no longer exists', async () => {
+      jest.spyOn(prisma.invoiceEmissionJob, 'findUnique').mockResolvedValue(null);
+
+      await expect(waitForEmissionJob('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('formatEmissionJob', () => {
+    test('should expose the retry schedule and the last error of a pending job', () => {
+      const formatted = formatEmissionJob(job);
+
+      expect(formatted).toMatchObject({
+        id: 'job-1',
+        status: 'pending',
+        attempts: 1,
+        max_attempts: MAX_EMISSION_ATTEMPTS,
+        next_attempt_at: job.nextAttemptAt,
+        cliente_nome: 'Maria Silva',
+        valor: 1500.5,
+        error: { code: 'MUNICIPALITY_OFFLINE', status: 503 },
+        invoice: null
+      });
+    });
+
+    test('should include the emitted invoice of a completed job', () => {
+      const formatted = formatEmissionJob(
+        { ...job, status: 'completed', invoiceId: 'inv-1', errorCode: null, errorMessage: null, errorStatus: null },
+        { id: 'inv-1', numero: '42', status: 'autorizada', codigoVerificacao: 'ABC', pdfUrl: null, xmlUrl: null, clienteNome: 'Maria Silva', valor: '1500.50' }
+      );
+
+      expect(formatted.next_attempt_at).toBeNull();
+      expect(formatted.error).toBeNull();
+      expect(formatted.invoice).toEqual({
+        id: 'inv-1',
+        numero: '42',
+        status: 'autorizada',
+        codigo_verificacao: 'ABC',
+        pdf_url: null,
+        xml_url: null,
+        cliente_nome: 'Maria Silva',
+        valor: 1500.5
+      });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Invoice History Service Tests
+ *
+ * Tests for the status timeline: ordering, collapsed polling checks and translated errors.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildInvoiceTimeline } from '../../src/services/invoiceHistoryService.js';
+
+const at = (minutes) => new Date(Date.UTC(2025, 5, 10, 12, minutes));
+
+const entry = (id, minutes, status, source, overrides = {}) => ({
+  id,
+  status,
+  source,
+  message: null,
+  metadata: null,
+  createdAt: at(minutes),
+  ...overrides
+});
+
+describe('InvoiceHistoryService', () => {
+  describe('buildInvoiceTimeline', () => {
+    test('should order entries and flag status transitions', () => {
+      const timeline = buildInvoiceTimeline([
+        entry('c', 10, 'autorizada', 'webhook'),
+        entry('a', 0, 'processando', 'api', { message: 'Nota fiscal criada e enviada para processamento' })
+      ]);
+
+      expect(timeline.map(item => item.id)).toEqual(['a', 'c']);
+      expect(timeline[0]).toMatchObject({ source_label: 'Sistema', status_changed: false, previous_status: null });
+      expect(timeline[1]).toMatchObject({ status_changed: true, previous_status: 'processando', source_label: 'Prefeitura (notificação)' });
+    });
+
+    test('should collapse consecutive polling checks with the same status', () => {
+      const timeline = buildInvoiceTimeline([
+        entry('a', 0, 'processando', 'api'),
+        entry('p1', 2, 'processando', 'polling'),
+        entry('p2', 4, 'processando', 'polling'),
+        entry('p3', 9, 'processando', 'polling'),
+        entry('p4', 14, 'autorizada', 'polling')
+      ]);
+
+      expect(timeline.map(item => item.id)).toEqual(['a', 'p1', 'p4']);
+      expect(timeline[1]).toMatchObject({ check_count: 3, last_checked_at: at(9) });
+      expect(timeline[2]).toMatchObject({ status: 'autorizada', status_changed: true, check_count: 1 });
+    });
+
+    test('should keep polling errors apart and translate them', () => {
+      const timeline = buildInvoiceTimeline([
+        entry('p1', 2, 'processando', 'polling'),
+        entry('p2', 4, 'processando', 'polling', {
+          message: 'Erro ao verificar status: timeout',
+          metadata: { error: 'timeout', pollingAttempt: 2 }
+        }),
+        entry('p3', 6, 'processando', 'polling')
+      ]);
+
+      expect(timeline.map(item => item.id)).toEqual(['p1', 'p2', 'p3']);
+      expect(timeline[1].error).toBe('timeout');
+      expect(typeof timeline[1].translated_error).toBe('string');
+      expect(timeline[1].translated_error.length).toBeGreaterThan(0);
+      expect(timeline[0].translated_error).toBeNull();
+    });
+
+    test('should translate rejections using the message', () => {
+      const [item] = buildInvoiceTimeline([
+        entry('w', 0, 'rejeitada', 'webhook', { message: 'Certificado expirado' })
+      ], { municipality: 'Campinas' });
+
+      expect(item.error).toBe('Certificado expirado');
+      expect(item.translated_error).toContain('\n\n');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Invoice Readiness Service Tests
+ *
+ * Tests for the pre-emission checks that don't need the database: certificate expiry,
+ * tomador document, MEI limit, plan limits, cancellation window and the report summary.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  evaluateCertificate,
+  evaluateTomadorDocument,
+  evaluateMeiLimit,
+  evaluatePlanLimits,
+  evaluateCancellationWindow,
+  summarizeReadiness
+} from '../../src/services/invoiceReadinessService.js';
+
+const now = new Date(Date.UTC(2025, 5, 10, 15, 0));
+const daysFromNow = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+describe('InvoiceReadinessService', () => {
+  test('should warn about certificates close to expiry', () => {
+    expect(evaluateCertificate(null).status).toBe('fail');
+    expect(evaluateCertificate({ type: 'municipal' }, now).status).toBe('pass');
+    expect(evaluateCertificate({ type: 'certificate', expiresAt: daysFromNow(90) }, now).status).toBe('pass');
+    expect(evaluateCertificate({ type: 'certificate', expiresAt: daysFromNow(12) }, now)).toMatchObject({
+      id: 'certificate',
+      status: 'warn',
+      message: expect.stringContaining('12 dia(s)')
+    });
+    expect(evaluateCertificate({ type: 'certificate', expiresAt: daysFromNow(-1) }, now).status).toBe('fail');
+  });
+
+  test('should check CPF/CNPJ check digits as the DPS sends them', () => {
+    expect(evaluateTomadorDocument('529.982.247-25')).toMatchObject({
+      status: 'pass',
+      message: 'CPF válido. O cliente será cadastrado automaticamente.'
+    });
+    expect(evaluateTomadorDocument('11.444.777/0001-61', { nome: 'Cliente SA', pais: 'BR' }).message)
+      .toBe('CNPJ válido (Cliente SA).');
+    expect(evaluateTomadorDocument('123.456.789-00')).toMatchObject({ status: 'fail', code: 'INVALID_CPF' });
+    expect(evaluateTomadorDocument('', null)).toMatchObject({ status: 'fail', code: 'CLIENT_NOT_FOUND' });
+    expect(evaluateTomadorDocument('', { nome: 'Acme Inc', pais: 'US', nif: '12-3456789' }).status).toBe('pass');
+  });
+
+  test('should fail above the MEI limit and warn close to it', () => {
+    expect(evaluateMeiLimit(20000, 1000).status).toBe('pass');
+    expect(evaluateMeiLimit(60000, 1000)).toMatchObject({
+      status: 'warn',
+      details: { faturamento_apos: 61000, limite: 81000 }
+    });
+    expect(evaluateMeiLimit(80500, 1000)).toMatchObject({ status: 'fail', code: 'MEI_LIMIT_EXCEEDED' });
+  });
+
+  test('should use the proportional MEI limit in the opening year', () => {
+    const opening = `${new Date().getFullYear()}-07-10`;
+    expect(evaluateMeiLimit(30000, 1000, opening)).toMatchObject({
+      status: 'warn',
+      details: { limite: 40500, proporcional: true }
+    });
+    expect(evaluateMeiLimit(40000, 1000, opening)).toMatchObject({ status: 'fail', code: 'MEI_LIMIT_EXCEEDED' });
+    expect(evaluateMeiLimit(40000, 1000, '2019-07-10').status).toBe('pass');
+  });
+
+  test('should map plan limit errors and warnings', () => {
+    expect(evaluatePlanLimits({
+      valid: false,
+      errors: [{ code: 'INVOICE_LIMIT_REACHED', message: 'Você atingiu o limite de 5 notas fiscais deste mês.', suggestions: [{ message: 'Faça upgrade' }] }],
+      warnings: []
+    })).toMatchObject({ status: 'fail', code: 'INVOICE_LIMIT_REACHED', action: 'Faça upgrade' });
+
+    expect(evaluatePlanLimits({
+      valid: true,
+      errors: [],
+      warnings: [{ code: 'INVOICE_LIMIT_WARNING', message: 'Você tem apenas 2 notas restantes este mês.' }]
+    }).status).toBe('warn');
+
+    expect(evaluatePlanLimits({
+      valid: true,
+      planName: 'Essencial',
+      errors: [],
+      warnings: [],
+      invoiceLimit: { unlimited: false, remaining: 20, max: 30 }
+    }).message).toBe('Plano Essencial: 20 de 30 notas restantes este mês.');
+  });
+
+  test('should report the cancellation deadline of the municipality', () => {
+    const known = evaluateCancellationWindow({ codigoMunicipio: '3106200' }, now);
+    expect(known).toMatchObject({ status: 'pass', details: { max_hours: 24, deadline: daysFromNow(1) } });
+    expect(known.message).toContain('Belo Horizonte');
+
+    expect(evaluateCancellationWindow({ codigoMunicipio: '3509502' }, now)).toMatchObject({
+      status: 'warn',
+      details: { max_hours: 48 }
+    });
+  });
+
+  test('should summarize the report by its worst check', () => {
+    const checks = [
+      { id: 'certificate', status: 'pass' },
+      { id: 'municipality', status: 'warn' }
+    ];
+
+    expect(summarizeReadiness(checks)).toMatchObject({ ready: true, status: 'warn', summary: { pass: 1, warn: 1, fail: 0 } });
+    expect(summarizeReadiness([...checks, { id: 'plan_limits', status: 'fail' }]))
+      .toMatchObject({ ready: false, status: 'fail' });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Invoice Substitution Service Tests
+ *
+ * Tests for the reason validation, the claim of a substitution under the original's row lock,
+ * the credit of the replaced value in the MEI limit, and the status and link updates of the
+ * original and the replacement invoices.
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+process.env.MOCK_NFSE_WEBHOOKS = 'false';
+process.env.MOCK_NFSE_DELAY_MS = '0';
+
+const { prisma } = await import('../../src/lib/prisma.js');
+const { substituteInvoice, syncSubstitutionStatus } = await import('../../src/services/invoiceSubstitutionService.js');
+const { validateInvoiceForRegime } = await import('../../src/services/regimeRules.js');
+const { default: mockNfseProvider } = await import('../../src/services/mockNfseProvider.js');
+
+const company = {
+  id: 'company-1',
+  userId: 'user-1',
+  acbrApiId: '11444777000161',
+  cnpj: '11.444.777/0001-61',
+  razaoSocial: 'Empresa Teste LTDA',
+  cidade: 'Belo Horizonte',
+  codigoMunicipio: '3106200',
+  inscricaoMunicipal: '1234567',
+  regimeTributario: 'MEI',
+  dataAbertura: null,
+  fiscalCredential: null
+};
+
+function buildOriginal(overrides = {}) {
+  return {
+    id: 'invoice-1',
+    companyId: company.id,
+    company,
+    substitutedBy: [],
+    status: 'autorizada',
+    numero: '120',
+    acbrApiId: 'MOCK-ORIGINAL',
+    clienteNome: 'Maria Silva',
+    clienteDocumento: '52998224725',
+    descricaoServico: 'Consultoria em gestão',
+    valor: '1500.00',
+    aliquotaIss: '5.00',
+    issRetido: false,
+    codigoServico: '01.01.01',
+    municipio: 'Belo Horizonte',
+    dataPrestacao: new Date('2026-10-01T00:00:00Z'),
+    dataVencimento: null,
+    ...overrides
+  };
+}
+
+// Runs the claim transaction on the (spied) client, recording the row lock
+function mockTransaction() {
+  const tx = { $queryRaw: jest.fn().mockResolvedValue([]), invoice: prisma.invoice, company: prisma.company };
+  jest.spyOn(prisma, '$transaction').mockImplementation(async (fn) => fn(tx));
+  return tx;
+}
+
+describe('InvoiceSubstitutionService', () => {
+  beforeEach(() => {
+    // MEI revenue of the year, including the original invoice
+    jest.spyOn(prisma.invoice, 'findMany').mockResolvedValue([{ valor: '78500.00' }, { valor: '1500.00' }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reason validation', () => {
+    test('should require a reason of at least 15 characters for code 99', async () => {
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(buildOriginal());
+
+      await expect(substituteInvoice('invoice-1', 'user-1', { valor: 1600 }, { motivo: 'Valor errado' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+      await expect(substituteInvoice('invoice-1', 'user-1', { valor: 1600 }, { codigoMotivo: '42' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+    });
+
+    test('should only substitute authorized invoices without a pending replacement', async () => {
+      const findFirst = jest.spyOn(prisma.invoice, 'findFirst');
+      const options = { motivo: 'Valor do serviço informado errado' };
+
+      findFirst.mockResolvedValueOnce(buildOriginal({ status: 'cancelada' }));
+      await expect(substituteInvoice('invoice-1', 'user-1', {}, options))
+        .rejects.toMatchObject({ code: 'INVOICE_NOT_SUBSTITUTABLE' });
+
+      findFirst.mockResolvedValueOnce(buildOriginal({
+        substitutedBy: [{ id: 'invoice-0', status: 'rejeitada', numero: null }, { id: 'invoice-2', status: 'processando', numero: null }]
+      }));
+      await expect(substituteInvoice('invoice-1', 'user-1', {}, options))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SUBSTITUTION_IN_PROGRESS', data: { substitute_id: 'invoice-2' } });
+    });
+  });
+
+  describe('claim', () => {
+    const options = { motivo: 'Valor do serviço informado errado' };
+
+    test('should check for a replacement in progress again under the row lock', async () => {
+      const tx = mockTransaction();
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(buildOriginal());
+      // Claimed by a concurrent request after the first read
+      const findUnique = jest.spyOn(prisma.invoice, 'findUnique').mockResolvedValue({
+        status: 'autorizada',
+        substitutedBy: [{ id: 'invoice-3', status: 'processando', numero: null }]
+      });
+      const numbering = jest.spyOn(prisma.company, 'update');
+      const emit = jest.spyOn(mockNfseProvider, 'substituteNfse');
+
+      await expect(substituteInvoice('invoice-1', 'user-1', { valor: 1600 }, options))
+        .rejects.toMatchObject({ statusCode: 409, code: 'SUBSTITUTION_IN_PROGRESS', data: { substitute_id: 'invoice-3' } });
+
+      const [sql, invoiceId] = tx.$queryRaw.mock.calls[0];
+      expect(sql.join('?')).toBe('SELECT id FROM invoices WHERE id = ? FOR UPDATE');
+      expect(invoiceId).toBe('invoice-1');
+      expect(tx.$queryRaw.mock.invocationCallOrder[0]).toBeLessThan(findUnique.mock.invocationCallOrder[0]);
+      expect(numbering).not.toHaveBeenCalled();
+      expect(emit).not.toHaveBeenCalled();
+    });
+
+    test('should release the claim when the provider rejects the replacement', async () => {
+      mockTransaction();
+      const original = buildOriginal();
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(original);
+      jest.spyOn(prisma.invoice, 'findUnique').mockResolvedValue(original);
+      jest.spyOn(prisma.company, 'update').mockResolvedValue({ lastRpsNumero: 42 });
+      jest.spyOn(prisma.invoice, 'create').mockImplementation(async ({ data }) => ({ id: 'invoice-2', ...data }));
+      const update = jest.spyOn(prisma.invoice, 'update').mockResolvedValue({});
+      jest.spyOn(prisma.invoiceStatusHistory, 'create').mockResolvedValue({});
+      jest.spyOn(mockNfseProvider, 'substituteNfse').mockRejectedValue(new Error('E0014: DPS já informada'));
+
+      await expect(substituteInvoice('invoice-1', 'user-1', { valor: 1600 }, options)).rejects.toBeDefined();
+
+      expect(update).toHaveBeenCalledWith({ where: { id: 'invoice-2' }, data: { status: 'erro' } });
+    });
+  });
+
+  describe('MEI limit', () => {
+    test('should not count the value of the replaced invoice twice', async () => {
+      const invoiceData = { cliente_nome: 'Maria Silva', valor: 1800, aliquota_iss: 5 };
+
+      expect((await validateInvoiceForRegime(invoiceData, company)).valid).toBe(false);
+      expect(await validateInvoiceForRegime(invoiceData, company, { replacedValue: 1500 }))
+        .toEqual({ valid: true, errors: [] });
+      expect((await validateInvoiceForRegime({ ...invoiceData, valor: 2600 }, company, { replacedValue: 1500 })).valid)
+        .toBe(false);
+    });
+  });
+
+  describe('status and links', () => {
+    test('should link the replacement and mark the original as substituted once authorized', async () => {
+      mockTransaction();
+      const original = buildOriginal();
+      const records = { [original.id]: original };
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(original);
+      jest.spyOn(prisma.invoice, 'findUnique').mockImplementation(async ({ where }) => records[where.id] || null);
+      jest.spyOn(prisma.company, 'update').mockResolvedValue({ lastRpsNumero: 42 });
+      const create = jest.spyOn(prisma.invoice, 'create').mockImplementation(async ({ data }) => {
+        records['invoice-2'] = { id: 'invoice-2', ...data };
+        return records['invoice-2'];
+      });
+      const update = jest.spyOn(prisma.invoice, 'update').mockImplementation(async ({ where, data }) => ({ ...records[where.id], ...data }));
+      const history = jest.spyOn(prisma.invoiceStatusHistory, 'create').mockResolvedValue({});
+      jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+
+      const result = await substituteInvoice('invoice-1', 'user-1', { valor: 1800 }, {
+        motivo: 'Valor do serviço informado errado'
+      });
+
+      // Stored before the provider is called, completed with its response
+      expect(create.mock.calls[0][0].data).toMatchObject({
+        valor: 1800,
+        status: 'processando',
+        numeroDps: 42,
+        substitutesId: original.id,
+        substitutionCode: '99',
+        substitutionReason: 'Valor do serviço informado errado'
+      });
+      expect(update.mock.calls[0][0]).toMatchObject({
+        where: { id: 'invoice-2' },
+        data: { status: 'autorizada', simulada: true }
+      });
+      expect(update).toHaveBeenCalledWith({ where: { id: original.id }, data: { status: 'substituida' } });
+      expect(result.original.status).toBe('substituida');
+      expect(history.mock.calls.map(([{ data }]) => [data.invoiceId, data.status])).toEqual([
+        ['invoice-2', 'autorizada'],
+        ['invoice-1', 'autorizada'],
+        ['invoice-1', 'substituida']
+      ]);
+    });
+
+    test('should keep the original valid when the replacement is rejected', async () => {
+      jest.spyOn(prisma.invoice, 'findUnique').mockResolvedValue(buildOriginal());
+      const update = jest.spyOn(prisma.invoice, 'update').mockResolvedValue({});
+      const history = jest.spyOn(prisma.invoiceStatusHistory, 'create').mockResolvedValue({});
+
+      const result = await syncSubstitutionStatus({ id: 'invoice-2', status: 'rejeitada', substitutesId: 'invoice-1' });
+
+      expect(result).toBeNull();
+      expect(update).not.toHaveBeenCalled();
+      expect(history.mock.calls[0][0].data).toMatchObject({ invoiceId: 'invoice-1', status: 'autorizada' });
+      expect(await syncSubstitutionStatus({ id: 'invoice-3', status: 'autorizada' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Lucro Presumido Service Tests
+ *
+ * Tests for the monthly PIS/COFINS, the quarterly IRPJ/CSLL on the presumed profit,
+ * the deduction of the amounts withheld by clients and the due dates.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateMonthlyContributions,
+  calculateQuarterlyIncomeTaxes,
+  getDueDate,
+  getQuarter,
+  getCompanyAtividade,
+  validateLucroPresumidoSettings
+} from '../../src/services/lucroPresumidoService.js';
+
+const byTributo = (items) => Object.fromEntries(items.map(item => [item.tributo, item]));
+
+describe('LucroPresumidoService', () => {
+  test('should compute the cumulative PIS and COFINS of the month', () => {
+    const { PIS, COFINS } = byTributo(calculateMonthlyContributions(100000));
+
+    expect(PIS).toMatchObject({ baseCalculo: 100000, aliquota: 0.65, valorPrincipal: 650, valorTotal: 650 });
+    expect(COFINS).toMatchObject({ baseCalculo: 100000, aliquota: 3, valorPrincipal: 3000, valorTotal: 3000 });
+  });
+
+  test('should compute IRPJ with the additional and CSLL on the presumed profit of the quarter', () => {
+    // Services: 32% of 300.000 = 96.000; additional 10% over 96.000 - 60.000
+    const { IRPJ, CSLL } = byTributo(calculateQuarterlyIncomeTaxes(300000, 'servicos'));
+
+    expect(IRPJ).toMatchObject({ presuncao: 32, baseCalculo: 96000, valorPrincipal: 14400, valorAdicional: 3600, valorTotal: 18000 });
+    expect(CSLL).toMatchObject({ presuncao: 32, baseCalculo: 96000, valorPrincipal: 8640, valorTotal: 8640 });
+
+    // Commerce: 8% for IRPJ and 12% for CSLL, no additional below R$ 60.000
+    const comercio = byTributo(calculateQuarterlyIncomeTaxes(300000, 'comercio'));
+    expect(comercio.IRPJ).toMatchObject({ baseCalculo: 24000, valorPrincipal: 3600, valorAdicional: 0 });
+    expect(comercio.CSLL).toMatchObject({ baseCalculo: 36000, valorPrincipal: 3240 });
+  });
+
+  test('should deduct the amounts withheld by clients without going negative', () => {
+    const { PIS, COFINS } = byTributo(calculateMonthlyContributions(100000, { pis: 650, cofins: 1000 }));
+    expect(PIS).toMatchObject({ valorRetido: 650, valorTotal: 0 });
+    expect(COFINS).toMatchObject({ valorRetido: 1000, valorTotal: 2000 });
+
+    const { IRPJ, CSLL } = byTributo(calculateQuarterlyIncomeTaxes(300000, 'servicos', { irrf: 4500, csll: 10000 }));
+    expect(IRPJ.valorTotal).toBe(13500);
+    expect(CSLL.valorTotal).toBe(0);
+  });
+
+  test('should move due dates on weekends to the previous business day', () => {
+    // PIS of 02/2026: 25/03/2026 is a Wednesday
+    expect(getDueDate('PIS', 2026, 2)).toEqual(new Date(2026, 2, 25));
+    // ISS of 12/2025: 10/01/2026 is a Saturday
+    expect(getDueDate('ISS', 2025, 12)).toEqual(new Date(2026, 0, 9));
+    // IRPJ of Q1/2026: 30/04/2026 is a Thursday
+    expect(getDueDate('IRPJ', 2026, 3)).toEqual(new Date(2026, 3, 30));
+    // CSLL of Q3/2026: 31/10/2026 is a Saturday
+    expect(getDueDate('CSLL', 2026, 9)).toEqual(new Date(2026, 9, 30));
+    expect(getQuarter(9)).toBe(3);
+  });
+
+  test('should default to services and validate the activity of a company', () => {
+    expect(getCompanyAtividade({ atividadePresumido: null })).toBe('servicos');
+    expect(getCompanyAtividade({ atividadePresumido: 'comercio' })).toBe('comercio');
+    expect(validateLucroPresumidoSettings({ atividade_presumido: 'industria' })).toEqual([]);
+    expect(validateLucroPresumidoSettings({ atividade_presumido: 'mineracao' })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * MEI Limit Tracking Tests
+ *
+ * Tests for the proportional limit of the opening year, the bands of the 20% tolerance,
+ * the São Paulo calendar of the revenue and the projection of the date the limit is reached.
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { prisma } from '../../src/lib/prisma.js';
+import {
+  getMEILimitForYear,
+  getExcessBand,
+  projectMEILimit,
+  validateMEISettings,
+  calculateMonthlyRevenue,
+  calculateYearlyRevenue
+} from '../../src/services/meiLimitTracking.js';
+
+describe('MEILimitTracking', () => {
+  test('should use R$ 6.750 per month of activity in the opening year', () => {
+    // Opened in July: July to December, the opening month counts
+    expect(getMEILimitForYear('2026-07-20', 2026)).toEqual({ limit: 40500, months: 6, proportional: true });
+    expect(getMEILimitForYear(new Date('2026-01-05'), 2026)).toEqual({ limit: 81000, months: 12, proportional: false });
+    expect(getMEILimitForYear('2025-07-20', 2026)).toEqual({ limit: 81000, months: 12, proportional: false });
+    expect(getMEILimitForYear(null, 2026)).toEqual({ limit: 81000, months: 12, proportional: false });
+  });
+
+  test('should place the revenue in the bands of the 20% tolerance', () => {
+    expect(getExcessBand(81000, 81000)).toBe('within_limit');
+    expect(getExcessBand(97200, 81000)).toBe('within_tolerance');
+    expect(getExcessBand(97200.01, 81000)).toBe('over_tolerance');
+    expect(getExcessBand(45000, 40500)).toBe('within_tolerance');
+  });
+
+  test('should project the date the limit is reached from the last closed months', () => {
+    const monthlyRevenue = [8000, 8000, 8000, 8000, 8000, 8000, 8000, 8000, 8000, 0, 0, 0];
+    const projection = projectMEILimit({ monthlyRevenue, limit: 81000, today: new Date(2026, 9, 15) });
+
+    // R$ 8.000 per month: the R$ 9.000 left take 35 days; the tolerance is not reached this year
+    expect(projection).toMatchObject({ mediaMensal: 8000, mesesBase: 3, dataTolerancia: null, faixaProjetada: 'within_tolerance' });
+    expect(projection.dataLimite).toEqual(new Date(2026, 10, 19));
+    expect(projection.receitaProjetadaAno).toBeCloseTo(92238.19, 1);
+  });
+
+  test('should project from the opening month and not past the limit already reached', () => {
+    const monthlyRevenue = [0, 0, 0, 0, 0, 0, 20000, 25000, 0, 0, 0, 0];
+    const projection = projectMEILimit({ monthlyRevenue, limit: 40500, startMonth: 6, today: new Date(2026, 8, 1) });
+
+    expect(projection).toMatchObject({ mediaMensal: 22500, mesesBase: 2, dataLimite: null, faixaProjetada: 'over_tolerance' });
+    expect(projection.dataTolerancia).toEqual(new Date(2026, 8, 6));
+  });
+
+  test('should validate the opening date', () => {
+    expect(validateMEISettings({})).toEqual([]);
+    expect(validateMEISettings({ data_abertura: '2024-03-10' })).toEqual([]);
+    expect(validateMEISettings({ data_abertura: '10/03/2024' })).toHaveLength(1);
+    expect(validateMEISettings({ data_abertura: '2999-01-01' })).toHaveLength(1);
+  });
+
+  describe('São Paulo calendar', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should query the year from midnight of January 1st in São Paulo', async () => {
+      const findMany = jest.spyOn(prisma.invoice, 'findMany').mockResolvedValue([{ valor: '100.00' }]);
+
+      await expect(calculateYearlyRevenue('company-1', 2025)).resolves.toBe(100);
+      expect(findMany.mock.calls[0][0].where.dataEmissao).toEqual({
+        gte: new Date('2025-01-01T03:00:00.000Z'),
+        lt: new Date('2026-01-01T03:00:00.000Z')
+      });
+    });
+
+    test('should place each invoice in its month in São Paulo', async () => {
+      const findMany = jest.spyOn(prisma.invoice, 'findMany').mockResolvedValue([
+        // 31/01 22:00 in São Paulo
+        { valor: '100.00', dataEmissao: new Date('2025-02-01T01:00:00.000Z') },
+        // 01/02 00:00 in São Paulo
+        { valor: '50.00', dataEmissao: new Date('2025-02-01T03:00:00.000Z') },
+        // 31/12 23:59 in São Paulo
+        { valor: '25.00', dataEmissao: new Date('2026-01-01T02:59:00.000Z') }
+      ]);
+
+      const months = await calculateMonthlyRevenue('company-1', 2025);
+
+      expect(findMany.mock.calls[0][0].where.dataEmissao).toEqual({
+        gte: new Date('2025-01-01T03:00:00.000Z'),
+        lt: new Date('2026-01-01T03:00:00.000Z')
+      });
+      expect(months[0]).toBe(100);
+      expect(months[1]).toBe(50);
+      expect(months[11]).toBe(25);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Mock NFS-e Provider Tests
+ *
+ * Tests for the local provider: scenario selection, simulated processing,
+ * rejections with Sistema Nacional codes, offline retries, cancellation and
+ * provider selection per company and per note.
+ */
+
+import { describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+
+process.env.MOCK_NFSE_WEBHOOKS = 'false';
+
+const { default: mockNfseProvider, getMockScenario, resetMockNfseProvider } = await import('../../src/services/mockNfseProvider.js');
+const { getFiscalProvider, isSimulatedNfseId, FISCAL_PROVIDERS } = await import('../../src/services/fiscalProvider.js');
+
+const company = {
+  acbrApiId: '11444777000161',
+  cnpj: '11.444.777/0001-61',
+  codigoMunicipio: '3106200',
+  inscricaoMunicipal: '1234567',
+  regimeTributario: 'Lucro Presumido',
+  nextRpsNumero: 7
+};
+
+const invoice = {
+  cliente_nome: 'Maria Silva',
+  cliente_documento: '529.982.247-25',
+  descricao_servico: 'Consultoria',
+  valor: 1000,
+  aliquota_iss: 5,
+  codigo_servico: '01.01.01'
+};
+
+describe('MockNfseProvider', () => {
+  beforeEach(() => {
+    resetMockNfseProvider();
+    process.env.MOCK_NFSE_DELAY_MS = '0';
+    delete process.env.MOCK_NFSE_SCENARIO;
+  });
+
+  afterAll(() => {
+    delete process.env.MOCK_NFSE_DELAY_MS;
+    delete process.env.MOCK_NFSE_WEBHOOKS;
+  });
+
+  test('should read the scenario from the description tag, then MOCK_NFSE_SCENARIO', () => {
+    expect(getMockScenario(invoice)).toBe('autorizada');
+    expect(getMockScenario({ descricao_servico: 'Consultoria [mock:e0310]' })).toBe('E0310');
+    expect(getMockScenario({ descricao_servico: 'Consultoria [mock:offline]' })).toBe('offline');
+    expect(getMockScenario({ descricao_servico: 'Consultoria [mock:E9999]' })).toBe('autorizada');
+
+    process.env.MOCK_NFSE_SCENARIO = 'erro';
+    expect(getMockScenario(invoice)).toBe('erro');
+  });
+
+  test('should authorize on emission without a processing delay and serve the XML', async () => {
+    const result = await mockNfseProvider.emitNfse(invoice, company);
+
+    expect(result.simulated).toBe(true);
+    expect(result.nfse.id).toMatch(/^MOCK-/);
+    expect(result.nfse.numero).toBe('7');
+    expect(result.nfse.status).toBe('autorizada');
+
+    const xml = (await mockNfseProvider.downloadXml({ acbrApiId: result.nfse.id })).toString();
+    expect(xml).toMatch(/<infNFSe Id="NFS\d{50}">/);
+    expect(xml).toContain('<nDPS>7</nDPS>');
+    expect(await mockNfseProvider.downloadPdf({ acbrApiId: result.nfse.id })).toBeNull();
+  });
+
+  test('should keep the note processing until the delay ends, then reject with the code', async () => {
+    process.env.MOCK_NFSE_DELAY_MS = '20';
+    const { nfse } = await mockNfseProvider.emitNfse({ ...invoice, descricao_servico: 'Consultoria [mock:E0116]' }, company);
+
+    expect(nfse.status).toBe('processando');
+    expect((await mockNfseProvider.checkNfseStatus(company.acbrApiId, nfse.id)).status).toBe('processando');
+    expect(await mockNfseProvider.downloadXml({ acbrApiId: nfse.id })).toBeNull();
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const status = await mockNfseProvider.checkNfseStatus(company.acbrApiId, nfse.id);
+    expect(status.status).toBe('rejeitada');
+    expect(status.errorCode).toBe('E0116');
+    expect(status.mensagem).toMatch(/^E0116: /);
+  });
+
+  test('should refuse the first offline attempt and authorize the retry', async () => {
+    const offlineInvoice = { ...invoice, descricao_servico: 'Consultoria [mock:offline]' };
+
+    await expect(mockNfseProvider.emitNfse(offlineInvoice, company)).rejects.toMatchObject({
+      status: 503,
+      code: 'MUNICIPALITY_OFFLINE'
+    });
+    const retry = await mockNfseProvider.emitNfse(offlineInvoice, company);
+    expect(retry.nfse.status).toBe('autorizada');
+  });
+
+  test('should not report a note it no longer knows as authorized', async () => {
+    const { nfse } = await mockNfseProvider.emitNfse({ ...invoice, descricao_servico: 'Consultoria [mock:E0310]' }, company);
+    resetMockNfseProvider(); // Same as a server restart
+
+    const status = await mockNfseProvider.checkNfseStatus(company.acbrApiId, nfse.id);
+    expect(status).toMatchObject({ status: null, unknown: true });
+  });
+
+  test('should only cancel authorized notes', async () => {
+    const { nfse } = await mockNfseProvider.emitNfse(invoice, company);
+    await mockNfseProvider.cancelNfse(company.acbrApiId, nfse.id, 'Serviço não prestado');
+    expect((await mockNfseProvider.checkNfseStatus(company.acbrApiId, nfse.id)).status).toBe('cancelada');
+
+    await expect(mockNfseProvider.cancelNfse(company.acbrApiId, nfse.id, 'De novo')).rejects.toMatchObject({
+      status: 400,
+      code: 'NFSE_NOT_AUTHORIZED'
+    });
+  });
+
+  test('should select the provider per company, per note and by environment', () => {
+    expect(getFiscalProvider({ fiscalProvider: 'mock' })).toBe(FISCAL_PROVIDERS.mock);
+    expect(getFiscalProvider({ fiscalProvider: 'mock' }, { nfseId: 'abc123' })).toBe(FISCAL_PROVIDERS.acbr);
+    expect(getFiscalProvider({ fiscalProvider: null }, { nfseId: 'MOCK-XYZ' })).toBe(FISCAL_PROVIDERS.mock);
+
+    const previous = process.env.FISCAL_PROVIDER;
+    process.env.FISCAL_PROVIDER = 'mock';
+    expect(getFiscalProvider({ fiscalProvider: null })).toBe(FISCAL_PROVIDERS.mock);
+    expect(getFiscalProvider({ fiscalProvider: 'acbr' })).toBe(FISCAL_PROVIDERS.acbr);
+    if (previous === undefined) delete process.env.FISCAL_PROVIDER;
+    else process.env.FISCAL_PROVIDER = previous;
+  });
+
+  test('should refuse the mock in production without the explicit opt-in', () => {
+    const previous = { NODE_ENV: process.env.NODE_ENV, FISCAL_PROVIDER: process.env.FISCAL_PROVIDER };
+    process.env.NODE_ENV = 'production';
+    process.env.FISCAL_PROVIDER = 'mock';
+
+    expect(getFiscalProvider({ fiscalProvider: null })).toBe(FISCAL_PROVIDERS.acbr);
+    expect(getFiscalProvider({ fiscalProvider: 'mock' })).toBe(FISCAL_PROVIDERS.acbr);
+    // Notes already emitted by the mock stay with it
+    expect(getFiscalProvider({ fiscalProvider: null }, { nfseId: 'MOCK-XYZ' })).toBe(FISCAL_PROVIDERS.mock);
+
+    process.env.ALLOW_MOCK_FISCAL_PROVIDER = 'true';
+    expect(getFiscalProvider({ fiscalProvider: 'mock' })).toBe(FISCAL_PROVIDERS.mock);
+
+    delete process.env.ALLOW_MOCK_FISCAL_PROVIDER;
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  test('should tag the notes of simulated providers', () => {
+    expect(isSimulatedNfseId('MOCK-ABC123')).toBe(true);
+    expect(isSimulatedNfseId('SIM-1700000000-x1')).toBe(true);
+    expect(isSimulatedNfseId('a1b2c3')).toBe(false);
+    expect(isSimulatedNfseId(null)).toBe(false);
+  });
+});
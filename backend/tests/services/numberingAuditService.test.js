@@ -0,0 +1,112 @@
+/**
+ * Numbering Audit Service Tests
+ *
+ * Tests for the DPS numbering report: gaps, duplicates, orphaned notes and counter resync.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildNumberingReport } from '../../src/services/numberingAuditService.js';
+
+const local = (id, numeroDps, overrides = {}) => ({
+  id,
+  numero: null,
+  status: 'autorizada',
+  acbrApiId: `nfse-${id}`,
+  numeroDps,
+  statusHistory: [],
+  ...overrides
+});
+
+const remote = (id, numeroDps, overrides = {}) => ({
+  id,
+  status: 'autorizada',
+  numero: null,
+  numero_dps: numeroDps,
+  serie: '900',
+  ...overrides
+});
+
+describe('NumberingAuditService', () => {
+  describe('buildNumberingReport', () => {
+    test('should report a clean sequence', () => {
+      const report = buildNumberingReport({
+        counter: 3,
+        localInvoices: [local('a', 1), local('b', 2), local('c', 3)],
+        remoteNotes: [remote('nfse-a', 1), remote('nfse-b', 2), remote('nfse-c', 3)]
+      });
+
+      expect(report.gap_count).toBe(0);
+      expect(report.duplicates).toEqual([]);
+      expect(report.orphaned).toEqual([]);
+      expect(report.local_only).toEqual([]);
+      expect(report.counter_behind).toBe(false);
+      expect(report.suggested_counter).toBe(3);
+    });
+
+    test('should list numbers consumed by failed emissions as gaps', () => {
+      const report = buildNumberingReport({
+        counter: 7,
+        localInvoices: [local('a', 1), local('b', 4), local('c', 5, { status: 'rejeitada' })],
+        remoteNotes: null
+      });
+
+      expect(report.gaps).toEqual([{ from: 2, to: 3 }, { from: 5, to: 7 }]);
+      expect(report.gap_count).toBe(5);
+      expect(report.acbr_checked).toBe(false);
+    });
+
+    test('should detect notes emitted at the prefeitura without a local invoice', () => {
+      const report = buildNumberingReport({
+        counter: 2,
+        localInvoices: [local('a', 1)],
+        remoteNotes: [remote('nfse-a', 1), remote('nfse-x', 2, { numero: '15', valor: '300.00' }), remote('nfse-y', 3)]
+      });
+
+      expect(report.orphaned.map(note => note.acbr_api_id)).toEqual(['nfse-x', 'nfse-y']);
+      expect(report.orphaned[0]).toMatchObject({ numero: '15', numero_dps: 2, valor: 300 });
+      expect(report.gap_count).toBe(0);
+      expect(report.counter_behind).toBe(true);
+      expect(report.suggested_counter).toBe(3);
+    });
+
+    test('should detect duplicated DPS numbers, ignoring rejected ones', () => {
+      const report = buildNumberingReport({
+        counter: 2,
+        localInvoices: [local('a', 1), local('b', 1), local('c', 2), local('d', 2, { status: 'erro' })],
+        remoteNotes: null
+      });
+
+      expect(report.duplicates).toHaveLength(1);
+      expect(report.duplicates[0].numero_dps).toBe(1);
+      expect(report.duplicates[0].notes.map(note => note.invoice_id)).toEqual(['a', 'b']);
+    });
+
+    test('should list local invoices unknown to ACBr, except simulated ones', () => {
+      const report = buildNumberingReport({
+        counter: 2,
+        localInvoices: [local('a', 1), local('b', 2, { acbrApiId: 'SIM-123' })],
+        remoteNotes: []
+      });
+
+      expect(report.local_only.map(item => item.invoice_id)).toEqual(['a']);
+    });
+
+    test('should recover DPS numbers from the status history or from ACBr', () => {
+      const report = buildNumberingReport({
+        counter: 2,
+        localInvoices: [
+          local('a', null, { statusHistory: [{ metadata: { acbr_api_id: 'nfse-a', numero_dps: 1 } }] }),
+          local('b', null)
+        ],
+        remoteNotes: [remote('nfse-a', 1), remote('nfse-b', '2')]
+      });
+
+      expect(report.backfill).toEqual([
+        { invoice_id: 'a', numero_dps: 1 },
+        { invoice_id: 'b', numero_dps: 2 }
+      ]);
+      expect(report.totals.unnumbered).toBe(0);
+      expect(report.gap_count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * PIX Service Tests
+ *
+ * Tests for the BR Code payload, PIX key validation and invoice txids.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  crc16,
+  buildPixPayload,
+  buildPixTxid,
+  invoiceIdPrefixFromTxid,
+  buildInvoicePix,
+  normalizePixKey,
+  validatePixKey,
+  generatePixQrCode,
+} from '../../src/services/pixService.js';
+
+const invoiceId = '3f1c2a9e-5b7d-4e21-9c3a-7d8e9f0a1b2c';
+
+const company = {
+  razaoSocial: 'Empresa Exemplo LTDA',
+  cidade: 'São Paulo',
+  pixChave: '11222333000181',
+  pixTipoChave: 'cnpj'
+};
+
+describe('PixService', () => {
+  describe('crc16', () => {
+    test('should match the Banco Central reference payload', () => {
+      const payload = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000'
+        + '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***6304';
+      expect(crc16(payload)).toBe('1D3D');
+    });
+  });
+
+  describe('buildPixPayload', () => {
+    test('should build the EMV fields with amount, receiver and txid', () => {
+      const payload = buildPixPayload({
+        key: '11222333000181',
+        amount: 1500.5,
+        merchantName: 'Empresa Exemplo LTDA',
+        merchantCity: 'São Paulo',
+        txid: 'ABC123'
+      });
+
+      expect(payload.startsWith('000201')).toBe(true);
+      expect(payload).toContain('0014br.gov.bcb.pix011411222333000181');
+      expect(payload).toContain('54071500.50');
+      expect(payload).toContain('5920EMPRESA EXEMPLO LTDA');
+      expect(payload).toContain('6009SAO PAULO');
+      expect(payload).toContain('62100506ABC123');
+      expect(payload.slice(-4)).toBe(crc16(payload.slice(0, -4)));
+    });
+
+    test('should omit the amount and use *** without txid', () => {
+      const payload = buildPixPayload({ key: 'a@b.com', merchantName: 'Ana', merchantCity: 'Recife' });
+      expect(payload).not.toContain('5802BR54');
+      expect(payload).toContain('62070503***');
+    });
+
+    test('should truncate receiver name and city', () => {
+      const payload = buildPixPayload({
+        key: 'a@b.com',
+        merchantName: 'Uma Razão Social Muito Comprida Para o PIX',
+        merchantCity: 'São José dos Campos'
+      });
+      expect(payload).toContain('5925UMA RAZAO SOCIAL MUITO CO6015');
+      expect(payload).toContain('6015SAO JOSE DOS CA62');
+    });
+  });
+
+  describe('PIX keys', () => {
+    test('should normalize keys by type', () => {
+      expect(normalizePixKey('cnpj', '11.222.333/0001-81')).toBe('11222333000181');
+      expect(normalizePixKey('telefone', '(11) 98888-7777')).toBe('+5511988887777');
+      expect(normalizePixKey('telefone', '+55 11 98888-7777')).toBe('+5511988887777');
+      expect(normalizePixKey('email', ' Contato@Empresa.com ')).toBe('contato@empresa.com');
+    });
+
+    test('should validate keys by type', () => {
+      expect(validatePixKey('cpf', '123.456.789-09')).toBeNull();
+      expect(validatePixKey('cpf', '123')).toBe('Chave PIX inválida para o tipo informado');
+      expect(validatePixKey('aleatoria', '123e4567-e12b-12d1-a456-426655440000')).toBeNull();
+      expect(validatePixKey('email', 'sem-arroba')).not.toBeNull();
+      expect(validatePixKey('boleto', 'x')).toContain('Tipo de chave PIX');
+    });
+  });
+
+  describe('invoice txid', () => {
+    test('should derive a 25-character txid that maps back to the invoice ID', () => {
+      const txid = buildPixTxid(invoiceId);
+      expect(txid).toBe('3F1C2A9E5B7D4E219C3A7D8E9');
+      expect(invoiceId.startsWith(invoiceIdPrefixFromTxid(txid))).toBe(true);
+    });
+
+    test('should reject txids that are not from an invoice', () => {
+      expect(invoiceIdPrefixFromTxid('***')).toBeNull();
+      expect(invoiceIdPrefixFromTxid('XYZ')).toBeNull();
+    });
+  });
+
+  describe('buildInvoicePix', () => {
+    test('should charge the given amount with the invoice txid', () => {
+      const pix = buildInvoicePix({ id: invoiceId }, company, 850);
+      expect(pix.txid).toBe(buildPixTxid(invoiceId));
+      expect(pix.valor).toBe(850);
+      expect(pix.copia_e_cola).toContain('5406850.00');
+    });
+
+    test('should return null without a PIX key or amount', () => {
+      expect(buildInvoicePix({ id: invoiceId }, { ...company, pixChave: null }, 850)).toBeNull();
+      expect(buildInvoicePix({ id: invoiceId }, company, 0)).toBeNull();
+    });
+  });
+
+  describe('generatePixQrCode', () => {
+    test('should render a PNG image', async () => {
+      const png = await generatePixQrCode(buildInvoicePix({ id: invoiceId }, company, 100).copia_e_cola);
+      expect(png.subarray(1, 4).toString()).toBe('PNG');
+    });
+  });
+});
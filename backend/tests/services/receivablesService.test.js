@@ -0,0 +1,216 @@
+/**
+ * Receivables Service Tests
+ *
+ * Tests for payment status, aging buckets, client balances, the reminder schedule and
+ * the registration of payments.
+ */
+
+import { describe, test, expect, jest, afterEach } from '@jest/globals';
+import { prisma } from '../../src/lib/prisma.js';
+import {
+  agingBucket,
+  derivePaymentStatus,
+  outstandingAmount,
+  daysOverdue,
+  getDueDate,
+  calculateDueDate,
+  buildAgingReport,
+  buildClientBalances,
+  getReminderDays,
+  isReminderDue,
+  DEFAULT_REMINDER_DAYS,
+  registerPayment,
+} from '../../src/services/receivablesService.js';
+
+const today = new Date(2025, 5, 30, 15); // 30/06/2025
+
+// Due date as stored in a @db.Date column (UTC midnight)
+const due = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+const invoice = (overrides = {}) => ({
+  id: 'inv-1',
+  clienteNome: 'Maria Silva',
+  clienteDocumento: '123.456.789-09',
+  valor: '1000',
+  valorLiquido: null,
+  valorPago: '0',
+  dataEmissao: new Date(2025, 4, 1),
+  dataVencimento: due(2025, 6, 30),
+  lembretesEnviados: 0,
+  ultimoLembreteAt: null,
+  ...overrides
+});
+
+describe('ReceivablesService', () => {
+  describe('agingBucket', () => {
+    test('should classify by days overdue', () => {
+      expect(agingBucket(-5)).toBe('current');
+      expect(agingBucket(0)).toBe('current');
+      expect(agingBucket(1)).toBe('1_30');
+      expect(agingBucket(30)).toBe('1_30');
+      expect(agingBucket(31)).toBe('31_60');
+      expect(agingBucket(61)).toBe('61_90');
+      expect(agingBucket(91)).toBe('90_plus');
+    });
+  });
+
+  describe('derivePaymentStatus', () => {
+    test('should derive pending, partial and paid', () => {
+      expect(derivePaymentStatus(1000, 0)).toBe('pending');
+      expect(derivePaymentStatus(1000, 400)).toBe('partial');
+      expect(derivePaymentStatus(1000, 1000)).toBe('paid');
+      expect(derivePaymentStatus(1000.1, 1000.1)).toBe('paid');
+    });
+  });
+
+  describe('outstandingAmount', () => {
+    test('should use the net value when there are retentions', () => {
+      expect(outstandingAmount(invoice({ valorLiquido: '850', valorPago: '350' }))).toBe(500);
+    });
+
+    test('should never be negative', () => {
+      expect(outstandingAmount(invoice({ valorPago: '1200' }))).toBe(0);
+    });
+  });
+
+  describe('due dates', () => {
+    test('should read the stored due date as a calendar day', () => {
+      const dueDate = getDueDate(invoice());
+      expect([dueDate.getFullYear(), dueDate.getMonth(), dueDate.getDate()]).toEqual([2025, 5, 30]);
+      expect(daysOverdue(dueDate, today)).toBe(0);
+    });
+
+    test('should fall back to the emission date', () => {
+      expect(daysOverdue(getDueDate(invoice({ dataVencimento: null })), today)).toBe(60);
+    });
+
+    test('should prefer the explicit due date', () => {
+      expect(calculateDueDate({ data_vencimento: '2025-07-15' }, { prazoPagamentoDias: 30 }))
+        .toEqual(due(2025, 7, 15));
+    });
+
+    test('should add the company payment term to the emission date', () => {
+      expect(calculateDueDate({}, { prazoPagamentoDias: 30 }, new Date(2025, 5, 10, 18)))
+        .toEqual(due(2025, 7, 10));
+    });
+
+    test('should leave the due date empty without a payment term', () => {
+      expect(calculateDueDate({}, { prazoPagamentoDias: null })).toBeNull();
+    });
+  });
+
+  describe('buildAgingReport', () => {
+    test('should sum open balances per bucket', () => {
+      const report = buildAgingReport([
+        invoice({ id: 'a', dataVencimento: due(2025, 7, 10) }),
+        invoice({ id: 'b', dataVencimento: due(2025, 6, 20), valorPago: '400' }),
+        invoice({ id: 'c', dataVencimento: due(2025, 3, 1) }),
+        invoice({ id: 'd', dataVencimento: due(2025, 3, 1), valorPago: '1000' })
+      ], today);
+
+      expect(report.buckets.current).toEqual({ count: 1, valor: 1000 });
+      expect(report.buckets['1_30']).toEqual({ count: 1, valor: 600 });
+      expect(report.buckets['90_plus']).toEqual({ count: 1, valor: 1000 });
+      expect(report.total).toBe(2600);
+      expect(report.overdue).toBe(1600);
+    });
+  });
+
+  describe('buildClientBalances', () => {
+    test('should group by client document and sort by balance', () => {
+      const balances = buildClientBalances([
+        invoice({ id: 'a', dataVencimento: due(2025, 7, 10) }),
+        invoice({ id: 'b', clienteDocumento: '12345678909', dataVencimento: due(2025, 6, 1) }),
+        invoice({ id: 'c', clienteNome: 'Acme', clienteDocumento: '11222333000181', valor: '300' })
+      ], today);
+
+      expect(balances).toEqual([
+        { cliente_nome: 'Maria Silva', cliente_documento: '12345678909', saldo: 2000, vencido: 1000, invoices: 2 },
+        { cliente_nome: 'Acme', cliente_documento: '11222333000181', saldo: 300, vencido: 0, invoices: 1 }
+      ]);
+    });
+  });
+
+  describe('reminder schedule', () => {
+    test('should use the default schedule when the company has none', () => {
+      expect(getReminderDays({ lembreteCobrancaDias: null })).toEqual(DEFAULT_REMINDER_DAYS);
+      expect(getReminderDays({ lembreteCobrancaDias: [15, 5, 5] })).toEqual([5, 15]);
+    });
+
+    test('should send the next step once the invoice is overdue long enough', () => {
+      const overdue = invoice({ dataVencimento: due(2025, 6, 20) }); // 10 days
+      expect(isReminderDue(overdue, [3, 10, 30], today)).toBe(true);
+      expect(isReminderDue({ ...overdue, lembretesEnviados: 2 }, [3, 10, 30], today)).toBe(false);
+      expect(isReminderDue({ ...overdue, lembretesEnviados: 3 }, [3, 10, 30], today)).toBe(false);
+    });
+
+    test('should not send twice on the same day', () => {
+      const overdue = invoice({ dataVencimento: due(2025, 6, 1), ultimoLembreteAt: new Date(2025, 5, 30, 8) });
+      expect(isReminderDue(overdue, [3, 10, 30], today)).toBe(false);
+    });
+  });
+
+  describe('registerPayment', () => {
+    const stored = invoice({ status: 'autorizada' });
+
+    // Transaction client with the invoice as it is when the lock is acquired
+    const mockTransaction = (current) => {
+      const tx = {
+        $queryRaw: jest.fn().mockResolvedValue([]),
+        invoice: {
+          findUnique: jest.fn().mockResolvedValue(current),
+          update: jest.fn(async ({ data }) => ({ ...current, ...data }))
+        },
+        invoicePayment: {
+          create: jest.fn(async ({ data }) => ({ id: 'pay-1', ...data })),
+          findMany: jest.fn(async () => tx.invoicePayment.create.mock.results.length
+            ? [{ valor: String(tx.invoicePayment.create.mock.calls[0][0].data.valor), dataPagamento: due(2025, 6, 20) }]
+            : [])
+        }
+      };
+      jest.spyOn(prisma, '$transaction').mockImplementation(async (fn) => fn(tx));
+      return tx;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should reject payment dates that do not exist', async () => {
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(stored);
+      const transaction = jest.spyOn(prisma, '$transaction');
+
+      for (const data_pagamento of ['2025-02-30', '30/06/2025', '2025-13-01', '2025-06-20T25:00:00Z']) {
+        await expect(registerPayment('inv-1', 'user-1', { forma_pagamento: 'pix', data_pagamento }))
+          .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+      }
+      expect(transaction).not.toHaveBeenCalled();
+    });
+
+    test('should check the balance under the invoice lock', async () => {
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(stored);
+      // Another payment of 900 was registered after the invoice was first read
+      const tx = mockTransaction(invoice({ status: 'autorizada', valorPago: '900' }));
+
+      await expect(registerPayment('inv-1', 'user-1', { forma_pagamento: 'pix', valor: 500 }))
+        .rejects.toMatchObject({ code: 'PAYMENT_EXCEEDS_BALANCE' });
+      expect(tx.$queryRaw).toHaveBeenCalled();
+      expect(tx.invoicePayment.create).not.toHaveBeenCalled();
+    });
+
+    test('should register the payment with the calendar day as written', async () => {
+      jest.spyOn(prisma.invoice, 'findFirst').mockResolvedValue(stored);
+      const tx = mockTransaction(stored);
+
+      const { invoice: updated, payment } = await registerPayment('inv-1', 'user-1', {
+        forma_pagamento: 'boleto',
+        valor: 400,
+        data_pagamento: '2025-06-20T22:30:00-03:00'
+      });
+
+      expect(payment).toMatchObject({ valor: 400, dataPagamento: due(2025, 6, 20), formaPagamento: 'boleto' });
+      expect(tx.invoice.update.mock.calls[0][0].data).toMatchObject({ valorPago: 400, paymentStatus: 'partial' });
+      expect(updated.paymentStatus).toBe('partial');
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Recurring Invoice Service Tests
+ *
+ * Tests for the date math of the schedules (months shorter than the day of the month),
+ * the end of a schedule, the claim of a cycle before its emission, and the review of a cycle
+ * whose DPS may have reached the municipality.
+ */
+
+import { describe, test, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+const mockEnqueueEmission = jest.fn();
+const mockWaitForEmissionJob = jest.fn();
+jest.unstable_mockModule('../../src/services/invoiceEmissionQueueService.js', () => ({
+  enqueueEmission: mockEnqueueEmission,
+  waitForEmissionJob: mockWaitForEmissionJob,
+  UNCERTAIN_EMISSION_ERROR_CODES: ['EMISSION_INTERRUPTED', 'EMISSION_OUTCOME_UNKNOWN', 'NFSE_EMITTED_WITHOUT_RECORD']
+}));
+
+const { prisma } = await import('../../src/lib/prisma.js');
+const {
+  calculateNextRunDate,
+  calculateFirstRunDate,
+  getNextCycleDate,
+  isScheduleFinished,
+  runRecurringSchedule
+} = await import('../../src/services/recurringInvoiceService.js');
+
+describe('RecurringInvoiceService', () => {
+  describe('calculateNextRunDate', () => {
+    test('should keep the day of the month across shorter months', () => {
+      const feb = calculateNextRunDate(new Date(2026, 0, 31, 9), 'monthly', 31);
+      expect(feb).toEqual(new Date(2026, 1, 28, 9));
+      expect(calculateNextRunDate(feb, 'monthly', 31)).toEqual(new Date(2026, 2, 31, 9));
+      expect(calculateNextRunDate(new Date(2026, 3, 30, 9), 'monthly', 30)).toEqual(new Date(2026, 4, 30, 9));
+    });
+
+    test('should handle leap years and quarters', () => {
+      expect(calculateNextRunDate(new Date(2028, 1, 29, 9), 'yearly', 29)).toEqual(new Date(2029, 1, 28, 9));
+      expect(calculateNextRunDate(new Date(2027, 1, 28, 9), 'yearly', 29)).toEqual(new Date(2028, 1, 29, 9));
+      expect(calculateNextRunDate(new Date(2026, 10, 30, 9), 'quarterly', 30)).toEqual(new Date(2027, 1, 28, 9));
+    });
+
+    test('should add seven days to weekly schedules', () => {
+      expect(calculateNextRunDate(new Date(2026, 11, 29, 9), 'weekly')).toEqual(new Date(2027, 0, 5, 9));
+    });
+
+    test('should never start before the start date', () => {
+      expect(calculateFirstRunDate(new Date(2026, 4, 20), 10)).toEqual(new Date(2026, 5, 10, 9));
+      expect(calculateFirstRunDate(new Date(2026, 4, 5), 10)).toEqual(new Date(2026, 4, 10, 9));
+    });
+
+    test('should skip the cycles missed while the server was down', () => {
+      const schedule = { nextRunAt: new Date(2026, 0, 5, 9), frequency: 'monthly', dayOfMonth: 5 };
+      expect(getNextCycleDate(schedule, new Date(2026, 2, 10))).toEqual(new Date(2026, 3, 5, 9));
+    });
+  });
+
+  describe('isScheduleFinished', () => {
+    test('should finish after the last occurrence or past the end date', () => {
+      expect(isScheduleFinished({ maxOccurrences: 3 }, new Date(2026, 3, 5), 3)).toBe(true);
+      expect(isScheduleFinished({ maxOccurrences: 3 }, new Date(2026, 3, 5), 2)).toBe(false);
+
+      const schedule = { endDate: new Date(2026, 2, 31) };
+      expect(isScheduleFinished(schedule, new Date(2026, 2, 31, 9), 1)).toBe(false);
+      expect(isScheduleFinished(schedule, new Date(2026, 3, 1, 9), 1)).toBe(true);
+      expect(isScheduleFinished({}, new Date(2030, 0, 1), 100)).toBe(false);
+    });
+  });
+
+  describe('runRecurringSchedule', () => {
+    const dueAt = new Date(Date.now() - 60 * 60 * 1000);
+    const schedule = {
+      id: 'schedule-1',
+      userId: 'user-1',
+      company: { id: 'company-1' },
+      clienteNome: 'Maria Silva',
+      clienteDocumento: '52998224725',
+      descricaoServico: 'Consultoria {competencia}',
+      valor: '1500.00',
+      aliquotaIss: null,
+      codigoServico: null,
+      issRetido: false,
+      frequency: 'monthly',
+      dayOfMonth: dueAt.getDate() > 28 ? 28 : dueAt.getDate(),
+      occurrences: 2,
+      maxOccurrences: null,
+      endDate: null,
+      nextRunAt: dueAt,
+      status: 'active',
+      lastInvoiceId: null
+    };
+
+    const completed = { id: 'job-1', status: 'completed', invoice_id: 'inv-1', invoice: { id: 'inv-1', numero: '42' } };
+    const failedWith = (code, message) => ({ id: 'job-1', status: 'failed', invoice_id: null, error: { code, message } });
+
+    beforeEach(() => {
+      mockEnqueueEmission.mockResolvedValue({ id: 'job-1', status: 'pending' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      mockEnqueueEmission.mockReset();
+      mockWaitForEmissionJob.mockReset();
+    });
+
+    test('should not emit a cycle another worker already claimed', async () => {
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue(schedule);
+      const claim = jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany').mockResolvedValue({ count: 0 });
+      const update = jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({});
+
+      const result = await runRecurringSchedule(schedule.id);
+
+      expect(result.status).toBe('skipped');
+      expect(claim).toHaveBeenCalledWith(expect.objectContaining({
+        where: { id: schedule.id, status: 'active', nextRunAt: dueAt }
+      }));
+      expect(mockEnqueueEmission).not.toHaveBeenCalled();
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('should claim the cycle before emitting and keep it due when the emission fails', async () => {
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue(schedule);
+      const claim = jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany').mockResolvedValue({ count: 1 });
+      const update = jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({});
+      mockWaitForEmissionJob.mockResolvedValue(failedWith('VALIDATION_ERROR', 'Serviço indisponível'));
+      jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+
+      const result = await runRecurringSchedule(schedule.id);
+
+      expect(result.status).toBe('failed');
+      const claimedNextRunAt = claim.mock.calls[0][0].data.nextRunAt;
+      expect(claimedNextRunAt > new Date()).toBe(true);
+      expect(update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ occurrences: undefined, lastRunStatus: 'failed' })
+      }));
+      // The cycle is released only while it still holds this run's claim
+      expect(claim).toHaveBeenLastCalledWith({
+        where: { id: schedule.id, nextRunAt: claimedNextRunAt },
+        data: { nextRunAt: dueAt }
+      });
+      expect(result.nextRunAt).toEqual(dueAt);
+    });
+
+    test('should not touch the next run or the status on a manual run', async () => {
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue(schedule);
+      const claim = jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany');
+      const update = jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({ occurrences: 3 });
+      jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+      mockWaitForEmissionJob.mockResolvedValue(completed);
+
+      const result = await runRecurringSchedule(schedule.id, { advance: false });
+
+      expect(mockEnqueueEmission).toHaveBeenCalledWith(
+        expect.objectContaining({ cliente_nome: 'Maria Silva', valor: 1500, ignorar_duplicidade: true }),
+        schedule.company,
+        schedule.userId,
+        { source: 'recurring', notify: false }
+      );
+      expect(mockWaitForEmissionJob).toHaveBeenCalledWith('job-1');
+      expect(result).toMatchObject({ status: 'success', invoiceId: 'inv-1', nextRunAt: dueAt, finished: false });
+      expect(update).toHaveBeenCalledWith({
+        where: { id: schedule.id },
+        data: expect.objectContaining({ occurrences: { increment: 1 }, lastRunStatus: 'success', lastInvoiceId: 'inv-1' })
+      });
+      expect(update.mock.calls[0][0].data).not.toHaveProperty('nextRunAt');
+      expect(update.mock.calls[0][0].data).not.toHaveProperty('status');
+      expect(claim).not.toHaveBeenCalled();
+    });
+
+    test('should finish a schedule only if it was not paused or moved meanwhile', async () => {
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue({ ...schedule, maxOccurrences: 3 });
+      const finish = jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany').mockResolvedValue({ count: 0 });
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({ occurrences: 3 });
+      jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+      mockWaitForEmissionJob.mockResolvedValue(completed);
+
+      const result = await runRecurringSchedule(schedule.id, { advance: false });
+
+      expect(finish).toHaveBeenCalledWith({
+        where: { id: schedule.id, nextRunAt: dueAt, status: 'active' },
+        data: { status: 'finished' }
+      });
+      expect(result.finished).toBe(false);
+    });
+
+    test('should retry a gateway error once the queue confirmed the DPS was not received', async () => {
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue(schedule);
+      jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany').mockResolvedValue({ count: 1 });
+      const update = jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({});
+      jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+      mockWaitForEmissionJob.mockResolvedValue(failedWith('INVOICE_EMISSION_ERROR', 'Gateway Timeout'));
+
+      const result = await runRecurringSchedule(schedule.id);
+
+      expect(result.status).toBe('failed');
+      expect(result.nextRunAt).toEqual(dueAt);
+      expect(update).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ lastRunStatus: 'failed' })
+      }));
+    });
+
+    test.each(['EMISSION_INTERRUPTED', 'EMISSION_OUTCOME_UNKNOWN', 'NFSE_EMITTED_WITHOUT_RECORD'])(
+      'should leave the cycle for review when the emission failed with %s', async (code) => {
+        jest.spyOn(prisma.recurringInvoiceSchedule, 'findUnique').mockResolvedValue(schedule);
+        const claim = jest.spyOn(prisma.recurringInvoiceSchedule, 'updateMany').mockResolvedValue({ count: 1 });
+        const update = jest.spyOn(prisma.recurringInvoiceSchedule, 'update').mockResolvedValue({});
+        const notification = jest.spyOn(prisma.notification, 'create').mockResolvedValue({});
+        mockWaitForEmissionJob.mockResolvedValue(failedWith(code, 'Não foi possível confirmar se a DPS nº 41 chegou à prefeitura'));
+
+        const result = await runRecurringSchedule(schedule.id);
+
+        expect(result.status).toBe('review');
+        expect(result.error).toContain('DPS nº 41');
+        // The claimed cycle is kept, so the scheduler does not emit it again
+        expect(result.nextRunAt).toEqual(claim.mock.calls[0][0].data.nextRunAt);
+        expect(claim).toHaveBeenCalledTimes(1);
+        expect(update).toHaveBeenCalledWith(expect.objectContaining({
+          data: expect.objectContaining({ occurrences: undefined, lastRunStatus: 'review' })
+        }));
+        expect(notification.mock.calls[0][0].data.tipo).toBe('alerta');
+      }
+    );
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Simples Nacional Service Tests
+ *
+ * Tests for the bracket lookup, the effective rate, the ISS cap, the split of the DAS
+ * into the taxes of the Anexo and the Fator R.
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  findFaixa,
+  calculateEffectiveRate,
+  calculateSimplesDAS,
+  calculateFatorR,
+  getCompanyAnexo,
+  validateSimplesSettings
+} from '../../src/services/simplesNacionalService.js';
+
+const sumTaxes = (tributos) => Math.round(Object.values(tributos).reduce((sum, value) => sum + value, 0) * 100) / 100;
+
+describe('SimplesNacionalService', () => {
+  test('should find the bracket of the RBT12 and reject revenue above the limit', () => {
+    expect(findFaixa('III', 180000).faixa).toBe(1);
+    expect(findFaixa('III', 180000.01).faixa).toBe(2);
+    expect(findFaixa('V', 4800000).faixa).toBe(6);
+    expect(() => findFaixa('III', 4800000.01)).toThrow(expect.objectContaining({ code: 'SIMPLES_LIMIT_EXCEEDED' }));
+    expect(() => findFaixa('VI', 100000)).toThrow(expect.objectContaining({ code: 'INVALID_ANEXO' }));
+  });
+
+  test('should compute the effective rate from the nominal rate and the deduction', () => {
+    // (300.000 x 11,2% - 9.360) / 300.000 = 8,08%
+    expect(calculateEffectiveRate('III', 300000)).toMatchObject({
+      faixa: 2,
+      aliquotaNominal: 11.2,
+      parcelaDeduzir: 9360,
+      aliquotaEfetiva: 8.08
+    });
+    // First bracket: the effective rate is the nominal rate
+    expect(calculateEffectiveRate('V', 120000).aliquotaEfetiva).toBe(15.5);
+    expect(calculateEffectiveRate('IV', 0).aliquotaEfetiva).toBe(4.5);
+  });
+
+  test('should split the DAS into the taxes of the Anexo', () => {
+    const das = calculateSimplesDAS({ anexo: 'III', rbt12: 300000, receitaBruta: 25000 });
+
+    expect(das.valorTotal).toBe(2020);
+    expect(das.tributos).toEqual({
+      irpj: 80.8,
+      csll: 70.7,
+      cofins: 283.81,
+      pis: 61.61,
+      cpp: 876.68,
+      iss: 646.4
+    });
+    expect(sumTaxes(das.tributos)).toBe(das.valorTotal);
+
+    // Anexo IV has no CPP in the DAS
+    expect(calculateSimplesDAS({ anexo: 'IV', rbt12: 150000, receitaBruta: 10000 }).tributos.cpp).toBe(0);
+  });
+
+  test('should cap the effective ISS at 5% and move the excess to the federal taxes', () => {
+    // Anexo III, 5th bracket: effective rate 17,51% x 33,5% would be 5,87% of ISS
+    const das = calculateSimplesDAS({ anexo: 'III', rbt12: 3600000, receitaBruta: 100000 });
+
+    expect(das.aliquotaEfetiva).toBe(17.51);
+    expect(das.tributos.iss).toBe(5000);
+    expect(das.tributos.irpj).toBeGreaterThan(das.valorTotal * 0.04);
+    expect(sumTaxes(das.tributos)).toBe(das.valorTotal);
+  });
+
+  test('should pick Anexo III or V from the Fator R and the pro-labore missing for 28%', () => {
+    const anexoV = calculateFatorR({ folha12: 62400, receita12: 240000 });
+    expect(anexoV).toMatchObject({ fatorR: 0.26, anexo: 'V', proximoDoLimite: true, proLaboreMensalNecessario: 400 });
+
+    const anexoIII = calculateFatorR({ folha12: 84000, receita12: 240000 });
+    expect(anexoIII).toMatchObject({ fatorR: 0.35, anexo: 'III', proximoDoLimite: false, proLaboreMensalNecessario: 0 });
+
+    // Six months of activity: (0,28 x 120.000 - 30.000) / 6
+    expect(calculateFatorR({ folha12: 30000, receita12: 120000, mesesAtividade: 6 }).proLaboreMensalNecessario).toBe(600);
+    // First month: payroll and revenue of the period
+    expect(calculateFatorR({ folha12: 0, receita12: 0, folhaMes: 3000, receitaMes: 10000, mesesAtividade: 0 }).anexo).toBe('III');
+  });
+
+  test('should default to Anexo III and validate the Anexo of a company', () => {
+    expect(getCompanyAnexo({ anexoSimples: null })).toBe('III');
+    expect(getCompanyAnexo({ anexoSimples: 'V' })).toBe('V');
+    expect(validateSimplesSettings({ anexo_simples: 'IV' })).toEqual([]);
+    expect(validateSimplesSettings({ anexo_simples: 'I' })).toHaveLength(1);
+  });
+});
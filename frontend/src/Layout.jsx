@@ -24,7 +24,8 @@ import {
   CheckCircle,
   XCircle,
   AlertTriangle,
-  Info
+  Info,
+  Repeat
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
@@ -117,6 +118,7 @@ export default function Layout({ children, currentPageName }) {
     { name: "Assistente IA", page: "Assistant", icon: MessageSquare },
     { name: "Dashboard", page: "Dashboard", icon: LayoutDashboard },
     { name: "Notas Fiscais", page: "Documents", icon: FileText },
+    { name: "Notas Recorrentes", page: "RecurringInvoices", icon: Repeat },
     { name: "Clientes", page: "Clients", icon: Users },
     { name: "Impostos (DAS)", page: "Taxes", icon: Receipt },
     { name: "Minhas Empresas", page: "CompanySetup", icon: Building2 },
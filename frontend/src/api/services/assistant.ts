@@ -1,5 +1,7 @@
 import apiClient from '../client';
 import type { AIResponse, ConversationHistoryMessage } from '@/types';
+import { idempotencyHeaders } from '@/utils/idempotency';
+import { invoicesService, type EmissionWaitOptions } from './invoices';
 
 export const assistantService = {
   /**
@@ -117,15 +119,24 @@ export const assistantService = {
     return response.data.data;
   },
 
+  /**
+   * Execute a confirmed AI action
+   * emitir_nfse accepts an idempotency key: retries with the same key don't emit twice.
+   * The emission runs as a job: this waits for it (onProgress gets each job update).
+   */
   async executeAction(data: {
     action_type: string;
     action_data: any;
     company_id: string;
-  }): Promise<{ status: string; message: string; data?: any }> {
+  }, options?: EmissionWaitOptions & { idempotencyKey?: string }): Promise<{ status: string; message: string; data?: any }> {
     const response = await apiClient.post<{ status: string; message: string; data?: any }>(
       '/assistant/execute-action',
-      data
+      data,
+      { headers: idempotencyHeaders(options?.idempotencyKey) }
     );
+    if (response.data.data?.job) {
+      return invoicesService.waitForEmissionJob(response.data.data.job, options);
+    }
     return response.data;
   },
 
@@ -17,8 +17,18 @@ export interface Client {
   cidade?: string | null;
   uf?: string | null;
   codigo_municipio?: string | null;
+  pais?: string;
+  nif?: string | null;
+  estado_provincia?: string | null;
+  codigo_postal?: string | null;
   apelido?: string | null;
   notas?: string | null;
+  enviar_nfse_email?: boolean;
+  aliquota_irrf?: number | null;
+  aliquota_pis?: number | null;
+  aliquota_cofins?: number | null;
+  aliquota_csll?: number | null;
+  aliquota_inss?: number | null;
   ativo: boolean;
   created_at: string;
   updated_at: string;
@@ -38,8 +48,18 @@ export interface CreateClientData {
   cidade?: string;
   uf?: string;
   codigo_municipio?: string;
+  pais?: string;
+  nif?: string;
+  estado_provincia?: string;
+  codigo_postal?: string;
   apelido?: string;
   notas?: string;
+  enviar_nfse_email?: boolean;
+  aliquota_irrf?: number | null;
+  aliquota_pis?: number | null;
+  aliquota_cofins?: number | null;
+  aliquota_csll?: number | null;
+  aliquota_inss?: number | null;
 }
 
 export interface UpdateClientData extends Partial<CreateClientData> {
@@ -1,5 +1,15 @@
 import apiClient from '../client';
-import type { Company, CreateCompanyData, UpdateCompanyData, FiscalIntegrationStatus } from '@/types';
+import type {
+  Company,
+  CompanyBrandingSettings,
+  CompanyPayroll,
+  CreateCompanyData,
+  FatorRStatus,
+  FiscalIntegrationStatus,
+  MEILimitStatus,
+  SavePayrollData,
+  UpdateCompanyData,
+} from '@/types';
 
 export const companiesService = {
   /**
@@ -99,26 +109,10 @@ export const companiesService = {
   /**
    * Get MEI limit status
    */
-  async getMEILimitStatus(companyId: string): Promise<{
-    isMEI: boolean;
-    yearlyRevenue?: number;
-    limit?: number;
-    percentage?: number;
-    remaining?: number;
-    alertLevel?: string;
-    status?: string;
-  } | null> {
+  async getMEILimitStatus(companyId: string): Promise<MEILimitStatus | null> {
     const response = await apiClient.get<{
       status: string;
-      data: {
-        isMEI: boolean;
-        yearlyRevenue?: number;
-        limit?: number;
-        percentage?: number;
-        remaining?: number;
-        alertLevel?: string;
-        status?: string;
-      }
+      data: MEILimitStatus
     }>(`/companies/${companyId}/mei-limit-status`);
     return response.data.data;
   },
@@ -216,6 +210,93 @@ export const companiesService = {
     }>(`/companies/${companyId}/test-nfse-emission`);
     return response.data.data;
   },
+
+  /**
+   * Download the monthly fiscal package (ZIP with XMLs, PDFs and summary)
+   * @param competencia - Month in the format YYYY-MM
+   */
+  async downloadFiscalPackage(companyId: string, competencia: string): Promise<Blob> {
+    const response = await apiClient.get(`/companies/${companyId}/fiscal-package`, {
+      params: { competencia },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  /**
+   * Upload the company logo (PNG or JPEG, up to 512 KB) used on PDFs and client emails
+   */
+  async uploadLogo(companyId: string, file: File): Promise<Company> {
+    const formData = new FormData();
+    formData.append('logo', file);
+
+    const response = await apiClient.post<{ status: string; data: Company }>(`/companies/${companyId}/branding/logo`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data;
+  },
+
+  async deleteLogo(companyId: string): Promise<Company> {
+    const response = await apiClient.delete<{ status: string; data: Company }>(`/companies/${companyId}/branding/logo`);
+    return response.data.data;
+  },
+
+  async getLogo(companyId: string): Promise<Blob> {
+    const response = await apiClient.get(`/companies/${companyId}/branding/logo`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  /**
+   * Sample invoice PDF with the branding; unsaved settings override the saved ones
+   */
+  async previewBranding(companyId: string, settings: CompanyBrandingSettings = {}): Promise<Blob> {
+    const response = await apiClient.get(`/companies/${companyId}/branding/preview`, {
+      params: settings,
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  /**
+   * Monthly payroll records (Fator R)
+   */
+  async listPayrolls(companyId: string, year?: number): Promise<CompanyPayroll[]> {
+    const response = await apiClient.get<{ status: string; data: CompanyPayroll[] }>(
+      `/companies/${companyId}/payroll`,
+      { params: { year } }
+    );
+    return response.data.data;
+  },
+
+  /**
+   * Create or replace the payroll of a competência ('YYYY-MM')
+   */
+  async savePayroll(companyId: string, competencia: string, data: SavePayrollData): Promise<CompanyPayroll> {
+    const response = await apiClient.put<{ status: string; data: CompanyPayroll }>(
+      `/companies/${companyId}/payroll/${competencia}`,
+      data
+    );
+    return response.data.data;
+  },
+
+  async deletePayroll(companyId: string, competencia: string): Promise<void> {
+    await apiClient.delete(`/companies/${companyId}/payroll/${competencia}`);
+  },
+
+  /**
+   * Fator R of a period ('MM/YYYY', default: current month)
+   */
+  async getFatorR(companyId: string, referencia?: string): Promise<FatorRStatus> {
+    const response = await apiClient.get<{ status: string; data: FatorRStatus }>(
+      `/companies/${companyId}/fator-r`,
+      { params: { referencia } }
+    );
+    return response.data.data;
+  },
 };
 
 export default companiesService;
@@ -9,6 +9,9 @@ export { taxesService } from './taxes';
 export { assistantService } from './assistant';
 export { subscriptionsService } from './subscriptions';
 export { municipalitiesService } from './municipalities';
+export { recurringInvoicesService } from './recurringInvoices';
+export { invoiceBatchesService } from './invoiceBatches';
+export { receivablesService } from './receivables';
 
 // Re-export client utilities
 export { 
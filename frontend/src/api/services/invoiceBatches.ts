@@ -0,0 +1,124 @@
+import apiClient from '../client';
+
+export type InvoiceBatchStatus = 'preview' | 'processing' | 'completed' | 'completed_with_errors' | 'cancelled';
+export type InvoiceBatchItemStatus = 'valid' | 'invalid' | 'pending' | 'processing' | 'success' | 'queued' | 'error';
+
+// Bulk issuance types
+export interface InvoiceBatchItem {
+  id: string;
+  row_number: number;
+  data: {
+    cliente_nome: string;
+    cliente_documento: string;
+    descricao_servico: string;
+    valor: number | null;
+    aliquota_iss?: number;
+    codigo_servico?: string;
+    iss_retido?: boolean;
+    data_prestacao?: string;
+  };
+  status: InvoiceBatchItemStatus;
+  errors: string[];
+  warnings: string[];
+  invoice_id?: string | null;
+  numero?: string | null;
+  codigo_verificacao?: string | null;
+  error_message?: string | null;
+  processed_at?: string | null;
+}
+
+export interface InvoiceBatch {
+  id: string;
+  company_id: string;
+  file_name: string;
+  status: InvoiceBatchStatus;
+  total_rows: number;
+  valid_rows: number;
+  success_count: number;
+  queued_count: number;
+  error_count: number;
+  processed_count: number;
+  progress: number;
+  started_at?: string | null;
+  completed_at?: string | null;
+  created_at: string;
+  updated_at: string;
+  items?: InvoiceBatchItem[];
+}
+
+interface ApiResponse<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+export const invoiceBatchesService = {
+  /**
+   * List recent batches
+   */
+  async list(params?: { companyId?: string; status?: string }): Promise<InvoiceBatch[]> {
+    const response = await apiClient.get<ApiResponse<{ batches: InvoiceBatch[] }>>('/invoice-batches', { params });
+    return response.data.data.batches;
+  },
+
+  /**
+   * Get a batch with its rows
+   */
+  async get(id: string): Promise<InvoiceBatch> {
+    const response = await apiClient.get<ApiResponse<{ batch: InvoiceBatch }>>(`/invoice-batches/${id}`);
+    return response.data.data.batch;
+  },
+
+  /**
+   * Upload a CSV/XLSX spreadsheet and validate its rows (nothing is emitted)
+   */
+  async preview(file: File, companyId: string): Promise<{ batch: InvoiceBatch; warnings: string[] }> {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('company_id', companyId);
+
+    const response = await apiClient.post<ApiResponse<{ batch: InvoiceBatch; warnings: string[] }>>(
+      '/invoice-batches/preview',
+      formData,
+      { headers: { 'Content-Type': 'multipart/form-data' } }
+    );
+    return response.data.data;
+  },
+
+  /**
+   * Confirm a previewed batch and start emission
+   */
+  async confirm(id: string): Promise<InvoiceBatch> {
+    const response = await apiClient.post<ApiResponse<{ batch: InvoiceBatch }>>(`/invoice-batches/${id}/confirm`);
+    return response.data.data.batch;
+  },
+
+  /**
+   * Cancel a batch that was not confirmed
+   */
+  async cancel(id: string): Promise<void> {
+    await apiClient.delete(`/invoice-batches/${id}`);
+  },
+
+  /**
+   * Download the result report (CSV)
+   */
+  async downloadReport(id: string): Promise<Blob> {
+    const response = await apiClient.get(`/invoice-batches/${id}/report`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  /**
+   * Download the spreadsheet template (CSV)
+   */
+  async downloadTemplate(): Promise<Blob> {
+    const response = await apiClient.get('/invoice-batches/template', {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+};
+
+export default invoiceBatchesService;
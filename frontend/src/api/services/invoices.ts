@@ -1,5 +1,32 @@
 import apiClient from '../client';
-import type { Invoice, CreateInvoiceData, UpdateInvoiceData, PaginatedResponse } from '@/types';
+import type {
+  Invoice,
+  InvoiceEmailDelivery,
+  InvoicePix,
+  InvoiceHistory,
+  InvoiceReadinessReport,
+  DpsPreview,
+  EmissionJob,
+  CreateInvoiceData,
+  UpdateInvoiceData,
+  PaginatedResponse,
+  AccountingExportLayout,
+  AccountingExportParams,
+  AccountingExportPreview,
+} from '@/types';
+import { idempotencyHeaders } from '@/utils/idempotency';
+
+const EMISSION_POLL_INTERVAL_MS = 1500;
+
+export interface EmissionWaitOptions {
+  onProgress?: (job: EmissionJob) => void;
+}
+
+export interface EmissionResult {
+  status: 'success' | 'queued';
+  message: string;
+  data: { job: EmissionJob; invoice?: NonNullable<EmissionJob['invoice']> };
+}
 
 export const invoicesService = {
   /**
@@ -67,6 +94,7 @@ export const invoicesService = {
 
   /**
    * Issue an invoice (send to fiscal authority)
+   * Pass an idempotency key so a retried request returns the original result instead of emitting twice
    */
   async issue(data: {
     companyId: string;
@@ -75,15 +103,68 @@ export const invoicesService = {
     descricao_servico: string;
     valor: number;
     aliquota_iss?: number;
+    iss_retido?: boolean;
     municipio?: string;
     data_prestacao?: string;
     codigo_servico?: string;
-  }): Promise<{ status: string; message: string; invoice?: Invoice }> {
-    const response = await apiClient.post<{ status: string; message: string; invoice?: Invoice }>(
+  }, options?: EmissionWaitOptions & { idempotencyKey?: string }): Promise<EmissionResult> {
+    const response = await apiClient.post<{ status: string; message: string; data: { job: EmissionJob } }>(
       '/invoices/issue',
-      data
+      data,
+      { headers: idempotencyHeaders(options?.idempotencyKey) }
     );
-    return response.data;
+    return invoicesService.waitForEmissionJob(response.data.data.job, options);
+  },
+
+  /**
+   * Emission job status
+   */
+  async getEmissionJob(jobId: string): Promise<EmissionJob> {
+    const response = await apiClient.get<{ status: string; data: { job: EmissionJob } }>(`/invoices/jobs/${jobId}`);
+    return response.data.data.job;
+  },
+
+  /**
+   * Poll an emission job until it finishes
+   * Resolves like the former synchronous emission ({ status: 'success', data: { invoice } }, or
+   * status 'queued' when the municipality retry queue took over); a failed job rejects with
+   * an axios-like error (response.status, response.data.code/data) so callers keep their error handling
+   */
+  async waitForEmissionJob(job: EmissionJob, options?: EmissionWaitOptions): Promise<EmissionResult> {
+    let current = job;
+    options?.onProgress?.(current);
+
+    while (!['completed', 'queued', 'failed'].includes(current.status)) {
+      await new Promise(resolve => setTimeout(resolve, EMISSION_POLL_INTERVAL_MS));
+      current = await invoicesService.getEmissionJob(current.id);
+      options?.onProgress?.(current);
+    }
+
+    if (current.status === 'failed') {
+      const message = current.error?.message || 'Erro ao emitir nota fiscal';
+      throw Object.assign(new Error(message), {
+        status: current.error?.status || 500,
+        code: current.error?.code,
+        response: {
+          status: current.error?.status || 500,
+          data: { status: 'error', message, code: current.error?.code, data: current.error?.data ?? null },
+        },
+      });
+    }
+
+    if (current.status === 'queued') {
+      return {
+        status: 'queued',
+        message: 'Prefeitura indisponível. A nota entrou na fila de reenvio automático.',
+        data: { job: current },
+      };
+    }
+
+    return {
+      status: 'success',
+      message: 'Nota fiscal emitida com sucesso',
+      data: { job: current, invoice: current.invoice ?? undefined },
+    };
   },
 
   /**
@@ -122,6 +203,77 @@ export const invoicesService = {
     return response.data;
   },
 
+  /**
+   * Substitute an authorized invoice with a corrected one (the tomador cannot change)
+   */
+  async substitute(id: string, data: {
+    codigo_motivo?: string;
+    motivo?: string;
+    valor?: number;
+    descricao_servico?: string;
+    aliquota_iss?: number;
+    codigo_servico?: string;
+    iss_retido?: boolean;
+    data_prestacao?: string;
+  }): Promise<{ status: string; message: string; data: { invoice: Invoice; original: { id: string; numero?: string; status: string } } }> {
+    const response = await apiClient.post(`/invoices/${id}/substitute`, data);
+    return response.data;
+  },
+
+  /**
+   * Send an authorized invoice (PDF + XML) to the client's email, or to the given address
+   */
+  async sendToClient(id: string, email?: string): Promise<{ status: string; message: string; data: { delivery: InvoiceEmailDelivery } }> {
+    const response = await apiClient.post(`/invoices/${id}/send-email`, email ? { email } : {});
+    return response.data;
+  },
+
+  /**
+   * Email delivery log of an invoice (most recent first)
+   */
+  async getDeliveries(id: string): Promise<InvoiceEmailDelivery[]> {
+    const response = await apiClient.get<{ status: string; data: { deliveries: InvoiceEmailDelivery[] } }>(`/invoices/${id}/deliveries`);
+    return response.data.data.deliveries;
+  },
+
+  /**
+   * Dry run of the emission: every pre-emission check (pass/warn/fail), nothing is emitted
+   */
+  async validate(companyId: string, invoiceData: Record<string, unknown>): Promise<InvoiceReadinessReport> {
+    const response = await apiClient.post<{ status: string; data: InvoiceReadinessReport }>('/invoices/validate', {
+      company_id: companyId,
+      invoice_data: invoiceData,
+    });
+    return response.data.data;
+  },
+
+  /**
+   * DPS XML (national layout, unsigned) the emission would send, with its layout errors
+   */
+  async previewDpsXml(companyId: string, invoiceData: Record<string, unknown>): Promise<DpsPreview> {
+    const response = await apiClient.post<{ status: string; data: DpsPreview }>('/invoices/dps-preview', {
+      company_id: companyId,
+      invoice_data: invoiceData,
+    });
+    return response.data.data;
+  },
+
+  /**
+   * Status timeline (emission, webhook, polling, manual) with the polling schedule
+   */
+  async getHistory(id: string): Promise<InvoiceHistory> {
+    const response = await apiClient.get<{ status: string; data: InvoiceHistory }>(`/invoices/${id}/history`);
+    return response.data.data;
+  },
+
+  /**
+   * PIX charge (BR Code) for the open balance, with the QR code image
+   */
+  async getPix(id: string): Promise<InvoicePix> {
+    const response = await apiClient.get<{ status: string; data: InvoicePix }>(`/invoices/${id}/pix`);
+    return response.data.data;
+  },
+
   /**
    * Download invoice PDF
    */
@@ -141,6 +293,33 @@ export const invoicesService = {
     });
     return response.data;
   },
+
+  /**
+   * Accounting software layouts available for export
+   */
+  async getExportLayouts(): Promise<AccountingExportLayout[]> {
+    const response = await apiClient.get<{ status: string; data: AccountingExportLayout[] }>('/invoices/export/layouts');
+    return response.data.data;
+  },
+
+  /**
+   * Preview an accounting export (first rows, totals and validation problems)
+   */
+  async previewAccountingExport(params: AccountingExportParams): Promise<AccountingExportPreview> {
+    const response = await apiClient.get<{ status: string; data: AccountingExportPreview }>('/invoices/export/accounting/preview', { params });
+    return response.data.data;
+  },
+
+  /**
+   * Download the invoices in an accounting software layout
+   */
+  async downloadAccountingExport(params: AccountingExportParams): Promise<Blob> {
+    const response = await apiClient.get('/invoices/export/accounting', {
+      params,
+      responseType: 'blob',
+    });
+    return response.data;
+  },
 };
 
 export default invoicesService;
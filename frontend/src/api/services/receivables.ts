@@ -0,0 +1,144 @@
+import apiClient from '../client';
+import type { InvoicePix } from '@/types';
+
+export type PaymentStatus = 'pending' | 'partial' | 'paid';
+export type PaymentMethod = 'pix' | 'boleto' | 'transferencia' | 'cartao' | 'dinheiro' | 'outro';
+export type AgingBucket = 'current' | '1_30' | '31_60' | '61_90' | '90_plus';
+
+// Receivable view of an authorized invoice
+export interface Receivable {
+  id: string;
+  company_id: string;
+  numero?: string | null;
+  cliente_nome: string;
+  cliente_documento: string;
+  valor: number;
+  data_emissao?: string | null;
+  payment_status: PaymentStatus;
+  data_vencimento?: string | null;
+  valor_a_receber: number;
+  valor_pago: number;
+  saldo: number;
+  data_pagamento?: string | null;
+  dias_em_atraso: number;
+  faixa: AgingBucket | null;
+}
+
+export interface InvoicePayment {
+  id: string;
+  invoice_id: string;
+  valor: number;
+  data_pagamento: string;
+  forma_pagamento: PaymentMethod;
+  observacao?: string | null;
+  pix_txid?: string | null;
+  end_to_end_id?: string | null;
+  created_at: string;
+}
+
+export interface AgingReport {
+  buckets: Record<AgingBucket, { count: number; valor: number }>;
+  total: number;
+  overdue: number;
+}
+
+export interface ClientBalance {
+  cliente_nome: string;
+  cliente_documento: string | null;
+  saldo: number;
+  vencido: number;
+  invoices: number;
+}
+
+export interface RegisterPaymentData {
+  valor?: number;
+  data_pagamento?: string;
+  forma_pagamento: PaymentMethod;
+  observacao?: string;
+}
+
+interface ApiResponse<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+export const receivablesService = {
+  /**
+   * Open receivables, earliest due first
+   */
+  async list(params?: { company_id?: string; cliente_documento?: string; faixa?: AgingBucket }): Promise<Receivable[]> {
+    const response = await apiClient.get<ApiResponse<{ receivables: Receivable[] }>>('/receivables', { params });
+    return response.data.data.receivables;
+  },
+
+  /**
+   * Aging report (current, 1-30, 31-60, 61-90, 90+ days overdue)
+   */
+  async aging(params?: { company_id?: string }): Promise<AgingReport> {
+    const response = await apiClient.get<ApiResponse<AgingReport>>('/receivables/aging', { params });
+    return response.data.data;
+  },
+
+  /**
+   * Open balance per client
+   */
+  async clientBalances(params?: { company_id?: string }): Promise<ClientBalance[]> {
+    const response = await apiClient.get<ApiResponse<{ clients: ClientBalance[] }>>('/receivables/clients', { params });
+    return response.data.data.clients;
+  },
+
+  /**
+   * Payments registered for an invoice, plus the PIX charge for the open balance
+   */
+  async getPayments(invoiceId: string): Promise<{ receivable: Receivable; payments: InvoicePayment[]; pix: InvoicePix | null }> {
+    const response = await apiClient.get<ApiResponse<{ receivable: Receivable; payments: InvoicePayment[]; pix: InvoicePix | null }>>(
+      `/receivables/${invoiceId}/payments`
+    );
+    return response.data.data;
+  },
+
+  /**
+   * Mark an invoice as paid (without valor) or register a partial payment
+   */
+  async registerPayment(invoiceId: string, data: RegisterPaymentData): Promise<{ message?: string; receivable: Receivable; payment: InvoicePayment }> {
+    const response = await apiClient.post<ApiResponse<{ receivable: Receivable; payment: InvoicePayment }>>(
+      `/receivables/${invoiceId}/payments`,
+      data
+    );
+    return { message: response.data.message, ...response.data.data };
+  },
+
+  /**
+   * Match a received PIX transfer to its invoice by the BR Code txid
+   */
+  async reconcilePix(data: { txid: string; valor?: number; data_pagamento?: string; end_to_end_id?: string }): Promise<{ message?: string; receivable: Receivable; payment: InvoicePayment }> {
+    const response = await apiClient.post<ApiResponse<{ receivable: Receivable; payment: InvoicePayment }>>(
+      '/receivables/pix/reconcile',
+      data
+    );
+    return { message: response.data.message, ...response.data.data };
+  },
+
+  /**
+   * Remove a payment registered by mistake
+   */
+  async deletePayment(invoiceId: string, paymentId: string): Promise<Receivable> {
+    const response = await apiClient.delete<ApiResponse<{ receivable: Receivable }>>(
+      `/receivables/${invoiceId}/payments/${paymentId}`
+    );
+    return response.data.data.receivable;
+  },
+
+  /**
+   * Change the due date of an invoice
+   */
+  async updateDueDate(invoiceId: string, dataVencimento: string | null): Promise<Receivable> {
+    const response = await apiClient.put<ApiResponse<{ receivable: Receivable }>>(`/receivables/${invoiceId}`, {
+      data_vencimento: dataVencimento,
+    });
+    return response.data.data.receivable;
+  },
+};
+
+export default receivablesService;
@@ -0,0 +1,133 @@
+import apiClient from '../client';
+
+export type RecurringFrequency = 'weekly' | 'monthly' | 'quarterly' | 'yearly';
+
+// Recurring invoice schedule types
+export interface RecurringSchedule {
+  id: string;
+  company_id: string;
+  client_id?: string | null;
+  cliente_nome: string;
+  cliente_documento: string;
+  descricao_servico: string;
+  valor: number;
+  aliquota_iss?: number | null;
+  codigo_servico?: string | null;
+  iss_retido: boolean;
+  frequency: RecurringFrequency;
+  day_of_month?: number | null;
+  start_date: string;
+  end_date?: string | null;
+  max_occurrences?: number | null;
+  occurrences: number;
+  next_run_at: string;
+  status: 'active' | 'paused' | 'finished';
+  last_run_at?: string | null;
+  last_run_status?: 'success' | 'queued' | 'failed' | 'review' | null;
+  last_error?: string | null;
+  last_invoice_id?: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface CreateRecurringScheduleData {
+  company_id: string;
+  client_id?: string;
+  cliente_nome?: string;
+  cliente_documento?: string;
+  descricao_servico: string;
+  valor: number;
+  aliquota_iss?: number | null;
+  codigo_servico?: string;
+  iss_retido?: boolean;
+  frequency: RecurringFrequency;
+  day_of_month?: number | null;
+  start_date?: string;
+  end_date?: string | null;
+  max_occurrences?: number | null;
+}
+
+export type UpdateRecurringScheduleData = Partial<Omit<CreateRecurringScheduleData, 'company_id' | 'start_date'>>;
+
+export interface RecurringRunResult {
+  scheduleId: string;
+  status: 'success' | 'queued' | 'failed';
+  invoiceId?: string;
+  queueEntryId?: string;
+  error?: string;
+}
+
+interface ApiResponse<T> {
+  status: string;
+  message?: string;
+  data: T;
+}
+
+export const recurringInvoicesService = {
+  /**
+   * List recurring invoice schedules
+   */
+  async list(params?: { companyId?: string; status?: string }): Promise<RecurringSchedule[]> {
+    const response = await apiClient.get<ApiResponse<{ schedules: RecurringSchedule[] }>>('/recurring-invoices', { params });
+    return response.data.data.schedules;
+  },
+
+  /**
+   * Get a single schedule
+   */
+  async get(id: string): Promise<RecurringSchedule> {
+    const response = await apiClient.get<ApiResponse<{ schedule: RecurringSchedule }>>(`/recurring-invoices/${id}`);
+    return response.data.data.schedule;
+  },
+
+  /**
+   * Create a recurring schedule
+   */
+  async create(data: CreateRecurringScheduleData): Promise<RecurringSchedule> {
+    const response = await apiClient.post<ApiResponse<{ schedule: RecurringSchedule }>>('/recurring-invoices', data);
+    return response.data.data.schedule;
+  },
+
+  /**
+   * Update a recurring schedule
+   */
+  async update(id: string, data: UpdateRecurringScheduleData): Promise<RecurringSchedule> {
+    const response = await apiClient.put<ApiResponse<{ schedule: RecurringSchedule }>>(`/recurring-invoices/${id}`, data);
+    return response.data.data.schedule;
+  },
+
+  /**
+   * Pause a schedule
+   */
+  async pause(id: string): Promise<RecurringSchedule> {
+    const response = await apiClient.post<ApiResponse<{ schedule: RecurringSchedule }>>(`/recurring-invoices/${id}/pause`);
+    return response.data.data.schedule;
+  },
+
+  /**
+   * Resume a paused schedule
+   */
+  async resume(id: string): Promise<RecurringSchedule> {
+    const response = await apiClient.post<ApiResponse<{ schedule: RecurringSchedule }>>(`/recurring-invoices/${id}/resume`);
+    return response.data.data.schedule;
+  },
+
+  /**
+   * Emit the schedule's invoice now
+   */
+  async runNow(id: string): Promise<{ message?: string; result: RecurringRunResult; schedule: RecurringSchedule }> {
+    const response = await apiClient.post<ApiResponse<{ result: RecurringRunResult; schedule: RecurringSchedule }>>(
+      `/recurring-invoices/${id}/run`
+    );
+    return { message: response.data.message, ...response.data.data };
+  },
+
+  /**
+   * Delete a schedule (emitted invoices are kept)
+   */
+  async delete(id: string): Promise<void> {
+    await apiClient.delete(`/recurring-invoices/${id}`);
+  },
+};
+
+export default recurringInvoicesService;
@@ -1,5 +1,5 @@
 import apiClient from '../client';
-import type { DAS } from '@/types';
+import type { DAS, Darf, DasnSimeiSummary, LucroPresumidoEstimate, SaveDasnSimeiData, SimplesDASEstimate } from '@/types';
 
 export const taxesService = {
   /**
@@ -44,6 +44,16 @@ export const taxesService = {
     return response.data;
   },
 
+  /**
+   * Preview the Simples Nacional DAS of a month (RBT12, Anexo and effective rate)
+   */
+  async estimateSimples(companyId: string, referencia: string): Promise<SimplesDASEstimate> {
+    const response = await apiClient.get<SimplesDASEstimate>('/taxes/das/simples/estimate', {
+      params: { company_id: companyId, referencia },
+    });
+    return response.data;
+  },
+
   /**
    * Download DAS PDF
    */
@@ -54,6 +64,104 @@ export const taxesService = {
     return response.data;
   },
 
+  /**
+   * Get the DARFs (and ISS) of the current user's Lucro Presumido companies
+   */
+  async listDarfs(params?: {
+    companyId?: string;
+    status?: string;
+    year?: number;
+  }): Promise<Darf[]> {
+    const response = await apiClient.get<Darf[]>('/taxes/darf', { params });
+    return response.data;
+  },
+
+  /**
+   * Preview the Lucro Presumido taxes of a month (PIS, COFINS, ISS and, closing a quarter, IRPJ and CSLL)
+   */
+  async estimateLucroPresumido(companyId: string, referencia: string): Promise<LucroPresumidoEstimate> {
+    const response = await apiClient.get<LucroPresumidoEstimate>('/taxes/lucro-presumido/estimate', {
+      params: { company_id: companyId, referencia },
+    });
+    return response.data;
+  },
+
+  /**
+   * Generate the DARFs of a month for a Lucro Presumido company
+   */
+  async generateDarfs(companyId: string, referencia: string): Promise<Darf[]> {
+    const response = await apiClient.post<Darf[]>('/taxes/darf/generate', {
+      company_id: companyId,
+      referencia,
+    });
+    return response.data;
+  },
+
+  /**
+   * Mark DARF as paid
+   */
+  async markDarfAsPaid(id: string, paymentDate?: string): Promise<Darf> {
+    const response = await apiClient.post<Darf>(`/taxes/darf/${id}/pay`, {
+      data_pagamento: paymentDate || new Date().toISOString().split('T')[0],
+    });
+    return response.data;
+  },
+
+  /**
+   * Download DARF PDF
+   */
+  async downloadDarfPdf(id: string): Promise<Blob> {
+    const response = await apiClient.get(`/taxes/darf/${id}/pdf`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  /**
+   * Get the DASN-SIMEI of a MEI company (default: previous year)
+   */
+  async getDasnSimei(companyId: string, ano?: number): Promise<DasnSimeiSummary> {
+    const response = await apiClient.get<DasnSimeiSummary>('/taxes/dasn-simei', {
+      params: { company_id: companyId, ano },
+    });
+    return response.data;
+  },
+
+  /**
+   * Save the revenue without invoices and the employee flag of a DASN-SIMEI
+   */
+  async saveDasnSimei(companyId: string, ano: number, data: SaveDasnSimeiData): Promise<DasnSimeiSummary> {
+    const response = await apiClient.put<DasnSimeiSummary>('/taxes/dasn-simei', {
+      company_id: companyId,
+      ano,
+      ...data,
+    });
+    return response.data;
+  },
+
+  /**
+   * Mark a DASN-SIMEI as filed on the government portal
+   */
+  async markDasnSimeiTransmitted(companyId: string, ano: number, numeroRecibo?: string): Promise<DasnSimeiSummary> {
+    const response = await apiClient.post<DasnSimeiSummary>('/taxes/dasn-simei/transmit', {
+      company_id: companyId,
+      ano,
+      numero_recibo: numeroRecibo || undefined,
+    });
+    return response.data;
+  },
+
+  /**
+   * Download the DASN-SIMEI summary PDF
+   */
+  async downloadDasnSimeiPdf(companyId: string, ano: number): Promise<Blob> {
+    const response = await apiClient.get('/taxes/dasn-simei/pdf', {
+      params: { company_id: companyId, ano },
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
   /**
    * Get tax summary for a company
    */
@@ -1,10 +1,14 @@
 import React, { useState, useEffect, useCallback } from "react";
 import { motion } from "framer-motion";
-import { FileText, User, Building2, Calculator, Check, Pencil, X, Save, DollarSign, Percent, MapPin, FileEdit } from "lucide-react";
+import { FileText, User, Building2, Calculator, Check, Pencil, X, Save, DollarSign, Percent, MapPin, FileEdit, AlertTriangle, History, FileCode } from "lucide-react";
 import { Button } from "@/components/ui/button";
+import InvoiceTimelineDrawer from "@/components/invoice/InvoiceTimelineDrawer";
+import InvoiceReadinessReport from "@/components/invoice/InvoiceReadinessReport";
+import { FEDERAL_RETENTIONS, INVOICE_DEDUCTIONS, getTotalRetentions, calculateIssBase, calculateNetAmount } from "@/utils/retentions";
 
-export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, onCancel, isProcessing }) {
+export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, onCancel, onDuplicateOverride, onDownloadDps, isProcessing, readiness, isValidating, readinessError }) {
   const [isEditing, setIsEditing] = useState(false);
+  const [showTimeline, setShowTimeline] = useState(false);
   const [editedInvoice, setEditedInvoice] = useState(() => ({
     cliente_nome: '',
     cliente_documento: '',
@@ -41,14 +45,24 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
     // Calculate ISS value
     const valor = parseFloat(editedInvoice.valor) || 0;
     const aliquota = parseFloat(editedInvoice.aliquota_iss) || 5;
-    const valorIss = (valor * aliquota) / 100;
+    const valorIss = (calculateIssBase({ ...editedInvoice, valor }) * aliquota) / 100;
 
     const updatedInvoice = {
       ...editedInvoice,
       valor: valor,
       aliquota_iss: aliquota,
-      valor_iss: valorIss
+      valor_iss: valorIss,
+      iss_retido: Boolean(editedInvoice.iss_retido),
+      // Edited data is checked for duplicates again on emission
+      duplicatas: undefined,
+      ignorar_duplicidade: false
     };
+    FEDERAL_RETENTIONS.forEach(({ type }) => {
+      updatedInvoice[`valor_${type}`] = parseFloat(editedInvoice[`valor_${type}`]) || 0;
+    });
+    INVOICE_DEDUCTIONS.forEach(({ field }) => {
+      updatedInvoice[field] = parseFloat(editedInvoice[field]) || 0;
+    });
 
     // Call onUpdate to update the parent's pendingInvoice state
     if (onUpdate) {
@@ -74,10 +88,19 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
     setIsEditing(true);
   };
 
+  // Once emitted (the invoice has an id) the card only follows the processing at the prefeitura
+  const isEmitted = Boolean(invoice?.id);
+
   // Validate invoice data
+  const suspectedDuplicates = invoice?.duplicatas || [];
+
   const isValidInvoice = () => {
     if (!invoice) return false;
     const valor = parseFloat(invoice.valor) || 0;
+    // Suspected duplicates must be explicitly acknowledged before emitting
+    if (suspectedDuplicates.length > 0 && !invoice.ignorar_duplicidade) return false;
+    // Failed pre-emission checks would be refused anyway
+    if (readiness && !readiness.ready) return false;
     return invoice.cliente_nome && valor > 0;
   };
 
@@ -236,6 +259,65 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
                 </div>
               </div>
 
+              {/* Discounts and deductions from the ISS base */}
+              <div className="space-y-1.5">
+                <label className="flex items-center gap-1.5 text-[10px] font-bold text-gray-400 uppercase tracking-wider">
+                  <Calculator className="w-3 h-3 text-amber-400" />
+                  Descontos e deduções (R$)
+                </label>
+                <div className="grid grid-cols-3 gap-2">
+                  {INVOICE_DEDUCTIONS.map(({ field, label }) => (
+                    <div key={field} className="space-y-1">
+                      <span className="block text-[10px] text-gray-500">{label}</span>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={editedInvoice[field] ?? ''}
+                        onChange={(e) => handleFieldChange(field, e.target.value)}
+                        className="w-full px-2 py-1.5 rounded-lg text-white text-xs bg-slate-800/80 border border-slate-700/50 focus:border-amber-400/80 focus:ring-1 focus:ring-amber-500/30 transition-all outline-none placeholder:text-gray-500"
+                        placeholder="0,00"
+                        autoComplete="off"
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Federal retentions withheld by the tomador */}
+              <div className="space-y-1.5">
+                <label className="flex items-center gap-1.5 text-[10px] font-bold text-gray-400 uppercase tracking-wider">
+                  <Calculator className="w-3 h-3 text-sky-400" />
+                  Retenções federais (R$)
+                </label>
+                <div className="grid grid-cols-5 gap-2">
+                  {FEDERAL_RETENTIONS.map(({ type, label }) => (
+                    <div key={type} className="space-y-1">
+                      <span className="block text-[10px] text-gray-500">{label}</span>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={editedInvoice[`valor_${type}`] ?? ''}
+                        onChange={(e) => handleFieldChange(`valor_${type}`, e.target.value)}
+                        className="w-full px-2 py-1.5 rounded-lg text-white text-xs bg-slate-800/80 border border-slate-700/50 focus:border-sky-400/80 focus:ring-1 focus:ring-sky-500/30 transition-all outline-none placeholder:text-gray-500"
+                        placeholder="0,00"
+                        autoComplete="off"
+                      />
+                    </div>
+                  ))}
+                </div>
+                <label className="flex items-center gap-2 text-xs text-gray-400 pt-1">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(editedInvoice.iss_retido)}
+                    onChange={(e) => handleFieldChange('iss_retido', e.target.checked)}
+                    className="rounded border-slate-600 bg-slate-800"
+                  />
+                  ISS retido pelo tomador
+                </label>
+              </div>
+
               {/* Municipality */}
               <div className="space-y-1.5">
                 <label className="flex items-center gap-1.5 text-[10px] font-bold text-gray-400 uppercase tracking-wider">
@@ -311,8 +393,12 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
               </div>
             </div>
             <div className="flex-1">
-              <h3 className="text-base font-bold text-white tracking-tight">Pré-visualização da Nota</h3>
-              <p className="text-xs text-gray-400">Confirme os dados antes de emitir</p>
+              <h3 className="text-base font-bold text-white tracking-tight">
+                {isEmitted ? `Nota enviada${invoice.numero ? ` · ${invoice.numero}` : ''}` : 'Pré-visualização da Nota'}
+              </h3>
+              <p className="text-xs text-gray-400">
+                {isEmitted ? 'Aguardando o retorno da prefeitura' : 'Confirme os dados antes de emitir'}
+              </p>
             </div>
           </div>
 
@@ -360,11 +446,45 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
                         R$ {invoice.valor?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
                       </span>
                     </div>
+                    {invoice.moeda && invoice.valor_moeda_estrangeira && (
+                      <div className="flex justify-between items-center mt-0.5">
+                        <span className="text-xs text-gray-400">
+                          Exportação{invoice.taxa_cambio ? ` (câmbio ${invoice.taxa_cambio})` : ''}
+                        </span>
+                        <span className="text-xs font-semibold text-sky-400">
+                          {Number(invoice.valor_moeda_estrangeira).toLocaleString('pt-BR', { style: 'currency', currency: invoice.moeda })}
+                        </span>
+                      </div>
+                    )}
+                    {INVOICE_DEDUCTIONS.filter(({ field }) => parseFloat(invoice[field]) > 0).map(({ field, label }) => (
+                      <div key={field} className="flex justify-between items-center mt-0.5">
+                        <span className="text-xs text-gray-400">{label}</span>
+                        <span className="text-xs font-semibold text-amber-400">
+                          - R$ {parseFloat(invoice[field]).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                        </span>
+                      </div>
+                    ))}
                     {invoice.aliquota_iss && (
                     <div className="flex justify-between items-center mt-0.5">
                       <span className="text-xs text-gray-400">ISS ({invoice.aliquota_iss}%)</span>
                       <span className="text-xs font-semibold text-orange-400">
-                          R$ {(invoice.valor_iss || (invoice.valor * invoice.aliquota_iss / 100))?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                          R$ {(invoice.valor_iss || (calculateIssBase(invoice) * invoice.aliquota_iss / 100))?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                        </span>
+                      </div>
+                    )}
+                    {FEDERAL_RETENTIONS.filter(({ type }) => parseFloat(invoice[`valor_${type}`]) > 0).map(({ type, label }) => (
+                      <div key={type} className="flex justify-between items-center mt-0.5">
+                        <span className="text-xs text-gray-400">{label} retido</span>
+                        <span className="text-xs font-semibold text-sky-400">
+                          - R$ {parseFloat(invoice[`valor_${type}`]).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                        </span>
+                      </div>
+                    ))}
+                    {(invoice.iss_retido || getTotalRetentions(invoice) > 0 || calculateNetAmount(invoice) !== parseFloat(invoice.valor)) && (
+                      <div className="flex justify-between items-center mt-1 pt-1 border-t border-white/5">
+                        <span className="text-xs text-gray-300">Valor líquido</span>
+                        <span className="text-sm font-bold text-emerald-400">
+                          R$ {calculateNetAmount(invoice).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
                         </span>
                       </div>
                     )}
@@ -386,7 +506,81 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
               </div>
           </div>
 
+          {/* Emitted: follow the status timeline */}
+          {isEmitted && (
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={() => setShowTimeline(true)}
+                className="flex-1 py-2.5 px-4 rounded-xl text-sm font-semibold bg-gradient-to-r from-orange-500/20 to-amber-500/20 text-orange-300 border border-orange-500/30 hover:from-orange-500/30 hover:to-amber-500/30 transition-all flex items-center justify-center gap-2"
+                type="button"
+              >
+                <History className="w-4 h-4" />
+                <span>Acompanhar status</span>
+              </button>
+              {onCancel && (
+                <button
+                  onClick={onCancel}
+                  className="py-2.5 px-4 rounded-xl text-sm font-medium bg-slate-800/50 text-slate-200 hover:text-white border border-slate-700/60 transition-all flex items-center justify-center gap-2"
+                  type="button"
+                >
+                  <X className="w-4 h-4" />
+                  <span>Fechar</span>
+                </button>
+              )}
+              <InvoiceTimelineDrawer invoice={invoice} open={showTimeline} onClose={() => setShowTimeline(false)} />
+            </div>
+          )}
+
+          {/* Pre-emission checks */}
+          {!isEmitted && (
+            <InvoiceReadinessReport report={readiness} isLoading={isValidating} error={readinessError} />
+          )}
+
+          {/* Developer action: DPS XML preview */}
+          {!isEmitted && onDownloadDps && (
+            <button
+              type="button"
+              onClick={onDownloadDps}
+              className="mt-2 flex items-center gap-1 text-[11px] text-gray-400 hover:text-white"
+            >
+              <FileCode className="w-3 h-3" />
+              Baixar XML da DPS (prévia)
+            </button>
+          )}
+
+          {/* Suspected duplicates */}
+          {!isEmitted && suspectedDuplicates.length > 0 && (
+            <div className="mt-3 p-3 rounded-xl bg-amber-500/10 border border-amber-500/30 space-y-2">
+              <div className="flex items-center gap-1.5 text-xs font-semibold text-amber-300">
+                <AlertTriangle className="w-3.5 h-3.5" />
+                Possível nota duplicada
+              </div>
+              <p className="text-[11px] text-gray-400">
+                Notas recentes para este cliente com o mesmo valor e descrição semelhante:
+              </p>
+              {suspectedDuplicates.map((duplicate) => (
+                <div key={duplicate.id} className="flex justify-between items-start gap-2 text-[11px]">
+                  <span className="text-gray-300">
+                    NFS-e {duplicate.numero || '(sem número)'} · {new Date(duplicate.data_emissao).toLocaleDateString('pt-BR')} · {duplicate.descricao_servico}
+                  </span>
+                  <span className="shrink-0 text-amber-400">{duplicate.similaridade}% semelhante</span>
+                </div>
+              ))}
+              <label className="flex items-center gap-2 text-xs text-gray-300 pt-1">
+                <input
+                  type="checkbox"
+                  checked={Boolean(invoice.ignorar_duplicidade)}
+                  onChange={(e) => onDuplicateOverride?.(e.target.checked)}
+                  disabled={isProcessing}
+                  className="rounded border-slate-600 bg-slate-800"
+                />
+                Não é duplicada, emitir mesmo assim
+              </label>
+            </div>
+          )}
+
           {/* Actions - Compact */}
+          {!isEmitted && (
           <div className="flex gap-2 mt-4 relative z-20" style={{ pointerEvents: 'auto' }}>
             <motion.button
               onClick={handleStartEdit}
@@ -422,8 +616,9 @@ export default function InvoicePreview({ invoice, onConfirm, onEdit, onUpdate, o
               <span>{isProcessing ? 'Emitindo...' : 'Confirmar emissão'}</span>
             </motion.button>
           </div>
+          )}
           
-          {onCancel && (
+          {!isEmitted && onCancel && (
             <button
               onClick={(e) => {
                 e.preventDefault();
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   X,
@@ -20,6 +20,8 @@ import { subscriptionsService } from '@/api/services/subscriptions';
 import { assistantService } from '@/api/services/assistant';
 import { toast } from 'sonner';
 import { cn } from '@/lib/utils';
+import { pickDeductions, pickExportCurrency, pickRetentions } from '@/utils/retentions';
+import { createIdempotencyKey } from '@/utils/idempotency';
 
 // Stripe CardElement styling
 const CARD_ELEMENT_OPTIONS = {
@@ -54,6 +56,12 @@ function PaymentForm({ invoice, company, onSuccess, onCancel, onClose }) {
 
   const INVOICE_FEE = 9.00; // R$ 9.00 per invoice
 
+  // One idempotency key per invoice: retrying after a network error must not emit twice
+  const idempotencyKeyRef = useRef(createIdempotencyKey());
+  useEffect(() => {
+    idempotencyKeyRef.current = createIdempotencyKey();
+  }, [invoice]);
+
   // Check if user has a payment method on file by getting plan limits
   useEffect(() => {
     const checkPaymentMethod = async () => {
@@ -228,12 +236,20 @@ function PaymentForm({ invoice, company, onSuccess, onCancel, onClose }) {
           aliquota_iss: invoice.aliquota_iss || 5,
           municipio: invoice.municipio || company?.cidade,
           codigo_servico: '1401',
-          data_prestacao: new Date().toISOString().split('T')[0]
+          data_prestacao: new Date().toISOString().split('T')[0],
+          iss_retido: Boolean(invoice.iss_retido),
+          ...pickDeductions(invoice),
+          ...pickRetentions(invoice),
+          ...pickExportCurrency(invoice),
+          ...(invoice.ignorar_duplicidade ? { ignorar_duplicidade: true } : {})
         },
         company_id: company.id
-      });
+      }, { idempotencyKey: idempotencyKeyRef.current });
 
-      if (result.status === 'success') {
+      if (result.status === 'queued') {
+        toast.info('Nota na fila de reenvio', { description: result.message });
+        onSuccess(result);
+      } else if (result.status === 'success') {
         setStep('success');
         toast.success('Nota fiscal emitida!', {
           description: `Pagamento de R$ ${INVOICE_FEE.toFixed(2)} processado com sucesso.`
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
+import { Image, Upload, Trash2, Eye, Loader2 } from "lucide-react";
+import { companiesService } from "@/api/services";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+
+const DEFAULT_PRIMARY_COLOR = "#f97316";
+const DEFAULT_SECONDARY_COLOR = "#1a1a2e";
+const MAX_LOGO_SIZE = 512 * 1024;
+
+/**
+ * Company branding printed on invoice/DAS PDFs and client emails: logo, colors,
+ * footer note and contact block. Colors and texts are saved with the company form;
+ * the logo is uploaded right away (only for companies already saved).
+ */
+export default function BrandingSettings({ company, values, onChange }) {
+  // Tracked locally: refetching the company would reset the unsaved form
+  const [logoUpdatedAt, setLogoUpdatedAt] = useState(company?.marca_logo_atualizado_em || null);
+  const [logoUrl, setLogoUrl] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const logoInputRef = useRef(null);
+  const queryClient = useQueryClient();
+
+  const hasLogo = Boolean(logoUpdatedAt);
+
+  useEffect(() => {
+    setLogoUpdatedAt(company?.marca_logo_atualizado_em || null);
+  }, [company?.id, company?.marca_logo_atualizado_em]);
+
+  // The logo endpoint requires authentication, so it is loaded as a blob
+  useEffect(() => {
+    if (!company?.id || !hasLogo) {
+      setLogoUrl(null);
+      return undefined;
+    }
+    let url = null;
+    let cancelled = false;
+    companiesService.getLogo(company.id)
+      .then((blob) => {
+        if (cancelled) return;
+        url = window.URL.createObjectURL(blob);
+        setLogoUrl(url);
+      })
+      .catch(() => setLogoUrl(null));
+    return () => {
+      cancelled = true;
+      if (url) window.URL.revokeObjectURL(url);
+    };
+  }, [company?.id, hasLogo, logoUpdatedAt]);
+
+  const handleLogoChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!["image/png", "image/jpeg"].includes(file.type)) {
+      toast.error("Envie o logo em PNG ou JPEG");
+      return;
+    }
+    if (file.size > MAX_LOGO_SIZE) {
+      toast.error("Logo muito grande. O tamanho máximo é 512 KB.");
+      return;
+    }
+
+    setIsUploading(true);
+    try {
+      const updated = await companiesService.uploadLogo(company.id, file);
+      setLogoUpdatedAt(updated.marca_logo_atualizado_em || new Date().toISOString());
+      queryClient.invalidateQueries({ queryKey: ['companies'] });
+      toast.success("Logo atualizado");
+    } catch (error) {
+      await handleApiError(error, { operation: 'upload_company_logo', companyId: company.id });
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleRemoveLogo = async () => {
+    setIsUploading(true);
+    try {
+      await companiesService.deleteLogo(company.id);
+      setLogoUpdatedAt(null);
+      queryClient.invalidateQueries({ queryKey: ['companies'] });
+      toast.success("Logo removido");
+    } catch (error) {
+      await handleApiError(error, { operation: 'delete_company_logo', companyId: company.id });
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  // Previews the unsaved colors and texts over the saved logo
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    try {
+      const blob = await companiesService.previewBranding(company.id, {
+        marca_cor_primaria: values.marca_cor_primaria,
+        marca_cor_secundaria: values.marca_cor_secundaria,
+        marca_rodape: values.marca_rodape,
+        marca_contato: values.marca_contato
+      });
+      const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60 * 1000);
+    } catch (error) {
+      await handleApiError(error, { operation: 'preview_company_branding', companyId: company.id });
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const colorField = (field, label, fallback) => (
+    <div className="space-y-1">
+      <div className="flex items-center gap-3">
+        <input
+          type="color"
+          value={values[field] || fallback}
+          onChange={(e) => onChange(field, e.target.value)}
+          className="h-12 w-14 rounded-md bg-slate-800/90 border border-white/10 cursor-pointer"
+        />
+        <Input
+          value={values[field]}
+          onChange={(e) => onChange(field, e.target.value)}
+          placeholder={fallback}
+          maxLength={7}
+          className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+        />
+      </div>
+      <p className="text-xs text-gray-500">{label}</p>
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm font-semibold leading-none text-gray-300">Identidade visual</p>
+
+      {company?.id ? (
+        <div className="flex items-center gap-4">
+          <div className="w-32 h-16 rounded-md border border-white/10 bg-slate-800/90 flex items-center justify-center overflow-hidden">
+            {logoUrl ? (
+              <img src={logoUrl} alt="Logo da empresa" className="max-w-full max-h-full object-contain" />
+            ) : (
+              <Image className="w-6 h-6 text-gray-500" />
+            )}
+          </div>
+          <input
+            ref={logoInputRef}
+            type="file"
+            accept="image/png,image/jpeg"
+            onChange={handleLogoChange}
+            className="hidden"
+          />
+          <Button
+            type="button"
+            variant="outline"
+            disabled={isUploading}
+            onClick={() => logoInputRef.current?.click()}
+            className="border-white/10 text-gray-300"
+          >
+            {isUploading ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+            {hasLogo ? "Trocar logo" : "Enviar logo"}
+          </Button>
+          {hasLogo && (
+            <Button
+              type="button"
+              variant="ghost"
+              disabled={isUploading}
+              onClick={handleRemoveLogo}
+              className="text-gray-400 hover:text-red-400"
+            >
+              <Trash2 className="w-4 h-4" />
+            </Button>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">Salve a empresa para enviar o logo.</p>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        {colorField('marca_cor_primaria', 'Cor principal: destaques, valores e botões', DEFAULT_PRIMARY_COLOR)}
+        {colorField('marca_cor_secundaria', 'Cor secundária: fundo do cabeçalho', DEFAULT_SECONDARY_COLOR)}
+      </div>
+
+      <textarea
+        value={values.marca_contato}
+        onChange={(e) => onChange('marca_contato', e.target.value)}
+        placeholder={"Bloco de contato (até 4 linhas)\n(31) 99999-0000\ncontato@suaempresa.com.br"}
+        rows={3}
+        className="w-full px-3 py-2 rounded-md bg-slate-800/90 border border-white/10 text-white text-sm placeholder:text-gray-400 resize-none focus:outline-none focus:border-orange-500/50"
+      />
+      <Input
+        value={values.marca_rodape}
+        onChange={(e) => onChange('marca_rodape', e.target.value)}
+        placeholder="Texto do rodapé (opcional)"
+        maxLength={300}
+        className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+      />
+
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs text-gray-500">
+          Aplicados ao PDF da nota, à guia DAS e aos emails enviados aos clientes. Deixe em branco para usar o visual padrão.
+        </p>
+        {company?.id && (
+          <Button
+            type="button"
+            variant="outline"
+            disabled={isPreviewing}
+            onClick={handlePreview}
+            className="border-white/10 text-gray-300 shrink-0"
+          >
+            {isPreviewing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Eye className="w-4 h-4 mr-2" />}
+            Pré-visualizar PDF
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
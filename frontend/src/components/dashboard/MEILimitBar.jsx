@@ -1,11 +1,46 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { TrendingUp, AlertTriangle, CheckCircle } from "lucide-react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { TrendingUp, AlertTriangle, CheckCircle, CalendarClock } from "lucide-react";
 import { cn } from "@/lib/utils";
 
-export default function MEILimitBar({ yearlyRevenue = 0, limit = 81000 }) {
+const formatMoney = (value) => Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => format(new Date(value), "dd/MM/yyyy", { locale: ptBR });
+
+/**
+ * Revenue of the year against the MEI limit. With the status from the backend it also shows the
+ * proportional limit of the opening year, the projected dates the limit and the 20% tolerance are
+ * reached and what happens in each band.
+ */
+export default function MEILimitBar({ yearlyRevenue = 0, limit = 81000, limitStatus = null }) {
   const percentage = (yearlyRevenue / limit) * 100;
   const remaining = limit - yearlyRevenue;
+  const toleranceLimit = limitStatus?.toleranceLimit ?? limit * 1.2;
+  const projection = limitStatus?.projection;
+  // Band already reached or, while within the limit, the one projected for December
+  const band = limitStatus?.band && limitStatus.band !== 'within_limit'
+    ? limitStatus.band
+    : projection?.faixaProjetada || 'within_limit';
+  const bandIsProjected = band !== (limitStatus?.band || 'within_limit');
+
+  const consequences = [
+    {
+      band: 'within_limit',
+      title: `Até R$ ${formatMoney(limit)}`,
+      text: 'Continua MEI, pagando apenas o DAS mensal fixo.'
+    },
+    {
+      band: 'within_tolerance',
+      title: `Até R$ ${formatMoney(toleranceLimit)} (20% acima)`,
+      text: 'Continua MEI até dezembro e passa a ME no Simples Nacional em janeiro. O excesso é tributado em um DAS complementar.'
+    },
+    {
+      band: 'over_tolerance',
+      title: `Acima de R$ ${formatMoney(toleranceLimit)}`,
+      text: `Desenquadramento retroativo ${limitStatus?.proportional ? 'à data de abertura' : 'a janeiro'}: os tributos do ano são recalculados como ME, com juros e multa.`
+    }
+  ];
   
   const getStatus = () => {
     if (percentage >= 90) return { color: "red", icon: AlertTriangle, text: "Atenção: Próximo ao limite!" };
@@ -42,7 +77,11 @@ export default function MEILimitBar({ yearlyRevenue = 0, limit = 81000 }) {
       <div className="flex items-start justify-between mb-4 relative z-10">
         <div>
           <h3 className="text-xl font-bold text-white mb-1">Limite Anual MEI</h3>
-          <p className="text-sm text-gray-400">Acompanhe seu faturamento</p>
+          <p className="text-sm text-gray-400">
+            {limitStatus?.proportional
+              ? `Limite proporcional: ${limitStatus.monthsActive} meses desde a abertura`
+              : 'Acompanhe seu faturamento'}
+          </p>
         </div>
         <div className={cn(
           "flex items-center gap-2 px-4 py-2 rounded-full",
@@ -97,8 +136,63 @@ export default function MEILimitBar({ yearlyRevenue = 0, limit = 81000 }) {
             </p>
           </div>
         </div>
+
+        {projection && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="p-3 rounded-xl bg-gradient-to-br from-white/5 to-white/0 border border-white/10 backdrop-blur-sm">
+              <p className="text-xs text-gray-400 uppercase tracking-wider mb-1">Limite atingido em</p>
+              <p className="text-lg font-bold text-white">
+                {yearlyRevenue >= limit ? 'Já atingido' : projection.dataLimite ? formatDate(projection.dataLimite) : 'Não neste ano'}
+              </p>
+            </div>
+            <div className="p-3 rounded-xl bg-gradient-to-br from-white/5 to-white/0 border border-white/10 backdrop-blur-sm">
+              <p className="text-xs text-gray-400 uppercase tracking-wider mb-1">Tolerância de 20% em</p>
+              <p className="text-lg font-bold text-white">
+                {yearlyRevenue > toleranceLimit ? 'Já ultrapassada' : projection.dataTolerancia ? formatDate(projection.dataTolerancia) : 'Não neste ano'}
+              </p>
+            </div>
+            <div className="p-3 rounded-xl bg-gradient-to-br from-white/5 to-white/0 border border-white/10 backdrop-blur-sm">
+              <p className="text-xs text-gray-400 uppercase tracking-wider mb-1">Projeção para dezembro</p>
+              <p className="text-lg font-bold text-white">R$ {formatMoney(projection.receitaProjetadaAno)}</p>
+            </div>
+            <p className="md:col-span-3 flex items-center gap-2 text-xs text-gray-400">
+              <CalendarClock className="w-4 h-4" />
+              {projection.mesesBase > 0
+                ? `Ritmo de R$ ${formatMoney(projection.mediaMensal)} por mês (média dos últimos ${projection.mesesBase} meses fechados)`
+                : `Ritmo do mês atual: R$ ${formatMoney(projection.mediaMensal)} por mês`}
+            </p>
+          </div>
+        )}
       </div>
 
+      {limitStatus?.isMEI && (
+        <div className="mt-4 space-y-2 relative z-10">
+          {consequences.map(item => (
+            <div
+              key={item.band}
+              className={cn(
+                "p-3 rounded-xl border",
+                item.band === band
+                  ? item.band === 'within_limit'
+                    ? 'bg-green-500/10 border-green-500/30'
+                    : item.band === 'within_tolerance'
+                      ? 'bg-yellow-500/10 border-yellow-500/30'
+                      : 'bg-red-500/10 border-red-500/30'
+                  : 'bg-white/5 border-white/10 opacity-60'
+              )}
+            >
+              <p className="text-sm font-semibold text-white">
+                {item.title}
+                {item.band === band && (
+                  <span className="ml-2 text-xs font-normal text-gray-300">{bandIsProjected ? '· projetado' : '· situação atual'}</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-400">{item.text}</p>
+            </div>
+          ))}
+        </div>
+      )}
+
       {percentage >= 70 && (
         <div className={cn(
           "mt-4 p-4 rounded-xl relative z-10",
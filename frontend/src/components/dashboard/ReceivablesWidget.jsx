@@ -0,0 +1,96 @@
+import React from "react";
+import { motion } from "framer-motion";
+import { Wallet, AlertTriangle } from "lucide-react";
+import { useQuery } from "@tanstack/react-query";
+import { receivablesService } from "@/api/services";
+import { cn } from "@/lib/utils";
+
+const bucketConfig = [
+  { key: 'current', label: 'A vencer', color: 'bg-green-500' },
+  { key: '1_30', label: '1-30 dias', color: 'bg-yellow-500' },
+  { key: '31_60', label: '31-60 dias', color: 'bg-orange-500' },
+  { key: '61_90', label: '61-90 dias', color: 'bg-red-500' },
+  { key: '90_plus', label: '90+ dias', color: 'bg-red-700' },
+];
+
+const formatCurrency = (value) =>
+  `R$ ${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function ReceivablesWidget({ companyId }) {
+  const { data: aging } = useQuery({
+    queryKey: ['receivablesAging', companyId || 'all'],
+    queryFn: () => receivablesService.aging(companyId ? { company_id: companyId } : undefined),
+  });
+
+  const { data: topClients = [] } = useQuery({
+    queryKey: ['receivablesClients', companyId || 'all'],
+    queryFn: () => receivablesService.clientBalances(companyId ? { company_id: companyId } : undefined),
+  });
+
+  if (!aging) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={cn(
+        "relative rounded-2xl p-5 overflow-hidden",
+        "bg-gradient-to-br from-slate-900/80 via-slate-800/60 to-slate-900/80",
+        "backdrop-blur-xl border border-white/10",
+        "shadow-xl shadow-black/30"
+      )}
+    >
+      <div className="flex items-start justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-emerald-500/10 border border-emerald-500/20">
+            <Wallet className="w-5 h-5 text-emerald-400" />
+          </div>
+          <div>
+            <h3 className="text-base font-bold text-white">Contas a Receber</h3>
+            <p className="text-xs text-gray-400">Notas autorizadas com saldo em aberto</p>
+          </div>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-bold text-white">{formatCurrency(aging.total)}</p>
+          {aging.overdue > 0 && (
+            <p className="text-xs text-red-400 flex items-center gap-1 justify-end">
+              <AlertTriangle className="w-3 h-3" />
+              {formatCurrency(aging.overdue)} vencido
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Aging buckets */}
+      <div className="grid grid-cols-5 gap-2 mb-4">
+        {bucketConfig.map(({ key, label, color }) => (
+          <div key={key} className="rounded-lg bg-white/5 border border-white/10 p-2">
+            <div className="flex items-center gap-1.5 mb-1">
+              <span className={cn("w-2 h-2 rounded-full", color)} />
+              <span className="text-[11px] text-gray-400">{label}</span>
+            </div>
+            <p className="text-sm font-semibold text-white">{formatCurrency(aging.buckets[key]?.valor)}</p>
+            <p className="text-[11px] text-gray-500">{aging.buckets[key]?.count || 0} nota(s)</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Largest open balances */}
+      {topClients.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500">Maiores saldos</p>
+          {topClients.slice(0, 3).map((client) => (
+            <div key={`${client.cliente_documento}-${client.cliente_nome}`} className="flex items-center justify-between text-sm">
+              <span className="text-gray-300 truncate">{client.cliente_nome}</span>
+              <span className={cn("font-medium", client.vencido > 0 ? "text-red-400" : "text-white")}>
+                {formatCurrency(client.saldo)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useQuery } from "@tanstack/react-query";
+import { format, startOfMonth, endOfMonth, subMonths } from "date-fns";
+import { X, FileOutput, Download, AlertTriangle, CheckCircle, Loader2 } from "lucide-react";
+import { invoicesService } from "@/api/services";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+
+const inputClassName = "w-full px-4 py-3 bg-white/[0.03] hover:bg-white/[0.05] border border-white/10 focus:border-orange-500/50 rounded-xl text-white placeholder:text-slate-600 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-orange-500/20";
+
+const formatCurrency = (value) =>
+  new Intl.NumberFormat("pt-BR", { style: "currency", currency: "BRL" }).format(value || 0);
+
+/**
+ * Export the invoices of a period in an accounting software layout (generic CSV, Domínio,
+ * Alterdata), with a preview of the file and the problems the ERP would reject
+ */
+export default function AccountingExportModal({ companies, defaultCompanyId, defaultStartDate, defaultEndDate, isOpen, onClose }) {
+  const [layout, setLayout] = useState("generico");
+  const [companyId, setCompanyId] = useState("all");
+  const [startDate, setStartDate] = useState("");
+  const [endDate, setEndDate] = useState("");
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      const lastMonth = subMonths(new Date(), 1);
+      setCompanyId(defaultCompanyId || "all");
+      setStartDate(defaultStartDate || format(startOfMonth(lastMonth), "yyyy-MM-dd"));
+      setEndDate(defaultEndDate || format(endOfMonth(lastMonth), "yyyy-MM-dd"));
+      setSkipInvalid(false);
+    }
+  }, [isOpen, defaultCompanyId, defaultStartDate, defaultEndDate]);
+
+  const params = {
+    layout,
+    companyId: companyId !== "all" ? companyId : undefined,
+    startDate: startDate || undefined,
+    endDate: endDate || undefined,
+  };
+
+  const { data: layouts = [] } = useQuery({
+    queryKey: ["accounting-export-layouts"],
+    queryFn: () => invoicesService.getExportLayouts(),
+    enabled: isOpen,
+    staleTime: Infinity,
+  });
+
+  const { data: preview, isLoading: isLoadingPreview, error: previewError } = useQuery({
+    queryKey: ["accounting-export-preview", params],
+    queryFn: () => invoicesService.previewAccountingExport(params).catch((error) => {
+      throw new Error(error.response?.data?.message || "Não foi possível gerar a prévia");
+    }),
+    enabled: isOpen && Boolean(layout),
+    retry: false,
+  });
+
+  if (!isOpen) return null;
+
+  const selectedLayout = layouts.find((l) => l.id === layout);
+  const hasErrors = (preview?.errors?.length || 0) > 0;
+  const exportable = preview ? (skipInvalid ? preview.totals.validas : preview.totals.notas) : 0;
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const blob = await invoicesService.downloadAccountingExport({ ...params, skipInvalid: skipInvalid || undefined });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `notas-${layout}-${startDate || 'inicio'}_${endDate || 'hoje'}.${selectedLayout?.extension || 'csv'}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success(`${exportable} nota(s) exportada(s) no layout ${selectedLayout?.label || layout}`);
+      onClose();
+    } catch (error) {
+      await handleApiError(error, { operation: 'accounting_export', layout, companyId });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="absolute inset-0 bg-black/70 backdrop-blur-md"
+          onClick={onClose}
+        />
+
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 30 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 30 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="relative w-full max-w-4xl max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="relative bg-gradient-to-b from-[#1a1525] via-[#151020] to-[#0f0a18] border border-white/10 rounded-3xl overflow-hidden shadow-2xl">
+            <div className="absolute top-0 left-8 right-8 h-px bg-gradient-to-r from-transparent via-orange-500/50 to-transparent" />
+
+            <div className="relative p-6 sm:p-8">
+              {/* Header */}
+              <div className="flex items-start justify-between mb-6">
+                <div className="flex items-center gap-4">
+                  <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-orange-500/20 to-amber-600/10 border border-orange-500/30 flex items-center justify-center">
+                    <FileOutput className="w-7 h-7 text-orange-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-bold text-white mb-1">Exportar para Contabilidade</h3>
+                    <p className="text-sm text-slate-400">Arquivo de importação para o sistema do seu contador</p>
+                  </div>
+                </div>
+                <button
+                  onClick={onClose}
+                  className="w-10 h-10 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center text-slate-400 hover:text-white transition-all duration-200"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <div className="space-y-5">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Layout</label>
+                    <select
+                      value={layout}
+                      onChange={(e) => setLayout(e.target.value)}
+                      className={`${inputClassName} bg-[#151020]`}
+                    >
+                      {(layouts.length ? layouts : [{ id: "generico", label: "CSV genérico" }]).map((l) => (
+                        <option key={l.id} value={l.id}>{l.label}</option>
+                      ))}
+                    </select>
+                    {selectedLayout?.description && (
+                      <p className="text-xs text-slate-500">{selectedLayout.description}</p>
+                    )}
+                  </div>
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Empresa</label>
+                    <select
+                      value={companyId}
+                      onChange={(e) => setCompanyId(e.target.value)}
+                      className={`${inputClassName} bg-[#151020]`}
+                    >
+                      <option value="all">Todas as empresas</option>
+                      {companies.map((c) => (
+                        <option key={c.id} value={c.id}>
+                          {c.nome_fantasia || c.razao_social}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Emitidas de</label>
+                    <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className={inputClassName} />
+                  </div>
+
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Até</label>
+                    <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className={inputClassName} />
+                  </div>
+                </div>
+
+                {/* Preview */}
+                <div className="rounded-xl border border-white/5 bg-white/[0.02] p-4 space-y-4">
+                  {isLoadingPreview ? (
+                    <div className="flex items-center gap-2 text-sm text-slate-400">
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                      Gerando prévia...
+                    </div>
+                  ) : previewError ? (
+                    <p className="text-sm text-red-400">
+                      {previewError.message}
+                    </p>
+                  ) : preview && (
+                    <>
+                      <div className="flex flex-wrap gap-x-6 gap-y-2 text-sm">
+                        <span className="text-slate-300"><strong className="text-white">{preview.totals.notas}</strong> nota(s)</span>
+                        <span className="text-slate-300"><strong className="text-white">{preview.totals.canceladas}</strong> cancelada(s)</span>
+                        <span className="text-slate-300">Faturamento <strong className="text-white">{formatCurrency(preview.totals.valor)}</strong></span>
+                        <span className="text-slate-300">ISS <strong className="text-white">{formatCurrency(preview.totals.valor_iss)}</strong></span>
+                      </div>
+
+                      {preview.rows.length > 0 ? (
+                        <div className="overflow-x-auto rounded-lg border border-white/5">
+                          <table className="min-w-full text-xs">
+                            <thead>
+                              <tr className="bg-white/[0.03]">
+                                {preview.header.map((label, index) => (
+                                  <th key={index} className="px-3 py-2 text-left font-medium text-slate-400 whitespace-nowrap">{label}</th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {preview.rows.map((row) => (
+                                <tr key={row.invoice_id} className={`border-t border-white/5 ${row.valid ? "" : "bg-red-500/10"}`}>
+                                  {row.values.map((value, index) => (
+                                    <td key={index} className="px-3 py-2 text-slate-300 whitespace-nowrap max-w-[220px] truncate">{value}</td>
+                                  ))}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-slate-500">Nenhuma nota autorizada ou cancelada no período.</p>
+                      )}
+                      {preview.totals.notas > preview.rows.length && (
+                        <p className="text-xs text-slate-500">
+                          Mostrando {preview.rows.length} de {preview.totals.notas} notas.
+                        </p>
+                      )}
+
+                      {hasErrors ? (
+                        <div className="space-y-2">
+                          <div className="flex items-center gap-2 text-sm text-amber-400">
+                            <AlertTriangle className="w-4 h-4" />
+                            {preview.errors.length} problema(s) em {preview.totals.notas - preview.totals.validas} nota(s)
+                          </div>
+                          <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-slate-400">
+                            {preview.errors.map((error, index) => (
+                              <li key={`${error.invoice_id}-${error.field}-${index}`}>
+                                Nota {error.numero || "sem número"}: {error.message}
+                              </li>
+                            ))}
+                          </ul>
+                          <label className="flex items-center gap-2 text-sm text-slate-300 cursor-pointer">
+                            <input
+                              type="checkbox"
+                              checked={skipInvalid}
+                              onChange={(e) => setSkipInvalid(e.target.checked)}
+                              className="rounded border-white/20 bg-white/5"
+                            />
+                            Exportar sem as notas com problema
+                          </label>
+                        </div>
+                      ) : preview.totals.notas > 0 && (
+                        <div className="flex items-center gap-2 text-sm text-emerald-400">
+                          <CheckCircle className="w-4 h-4" />
+                          Todas as notas estão válidas para este layout
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+
+                <div className="h-px bg-gradient-to-r from-transparent via-white/10 to-transparent" />
+
+                <div className="flex gap-3 pt-2">
+                  <button
+                    onClick={onClose}
+                    disabled={isDownloading}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-slate-300 bg-white/[0.03] hover:bg-white/[0.08] border border-white/10 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Voltar
+                  </button>
+                  <button
+                    onClick={handleDownload}
+                    disabled={isDownloading || !preview || exportable === 0 || (hasErrors && !skipInvalid)}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-orange-300 bg-gradient-to-r from-orange-500/20 to-amber-500/20 hover:from-orange-500/30 hover:to-amber-500/30 border border-orange-500/30 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    <Download className={`w-4 h-4 ${isDownloading ? "animate-pulse" : ""}`} />
+                    <span>{isDownloading ? "Exportando..." : "Baixar arquivo"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+}
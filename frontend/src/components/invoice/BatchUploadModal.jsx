@@ -0,0 +1,390 @@
+// @ts-nocheck - UI components (Dialog, Select, etc.) lack proper .d.ts
+import React, { useState, useEffect } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { invoiceBatchesService } from "@/api/services";
+import { handleApiError } from "@/utils/errorHandler";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+import {
+  Upload,
+  FileSpreadsheet,
+  Download,
+  CheckCircle,
+  XCircle,
+  Clock,
+  AlertTriangle,
+  Loader2,
+  Send
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+export const batchItemStatusConfig = {
+  valid: { label: "Válida", icon: CheckCircle, color: "text-green-400" },
+  invalid: { label: "Inválida", icon: XCircle, color: "text-red-400" },
+  pending: { label: "Aguardando", icon: Clock, color: "text-slate-400" },
+  processing: { label: "Emitindo", icon: Loader2, color: "text-yellow-400" },
+  success: { label: "Emitida", icon: CheckCircle, color: "text-green-400" },
+  queued: { label: "Na fila", icon: Clock, color: "text-orange-400" },
+  error: { label: "Erro", icon: AlertTriangle, color: "text-red-400" },
+};
+
+export const batchStatusLabels = {
+  preview: "Aguardando confirmação",
+  processing: "Emitindo",
+  completed: "Concluído",
+  completed_with_errors: "Concluído com erros",
+  cancelled: "Cancelado",
+};
+
+export async function downloadBatchReport(batch) {
+  try {
+    const blob = await invoiceBatchesService.downloadReport(batch.id);
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `lote-${batch.id.slice(0, 8)}-resultado.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  } catch (error) {
+    await handleApiError(error, { operation: 'download_batch_report', batchId: batch.id });
+  }
+}
+
+const formatCurrency = (value) =>
+  value === null || value === undefined
+    ? '-'
+    : Number(value).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
+
+/**
+ * Bulk issuance dialog: upload a spreadsheet, review the validated rows,
+ * confirm the emission and follow its progress.
+ * Pass batchId to open an existing batch directly.
+ */
+export default function BatchUploadModal({ isOpen, onClose, companies = [], batchId = null }) {
+  const queryClient = useQueryClient();
+  const [companyId, setCompanyId] = useState("");
+  const [file, setFile] = useState(null);
+  const [activeBatchId, setActiveBatchId] = useState(batchId);
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setActiveBatchId(batchId);
+      setFile(null);
+      setWarnings([]);
+    }
+  }, [isOpen, batchId]);
+
+  useEffect(() => {
+    if (!companyId && companies.length > 0) {
+      setCompanyId(companies[0].id);
+    }
+  }, [companies, companyId]);
+
+  const { data: batch } = useQuery({
+    queryKey: ['invoiceBatch', activeBatchId],
+    queryFn: () => invoiceBatchesService.get(activeBatchId),
+    enabled: isOpen && !!activeBatchId,
+    refetchInterval: (query) => (query.state.data?.status === 'processing' ? 3000 : false),
+  });
+
+  useEffect(() => {
+    if (batch && batch.status !== 'processing' && batch.status !== 'preview') {
+      queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
+      queryClient.invalidateQueries({ queryKey: ['invoiceBatches'] });
+    }
+  }, [batch?.status, queryClient]);
+
+  const previewMutation = useMutation({
+    mutationFn: () => invoiceBatchesService.preview(file, companyId),
+    onSuccess: (result) => {
+      queryClient.setQueryData(['invoiceBatch', result.batch.id], result.batch);
+      queryClient.invalidateQueries({ queryKey: ['invoiceBatches'] });
+      setWarnings(result.warnings || []);
+      setActiveBatchId(result.batch.id);
+    },
+    onError: (error) => handleApiError(error, { operation: 'preview_invoice_batch' })
+  });
+
+  const confirmMutation = useMutation({
+    mutationFn: () => invoiceBatchesService.confirm(activeBatchId),
+    onSuccess: () => {
+      toast.success('Emissão em lote iniciada. Você pode acompanhar o progresso aqui.');
+      queryClient.invalidateQueries({ queryKey: ['invoiceBatch', activeBatchId] });
+      queryClient.invalidateQueries({ queryKey: ['invoiceBatches'] });
+    },
+    onError: (error) => handleApiError(error, { operation: 'confirm_invoice_batch', batchId: activeBatchId })
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: () => invoiceBatchesService.cancel(activeBatchId),
+    onSuccess: () => {
+      toast.success('Lote cancelado');
+      queryClient.invalidateQueries({ queryKey: ['invoiceBatches'] });
+      onClose();
+    },
+    onError: (error) => handleApiError(error, { operation: 'cancel_invoice_batch', batchId: activeBatchId })
+  });
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const blob = await invoiceBatchesService.downloadTemplate();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'modelo-emissao-em-lote.csv';
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      await handleApiError(error, { operation: 'download_batch_template' });
+    }
+  };
+
+  const isPreview = batch?.status === 'preview';
+  const isRunning = batch && batch.status !== 'preview';
+  const invalidRows = batch ? batch.total_rows - batch.valid_rows : 0;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className={cn(
+        "sm:max-w-[860px] max-h-[90vh] overflow-y-auto",
+        "bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900",
+        "border border-white/10"
+      )}>
+        <DialogHeader>
+          <DialogTitle className="text-xl font-bold text-white flex items-center gap-2">
+            <FileSpreadsheet className="w-5 h-5 text-orange-400" />
+            Emissão em Lote
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {!batch && 'Envie uma planilha CSV ou XLSX. Cada linha é validada antes de qualquer emissão.'}
+            {isPreview && `Planilha "${batch.file_name}" validada. Revise as linhas antes de emitir.`}
+            {isRunning && `${batch.file_name} · ${batchStatusLabels[batch.status] || batch.status}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {/* Upload step */}
+        {!activeBatchId && (
+          <div className="space-y-4 mt-2">
+            {companies.length > 1 && (
+              <div className="space-y-2">
+                <label className="text-sm text-gray-300">Empresa emissora</label>
+                <Select value={companyId} onValueChange={setCompanyId}>
+                  <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                    <SelectValue placeholder="Selecione a empresa" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {companies.map((company) => (
+                      <SelectItem key={company.id} value={company.id}>
+                        {company.nome_fantasia || company.razao_social}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
+            <label className={cn(
+              "flex flex-col items-center justify-center gap-3 p-8 rounded-2xl cursor-pointer",
+              "border-2 border-dashed border-white/15 hover:border-orange-500/40 bg-white/5 transition-colors"
+            )}>
+              <Upload className="w-8 h-8 text-orange-400" />
+              <span className="text-white font-medium">
+                {file ? file.name : 'Clique para selecionar a planilha'}
+              </span>
+              <span className="text-xs text-gray-400">
+                Colunas obrigatórias: cliente_nome, cliente_documento, valor · até 500 linhas
+              </span>
+              <input
+                type="file"
+                accept=".csv,.xlsx"
+                className="hidden"
+                onChange={(e) => setFile(e.target.files?.[0] || null)}
+              />
+            </label>
+
+            <button
+              type="button"
+              onClick={handleDownloadTemplate}
+              className="text-sm text-orange-400 hover:text-orange-300 flex items-center gap-1"
+            >
+              <Download className="w-4 h-4" />
+              Baixar planilha modelo
+            </button>
+          </div>
+        )}
+
+        {/* Batch summary */}
+        {batch && (
+          <div className="space-y-4 mt-2">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {(isPreview
+                ? [
+                    { label: "Linhas", value: batch.total_rows, color: "text-white" },
+                    { label: "Válidas", value: batch.valid_rows, color: "text-green-400" },
+                    { label: "Inválidas", value: invalidRows, color: "text-red-400" },
+                  ]
+                : [
+                    { label: "Emitidas", value: batch.success_count, color: "text-green-400" },
+                    { label: "Na fila", value: batch.queued_count, color: "text-orange-400" },
+                    { label: "Com erro", value: batch.error_count, color: "text-red-400" },
+                    { label: "Progresso", value: `${batch.progress}%`, color: "text-white" },
+                  ]
+              ).map((stat) => (
+                <div key={stat.label} className="rounded-xl p-3 bg-white/5 border border-white/10">
+                  <p className="text-xs text-gray-400">{stat.label}</p>
+                  <p className={cn("text-xl font-bold", stat.color)}>{stat.value}</p>
+                </div>
+              ))}
+            </div>
+
+            {isRunning && (
+              <div className="h-2 rounded-full bg-white/10 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-orange-500 to-amber-400 transition-all duration-500"
+                  style={{ width: `${batch.progress}%` }}
+                />
+              </div>
+            )}
+
+            {warnings.length > 0 && isPreview && (
+              <div className="p-3 rounded-xl bg-amber-500/10 border border-amber-500/20 text-sm text-amber-200 space-y-1">
+                {warnings.map((warning) => (
+                  <p key={warning} className="flex items-start gap-2">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                    {warning}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {/* Rows */}
+            <div className="rounded-xl border border-white/10 overflow-hidden">
+              <div className="max-h-[40vh] overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-white/5 text-gray-400 text-xs uppercase sticky top-0">
+                    <tr>
+                      <th className="text-left px-3 py-2">Linha</th>
+                      <th className="text-left px-3 py-2">Cliente</th>
+                      <th className="text-right px-3 py-2">Valor</th>
+                      <th className="text-left px-3 py-2">Status</th>
+                      <th className="text-left px-3 py-2">Resultado</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-white/5">
+                    {(batch.items || []).map((item) => {
+                      const config = batchItemStatusConfig[item.status] || batchItemStatusConfig.pending;
+                      const StatusIcon = config.icon;
+                      const messages = item.error_message ? [item.error_message] : item.errors;
+                      return (
+                        <tr key={item.id} className="text-gray-200 align-top">
+                          <td className="px-3 py-2 text-gray-400">{item.row_number}</td>
+                          <td className="px-3 py-2">
+                            <p className="text-white">{item.data.cliente_nome || '-'}</p>
+                            <p className="text-xs text-gray-400">{item.data.cliente_documento}</p>
+                          </td>
+                          <td className="px-3 py-2 text-right whitespace-nowrap">{formatCurrency(item.data.valor)}</td>
+                          <td className="px-3 py-2">
+                            <span className={cn("flex items-center gap-1 whitespace-nowrap", config.color)}>
+                              <StatusIcon className={cn("w-4 h-4", item.status === 'processing' && "animate-spin")} />
+                              {config.label}
+                            </span>
+                          </td>
+                          <td className="px-3 py-2 text-xs">
+                            {item.numero && (
+                              <p className="text-green-300">
+                                Nº {item.numero}{item.codigo_verificacao && ` · ${item.codigo_verificacao}`}
+                              </p>
+                            )}
+                            {messages?.map((message) => (
+                              <p key={message} className="text-red-300">{message}</p>
+                            ))}
+                            {item.warnings?.map((warning) => (
+                              <p key={warning} className="text-amber-300">{warning}</p>
+                            ))}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <DialogFooter className="gap-2 mt-4">
+          {!activeBatchId && (
+            <>
+              <Button variant="ghost" onClick={onClose} className="text-gray-400 hover:text-white">
+                Cancelar
+              </Button>
+              <Button
+                onClick={() => previewMutation.mutate()}
+                disabled={!file || !companyId || previewMutation.isPending}
+                className="bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+              >
+                {previewMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Upload className="w-4 h-4 mr-2" />}
+                Validar planilha
+              </Button>
+            </>
+          )}
+          {isPreview && (
+            <>
+              <Button
+                variant="ghost"
+                onClick={() => cancelMutation.mutate()}
+                disabled={cancelMutation.isPending}
+                className="text-gray-400 hover:text-white"
+              >
+                Descartar lote
+              </Button>
+              <Button
+                onClick={() => confirmMutation.mutate()}
+                disabled={batch.valid_rows === 0 || confirmMutation.isPending}
+                className="bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+              >
+                {confirmMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+                Emitir {batch.valid_rows} nota{batch.valid_rows !== 1 ? 's' : ''}
+              </Button>
+            </>
+          )}
+          {isRunning && (
+            <>
+              <Button variant="ghost" onClick={onClose} className="text-gray-400 hover:text-white">
+                Fechar
+              </Button>
+              <Button
+                onClick={() => downloadBatchReport(batch)}
+                disabled={batch.status === 'processing'}
+                className="bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+              >
+                <Download className="w-4 h-4 mr-2" />
+                Baixar relatório
+              </Button>
+            </>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
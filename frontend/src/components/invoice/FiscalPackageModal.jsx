@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { format, subMonths } from "date-fns";
+import { X, Package, Download, Info, Mail } from "lucide-react";
+import { companiesService } from "@/api/services";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+
+const inputClassName = "w-full px-4 py-3 bg-white/[0.03] hover:bg-white/[0.05] border border-white/10 focus:border-orange-500/50 rounded-xl text-white placeholder:text-slate-600 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-orange-500/20";
+
+/**
+ * Download the monthly fiscal package (ZIP with the XML and PDF of every authorized and
+ * cancelled invoice of the competência, plus the summary) for the accountant
+ */
+export default function FiscalPackageModal({ companies, defaultCompanyId, isOpen, onClose }) {
+  const [companyId, setCompanyId] = useState("");
+  const [competencia, setCompetencia] = useState("");
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCompanyId(defaultCompanyId && defaultCompanyId !== "all" ? defaultCompanyId : companies[0]?.id || "");
+      setCompetencia(format(subMonths(new Date(), 1), "yyyy-MM"));
+    }
+  }, [isOpen, defaultCompanyId, companies]);
+
+  if (!isOpen) return null;
+
+  const company = companies.find((c) => c.id === companyId);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const blob = await companiesService.downloadFiscalPackage(companyId, competencia);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `pacote-fiscal-${company?.cnpj || companyId}-${competencia}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success("Pacote fiscal baixado");
+      onClose();
+    } catch (error) {
+      await handleApiError(error, { operation: 'download_fiscal_package', companyId, competencia });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="absolute inset-0 bg-black/70 backdrop-blur-md"
+          onClick={onClose}
+        />
+
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 30 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 30 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="relative bg-gradient-to-b from-[#1a1525] via-[#151020] to-[#0f0a18] border border-white/10 rounded-3xl overflow-hidden shadow-2xl">
+            <div className="absolute top-0 left-8 right-8 h-px bg-gradient-to-r from-transparent via-orange-500/50 to-transparent" />
+
+            <div className="relative p-6 sm:p-8">
+              {/* Header */}
+              <div className="flex items-start justify-between mb-6">
+                <div className="flex items-center gap-4">
+                  <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-orange-500/20 to-amber-600/10 border border-orange-500/30 flex items-center justify-center">
+                    <Package className="w-7 h-7 text-orange-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-bold text-white mb-1">Pacote do Mês</h3>
+                    <p className="text-sm text-slate-400">XMLs, PDFs e resumo para o contador</p>
+                  </div>
+                </div>
+                <button
+                  onClick={onClose}
+                  className="w-10 h-10 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center text-slate-400 hover:text-white transition-all duration-200"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <div className="space-y-5">
+                <div className="flex items-start gap-3 p-4 rounded-xl bg-white/[0.02] border border-white/5">
+                  <Info className="w-4 h-4 text-slate-500 mt-0.5 flex-shrink-0" />
+                  <p className="text-xs text-slate-400">
+                    Arquivo ZIP com o XML e o PDF de cada nota autorizada ou cancelada na competência (mês da prestação do serviço)
+                    e um resumo em CSV e JSON com os totais por status, ISS retido e código de serviço.
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-white">Empresa</label>
+                  <select
+                    value={companyId}
+                    onChange={(e) => setCompanyId(e.target.value)}
+                    className={`${inputClassName} bg-[#151020]`}
+                  >
+                    {companies.map((c) => (
+                      <option key={c.id} value={c.id}>
+                        {c.nome_fantasia || c.razao_social}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-white">Competência</label>
+                  <input
+                    type="month"
+                    value={competencia}
+                    max={format(new Date(), "yyyy-MM")}
+                    onChange={(e) => setCompetencia(e.target.value)}
+                    className={inputClassName}
+                  />
+                </div>
+
+                {company?.pacote_mensal_ativo && company?.contador_email && (
+                  <div className="flex items-center gap-2 text-xs text-emerald-400">
+                    <Mail className="w-4 h-4" />
+                    Enviado automaticamente para {company.contador_email} todo dia 1º
+                  </div>
+                )}
+
+                <div className="h-px bg-gradient-to-r from-transparent via-white/10 to-transparent" />
+
+                <div className="flex gap-3 pt-2">
+                  <button
+                    onClick={onClose}
+                    disabled={isDownloading}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-slate-300 bg-white/[0.03] hover:bg-white/[0.08] border border-white/10 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Voltar
+                  </button>
+                  <button
+                    onClick={handleDownload}
+                    disabled={isDownloading || !companyId || !competencia}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-orange-300 bg-gradient-to-r from-orange-500/20 to-amber-500/20 hover:from-orange-500/30 hover:to-amber-500/30 border border-orange-500/30 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    <Download className={`w-4 h-4 ${isDownloading ? "animate-pulse" : ""}`} />
+                    <span>{isDownloading ? "Gerando pacote..." : "Baixar pacote"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { Mail, Send, Loader2, CheckCircle, XCircle, MinusCircle } from "lucide-react";
+import { invoicesService } from "@/api/services";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+const deliveryStatusConfig = {
+  sent: { label: "Enviado", icon: CheckCircle, color: "text-green-400" },
+  failed: { label: "Falhou", icon: XCircle, color: "text-red-400" },
+  skipped: { label: "Não enviado", icon: MinusCircle, color: "text-slate-400" },
+  sending: { label: "Enviando", icon: Loader2, color: "text-blue-400" },
+};
+
+const triggerLabels = {
+  authorized: "Automático",
+  manual: "Reenvio",
+  overdue_reminder: "Lembrete de cobrança",
+};
+
+/**
+ * Email delivery log of an authorized invoice, with the "resend to client" action
+ */
+export default function InvoiceEmailDeliveries({ invoice }) {
+  const [email, setEmail] = useState("");
+  const [isSending, setIsSending] = useState(false);
+  const queryClient = useQueryClient();
+
+  const { data: deliveries = [], isLoading } = useQuery({
+    queryKey: ['invoiceDeliveries', invoice.id],
+    queryFn: () => invoicesService.getDeliveries(invoice.id),
+  });
+
+  const handleResend = async () => {
+    setIsSending(true);
+    try {
+      const result = await invoicesService.sendToClient(invoice.id, email.trim() || undefined);
+      toast.success(result.message || "Nota fiscal enviada ao cliente");
+      setEmail("");
+    } catch (error) {
+      await handleApiError(error, { operation: 'send_invoice_email', invoiceId: invoice.id });
+    } finally {
+      queryClient.invalidateQueries({ queryKey: ['invoiceDeliveries', invoice.id] });
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-white/5">
+      <div className="flex items-center gap-2 mb-3">
+        <Mail className="w-4 h-4 text-gray-400" />
+        <p className="text-sm text-white font-medium">Envio ao cliente</p>
+      </div>
+
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Carregando histórico...</p>
+      ) : deliveries.length === 0 ? (
+        <p className="text-xs text-gray-500">Esta nota ainda não foi enviada por email.</p>
+      ) : (
+        <ul className="space-y-2">
+          {deliveries.map((delivery) => {
+            const config = deliveryStatusConfig[delivery.status] || deliveryStatusConfig.skipped;
+            const StatusIcon = config.icon;
+            return (
+              <li key={delivery.id} className="flex items-start gap-2 text-xs">
+                <StatusIcon className={`w-4 h-4 shrink-0 ${config.color}`} />
+                <div>
+                  <p className="text-gray-300">
+                    {config.label} · {triggerLabels[delivery.trigger] || delivery.trigger}
+                    {delivery.recipient && <span className="text-gray-400"> · {delivery.recipient}</span>}
+                    <span className="text-gray-500"> · {format(new Date(delivery.created_at), "dd/MM/yyyy HH:mm")}</span>
+                  </p>
+                  {delivery.error && <p className="text-gray-500">{delivery.error}</p>}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3 mt-4">
+        <Input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email do cliente cadastrado"
+          className="bg-white/5 border-white/10 text-white placeholder:text-gray-500 sm:max-w-xs"
+        />
+        <Button
+          variant="outline"
+          className="bg-transparent border-white/10 text-white hover:bg-white/5"
+          onClick={handleResend}
+          disabled={isSending}
+        >
+          {isSending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+          Reenviar ao cliente
+        </Button>
+      </div>
+    </div>
+  );
+}
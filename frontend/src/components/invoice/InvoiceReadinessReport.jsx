@@ -0,0 +1,98 @@
+import React, { useState } from "react";
+import { ShieldCheck, CheckCircle, AlertTriangle, XCircle, Loader2, ChevronDown, ChevronUp } from "lucide-react";
+
+const readinessStatusConfig = {
+  pass: { icon: CheckCircle, color: "text-green-400" },
+  warn: { icon: AlertTriangle, color: "text-amber-400" },
+  fail: { icon: XCircle, color: "text-red-400" },
+};
+
+const reportStyles = {
+  pass: { box: "bg-green-500/5 border-green-500/20", title: "Pronta para emissão" },
+  warn: { box: "bg-amber-500/5 border-amber-500/30", title: "Pronta para emissão, com avisos" },
+  fail: { box: "bg-red-500/10 border-red-500/30", title: "A nota não pode ser emitida" },
+};
+
+function ReadinessCheck({ check }) {
+  const config = readinessStatusConfig[check.status] || readinessStatusConfig.warn;
+  const Icon = config.icon;
+  return (
+    <li className="flex items-start gap-2">
+      <Icon className={`w-3.5 h-3.5 mt-0.5 shrink-0 ${config.color}`} />
+      <div className="min-w-0">
+        <p className="text-[11px] text-gray-300">
+          <span className="font-semibold text-white">{check.label}:</span> {check.message}
+        </p>
+        {check.status !== "pass" && check.action && (
+          <p className="text-[11px] text-gray-500 mt-0.5">{check.action}</p>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Pre-emission readiness report: failures and warnings first, passed checks on demand
+ */
+export default function InvoiceReadinessReport({ report, isLoading, error }) {
+  const [showPassed, setShowPassed] = useState(false);
+
+  if (isLoading) {
+    return (
+      <div className="mt-3 flex items-center gap-2 text-xs text-gray-400">
+        <Loader2 className="w-3.5 h-3.5 animate-spin" />
+        Verificando se a nota pode ser emitida...
+      </div>
+    );
+  }
+
+  if (error || !report) {
+    return error ? (
+      <p className="mt-3 text-xs text-gray-500">
+        Não foi possível verificar a nota antes da emissão. A prefeitura validará os dados ao emitir.
+      </p>
+    ) : null;
+  }
+
+  const style = reportStyles[report.status] || reportStyles.warn;
+  const issues = report.checks.filter((check) => check.status !== "pass");
+  const passed = report.checks.filter((check) => check.status === "pass");
+
+  return (
+    <div className={`mt-3 p-3 rounded-xl border space-y-2 ${style.box}`}>
+      <div className="flex items-center justify-between gap-2">
+        <div className={`flex items-center gap-1.5 text-xs font-semibold ${readinessStatusConfig[report.status]?.color || "text-white"}`}>
+          <ShieldCheck className="w-3.5 h-3.5" />
+          {style.title}
+        </div>
+        <span className="text-[11px] text-gray-500">
+          {report.summary.pass} ok · {report.summary.warn} aviso(s) · {report.summary.fail} erro(s)
+        </span>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className="space-y-1.5">
+          {issues.map((check) => <ReadinessCheck key={check.id} check={check} />)}
+        </ul>
+      )}
+
+      {passed.length > 0 && (
+        <>
+          <button
+            type="button"
+            onClick={() => setShowPassed((value) => !value)}
+            className="flex items-center gap-1 text-[11px] text-gray-400 hover:text-white"
+          >
+            {showPassed ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+            {showPassed ? "Ocultar" : "Ver"} {passed.length} verificação(ões) aprovada(s)
+          </button>
+          {showPassed && (
+            <ul className="space-y-1.5">
+              {passed.map((check) => <ReadinessCheck key={check.id} check={check} />)}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
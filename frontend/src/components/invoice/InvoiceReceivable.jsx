@@ -0,0 +1,281 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { Wallet, CheckCircle, Loader2, Trash2, Plus, Copy, QrCode } from "lucide-react";
+import { receivablesService, invoicesService } from "@/api/services";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+
+const paymentMethods = [
+  { value: "pix", label: "PIX" },
+  { value: "boleto", label: "Boleto" },
+  { value: "transferencia", label: "Transferência" },
+  { value: "cartao", label: "Cartão" },
+  { value: "dinheiro", label: "Dinheiro" },
+  { value: "outro", label: "Outro" },
+];
+
+export const paymentStatusConfig = {
+  pending: { label: "A receber", color: "text-yellow-400", bg: "bg-yellow-500/20" },
+  partial: { label: "Pago parcialmente", color: "text-orange-400", bg: "bg-orange-500/20" },
+  paid: { label: "Pago", color: "text-green-400", bg: "bg-green-500/20" },
+};
+
+const inputClassName = "bg-white/5 border-white/10 text-white placeholder:text-gray-500";
+
+const formatCurrency = (value) =>
+  `R$ ${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Dates come back as ISO strings at UTC midnight; read only the date part
+const formatDate = (value) => (value ? format(new Date(String(value).slice(0, 10) + "T12:00:00"), "dd/MM/yyyy") : "---");
+
+/**
+ * Receivable panel of an authorized invoice: due date, payments, PIX charge and the "mark as paid" action
+ */
+export default function InvoiceReceivable({ invoice }) {
+  const [valor, setValor] = useState("");
+  const [dataPagamento, setDataPagamento] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [formaPagamento, setFormaPagamento] = useState("pix");
+  const [isSaving, setIsSaving] = useState(false);
+  const [showQrCode, setShowQrCode] = useState(false);
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['invoicePayments', invoice.id],
+    queryFn: () => receivablesService.getPayments(invoice.id),
+  });
+
+  const { data: pixCharge, isLoading: isLoadingQrCode } = useQuery({
+    queryKey: ['invoicePix', invoice.id, data?.receivable.saldo],
+    queryFn: () => invoicesService.getPix(invoice.id),
+    enabled: showQrCode && Boolean(data?.pix),
+  });
+
+  const handleCopyPix = async () => {
+    try {
+      await navigator.clipboard.writeText(data.pix.copia_e_cola);
+      toast.success("Código PIX copiado");
+    } catch {
+      toast.error("Não foi possível copiar o código");
+    }
+  };
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['invoicePayments', invoice.id] });
+    queryClient.invalidateQueries({ queryKey: ['invoices'] });
+    queryClient.invalidateQueries({ queryKey: ['receivablesAging'] });
+    queryClient.invalidateQueries({ queryKey: ['receivablesClients'] });
+  };
+
+  /** @param {boolean} fullBalance */
+  const handleRegister = async (fullBalance) => {
+    setIsSaving(true);
+    try {
+      const result = await receivablesService.registerPayment(invoice.id, {
+        valor: fullBalance || !valor ? undefined : parseFloat(valor.replace(',', '.')),
+        data_pagamento: dataPagamento || undefined,
+        forma_pagamento: /** @type {import("@/api/services/receivables").PaymentMethod} */ (formaPagamento),
+      });
+      toast.success(result.message || "Pagamento registrado");
+      setValor("");
+      refresh();
+    } catch (error) {
+      await handleApiError(error, { operation: 'register_payment', invoiceId: invoice.id });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /** @param {string} paymentId */
+  const handleDelete = async (paymentId) => {
+    try {
+      await receivablesService.deletePayment(invoice.id, paymentId);
+      toast.success("Pagamento removido");
+      refresh();
+    } catch (error) {
+      await handleApiError(error, { operation: 'delete_payment', invoiceId: invoice.id });
+    }
+  };
+
+  /** @param {string} value */
+  const handleDueDateChange = async (value) => {
+    try {
+      await receivablesService.updateDueDate(invoice.id, value || null);
+      toast.success("Vencimento atualizado");
+      refresh();
+    } catch (error) {
+      await handleApiError(error, { operation: 'update_due_date', invoiceId: invoice.id });
+    }
+  };
+
+  if (isLoading || !data) {
+    return (
+      <div className="mt-6 pt-6 border-t border-white/5">
+        <p className="text-xs text-gray-500">Carregando recebimentos...</p>
+      </div>
+    );
+  }
+
+  const { receivable, payments } = data;
+  const status = paymentStatusConfig[receivable.payment_status] || paymentStatusConfig.pending;
+
+  return (
+    <div className="mt-6 pt-6 border-t border-white/5">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <Wallet className="w-4 h-4 text-gray-400" />
+          <p className="text-sm text-white font-medium">Recebimento</p>
+        </div>
+        <span className={`px-2 py-0.5 rounded-full text-xs ${status.bg} ${status.color}`}>
+          {status.label}
+          {receivable.dias_em_atraso > 0 && receivable.saldo > 0 && ` · ${receivable.dias_em_atraso} dia(s) em atraso`}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <div>
+          <p className="text-xs text-gray-500 mb-1">Vencimento</p>
+          <Input
+            type="date"
+            defaultValue={receivable.data_vencimento ? String(receivable.data_vencimento).slice(0, 10) : ""}
+            onBlur={(e) => {
+              const current = receivable.data_vencimento ? String(receivable.data_vencimento).slice(0, 10) : "";
+              if (e.target.value !== current) handleDueDateChange(e.target.value);
+            }}
+            className={`${inputClassName} h-8 text-sm`}
+          />
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 mb-1">Valor a receber</p>
+          <p className="text-sm text-white">{formatCurrency(receivable.valor_a_receber)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 mb-1">Recebido</p>
+          <p className="text-sm text-green-400">{formatCurrency(receivable.valor_pago)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500 mb-1">Saldo</p>
+          <p className="text-sm text-white font-medium">{formatCurrency(receivable.saldo)}</p>
+        </div>
+      </div>
+
+      {payments.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {payments.map((payment) => (
+            <li key={payment.id} className="flex items-center gap-2 text-xs">
+              <CheckCircle className="w-4 h-4 shrink-0 text-green-400" />
+              <span className="text-gray-300 flex-1">
+                {formatCurrency(payment.valor)} · {paymentMethods.find(m => m.value === payment.forma_pagamento)?.label || payment.forma_pagamento}
+                <span className="text-gray-500"> · {formatDate(payment.data_pagamento)}</span>
+                {payment.observacao && <span className="text-gray-500"> · {payment.observacao}</span>}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleDelete(payment.id)}
+                className="text-gray-500 hover:text-red-400"
+                title="Remover pagamento"
+              >
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {data.pix && receivable.saldo > 0 && (
+        <div className="rounded-lg bg-white/5 border border-white/10 p-3 mb-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-xs text-gray-400">
+              Cobrança PIX · {formatCurrency(data.pix.valor)} · txid {data.pix.txid}
+            </p>
+            <button
+              type="button"
+              onClick={() => setShowQrCode(!showQrCode)}
+              className="flex items-center gap-1 text-xs text-orange-400 hover:text-orange-300"
+            >
+              <QrCode className="w-3.5 h-3.5" />
+              {showQrCode ? "Ocultar QR Code" : "Mostrar QR Code"}
+            </button>
+          </div>
+          {showQrCode && (
+            <div className="mb-3">
+              {isLoadingQrCode || !pixCharge?.qr_code ? (
+                <p className="text-xs text-gray-500">Gerando QR Code...</p>
+              ) : (
+                <img src={pixCharge.qr_code} alt="QR Code PIX" className="w-40 h-40 rounded bg-white p-1" />
+              )}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <Input
+              readOnly
+              value={data.pix.copia_e_cola}
+              onFocus={(e) => e.target.select()}
+              className={`${inputClassName} h-8 text-xs font-mono`}
+            />
+            <Button
+              variant="outline"
+              size="sm"
+              className="bg-transparent border-white/10 text-white hover:bg-white/5"
+              onClick={handleCopyPix}
+            >
+              <Copy className="w-3.5 h-3.5 mr-1" />
+              Copiar
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {receivable.saldo > 0 && (
+        <div className="flex flex-col sm:flex-row gap-3">
+          <Input
+            type="text"
+            inputMode="decimal"
+            value={valor}
+            onChange={(e) => setValor(e.target.value)}
+            placeholder="Valor parcial (opcional)"
+            className={`${inputClassName} sm:max-w-[180px]`}
+          />
+          <Input
+            type="date"
+            value={dataPagamento}
+            onChange={(e) => setDataPagamento(e.target.value)}
+            className={`${inputClassName} sm:max-w-[160px]`}
+          />
+          <select
+            value={formaPagamento}
+            onChange={(e) => setFormaPagamento(e.target.value)}
+            className="h-9 rounded-md border px-3 text-sm bg-[#151020] border-white/10 text-white"
+          >
+            {paymentMethods.map((method) => (
+              <option key={method.value} value={method.value}>{method.label}</option>
+            ))}
+          </select>
+          {valor ? (
+            <Button
+              variant="outline"
+              className="bg-transparent border-white/10 text-white hover:bg-white/5"
+              onClick={() => handleRegister(false)}
+              disabled={isSaving}
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Plus className="w-4 h-4 mr-2" />}
+              Registrar pagamento
+            </Button>
+          ) : (
+            <Button
+              variant="outline"
+              className="bg-transparent border-green-500/30 text-green-400 hover:bg-green-500/10 hover:text-green-300"
+              onClick={() => handleRegister(true)}
+              disabled={isSaving}
+            >
+              {isSaving ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle className="w-4 h-4 mr-2" />}
+              Marcar como paga
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import React from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useQuery } from "@tanstack/react-query";
+import { format } from "date-fns";
+import { History, Clock, CheckCircle, XCircle, AlertTriangle, RefreshCw, Radio, Loader2, X } from "lucide-react";
+import { invoicesService } from "@/api/services";
+
+const timelineStatusConfig = {
+  rascunho: { label: "Rascunho", icon: Clock, color: "text-slate-400", dot: "bg-slate-500" },
+  processando: { label: "Processando", icon: Clock, color: "text-yellow-400", dot: "bg-yellow-500" },
+  autorizada: { label: "Autorizada", icon: CheckCircle, color: "text-green-400", dot: "bg-green-500" },
+  rejeitada: { label: "Rejeitada", icon: XCircle, color: "text-red-400", dot: "bg-red-500" },
+  cancelada: { label: "Cancelada", icon: XCircle, color: "text-slate-400", dot: "bg-slate-500" },
+  erro: { label: "Erro", icon: AlertTriangle, color: "text-orange-400", dot: "bg-orange-500" },
+  substituida: { label: "Substituída", icon: RefreshCw, color: "text-blue-400", dot: "bg-blue-500" },
+};
+
+const formatDateTime = (value) => (value ? format(new Date(value), "dd/MM/yyyy HH:mm") : "---");
+
+/**
+ * Polling schedule of an invoice still waiting for the prefeitura
+ */
+function PollingSchedule({ polling }) {
+  if (!polling.is_polling) {
+    return polling.attempts > 0 ? (
+      <p className="text-xs text-gray-500">
+        Consulta automática encerrada após {polling.attempts} verificação(ões).
+      </p>
+    ) : null;
+  }
+
+  return (
+    <div className="p-3 rounded-xl bg-yellow-500/10 border border-yellow-500/20 space-y-1">
+      <div className="flex items-center gap-2 text-sm text-yellow-300">
+        <Radio className="w-4 h-4 animate-pulse" />
+        Consultando a prefeitura a cada {polling.interval_minutes} min
+      </div>
+      <p className="text-xs text-gray-400">
+        Próxima consulta: {polling.next_poll_at ? format(new Date(polling.next_poll_at), "HH:mm") : "em instantes"}
+        {" "}(verificações a cada {polling.cycle_minutes} min) · tentativa {polling.attempts} de {polling.max_attempts}
+      </p>
+      {polling.polling_ends_at && (
+        <p className="text-xs text-gray-500">
+          Sem resposta até {formatDateTime(polling.polling_ends_at)}, a consulta automática é encerrada.
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Status timeline of an invoice: emission, prefeitura notifications, automatic checks and
+ * manual actions, with the explanation of rejections and errors
+ */
+export function InvoiceTimeline({ invoiceId, enabled = true }) {
+  const { data: history, isLoading, error } = useQuery({
+    queryKey: ["invoiceHistory", invoiceId],
+    queryFn: () => invoicesService.getHistory(invoiceId),
+    enabled: enabled && Boolean(invoiceId),
+    refetchInterval: (query) => (query.state.data?.polling?.is_polling ? 60000 : false),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-400">
+        <Loader2 className="w-4 h-4 animate-spin" />
+        Carregando histórico...
+      </div>
+    );
+  }
+
+  if (error || !history) {
+    return <p className="text-sm text-red-400">Não foi possível carregar o histórico desta nota.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <PollingSchedule polling={history.polling} />
+
+      {history.timeline.length === 0 ? (
+        <p className="text-sm text-gray-500">Nenhuma alteração de status registrada.</p>
+      ) : (
+        <ol className="relative border-l border-white/10 ml-2 space-y-5">
+          {history.timeline.map((entry) => {
+            const config = timelineStatusConfig[entry.status] || timelineStatusConfig.processando;
+            const Icon = config.icon;
+            return (
+              <li key={entry.id} className="ml-4">
+                <span className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${config.dot}`} />
+                <div className="flex items-center gap-2 flex-wrap">
+                  <Icon className={`w-4 h-4 ${config.color}`} />
+                  <span className={`text-sm font-medium ${config.color}`}>{config.label}</span>
+                  {entry.status_changed && entry.previous_status && (
+                    <span className="text-xs text-gray-500">
+                      (antes: {timelineStatusConfig[entry.previous_status]?.label || entry.previous_status})
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {formatDateTime(entry.created_at)} · {entry.source_label}
+                  {entry.check_count > 1 && ` · ${entry.check_count} verificações até ${format(new Date(entry.last_checked_at), "HH:mm")}`}
+                </p>
+                {entry.message && !entry.translated_error && (
+                  <p className="text-sm text-gray-300 mt-1">{entry.message}</p>
+                )}
+                {entry.translated_error && (
+                  <div className="mt-2 p-3 rounded-lg bg-red-500/10 border border-red-500/20">
+                    <p className="text-sm text-red-300 whitespace-pre-line">{entry.translated_error}</p>
+                    {entry.error && (
+                      <p className="text-xs text-gray-500 mt-2 font-mono break-words">{entry.error}</p>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Side drawer with the status timeline of an invoice
+ */
+export default function InvoiceTimelineDrawer({ invoice, open, onClose }) {
+  return (
+    <AnimatePresence>
+      {open && invoice && (
+        <div className="fixed inset-0 z-50 flex justify-end">
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.2 }}
+            className="absolute inset-0 bg-black/70 backdrop-blur-md"
+            onClick={onClose}
+          />
+
+          <motion.div
+            initial={{ x: "100%" }}
+            animate={{ x: 0 }}
+            exit={{ x: "100%" }}
+            transition={{ type: "spring", damping: 30, stiffness: 300 }}
+            className="relative w-full sm:max-w-md h-full overflow-y-auto bg-gradient-to-b from-[#1a1525] via-[#151020] to-[#0f0a18] border-l border-white/10 shadow-2xl"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="p-6">
+              <div className="flex items-start justify-between mb-6">
+                <div>
+                  <h3 className="flex items-center gap-2 text-lg font-bold text-white">
+                    <History className="w-5 h-5 text-orange-400" />
+                    Histórico da nota
+                  </h3>
+                  <p className="text-sm text-slate-400 mt-1">
+                    {invoice.numero ? `NFS-e ${invoice.numero}` : "Nota sem número"}
+                    {invoice.cliente_nome ? ` · ${invoice.cliente_nome}` : ""}
+                  </p>
+                </div>
+                <button
+                  onClick={onClose}
+                  className="w-10 h-10 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center text-slate-400 hover:text-white transition-all duration-200"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <InvoiceTimeline invoiceId={invoice.id} enabled={open} />
+            </div>
+          </motion.div>
+        </div>
+      )}
+    </AnimatePresence>
+  );
+}
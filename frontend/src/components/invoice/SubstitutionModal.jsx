@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+import { X, RefreshCw, AlertCircle, CheckCircle, Info } from "lucide-react";
+import { invoicesService } from "@/api/services";
+import { toast } from "sonner";
+import { handleApiError } from "@/utils/errorHandler";
+
+// cMotivo codes accepted by the NFS-e Nacional for substitutions
+const substitutionReasons = [
+  { value: "01", label: "Desenquadramento de NFS-e do Simples Nacional" },
+  { value: "02", label: "Enquadramento de NFS-e no Simples Nacional" },
+  { value: "03", label: "Inclusão retroativa de imunidade/isenção" },
+  { value: "04", label: "Exclusão retroativa de imunidade/isenção" },
+  { value: "05", label: "Rejeição de NFS-e pelo tomador ou intermediário" },
+  { value: "99", label: "Outros" },
+];
+
+const minChars = 15;
+
+const inputClassName = "w-full px-4 py-3 bg-white/[0.03] hover:bg-white/[0.05] border border-white/10 focus:border-orange-500/50 rounded-xl text-white placeholder:text-slate-600 transition-all duration-200 focus:outline-none focus:ring-2 focus:ring-orange-500/20";
+
+export default function SubstitutionModal({ invoice, isOpen, onClose, onSuccess }) {
+  const [codigoMotivo, setCodigoMotivo] = useState("99");
+  const [motivo, setMotivo] = useState("");
+  const [valor, setValor] = useState("");
+  const [descricao, setDescricao] = useState("");
+  const [aliquotaIss, setAliquotaIss] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && invoice) {
+      setCodigoMotivo("99");
+      setMotivo("");
+      setValor(invoice.valor != null ? String(invoice.valor) : "");
+      setDescricao(invoice.descricao_servico || "");
+      setAliquotaIss(invoice.aliquota_iss != null ? String(invoice.aliquota_iss) : "");
+    }
+  }, [isOpen, invoice]);
+
+  if (!isOpen) return null;
+
+  const requiresMotivo = codigoMotivo === "99";
+  const isMotivoValid = !requiresMotivo || motivo.trim().length >= minChars;
+  const parsedValor = parseFloat(String(valor).replace(",", "."));
+  const isValorValid = !isNaN(parsedValor) && parsedValor > 0;
+
+  const handleSubmit = async () => {
+    if (!isMotivoValid) {
+      toast.error(`O motivo da substituição deve ter pelo menos ${minChars} caracteres`);
+      return;
+    }
+    if (!isValorValid) {
+      toast.error("Informe um valor válido");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      /** @type {{ codigo_motivo: string; motivo?: string; valor?: number; descricao_servico?: string; aliquota_iss?: number }} */
+      const payload = {
+        codigo_motivo: codigoMotivo,
+        ...(motivo.trim() && { motivo: motivo.trim() }),
+      };
+      if (parsedValor !== parseFloat(invoice.valor)) payload.valor = parsedValor;
+      if (descricao.trim() && descricao.trim() !== invoice.descricao_servico) payload.descricao_servico = descricao.trim();
+      const parsedAliquota = parseFloat(String(aliquotaIss).replace(",", "."));
+      if (!isNaN(parsedAliquota) && parsedAliquota !== parseFloat(invoice.aliquota_iss)) payload.aliquota_iss = parsedAliquota;
+
+      const result = await invoicesService.substitute(invoice.id, payload);
+      toast.success(result.message || "Substituição enviada");
+      onSuccess?.();
+      onClose();
+    } catch (error) {
+      await handleApiError(error, { operation: "substitute_invoice", invoiceId: invoice.id });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        {/* Backdrop with blur */}
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="absolute inset-0 bg-black/70 backdrop-blur-md"
+          onClick={onClose}
+        />
+
+        {/* Modal */}
+        <motion.div
+          initial={{ opacity: 0, scale: 0.9, y: 30 }}
+          animate={{ opacity: 1, scale: 1, y: 0 }}
+          exit={{ opacity: 0, scale: 0.9, y: 30 }}
+          transition={{ type: "spring", damping: 25, stiffness: 300 }}
+          className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto"
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="relative bg-gradient-to-b from-[#1a1525] via-[#151020] to-[#0f0a18] border border-white/10 rounded-3xl overflow-hidden shadow-2xl">
+            <div className="absolute top-0 left-8 right-8 h-px bg-gradient-to-r from-transparent via-orange-500/50 to-transparent" />
+
+            <div className="relative p-6 sm:p-8">
+              {/* Header */}
+              <div className="flex items-start justify-between mb-6">
+                <div className="flex items-center gap-4">
+                  <div className="w-14 h-14 rounded-2xl bg-gradient-to-br from-orange-500/20 to-amber-600/10 border border-orange-500/30 flex items-center justify-center">
+                    <RefreshCw className="w-7 h-7 text-orange-400" />
+                  </div>
+                  <div>
+                    <h3 className="text-xl font-bold text-white mb-1">Substituir Nota Fiscal</h3>
+                    <p className="text-sm text-slate-400 font-mono">#{invoice?.numero || invoice?.id}</p>
+                  </div>
+                </div>
+                <button
+                  onClick={onClose}
+                  className="w-10 h-10 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 flex items-center justify-center text-slate-400 hover:text-white transition-all duration-200"
+                >
+                  <X className="w-5 h-5" />
+                </button>
+              </div>
+
+              <div className="space-y-5">
+                {/* Info */}
+                <div className="flex items-start gap-3 p-4 rounded-xl bg-white/[0.02] border border-white/5">
+                  <Info className="w-4 h-4 text-slate-500 mt-0.5 flex-shrink-0" />
+                  <p className="text-xs text-slate-400">
+                    Uma nova nota será emitida para <span className="text-white">{invoice?.cliente_nome}</span> referenciando a nota original.
+                    A nota original só será marcada como substituída quando a nova nota for autorizada. O tomador não pode ser alterado.
+                  </p>
+                </div>
+
+                {/* Corrected data */}
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Valor (R$)</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      value={valor}
+                      onChange={(e) => setValor(e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                  <div className="space-y-2">
+                    <label className="text-sm font-medium text-white">Alíquota ISS (%)</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      max="5"
+                      value={aliquotaIss}
+                      onChange={(e) => setAliquotaIss(e.target.value)}
+                      className={inputClassName}
+                    />
+                  </div>
+                </div>
+
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-white">Descrição do serviço</label>
+                  <textarea
+                    value={descricao}
+                    onChange={(e) => setDescricao(e.target.value)}
+                    className={`${inputClassName} min-h-[80px] resize-none`}
+                    maxLength={2000}
+                  />
+                </div>
+
+                {/* Reason */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-white">Motivo da substituição</label>
+                  <select
+                    value={codigoMotivo}
+                    onChange={(e) => setCodigoMotivo(e.target.value)}
+                    className={`${inputClassName} bg-[#151020]`}
+                  >
+                    {substitutionReasons.map((reason) => (
+                      <option key={reason.value} value={reason.value}>
+                        {reason.value} - {reason.label}
+                      </option>
+                    ))}
+                  </select>
+                  <textarea
+                    value={motivo}
+                    onChange={(e) => setMotivo(e.target.value)}
+                    placeholder={requiresMotivo ? "Descreva o motivo da substituição..." : "Detalhes (opcional)"}
+                    className={`${inputClassName} min-h-[80px] resize-none`}
+                    maxLength={255}
+                  />
+                  {requiresMotivo && (
+                    isMotivoValid ? (
+                      <div className="flex items-center gap-1.5 text-emerald-400">
+                        <CheckCircle className="w-4 h-4" />
+                        <span className="text-xs font-medium">Motivo válido</span>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-1.5 text-amber-400">
+                        <AlertCircle className="w-4 h-4" />
+                        <span className="text-xs">
+                          Mínimo {minChars} caracteres ({Math.max(0, minChars - motivo.trim().length)} restantes)
+                        </span>
+                      </div>
+                    )
+                  )}
+                </div>
+
+                <div className="h-px bg-gradient-to-r from-transparent via-white/10 to-transparent" />
+
+                {/* Actions */}
+                <div className="flex gap-3 pt-2">
+                  <button
+                    onClick={onClose}
+                    disabled={isSubmitting}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-slate-300 bg-white/[0.03] hover:bg-white/[0.08] border border-white/10 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Voltar
+                  </button>
+                  <button
+                    onClick={handleSubmit}
+                    disabled={isSubmitting || !isMotivoValid || !isValorValid}
+                    className="flex-1 py-3.5 px-5 rounded-xl text-sm font-semibold text-orange-300 bg-gradient-to-r from-orange-500/20 to-amber-500/20 hover:from-orange-500/30 hover:to-amber-500/30 border border-orange-500/30 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${isSubmitting ? "animate-spin" : ""}`} />
+                    <span>{isSubmitting ? "Enviando..." : "Confirmar Substituição"}</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      </div>
+    </AnimatePresence>
+  );
+}
@@ -0,0 +1,267 @@
+import React, { useEffect, useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { ClipboardCheck, CheckCircle, Circle, Copy, Download, Loader2, Save, Send } from "lucide-react";
+import { taxesService } from "@/api/services";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { handleApiError } from "@/utils/errorHandler";
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatDate = (value) => format(new Date(value), "dd/MM/yyyy", { locale: ptBR });
+
+// Years that can be declared: the last three closed ones
+const closedYears = () => {
+  const current = new Date().getFullYear();
+  return [current - 1, current - 2, current - 3];
+};
+
+const EMPTY_FORM = { receita_servicos_sem_nota: '', receita_comercio: '', possui_empregado: false };
+
+/**
+ * DASN-SIMEI of a MEI company: revenue of the year (invoices plus what was billed without
+ * them), DAS paid and pending, the values to type into the government portal and a checklist
+ * until the declaration is marked as filed.
+ */
+export default function DasnSimeiPanel({ company }) {
+  const queryClient = useQueryClient();
+  const [ano, setAno] = useState(closedYears()[0]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [numeroRecibo, setNumeroRecibo] = useState('');
+
+  const { data: summary, isLoading } = useQuery({
+    queryKey: ['dasnSimei', company.id, ano],
+    queryFn: () => taxesService.getDasnSimei(company.id, ano),
+  });
+
+  // The form starts from the values saved for the year
+  useEffect(() => {
+    setForm(summary?.revisada_em
+      ? {
+        receita_servicos_sem_nota: String(summary.receita_servicos_sem_nota),
+        receita_comercio: String(summary.receita_comercio),
+        possui_empregado: summary.possui_empregado
+      }
+      : EMPTY_FORM);
+  }, [summary]);
+
+  const onUpdated = (data) => {
+    queryClient.setQueryData(['dasnSimei', company.id, ano], data);
+    queryClient.invalidateQueries({ queryKey: ['dasnSimeiReminder', company.id] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => taxesService.saveDasnSimei(company.id, ano, {
+      receita_servicos_sem_nota: Number(form.receita_servicos_sem_nota || 0),
+      receita_comercio: Number(form.receita_comercio || 0),
+      possui_empregado: form.possui_empregado
+    }),
+    onSuccess: (data) => {
+      toast.success(`Declaração ${ano} salva`);
+      onUpdated(data);
+    },
+    onError: (error) => handleApiError(error, { operation: 'save_dasn_simei', companyId: company.id }),
+  });
+
+  const transmitMutation = useMutation({
+    mutationFn: () => taxesService.markDasnSimeiTransmitted(company.id, ano, numeroRecibo),
+    onSuccess: (data) => {
+      toast.success(`DASN-SIMEI ${ano} marcada como transmitida`);
+      setNumeroRecibo('');
+      onUpdated(data);
+    },
+    onError: (error) => handleApiError(error, { operation: 'transmit_dasn_simei', companyId: company.id }),
+  });
+
+  const handleDownloadPdf = async () => {
+    try {
+      toast.loading('Gerando PDF...', { id: 'dasn-download' });
+      const blob = await taxesService.downloadDasnSimeiPdf(company.id, ano);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `dasn-simei-${ano}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success('PDF baixado!', { id: 'dasn-download' });
+    } catch (error) {
+      console.error('Error downloading DASN-SIMEI PDF:', error);
+      toast.error('Erro ao baixar PDF', { id: 'dasn-download' });
+    }
+  };
+
+  const copyValue = (valor) => {
+    navigator.clipboard.writeText(typeof valor === 'number' ? formatMoney(valor) : valor);
+    toast.success('Valor copiado!');
+  };
+
+  const filed = summary?.status === 'transmitida';
+  const amountField = (name) => (
+    <Input
+      type="number"
+      min="0"
+      step="0.01"
+      value={form[name]}
+      disabled={filed}
+      onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+      placeholder="0,00"
+      className="h-11 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+    />
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={cn(
+        "relative rounded-2xl p-6 overflow-hidden",
+        "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+        "backdrop-blur-xl border border-white/10",
+        "shadow-2xl shadow-black/50"
+      )}
+    >
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-orange-500/20 border border-orange-500/30">
+            <ClipboardCheck className="w-5 h-5 text-orange-400" />
+          </div>
+          <div>
+            <h3 className="text-white font-bold text-lg">Declaração anual (DASN-SIMEI)</h3>
+            <p className="text-sm text-gray-400">
+              {summary
+                ? filed
+                  ? `Transmitida em ${formatDate(summary.data_transmissao)}${summary.numero_recibo ? ` · recibo ${summary.numero_recibo}` : ''}`
+                  : `Prazo: ${formatDate(summary.prazo)}${summary.dias_restantes >= 0 ? ` · faltam ${summary.dias_restantes} dia(s)` : ' · em atraso'}`
+                : 'Receita do ano, guias DAS e valores para o Portal do Empreendedor'}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <select
+            value={ano}
+            onChange={(e) => setAno(Number(e.target.value))}
+            className="h-11 px-3 rounded-md bg-slate-800/90 border border-white/10 text-white"
+          >
+            {closedYears().map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+          <Button variant="outline" onClick={handleDownloadPdf} disabled={!summary} className="h-11 border-white/10 text-white">
+            <Download className="w-4 h-4 mr-2" />
+            PDF
+          </Button>
+        </div>
+      </div>
+
+      {isLoading || !summary ? (
+        <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+      ) : (
+        <div className="space-y-4">
+          {/* Values for the portal */}
+          <div className="p-4 rounded-xl bg-white/5 border border-white/10 space-y-2">
+            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Valores para digitar no portal</p>
+            {summary.valores_portal.map(({ campo, valor }) => (
+              <div key={campo} className="flex items-center justify-between gap-4">
+                <p className="text-sm text-gray-300">{campo}</p>
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-bold text-white">{typeof valor === 'number' ? `R$ ${formatMoney(valor)}` : valor}</p>
+                  <Button variant="ghost" size="sm" onClick={() => copyValue(valor)} className="text-gray-400 hover:text-white">
+                    <Copy className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Revenue without invoices and employee */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Notas fiscais emitidas</p>
+              <p className="h-11 flex items-center text-white font-semibold">R$ {formatMoney(summary.receita_notas)}</p>
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Serviços sem nota fiscal</p>
+              {amountField('receita_servicos_sem_nota')}
+            </div>
+            <div className="space-y-1">
+              <p className="text-xs text-gray-400">Comércio e indústria</p>
+              {amountField('receita_comercio')}
+            </div>
+            <Button
+              onClick={() => saveMutation.mutate()}
+              disabled={filed || saveMutation.isPending}
+              className="h-11 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+            >
+              {saveMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+              Salvar
+            </Button>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form.possui_empregado}
+              disabled={filed}
+              onChange={(e) => setForm({ ...form, possui_empregado: e.target.checked })}
+              className="w-4 h-4 rounded border-white/20 bg-slate-800 accent-orange-500"
+            />
+            A empresa teve empregado em {ano}
+          </label>
+
+          {/* DAS of the year */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 p-4 rounded-xl bg-white/5 border border-white/10">
+            <div>
+              <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">DAS pagos</p>
+              <p className="text-lg font-bold text-white mt-1">{summary.das.pagos} · R$ {formatMoney(summary.das.valor_pago)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">DAS pendentes</p>
+              <p className="text-lg font-bold text-white mt-1">{summary.das.pendentes.length} · R$ {formatMoney(summary.das.valor_pendente)}</p>
+            </div>
+            <div>
+              <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Meses sem guia</p>
+              <p className="text-lg font-bold text-white mt-1">{summary.das.meses_sem_guia.length}</p>
+            </div>
+          </div>
+
+          {/* Checklist */}
+          <div className="space-y-2">
+            {summary.checklist.map(item => (
+              <div key={item.id} className="flex items-start gap-3">
+                {item.ok
+                  ? <CheckCircle className="w-5 h-5 text-green-400 flex-shrink-0" />
+                  : <Circle className="w-5 h-5 text-gray-500 flex-shrink-0" />}
+                <div>
+                  <p className={cn("text-sm", item.ok ? "text-gray-300" : "text-white font-semibold")}>{item.label}</p>
+                  {!item.ok && item.detalhe && <p className="text-xs text-gray-400">{item.detalhe}</p>}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {!filed && (
+            <div className="flex flex-col md:flex-row gap-3">
+              <Input
+                value={numeroRecibo}
+                onChange={(e) => setNumeroRecibo(e.target.value)}
+                placeholder="Número do recibo (opcional)"
+                className="h-11 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+              />
+              <Button
+                onClick={() => transmitMutation.mutate()}
+                disabled={!summary.revisada_em || transmitMutation.isPending}
+                className="h-11 bg-green-600 hover:bg-green-700 text-white"
+              >
+                {transmitMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Send className="w-4 h-4 mr-2" />}
+                Marcar como transmitida
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import { Users, Trash2, Loader2, Save } from "lucide-react";
+import { companiesService } from "@/api/services";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { handleApiError } from "@/utils/errorHandler";
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatPercent = (value) => `${(Number(value || 0) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`;
+
+const previousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const EMPTY_FORM = { folha_salarios: '', pro_labore: '', encargos: '' };
+
+/**
+ * Monthly payroll of a Simples Nacional company subject to Fator R, and the current Fator R:
+ * Anexo III when the payroll of the last 12 months is at least 28% of the revenue, else Anexo V.
+ */
+export default function FatorRPanel({ company }) {
+  const queryClient = useQueryClient();
+  const [competencia, setCompetencia] = useState(previousMonth());
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data: fatorR } = useQuery({
+    queryKey: ['fatorR', company.id],
+    queryFn: () => companiesService.getFatorR(company.id),
+  });
+
+  const { data: payrolls = [], isLoading } = useQuery({
+    queryKey: ['payrolls', company.id],
+    queryFn: () => companiesService.listPayrolls(company.id),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['payrolls', company.id] });
+    queryClient.invalidateQueries({ queryKey: ['fatorR', company.id] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => companiesService.savePayroll(company.id, competencia, {
+      folha_salarios: Number(form.folha_salarios || 0),
+      pro_labore: Number(form.pro_labore || 0),
+      encargos: Number(form.encargos || 0)
+    }),
+    onSuccess: () => {
+      toast.success('Folha de pagamento salva');
+      setForm(EMPTY_FORM);
+      refresh();
+    },
+    onError: (error) => handleApiError(error, { operation: 'save_payroll', companyId: company.id }),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (/** @type {string} */ value) => companiesService.deletePayroll(company.id, value),
+    onSuccess: () => {
+      toast.success('Folha de pagamento removida');
+      refresh();
+    },
+    onError: (error) => handleApiError(error, { operation: 'delete_payroll', companyId: company.id }),
+  });
+
+  // Editing a month already saved starts from its values
+  const handleCompetenciaChange = (value) => {
+    setCompetencia(value);
+    const existing = payrolls.find(p => p.competencia === value);
+    setForm(existing
+      ? { folha_salarios: String(existing.folha_salarios), pro_labore: String(existing.pro_labore), encargos: String(existing.encargos) }
+      : EMPTY_FORM);
+  };
+
+  const field = (name, placeholder) => (
+    <Input
+      type="number"
+      min="0"
+      step="0.01"
+      value={form[name]}
+      onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+      placeholder={placeholder}
+      className="h-11 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+    />
+  );
+
+  const belowThreshold = fatorR?.aplicavel && fatorR.anexo === 'V';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={cn(
+        "relative rounded-2xl p-6 overflow-hidden",
+        "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+        "backdrop-blur-xl border border-white/10",
+        "shadow-2xl shadow-black/50"
+      )}
+    >
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-orange-500/20 border border-orange-500/30">
+          <Users className="w-5 h-5 text-orange-400" />
+        </div>
+        <div>
+          <h3 className="text-white font-bold text-lg">Fator R e folha de pagamento</h3>
+          <p className="text-sm text-gray-400">Folha dos últimos 12 meses ÷ receita bruta do mesmo período</p>
+        </div>
+      </div>
+
+      {fatorR?.aplicavel && (
+        <div className={cn(
+          "grid grid-cols-2 md:grid-cols-4 gap-4 p-4 rounded-xl mb-4 border",
+          belowThreshold ? "bg-yellow-500/10 border-yellow-500/30" : "bg-white/5 border-white/10"
+        )}>
+          <div>
+            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Fator R</p>
+            <p className="text-lg font-bold text-white mt-1">{formatPercent(fatorR.fator_r)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Anexo</p>
+            <p className="text-lg font-bold text-white mt-1">Anexo {fatorR.anexo}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Folha (12 meses)</p>
+            <p className="text-lg font-bold text-white mt-1">R$ {formatMoney(fatorR.folha_12_meses)}</p>
+          </div>
+          <div>
+            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Receita (12 meses)</p>
+            <p className="text-lg font-bold text-white mt-1">R$ {formatMoney(fatorR.receita_12_meses)}</p>
+          </div>
+          {fatorR.recomendacao && (
+            <p className="col-span-2 md:col-span-4 text-sm text-yellow-300">{fatorR.recomendacao.mensagem}</p>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+        <div className="space-y-1">
+          <p className="text-xs text-gray-400">Competência</p>
+          <Input
+            type="month"
+            value={competencia}
+            onChange={(e) => handleCompetenciaChange(e.target.value)}
+            className="h-11 bg-slate-800/90 border border-white/10 text-white"
+          />
+        </div>
+        <div className="space-y-1">
+          <p className="text-xs text-gray-400">Salários</p>
+          {field('folha_salarios', '0,00')}
+        </div>
+        <div className="space-y-1">
+          <p className="text-xs text-gray-400">Pró-labore</p>
+          {field('pro_labore', '0,00')}
+        </div>
+        <div className="space-y-1">
+          <p className="text-xs text-gray-400">Encargos (CPP e FGTS)</p>
+          {field('encargos', '0,00')}
+        </div>
+        <Button
+          onClick={() => saveMutation.mutate()}
+          disabled={!competencia || saveMutation.isPending}
+          className="h-11 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+        >
+          {saveMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+          Salvar
+        </Button>
+      </div>
+
+      <div className="mt-4 space-y-2">
+        {isLoading ? (
+          <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+        ) : payrolls.length === 0 ? (
+          <p className="text-sm text-gray-500">Nenhuma folha registrada. Sem folha, o Fator R é 0% e a empresa é tributada pelo Anexo V.</p>
+        ) : (
+          payrolls.slice(0, 12).map((payroll) => (
+            <div key={payroll.id} className="flex items-center justify-between gap-4 px-4 py-2 rounded-lg bg-white/5 border border-white/10">
+              <button
+                type="button"
+                onClick={() => handleCompetenciaChange(payroll.competencia)}
+                className="text-sm font-semibold text-white hover:text-orange-400"
+              >
+                {payroll.competencia.split('-').reverse().join('/')}
+              </button>
+              <p className="text-xs text-gray-400 flex-1">
+                Salários R$ {formatMoney(payroll.folha_salarios)} · Pró-labore R$ {formatMoney(payroll.pro_labore)} · Encargos R$ {formatMoney(payroll.encargos)}
+              </p>
+              <p className="text-sm font-bold text-white">R$ {formatMoney(payroll.total)}</p>
+              <Button
+                variant="ghost"
+                size="sm"
+                disabled={deleteMutation.isPending}
+                onClick={() => deleteMutation.mutate(payroll.competencia)}
+                className="text-gray-400 hover:text-red-400"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            </div>
+          ))
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,258 @@
+import React, { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { Landmark, Download, CheckCircle, Clock, AlertCircle, Loader2, Plus } from "lucide-react";
+import { taxesService } from "@/api/services";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { toast } from "sonner";
+import { cn } from "@/lib/utils";
+import { handleApiError } from "@/utils/errorHandler";
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatRate = (value) => `${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}%`;
+const formatDate = (value) => format(new Date(value), "dd/MM/yyyy", { locale: ptBR });
+
+const previousMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// 'YYYY-MM' from the month input to the 'MM/YYYY' of the API
+const toReferencia = (month) => month ? month.split('-').reverse().join('/') : null;
+
+const cardClass = cn(
+  "relative rounded-2xl p-6 overflow-hidden",
+  "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+  "backdrop-blur-xl border border-white/10",
+  "shadow-2xl shadow-black/50"
+);
+
+/**
+ * How the value of a tax was computed: presumed profit for IRPJ/CSLL, revenue for the others
+ * @param {{ item: Record<string, any> }} props - Darf or obligation of the estimate
+ */
+function DarfCalculation({ item }) {
+  return (
+    <p className="text-xs text-gray-400">
+      {item.presuncao !== null
+        ? `R$ ${formatMoney(item.receita_bruta)} × ${formatRate(item.presuncao)} = R$ ${formatMoney(item.base_calculo)} × ${formatRate(item.aliquota)}`
+        : `R$ ${formatMoney(item.base_calculo)} × ${formatRate(item.aliquota)}`}
+      {item.valor_adicional > 0 && ` + adicional R$ ${formatMoney(item.valor_adicional)}`}
+      {item.valor_retido > 0 && ` − retido R$ ${formatMoney(item.valor_retido)}`}
+    </p>
+  );
+}
+
+/**
+ * Taxes of a Lucro Presumido company: PIS and COFINS every month, IRPJ and CSLL every quarter
+ * on the presumed profit, and the ISS of the month. Previews a month, generates its DARFs and
+ * lists the generated ones.
+ */
+export default function LucroPresumidoPanel({ company }) {
+  const queryClient = useQueryClient();
+  const [month, setMonth] = useState(previousMonth());
+  const referencia = toReferencia(month);
+
+  const { data: estimate, isFetching: isEstimating, error: estimateError } = useQuery({
+    queryKey: ['lucroPresumidoEstimate', company.id, referencia],
+    queryFn: () => taxesService.estimateLucroPresumido(company.id, referencia),
+    enabled: !!referencia,
+    retry: false,
+  });
+  // @ts-ignore - axios error type
+  const estimateErrorMessage = estimateError?.response?.data?.message;
+
+  const { data: darfs = [], isLoading } = useQuery({
+    queryKey: ['darfs', company.id],
+    queryFn: () => taxesService.listDarfs({ companyId: company.id }),
+  });
+
+  const generateMutation = useMutation({
+    mutationFn: () => taxesService.generateDarfs(company.id, referencia),
+    onSuccess: (created) => {
+      toast.success(`${created.length} guia(s) gerada(s) para ${referencia}`);
+      queryClient.invalidateQueries({ queryKey: ['darfs', company.id] });
+    },
+    onError: (error) => handleApiError(error, { operation: 'generate_darfs', companyId: company.id }),
+  });
+
+  const payMutation = useMutation({
+    mutationFn: (/** @type {string} */ id) => taxesService.markDarfAsPaid(id),
+    onSuccess: (darf) => {
+      toast.success(`${darf.tributo} ${darf.referencia} marcado como pago`);
+      queryClient.invalidateQueries({ queryKey: ['darfs', company.id] });
+    },
+    onError: (error) => handleApiError(error, { operation: 'pay_darf', companyId: company.id }),
+  });
+
+  const handleDownloadPdf = async (darf) => {
+    try {
+      toast.loading('Gerando PDF...', { id: 'darf-download' });
+      const blob = await taxesService.downloadDarfPdf(darf.id);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${darf.tributo === 'ISS' ? 'iss' : 'darf'}-${darf.tributo.toLowerCase()}-${darf.referencia.replace('/', '-')}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success('PDF baixado!', { id: 'darf-download' });
+    } catch (error) {
+      console.error('Error downloading DARF PDF:', error);
+      toast.error('Erro ao baixar PDF', { id: 'darf-download' });
+    }
+  };
+
+  const totalPending = darfs
+    .filter(d => d.status === 'pendente')
+    .reduce((sum, d) => sum + (d.valor_total || 0), 0);
+
+  return (
+    <div className="space-y-8">
+      {/* Month preview */}
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className={cardClass}>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl flex items-center justify-center bg-orange-500/20 border border-orange-500/30">
+              <Landmark className="w-5 h-5 text-orange-400" />
+            </div>
+            <div>
+              <h3 className="text-white font-bold text-lg">Apuração do Lucro Presumido</h3>
+              <p className="text-sm text-gray-400">
+                {estimate?.atividade_nome || 'Prestação de serviços em geral'} · IRPJ e CSLL trimestrais, PIS, COFINS e ISS mensais
+              </p>
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <Input
+              type="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="h-11 w-44 bg-slate-800/90 border border-white/10 text-white"
+            />
+            <Button
+              onClick={() => generateMutation.mutate()}
+              disabled={!referencia || !estimate || estimate.valor_total <= 0 || generateMutation.isPending}
+              className="h-11 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white"
+            >
+              {generateMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Plus className="w-4 h-4 mr-2" />}
+              Gerar guias
+            </Button>
+          </div>
+        </div>
+
+        {isEstimating ? (
+          <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+        ) : estimateErrorMessage ? (
+          <p className="text-sm text-red-400">{estimateErrorMessage}</p>
+        ) : estimate && (
+          <div className="space-y-3">
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4 p-4 rounded-xl bg-white/5 border border-white/10">
+              <div>
+                <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Receita do mês</p>
+                <p className="text-lg font-bold text-white mt-1">R$ {formatMoney(estimate.receita_mes)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Receita do {estimate.trimestre}º trimestre</p>
+                <p className="text-lg font-bold text-white mt-1">
+                  {estimate.fecha_trimestre ? `R$ ${formatMoney(estimate.receita_trimestre)}` : 'Apurada no fim do trimestre'}
+                </p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">Total a recolher</p>
+                <p className="text-lg font-bold text-orange-400 mt-1">R$ {formatMoney(estimate.valor_total)}</p>
+              </div>
+            </div>
+            {estimate.obrigacoes.map((obrigacao) => (
+              <div key={`${obrigacao.tributo}-${obrigacao.referencia}`} className="flex items-center justify-between gap-4 px-4 py-2 rounded-lg bg-white/5 border border-white/10">
+                <div>
+                  <p className="text-sm font-semibold text-white">
+                    {obrigacao.tributo} {obrigacao.codigo_receita && <span className="text-gray-400 font-normal">· código {obrigacao.codigo_receita}</span>}
+                  </p>
+                  <DarfCalculation item={obrigacao} />
+                </div>
+                <div className="text-right">
+                  <p className="text-sm font-bold text-white">R$ {formatMoney(obrigacao.valor_total)}</p>
+                  <p className="text-xs text-gray-400">vence {formatDate(obrigacao.data_vencimento)}</p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </motion.div>
+
+      {/* Generated DARFs */}
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1 }} className={cardClass}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-white font-bold text-lg">Guias geradas</h3>
+          {totalPending > 0 && (
+            <p className="text-sm text-gray-400">Pendente: <span className="font-bold text-yellow-400">R$ {formatMoney(totalPending)}</span></p>
+          )}
+        </div>
+
+        {isLoading ? (
+          <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+        ) : darfs.length === 0 ? (
+          <p className="text-sm text-gray-500">Nenhuma guia gerada. Escolha o mês acima e clique em Gerar guias.</p>
+        ) : (
+          <div className="space-y-2">
+            {darfs.map((darf) => {
+              const overdue = darf.status === 'pendente' && new Date(darf.data_vencimento) < new Date();
+              return (
+                <div key={darf.id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 px-4 py-3 rounded-lg bg-white/5 border border-white/10">
+                  <div className="flex items-center gap-3">
+                    {darf.status === 'pago'
+                      ? <CheckCircle className="w-5 h-5 text-green-400" />
+                      : overdue ? <AlertCircle className="w-5 h-5 text-red-400" /> : <Clock className="w-5 h-5 text-yellow-400" />}
+                    <div>
+                      <p className="text-sm font-semibold text-white">
+                        {darf.tributo} · {darf.referencia}
+                        {darf.codigo_receita && <span className="text-gray-400 font-normal"> · código {darf.codigo_receita}</span>}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        {darf.status === 'pago' && darf.data_pagamento
+                          ? `Pago em ${formatDate(darf.data_pagamento)}`
+                          : `Vence em ${formatDate(darf.data_vencimento)}`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <Badge variant="outline" className={cn(
+                      "border",
+                      darf.status === 'pago'
+                        ? "bg-green-500/20 text-green-300 border-green-500/30"
+                        : overdue ? "bg-red-500/20 text-red-300 border-red-500/30" : "bg-yellow-500/20 text-yellow-300 border-yellow-500/30"
+                    )}>
+                      {darf.status === 'pago' ? 'Pago' : overdue ? 'Vencido' : 'Pendente'}
+                    </Badge>
+                    <p className="text-sm font-bold text-white w-28 text-right">R$ {formatMoney(darf.valor_total)}</p>
+                    <Button variant="ghost" size="sm" onClick={() => handleDownloadPdf(darf)} className="text-gray-400 hover:text-white">
+                      <Download className="w-4 h-4" />
+                    </Button>
+                    {darf.status === 'pendente' && (
+                      <Button
+                        size="sm"
+                        disabled={payMutation.isPending}
+                        onClick={() => payMutation.mutate(darf.id)}
+                        className="bg-green-600 hover:bg-green-700 text-white"
+                      >
+                        Marcar como pago
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+}
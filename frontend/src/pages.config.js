@@ -2,6 +2,7 @@ import Assistant from './pages/Assistant';
 import CompanySetup from './pages/CompanySetup';
 import Dashboard from './pages/Dashboard';
 import Documents from './pages/Documents';
+import RecurringInvoices from './pages/RecurringInvoices';
 import Clients from './pages/Clients';
 import InvoiceConfirmation from './pages/InvoiceConfirmation';
 import Notifications from './pages/Notifications';
@@ -17,6 +18,7 @@ export const PAGES = {
     "CompanySetup": CompanySetup,
     "Dashboard": Dashboard,
     "Documents": Documents,
+    "RecurringInvoices": RecurringInvoices,
     "Clients": Clients,
     "InvoiceConfirmation": InvoiceConfirmation,
     "Notifications": Notifications,
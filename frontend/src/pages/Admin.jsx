@@ -127,6 +127,11 @@ const adminService = {
   getCompanies: (params) => apiClient.get('/admin/companies', { params }).then(r => r.data?.data || r.data),
   getClients: (params) => apiClient.get('/admin/clients', { params }).then(r => r.data?.data || r.data),
   getInvoices: (params) => apiClient.get('/admin/invoices', { params }).then(r => r.data?.data || r.data),
+
+  // DPS numbering audit
+  getNumberingAudit: (companyId) => apiClient.get(`/monitoring/numbering/${companyId}`).then(r => r.data?.data || r.data),
+  resyncNumbering: (companyId) => apiClient.post(`/monitoring/numbering/${companyId}/resync`).then(r => r.data),
+  importOrphanedNotes: (companyId, acbrIds) => apiClient.post(`/monitoring/numbering/${companyId}/import`, { acbr_ids: acbrIds }).then(r => r.data),
   
   // Activity & Settings
   getActivity: (params) => apiClient.get('/admin/activity', { params }).then(r => r.data?.data || r.data),
@@ -136,6 +141,8 @@ const adminService = {
   exportUsers: () => apiClient.get('/admin/export/users', { responseType: 'blob' }),
   exportSubscriptions: () => apiClient.get('/admin/export/subscriptions', { responseType: 'blob' }),
   exportInvoices: () => apiClient.get('/admin/export/invoices', { responseType: 'blob' }),
+  previewAccountingExport: (params) => apiClient.get('/admin/export/invoices/accounting/preview', { params }).then(r => r.data?.data || r.data),
+  exportAccounting: (params) => apiClient.get('/admin/export/invoices/accounting', { params, responseType: 'blob' }),
 };
 
 // ==========================================
@@ -1288,9 +1295,193 @@ const SubscriptionsTab = () => {
 // COMPANIES TAB
 // ==========================================
 
+const formatDpsRange = ({ from, to }) => (from === to ? `${from}` : `${from}–${to}`);
+
+const NumberingAuditModal = ({ company, open, onClose }) => {
+  const queryClient = useQueryClient();
+
+  const { data: audit, isLoading, isFetching, refetch } = useQuery({
+    queryKey: ['admin-numbering-audit', company?.id],
+    queryFn: () => adminService.getNumberingAudit(company.id),
+    enabled: open && !!company?.id,
+    staleTime: 0,
+  });
+
+  const resyncMutation = useMutation({
+    mutationFn: () => adminService.resyncNumbering(company.id),
+    onSuccess: (result) => {
+      toast.success(result?.message || 'Numeração ressincronizada');
+      queryClient.invalidateQueries({ queryKey: ['admin-numbering-audit', company.id] });
+    },
+    onError: async (error) => await handleApiError(error, { operation: 'resync_numbering', companyId: company?.id })
+  });
+
+  const importMutation = useMutation({
+    mutationFn: (acbrIds) => adminService.importOrphanedNotes(company.id, acbrIds),
+    onSuccess: (result) => {
+      toast.success(result?.message || 'Notas importadas');
+      queryClient.invalidateQueries({ queryKey: ['admin-numbering-audit', company.id] });
+      queryClient.invalidateQueries({ queryKey: ['admin-companies'] });
+    },
+    onError: async (error) => await handleApiError(error, { operation: 'import_orphaned_notes', companyId: company?.id })
+  });
+
+  if (!company) return null;
+
+  const issues = audit
+    ? audit.gap_count + audit.duplicates.length + audit.orphaned.length + audit.local_only.length + (audit.counter_behind ? 1 : 0)
+    : 0;
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="bg-[#0f0f1a] border-white/10 text-white max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ListChecks className="w-5 h-5 text-orange-500" />
+            Auditoria de Numeração DPS
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            {company.razaoSocial || company.nomeFantasia} · {company.cnpj}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading || !audit ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="space-y-5 mt-2">
+            {audit.warning && (
+              <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-300 text-sm">
+                <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                {audit.warning}
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {[
+                { label: `Contador (série ${audit.serie})`, value: audit.counter },
+                { label: 'Maior DPS em uso', value: audit.highest_used },
+                { label: 'Notas locais', value: audit.totals.local },
+                { label: 'Notas na ACBr', value: audit.totals.remote ?? '---' },
+              ].map(({ label, value }) => (
+                <div key={label} className="p-3 rounded-xl bg-white/5 border border-white/10">
+                  <p className="text-gray-500 text-xs">{label}</p>
+                  <p className="text-white text-lg font-semibold">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {issues === 0 ? (
+              <div className="flex items-center gap-2 p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20 text-emerald-300 text-sm">
+                <CheckCircle className="w-4 h-4" />
+                Nenhuma inconsistência encontrada na numeração
+              </div>
+            ) : (
+              <div className="space-y-4">
+                {audit.counter_behind && (
+                  <div className="flex items-start gap-2 p-3 rounded-lg bg-red-500/10 border border-red-500/20 text-red-300 text-sm">
+                    <XCircle className="w-4 h-4 mt-0.5 shrink-0" />
+                    O DPS {audit.highest_used} já foi usado, mas o contador está em {audit.counter}. A próxima emissão pode repetir um número.
+                  </div>
+                )}
+
+                {audit.gap_count > 0 && (
+                  <div>
+                    <Label className="text-gray-400">Lacunas ({audit.gap_count} número(s) sem nota)</Label>
+                    <p className="mt-1 text-sm text-gray-300 font-mono break-words">
+                      {audit.gaps.map(formatDpsRange).join(', ')}
+                      {audit.gaps.length < audit.gap_count && ' …'}
+                    </p>
+                  </div>
+                )}
+
+                {audit.duplicates.length > 0 && (
+                  <div>
+                    <Label className="text-gray-400">Números duplicados</Label>
+                    <ul className="mt-1 space-y-1 text-sm">
+                      {audit.duplicates.map((duplicate) => (
+                        <li key={duplicate.numero_dps} className="text-gray-300">
+                          <span className="font-mono text-red-400">DPS {duplicate.numero_dps}</span>
+                          {' · '}
+                          {duplicate.notes.map((note) => `${note.numero || note.acbr_api_id || note.invoice_id} (${note.status})`).join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {audit.orphaned.length > 0 && (
+                  <div>
+                    <div className="flex items-center justify-between">
+                      <Label className="text-gray-400">Notas na ACBr sem registro local ({audit.orphaned.length})</Label>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => importMutation.mutate(audit.orphaned.map((note) => note.acbr_api_id))}
+                        disabled={importMutation.isPending}
+                        className="border-blue-500/30 text-blue-400 hover:bg-blue-500/10"
+                      >
+                        {importMutation.isPending ? <RefreshCw className="w-4 h-4 animate-spin mr-2" /> : <Download className="w-4 h-4 mr-2" />}
+                        Importar notas
+                      </Button>
+                    </div>
+                    <ul className="mt-2 space-y-1 text-sm">
+                      {audit.orphaned.map((note) => (
+                        <li key={note.acbr_api_id} className="text-gray-300">
+                          <span className="font-mono">DPS {note.numero_dps ?? '?'}</span>
+                          {' · '}Nota {note.numero || '---'} · {note.status}
+                          {note.tomador_nome && <span className="text-gray-500"> · {note.tomador_nome}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {audit.local_only.length > 0 && (
+                  <div>
+                    <Label className="text-gray-400">Notas locais não encontradas na ACBr ({audit.local_only.length})</Label>
+                    <ul className="mt-1 space-y-1 text-sm">
+                      {audit.local_only.map((item) => (
+                        <li key={item.invoice_id} className="text-gray-300">
+                          <span className="font-mono">DPS {item.numero_dps ?? '?'}</span>
+                          {' · '}Nota {item.numero || '---'} · {item.status}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="mt-4 gap-2">
+          <Button
+            variant="outline"
+            onClick={() => refetch()}
+            disabled={isFetching}
+            className="border-white/10"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isFetching ? 'animate-spin' : ''}`} />
+            Auditar novamente
+          </Button>
+          <Button
+            onClick={() => resyncMutation.mutate()}
+            disabled={resyncMutation.isPending || !audit}
+            className="bg-gradient-to-r from-orange-500 to-orange-600"
+          >
+            {resyncMutation.isPending ? <RefreshCw className="w-4 h-4 animate-spin mr-2" /> : <RotateCcw className="w-4 h-4 mr-2" />}
+            Ressincronizar contador
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
 const CompaniesTab = () => {
   const [search, setSearch] = useState("");
   const [page, setPage] = useState(1);
+  const [auditCompany, setAuditCompany] = useState(null);
 
   const { data, isLoading, isFetching, refetch } = useQuery({
     queryKey: ['admin-companies', page, search],
@@ -1373,13 +1564,14 @@ const CompaniesTab = () => {
                 <th className="text-left text-gray-400 text-xs font-semibold uppercase tracking-wider p-4">Notas</th>
                 <th className="text-left text-gray-400 text-xs font-semibold uppercase tracking-wider p-4">Status Fiscal</th>
                 <th className="text-left text-gray-400 text-xs font-semibold uppercase tracking-wider p-4">Criada em</th>
+                <th className="text-left text-gray-400 text-xs font-semibold uppercase tracking-wider p-4">Numeração</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-white/5">
               {isLoading ? (
-                <tr><td colSpan={6}><LoadingSpinner /></td></tr>
+                <tr><td colSpan={7}><LoadingSpinner /></td></tr>
               ) : companies.length === 0 ? (
-                <tr><td colSpan={6}><EmptyState icon={Building2} title="Nenhuma empresa" description="Nenhuma empresa encontrada" /></td></tr>
+                <tr><td colSpan={7}><EmptyState icon={Building2} title="Nenhuma empresa" description="Nenhuma empresa encontrada" /></td></tr>
               ) : companies.map((company) => (
                 <tr key={company.id} className="hover:bg-white/[0.02] transition-colors">
                   <td className="p-4">
@@ -1413,6 +1605,17 @@ const CompaniesTab = () => {
                   <td className="p-4 text-gray-400 text-sm">
                     {new Date(company.createdAt).toLocaleDateString('pt-BR')}
                   </td>
+                  <td className="p-4">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setAuditCompany(company)}
+                      className="border-white/10 text-gray-300 hover:text-white"
+                    >
+                      <ListChecks className="w-4 h-4 mr-1.5" />
+                      Auditar
+                    </Button>
+                  </td>
                 </tr>
               ))}
             </tbody>
@@ -1431,6 +1634,12 @@ const CompaniesTab = () => {
           </div>
         </div>
       </div>
+
+      <NumberingAuditModal
+        company={auditCompany}
+        open={!!auditCompany}
+        onClose={() => setAuditCompany(null)}
+      />
     </div>
   );
 };
@@ -1793,6 +2002,8 @@ const InvoicesTab = () => {
 // ==========================================
 
 const SettingsTab = () => {
+  const [showAccountingExport, setShowAccountingExport] = useState(false);
+
   const { data: settings, isLoading: settingsLoading, isFetching: settingsFetching, refetch: refetchSettings } = useQuery({
     queryKey: ['admin-settings'],
     queryFn: adminService.getSettings,
@@ -2087,7 +2298,7 @@ const SettingsTab = () => {
         <h3 className="text-lg font-semibold text-white mb-6 flex items-center gap-2">
           <FileDown className="w-5 h-5 text-orange-500" /> Exportar Dados
         </h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
           {/* Export Users Button */}
           <motion.button
             onClick={() => handleExport('users')}
@@ -2177,12 +2388,187 @@ const SettingsTab = () => {
             </div>
             <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-gradient-to-r from-transparent via-emerald-500/50 to-transparent transform scale-x-0 group-hover:scale-x-100 transition-transform duration-300" />
           </motion.button>
+
+          {/* Export Invoices to Accounting Software Button */}
+          <motion.button
+            onClick={() => setShowAccountingExport(true)}
+            whileHover={{ scale: 1.02, y: -2 }}
+            whileTap={{ scale: 0.98 }}
+            className="group relative overflow-hidden bg-gradient-to-br from-[#1a1a2e]/80 to-[#0f0f1a]/80 backdrop-blur-sm rounded-xl p-5 border border-orange-500/20 hover:border-orange-500/40 transition-all duration-300 hover:shadow-[0_0_30px_rgba(249,115,22,0.3)]"
+          >
+            <div className="absolute inset-0 bg-gradient-to-br from-orange-500/0 via-orange-500/0 to-orange-500/10 opacity-0 group-hover:opacity-100 transition-opacity duration-300" />
+            <div className="relative flex items-start gap-4">
+              <div className="relative">
+                <div className="absolute inset-0 bg-orange-500/20 blur-xl rounded-full group-hover:bg-orange-500/30 transition-colors" />
+                <div className="relative w-12 h-12 rounded-xl bg-gradient-to-br from-orange-500/20 to-orange-600/10 border border-orange-500/30 flex items-center justify-center group-hover:border-orange-500/50 transition-colors">
+                  <FileDown className="w-6 h-6 text-orange-400 group-hover:text-orange-300 transition-colors" />
+                </div>
+              </div>
+              <div className="flex-1 text-left">
+                <div className="flex items-center gap-2 mb-1">
+                  <h4 className="text-white font-semibold text-base group-hover:text-orange-100 transition-colors">
+                    Contabilidade
+                  </h4>
+                  <ArrowUpRight className="w-4 h-4 text-orange-400/0 group-hover:text-orange-400 group-hover:translate-x-0.5 group-hover:-translate-y-0.5 transition-all duration-300" />
+                </div>
+                <p className="text-gray-400 text-xs group-hover:text-gray-300 transition-colors">
+                  CSV, Domínio ou Alterdata
+                </p>
+              </div>
+            </div>
+            <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-gradient-to-r from-transparent via-orange-500/50 to-transparent transform scale-x-0 group-hover:scale-x-100 transition-transform duration-300" />
+          </motion.button>
         </div>
       </motion.div>
+
+      <AccountingExportDialog open={showAccountingExport} onClose={() => setShowAccountingExport(false)} />
     </div>
   );
 };
 
+const AccountingExportDialog = ({ open, onClose }) => {
+  const [layout, setLayout] = useState('generico');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [skipInvalid, setSkipInvalid] = useState(false);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  const params = { layout, start_date: startDate || undefined, end_date: endDate || undefined };
+
+  const { data: preview, isLoading, error } = useQuery({
+    queryKey: ['admin-accounting-export', params],
+    queryFn: () => adminService.previewAccountingExport(params),
+    enabled: open,
+    retry: false,
+  });
+
+  const hasErrors = (preview?.errors?.length || 0) > 0;
+  const selectedLayout = preview?.layouts?.find((l) => l.id === layout);
+
+  const handleDownload = async () => {
+    setIsDownloading(true);
+    try {
+      const response = await adminService.exportAccounting({ ...params, skip_invalid: skipInvalid || undefined });
+      const url = window.URL.createObjectURL(response.data);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `notas-${layout}-todas-${new Date().toISOString().split('T')[0]}.${selectedLayout?.extension || 'csv'}`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      toast.success('Notas exportadas com sucesso');
+      onClose();
+    } catch (err) {
+      await handleApiError(err, { operation: 'admin_accounting_export', layout });
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onClose}>
+      <DialogContent className="bg-[#0f0f1a] border-white/10 text-white max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileDown className="w-5 h-5 text-orange-500" />
+            Exportação para Contabilidade
+          </DialogTitle>
+          <DialogDescription className="text-gray-400">
+            Notas autorizadas e canceladas de todas as empresas no layout do sistema contábil
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 mt-2">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <Label className="text-gray-400">Layout</Label>
+              <select
+                value={layout}
+                onChange={(e) => setLayout(e.target.value)}
+                className="mt-1 w-full h-10 px-3 rounded-md bg-white/5 border border-white/10 text-white"
+              >
+                {(preview?.layouts || [{ id: 'generico', label: 'CSV genérico' }]).map((l) => (
+                  <option key={l.id} value={l.id} className="bg-[#0f0f1a]">{l.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <Label className="text-gray-400">Emitidas de</Label>
+              <Input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="mt-1 bg-white/5 border-white/10" />
+            </div>
+            <div>
+              <Label className="text-gray-400">Até</Label>
+              <Input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="mt-1 bg-white/5 border-white/10" />
+            </div>
+          </div>
+
+          {isLoading ? (
+            <LoadingSpinner />
+          ) : error ? (
+            <p className="text-sm text-red-400">{error.response?.data?.message || 'Erro ao gerar a prévia'}</p>
+          ) : preview && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {[
+                  { label: 'Notas', value: preview.totals.notas },
+                  { label: 'Canceladas', value: preview.totals.canceladas },
+                  { label: 'Faturamento', value: `R$ ${preview.totals.valor.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}` },
+                  { label: 'ISS', value: `R$ ${preview.totals.valor_iss.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}` },
+                ].map(({ label, value }) => (
+                  <div key={label} className="p-3 rounded-xl bg-white/5 border border-white/10">
+                    <p className="text-gray-500 text-xs">{label}</p>
+                    <p className="text-white text-lg font-semibold">{value}</p>
+                  </div>
+                ))}
+              </div>
+
+              {hasErrors ? (
+                <div className="space-y-2">
+                  <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/20 text-yellow-300 text-sm">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                    {preview.errors.length} problema(s) em {preview.totals.notas - preview.totals.validas} nota(s)
+                  </div>
+                  <ul className="max-h-40 overflow-y-auto space-y-1 text-sm text-gray-300">
+                    {preview.errors.map((item, index) => (
+                      <li key={`${item.invoice_id}-${item.field}-${index}`}>
+                        <span className="font-mono">{item.numero || item.invoice_id}</span> · {item.message}
+                      </li>
+                    ))}
+                  </ul>
+                  <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                    <input type="checkbox" checked={skipInvalid} onChange={(e) => setSkipInvalid(e.target.checked)} />
+                    Exportar sem as notas com problema
+                  </label>
+                </div>
+              ) : preview.totals.notas > 0 && (
+                <div className="flex items-center gap-2 p-3 rounded-lg bg-emerald-500/10 border border-emerald-500/20 text-emerald-300 text-sm">
+                  <CheckCircle className="w-4 h-4" />
+                  Todas as notas estão válidas para este layout
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        <DialogFooter className="mt-4 gap-2">
+          <Button variant="outline" onClick={onClose} className="border-white/10">
+            Cancelar
+          </Button>
+          <Button
+            onClick={handleDownload}
+            disabled={isDownloading || !preview || preview.totals.notas === 0 || (hasErrors && !skipInvalid)}
+            className="bg-gradient-to-r from-orange-500 to-orange-600"
+          >
+            {isDownloading ? <RefreshCw className="w-4 h-4 animate-spin mr-2" /> : <Download className="w-4 h-4 mr-2" />}
+            Baixar arquivo
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
 // ==========================================
 // MAIN ADMIN COMPONENT
 // ==========================================
@@ -2,11 +2,12 @@ import React, { useState, useRef, useEffect, useCallback } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { invoicesService, companiesService, notificationsService, assistantService, settingsService, subscriptionsService } from "@/api/services";
 import { motion, AnimatePresence } from "framer-motion";
-import { Send, Sparkles, Loader2, Trash2, Volume2, VolumeX, Settings2 } from "lucide-react";
+import { Send, Sparkles, Loader2, Trash2, Volume2, VolumeX, Settings2, RefreshCw, Mail } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Textarea } from "@/components/ui/textarea";
 import { toast } from "sonner";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "@/lib/AuthContext";
 import { createPageUrl } from "@/utils";
 import { cn } from "@/lib/utils";
 import ChatMessage from "@/components/chat/ChatMessage";
@@ -15,11 +16,62 @@ import RecentFiles from "@/components/chat/RecentFiles";
 import VoiceButton from "@/components/ui/VoiceButton";
 import PaymentConfirmationModal from "@/components/chat/PaymentConfirmationModal";
 import { useAudioPlayer } from "@/hooks/useAudioPlayer";
+import { calculateIssBase, pickDeductions, pickExportCurrency, pickRetentions } from "@/utils/retentions";
+import { createIdempotencyKey } from "@/utils/idempotency";
+
+/**
+ * Emission payload of the pending invoice, shared by the pre-emission checks and the emission
+ */
+function buildEmissionData(invoice, company) {
+  return {
+    cliente_nome: invoice.cliente_nome,
+    cliente_documento: invoice.cliente_documento || '',
+    descricao_servico: invoice.descricao_servico || 'Serviço prestado',
+    valor: invoice.valor,
+    aliquota_iss: invoice.aliquota_iss || 5,
+    municipio: invoice.municipio || company.cidade,
+    codigo_servico: '1401',
+    data_prestacao: new Date().toISOString().split('T')[0],
+    iss_retido: Boolean(invoice.iss_retido),
+    ...pickDeductions(invoice),
+    ...pickRetentions(invoice),
+    ...pickExportCurrency(invoice)
+  };
+}
+
+const EMISSION_PROGRESS_TOAST = 'emission-progress';
+const EMISSION_STEP_LABELS = {
+  validating: 'Validando dados da nota...',
+  numbering: 'Reservando o número da DPS...',
+  emitting: 'Enviando à prefeitura...',
+  saving: 'Registrando a nota emitida...'
+};
+
+/**
+ * Progress of the emission job in a loading toast (dismissed when the emission ends)
+ */
+function showEmissionProgress(job) {
+  if (['completed', 'queued', 'failed'].includes(job.status)) return;
+
+  const retrying = job.status === 'pending' && job.attempts > 0;
+  const label = job.status === 'pending'
+    ? (retrying ? 'Prefeitura instável, nova tentativa em instantes...' : 'Na fila de emissão...')
+    : EMISSION_STEP_LABELS[job.step] || 'Emitindo nota fiscal...';
+
+  const attempt = retrying ? job.attempts + 1 : job.attempts;
+
+  toast.loading(label, {
+    id: EMISSION_PROGRESS_TOAST,
+    description: attempt > 1 ? `Tentativa ${attempt} de ${job.max_attempts}` : undefined
+  });
+}
 
 export default function Assistant() {
   const [inputValue, setInputValue] = useState("");
   const [messages, setMessages] = useState([]);
   const [pendingInvoice, setPendingInvoice] = useState(null);
+  const [pendingSubstitution, setPendingSubstitution] = useState(null);
+  const [pendingResend, setPendingResend] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [isLoadingHistory, setIsLoadingHistory] = useState(true);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
@@ -30,6 +82,9 @@ export default function Assistant() {
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [showVoiceSettings, setShowVoiceSettings] = useState(false);
   const messagesEndRef = useRef(null);
+  // Idempotency key of the pending invoice: a new one whenever the invoice changes,
+  // the same one when the user retries the emission after an error
+  const emissionKeyRef = useRef(null);
   const queryClient = useQueryClient();
   const navigate = useNavigate();
   const audioPlayer = useAudioPlayer();
@@ -78,6 +133,8 @@ export default function Assistant() {
     queryFn: () => invoicesService.list({ limit: 10, sort: '-created_at' }),
   });
 
+  const { user } = useAuth();
+
   // Get plan limits
   const { data: planLimits } = useQuery({
     queryKey: ['plan-limits'],
@@ -105,6 +162,23 @@ export default function Assistant() {
     enabled: !!settings,
   });
 
+  // Pre-emission checks of the pending invoice (dry run, nothing is emitted)
+  const readinessData = pendingInvoice && !pendingInvoice.id && activeCompany
+    ? buildEmissionData(pendingInvoice, activeCompany)
+    : null;
+  const readinessQueryKey = ['invoiceReadiness', activeCompany?.id, readinessData];
+  const {
+    data: readiness,
+    isLoading: isValidating,
+    error: readinessError
+  } = useQuery({
+    queryKey: readinessQueryKey,
+    queryFn: () => invoicesService.validate(activeCompany.id, readinessData),
+    enabled: Boolean(readinessData),
+    staleTime: 60 * 1000,
+    retry: false,
+  });
+
   // Default welcome message
   const welcomeMessage = {
     id: 1,
@@ -124,6 +198,10 @@ export default function Assistant() {
     retry: 1
   });
 
+  useEffect(() => {
+    emissionKeyRef.current = pendingInvoice ? createIdempotencyKey() : null;
+  }, [pendingInvoice]);
+
   // Handle conversation history loading
   useEffect(() => {
     if (historyLoading) {
@@ -245,9 +323,13 @@ export default function Assistant() {
           descricao_servico: invoiceData.descricao_servico || 'Serviço prestado',
           valor: parseFloat(invoiceData.valor) || 0,
           aliquota_iss: parseFloat(invoiceData.aliquota_iss) || 5,
-          valor_iss: (parseFloat(invoiceData.valor) || 0) * (parseFloat(invoiceData.aliquota_iss) || 5) / 100,
+          valor_iss: calculateIssBase({ ...invoiceData, valor: parseFloat(invoiceData.valor) || 0 }) * (parseFloat(invoiceData.aliquota_iss) || 5) / 100,
           status: "pendente_confirmacao",
-          municipio: invoiceData.municipio || ""
+          municipio: invoiceData.municipio || "",
+          iss_retido: Boolean(invoiceData.iss_retido),
+          ...pickDeductions(invoiceData),
+          ...pickRetentions(invoiceData),
+          ...pickExportCurrency(invoiceData)
         };
         setPendingInvoice(newInvoice);
       } else if (parsedData?.action?.type === 'emitir_nfse' && parsedData?.action?.data) {
@@ -261,11 +343,21 @@ export default function Assistant() {
           descricao_servico: invoiceData.descricao_servico || 'Serviço prestado',
           valor: invoiceValor,
           aliquota_iss: invoiceAliquota,
-          valor_iss: invoiceValor * invoiceAliquota / 100,
+          valor_iss: calculateIssBase({ ...invoiceData, valor: invoiceValor }) * invoiceAliquota / 100,
           status: "pendente_confirmacao",
-          municipio: invoiceData.municipio || ""
+          municipio: invoiceData.municipio || "",
+          iss_retido: Boolean(invoiceData.iss_retido),
+          ...pickDeductions(invoiceData),
+          ...pickRetentions(invoiceData),
+          ...pickExportCurrency(invoiceData)
         };
         setPendingInvoice(newInvoice);
+      } else if (action?.type === 'substituir_nfse' && action?.data?.invoice_id) {
+        // Substitution is confirmed explicitly before the replacement DPS is sent
+        setPendingSubstitution(action.data);
+      } else if (action?.type === 'reenviar_nfse' && action?.data?.invoice_id) {
+        // Emailing the client is confirmed explicitly
+        setPendingResend(action.data);
       }
     } catch (error) {
       console.error('Error processing message:', error);
@@ -302,8 +394,55 @@ export default function Assistant() {
     setInputValue("");
   };
 
+  // An invoice still processing at the prefeitura stays on screen so its status can be followed
+  const emittedInvoiceCard = (notaFiscal) => (
+    notaFiscal?.id && notaFiscal.status !== 'autorizada'
+      ? { ...pendingInvoice, id: notaFiscal.id, numero: notaFiscal.numero, status: notaFiscal.status }
+      : null
+  );
+
+  // Municipality offline after every attempt: the retry queue emits the invoice later
+  const announceQueuedEmission = () => {
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      isAI: true,
+      content: `⏳ A prefeitura de ${activeCompany?.cidade || 'seu município'} está indisponível no momento.\n\nA nota para ${pendingInvoice.cliente_nome} entrou na fila de reenvio automático e será emitida assim que o sistema voltar. Você receberá uma notificação.`,
+      time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+    }]);
+    setPendingInvoice(null);
+    queryClient.invalidateQueries({ queryKey: ['notifications'] });
+  };
+
   const handleConfirmInvoice = async () => {
     if (!pendingInvoice) return;
+
+    // Run the pre-emission checks (cached while the invoice is unchanged) before charging or emitting
+    if (readinessData) {
+      let report = null;
+      try {
+        report = await queryClient.fetchQuery({
+          queryKey: readinessQueryKey,
+          queryFn: () => invoicesService.validate(activeCompany.id, readinessData),
+          staleTime: 60 * 1000,
+        });
+      } catch (validationError) {
+        // The emission itself still validates everything
+        console.warn('[Assistant] Pre-emission validation unavailable:', validationError);
+      }
+      if (report && !report.ready) {
+        const failures = report.checks
+          .filter(check => check.status === 'fail')
+          .map(check => `• ${check.label}: ${check.message}${check.action ? `\n  ${check.action}` : ''}`)
+          .join('\n');
+        setMessages(prev => [...prev, {
+          id: Date.now(),
+          isAI: true,
+          content: `⛔ A nota não pode ser emitida ainda:\n\n${failures}\n\nCorrija os itens acima e confirme novamente.`,
+          time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+        }]);
+        return;
+      }
+    }
     
     // Check plan limits before confirming
     if (planLimits) {
@@ -350,19 +489,16 @@ export default function Assistant() {
       const result = await assistantService.executeAction({
         action_type: 'emitir_nfse',
         action_data: {
-          cliente_nome: pendingInvoice.cliente_nome,
-          cliente_documento: pendingInvoice.cliente_documento || '',
-          descricao_servico: pendingInvoice.descricao_servico || 'Serviço prestado',
-          valor: pendingInvoice.valor,
-          aliquota_iss: pendingInvoice.aliquota_iss || 5,
-          municipio: pendingInvoice.municipio || company.cidade,
-          codigo_servico: '1401',
-          data_prestacao: new Date().toISOString().split('T')[0]
+          ...buildEmissionData(pendingInvoice, company),
+          ...(pendingInvoice.ignorar_duplicidade ? { ignorar_duplicidade: true } : {})
         },
         company_id: company.id
-      });
+      }, { idempotencyKey: emissionKeyRef.current || undefined, onProgress: showEmissionProgress });
+      toast.dismiss(EMISSION_PROGRESS_TOAST);
 
-      if (result.status === 'success' && result.data?.invoice) {
+      if (result.status === 'queued') {
+        announceQueuedEmission();
+      } else if (result.status === 'success' && result.data?.invoice) {
         const notaFiscal = result.data.invoice;
 
         // Create success notification
@@ -399,9 +535,10 @@ export default function Assistant() {
           time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
         };
         setMessages(prev => [...prev, aiResponse]);
-        setPendingInvoice(null);
+        setPendingInvoice(emittedInvoiceCard(notaFiscal));
         // Invalidate all invoice-related queries (including filtered ones)
         queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
+        queryClient.invalidateQueries({ queryKey: ['invoiceReadiness'] });
         queryClient.invalidateQueries({ queryKey: ['conversation-history'] });
         // Invalidate notifications (new invoice creates notification)
         queryClient.invalidateQueries({ queryKey: ['notifications'] });
@@ -410,6 +547,8 @@ export default function Assistant() {
         throw new Error(result.message || 'Erro ao emitir nota fiscal');
       }
     } catch (error) {
+      toast.dismiss(EMISSION_PROGRESS_TOAST);
+
       // Check if it's a payment-related error (402 status)
       const errorStatus = error.response?.status || error.status;
       const errorCode = error.response?.data?.code || error.code;
@@ -428,6 +567,23 @@ export default function Assistant() {
         setIsProcessing(false);
         return;
       }
+
+      // Suspected duplicate: list the recent invoices and wait for an explicit override
+      if (errorCode === 'POSSIBLE_DUPLICATE_INVOICE') {
+        const duplicates = error.response?.data?.data?.duplicates || [];
+        setPendingInvoice(prev => prev ? { ...prev, duplicatas: duplicates, ignorar_duplicidade: false } : prev);
+        const list = duplicates
+          .map(d => `• NFS-e ${d.numero || '(sem número)'} de ${new Date(d.data_emissao).toLocaleDateString('pt-BR')} — R$ ${Number(d.valor).toLocaleString('pt-BR', { minimumFractionDigits: 2 })} — ${d.descricao_servico}`)
+          .join('\n');
+        setMessages(prev => [...prev, {
+          id: Date.now(),
+          isAI: true,
+          content: `⚠️ Possível nota duplicada!\n\nJá existe nota recente para ${pendingInvoice.cliente_nome} com o mesmo valor e descrição semelhante:\n\n${list}\n\nSe não for uma duplicidade, marque "Não é duplicada, emitir mesmo assim" e confirme novamente.`,
+          time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+        }]);
+        setIsProcessing(false);
+        return;
+      }
       
       // Translate error using error translation service
       const { handleError } = await import('@/services/errorTranslationService');
@@ -477,8 +633,10 @@ export default function Assistant() {
   // Handle successful payment from PaymentConfirmationModal
   const handlePaymentSuccess = async (result) => {
     setShowPaymentModal(false);
-    
-    if (result.status === 'success' && result.data?.invoice) {
+
+    if (result.status === 'queued') {
+      announceQueuedEmission();
+    } else if (result.status === 'success' && result.data?.invoice) {
       const notaFiscal = result.data.invoice;
 
       // Create success notification
@@ -516,10 +674,11 @@ export default function Assistant() {
         time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
       };
       setMessages(prev => [...prev, aiResponse]);
-      setPendingInvoice(null);
+      setPendingInvoice(emittedInvoiceCard(notaFiscal));
       // Invalidate all invoice-related queries (including filtered ones)
       queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
       queryClient.invalidateQueries({ queryKey: ['plan-limits'] });
+      queryClient.invalidateQueries({ queryKey: ['invoiceReadiness'] });
       queryClient.invalidateQueries({ queryKey: ['conversation-history'] });
       // Invalidate notifications (new invoice creates notification)
       queryClient.invalidateQueries({ queryKey: ['notifications'] });
@@ -662,7 +821,144 @@ export default function Assistant() {
     }
   };
 
+  const handleConfirmSubstitution = async () => {
+    if (!pendingSubstitution) return;
+
+    if (!activeCompany?.id) {
+      toast.error('🏢 Empresa Não Selecionada', {
+        description: 'Selecione uma empresa no menu lateral para poder substituir notas fiscais.',
+        duration: 5000
+      });
+      return;
+    }
+
+    setIsProcessing(true);
+    try {
+      const result = await assistantService.executeAction({
+        action_type: 'substituir_nfse',
+        action_data: pendingSubstitution,
+        company_id: activeCompany.id
+      });
+
+      const substitute = result.data || {};
+      const content = substitute.status === 'autorizada'
+        ? `✅ Nota fiscal #${substitute.substitutes_numero || pendingSubstitution.invoice_id} substituída com sucesso!\n\n📄 Nova nota: ${substitute.numero || '---'}`
+        : `🔄 Nota substituta enviada para processamento.\n\nA nota #${substitute.substitutes_numero || pendingSubstitution.invoice_id} continua válida até a autorização da nova nota.`;
+
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        isAI: true,
+        content,
+        time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+      }]);
+      setPendingSubstitution(null);
+      queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+      queryClient.invalidateQueries({ queryKey: ['allNotifications'] });
+    } catch (error) {
+      const message = error.response?.data?.message || error.message || 'Erro ao substituir nota fiscal';
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        isAI: true,
+        content: `❌ Não foi possível substituir a nota fiscal.\n\n${message}`,
+        time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+      }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCancelSubstitution = () => {
+    setPendingSubstitution(null);
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      isAI: true,
+      content: "Ok, a substituição foi cancelada. A nota original não foi alterada.",
+      time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+    }]);
+  };
+
+  const handleConfirmResend = async () => {
+    if (!pendingResend) return;
+
+    if (!activeCompany?.id) {
+      toast.error('🏢 Empresa Não Selecionada', {
+        description: 'Selecione uma empresa no menu lateral para poder enviar notas fiscais.',
+        duration: 5000
+      });
+      return;
+    }
+
+    setIsProcessing(true);
+    try {
+      const result = await assistantService.executeAction({
+        action_type: 'reenviar_nfse',
+        action_data: pendingResend,
+        company_id: activeCompany.id
+      });
+
+      const sent = result.data || {};
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        isAI: true,
+        content: `📧 Nota fiscal #${sent.numero || pendingResend.invoice_id} enviada para ${sent.delivery?.recipient || 'o cliente'} com o PDF e o XML.`,
+        time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+      }]);
+      setPendingResend(null);
+    } catch (error) {
+      const message = error.response?.data?.message || error.message || 'Erro ao enviar nota fiscal';
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        isAI: true,
+        content: `❌ Não foi possível enviar a nota fiscal ao cliente.\n\n${message}`,
+        time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+      }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCancelResend = () => {
+    setPendingResend(null);
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      isAI: true,
+      content: "Ok, o envio da nota ao cliente foi cancelado.",
+      time: new Date().toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })
+    }]);
+  };
+
+  // Developer action: DPS XML the emission would send (national layout, unsigned)
+  const handleDownloadDpsPreview = async () => {
+    try {
+      const preview = await invoicesService.previewDpsXml(activeCompany.id, readinessData);
+      const blob = new Blob([preview.xml], { type: 'application/xml' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${preview.id}.xml`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+      if (preview.valid) {
+        toast.success('XML da DPS baixado');
+      } else {
+        toast.warning(`XML da DPS baixado com ${preview.errors.length} erro(s) de leiaute`, {
+          description: preview.errors.slice(0, 3).map((error) => `${error.field}: ${error.message}`).join('\n'),
+        });
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Não foi possível gerar o XML da DPS');
+    }
+  };
+
   const handleCancelInvoice = () => {
+    if (pendingInvoice?.id) {
+      // Closing the card of an emitted invoice, nothing was cancelled
+      setPendingInvoice(null);
+      return;
+    }
     setPendingInvoice(null);
     const aiResponse = {
       id: Date.now(),
@@ -776,16 +1072,91 @@ export default function Assistant() {
           {pendingInvoice && (
             <InvoicePreview
               invoice={pendingInvoice}
+              readiness={readiness}
+              isValidating={isValidating}
+              readinessError={readinessError}
               onConfirm={handleConfirmInvoice}
               onEdit={handleEditInvoice}
               onUpdate={handleUpdateInvoice}
               onCancel={handleCancelInvoice}
+              onDuplicateOverride={(checked) => setPendingInvoice(prev => prev ? { ...prev, ignorar_duplicidade: checked } : prev)}
+              onDownloadDps={user?.isAdmin && readinessData ? handleDownloadDpsPreview : undefined}
               isProcessing={isProcessing}
             />
           )}
 
+          {/* Pending Substitution Confirmation */}
+          {pendingSubstitution && (
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="p-5 rounded-2xl bg-orange-500/5 border border-orange-500/20"
+            >
+              <div className="flex items-center gap-3 mb-3">
+                <RefreshCw className="w-5 h-5 text-orange-400" />
+                <p className="text-white font-semibold">Substituir nota #{pendingSubstitution.invoice_id}</p>
+              </div>
+              <p className="text-sm text-gray-400 mb-4">
+                Motivo: {pendingSubstitution.reason || 'não informado'}
+              </p>
+              <div className="flex gap-3">
+                <Button
+                  variant="outline"
+                  className="bg-transparent border-white/10 text-white hover:bg-white/5"
+                  onClick={handleCancelSubstitution}
+                  disabled={isProcessing}
+                >
+                  Cancelar
+                </Button>
+                <Button
+                  className="bg-orange-500 hover:bg-orange-600 text-white"
+                  onClick={handleConfirmSubstitution}
+                  disabled={isProcessing || !pendingSubstitution.reason || pendingSubstitution.reason.trim().length < 15}
+                >
+                  {isProcessing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+                  Confirmar substituição
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
+          {/* Pending Resend Confirmation */}
+          {pendingResend && (
+            <motion.div
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="p-5 rounded-2xl bg-orange-500/5 border border-orange-500/20"
+            >
+              <div className="flex items-center gap-3 mb-3">
+                <Mail className="w-5 h-5 text-orange-400" />
+                <p className="text-white font-semibold">Enviar nota #{pendingResend.invoice_id} ao cliente</p>
+              </div>
+              <p className="text-sm text-gray-400 mb-4">
+                Destino: {pendingResend.email || 'email cadastrado do cliente'}
+              </p>
+              <div className="flex gap-3">
+                <Button
+                  variant="outline"
+                  className="bg-transparent border-white/10 text-white hover:bg-white/5"
+                  onClick={handleCancelResend}
+                  disabled={isProcessing}
+                >
+                  Cancelar
+                </Button>
+                <Button
+                  className="bg-orange-500 hover:bg-orange-600 text-white"
+                  onClick={handleConfirmResend}
+                  disabled={isProcessing}
+                >
+                  {isProcessing ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Mail className="w-4 h-4 mr-2" />}
+                  Confirmar envio
+                </Button>
+              </div>
+            </motion.div>
+          )}
+
           {/* Processing Indicator */}
-          {isProcessing && !pendingInvoice && (
+          {isProcessing && (!pendingInvoice || pendingInvoice.id) && !pendingSubstitution && !pendingResend && (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
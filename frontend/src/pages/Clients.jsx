@@ -2,7 +2,7 @@
 // @ts-nocheck - UI components (Dialog, Input, Label, etc.) lack proper .d.ts; state and mutations are typed via JSDoc below.
 import React, { useState, useMemo } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
-import { clientsService } from "@/api/services";
+import { clientsService, receivablesService } from "@/api/services";
 import { motion, AnimatePresence } from "framer-motion";
 import { format } from "date-fns";
 import { ptBR } from "date-fns/locale";
@@ -27,7 +27,9 @@ import {
   FileText,
   AlertTriangle,
   ChevronDown,
-  Filter
+  Filter,
+  Globe,
+  Wallet
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -57,6 +59,7 @@ import {
 } from "@/components/ui/select";
 import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { FEDERAL_RETENTIONS } from "@/utils/retentions";
 
 /**
  * @typedef {{
@@ -72,8 +75,18 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
  *   bairro: string;
  *   cidade: string;
  *   uf: string;
+ *   pais: string;
+ *   nif: string;
+ *   estado_provincia: string;
+ *   codigo_postal: string;
  *   apelido: string;
  *   notas: string;
+ *   enviar_nfse_email: boolean;
+ *   aliquota_irrf: string;
+ *   aliquota_pis: string;
+ *   aliquota_cofins: string;
+ *   aliquota_csll: string;
+ *   aliquota_inss: string;
  * }} ClientFormState
  */
 
@@ -118,10 +131,46 @@ const initialFormState = {
   bairro: '',
   cidade: '',
   uf: '',
+  pais: 'BR',
+  nif: '',
+  estado_provincia: '',
+  codigo_postal: '',
   apelido: '',
-  notas: ''
+  notas: '',
+  enviar_nfse_email: true,
+  aliquota_irrf: '',
+  aliquota_pis: '',
+  aliquota_cofins: '',
+  aliquota_csll: '',
+  aliquota_inss: ''
 };
 
+// Default federal retention profile (rates applied when issuing invoices for the client)
+const RETENTION_FIELDS = FEDERAL_RETENTIONS.map(({ type, label }) => ({ key: `aliquota_${type}`, label }));
+
+// Countries of foreign clients (tomador estrangeiro), ISO 3166-1 alpha-2
+const COUNTRY_OPTIONS = [
+  { code: 'US', name: 'Estados Unidos' },
+  { code: 'PT', name: 'Portugal' },
+  { code: 'GB', name: 'Reino Unido' },
+  { code: 'ES', name: 'Espanha' },
+  { code: 'FR', name: 'França' },
+  { code: 'DE', name: 'Alemanha' },
+  { code: 'IT', name: 'Itália' },
+  { code: 'NL', name: 'Países Baixos' },
+  { code: 'IE', name: 'Irlanda' },
+  { code: 'CH', name: 'Suíça' },
+  { code: 'CA', name: 'Canadá' },
+  { code: 'MX', name: 'México' },
+  { code: 'AR', name: 'Argentina' },
+  { code: 'CL', name: 'Chile' },
+  { code: 'UY', name: 'Uruguai' },
+  { code: 'AU', name: 'Austrália' },
+  { code: 'JP', name: 'Japão' }
+];
+
+const isForeign = (client) => Boolean(client?.pais) && client.pais !== 'BR';
+
 // UF list for Brazil
 const UF_OPTIONS = [
   'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 
@@ -154,6 +203,26 @@ export default function Clients() {
     }),
   });
 
+  // Open balances keyed by document digits (or NIF for foreign clients)
+  const { data: clientBalances = [] } = useQuery({
+    queryKey: ['receivablesClients', 'all'],
+    queryFn: () => receivablesService.clientBalances(),
+  });
+
+  const balancesByClient = useMemo(() => {
+    const map = new Map();
+    clientBalances.forEach((balance) => {
+      if (balance.cliente_documento) map.set(balance.cliente_documento, balance);
+    });
+    return map;
+  }, [clientBalances]);
+
+  /** @param {Client} client */
+  const getClientBalance = (client) => {
+    const key = isForeign(client) ? client.nif : String(client.documento || '').replace(/\D/g, '');
+    return key ? balancesByClient.get(key) : undefined;
+  };
+
   // Create mutation
   const createMutation = useMutation({
     mutationFn: (data) => clientsService.create(data),
@@ -234,8 +303,14 @@ export default function Clients() {
       bairro: client.bairro || '',
       cidade: client.cidade || '',
       uf: client.uf || '',
+      pais: client.pais || 'BR',
+      nif: client.nif || '',
+      estado_provincia: client.estado_provincia || '',
+      codigo_postal: client.codigo_postal || '',
       apelido: client.apelido || '',
-      notas: client.notas || ''
+      notas: client.notas || '',
+      enviar_nfse_email: client.enviar_nfse_email !== false,
+      ...Object.fromEntries(RETENTION_FIELDS.map(({ key }) => [key, client[key] != null ? String(client[key]) : '']))
     });
     setFormErrors({});
     setActiveTab('basic');
@@ -285,7 +360,13 @@ export default function Clients() {
       errors.nome = 'Nome é obrigatório';
     }
     
-    if (!formData.documento.trim()) {
+    if (isForeign(formData)) {
+      // Foreign clients are identified by NIF (optional) and need a city abroad
+      if (!formData.cidade.trim()) {
+        errors.cidade = 'Cidade é obrigatória para clientes no exterior';
+        setActiveTab('address');
+      }
+    } else if (!formData.documento.trim()) {
       errors.documento = 'Documento é obrigatório';
     } else {
       const docLen = formData.documento.replace(/\D/g, '').length;
@@ -315,12 +396,28 @@ export default function Clients() {
       telefone: formData.telefone?.replace(/\D/g, '') || undefined,
     };
     
+    // Brazilian-only fields don't apply to foreign clients
+    if (isForeign(formData)) {
+      delete payload.documento;
+      delete payload.cep;
+      delete payload.uf;
+    }
+
     // Remove empty optional fields
     Object.keys(payload).forEach(key => {
       if (payload[key] === '' || payload[key] === undefined) {
         delete payload[key];
       }
     });
+
+    // Cleared retention rates must reach the API to reset the client's profile
+    if (editingClient) {
+      RETENTION_FIELDS.forEach(({ key }) => {
+        if (payload[key] === undefined && editingClient[key] != null) {
+          payload[key] = null;
+        }
+      });
+    }
     
     if (editingClient) {
       updateMutation.mutate({ id: editingClient.id, data: payload });
@@ -360,6 +457,7 @@ export default function Clients() {
       c.nome?.toLowerCase().includes(term) ||
       c.apelido?.toLowerCase().includes(term) ||
       c.documento?.includes(term.replace(/\D/g, '')) ||
+      c.nif?.toLowerCase().includes(term) ||
       c.email?.toLowerCase().includes(term)
     );
   }, [clients, searchTerm]);
@@ -504,6 +602,7 @@ export default function Clients() {
               <ClientRow 
                 key={client.id}
                 client={client}
+                balance={getClientBalance(client)}
                 onEdit={() => openEditForm(client)}
                 onDelete={() => setDeleteConfirm(client)}
                 onRestore={undefined}
@@ -523,6 +622,7 @@ export default function Clients() {
                   <ClientRow 
                     key={client.id}
                     client={client}
+                    balance={getClientBalance(client)}
                     onEdit={() => openEditForm(client)}
                     onDelete={() => setDeleteConfirm(client)}
                     onRestore={() => restoreMutation.mutate(client.id)}
@@ -565,13 +665,16 @@ export default function Clients() {
           </DialogHeader>
 
           <Tabs value={activeTab} onValueChange={setActiveTab} className="mt-4">
-            <TabsList className="grid w-full grid-cols-2 bg-white/5">
+            <TabsList className="grid w-full grid-cols-3 bg-white/5">
               <TabsTrigger value="basic" className="data-[state=active]:bg-orange-500/20 data-[state=active]:text-orange-300">
                 Dados Básicos
               </TabsTrigger>
               <TabsTrigger value="address" className="data-[state=active]:bg-orange-500/20 data-[state=active]:text-orange-300">
                 Endereço
               </TabsTrigger>
+              <TabsTrigger value="retentions" className="data-[state=active]:bg-orange-500/20 data-[state=active]:text-orange-300">
+                Retenções
+              </TabsTrigger>
             </TabsList>
 
             <TabsContent value="basic" className="space-y-4 mt-4">
@@ -612,7 +715,51 @@ export default function Clients() {
                 </p>
               </div>
 
-              {/* Tipo pessoa e documento */}
+              {/* Foreign client (export of services) */}
+              <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isForeign(formData)}
+                  onChange={(e) => handleFieldChange('pais', e.target.checked ? 'US' : 'BR')}
+                  className="rounded border-white/20 bg-white/5"
+                />
+                <Globe className="w-4 h-4 text-sky-400" />
+                Cliente no exterior (sem CPF/CNPJ)
+              </label>
+
+              {isForeign(formData) ? (
+              <div className="grid grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <Label className="text-gray-300">País *</Label>
+                  <Select
+                    value={formData.pais}
+                    onValueChange={(value) => handleFieldChange('pais', value)}
+                  >
+                    <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {COUNTRY_OPTIONS.map(country => (
+                        <SelectItem key={country.code} value={country.code}>{country.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="col-span-2 space-y-2">
+                  <Label htmlFor="nif" className="text-gray-300">NIF / Tax ID</Label>
+                  <Input
+                    id="nif"
+                    value={formData.nif}
+                    onChange={(e) => handleFieldChange('nif', e.target.value)}
+                    placeholder="Ex: EIN 12-3456789, NIF 123456789"
+                    className="bg-white/5 border-white/10 text-white"
+                  />
+                  <p className="text-xs text-gray-500">
+                    Identificação fiscal no país do cliente (opcional)
+                  </p>
+                </div>
+              </div>
+              ) : (
               <div className="grid grid-cols-3 gap-4">
                 <div className="space-y-2">
                   <Label className="text-gray-300">Tipo</Label>
@@ -656,6 +803,7 @@ export default function Clients() {
                   )}
                 </div>
               </div>
+              )}
 
               {/* Email and phone */}
               <div className="grid grid-cols-2 gap-4">
@@ -694,6 +842,18 @@ export default function Clients() {
                 </div>
               </div>
 
+              {/* Automatic delivery of authorized invoices */}
+              <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={formData.enviar_nfse_email}
+                  onChange={(e) => handleFieldChange('enviar_nfse_email', e.target.checked)}
+                  className="rounded border-white/20 bg-white/5"
+                />
+                <Mail className="w-4 h-4 text-gray-400" />
+                Enviar NFS-e automaticamente por email quando autorizada
+              </label>
+
               {/* Notes */}
               <div className="space-y-2">
                 <Label htmlFor="notas" className="text-gray-300">Observações</Label>
@@ -709,7 +869,19 @@ export default function Clients() {
             </TabsContent>
 
             <TabsContent value="address" className="space-y-4 mt-4">
-              {/* CEP */}
+              {isForeign(formData) ? (
+              <div className="space-y-2">
+                <Label htmlFor="codigo_postal" className="text-gray-300">Código postal (ZIP)</Label>
+                <Input
+                  id="codigo_postal"
+                  value={formData.codigo_postal}
+                  onChange={(e) => handleFieldChange('codigo_postal', e.target.value)}
+                  placeholder="Ex: 10001, 1000-001"
+                  maxLength={11}
+                  className="bg-white/5 border-white/10 text-white"
+                />
+              </div>
+              ) : (
               <div className="space-y-2">
                 <Label htmlFor="cep" className="text-gray-300">CEP</Label>
                 <Input
@@ -730,6 +902,7 @@ export default function Clients() {
                   Digite o CEP para preencher automaticamente
                 </p>
               </div>
+              )}
 
               {/* Street and number */}
               <div className="grid grid-cols-3 gap-4">
@@ -782,15 +955,33 @@ export default function Clients() {
               {/* City and state */}
               <div className="grid grid-cols-3 gap-4">
                 <div className="col-span-2 space-y-2">
-                  <Label htmlFor="cidade" className="text-gray-300">Cidade</Label>
+                  <Label htmlFor="cidade" className="text-gray-300">Cidade{isForeign(formData) ? ' *' : ''}</Label>
                   <Input
                     id="cidade"
                     value={formData.cidade}
                     onChange={(e) => handleFieldChange('cidade', e.target.value)}
                     placeholder="Cidade"
+                    className={cn(
+                      "bg-white/5 border-white/10 text-white",
+                      formErrors.cidade && "border-red-500/50"
+                    )}
+                  />
+                  {formErrors.cidade && (
+                    <p className="text-xs text-red-400">{formErrors.cidade}</p>
+                  )}
+                </div>
+                {isForeign(formData) ? (
+                <div className="space-y-2">
+                  <Label htmlFor="estado_provincia" className="text-gray-300">Estado / Província</Label>
+                  <Input
+                    id="estado_provincia"
+                    value={formData.estado_provincia}
+                    onChange={(e) => handleFieldChange('estado_provincia', e.target.value)}
+                    placeholder="Ex: NY, Lisboa"
                     className="bg-white/5 border-white/10 text-white"
                   />
                 </div>
+                ) : (
                 <div className="space-y-2">
                   <Label htmlFor="uf" className="text-gray-300">UF</Label>
                   <Select
@@ -807,6 +998,31 @@ export default function Clients() {
                     </SelectContent>
                   </Select>
                 </div>
+                )}
+              </div>
+            </TabsContent>
+
+            <TabsContent value="retentions" className="space-y-4 mt-4">
+              <p className="text-xs text-gray-400">
+                Alíquotas de retenção federal aplicadas por este cliente. O assistente preenche os valores retidos automaticamente ao emitir notas para ele.
+              </p>
+              <div className="grid grid-cols-2 gap-4">
+                {RETENTION_FIELDS.map(({ key, label }) => (
+                  <div key={key} className="space-y-2">
+                    <Label htmlFor={key} className="text-gray-300">{label} (%)</Label>
+                    <Input
+                      id={key}
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      max="100"
+                      value={formData[key]}
+                      onChange={(e) => handleFieldChange(key, e.target.value)}
+                      placeholder="0,00"
+                      className="bg-white/5 border-white/10 text-white"
+                    />
+                  </div>
+                ))}
               </div>
             </TabsContent>
           </Tabs>
@@ -888,7 +1104,7 @@ export default function Clients() {
 }
 
 // Client row component
-function ClientRow({ client, onEdit, onDelete, onRestore, isArchived }) {
+function ClientRow({ client, balance, onEdit, onDelete, onRestore, isArchived }) {
   return (
     <motion.div
       initial={{ opacity: 0, y: 10 }}
@@ -930,10 +1146,17 @@ function ClientRow({ client, onEdit, onDelete, onRestore, isArchived }) {
           )}
         </div>
         <div className="flex items-center gap-4 mt-1 text-sm text-gray-400">
-          <span className="flex items-center gap-1">
-            <FileText className="w-3 h-3" />
-            {formatDocument(client.documento, client.tipo_pessoa)}
-          </span>
+          {isForeign(client) ? (
+            <span className="flex items-center gap-1">
+              <Globe className="w-3 h-3" />
+              {client.pais}{client.nif ? ` · ${client.nif}` : ''}
+            </span>
+          ) : (
+            <span className="flex items-center gap-1">
+              <FileText className="w-3 h-3" />
+              {formatDocument(client.documento, client.tipo_pessoa)}
+            </span>
+          )}
           {client.email && (
             <span className="flex items-center gap-1 truncate">
               <Mail className="w-3 h-3" />
@@ -949,6 +1172,24 @@ function ClientRow({ client, onEdit, onDelete, onRestore, isArchived }) {
         </div>
       </div>
 
+      {/* Open balance */}
+      {balance && balance.saldo > 0 && (
+        <div className="text-right flex-shrink-0">
+          <p className="flex items-center justify-end gap-1 text-xs text-gray-400">
+            <Wallet className="w-3 h-3" />
+            Saldo em aberto
+          </p>
+          <p className="text-sm font-semibold text-white">
+            R$ {balance.saldo.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+          </p>
+          {balance.vencido > 0 && (
+            <p className="text-xs text-red-400">
+              R$ {balance.vencido.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} vencido
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Actions */}
       <DropdownMenu>
         <DropdownMenuTrigger asChild>
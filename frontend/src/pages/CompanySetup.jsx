@@ -39,6 +39,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import FiscalStatusIndicator from "@/components/layout/FiscalStatusIndicator";
+import BrandingSettings from "@/components/company/BrandingSettings";
 
 const steps = [
   { id: 1, title: "Dados da Empresa", icon: Building2, description: "CNPJ e identificação" },
@@ -57,6 +58,7 @@ export default function CompanySetup() {
     uf: "",
     cnae_principal: "",
     regime_tributario: "",
+    anexo_simples: "",
     certificado_digital: false,
     email: "",
     telefone: "",
@@ -66,7 +68,27 @@ export default function CompanySetup() {
     logradouro: "",
     numero: "",
     bairro: "",
-    codigo_municipio: ""
+    codigo_municipio: "",
+    // Message sent to clients with authorized invoices (empty = default template)
+    email_nfse_assunto: "",
+    email_nfse_mensagem: "",
+    // Receivables: default payment term and overdue reminders ("3, 10, 30")
+    prazo_pagamento_dias: "",
+    lembrete_cobranca_ativo: false,
+    lembrete_cobranca_dias: "",
+    // PIX key printed as a QR code on invoice PDFs and client emails
+    pix_tipo_chave: "cnpj",
+    pix_chave: "",
+    contador_email: "",
+    pacote_mensal_ativo: false,
+    sujeito_fator_r: false,
+    atividade_presumido: "",
+    data_abertura: "",
+    // Branding of PDFs and client emails (empty = default look)
+    marca_cor_primaria: "",
+    marca_cor_secundaria: "",
+    marca_rodape: "",
+    marca_contato: ""
   });
   const [certificateFile, setCertificateFile] = useState(null);
   const [certificatePassword, setCertificatePassword] = useState("");
@@ -151,6 +173,7 @@ export default function CompanySetup() {
         uf: company.uf || "",
         cnae_principal: company.cnae_principal || "",
         regime_tributario: company.regime_tributario || "",
+        anexo_simples: company.anexo_simples || "",
         certificado_digital: company.certificado_digital || false,
         email: company.email || "",
         telefone: company.telefone || "",
@@ -160,7 +183,23 @@ export default function CompanySetup() {
         logradouro: company.logradouro || "",
         numero: company.numero || "",
         bairro: company.bairro || "",
-        codigo_municipio: company.codigo_municipio || ""
+        codigo_municipio: company.codigo_municipio || "",
+        email_nfse_assunto: company.email_nfse_assunto || "",
+        email_nfse_mensagem: company.email_nfse_mensagem || "",
+        prazo_pagamento_dias: company.prazo_pagamento_dias ?? "",
+        lembrete_cobranca_ativo: company.lembrete_cobranca_ativo || false,
+        lembrete_cobranca_dias: (company.lembrete_cobranca_dias || []).join(", "),
+        pix_tipo_chave: company.pix_tipo_chave || "cnpj",
+        pix_chave: company.pix_chave || "",
+        contador_email: company.contador_email || "",
+        pacote_mensal_ativo: company.pacote_mensal_ativo || false,
+        sujeito_fator_r: company.sujeito_fator_r || false,
+        atividade_presumido: company.atividade_presumido || "",
+        data_abertura: company.data_abertura ? company.data_abertura.slice(0, 10) : "",
+        marca_cor_primaria: company.marca_cor_primaria || "",
+        marca_cor_secundaria: company.marca_cor_secundaria || "",
+        marca_rodape: company.marca_rodape || "",
+        marca_contato: company.marca_contato || ""
       });
     } else if (isNewCompany || !company) {
       setFormData({
@@ -171,6 +210,7 @@ export default function CompanySetup() {
         uf: "",
         cnae_principal: "",
         regime_tributario: "",
+        anexo_simples: "",
         certificado_digital: false,
         email: "",
         telefone: "",
@@ -179,7 +219,23 @@ export default function CompanySetup() {
         logradouro: "",
         numero: "",
         bairro: "",
-        codigo_municipio: ""
+        codigo_municipio: "",
+        email_nfse_assunto: "",
+        email_nfse_mensagem: "",
+        prazo_pagamento_dias: "",
+        lembrete_cobranca_ativo: false,
+        lembrete_cobranca_dias: "",
+        pix_tipo_chave: "cnpj",
+        pix_chave: "",
+        contador_email: "",
+        pacote_mensal_ativo: false,
+        sujeito_fator_r: false,
+        atividade_presumido: "",
+        data_abertura: "",
+        marca_cor_primaria: "",
+        marca_cor_secundaria: "",
+        marca_rodape: "",
+        marca_contato: ""
       });
       setCertificateFile(null);
       setCurrentStep(1);
@@ -804,7 +860,16 @@ export default function CompanySetup() {
         }
       }
       
-      await saveMutation.mutateAsync(formData);
+      await saveMutation.mutateAsync({
+        ...formData,
+        prazo_pagamento_dias: formData.prazo_pagamento_dias === "" ? null : Number(formData.prazo_pagamento_dias),
+        lembrete_cobranca_dias: String(formData.lembrete_cobranca_dias)
+          .split(/[,;\s]+/)
+          .filter(Boolean)
+          .map(Number),
+        contador_email: formData.contador_email.trim() || null,
+        pacote_mensal_ativo: formData.pacote_mensal_ativo && Boolean(formData.contador_email.trim())
+      });
     }
   };
 
@@ -1076,6 +1141,7 @@ export default function CompanySetup() {
                       uf: comp.uf || "",
                       cnae_principal: comp.cnae_principal || "",
                       regime_tributario: comp.regime_tributario || "",
+                      anexo_simples: comp.anexo_simples || "",
                       certificado_digital: comp.certificado_digital || false,
                       email: comp.email || "",
                       telefone: comp.telefone || "",
@@ -1084,7 +1150,23 @@ export default function CompanySetup() {
                       logradouro: comp.logradouro || "",
                       numero: comp.numero || "",
                       bairro: comp.bairro || "",
-                      codigo_municipio: comp.codigo_municipio || ""
+                      codigo_municipio: comp.codigo_municipio || "",
+                      email_nfse_assunto: comp.email_nfse_assunto || "",
+                      email_nfse_mensagem: comp.email_nfse_mensagem || "",
+                      prazo_pagamento_dias: comp.prazo_pagamento_dias ?? "",
+                      lembrete_cobranca_ativo: comp.lembrete_cobranca_ativo || false,
+                      lembrete_cobranca_dias: (comp.lembrete_cobranca_dias || []).join(", "),
+                      pix_tipo_chave: comp.pix_tipo_chave || "cnpj",
+                      pix_chave: comp.pix_chave || "",
+                      contador_email: comp.contador_email || "",
+                      pacote_mensal_ativo: comp.pacote_mensal_ativo || false,
+                      sujeito_fator_r: comp.sujeito_fator_r || false,
+                      atividade_presumido: comp.atividade_presumido || "",
+                      data_abertura: comp.data_abertura ? comp.data_abertura.slice(0, 10) : "",
+                      marca_cor_primaria: comp.marca_cor_primaria || "",
+                      marca_cor_secundaria: comp.marca_cor_secundaria || "",
+                      marca_rodape: comp.marca_rodape || "",
+                      marca_contato: comp.marca_contato || ""
                     });
                   }}
                 >
@@ -1388,6 +1470,122 @@ export default function CompanySetup() {
                     />
                   </div>
                 </div>
+
+                {/* Email sent to clients when an invoice is authorized */}
+                <div className="space-y-2">
+                  <Label className="text-gray-300 font-semibold">Email da NFS-e para clientes</Label>
+                  <Input
+                    value={formData.email_nfse_assunto}
+                    onChange={(e) => handleInputChange('email_nfse_assunto', e.target.value)}
+                    placeholder="Nota Fiscal de Serviço nº {numero} - {empresa}"
+                    className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+                  />
+                  <textarea
+                    value={formData.email_nfse_mensagem}
+                    onChange={(e) => handleInputChange('email_nfse_mensagem', e.target.value)}
+                    placeholder={"Olá, {cliente}!\n\nSegue a nota fiscal de serviço nº {numero}, no valor de {valor}, emitida em {data_emissao}.\n\nAtenciosamente,\n{empresa}"}
+                    rows={5}
+                    className="w-full px-3 py-2 rounded-md bg-slate-800/90 border border-white/10 text-white text-sm placeholder:text-gray-400 resize-none focus:outline-none focus:border-orange-500/50"
+                  />
+                  <p className="text-xs text-gray-500">
+                    Enviado com o PDF e o XML quando a nota é autorizada. Deixe em branco para usar o texto padrão.
+                    Variáveis: {"{cliente}"}, {"{numero}"}, {"{valor}"}, {"{empresa}"}, {"{data_emissao}"}, {"{codigo_verificacao}"}, {"{descricao}"}
+                  </p>
+                </div>
+
+                {/* Receivables: payment term and overdue reminders */}
+                <div className="space-y-2">
+                  <Label className="text-gray-300 font-semibold">Contas a receber</Label>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    <div className="space-y-1">
+                      <Input
+                        type="number"
+                        min={0}
+                        max={365}
+                        value={formData.prazo_pagamento_dias}
+                        onChange={(e) => handleInputChange('prazo_pagamento_dias', e.target.value)}
+                        placeholder="Prazo de pagamento (dias)"
+                        className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+                      />
+                      <p className="text-xs text-gray-500">Vencimento padrão das notas, contado da emissão.</p>
+                    </div>
+                    <div className="space-y-1">
+                      <Input
+                        value={formData.lembrete_cobranca_dias}
+                        onChange={(e) => handleInputChange('lembrete_cobranca_dias', e.target.value)}
+                        placeholder="Lembretes após o vencimento: 3, 10, 30"
+                        disabled={!formData.lembrete_cobranca_ativo}
+                        className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+                      />
+                      <p className="text-xs text-gray-500">Dias de atraso em que o lembrete é enviado.</p>
+                    </div>
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.lembrete_cobranca_ativo}
+                      onChange={(e) => handleInputChange('lembrete_cobranca_ativo', e.target.checked)}
+                      className="w-4 h-4 rounded border-white/20 bg-slate-800 accent-orange-500"
+                    />
+                    Enviar lembrete por email aos clientes com notas vencidas
+                  </label>
+                </div>
+
+                {/* PIX key for the BR Code printed on invoices */}
+                <div className="space-y-2">
+                  <Label className="text-gray-300 font-semibold">Chave PIX para recebimento</Label>
+                  <div className="grid md:grid-cols-3 gap-4">
+                    <select
+                      value={formData.pix_tipo_chave}
+                      onChange={(e) => handleInputChange('pix_tipo_chave', e.target.value)}
+                      className="h-12 px-3 rounded-md bg-slate-800/90 border border-white/10 text-white text-sm"
+                    >
+                      <option value="cnpj">CNPJ</option>
+                      <option value="cpf">CPF</option>
+                      <option value="email">Email</option>
+                      <option value="telefone">Telefone</option>
+                      <option value="aleatoria">Chave aleatória</option>
+                    </select>
+                    <Input
+                      value={formData.pix_chave}
+                      onChange={(e) => handleInputChange('pix_chave', e.target.value)}
+                      placeholder="Chave PIX (opcional)"
+                      className="md:col-span-2 h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Com a chave cadastrada, o PDF e o email da nota trazem um QR Code PIX com o valor a receber.
+                  </p>
+                </div>
+
+                {/* Accountant: monthly fiscal package (XMLs, PDFs and summary) */}
+                <div className="space-y-2">
+                  <Label className="text-gray-300 font-semibold">Contador</Label>
+                  <Input
+                    type="email"
+                    value={formData.contador_email}
+                    onChange={(e) => handleInputChange('contador_email', e.target.value)}
+                    placeholder="Email do contador (opcional)"
+                    className="h-12 bg-slate-800/90 border border-white/10 text-white placeholder:text-gray-400"
+                  />
+                  <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={formData.pacote_mensal_ativo}
+                      disabled={!formData.contador_email}
+                      onChange={(e) => handleInputChange('pacote_mensal_ativo', e.target.checked)}
+                      className="w-4 h-4 rounded border-white/20 bg-slate-800 accent-orange-500"
+                    />
+                    Enviar ao contador, todo dia 1º, o pacote fiscal do mês anterior (XMLs, PDFs e resumo)
+                  </label>
+                </div>
+
+                {/* Branding: logo, colors, footer and contact on PDFs and client emails */}
+                <BrandingSettings
+                  company={isNewCompany ? null : company}
+                  values={formData}
+                  onChange={handleInputChange}
+                />
               </div>
           )}
 
@@ -1710,6 +1908,105 @@ export default function CompanySetup() {
                     ))}
                   </div>
                 </div>
+                {formData.regime_tributario === 'Simples Nacional' && (
+                  <div className="space-y-2">
+                    <Label className="text-gray-300 font-semibold">Anexo do Simples Nacional</Label>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      {[
+                        { value: 'III', description: 'Serviços em geral' },
+                        { value: 'IV', description: 'Construção, limpeza, vigilância e advocacia' },
+                        { value: 'V', description: 'Serviços intelectuais e técnicos' }
+                      ].map(({ value, description }) => {
+                        const selected = !formData.sujeito_fator_r && (formData.anexo_simples || 'III') === value;
+                        return (
+                          <button
+                            key={value}
+                            type="button"
+                            disabled={formData.sujeito_fator_r}
+                            onClick={() => handleInputChange('anexo_simples', value)}
+                            className={cn(
+                              "p-4 rounded-xl border text-left transition-all duration-200 disabled:opacity-50",
+                              selected
+                                ? "border-orange-500/50 bg-gradient-to-br from-orange-500/20 via-orange-600/10 to-orange-500/20"
+                                : "border-white/10 bg-gradient-to-br from-white/5 via-white/3 to-white/5 hover:border-orange-500/30"
+                            )}
+                          >
+                            <span className={`font-medium ${selected ? 'text-orange-400' : 'text-white'}`}>Anexo {value}</span>
+                            <p className="text-xs text-gray-500 mt-1">{description}</p>
+                          </button>
+                        );
+                      })}
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={formData.sujeito_fator_r}
+                        onChange={(e) => handleInputChange('sujeito_fator_r', e.target.checked)}
+                        className="w-4 h-4 rounded border-white/20 bg-slate-800 accent-orange-500"
+                      />
+                      Atividade sujeita ao Fator R (Anexo III ou V conforme a folha de pagamento)
+                    </label>
+                    <p className="text-xs text-gray-500">
+                      Define as alíquotas usadas no cálculo do DAS. Com Fator R, o Anexo é calculado a cada mês
+                      a partir da folha informada na página de Impostos. Na dúvida, confirme com seu contador.
+                    </p>
+                  </div>
+                )}
+                {formData.regime_tributario === 'Lucro Presumido' && (
+                  <div className="space-y-2">
+                    <Label className="text-gray-300 font-semibold">Atividade (percentual de presunção)</Label>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {[
+                        { value: 'servicos', label: 'Prestação de serviços em geral', presuncao: 'IRPJ 32% · CSLL 32%' },
+                        { value: 'comercio', label: 'Comércio', presuncao: 'IRPJ 8% · CSLL 12%' },
+                        { value: 'industria', label: 'Indústria', presuncao: 'IRPJ 8% · CSLL 12%' },
+                        { value: 'transporte_carga', label: 'Transporte de cargas', presuncao: 'IRPJ 8% · CSLL 12%' },
+                        { value: 'transporte_passageiros', label: 'Transporte de passageiros', presuncao: 'IRPJ 16% · CSLL 12%' },
+                        { value: 'servicos_hospitalares', label: 'Serviços hospitalares', presuncao: 'IRPJ 8% · CSLL 12%' },
+                        { value: 'revenda_combustiveis', label: 'Revenda de combustíveis', presuncao: 'IRPJ 1,6% · CSLL 12%' }
+                      ].map(({ value, label, presuncao }) => {
+                        const selected = (formData.atividade_presumido || 'servicos') === value;
+                        return (
+                          <button
+                            key={value}
+                            type="button"
+                            onClick={() => handleInputChange('atividade_presumido', value)}
+                            className={cn(
+                              "p-4 rounded-xl border text-left transition-all duration-200",
+                              selected
+                                ? "border-orange-500/50 bg-gradient-to-br from-orange-500/20 via-orange-600/10 to-orange-500/20"
+                                : "border-white/10 bg-gradient-to-br from-white/5 via-white/3 to-white/5 hover:border-orange-500/30"
+                            )}
+                          >
+                            <span className={`font-medium ${selected ? 'text-orange-400' : 'text-white'}`}>{label}</span>
+                            <p className="text-xs text-gray-500 mt-1">{presuncao}</p>
+                          </button>
+                        );
+                      })}
+                    </div>
+                    <p className="text-xs text-gray-500">
+                      O percentual de presunção da atividade define a base do IRPJ e da CSLL trimestrais. Na dúvida,
+                      confirme com seu contador.
+                    </p>
+                  </div>
+                )}
+                {formData.regime_tributario === 'MEI' && (
+                  <div className="space-y-2">
+                    <Label htmlFor="data_abertura" className="text-gray-300 font-semibold">Data de abertura do MEI</Label>
+                    <Input
+                      id="data_abertura"
+                      type="date"
+                      value={formData.data_abertura}
+                      max={new Date().toISOString().slice(0, 10)}
+                      onChange={(e) => handleInputChange('data_abertura', e.target.value)}
+                      className="h-12 bg-slate-800/90 border border-white/10 text-white"
+                    />
+                    <p className="text-xs text-gray-500">
+                      No ano de abertura o limite do MEI é proporcional: R$ 6.750 por mês de atividade, contando o mês
+                      da abertura.
+                    </p>
+                  </div>
+                )}
               </div>
           )}
 
@@ -1,8 +1,8 @@
 import React from "react";
 import { useQuery } from "@tanstack/react-query";
-import { invoicesService, companiesService, settingsService, subscriptionsService } from "@/api/services";
+import { invoicesService, companiesService, settingsService, subscriptionsService, taxesService } from "@/api/services";
 import { motion } from "framer-motion";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 import { 
   DollarSign, 
@@ -22,6 +22,7 @@ import AlertCard from "@/components/dashboard/AlertCard";
 import RevenueChart from "@/components/dashboard/RevenueChart";
 import MEILimitBar from "@/components/dashboard/MEILimitBar";
 import RegimeIndicator from "@/components/dashboard/RegimeIndicator";
+import ReceivablesWidget from "@/components/dashboard/ReceivablesWidget";
 import FiscalStatusIndicator from "@/components/layout/FiscalStatusIndicator";
 
 function normalizeStatus(status) {
@@ -45,6 +46,7 @@ function getStatusDisplay(status) {
 }
 
 export default function Dashboard() {
+  const navigate = useNavigate();
   const { data: invoices = [] } = useQuery({
     queryKey: ['invoices'],
     queryFn: () => invoicesService.list({ sort: '-created_at' }),
@@ -125,6 +127,21 @@ export default function Dashboard() {
     enabled: !!company?.id && company?.regime_tributario === 'MEI',
   });
 
+  // Fator R (Simples Nacional companies whose Anexo depends on the payroll)
+  const { data: fatorRStatus } = useQuery({
+    queryKey: ['fatorR', company?.id],
+    queryFn: () => companiesService.getFatorR(company?.id || ''),
+    enabled: !!company?.id && company?.regime_tributario === 'Simples Nacional' && !!company?.sujeito_fator_r,
+  });
+
+  // DASN-SIMEI of the previous year (MEI), for the reminder before the May 31 deadline
+  const { data: dasnSimei } = useQuery({
+    queryKey: ['dasnSimeiReminder', company?.id],
+    queryFn: () => taxesService.getDasnSimei(company?.id || ''),
+    enabled: !!company?.id && company?.regime_tributario === 'MEI',
+  });
+  const showDasnReminder = dasnSimei?.aplicavel && dasnSimei.status === 'rascunho' && dasnSimei.dias_restantes >= 0 && dasnSimei.dias_restantes <= 60;
+
   // Get plan limits
   const { data: planLimits } = useQuery({
     queryKey: ['plan-limits'],
@@ -138,7 +155,8 @@ export default function Dashboard() {
     queryFn: () => companiesService.list(),
   });
 
-  const meiLimit = 81000;
+  // Proportional to the months of activity in the opening year
+  const meiLimit = meiLimitStatus?.limit ?? 81000;
   const yearlyRevenue = meiLimitStatus?.yearlyRevenue ?? invoices
     .filter(inv => {
       if (!inv.data_emissao) return false;
@@ -233,7 +251,7 @@ export default function Dashboard() {
 
       {/* MEI Limit Bar */}
       {company?.regime_tributario === 'MEI' && (
-        <MEILimitBar yearlyRevenue={yearlyRevenue} limit={meiLimit} />
+        <MEILimitBar yearlyRevenue={yearlyRevenue} limit={meiLimit} limitStatus={meiLimitStatus} />
       )}
 
       {/* Plan Limits Card */}
@@ -369,6 +387,9 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Receivables */}
+      {company && <ReceivablesWidget companyId={company.id} />}
+
       {/* Charts and Alerts */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Revenue Chart */}
@@ -399,12 +420,36 @@ export default function Dashboard() {
             <AlertCard
               type="warning"
               title="Limite MEI"
-              message={`Você já utilizou ${meiPercentage.toFixed(1)}% do limite anual do MEI (R$ 81.000)`}
+              message={`Você já utilizou ${meiPercentage.toFixed(1)}% do limite do MEI (R$ ${meiLimit.toLocaleString('pt-BR')})`}
               action="Ver detalhes"
               delay={0.4}
             />
           )}
 
+          {fatorRStatus?.recomendacao && (
+            <AlertCard
+              type="warning"
+              title={`Fator R em ${((fatorRStatus.fator_r || 0) * 100).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}%`}
+              message={fatorRStatus.anexo === 'V'
+                ? `Abaixo de 28%: a empresa está no Anexo V. Aumentar o pró-labore em R$ ${(fatorRStatus.pro_labore_mensal_necessario || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2 })} por mês a levaria ao Anexo III.`
+                : 'Próximo do mínimo de 28% do Anexo III. Mantenha a folha e o pró-labore para não passar ao Anexo V.'}
+              action="Ver folha"
+              onAction={() => navigate(createPageUrl("Taxes"))}
+              delay={0.45}
+            />
+          )}
+
+          {showDasnReminder && (
+            <AlertCard
+              type="warning"
+              title={`DASN-SIMEI ${dasnSimei.ano}`}
+              message={`A declaração anual do MEI vence em ${new Date(dasnSimei.prazo).toLocaleDateString('pt-BR')} (faltam ${dasnSimei.dias_restantes} dia(s)). Confira a receita e os valores para o portal.`}
+              action="Ver declaração"
+              onAction={() => navigate(createPageUrl("Taxes"))}
+              delay={0.45}
+            />
+          )}
+
           <AlertCard
             type="info"
             title="DAS disponível"
@@ -1,7 +1,7 @@
 import React, { useState, useMemo, useEffect } from "react";
 import { useSearchParams } from "react-router-dom";
 import { useQuery, useQueryClient } from "@tanstack/react-query";
-import { invoicesService, notificationsService, companiesService } from "@/api/services";
+import { invoicesService, notificationsService, companiesService, invoiceBatchesService } from "@/api/services";
 import { motion, AnimatePresence } from "framer-motion";
 import { format } from "date-fns";
 import { ptBR } from "date-fns/locale";
@@ -23,9 +23,21 @@ import {
   Building2,
   User,
   X,
-  AlertTriangle
+  AlertTriangle,
+  FileSpreadsheet,
+  RefreshCw,
+  Package,
+  FileOutput,
+  History
 } from "lucide-react";
 import CancellationModal from "@/components/invoice/CancellationModal";
+import SubstitutionModal from "@/components/invoice/SubstitutionModal";
+import InvoiceEmailDeliveries from "@/components/invoice/InvoiceEmailDeliveries";
+import InvoiceReceivable, { paymentStatusConfig } from "@/components/invoice/InvoiceReceivable";
+import BatchUploadModal, { batchStatusLabels, downloadBatchReport } from "@/components/invoice/BatchUploadModal";
+import FiscalPackageModal from "@/components/invoice/FiscalPackageModal";
+import AccountingExportModal from "@/components/invoice/AccountingExportModal";
+import InvoiceTimelineDrawer from "@/components/invoice/InvoiceTimelineDrawer";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import {
@@ -47,6 +59,7 @@ const statusConfig = {
   rejeitada: { label: "Rejeitada", icon: XCircle, color: "text-red-400", bg: "bg-red-500/20" },
   cancelada: { label: "Cancelada", icon: XCircle, color: "text-slate-400", bg: "bg-slate-500/20" },
   erro: { label: "Erro", icon: AlertTriangle, color: "text-orange-400", bg: "bg-orange-500/20" },
+  substituida: { label: "Substituída", icon: RefreshCw, color: "text-blue-400", bg: "bg-blue-500/20" },
 };
 
 function normalizeStatus(status) {
@@ -54,6 +67,7 @@ function normalizeStatus(status) {
   if (status === 'rejeitada') return 'rejeitada';
   if (status === 'cancelada') return 'cancelada';
   if (status === 'erro') return 'erro';
+  if (status === 'substituida') return 'substituida';
   return 'processando';
 }
 
@@ -69,6 +83,11 @@ export default function Documents() {
   const [selectedInvoice, setSelectedInvoice] = useState(null);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [cancellationInvoice, setCancellationInvoice] = useState(null);
+  const [substitutionInvoice, setSubstitutionInvoice] = useState(null);
+  const [batchModal, setBatchModal] = useState({ open: false, batchId: null });
+  const [showFiscalPackage, setShowFiscalPackage] = useState(false);
+  const [showAccountingExport, setShowAccountingExport] = useState(false);
+  const [timelineInvoice, setTimelineInvoice] = useState(null);
   const queryClient = useQueryClient();
 
   const { data: companies = [] } = useQuery({
@@ -104,6 +123,14 @@ export default function Documents() {
     refetchOnWindowFocus: true, // Refetch when window gains focus
   });
 
+  const { data: batches = [] } = useQuery({
+    queryKey: ['invoiceBatches'],
+    queryFn: () => invoiceBatchesService.list(),
+    refetchInterval: (query) => (query.state.data?.some(b => b.status === 'processing') ? 5000 : false),
+  });
+
+  const visibleBatches = batches.filter(b => b.status !== 'cancelled').slice(0, 5);
+
   // When opening from Arquivos Recentes (e.g. ?invoiceId=xxx), expand that invoice
   useEffect(() => {
     const invoiceId = searchParams.get("invoiceId");
@@ -205,8 +232,83 @@ export default function Documents() {
           <h1 className="text-3xl font-bold text-white">Notas Fiscais</h1>
           <p className="text-gray-400 mt-1">Gerencie todas as suas notas fiscais emitidas</p>
         </motion.div>
+        <div className="flex gap-3">
+          {companies.length > 0 && (
+            <Button
+              variant="outline"
+              onClick={() => setShowFiscalPackage(true)}
+              className="h-11 rounded-xl border-white/10 bg-white/5 text-gray-200 hover:bg-white/10 hover:text-white"
+            >
+              <Package className="w-4 h-4 mr-2" />
+              Baixar pacote do mês
+            </Button>
+          )}
+          {companies.length > 0 && (
+            <Button
+              variant="outline"
+              onClick={() => setShowAccountingExport(true)}
+              className="h-11 rounded-xl border-white/10 bg-white/5 text-gray-200 hover:bg-white/10 hover:text-white"
+            >
+              <FileOutput className="w-4 h-4 mr-2" />
+              Exportar para contabilidade
+            </Button>
+          )}
+          <Button
+            onClick={() => setBatchModal({ open: true, batchId: null })}
+            className="h-11 rounded-xl bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white shadow-lg shadow-orange-500/20"
+          >
+            <FileSpreadsheet className="w-4 h-4 mr-2" />
+            Emitir em lote
+          </Button>
+        </div>
       </div>
 
+      {/* Bulk issuance batches */}
+      {visibleBatches.length > 0 && (
+        <motion.div
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="rounded-2xl p-4 bg-gradient-to-br from-slate-900/80 via-slate-800/60 to-slate-900/80 border border-white/10 space-y-3"
+        >
+          <h2 className="text-sm font-semibold text-gray-300 flex items-center gap-2">
+            <FileSpreadsheet className="w-4 h-4 text-orange-400" />
+            Emissões em lote
+          </h2>
+          {visibleBatches.map((batch) => (
+            <div key={batch.id} className="flex flex-col md:flex-row md:items-center gap-3 p-3 rounded-xl bg-white/5 border border-white/5">
+              <button
+                type="button"
+                onClick={() => setBatchModal({ open: true, batchId: batch.id })}
+                className="flex-1 min-w-0 text-left"
+              >
+                <p className="text-white text-sm font-medium truncate">{batch.file_name}</p>
+                <p className="text-xs text-gray-400">
+                  {format(new Date(batch.created_at), "dd/MM/yyyy HH:mm", { locale: ptBR })} · {batchStatusLabels[batch.status] || batch.status}
+                  {batch.status !== 'preview' && ` · ${batch.success_count} emitida(s), ${batch.queued_count} na fila, ${batch.error_count} com erro`}
+                  {batch.status === 'preview' && ` · ${batch.valid_rows} de ${batch.total_rows} linhas válidas`}
+                </p>
+                {batch.status === 'processing' && (
+                  <div className="mt-2 h-1.5 rounded-full bg-white/10 overflow-hidden">
+                    <div className="h-full bg-gradient-to-r from-orange-500 to-amber-400 transition-all duration-500" style={{ width: `${batch.progress}%` }} />
+                  </div>
+                )}
+              </button>
+              {(batch.status === 'completed' || batch.status === 'completed_with_errors') && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => downloadBatchReport(batch)}
+                  className="border-white/10 bg-white/5 text-gray-200 hover:bg-white/10 hover:text-white"
+                >
+                  <Download className="w-4 h-4 mr-2" />
+                  Relatório
+                </Button>
+              )}
+            </div>
+          ))}
+        </motion.div>
+      )}
+
       {/* Filters */}
       <motion.div
         initial={{ opacity: 0, y: 10 }}
@@ -648,6 +750,12 @@ export default function Documents() {
                             ISS: R$ {invoice.valor_iss?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
                           </p>
                         )}
+                        {normalizeStatus(invoice.status) === 'autorizada' && invoice.payment_status && (
+                          <p className={cn("text-xs", paymentStatusConfig[invoice.payment_status]?.color)}>
+                            {paymentStatusConfig[invoice.payment_status]?.label}
+                            {invoice.payment_status !== 'paid' && invoice.dias_em_atraso > 0 && ` · vencida há ${invoice.dias_em_atraso} dia(s)`}
+                          </p>
+                        )}
                       </div>
 
                       {/* Actions */}
@@ -665,6 +773,18 @@ export default function Documents() {
                         >
                           <TrendingUp className="w-4 h-4" />
                         </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="text-gray-400 hover:text-white hover:bg-white/10"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            setTimelineInvoice(invoice);
+                          }}
+                          title="Histórico de status"
+                        >
+                          <History className="w-4 h-4" />
+                        </Button>
                         <Button
                           variant="ghost"
                           size="icon"
@@ -689,6 +809,20 @@ export default function Documents() {
                         >
                           <Download className="w-4 h-4" />
                         </Button>
+                        {normalizeStatus(invoice.status) === 'autorizada' && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="text-orange-400 hover:text-orange-300 hover:bg-orange-500/10"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setSubstitutionInvoice(invoice);
+                            }}
+                            title="Substituir nota fiscal"
+                          >
+                            <RefreshCw className="w-4 h-4" />
+                          </Button>
+                        )}
                         {normalizeStatus(invoice.status) === 'autorizada' && (
                           <Button
                             variant="ghost"
@@ -728,6 +862,15 @@ export default function Documents() {
                               <p className="text-xs text-gray-500 mb-1">Código de Verificação</p>
                               <p className="text-white font-mono text-sm">{invoice.codigo_verificacao || '---'}</p>
                             </div>
+                            {invoice.substitutes_invoice_id && (
+                              <div className="md:col-span-3">
+                                <p className="text-xs text-gray-500 mb-1">Substitui a nota</p>
+                                <p className="text-white text-sm">
+                                  {invoices.find(i => i.id === invoice.substitutes_invoice_id)?.numero || invoice.substitutes_invoice_id}
+                                  {invoice.substitution_reason && <span className="text-gray-400"> — {invoice.substitution_reason}</span>}
+                                </p>
+                              </div>
+                            )}
                           </div>
                           <div className="flex gap-3 mt-6">
                             <Button 
@@ -747,6 +890,24 @@ export default function Documents() {
                                 Baixar XML
                               </Button>
                             )}
+                            <Button 
+                              variant="outline" 
+                              className="bg-transparent border-white/10 text-white hover:bg-white/5"
+                              onClick={() => setTimelineInvoice(invoice)}
+                            >
+                              <History className="w-4 h-4 mr-2" />
+                              Histórico
+                            </Button>
+                            {normalizeStatus(invoice.status) === 'autorizada' && (
+                              <Button 
+                                variant="outline" 
+                                className="bg-transparent border-orange-500/30 text-orange-400 hover:bg-orange-500/10 hover:text-orange-300"
+                                onClick={() => setSubstitutionInvoice(invoice)}
+                              >
+                                <RefreshCw className="w-4 h-4 mr-2" />
+                                Substituir Nota
+                              </Button>
+                            )}
                             {normalizeStatus(invoice.status) === 'autorizada' && (
                               <Button 
                                 variant="outline" 
@@ -758,6 +919,12 @@ export default function Documents() {
                               </Button>
                             )}
                           </div>
+                          {normalizeStatus(invoice.status) === 'autorizada' && (
+                            <>
+                              <InvoiceReceivable invoice={invoice} />
+                              <InvoiceEmailDeliveries invoice={invoice} />
+                            </>
+                          )}
                         </motion.div>
                       )}
                     </AnimatePresence>
@@ -769,6 +936,52 @@ export default function Documents() {
         )}
       </motion.div>
 
+      {/* Bulk issuance modal */}
+      <BatchUploadModal
+        isOpen={batchModal.open}
+        batchId={batchModal.batchId}
+        companies={companies}
+        onClose={() => setBatchModal({ open: false, batchId: null })}
+      />
+
+      {/* Monthly fiscal package */}
+      <FiscalPackageModal
+        isOpen={showFiscalPackage}
+        companies={companies}
+        defaultCompanyId={companyFilter}
+        onClose={() => setShowFiscalPackage(false)}
+      />
+
+      {/* Status timeline */}
+      <InvoiceTimelineDrawer
+        invoice={timelineInvoice}
+        open={!!timelineInvoice}
+        onClose={() => setTimelineInvoice(null)}
+      />
+
+      {/* Accounting software export */}
+      <AccountingExportModal
+        isOpen={showAccountingExport}
+        companies={companies}
+        defaultCompanyId={companyFilter}
+        defaultStartDate={startDate}
+        defaultEndDate={endDate}
+        onClose={() => setShowAccountingExport(false)}
+      />
+
+      {/* Substitution Modal */}
+      <SubstitutionModal
+        invoice={substitutionInvoice}
+        isOpen={!!substitutionInvoice}
+        onClose={() => setSubstitutionInvoice(null)}
+        onSuccess={() => {
+          queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
+          queryClient.invalidateQueries({ queryKey: ['notifications'] });
+          queryClient.invalidateQueries({ queryKey: ['allNotifications'] });
+          setSubstitutionInvoice(null);
+        }}
+      />
+
       {/* Cancellation Modal */}
       <CancellationModal
         invoice={cancellationInvoice}
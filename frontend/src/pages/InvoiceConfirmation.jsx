@@ -1,8 +1,9 @@
-import React, { useState } from "react";
-import { useMutation, useQueryClient } from "@tanstack/react-query";
+import React, { useState, useRef } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { invoicesService, notificationsService } from "@/api/services";
+import { invoicesService, notificationsService, companiesService, settingsService } from "@/api/services";
+import { createIdempotencyKey } from "@/utils/idempotency";
 import { motion } from "framer-motion";
 import { 
   FileText, 
@@ -36,21 +37,51 @@ export default function InvoiceConfirmation() {
     iss_retido: false
   });
 
-  const createInvoiceMutation = useMutation({
-    mutationFn: (data) => invoicesService.create(data),
+  // Idempotency key of the invoice being confirmed: regenerated on every edit, reused on retries
+  const idempotencyKeyRef = useRef(createIdempotencyKey());
+
+  const { data: settings } = useQuery({
+    queryKey: ['userSettings'],
+    queryFn: () => settingsService.get(),
+  });
+
+  const { data: activeCompany } = useQuery({
+    queryKey: ['company', settings?.active_company_id || 'default'],
+    queryFn: async () => {
+      const companies = await companiesService.list();
+      if (settings?.active_company_id) {
+        const company = companies.find(c => c.id === settings.active_company_id);
+        if (company) return company;
+      }
+      return companies[0] || null;
+    },
+    enabled: !!settings,
+  });
+
+  const issueInvoiceMutation = useMutation({
+    /** @param {Parameters<typeof invoicesService.issue>[0]} data */
+    mutationFn: (data) => invoicesService.issue(data, { idempotencyKey: idempotencyKeyRef.current }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['invoices'] });
     }
   });
 
   const handleConfirm = async () => {
+    if (!activeCompany?.id) {
+      console.error('Empresa não configurada');
+      return;
+    }
     setIsProcessing(true);
     try {
-      const createdInvoice = await createInvoiceMutation.mutateAsync({
-        ...invoice,
-        status: "enviada",
-        numero: `NFS${Date.now().toString().slice(-8)}`,
-        data_emissao: new Date().toISOString().split('T')[0]
+      const result = await issueInvoiceMutation.mutateAsync({
+        companyId: activeCompany.id,
+        cliente_nome: invoice.cliente_nome,
+        cliente_documento: invoice.cliente_documento,
+        descricao_servico: invoice.descricao_servico,
+        valor: Number(invoice.valor),
+        aliquota_iss: Number(invoice.aliquota_iss),
+        iss_retido: Boolean(invoice.iss_retido),
+        data_prestacao: new Date().toISOString().split('T')[0]
       });
       
       // Create notification
@@ -58,7 +89,7 @@ export default function InvoiceConfirmation() {
         titulo: "Nota fiscal emitida",
         mensagem: `Nota fiscal de R$ ${invoice.valor.toLocaleString('pt-BR', { minimumFractionDigits: 2 })} emitida para ${invoice.cliente_nome}`,
         tipo: "sucesso",
-        invoice_id: createdInvoice.id
+        invoice_id: result.data?.invoice?.id
       });
 
       navigate(createPageUrl("Documents"));
@@ -69,6 +100,7 @@ export default function InvoiceConfirmation() {
   };
 
   const handleInputChange = (field, value) => {
+    idempotencyKeyRef.current = createIdempotencyKey();
     setInvoice(prev => {
       const updated = { ...prev, [field]: value };
       if (field === 'valor' || field === 'aliquota_iss') {
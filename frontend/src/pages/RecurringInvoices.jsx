@@ -0,0 +1,722 @@
+// @ts-nocheck - UI components (Dialog, Select, Label, etc.) lack proper .d.ts
+import React, { useState, useMemo } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { recurringInvoicesService, clientsService, companiesService, settingsService } from "@/api/services";
+import { motion } from "framer-motion";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { handleApiError } from "@/utils/errorHandler";
+import { cn } from "@/lib/utils";
+import { toast } from "sonner";
+import {
+  Repeat,
+  Plus,
+  Edit2,
+  Trash2,
+  Pause,
+  Play,
+  Send,
+  MoreVertical,
+  Check,
+  Calendar,
+  CheckCircle,
+  XCircle,
+  Clock,
+  AlertTriangle
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Badge } from "@/components/ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+  DropdownMenuSeparator,
+} from "@/components/ui/dropdown-menu";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+
+const frequencyLabels = {
+  weekly: "Semanal",
+  monthly: "Mensal",
+  quarterly: "Trimestral",
+  yearly: "Anual",
+};
+
+const statusConfig = {
+  active: { label: "Ativa", color: "text-green-400", bg: "bg-green-500/20" },
+  paused: { label: "Pausada", color: "text-yellow-400", bg: "bg-yellow-500/20" },
+  finished: { label: "Finalizada", color: "text-slate-400", bg: "bg-slate-500/20" },
+};
+
+const lastRunConfig = {
+  success: { label: "Emitida", icon: CheckCircle, color: "text-green-400" },
+  queued: { label: "Em fila", icon: Clock, color: "text-yellow-400" },
+  failed: { label: "Falhou", icon: XCircle, color: "text-red-400" },
+  review: { label: "Verificar", icon: AlertTriangle, color: "text-orange-400" },
+};
+
+// Schedule form initial state
+const initialFormState = {
+  company_id: '',
+  client_id: '',
+  descricao_servico: '',
+  valor: '',
+  frequency: 'monthly',
+  day_of_month: '',
+  start_date: format(new Date(), "yyyy-MM-dd"),
+  end_date: '',
+  max_occurrences: '',
+  aliquota_iss: '',
+  iss_retido: false
+};
+
+function formatCurrency(value) {
+  return `R$ ${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+}
+
+// Approximate monthly amount for the summary card
+function monthlyEquivalent(schedule) {
+  const factor = { weekly: 52 / 12, monthly: 1, quarterly: 1 / 3, yearly: 1 / 12 }[schedule.frequency] || 1;
+  return schedule.valor * factor;
+}
+
+export default function RecurringInvoices() {
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [formData, setFormData] = useState(initialFormState);
+  const [formErrors, setFormErrors] = useState({});
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const queryClient = useQueryClient();
+
+  const { data: schedules = [], isLoading } = useQuery({
+    queryKey: ['recurringInvoices'],
+    queryFn: () => recurringInvoicesService.list(),
+  });
+
+  const { data: companies = [] } = useQuery({
+    queryKey: ['companies'],
+    queryFn: () => companiesService.list(),
+  });
+
+  const { data: clients = [] } = useQuery({
+    queryKey: ['clients', { ativo: true }],
+    queryFn: () => clientsService.list({ ativo: true, limit: 200 }),
+  });
+
+  const { data: settings } = useQuery({
+    queryKey: ['userSettings'],
+    queryFn: () => settingsService.get(),
+  });
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['recurringInvoices'] });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (data) => recurringInvoicesService.create(data),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Recorrência criada com sucesso!');
+      closeForm();
+    },
+    onError: (error) => handleApiError(error, { operation: 'create_recurring_invoice' })
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ id, data }) => recurringInvoicesService.update(id, data),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Recorrência atualizada com sucesso!');
+      closeForm();
+    },
+    onError: (error) => handleApiError(error, { operation: 'update_recurring_invoice' })
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (schedule) => schedule.status === 'active'
+      ? recurringInvoicesService.pause(schedule.id)
+      : recurringInvoicesService.resume(schedule.id),
+    onSuccess: (schedule) => {
+      invalidate();
+      toast.success(schedule.status === 'active' ? 'Recorrência retomada' : 'Recorrência pausada');
+    },
+    onError: (error) => handleApiError(error, { operation: 'toggle_recurring_invoice' })
+  });
+
+  const runMutation = useMutation({
+    mutationFn: (id) => recurringInvoicesService.runNow(id),
+    onSuccess: (data) => {
+      invalidate();
+      queryClient.invalidateQueries({ queryKey: ['invoices'], exact: false });
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+      toast.success(data.message || 'Nota fiscal emitida com sucesso');
+    },
+    onError: (error) => handleApiError(error, { operation: 'run_recurring_invoice' })
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (id) => recurringInvoicesService.delete(id),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Recorrência excluída');
+      setDeleteConfirm(null);
+    },
+    onError: (error) => handleApiError(error, { operation: 'delete_recurring_invoice' })
+  });
+
+  const openNewForm = () => {
+    setEditingSchedule(null);
+    setFormData({
+      ...initialFormState,
+      company_id: settings?.active_company_id || companies[0]?.id || ''
+    });
+    setFormErrors({});
+    setIsFormOpen(true);
+  };
+
+  const openEditForm = (schedule) => {
+    setEditingSchedule(schedule);
+    setFormData({
+      company_id: schedule.company_id,
+      client_id: schedule.client_id || '',
+      descricao_servico: schedule.descricao_servico,
+      valor: String(schedule.valor),
+      frequency: schedule.frequency,
+      day_of_month: schedule.day_of_month ? String(schedule.day_of_month) : '',
+      start_date: schedule.start_date?.split('T')[0] || '',
+      end_date: schedule.end_date?.split('T')[0] || '',
+      max_occurrences: schedule.max_occurrences ? String(schedule.max_occurrences) : '',
+      aliquota_iss: schedule.aliquota_iss !== null && schedule.aliquota_iss !== undefined ? String(schedule.aliquota_iss) : '',
+      iss_retido: schedule.iss_retido
+    });
+    setFormErrors({});
+    setIsFormOpen(true);
+  };
+
+  const closeForm = () => {
+    setIsFormOpen(false);
+    setEditingSchedule(null);
+    setFormData(initialFormState);
+    setFormErrors({});
+  };
+
+  const handleFieldChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const validateForm = () => {
+    const errors = {};
+    if (!formData.company_id) errors.company_id = 'Selecione a empresa';
+    if (!formData.client_id && !editingSchedule) errors.client_id = 'Selecione o cliente';
+    if (!formData.descricao_servico.trim()) errors.descricao_servico = 'Descrição é obrigatória';
+    if (!formData.valor || parseFloat(formData.valor.replace(',', '.')) <= 0) errors.valor = 'Valor deve ser maior que zero';
+    if (formData.day_of_month && (parseInt(formData.day_of_month) < 1 || parseInt(formData.day_of_month) > 28)) {
+      errors.day_of_month = 'Use um dia entre 1 e 28';
+    }
+    if (formData.end_date && formData.start_date && formData.end_date < formData.start_date) {
+      errors.end_date = 'Data final deve ser posterior à inicial';
+    }
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (!validateForm()) return;
+
+    const payload = {
+      descricao_servico: formData.descricao_servico.trim(),
+      valor: parseFloat(formData.valor.replace(',', '.')),
+      frequency: formData.frequency,
+      day_of_month: formData.frequency !== 'weekly' && formData.day_of_month ? parseInt(formData.day_of_month) : null,
+      end_date: formData.end_date || null,
+      max_occurrences: formData.max_occurrences ? parseInt(formData.max_occurrences) : null,
+      aliquota_iss: formData.aliquota_iss ? parseFloat(formData.aliquota_iss.replace(',', '.')) : null,
+      iss_retido: formData.iss_retido
+    };
+    if (formData.client_id) {
+      payload.client_id = formData.client_id;
+    }
+
+    if (editingSchedule) {
+      updateMutation.mutate({ id: editingSchedule.id, data: payload });
+    } else {
+      createMutation.mutate({
+        ...payload,
+        company_id: formData.company_id,
+        start_date: formData.start_date || undefined
+      });
+    }
+  };
+
+  const stats = useMemo(() => {
+    const active = schedules.filter(s => s.status === 'active');
+    const nextRun = active
+      .map(s => new Date(s.next_run_at))
+      .sort((a, b) => a.getTime() - b.getTime())[0];
+    return {
+      active: active.length,
+      paused: schedules.filter(s => s.status === 'paused').length,
+      monthly: active.reduce((sum, s) => sum + monthlyEquivalent(s), 0),
+      nextRun
+    };
+  }, [schedules]);
+
+  const companyName = (id) => {
+    const company = companies.find(c => c.id === id);
+    return company?.nome_fantasia || company?.razao_social || '';
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1 className="text-3xl font-bold text-white">Notas Recorrentes</h1>
+          <p className="text-gray-400 mt-1">Agende a emissão automática de notas para clientes fixos</p>
+        </motion.div>
+        <Button
+          onClick={openNewForm}
+          className={cn(
+            "relative overflow-hidden rounded-xl font-semibold",
+            "bg-gradient-to-r from-orange-500 via-orange-600 to-orange-500",
+            "border border-orange-400/30 text-white",
+            "shadow-lg shadow-orange-500/25",
+            "hover:shadow-xl hover:shadow-orange-500/30 hover:from-orange-600 hover:via-orange-500 hover:to-orange-600",
+            "active:scale-[0.98] transition-all duration-300"
+          )}
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          Nova Recorrência
+        </Button>
+      </div>
+
+      {/* Stats */}
+      <motion.div
+        initial={{ opacity: 0, y: 10 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.1 }}
+        className="grid grid-cols-2 md:grid-cols-4 gap-4"
+      >
+        {[
+          { label: "Ativas", value: stats.active, color: "text-green-400", bg: "from-green-500/20 to-emerald-500/10", border: "border-green-500/30" },
+          { label: "Pausadas", value: stats.paused, color: "text-yellow-400", bg: "from-yellow-500/20 to-amber-500/10", border: "border-yellow-500/30" },
+          { label: "Faturamento mensal", value: formatCurrency(stats.monthly), color: "text-white", bg: "from-blue-500/20 to-cyan-500/10", border: "border-blue-500/30" },
+          { label: "Próxima emissão", value: stats.nextRun ? format(stats.nextRun, "dd MMM", { locale: ptBR }) : '---', color: "text-orange-400", bg: "from-orange-500/20 to-orange-600/10", border: "border-orange-500/30" },
+        ].map((stat) => (
+          <div
+            key={stat.label}
+            className={cn(
+              "relative rounded-2xl p-5 overflow-hidden",
+              "bg-gradient-to-br", stat.bg,
+              "border", stat.border,
+              "backdrop-blur-xl shadow-xl shadow-black/30"
+            )}
+          >
+            <p className="text-xs text-gray-400 uppercase tracking-wider mb-2 font-semibold">{stat.label}</p>
+            <p className={`text-2xl font-bold ${stat.color} relative z-10`}>{stat.value}</p>
+          </div>
+        ))}
+      </motion.div>
+
+      {/* Schedule list */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.2 }}
+        className="relative rounded-2xl overflow-hidden bg-gradient-to-br from-slate-900/80 via-slate-800/60 to-slate-900/80 backdrop-blur-xl border border-white/10 shadow-2xl shadow-black/50"
+      >
+        {isLoading ? (
+          <div className="p-8 text-center">
+            <div className="w-8 h-8 border-2 border-orange-500 border-t-transparent rounded-full animate-spin mx-auto mb-4" />
+            <p className="text-gray-400">Carregando recorrências...</p>
+          </div>
+        ) : schedules.length === 0 ? (
+          <div className="p-12 text-center">
+            <div className="w-16 h-16 rounded-2xl bg-white/5 flex items-center justify-center mx-auto mb-4">
+              <Repeat className="w-8 h-8 text-gray-500" />
+            </div>
+            <h3 className="text-lg font-medium text-white mb-2">Nenhuma recorrência cadastrada</h3>
+            <p className="text-gray-500">Crie uma recorrência para emitir notas automaticamente todo mês</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-white/5">
+            {schedules.map((schedule) => {
+              const status = statusConfig[schedule.status] || statusConfig.active;
+              const lastRun = schedule.last_run_status ? lastRunConfig[schedule.last_run_status] : null;
+              const LastRunIcon = lastRun?.icon;
+
+              return (
+                <div key={schedule.id} className="p-6 flex items-center gap-4 hover:bg-white/5 transition-colors">
+                  <div className={`w-12 h-12 rounded-xl ${status.bg} flex items-center justify-center flex-shrink-0`}>
+                    <Repeat className={`w-6 h-6 ${status.color}`} />
+                  </div>
+
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-3">
+                      <h3 className="text-white font-medium truncate">{schedule.cliente_nome}</h3>
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${status.bg} ${status.color}`}>
+                        {status.label}
+                      </span>
+                      <Badge variant="outline" className="text-xs bg-white/5 border-white/10 text-gray-400">
+                        {frequencyLabels[schedule.frequency]}
+                      </Badge>
+                    </div>
+                    <p className="text-sm text-gray-400 truncate mt-1">{schedule.descricao_servico}</p>
+                    <div className="flex flex-wrap items-center gap-4 mt-1 text-xs text-gray-500">
+                      {schedule.status === 'active' && (
+                        <span className="flex items-center gap-1">
+                          <Calendar className="w-3 h-3" />
+                          Próxima: {format(new Date(schedule.next_run_at), "dd MMM yyyy", { locale: ptBR })}
+                        </span>
+                      )}
+                      <span>
+                        {schedule.occurrences} emitida{schedule.occurrences !== 1 ? 's' : ''}
+                        {schedule.max_occurrences ? ` de ${schedule.max_occurrences}` : ''}
+                      </span>
+                      {companies.length > 1 && <span>{companyName(schedule.company_id)}</span>}
+                      {lastRun && (
+                        <span className={cn("flex items-center gap-1", lastRun.color)} title={schedule.last_error || undefined}>
+                          <LastRunIcon className="w-3 h-3" />
+                          Última: {lastRun.label}
+                          {schedule.last_run_at && ` em ${format(new Date(schedule.last_run_at), "dd/MM", { locale: ptBR })}`}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+
+                  <div className="text-right">
+                    <p className="text-xl font-bold text-white">{formatCurrency(schedule.valor)}</p>
+                  </div>
+
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="ghost" size="icon" className="text-gray-400 hover:text-white hover:bg-white/10">
+                        <MoreVertical className="w-4 h-4" />
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end" className="bg-slate-900 border-white/10">
+                      {schedule.status !== 'finished' && (
+                        <DropdownMenuItem
+                          onClick={() => runMutation.mutate(schedule.id)}
+                          disabled={runMutation.isPending}
+                          className="text-orange-300 hover:text-orange-200 focus:text-orange-200 cursor-pointer"
+                        >
+                          <Send className="w-4 h-4 mr-2" />
+                          Emitir agora
+                        </DropdownMenuItem>
+                      )}
+                      {schedule.status !== 'finished' && (
+                        <DropdownMenuItem
+                          onClick={() => openEditForm(schedule)}
+                          className="text-gray-300 hover:text-white focus:text-white cursor-pointer"
+                        >
+                          <Edit2 className="w-4 h-4 mr-2" />
+                          Editar
+                        </DropdownMenuItem>
+                      )}
+                      {schedule.status !== 'finished' && (
+                        <DropdownMenuItem
+                          onClick={() => toggleMutation.mutate(schedule)}
+                          className="text-gray-300 hover:text-white focus:text-white cursor-pointer"
+                        >
+                          {schedule.status === 'active' ? (
+                            <><Pause className="w-4 h-4 mr-2" />Pausar</>
+                          ) : (
+                            <><Play className="w-4 h-4 mr-2" />Retomar</>
+                          )}
+                        </DropdownMenuItem>
+                      )}
+                      <DropdownMenuSeparator className="bg-white/10" />
+                      <DropdownMenuItem
+                        onClick={() => setDeleteConfirm(schedule)}
+                        className="text-red-400 hover:text-red-300 focus:text-red-300 cursor-pointer"
+                      >
+                        <Trash2 className="w-4 h-4 mr-2" />
+                        Excluir
+                      </DropdownMenuItem>
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </motion.div>
+
+      {/* Schedule form dialog */}
+      <Dialog open={isFormOpen} onOpenChange={(open) => !open && closeForm()}>
+        <DialogContent className={cn(
+          "sm:max-w-[600px] max-h-[90vh] overflow-y-auto",
+          "bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900",
+          "border border-white/10"
+        )}>
+          <DialogHeader>
+            <DialogTitle className="text-xl font-bold text-white flex items-center gap-2">
+              <Repeat className="w-5 h-5 text-orange-400" />
+              {editingSchedule ? 'Editar Recorrência' : 'Nova Recorrência'}
+            </DialogTitle>
+            <DialogDescription className="text-gray-400">
+              A nota será emitida automaticamente na data agendada. Você recebe uma notificação a cada emissão.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 mt-2">
+            {/* Company */}
+            {!editingSchedule && companies.length > 1 && (
+              <div className="space-y-2">
+                <Label className="text-gray-300">Empresa *</Label>
+                <Select value={formData.company_id} onValueChange={(value) => handleFieldChange('company_id', value)}>
+                  <SelectTrigger className={cn("bg-white/5 border-white/10 text-white", formErrors.company_id && "border-red-500/50")}>
+                    <SelectValue placeholder="Selecione a empresa" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {companies.map((company) => (
+                      <SelectItem key={company.id} value={company.id}>
+                        {company.nome_fantasia || company.razao_social}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {formErrors.company_id && <p className="text-xs text-red-400">{formErrors.company_id}</p>}
+              </div>
+            )}
+
+            {/* Client */}
+            <div className="space-y-2">
+              <Label className="text-gray-300">Cliente {!editingSchedule && '*'}</Label>
+              <Select value={formData.client_id} onValueChange={(value) => handleFieldChange('client_id', value)}>
+                <SelectTrigger className={cn("bg-white/5 border-white/10 text-white", formErrors.client_id && "border-red-500/50")}>
+                  <SelectValue placeholder={editingSchedule ? editingSchedule.cliente_nome : "Selecione o cliente"} />
+                </SelectTrigger>
+                <SelectContent>
+                  {clients.map((client) => (
+                    <SelectItem key={client.id} value={client.id}>
+                      {client.nome}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {formErrors.client_id && <p className="text-xs text-red-400">{formErrors.client_id}</p>}
+              {clients.length === 0 && (
+                <p className="text-xs text-yellow-400/80 flex items-center gap-1">
+                  <AlertTriangle className="w-3 h-3" />
+                  Cadastre o cliente na página Clientes antes de criar a recorrência
+                </p>
+              )}
+            </div>
+
+            {/* Description */}
+            <div className="space-y-2">
+              <Label htmlFor="descricao_servico" className="text-gray-300">Descrição do serviço *</Label>
+              <Textarea
+                id="descricao_servico"
+                value={formData.descricao_servico}
+                onChange={(e) => handleFieldChange('descricao_servico', e.target.value)}
+                placeholder="Ex: Consultoria mensal referente a {mes}/{ano}"
+                rows={3}
+                className={cn("bg-white/5 border-white/10 text-white resize-none", formErrors.descricao_servico && "border-red-500/50")}
+              />
+              {formErrors.descricao_servico ? (
+                <p className="text-xs text-red-400">{formErrors.descricao_servico}</p>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  Use {'{mes}'}, {'{ano}'} ou {'{competencia}'} para preencher o período automaticamente
+                </p>
+              )}
+            </div>
+
+            {/* Value and ISS */}
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="valor" className="text-gray-300">Valor (R$) *</Label>
+                <Input
+                  id="valor"
+                  inputMode="decimal"
+                  value={formData.valor}
+                  onChange={(e) => handleFieldChange('valor', e.target.value)}
+                  placeholder="0,00"
+                  className={cn("bg-white/5 border-white/10 text-white", formErrors.valor && "border-red-500/50")}
+                />
+                {formErrors.valor && <p className="text-xs text-red-400">{formErrors.valor}</p>}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="aliquota_iss" className="text-gray-300">Alíquota ISS (%)</Label>
+                <Input
+                  id="aliquota_iss"
+                  inputMode="decimal"
+                  value={formData.aliquota_iss}
+                  onChange={(e) => handleFieldChange('aliquota_iss', e.target.value)}
+                  placeholder="Padrão do regime"
+                  className="bg-white/5 border-white/10 text-white"
+                />
+              </div>
+            </div>
+
+            {/* Frequency and day */}
+            <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label className="text-gray-300">Frequência *</Label>
+                <Select value={formData.frequency} onValueChange={(value) => handleFieldChange('frequency', value)}>
+                  <SelectTrigger className="bg-white/5 border-white/10 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(frequencyLabels).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {formData.frequency !== 'weekly' && (
+                <div className="space-y-2">
+                  <Label htmlFor="day_of_month" className="text-gray-300">Dia da emissão</Label>
+                  <Input
+                    id="day_of_month"
+                    type="number"
+                    min={1}
+                    max={28}
+                    value={formData.day_of_month}
+                    onChange={(e) => handleFieldChange('day_of_month', e.target.value)}
+                    placeholder="Dia da data inicial"
+                    className={cn("bg-white/5 border-white/10 text-white", formErrors.day_of_month && "border-red-500/50")}
+                  />
+                  {formErrors.day_of_month && <p className="text-xs text-red-400">{formErrors.day_of_month}</p>}
+                </div>
+              )}
+            </div>
+
+            {/* Period */}
+            <div className="grid grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="start_date" className="text-gray-300">Início</Label>
+                <Input
+                  id="start_date"
+                  type="date"
+                  value={formData.start_date}
+                  disabled={!!editingSchedule}
+                  onChange={(e) => handleFieldChange('start_date', e.target.value)}
+                  className="bg-white/5 border-white/10 text-white"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="end_date" className="text-gray-300">Término</Label>
+                <Input
+                  id="end_date"
+                  type="date"
+                  value={formData.end_date}
+                  onChange={(e) => handleFieldChange('end_date', e.target.value)}
+                  className={cn("bg-white/5 border-white/10 text-white", formErrors.end_date && "border-red-500/50")}
+                />
+                {formErrors.end_date && <p className="text-xs text-red-400">{formErrors.end_date}</p>}
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="max_occurrences" className="text-gray-300">Nº de emissões</Label>
+                <Input
+                  id="max_occurrences"
+                  type="number"
+                  min={1}
+                  value={formData.max_occurrences}
+                  onChange={(e) => handleFieldChange('max_occurrences', e.target.value)}
+                  placeholder="Sem limite"
+                  className="bg-white/5 border-white/10 text-white"
+                />
+              </div>
+            </div>
+
+            {/* ISS retention */}
+            <div className="flex items-center gap-3 p-3 rounded-lg bg-white/5 border border-white/10">
+              <input
+                type="checkbox"
+                id="iss_retido"
+                checked={formData.iss_retido}
+                onChange={(e) => handleFieldChange('iss_retido', e.target.checked)}
+                className="rounded border-orange-500/30 bg-white/5 text-orange-500 focus:ring-orange-500"
+              />
+              <Label htmlFor="iss_retido" className="text-gray-300 cursor-pointer">
+                ISS retido pelo tomador
+              </Label>
+            </div>
+          </div>
+
+          <DialogFooter className="mt-4">
+            <Button variant="outline" onClick={closeForm} className="bg-white/5 border-white/10 text-gray-300">
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleSubmit}
+              disabled={createMutation.isPending || updateMutation.isPending}
+              className="bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white font-semibold"
+            >
+              {(createMutation.isPending || updateMutation.isPending) ? (
+                <span className="flex items-center gap-2">
+                  <div className="animate-spin w-4 h-4 border-2 border-white border-t-transparent rounded-full" />
+                  Salvando...
+                </span>
+              ) : (
+                <>
+                  <Check className="w-4 h-4 mr-2" />
+                  {editingSchedule ? 'Salvar Alterações' : 'Criar Recorrência'}
+                </>
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Delete confirmation dialog */}
+      <Dialog open={!!deleteConfirm} onOpenChange={() => setDeleteConfirm(null)}>
+        <DialogContent className={cn(
+          "sm:max-w-[400px]",
+          "bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900",
+          "border border-white/10"
+        )}>
+          <DialogHeader>
+            <DialogTitle className="text-xl font-bold text-white flex items-center gap-2">
+              <AlertTriangle className="w-5 h-5 text-red-400" />
+              Excluir Recorrência
+            </DialogTitle>
+            <DialogDescription className="text-gray-400">
+              Excluir a recorrência de <strong className="text-white">{deleteConfirm?.cliente_nome}</strong>?
+              As notas já emitidas não serão afetadas.
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="mt-4">
+            <Button variant="outline" onClick={() => setDeleteConfirm(null)} className="bg-white/5 border-white/10 text-gray-300">
+              Cancelar
+            </Button>
+            <Button
+              onClick={() => deleteMutation.mutate(deleteConfirm.id)}
+              disabled={deleteMutation.isPending}
+              className="bg-red-500/20 text-red-300 border border-red-500/30 hover:bg-red-500/30"
+            >
+              {deleteMutation.isPending ? 'Excluindo...' : 'Excluir'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
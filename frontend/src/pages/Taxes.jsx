@@ -23,6 +23,9 @@ import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { toast } from "sonner";
 import { cn } from "@/lib/utils";
+import FatorRPanel from "@/components/taxes/FatorRPanel";
+import LucroPresumidoPanel from "@/components/taxes/LucroPresumidoPanel";
+import DasnSimeiPanel from "@/components/taxes/DasnSimeiPanel";
 
 // DAS MEI values for 2026 (based on minimum wage of R$ 1,518.00)
 // INSS: 5% of minimum wage = R$ 75.90
@@ -37,6 +40,41 @@ const DAS_VALUES_2026 = {
   TOTAL_INDUSTRIA: 81.90 // INSS + ISS + ICMS (rare case)
 };
 
+// Taxes in a Simples Nacional DAS, in the order of the breakdown
+const SIMPLES_TAXES = [
+  { key: 'valor_irpj', label: 'IRPJ' },
+  { key: 'valor_csll', label: 'CSLL' },
+  { key: 'valor_cofins', label: 'COFINS' },
+  { key: 'valor_pis', label: 'PIS' },
+  { key: 'valor_cpp', label: 'CPP' },
+  { key: 'valor_iss', label: 'ISS' }
+];
+
+const formatMoney = (value) => Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const formatRate = (value) => `${Number(value || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 4 })}%`;
+
+/**
+ * How the value of a Simples Nacional DAS was computed
+ * @param {{ calculation: Record<string, any> }} props - DAS or estimate (SimplesDASEstimate)
+ */
+function SimplesCalculation({ calculation }) {
+  return (
+    <div className="text-xs text-gray-400 space-y-1">
+      <p>
+        <span className="text-gray-300 font-semibold">Anexo {calculation.anexo}</span>, faixa {calculation.faixa}
+        {calculation.fator_r !== null && calculation.fator_r !== undefined && ` (Fator R ${formatRate(calculation.fator_r * 100)})`} · RBT12 R$ {formatMoney(calculation.rbt12)}
+        {calculation.rbt12_proporcional && ' (proporcional aos meses de atividade)'}
+      </p>
+      <p>
+        Alíquota efetiva = (RBT12 × {formatRate(calculation.aliquota_nominal)} − R$ {formatMoney(calculation.parcela_deduzir)}) ÷ RBT12 = <span className="text-gray-300 font-semibold">{formatRate(calculation.aliquota_efetiva)}</span>
+      </p>
+      <p>
+        Receita do mês R$ {formatMoney(calculation.receita_bruta)} × {formatRate(calculation.aliquota_efetiva)} = <span className="text-gray-300 font-semibold">R$ {formatMoney(calculation.valor_total)}</span>
+      </p>
+    </div>
+  );
+}
+
 export default function Taxes() {
   const queryClient = useQueryClient();
   const [showGenerateModal, setShowGenerateModal] = useState(false);
@@ -77,6 +115,21 @@ export default function Taxes() {
     enabled: settings !== undefined,
   });
 
+  const isSimples = company?.regime_tributario === 'Simples Nacional';
+  const isLucroPresumido = company?.regime_tributario === 'Lucro Presumido';
+  const canGenerateDAS = company?.regime_tributario === 'MEI' || isSimples;
+  const selectedReferencia = selectedMonth ? `${selectedMonth.padStart(2, '0')}/${selectedYear}` : null;
+
+  // Simples Nacional DAS depends on the revenue, so the modal previews the calculation
+  const { data: simplesEstimate, isFetching: isEstimating, error: estimateError } = useQuery({
+    queryKey: ['simplesDASEstimate', company?.id, selectedReferencia],
+    queryFn: () => taxesService.estimateSimples(company.id, selectedReferencia),
+    enabled: showGenerateModal && isSimples && !!selectedReferencia,
+    retry: false,
+  });
+  // @ts-ignore - axios error type
+  const estimateErrorMessage = estimateError?.response?.data?.message;
+
   /**
    * Mark DAS as paid mutation
    * @type {import('@tanstack/react-query').UseMutationResult<import('@/types').DAS, Error, {id: string, paymentDate: string}>}
@@ -255,14 +308,16 @@ export default function Taxes() {
             Impostos e Tributos
           </h1>
           <p className="text-gray-400 mt-1 font-medium">
-            {company?.regime_tributario === 'MEI' 
+            {canGenerateDAS
               ? 'Gerenciamento das guias DAS (Documento de Arrecadação do Simples Nacional)'
-              : 'Gerenciamento de impostos e tributos'}
+              : isLucroPresumido
+                ? 'Apuração do Lucro Presumido e guias DARF e ISS'
+                : 'Gerenciamento de impostos e tributos'}
           </p>
         </motion.div>
 
         {/* Generate DAS Button */}
-        {company?.regime_tributario === 'MEI' && (
+        {canGenerateDAS && (
           <motion.div
             initial={{ opacity: 0, scale: 0.9 }}
             animate={{ opacity: 1, scale: 1 }}
@@ -286,477 +341,527 @@ export default function Taxes() {
         )}
       </div>
 
-      {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.1 }}
-          className={cn(
-            "relative rounded-2xl p-6 overflow-hidden",
-            "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-            "backdrop-blur-xl border border-white/10",
-            "shadow-2xl shadow-black/50",
-            "before:absolute before:inset-0 before:bg-gradient-to-br before:from-yellow-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
-            "hover:shadow-yellow-500/20 hover:border-yellow-500/20",
-            "transition-all duration-300"
-          )}
-        >
-          <div className="flex items-start justify-between mb-4 relative z-10">
-            <div className={cn(
-              "w-14 h-14 rounded-xl flex items-center justify-center",
-              "bg-gradient-to-br from-yellow-500/30 via-yellow-600/20 to-yellow-500/30",
-              "border border-yellow-500/30",
-              "shadow-lg shadow-yellow-500/20"
-            )}>
-              <Clock className="w-7 h-7 text-yellow-300" />
-            </div>
-          </div>
-          <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Pendentes</h3>
-          <p className={cn(
-            "text-3xl font-bold mb-2 relative z-10",
-            "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
-          )}>
-            R$ {totalPending.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-          </p>
-          <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
-            {dasPayments.filter(d => d.status === 'pendente').length} guia(s)
-          </p>
-        </motion.div>
-
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.15 }}
-          className={cn(
-            "relative rounded-2xl p-6 overflow-hidden",
-            "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-            "backdrop-blur-xl border border-white/10",
-            "shadow-2xl shadow-black/50",
-            "before:absolute before:inset-0 before:bg-gradient-to-br before:from-red-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
-            overdueCount > 0 && "hover:shadow-red-500/20 hover:border-red-500/20",
-            "transition-all duration-300"
-          )}
-        >
-          <div className="flex items-start justify-between mb-4 relative z-10">
-            <div className={cn(
-              "w-14 h-14 rounded-xl flex items-center justify-center",
-              "bg-gradient-to-br from-red-500/30 via-red-600/20 to-red-500/30",
-              "border border-red-500/30",
-              "shadow-lg shadow-red-500/20"
-            )}>
-              <AlertCircle className="w-7 h-7 text-red-300" />
-            </div>
-          </div>
-          <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Atrasados</h3>
-          <p className={cn(
-            "text-3xl font-bold mb-2 relative z-10",
-            overdueCount > 0 ? "text-red-400" : "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
-          )}>
-            {overdueCount}
-          </p>
-          <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
-            {overdueCount > 0 ? 'Regularize!' : 'Tudo em dia'}
-          </p>
-        </motion.div>
+      {isLucroPresumido ? (
+        <LucroPresumidoPanel company={company} />
+      ) : (
+        <>
+          {/* Stats Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className={cn(
+                "relative rounded-2xl p-6 overflow-hidden",
+                "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+                "backdrop-blur-xl border border-white/10",
+                "shadow-2xl shadow-black/50",
+                "before:absolute before:inset-0 before:bg-gradient-to-br before:from-yellow-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
+                "hover:shadow-yellow-500/20 hover:border-yellow-500/20",
+                "transition-all duration-300"
+              )}
+            >
+              <div className="flex items-start justify-between mb-4 relative z-10">
+                <div className={cn(
+                  "w-14 h-14 rounded-xl flex items-center justify-center",
+                  "bg-gradient-to-br from-yellow-500/30 via-yellow-600/20 to-yellow-500/30",
+                  "border border-yellow-500/30",
+                  "shadow-lg shadow-yellow-500/20"
+                )}>
+                  <Clock className="w-7 h-7 text-yellow-300" />
+                </div>
+              </div>
+              <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Pendentes</h3>
+              <p className={cn(
+                "text-3xl font-bold mb-2 relative z-10",
+                "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
+              )}>
+                R$ {totalPending.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+              </p>
+              <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
+                {dasPayments.filter(d => d.status === 'pendente').length} guia(s)
+              </p>
+            </motion.div>
 
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.2 }}
-          className={cn(
-            "relative rounded-2xl p-6 overflow-hidden",
-            "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-            "backdrop-blur-xl border border-white/10",
-            "shadow-2xl shadow-black/50",
-            "before:absolute before:inset-0 before:bg-gradient-to-br before:from-green-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
-            "hover:shadow-green-500/20 hover:border-green-500/20",
-            "transition-all duration-300"
-          )}
-        >
-          <div className="flex items-start justify-between mb-4 relative z-10">
-            <div className={cn(
-              "w-14 h-14 rounded-xl flex items-center justify-center",
-              "bg-gradient-to-br from-green-500/30 via-emerald-600/20 to-green-500/30",
-              "border border-green-500/30",
-              "shadow-lg shadow-green-500/20"
-            )}>
-              <CheckCircle className="w-7 h-7 text-green-300" />
-            </div>
-          </div>
-          <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Pagos este ano</h3>
-          <p className={cn(
-            "text-3xl font-bold mb-2 relative z-10",
-            "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
-          )}>
-            R$ {totalPaid.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-          </p>
-          <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
-            {dasPayments.filter(d => d.status === 'pago').length} guia(s)
-          </p>
-        </motion.div>
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.15 }}
+              className={cn(
+                "relative rounded-2xl p-6 overflow-hidden",
+                "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+                "backdrop-blur-xl border border-white/10",
+                "shadow-2xl shadow-black/50",
+                "before:absolute before:inset-0 before:bg-gradient-to-br before:from-red-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
+                overdueCount > 0 && "hover:shadow-red-500/20 hover:border-red-500/20",
+                "transition-all duration-300"
+              )}
+            >
+              <div className="flex items-start justify-between mb-4 relative z-10">
+                <div className={cn(
+                  "w-14 h-14 rounded-xl flex items-center justify-center",
+                  "bg-gradient-to-br from-red-500/30 via-red-600/20 to-red-500/30",
+                  "border border-red-500/30",
+                  "shadow-lg shadow-red-500/20"
+                )}>
+                  <AlertCircle className="w-7 h-7 text-red-300" />
+                </div>
+              </div>
+              <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Atrasados</h3>
+              <p className={cn(
+                "text-3xl font-bold mb-2 relative z-10",
+                overdueCount > 0 ? "text-red-400" : "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
+              )}>
+                {overdueCount}
+              </p>
+              <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
+                {overdueCount > 0 ? 'Regularize!' : 'Tudo em dia'}
+              </p>
+            </motion.div>
 
-        <motion.div
-          initial={{ opacity: 0, y: 20 }}
-          animate={{ opacity: 1, y: 0 }}
-          transition={{ delay: 0.25 }}
-          className={cn(
-            "relative rounded-2xl p-6 overflow-hidden",
-            "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-            "backdrop-blur-xl border border-white/10",
-            "shadow-2xl shadow-black/50",
-            "before:absolute before:inset-0 before:bg-gradient-to-br before:from-orange-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
-            "hover:shadow-orange-500/20 hover:border-orange-500/20",
-            "transition-all duration-300"
-          )}
-        >
-          <div className="flex items-start justify-between mb-4 relative z-10">
-            <div className={cn(
-              "w-14 h-14 rounded-xl flex items-center justify-center",
-              "bg-gradient-to-br from-orange-500/30 via-orange-600/20 to-orange-500/30",
-              "border border-orange-500/30",
-              "shadow-lg shadow-orange-500/20"
-            )}>
-              <Calendar className="w-7 h-7 text-orange-300" />
-            </div>
-          </div>
-          <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Próximo vencimento</h3>
-          {nextPayment ? (
-            <>
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.2 }}
+              className={cn(
+                "relative rounded-2xl p-6 overflow-hidden",
+                "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+                "backdrop-blur-xl border border-white/10",
+                "shadow-2xl shadow-black/50",
+                "before:absolute before:inset-0 before:bg-gradient-to-br before:from-green-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
+                "hover:shadow-green-500/20 hover:border-green-500/20",
+                "transition-all duration-300"
+              )}
+            >
+              <div className="flex items-start justify-between mb-4 relative z-10">
+                <div className={cn(
+                  "w-14 h-14 rounded-xl flex items-center justify-center",
+                  "bg-gradient-to-br from-green-500/30 via-emerald-600/20 to-green-500/30",
+                  "border border-green-500/30",
+                  "shadow-lg shadow-green-500/20"
+                )}>
+                  <CheckCircle className="w-7 h-7 text-green-300" />
+                </div>
+              </div>
+              <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Pagos este ano</h3>
               <p className={cn(
-                "text-2xl font-bold mb-2 relative z-10",
+                "text-3xl font-bold mb-2 relative z-10",
                 "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
               )}>
-                {format(new Date(nextPayment.data_vencimento), "dd MMM", { locale: ptBR })}
+                R$ {totalPaid.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
               </p>
               <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
-                R$ {nextPayment.valor_total?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                {dasPayments.filter(d => d.status === 'pago').length} guia(s)
               </p>
-            </>
-          ) : (
-            <p className="text-xl text-gray-400 font-medium relative z-10">Nenhuma pendência</p>
-          )}
-        </motion.div>
-      </div>
+            </motion.div>
 
-      {/* DAS List */}
-      <motion.div
-        initial={{ opacity: 0, y: 20 }}
-        animate={{ opacity: 1, y: 0 }}
-        transition={{ delay: 0.3 }}
-        className={cn(
-          "relative rounded-2xl overflow-hidden",
-          "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-          "backdrop-blur-xl border border-white/10",
-          "shadow-2xl shadow-black/50",
-          "before:absolute before:inset-0 before:bg-gradient-to-br before:from-orange-500/5 before:via-transparent before:to-transparent before:pointer-events-none"
-        )}
-      >
-        <div className={cn(
-          "px-6 py-5 border-b border-white/10 relative z-10",
-          "bg-gradient-to-r from-white/5 via-transparent to-transparent",
-          "backdrop-blur-sm",
-          "flex items-center justify-between"
-        )}>
-          <div>
-          <h2 className="text-xl font-bold text-white mb-1">Guias DAS</h2>
-          <p className="text-sm text-gray-400 font-medium">Histórico de pagamentos mensais</p>
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.25 }}
+              className={cn(
+                "relative rounded-2xl p-6 overflow-hidden",
+                "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+                "backdrop-blur-xl border border-white/10",
+                "shadow-2xl shadow-black/50",
+                "before:absolute before:inset-0 before:bg-gradient-to-br before:from-orange-500/5 before:via-transparent before:to-transparent before:pointer-events-none",
+                "hover:shadow-orange-500/20 hover:border-orange-500/20",
+                "transition-all duration-300"
+              )}
+            >
+              <div className="flex items-start justify-between mb-4 relative z-10">
+                <div className={cn(
+                  "w-14 h-14 rounded-xl flex items-center justify-center",
+                  "bg-gradient-to-br from-orange-500/30 via-orange-600/20 to-orange-500/30",
+                  "border border-orange-500/30",
+                  "shadow-lg shadow-orange-500/20"
+                )}>
+                  <Calendar className="w-7 h-7 text-orange-300" />
+                </div>
+              </div>
+              <h3 className="text-sm font-semibold text-gray-400 mb-2 uppercase tracking-wider relative z-10">Próximo vencimento</h3>
+              {nextPayment ? (
+                <>
+                  <p className={cn(
+                    "text-2xl font-bold mb-2 relative z-10",
+                    "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
+                  )}>
+                    {format(new Date(nextPayment.data_vencimento), "dd MMM", { locale: ptBR })}
+                  </p>
+                  <p className="text-sm text-gray-400 mt-1 font-medium relative z-10">
+                    R$ {nextPayment.valor_total?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                  </p>
+                </>
+              ) : (
+                <p className="text-xl text-gray-400 font-medium relative z-10">Nenhuma pendência</p>
+              )}
+            </motion.div>
           </div>
-          {company && (
-            <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 border border-white/10">
-              <Building2 className="w-4 h-4 text-orange-400" />
-              <span className="text-sm text-gray-300 font-medium">
-                {company.nome_fantasia || company.razao_social}
-              </span>
-            </div>
-          )}
-        </div>
 
-        {isLoading ? (
-          <div className="p-12 text-center relative z-10">
-            <div className={cn(
-              "w-12 h-12 border-3 border-orange-500 border-t-transparent rounded-full animate-spin mx-auto mb-4",
-              "shadow-lg shadow-orange-500/20"
-            )} />
-            <p className="text-gray-400 font-medium">Carregando guias...</p>
-          </div>
-        ) : dasPayments.length === 0 ? (
-          <div className="p-16 text-center relative z-10">
+          {/* DAS List */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.3 }}
+            className={cn(
+              "relative rounded-2xl overflow-hidden",
+              "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+              "backdrop-blur-xl border border-white/10",
+              "shadow-2xl shadow-black/50",
+              "before:absolute before:inset-0 before:bg-gradient-to-br before:from-orange-500/5 before:via-transparent before:to-transparent before:pointer-events-none"
+            )}
+          >
             <div className={cn(
-              "w-20 h-20 rounded-2xl mx-auto mb-6",
-              "bg-gradient-to-br from-white/10 via-white/5 to-white/10",
-              "border border-white/10",
-              "flex items-center justify-center",
-              "shadow-xl shadow-black/30"
+              "px-6 py-5 border-b border-white/10 relative z-10",
+              "bg-gradient-to-r from-white/5 via-transparent to-transparent",
+              "backdrop-blur-sm",
+              "flex items-center justify-between"
             )}>
-              <Receipt className="w-10 h-10 text-gray-400" />
+              <div>
+              <h2 className="text-xl font-bold text-white mb-1">Guias DAS</h2>
+              <p className="text-sm text-gray-400 font-medium">Histórico de pagamentos mensais</p>
+              </div>
+              {company && (
+                <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 border border-white/10">
+                  <Building2 className="w-4 h-4 text-orange-400" />
+                  <span className="text-sm text-gray-300 font-medium">
+                    {company.nome_fantasia || company.razao_social}
+                  </span>
+                </div>
+              )}
             </div>
-            <h3 className="text-xl font-bold text-white mb-2">Nenhuma guia cadastrada</h3>
-            <p className="text-gray-400 font-medium mb-6">Gere sua primeira guia DAS clicando no botão acima</p>
-            {company?.regime_tributario === 'MEI' && (
-              <Button
-                onClick={() => setShowGenerateModal(true)}
-                className={cn(
-                  "bg-gradient-to-r from-orange-500 to-orange-600",
-                  "hover:from-orange-600 hover:to-orange-700",
-                  "text-white font-semibold",
-                  "shadow-lg shadow-orange-500/30"
+
+            {isLoading ? (
+              <div className="p-12 text-center relative z-10">
+                <div className={cn(
+                  "w-12 h-12 border-3 border-orange-500 border-t-transparent rounded-full animate-spin mx-auto mb-4",
+                  "shadow-lg shadow-orange-500/20"
+                )} />
+                <p className="text-gray-400 font-medium">Carregando guias...</p>
+              </div>
+            ) : dasPayments.length === 0 ? (
+              <div className="p-16 text-center relative z-10">
+                <div className={cn(
+                  "w-20 h-20 rounded-2xl mx-auto mb-6",
+                  "bg-gradient-to-br from-white/10 via-white/5 to-white/10",
+                  "border border-white/10",
+                  "flex items-center justify-center",
+                  "shadow-xl shadow-black/30"
+                )}>
+                  <Receipt className="w-10 h-10 text-gray-400" />
+                </div>
+                <h3 className="text-xl font-bold text-white mb-2">Nenhuma guia cadastrada</h3>
+                <p className="text-gray-400 font-medium mb-6">Gere sua primeira guia DAS clicando no botão acima</p>
+                {canGenerateDAS && (
+                  <Button
+                    onClick={() => setShowGenerateModal(true)}
+                    className={cn(
+                      "bg-gradient-to-r from-orange-500 to-orange-600",
+                      "hover:from-orange-600 hover:to-orange-700",
+                      "text-white font-semibold",
+                      "shadow-lg shadow-orange-500/30"
+                    )}
+                  >
+                    <Plus className="w-5 h-5 mr-2" />
+                    Gerar Primeira Guia
+                  </Button>
                 )}
-              >
-                <Plus className="w-5 h-5 mr-2" />
-                Gerar Primeira Guia
-              </Button>
-            )}
-          </div>
-        ) : (
-          <div className="divide-y divide-white/10">
-            {dasPayments.map((das, index) => {
-              const config = getStatusConfig(das.status, das.data_vencimento);
-              const StatusIcon = config.icon;
-              const isOverdue = new Date(das.data_vencimento) < new Date() && das.status === 'pendente';
-              const isMarkingThisPaid = markingPaidId === das.id;
-
-              return (
-                <motion.div
-                  key={das.id}
-                  initial={{ opacity: 0, y: 10 }}
-                  animate={{ opacity: 1, y: 0 }}
-                  transition={{ delay: index * 0.05 }}
-                  className={cn(
-                    "p-6 relative z-10",
-                    "hover:bg-gradient-to-r hover:from-white/5 hover:via-white/3 hover:to-white/5",
-                    "transition-all duration-200"
-                  )}
-                >
-                  <div className="flex items-start gap-6">
-                    {/* Icon */}
-                    <div className={cn(
-                      "w-16 h-16 rounded-xl flex items-center justify-center flex-shrink-0",
-                      "bg-gradient-to-br",
-                      config.bg.includes('yellow') ? "from-yellow-500/30 via-yellow-600/20 to-yellow-500/30 border-yellow-500/30" :
-                      config.bg.includes('green') ? "from-green-500/30 via-emerald-600/20 to-green-500/30 border-green-500/30" :
-                      "from-red-500/30 via-red-600/20 to-red-500/30 border-red-500/30",
-                      "border shadow-lg",
-                      config.bg.includes('yellow') ? "shadow-yellow-500/20" :
-                      config.bg.includes('green') ? "shadow-green-500/20" :
-                      "shadow-red-500/20"
-                    )}>
-                      <StatusIcon className={cn(
-                        "w-7 h-7",
-                        config.color
-                      )} />
-                    </div>
+              </div>
+            ) : (
+              <div className="divide-y divide-white/10">
+                {dasPayments.map((das, index) => {
+                  const config = getStatusConfig(das.status, das.data_vencimento);
+                  const StatusIcon = config.icon;
+                  const isOverdue = new Date(das.data_vencimento) < new Date() && das.status === 'pendente';
+                  const isMarkingThisPaid = markingPaidId === das.id;
 
-                    {/* Info */}
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-start justify-between gap-4 mb-4">
-                        <div>
-                          <div className="flex items-center gap-3 mb-2">
-                            <h3 className="text-white font-bold text-lg">
-                              DAS - {das.referencia}
-                            </h3>
-                            <Badge 
-                              variant="outline"
-                              className={cn(
-                              "font-semibold border",
-                              config.bg.includes('yellow') ? "bg-gradient-to-br from-yellow-500/30 to-yellow-600/20 text-yellow-300 border-yellow-500/40 shadow-md shadow-yellow-500/20" :
-                              config.bg.includes('green') ? "bg-gradient-to-br from-green-500/30 to-emerald-600/20 text-green-300 border-green-500/40 shadow-md shadow-green-500/20" :
-                              "bg-gradient-to-br from-red-500/30 to-red-600/20 text-red-300 border-red-500/40 shadow-md shadow-red-500/20"
-                              )}
-                            >
-                              {config.label}
-                            </Badge>
-                          </div>
-                          <p className="text-sm text-gray-400 mt-1 flex items-center gap-2 font-medium">
-                            <Calendar className="w-4 h-4" />
-                            Vencimento: {format(new Date(das.data_vencimento), "dd 'de' MMMM 'de' yyyy", { locale: ptBR })}
-                            {isOverdue && (
-                              <span className="text-red-300 font-semibold">(Atrasado)</span>
-                            )}
-                          </p>
-                          {das.status === 'pago' && das.data_pagamento && (
-                            <p className="text-sm text-green-400 mt-1 flex items-center gap-2 font-medium">
-                              <CheckCircle className="w-4 h-4" />
-                              Pago em: {format(new Date(das.data_pagamento), "dd/MM/yyyy", { locale: ptBR })}
-                            </p>
-                          )}
-                        </div>
-                        <div className="text-right">
-                          <p className={cn(
-                            "text-2xl font-bold",
-                            "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
-                          )}>
-                            R$ {das.valor_total?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-                          </p>
+                  return (
+                    <motion.div
+                      key={das.id}
+                      initial={{ opacity: 0, y: 10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ delay: index * 0.05 }}
+                      className={cn(
+                        "p-6 relative z-10",
+                        "hover:bg-gradient-to-r hover:from-white/5 hover:via-white/3 hover:to-white/5",
+                        "transition-all duration-200"
+                      )}
+                    >
+                      <div className="flex items-start gap-6">
+                        {/* Icon */}
+                        <div className={cn(
+                          "w-16 h-16 rounded-xl flex items-center justify-center flex-shrink-0",
+                          "bg-gradient-to-br",
+                          config.bg.includes('yellow') ? "from-yellow-500/30 via-yellow-600/20 to-yellow-500/30 border-yellow-500/30" :
+                          config.bg.includes('green') ? "from-green-500/30 via-emerald-600/20 to-green-500/30 border-green-500/30" :
+                          "from-red-500/30 via-red-600/20 to-red-500/30 border-red-500/30",
+                          "border shadow-lg",
+                          config.bg.includes('yellow') ? "shadow-yellow-500/20" :
+                          config.bg.includes('green') ? "shadow-green-500/20" :
+                          "shadow-red-500/20"
+                        )}>
+                          <StatusIcon className={cn(
+                            "w-7 h-7",
+                            config.color
+                          )} />
                         </div>
-                      </div>
 
-                      {/* Breakdown */}
-                      <div className={cn(
-                        "grid grid-cols-3 gap-4 p-5 rounded-xl mb-4",
-                        "bg-gradient-to-br from-white/5 via-white/3 to-white/5",
-                        "border border-white/10",
-                        "backdrop-blur-sm",
-                        "shadow-md"
-                      )}>
-                        {das.valor_inss && (
-                          <div>
-                            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">INSS</p>
-                            <p className="text-sm font-bold text-white mt-2">
-                              R$ {das.valor_inss.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-                            </p>
-                          </div>
-                        )}
-                        {das.valor_icms && das.valor_icms > 0 && (
-                          <div>
-                            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ICMS</p>
-                            <p className="text-sm font-bold text-white mt-2">
-                              R$ {das.valor_icms.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-                            </p>
-                          </div>
-                        )}
-                        {das.valor_iss && das.valor_iss > 0 && (
-                          <div>
-                            <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ISS</p>
-                            <p className="text-sm font-bold text-white mt-2">
-                              R$ {das.valor_iss.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-                            </p>
+                        {/* Info */}
+                        <div className="flex-1 min-w-0">
+                          <div className="flex items-start justify-between gap-4 mb-4">
+                            <div>
+                              <div className="flex items-center gap-3 mb-2">
+                                <h3 className="text-white font-bold text-lg">
+                                  DAS - {das.referencia}
+                                </h3>
+                                <Badge 
+                                  variant="outline"
+                                  className={cn(
+                                  "font-semibold border",
+                                  config.bg.includes('yellow') ? "bg-gradient-to-br from-yellow-500/30 to-yellow-600/20 text-yellow-300 border-yellow-500/40 shadow-md shadow-yellow-500/20" :
+                                  config.bg.includes('green') ? "bg-gradient-to-br from-green-500/30 to-emerald-600/20 text-green-300 border-green-500/40 shadow-md shadow-green-500/20" :
+                                  "bg-gradient-to-br from-red-500/30 to-red-600/20 text-red-300 border-red-500/40 shadow-md shadow-red-500/20"
+                                  )}
+                                >
+                                  {config.label}
+                                </Badge>
+                              </div>
+                              <p className="text-sm text-gray-400 mt-1 flex items-center gap-2 font-medium">
+                                <Calendar className="w-4 h-4" />
+                                Vencimento: {format(new Date(das.data_vencimento), "dd 'de' MMMM 'de' yyyy", { locale: ptBR })}
+                                {isOverdue && (
+                                  <span className="text-red-300 font-semibold">(Atrasado)</span>
+                                )}
+                              </p>
+                              {das.status === 'pago' && das.data_pagamento && (
+                                <p className="text-sm text-green-400 mt-1 flex items-center gap-2 font-medium">
+                                  <CheckCircle className="w-4 h-4" />
+                                  Pago em: {format(new Date(das.data_pagamento), "dd/MM/yyyy", { locale: ptBR })}
+                                </p>
+                              )}
+                            </div>
+                            <div className="text-right">
+                              <p className={cn(
+                                "text-2xl font-bold",
+                                "bg-gradient-to-r from-white to-gray-300 bg-clip-text text-transparent"
+                              )}>
+                                R$ {das.valor_total?.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                              </p>
+                            </div>
                           </div>
-                        )}
-                      </div>
 
-                      {/* Code and Actions */}
-                      {das.codigo_barras && (
-                        <div className="flex items-center gap-3 mb-4">
+                          {/* Breakdown */}
                           <div className={cn(
-                            "flex-1 px-4 py-3 rounded-xl",
+                            "p-5 rounded-xl mb-4",
                             "bg-gradient-to-br from-white/5 via-white/3 to-white/5",
                             "border border-white/10",
-                            "backdrop-blur-sm"
+                            "backdrop-blur-sm",
+                            "shadow-md"
                           )}>
-                            <p className="text-xs text-gray-400 mb-1.5 font-semibold uppercase tracking-wider">Código de barras</p>
-                            <p className="text-sm text-white font-mono font-medium">{das.codigo_barras}</p>
-                          </div>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => copyToClipboard(das.codigo_barras)}
-                            className={cn(
-                              "text-gray-400 hover:text-white",
-                              "hover:bg-gradient-to-br hover:from-white/10 hover:to-white/5",
-                              "border border-transparent hover:border-white/10",
-                              "rounded-xl transition-all duration-200",
-                              "shadow-sm hover:shadow-md"
-                            )}
-                          >
-                            <Copy className="w-4 h-4" />
-                          </Button>
-                        </div>
-                      )}
-
-                      <div className="flex gap-3">
-                          <Button 
-                            className={cn(
-                              "bg-gradient-to-br from-orange-500/30 via-orange-600/20 to-orange-500/30",
-                              "text-orange-300 hover:text-orange-200",
-                              "border border-orange-500/40",
-                              "hover:from-orange-500/40 hover:via-orange-600/30 hover:to-orange-500/40",
-                              "shadow-lg shadow-orange-500/20 hover:shadow-xl hover:shadow-orange-500/30",
-                              "transition-all duration-200",
-                              "font-semibold"
-                            )}
-                            onClick={() => handleDownloadPdf(das)}
-                          >
-                            <Download className="w-4 h-4 mr-2" />
-                            Baixar Guia PDF
-                          </Button>
-                        {das.status === 'pendente' && (
-                          <Button 
-                            variant="outline" 
-                            onClick={() => handleMarkAsPaid(das)}
-                            disabled={isMarkingThisPaid}
-                            className={cn(
-                              "bg-gradient-to-br from-green-500/20 via-green-600/10 to-green-500/20",
-                              "border border-green-500/30 text-green-300",
-                              "hover:bg-gradient-to-br hover:from-green-500/30 hover:via-green-600/20 hover:to-green-500/30",
-                              "hover:border-green-500/40 hover:text-green-200",
-                              "transition-all duration-200",
-                              "shadow-md hover:shadow-lg hover:shadow-green-500/20",
-                              "backdrop-blur-sm",
-                              "font-semibold",
-                              "disabled:opacity-50 disabled:cursor-not-allowed"
-                            )}
-                          >
-                            {isMarkingThisPaid ? (
+                            {das.anexo ? (
                               <>
-                                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
-                                Salvando...
+                                <div className="grid grid-cols-3 md:grid-cols-6 gap-4">
+                                  {SIMPLES_TAXES.filter(({ key }) => das[key] > 0).map(({ key, label }) => (
+                                    <div key={key}>
+                                      <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">{label}</p>
+                                      <p className="text-sm font-bold text-white mt-2">R$ {formatMoney(das[key])}</p>
+                                    </div>
+                                  ))}
+                                </div>
+                                <div className="mt-4 pt-4 border-t border-white/10">
+                                  <SimplesCalculation calculation={das} />
+                                </div>
                               </>
                             ) : (
-                              <>
-                            <CheckCircle className="w-4 h-4 mr-2" />
-                            Marcar como pago
-                              </>
+                              <div className="grid grid-cols-3 gap-4">
+                                {das.valor_inss && (
+                                  <div>
+                                    <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">INSS</p>
+                                    <p className="text-sm font-bold text-white mt-2">
+                                      R$ {das.valor_inss.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                                    </p>
+                                  </div>
+                                )}
+                                {das.valor_icms && das.valor_icms > 0 && (
+                                  <div>
+                                    <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ICMS</p>
+                                    <p className="text-sm font-bold text-white mt-2">
+                                      R$ {das.valor_icms.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                                    </p>
+                                  </div>
+                                )}
+                                {das.valor_iss && das.valor_iss > 0 && (
+                                  <div>
+                                    <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ISS</p>
+                                    <p className="text-sm font-bold text-white mt-2">
+                                      R$ {das.valor_iss.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                                    </p>
+                                  </div>
+                                )}
+                              </div>
                             )}
-                          </Button>
-                        )}
+                          </div>
+
+                          {/* Code and Actions */}
+                          {das.codigo_barras && (
+                            <div className="flex items-center gap-3 mb-4">
+                              <div className={cn(
+                                "flex-1 px-4 py-3 rounded-xl",
+                                "bg-gradient-to-br from-white/5 via-white/3 to-white/5",
+                                "border border-white/10",
+                                "backdrop-blur-sm"
+                              )}>
+                                <p className="text-xs text-gray-400 mb-1.5 font-semibold uppercase tracking-wider">Código de barras</p>
+                                <p className="text-sm text-white font-mono font-medium">{das.codigo_barras}</p>
+                              </div>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => copyToClipboard(das.codigo_barras)}
+                                className={cn(
+                                  "text-gray-400 hover:text-white",
+                                  "hover:bg-gradient-to-br hover:from-white/10 hover:to-white/5",
+                                  "border border-transparent hover:border-white/10",
+                                  "rounded-xl transition-all duration-200",
+                                  "shadow-sm hover:shadow-md"
+                                )}
+                              >
+                                <Copy className="w-4 h-4" />
+                              </Button>
+                            </div>
+                          )}
+
+                          <div className="flex gap-3">
+                              <Button 
+                                className={cn(
+                                  "bg-gradient-to-br from-orange-500/30 via-orange-600/20 to-orange-500/30",
+                                  "text-orange-300 hover:text-orange-200",
+                                  "border border-orange-500/40",
+                                  "hover:from-orange-500/40 hover:via-orange-600/30 hover:to-orange-500/40",
+                                  "shadow-lg shadow-orange-500/20 hover:shadow-xl hover:shadow-orange-500/30",
+                                  "transition-all duration-200",
+                                  "font-semibold"
+                                )}
+                                onClick={() => handleDownloadPdf(das)}
+                              >
+                                <Download className="w-4 h-4 mr-2" />
+                                Baixar Guia PDF
+                              </Button>
+                            {das.status === 'pendente' && (
+                              <Button 
+                                variant="outline" 
+                                onClick={() => handleMarkAsPaid(das)}
+                                disabled={isMarkingThisPaid}
+                                className={cn(
+                                  "bg-gradient-to-br from-green-500/20 via-green-600/10 to-green-500/20",
+                                  "border border-green-500/30 text-green-300",
+                                  "hover:bg-gradient-to-br hover:from-green-500/30 hover:via-green-600/20 hover:to-green-500/30",
+                                  "hover:border-green-500/40 hover:text-green-200",
+                                  "transition-all duration-200",
+                                  "shadow-md hover:shadow-lg hover:shadow-green-500/20",
+                                  "backdrop-blur-sm",
+                                  "font-semibold",
+                                  "disabled:opacity-50 disabled:cursor-not-allowed"
+                                )}
+                              >
+                                {isMarkingThisPaid ? (
+                                  <>
+                                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                                    Salvando...
+                                  </>
+                                ) : (
+                                  <>
+                                <CheckCircle className="w-4 h-4 mr-2" />
+                                Marcar como pago
+                                  </>
+                                )}
+                              </Button>
+                            )}
+                          </div>
+                        </div>
                       </div>
+                    </motion.div>
+                  );
+                })}
+              </div>
+            )}
+          </motion.div>
+
+          {/* Fator R */}
+          {isSimples && company?.sujeito_fator_r && <FatorRPanel company={company} />}
+
+          {/* DASN-SIMEI */}
+          {company?.regime_tributario === 'MEI' && <DasnSimeiPanel company={company} />}
+
+          {/* Info Box */}
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.4 }}
+            className={cn(
+              "relative p-6 rounded-2xl overflow-hidden",
+              "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
+              "backdrop-blur-xl border border-white/10",
+              "shadow-2xl shadow-black/50",
+              "before:absolute before:inset-0 before:bg-gradient-to-br before:from-blue-500/5 before:via-purple-500/5 before:to-transparent before:pointer-events-none"
+            )}
+          >
+            <div className="flex gap-4 relative z-10">
+              <div className={cn(
+                "w-12 h-12 rounded-xl flex items-center justify-center flex-shrink-0",
+                "bg-gradient-to-br from-blue-500/30 via-blue-600/20 to-blue-500/30",
+                "border border-blue-500/30",
+                "shadow-lg shadow-blue-500/20"
+              )}>
+                <Info className="w-6 h-6 text-blue-300" />
+              </div>
+              <div>
+                {isSimples ? (
+                  <>
+                    <h3 className="text-white font-bold mb-3 text-lg">Sobre o DAS - Simples Nacional</h3>
+                    <div className="space-y-2">
+                      <p className="text-sm text-gray-300 leading-relaxed font-medium">
+                        O valor do DAS é a receita do mês multiplicada pela alíquota efetiva do Anexo da empresa. A alíquota efetiva
+                        depende da receita bruta dos últimos 12 meses (RBT12): (RBT12 × alíquota nominal − parcela a deduzir) ÷ RBT12.
+                        O vencimento é no dia 20 do mês seguinte.
+                      </p>
+                      <p className="text-sm text-gray-400 leading-relaxed">
+                        {company?.sujeito_fator_r
+                      ? 'Atividade sujeita ao Fator R: Anexo III quando a folha dos últimos 12 meses é pelo menos 28% da receita, senão Anexo V.'
+                      : `Empresa no Anexo ${company?.anexo_simples || 'III'}. O Anexo é definido nas configurações da empresa.`}
+                      </p>
                     </div>
-                  </div>
-                </motion.div>
-              );
-            })}
-          </div>
-        )}
-      </motion.div>
-
-      {/* Info Box */}
-      <motion.div
-        initial={{ opacity: 0 }}
-        animate={{ opacity: 1 }}
-        transition={{ delay: 0.4 }}
-        className={cn(
-          "relative p-6 rounded-2xl overflow-hidden",
-          "bg-gradient-to-br from-slate-900/90 via-slate-800/70 to-slate-900/90",
-          "backdrop-blur-xl border border-white/10",
-          "shadow-2xl shadow-black/50",
-          "before:absolute before:inset-0 before:bg-gradient-to-br before:from-blue-500/5 before:via-purple-500/5 before:to-transparent before:pointer-events-none"
-        )}
-      >
-        <div className="flex gap-4 relative z-10">
-          <div className={cn(
-            "w-12 h-12 rounded-xl flex items-center justify-center flex-shrink-0",
-            "bg-gradient-to-br from-blue-500/30 via-blue-600/20 to-blue-500/30",
-            "border border-blue-500/30",
-            "shadow-lg shadow-blue-500/20"
-          )}>
-            <Info className="w-6 h-6 text-blue-300" />
-          </div>
-          <div>
-            <h3 className="text-white font-bold mb-3 text-lg">Sobre o DAS - MEI</h3>
-            <div className="space-y-2">
-            <p className="text-sm text-gray-300 leading-relaxed font-medium">
-              O DAS (Documento de Arrecadação do Simples Nacional) é a guia mensal de pagamento dos tributos do MEI. 
-              O vencimento é sempre no dia 20 de cada mês.
-            </p>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 p-4 rounded-xl bg-white/5 border border-white/10">
-                <div>
-                  <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">INSS (5% do SM)</p>
-                  <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.INSS.toFixed(2)}</p>
-                </div>
-                <div>
-                  <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ISS (Serviços)</p>
-                  <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.ISS.toFixed(2)}</p>
-                </div>
-                <div>
-                  <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ICMS (Comércio)</p>
-                  <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.ICMS.toFixed(2)}</p>
-                </div>
+                  </>
+                ) : (
+                  <>
+                    <h3 className="text-white font-bold mb-3 text-lg">Sobre o DAS - MEI</h3>
+                    <div className="space-y-2">
+                    <p className="text-sm text-gray-300 leading-relaxed font-medium">
+                      O DAS (Documento de Arrecadação do Simples Nacional) é a guia mensal de pagamento dos tributos do MEI. 
+                      O vencimento é sempre no dia 20 de cada mês.
+                    </p>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4 p-4 rounded-xl bg-white/5 border border-white/10">
+                        <div>
+                          <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">INSS (5% do SM)</p>
+                          <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.INSS.toFixed(2)}</p>
+                        </div>
+                        <div>
+                          <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ISS (Serviços)</p>
+                          <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.ISS.toFixed(2)}</p>
+                        </div>
+                        <div>
+                          <p className="text-xs text-gray-400 font-semibold uppercase tracking-wider">ICMS (Comércio)</p>
+                          <p className="text-lg font-bold text-white mt-1">R$ {DAS_VALUES_2026.ICMS.toFixed(2)}</p>
+                        </div>
+                      </div>
+                    </div>
+                  </>
+                )}
               </div>
             </div>
-          </div>
-        </div>
-      </motion.div>
+          </motion.div>
+        </>
+      )}
 
       {/* Generate DAS Modal */}
       <AnimatePresence>
@@ -888,9 +993,22 @@ export default function Taxes() {
                     )}
                   >
                     <p className="text-sm text-gray-400 mb-2">Valor estimado da guia:</p>
-                    <p className="text-2xl font-bold text-white">
-                      R$ {DAS_VALUES_2026.TOTAL_SERVICOS.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
-                    </p>
+                    {!isSimples ? (
+                      <p className="text-2xl font-bold text-white">
+                        R$ {DAS_VALUES_2026.TOTAL_SERVICOS.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}
+                      </p>
+                    ) : isEstimating ? (
+                      <Loader2 className="w-5 h-5 text-gray-400 animate-spin" />
+                    ) : simplesEstimate ? (
+                      <>
+                        <p className="text-2xl font-bold text-white mb-2">R$ {formatMoney(simplesEstimate.valor_total)}</p>
+                        <SimplesCalculation calculation={simplesEstimate} />
+                      </>
+                    ) : (
+                      <p className="text-sm text-yellow-400">
+                        {estimateErrorMessage || 'Não foi possível calcular o DAS deste mês'}
+                      </p>
+                    )}
                     <p className="text-xs text-gray-400 mt-2">
                       Vencimento: 20/{(parseInt(selectedMonth) + 1).toString().padStart(2, '0')}/{parseInt(selectedMonth) === 12 ? parseInt(selectedYear) + 1 : selectedYear}
                     </p>
@@ -33,6 +33,8 @@ export interface RegisterData {
 }
 
 // Company Types
+export type PixKeyType = 'cpf' | 'cnpj' | 'email' | 'telefone' | 'aleatoria';
+
 export interface Company {
   id: string;
   user_id: string;
@@ -43,6 +45,10 @@ export interface Company {
   uf: string;
   cnae_principal?: string;
   regime_tributario: 'MEI' | 'Simples Nacional' | 'Lucro Presumido' | 'Lucro Real';
+  anexo_simples?: SimplesAnexo | null;
+  sujeito_fator_r?: boolean;
+  atividade_presumido?: AtividadePresumido | null;
+  data_abertura?: string | null;
   certificado_digital: boolean;
   email: string;
   telefone: string;
@@ -53,10 +59,32 @@ export interface Company {
   bairro?: string;
   codigo_municipio?: string;
   nuvem_fiscal_id?: string;
+  email_nfse_assunto?: string | null;
+  email_nfse_mensagem?: string | null;
+  prazo_pagamento_dias?: number | null;
+  lembrete_cobranca_ativo?: boolean;
+  lembrete_cobranca_dias?: number[] | null;
+  pix_chave?: string | null;
+  pix_tipo_chave?: PixKeyType | null;
+  contador_email?: string | null;
+  pacote_mensal_ativo?: boolean;
+  ultimo_pacote_competencia?: string | null;
+  marca_cor_primaria?: string | null;
+  marca_cor_secundaria?: string | null;
+  marca_rodape?: string | null;
+  marca_contato?: string | null;
+  marca_logo_atualizado_em?: string | null;
   created_at: string;
   updated_at: string;
 }
 
+export interface CompanyBrandingSettings {
+  marca_cor_primaria?: string | null;
+  marca_cor_secundaria?: string | null;
+  marca_rodape?: string | null;
+  marca_contato?: string | null;
+}
+
 export interface CreateCompanyData {
   cnpj: string;
   razao_social: string;
@@ -65,6 +93,10 @@ export interface CreateCompanyData {
   uf: string;
   cnae_principal?: string;
   regime_tributario: string;
+  anexo_simples?: SimplesAnexo | null;
+  sujeito_fator_r?: boolean;
+  atividade_presumido?: AtividadePresumido | null;
+  data_abertura?: string | null;
   certificado_digital?: boolean;
   email: string;
   telefone: string;
@@ -74,6 +106,19 @@ export interface CreateCompanyData {
   numero?: string;
   bairro?: string;
   codigo_municipio?: string;
+  email_nfse_assunto?: string | null;
+  email_nfse_mensagem?: string | null;
+  prazo_pagamento_dias?: number | null;
+  lembrete_cobranca_ativo?: boolean;
+  lembrete_cobranca_dias?: number[] | null;
+  pix_chave?: string | null;
+  pix_tipo_chave?: PixKeyType | null;
+  contador_email?: string | null;
+  pacote_mensal_ativo?: boolean;
+  marca_cor_primaria?: string | null;
+  marca_cor_secundaria?: string | null;
+  marca_rodape?: string | null;
+  marca_contato?: string | null;
 }
 
 export interface UpdateCompanyData extends Partial<CreateCompanyData> {}
@@ -85,7 +130,8 @@ export type InvoiceStatus =
   | 'enviada' 
   | 'autorizada' 
   | 'rejeitada' 
-  | 'cancelada';
+  | 'cancelada'
+  | 'substituida';
 
 export interface Invoice {
   id: string;
@@ -98,6 +144,21 @@ export interface Invoice {
   aliquota_iss: number;
   valor_iss: number;
   iss_retido?: boolean;
+  valor_desconto_incondicionado?: number;
+  valor_desconto_condicionado?: number;
+  valor_deducoes?: number;
+  base_calculo?: number;
+  valor_irrf?: number;
+  valor_pis?: number;
+  valor_cofins?: number;
+  valor_csll?: number;
+  valor_inss?: number;
+  valor_liquido?: number;
+  cliente_pais?: string | null;
+  cliente_nif?: string | null;
+  moeda?: string | null;
+  taxa_cambio?: number | null;
+  valor_moeda_estrangeira?: number | null;
   status: InvoiceStatus;
   municipio?: string;
   codigo_verificacao?: string;
@@ -107,10 +168,172 @@ export interface Invoice {
   pdf_url?: string;
   xml_url?: string;
   nuvem_fiscal_id?: string;
+  substitutes_invoice_id?: string | null;
+  substitution_reason?: string | null;
+  payment_status?: 'pending' | 'partial' | 'paid';
+  data_vencimento?: string | null;
+  valor_a_receber?: number;
+  valor_pago?: number;
+  saldo?: number;
+  data_pagamento?: string | null;
+  dias_em_atraso?: number;
+  pix?: InvoicePix | null;
   created_at: string;
   updated_at: string;
 }
 
+// PIX charge (BR Code) for the open balance of an invoice
+export interface InvoicePix {
+  txid: string;
+  copia_e_cola: string;
+  valor: number;
+  qr_code?: string; // PNG data URL
+}
+
+// Status timeline of an invoice (InvoiceStatusHistory)
+export interface InvoiceTimelineEntry {
+  id: string;
+  status: string;
+  previous_status: string | null;
+  status_changed: boolean;
+  source: 'api' | 'webhook' | 'polling' | 'manual' | 'numbering_audit' | string;
+  source_label: string;
+  message: string | null;
+  error: string | null;
+  translated_error: string | null;
+  created_at: string;
+  routine_poll: boolean;
+  check_count: number; // Consecutive polling checks collapsed into this entry
+  last_checked_at: string;
+}
+
+export interface InvoiceHistory {
+  invoice_id: string;
+  numero?: string | null;
+  status: string;
+  timeline: InvoiceTimelineEntry[];
+  polling: {
+    is_polling: boolean;
+    attempts: number;
+    max_attempts: number;
+    last_polled_at: string | null;
+    next_poll_at: string | null;
+    interval_minutes: number;
+    cycle_minutes: number;
+    polling_ends_at: string | null;
+  };
+}
+
+// Pre-emission readiness report (dry run of POST /invoices/validate)
+export type InvoiceReadinessStatus = 'pass' | 'warn' | 'fail';
+
+export interface InvoiceReadinessCheck {
+  id: 'fiscal_connection' | 'certificate' | 'municipality' | 'service_code' | 'regime' | 'mei_limit'
+    | 'plan_limits' | 'document' | 'values' | 'dps_layout' | 'cancellation_window' | string;
+  label: string;
+  status: InvoiceReadinessStatus;
+  message: string;
+  code?: string | null;
+  action?: string | null; // What the user can do about a warn/fail
+  details?: Record<string, unknown>;
+}
+
+export interface InvoiceReadinessReport {
+  ready: boolean; // No failed check
+  status: InvoiceReadinessStatus; // Worst check status
+  summary: Record<InvoiceReadinessStatus, number>;
+  checks: InvoiceReadinessCheck[];
+}
+
+// DPS built locally in the Sistema Nacional NFS-e layout
+export interface DpsLayoutError {
+  field: string; // e.g. infDPS.toma.CPF
+  code: string; // REQUIRED, PATTERN, ENUM, LENGTH, DECIMAL, CHOICE, UNEXPECTED or an E-code
+  message: string;
+}
+
+export interface DpsPreview {
+  id: string; // infDPS Id attribute
+  xml: string; // Unsigned DPS XML
+  valid: boolean;
+  errors: DpsLayoutError[];
+}
+
+// Asynchronous NFS-e emission job
+export type EmissionJobStatus = 'pending' | 'processing' | 'completed' | 'queued' | 'failed';
+export type EmissionJobStep = 'validating' | 'numbering' | 'emitting' | 'saving';
+
+export interface EmissionJob {
+  id: string;
+  company_id: string;
+  status: EmissionJobStatus; // queued = handed over to the municipality retry queue
+  step: EmissionJobStep | null;
+  attempts: number;
+  max_attempts: number;
+  next_attempt_at: string | null; // Next retry of a pending job
+  invoice_id: string | null;
+  retry_queue_id: string | null;
+  cliente_nome: string | null;
+  valor: number | null;
+  error: { code: string | null; message: string | null; status: number | null; data: any } | null;
+  invoice: {
+    id: string;
+    numero: string | null;
+    status: string;
+    codigo_verificacao: string | null;
+    pdf_url: string | null;
+    xml_url: string | null;
+    cliente_nome: string;
+    valor: number;
+  } | null;
+  created_at: string;
+  started_at: string | null;
+  completed_at: string | null;
+}
+
+// Accounting software export (generic CSV, Domínio, Alterdata)
+export interface AccountingExportLayout {
+  id: string;
+  label: string;
+  description: string;
+  extension: string;
+}
+
+export interface AccountingExportParams {
+  layout: string;
+  companyId?: string;
+  startDate?: string; // YYYY-MM-DD (emission date)
+  endDate?: string;
+  status?: 'autorizada' | 'cancelada';
+  skipInvalid?: boolean;
+}
+
+export interface AccountingExportError {
+  invoice_id: string;
+  numero: string | null;
+  field: string;
+  message: string;
+}
+
+export interface AccountingExportPreview {
+  layout: AccountingExportLayout;
+  header: string[];
+  rows: { invoice_id: string; numero: string | null; values: string[]; valid: boolean }[];
+  totals: { notas: number; validas: number; canceladas: number; valor: number; valor_iss: number };
+  errors: AccountingExportError[];
+}
+
+export interface InvoiceEmailDelivery {
+  id: string;
+  invoice_id: string;
+  recipient?: string | null;
+  status: 'sending' | 'sent' | 'failed' | 'skipped';
+  trigger: 'authorized' | 'manual';
+  attachments: string[];
+  error?: string | null;
+  created_at: string;
+}
+
 export interface CreateInvoiceData {
   company_id: string;
   cliente_nome: string;
@@ -168,6 +391,97 @@ export interface UpdateUserSettingsData {
 // DAS (Tax Payment) Types
 export type DASStatus = 'pendente' | 'pago';
 
+export type SimplesAnexo = 'III' | 'IV' | 'V';
+
+/** Simples Nacional DAS of a month, before generating it */
+export interface SimplesDASEstimate {
+  company_id: string;
+  referencia: string;
+  anexo: SimplesAnexo;
+  faixa: number;
+  receita_bruta: number;
+  rbt12: number;
+  receita_12_meses: number;
+  meses_atividade: number;
+  rbt12_proporcional: boolean;
+  aliquota_nominal: number;
+  parcela_deduzir: number;
+  aliquota_efetiva: number;
+  fator_r: number | null;
+  valor_total: number;
+  valor_irpj: number;
+  valor_csll: number;
+  valor_cofins: number;
+  valor_pis: number;
+  valor_cpp: number;
+  valor_iss: number;
+}
+
+/** Monthly payroll used for the Fator R */
+export interface CompanyPayroll {
+  id: string;
+  company_id: string;
+  competencia: string; // 'YYYY-MM'
+  folha_salarios: number;
+  pro_labore: number;
+  encargos: number;
+  total: number;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface SavePayrollData {
+  folha_salarios?: number;
+  pro_labore?: number;
+  encargos?: number;
+}
+
+export type MEIExcessBand = 'within_limit' | 'within_tolerance' | 'over_tolerance';
+
+/** Revenue of the year against the MEI limit (proportional in the opening year) */
+export interface MEILimitStatus {
+  isMEI: boolean;
+  yearlyRevenue?: number;
+  limit?: number;
+  annualLimit?: number;
+  proportional?: boolean;
+  monthsActive?: number;
+  openingDate?: string | null;
+  toleranceLimit?: number;
+  percentage?: number;
+  remaining?: number;
+  alertLevel?: string | null;
+  status?: string;
+  band?: MEIExcessBand;
+  projection?: {
+    mediaMensal: number;
+    mesesBase: number;
+    dataLimite: string | null;
+    dataTolerancia: string | null;
+    receitaProjetadaAno: number;
+    faixaProjetada: MEIExcessBand;
+  };
+}
+
+/** Fator R of a Simples Nacional company (payroll / revenue of the last 12 months) */
+export interface FatorRStatus {
+  aplicavel: boolean;
+  referencia: string;
+  fator_r?: number;
+  limite?: number;
+  anexo?: SimplesAnexo;
+  folha_12_meses?: number;
+  receita_12_meses?: number;
+  meses?: number;
+  proximo_do_limite?: boolean;
+  pro_labore_mensal_necessario?: number;
+  recomendacao?: {
+    motivo: string;
+    mensagem: string;
+    anexo_sugerido: SimplesAnexo;
+  } | null;
+}
+
 export interface DAS {
   id: string;
   company_id: string;
@@ -177,6 +491,20 @@ export interface DAS {
   valor_inss?: number;
   valor_icms?: number;
   valor_iss?: number;
+  // Simples Nacional: share of each tax and the calculation
+  valor_irpj?: number | null;
+  valor_csll?: number | null;
+  valor_cofins?: number | null;
+  valor_pis?: number | null;
+  valor_cpp?: number | null;
+  anexo?: SimplesAnexo | null;
+  faixa?: number | null;
+  receita_bruta?: number | null;
+  rbt12?: number | null;
+  aliquota_nominal?: number | null;
+  parcela_deduzir?: number | null;
+  aliquota_efetiva?: number | null;
+  fator_r?: number | null;
   status: DASStatus;
   codigo_barras?: string;
   pdf_url?: string;
@@ -185,6 +513,98 @@ export interface DAS {
   updated_at: string;
 }
 
+// Lucro Presumido Types
+export type AtividadePresumido =
+  | 'servicos'
+  | 'comercio'
+  | 'industria'
+  | 'transporte_carga'
+  | 'transporte_passageiros'
+  | 'servicos_hospitalares'
+  | 'revenda_combustiveis';
+
+export type DarfTributo = 'PIS' | 'COFINS' | 'IRPJ' | 'CSLL' | 'ISS';
+
+/** Tax of a Lucro Presumido company: DARF of a federal tax, or the ISS of the month */
+export interface Darf {
+  id: string;
+  company_id: string;
+  tributo: DarfTributo;
+  codigo_receita: string | null;
+  periodicidade: 'mensal' | 'trimestral';
+  referencia: string; // "MM/YYYY" or "T1/YYYY"
+  periodo_apuracao: string;
+  data_vencimento: string;
+  receita_bruta: number;
+  presuncao: number | null;
+  base_calculo: number;
+  aliquota: number;
+  valor_principal: number;
+  valor_adicional: number;
+  valor_retido: number;
+  valor_total: number;
+  status: DASStatus;
+  data_pagamento: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+/** Taxes of a Lucro Presumido company for a month, before generating them */
+export interface LucroPresumidoEstimate {
+  company_id: string;
+  referencia: string;
+  trimestre: number;
+  fecha_trimestre: boolean;
+  atividade: AtividadePresumido;
+  atividade_nome: string;
+  receita_mes: number;
+  receita_trimestre: number | null;
+  valor_total: number;
+  obrigacoes: Omit<Darf, 'id' | 'status' | 'data_pagamento' | 'created_at' | 'updated_at'>[];
+}
+
+// DASN-SIMEI (annual declaration of MEI companies)
+export interface DasnChecklistItem {
+  id: 'receita_revisada' | 'empregado' | 'das_pagos' | 'limite' | 'transmitida';
+  label: string;
+  ok: boolean;
+  detalhe: string | null;
+}
+
+export interface DasnSimeiSummary {
+  company_id: string;
+  ano: number;
+  aplicavel: boolean; // false for a company registered after the year
+  prazo: string;
+  dias_restantes: number;
+  status: 'rascunho' | 'transmitida';
+  revisada_em: string | null;
+  numero_recibo: string | null;
+  data_transmissao: string | null;
+  receita_notas: number;
+  receita_servicos_sem_nota: number;
+  receita_servicos: number;
+  receita_comercio: number;
+  receita_total: number;
+  limite: number;
+  possui_empregado: boolean;
+  das: {
+    pagos: number;
+    valor_pago: number;
+    pendentes: { referencia: string; valor: number }[];
+    valor_pendente: number;
+    meses_sem_guia: string[];
+  };
+  valores_portal: { campo: string; valor: number | string }[];
+  checklist: DasnChecklistItem[];
+}
+
+export interface SaveDasnSimeiData {
+  receita_servicos_sem_nota?: number;
+  receita_comercio?: number;
+  possui_empregado?: boolean;
+}
+
 // Fiscal Integration Status Types
 export type FiscalConnectionStatus = 'conectado' | 'falha' | 'verificando';
 
@@ -226,6 +646,18 @@ export interface AIAction {
     valor?: number;
     aliquota_iss?: number;
     municipio?: string;
+    iss_retido?: boolean;
+    valor_desconto_incondicionado?: number;
+    valor_desconto_condicionado?: number;
+    valor_deducoes?: number;
+    moeda?: string;
+    taxa_cambio?: number;
+    valor_moeda_estrangeira?: number;
+    valor_irrf?: number;
+    valor_pis?: number;
+    valor_cofins?: number;
+    valor_csll?: number;
+    valor_inss?: number;
   };
 }
 
@@ -0,0 +1,24 @@
+/**
+ * Idempotency Key Utilities
+ * Keys sent in the Idempotency-Key header of invoice issuance requests: a retry with the
+ * same key returns the original result instead of emitting the NFS-e again
+ */
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+/**
+ * Generate a new idempotency key (one per invoice the user confirms)
+ */
+export function createIdempotencyKey(): string {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Request headers carrying an idempotency key (empty when no key is given)
+ */
+export function idempotencyHeaders(idempotencyKey?: string): Record<string, string> {
+  return idempotencyKey ? { [IDEMPOTENCY_HEADER]: idempotencyKey } : {};
+}
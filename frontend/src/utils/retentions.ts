@@ -0,0 +1,106 @@
+/**
+ * Federal Retention Utilities
+ * IRRF, PIS, COFINS, CSLL and INSS withheld by the tomador (mirrors backend federalRetentions),
+ * plus discounts and deductions from the ISS base (mirrors backend invoiceDeductions)
+ * and the currency of exports to foreign clients (mirrors backend foreignTomador)
+ */
+
+export type RetentionType = 'irrf' | 'pis' | 'cofins' | 'csll' | 'inss';
+
+export const FEDERAL_RETENTIONS: { type: RetentionType; label: string }[] = [
+  { type: 'irrf', label: 'IRRF' },
+  { type: 'pis', label: 'PIS' },
+  { type: 'cofins', label: 'COFINS' },
+  { type: 'csll', label: 'CSLL' },
+  { type: 'inss', label: 'INSS' },
+];
+
+export const INVOICE_DEDUCTIONS: { field: string; label: string }[] = [
+  { field: 'valor_desconto_incondicionado', label: 'Desconto incondicionado' },
+  { field: 'valor_desconto_condicionado', label: 'Desconto condicionado' },
+  { field: 'valor_deducoes', label: 'Deduções' },
+];
+
+interface RetentionInvoiceData {
+  valor?: number | string;
+  aliquota_iss?: number | string;
+  iss_retido?: boolean;
+  [key: string]: unknown;
+}
+
+const round2 = (value: number) => Math.round(value * 100) / 100;
+
+/**
+ * Total of federal retentions (valor_irrf + valor_pis + ...)
+ */
+export function getTotalRetentions(invoice: RetentionInvoiceData): number {
+  return round2(
+    FEDERAL_RETENTIONS.reduce((sum, { type }) => sum + (parseFloat(String(invoice[`valor_${type}`] ?? 0)) || 0), 0)
+  );
+}
+
+const amount = (invoice: RetentionInvoiceData, field: string) => parseFloat(String(invoice[field] ?? 0)) || 0;
+
+/**
+ * ISS base = valor - desconto incondicionado - deduções
+ */
+export function calculateIssBase(invoice: RetentionInvoiceData): number {
+  return round2(amount(invoice, 'valor') - amount(invoice, 'valor_desconto_incondicionado') - amount(invoice, 'valor_deducoes'));
+}
+
+/**
+ * Net amount (vLiq) = valor - descontos - ISS retido - federal retentions
+ */
+export function calculateNetAmount(invoice: RetentionInvoiceData): number {
+  const valorIss = invoice.iss_retido
+    ? calculateIssBase(invoice) * ((parseFloat(String(invoice.aliquota_iss ?? 0)) || 0) / 100)
+    : 0;
+  return round2(
+    amount(invoice, 'valor')
+    - amount(invoice, 'valor_desconto_incondicionado')
+    - amount(invoice, 'valor_desconto_condicionado')
+    - round2(valorIss)
+    - getTotalRetentions(invoice)
+  );
+}
+
+/**
+ * Retention amounts present on an invoice, as numbers (for action payloads)
+ */
+export function pickRetentions(invoice: RetentionInvoiceData): Record<string, number> {
+  const retentions: Record<string, number> = {};
+  FEDERAL_RETENTIONS.forEach(({ type }) => {
+    const value = parseFloat(String(invoice[`valor_${type}`] ?? ''));
+    if (!isNaN(value) && value > 0) {
+      retentions[`valor_${type}`] = value;
+    }
+  });
+  return retentions;
+}
+
+/**
+ * Discount/deduction amounts present on an invoice, as numbers (for action payloads)
+ */
+export function pickDeductions(invoice: RetentionInvoiceData): Record<string, number> {
+  const deductions: Record<string, number> = {};
+  INVOICE_DEDUCTIONS.forEach(({ field }) => {
+    const value = parseFloat(String(invoice[field] ?? ''));
+    if (!isNaN(value) && value > 0) {
+      deductions[field] = value;
+    }
+  });
+  return deductions;
+}
+
+/**
+ * Foreign currency fields of an export invoice (for action payloads)
+ */
+export function pickExportCurrency(invoice: RetentionInvoiceData): Record<string, string | number> {
+  if (!invoice.moeda) return {};
+  const exportCurrency: Record<string, string | number> = { moeda: String(invoice.moeda) };
+  const taxaCambio = parseFloat(String(invoice.taxa_cambio ?? ''));
+  const valorMoeda = parseFloat(String(invoice.valor_moeda_estrangeira ?? ''));
+  if (taxaCambio > 0) exportCurrency.taxa_cambio = taxaCambio;
+  if (valorMoeda > 0) exportCurrency.valor_moeda_estrangeira = valorMoeda;
+  return exportCurrency;
+}